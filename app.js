@@ -1,17 +1,59 @@
 // State Management
 const state = {
     currentView: 'user', // 'user' or 'admin'
-    isAdmin: false,
+    isAdmin: false, // true while an admin session is open (any role)
+    session: null, // { token, user: { id, username, role, ufs } }
     config: {
-        densityRule: 5000, // 1 dealer per 5000 inhabitants
-        occupiedCities: [], // Array of objects: { city, uf, dealers, lat, lon }
-        warningDays: 30 // Keep for future use if needed
+        densityRule: 5000, // 1 dealer per 5000 inhabitants (default rule)
+        densityRules: [], // Ordered rules, first match wins: { id, name, match, ratio, minSlots, maxSlots }
+        occupiedCities: [], // Array of objects: { id, ibgeId, city, uf, dealers: [dealer], unresolved }
+        territoryLevel: 'city', // 'city', 'imediata', 'micro' or 'meso'
+        warningDays: 30, // Contracts ending within this many days flag the city as "soon available"
+        exclusivityRadiusKm: null, // Minimum distance in km between dealers of different cities; null = no radius
+        productLines: [{ id: 'main', name: 'Linha principal' }], // Other lines also carry densityRule and densityRules
+        holds: [] // Slots provisionally held by "Tenho interesse" leads: { ibgeId, until, lineId }
     },
-    selectedLocation: null, // { city, uf, ibgeId, population }
+    lineId: 'main', // Product line every check, list and rule edit refers to
+    editingLineId: null, // Product line being renamed in the admin form
+    selectedLocation: null, // { city, uf, ibgeId, result } where result is the /api/availability answer
+    readOnly: false, // true when the backend is unreachable and config comes from the local cache
+    syncedAt: null, // When the config in use was last loaded from the server (ISO string)
     allCities: [], // Cache for IBGE cities list
+    searchIndex: null, // Normalized names of allCities, built on first search (see getSearchIndex)
+    population: null, // Active population table: { year, source, origin, values }
+    editingDealerId: null, // Dealer loaded into the admin form for editing
+    adminCity: null, // City picked in the admin form autocomplete: { id, name, uf }
+    resolvingOccupiedId: null, // Unresolved entry being linked to an IBGE city from the admin form
+    finder: { city: null, results: [] }, // Opportunity finder: reference city picked and last ranking
+    dashboard: { data: null, sort: {}, drill: null }, // Saturation dashboard: computed totals, column sort per table, open drill-down
+    simulation: null, // Density what-if awaiting confirmation: { candidate, current, simulated }
+    leads: [], // Lead pipeline as last loaded from the server
+    waitlist: { entries: [], slots: {} }, // Waitlist as last loaded: entries and, per city with a line, { status, freeSlots }
+    importData: null, // Spreadsheet awaiting review: { headers, rows, preview }
+    showRadii: false, // Map layer with each dealer's exclusivity radius
     mapChart: null // Highcharts instance
 };
 
+// Availability rules are shared with the server (shared/availability.js).
+// Helpers that do not depend on the config are used as they are; the rest
+// are wrapped below to read the selected line's config (getLineConfig) and
+// state.allCities.
+const {
+    REGIOES, // IBGE macro-regions and their UFs
+    TERRITORY_LEVELS, // Territory levels an admin can evaluate availability at
+    toCityRecord,
+    todayISO,
+    daysUntil,
+    isActiveDealer,
+    countActiveDealers,
+    getSlotForecast,
+    getDealerPosition,
+    distanceKm, // Great-circle distance in km between two [lat, lon] points
+    DEFAULT_LINE_ID, // Product line of records saved before lines existed
+    lineOf,
+    getProductLine
+} = Availability;
+
 // DOM Elements
 const elements = {
     views: {
@@ -20,11 +62,56 @@ const elements = {
     },
     inputs: {
         search: document.getElementById('search-input'), // Unified Search
+        adminUser: document.getElementById('admin-user'),
         adminPass: document.getElementById('admin-pass'),
         density: document.getElementById('density-rule'),
         occupiedCity: document.getElementById('occupied-city-input'),
         occupiedUf: document.getElementById('occupied-uf-input'),
-        occupiedDealers: document.getElementById('occupied-dealers-input')
+        dealerName: document.getElementById('dealer-name'),
+        dealerCnpj: document.getElementById('dealer-cnpj'),
+        dealerContact: document.getElementById('dealer-contact'),
+        dealerAddress: document.getElementById('dealer-address'),
+        dealerCoords: document.getElementById('dealer-coords'),
+        dealerStart: document.getElementById('dealer-start'),
+        dealerEnd: document.getElementById('dealer-end'),
+        dealerStatus: document.getElementById('dealer-status'),
+        territoryLevel: document.getElementById('territory-level'),
+        warningDays: document.getElementById('warning-days'),
+        exclusivityRadius: document.getElementById('exclusivity-radius'),
+        lineSelect: document.getElementById('line-select'),
+        adminLineSelect: document.getElementById('admin-line-select'),
+        newLineName: document.getElementById('new-line-name'),
+        importFile: document.getElementById('import-file'),
+        finderScope: document.getElementById('finder-scope'),
+        finderUf: document.getElementById('finder-uf'),
+        finderRegiao: document.getElementById('finder-regiao'),
+        finderCity: document.getElementById('finder-city'),
+        finderRadius: document.getElementById('finder-radius'),
+        finderPopMin: document.getElementById('finder-pop-min'),
+        finderSlotsMin: document.getElementById('finder-slots-min'),
+        ruleName: document.getElementById('rule-name'),
+        ruleUf: document.getElementById('rule-uf'),
+        ruleRegiao: document.getElementById('rule-regiao'),
+        rulePopMin: document.getElementById('rule-pop-min'),
+        rulePopMax: document.getElementById('rule-pop-max'),
+        ruleIbge: document.getElementById('rule-ibge'),
+        ruleRatio: document.getElementById('rule-ratio'),
+        ruleMinSlots: document.getElementById('rule-min-slots'),
+        ruleMaxSlots: document.getElementById('rule-max-slots'),
+        newUserName: document.getElementById('new-user-name'),
+        newUserPass: document.getElementById('new-user-pass'),
+        newUserRole: document.getElementById('new-user-role'),
+        newUserUfs: document.getElementById('new-user-ufs'),
+        newKeyName: document.getElementById('new-key-name'),
+        newKeyLimit: document.getElementById('new-key-limit'),
+        newWebhookUrl: document.getElementById('new-webhook-url'),
+        currentPass: document.getElementById('current-pass'),
+        newPass: document.getElementById('new-pass'),
+        auditCity: document.getElementById('audit-city'),
+        auditUf: document.getElementById('audit-uf'),
+        auditUser: document.getElementById('audit-user'),
+        leadStatus: document.getElementById('lead-status-filter'),
+        waitlistStatus: document.getElementById('waitlist-status-filter')
     },
     buttons: {
         search: document.getElementById('search-btn'),
@@ -32,14 +119,65 @@ const elements = {
         login: document.getElementById('login-btn'),
         logout: document.getElementById('logout-btn'),
         saveDensity: document.getElementById('save-density'),
+        saveTerritory: document.getElementById('save-territory'),
+        saveWarning: document.getElementById('save-warning'),
+        saveRadius: document.getElementById('save-radius'),
+        toggleRadius: document.getElementById('toggle-radius'),
+        importPreview: document.getElementById('import-preview-btn'),
+        importConfirm: document.getElementById('import-confirm-btn'),
+        exportCsv: document.getElementById('export-csv-btn'),
+        exportXlsx: document.getElementById('export-xlsx-btn'),
+        finderToggle: document.getElementById('finder-toggle'),
+        finderSearch: document.getElementById('finder-btn'),
+        finderExport: document.getElementById('finder-export'),
+        dashboardRefresh: document.getElementById('dashboard-refresh'),
         addOccupied: document.getElementById('add-occupied-btn'),
+        cancelDealerEdit: document.getElementById('cancel-dealer-edit'),
+        importLegacy: document.getElementById('import-legacy-btn'),
+        addUser: document.getElementById('add-user-btn'),
+        addApiKey: document.getElementById('add-key-btn'),
+        addWebhook: document.getElementById('add-webhook-btn'),
+        addLine: document.getElementById('add-line-btn'),
+        cancelLineEdit: document.getElementById('cancel-line-edit'),
+        changePassword: document.getElementById('change-password-btn'),
+        auditFilter: document.getElementById('audit-filter-btn'),
+        addRule: document.getElementById('add-rule-btn'),
+        refreshPopulation: document.getElementById('refresh-population'),
         closeTutorial: document.getElementById('close-tutorial')
     },
     containers: {
         result: document.getElementById('result-container'),
+        syncBanner: document.getElementById('sync-banner'),
         loginPanel: document.getElementById('login-panel'),
         adminPanel: document.getElementById('admin-panel'),
         occupiedList: document.getElementById('occupied-list'),
+        rulesList: document.getElementById('rules-list'),
+        expiringList: document.getElementById('expiring-list'),
+        leadsList: document.getElementById('leads-list'),
+        waitlistList: document.getElementById('waitlist-list'),
+        printReport: document.getElementById('print-report'),
+        occupiedAutocomplete: document.getElementById('occupied-autocomplete'),
+        unplacedList: document.getElementById('unplaced-list'),
+        mapLegend: document.getElementById('map-legend'),
+        finder: document.getElementById('finder-card'),
+        finderAutocomplete: document.getElementById('finder-autocomplete'),
+        finderResults: document.getElementById('finder-results'),
+        dashboard: document.getElementById('dashboard-container'),
+        simulation: document.getElementById('simulation-container'),
+        importMapping: document.getElementById('import-mapping'),
+        importResult: document.getElementById('import-result'),
+        populationStatus: document.getElementById('population-status'),
+        adminIdentity: document.getElementById('admin-identity'),
+        lineField: document.getElementById('line-field'),
+        adminLineField: document.getElementById('admin-line-field'),
+        linesList: document.getElementById('lines-list'),
+        usersList: document.getElementById('users-list'),
+        apiKeysList: document.getElementById('api-keys-list'),
+        newKeyResult: document.getElementById('new-key-result'),
+        webhookEvents: document.getElementById('new-webhook-events'),
+        webhooksList: document.getElementById('webhooks-list'),
+        newWebhookResult: document.getElementById('new-webhook-result'),
+        auditList: document.getElementById('audit-list'),
         tutorialModal: document.getElementById('tutorial-modal')
     }
 };
@@ -48,19 +186,30 @@ const elements = {
 async function init() {
     // Setup listeners FIRST to ensure UI is responsive immediately
     setupEventListeners();
+    registerServiceWorker();
 
-    loadConfig();
+    const configLoaded = loadConfig();
+    restoreSession();
     checkTutorial();
     populateUfSelect();
+    renderWebhookEventOptions();
 
     // Load Data
-    loadAllCities();
+    const citiesLoaded = loadAllCities();
+    loadPopulationData();
 
     // Init Map
     initMap();
+
+    // A shared link reopens its check once cities and dealers are known
+    Promise.all([configLoaded, citiesLoaded]).then(openDeepLink);
 }
 
 // --- Map Logic ---
+const EXPIRING_MARKER_COLOR = '#DDDF0D'; // Cities with a contract ending within warningDays
+const RADIUS_COLOR = 'rgba(223, 83, 83, 0.15)'; // Area protected by a dealer's exclusivity radius
+const RADIUS_VERTICES = 32; // Points per drawn radius circle
+
 function initMap() {
     if (typeof Highcharts === 'undefined') {
         console.error('Highcharts not loaded');
@@ -76,9 +225,22 @@ function initMap() {
             style: {
                 fontFamily: 'Montserrat'
             },
-            margin: 0
+            margin: 0,
+            events: {
+                drilldown: function (e) {
+                    if (!e.seriesOptions) loadUfDrilldown(this, e.point);
+                },
+                drillup: () => renderMapLegend(false)
+            }
         },
         title: { text: '' },
+        drilldown: {
+            activeDataLabelStyle: {
+                color: '#888',
+                textDecoration: 'none',
+                fontWeight: 'normal'
+            }
+        },
         mapNavigation: {
             enabled: false // Zoom disabled as requested
         },
@@ -118,9 +280,24 @@ function initMap() {
                 pointFormat: '{point.name}: {point.value} Revendedores',
                 headerFormat: ''
             }
+        }, {
+            // Exclusivity radius around each active dealer, toggled from under the map
+            type: 'map',
+            id: 'dealer-radii',
+            name: 'Raios de Exclusividade',
+            data: [],
+            visible: false,
+            allAreas: false,
+            colorAxis: false,
+            color: RADIUS_COLOR,
+            borderColor: '#DF5353',
+            borderWidth: 1,
+            enableMouseTracking: false,
+            dataLabels: { enabled: false }
         }, {
             // City Markers Series (Bubbles)
             type: 'mappoint',
+            id: 'city-markers',
             name: 'Cidades em Destaque',
             color: '#000', // Black dots
             data: [], // Populated dynamically
@@ -141,7 +318,7 @@ function initMap() {
                 y: -10
             },
             tooltip: {
-                pointFormat: '<b>{point.name}</b><br>{point.dealers} Revendedores'
+                pointFormat: '<b>{point.name}</b><br>{point.dealers} Revendedores{point.note}'
             }
         }]
     });
@@ -150,48 +327,117 @@ function initMap() {
     updateMapMarkers();
 }
 
-async function updateMapMarkers() {
+// Marker positions come from the bundled centroid table (centroid-data.js),
+// so placing them needs no network and gives the same result every time.
+function updateMapMarkers() {
     if (!state.mapChart) return;
 
     const markers = [];
 
-    for (const item of state.config.occupiedCities) {
-        try {
-            if (!item.lat || !item.lon) {
-                const query = `${item.city}, ${item.uf}, Brazil`;
-                const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&limit=1`);
-                const data = await response.json();
-                if (data && data.length > 0) {
-                    item.lat = parseFloat(data[0].lat);
-                    item.lon = parseFloat(data[0].lon);
-                }
-            }
+    getLineConfig().occupiedCities.forEach(item => {
+        const position = getCityCentroid(item.ibgeId);
+        if (!position) return; // Listed in the admin "fora do mapa" report
+
+        const expiring = getExpiringDealers(item).length > 0;
+        markers.push({
+            name: item.city,
+            lat: position[0],
+            lon: position[1],
+            dealers: countActiveDealers(item),
+            z: countActiveDealers(item),
+            note: expiring ? '<br>Contrato vencendo em breve' : '',
+            marker: expiring ? { fillColor: EXPIRING_MARKER_COLOR } : undefined
+        });
+    });
 
-            if (item.lat && item.lon) {
-                markers.push({
-                    name: item.city,
-                    lat: item.lat,
-                    lon: item.lon,
-                    dealers: parseInt(item.dealers),
-                    z: parseInt(item.dealers)
-                });
-            }
-        } catch (e) {
-            console.error(`Erro ao buscar coords para ${item.city}`, e);
-        }
+    if (state.mapChart.get('city-markers')) {
+        state.mapChart.get('city-markers').setData(markers);
     }
+    updateRadiusLayer();
+}
+
+// One circle per active dealer, centred on its address when it has
+// coordinates and on its municipality's seat otherwise (same positions the
+// availability check measures from).
+function getRadiusShapes() {
+    const radiusKm = state.config.exclusivityRadiusKm;
+    if (!radiusKm) return [];
+
+    return getLineConfig().occupiedCities.flatMap(item => (Array.isArray(item.dealers) ? item.dealers : [])
+        .filter(dealer => isActiveDealer(dealer))
+        .map(dealer => getDealerPosition(dealer, item, getCentroidTable()))
+        .filter(Boolean)
+        .map(({ position }) => ({
+            name: item.city,
+            geometry: { type: 'Polygon', coordinates: [circlePolygon(position, radiusKm)] }
+        })));
+}
 
-    if (state.mapChart.series[1]) {
-        state.mapChart.series[1].setData(markers);
+// Closed GeoJSON ring ([lon, lat] pairs) of the points `radiusKm` away from `center`
+function circlePolygon([lat, lon], radiusKm) {
+    const toRad = deg => deg * Math.PI / 180;
+    const toDeg = rad => rad * 180 / Math.PI;
+    const angular = radiusKm / 6371;
+    const lat1 = toRad(lat);
+    const ring = [];
+
+    for (let i = 0; i <= RADIUS_VERTICES; i++) {
+        const bearing = 2 * Math.PI * i / RADIUS_VERTICES;
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+        const lon2 = toRad(lon) + Math.atan2(
+            Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+            Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+        );
+        ring.push([toDeg(lon2), toDeg(lat2)]);
     }
+    return ring;
+}
+
+function updateRadiusLayer() {
+    const shapes = getRadiusShapes();
+    const button = elements.buttons.toggleRadius;
+    button.classList.toggle('hidden', shapes.length === 0);
+    button.textContent = state.showRadii ? 'OCULTAR RAIOS DE EXCLUSIVIDADE' : 'MOSTRAR RAIOS DE EXCLUSIVIDADE';
+
+    const series = state.mapChart && state.mapChart.get('dealer-radii');
+    if (!series) return;
+    series.setData(shapes, false);
+    series.setVisible(state.showRadii && shapes.length > 0);
+}
+
+// IBGE id -> [lat, lon] of the municipal seat (centroid-data.js)
+function getCentroidTable() {
+    return window.CENTROID_DATA ? window.CENTROID_DATA.values : {};
+}
+
+// [lat, lon] of the municipal seat, or null
+function getCityCentroid(ibgeId) {
+    return (ibgeId && getCentroidTable()[ibgeId]) || null;
+}
+
+// Nearest dealer of another city inside the exclusivity radius, or null
+function getRadiusConflict(ibgeId) {
+    return Availability.findRadiusConflict(getLineConfig(), getCentroidTable(), ibgeId);
+}
+
+// Occupied cities the map cannot show, with the reason
+function getUnplacedCities() {
+    return state.config.occupiedCities
+        .filter(item => !getCityCentroid(item.ibgeId))
+        .map(item => ({
+            item,
+            reason: item.ibgeId
+                ? `Sem coordenadas na base de centroides (IBGE ${item.ibgeId})`
+                : 'Cidade não vinculada a um código IBGE'
+        }));
 }
 
 function getMapData() {
     const counts = {};
-    state.config.occupiedCities.forEach(item => {
+    getLineConfig().occupiedCities.forEach(item => {
         const uf = item.uf.toLowerCase();
         const key = `br-${uf}`;
-        const dealers = parseInt(item.dealers) || 0;
+        const dealers = countActiveDealers(item);
         if (!counts[key]) counts[key] = 0;
         counts[key] += dealers;
     });
@@ -204,10 +450,112 @@ function getMapData() {
 
     return allKeys.map(key => ({
         'hc-key': key,
-        value: counts[key] || 0
+        value: counts[key] || 0,
+        drilldown: key // Clicking a state opens its municipality map
     }));
 }
 
+// --- Municipality Drill-down ---
+const MUNICIPALITY_MESH_API = 'https://servicodados.ibge.gov.br/api/v3/malhas/estados';
+
+const SATURATION_CLASSES = {
+    open: { label: 'Livre', color: '#55BF3B' },
+    partial: { label: 'Parcialmente ocupada', color: '#DDDF0D' },
+    full: { label: 'Lotada', color: '#DF5353' },
+    nodata: { label: 'Sem dados de população', color: '#2c2c2c' }
+};
+
+const municipalityMeshes = {}; // IBGE GeoJSON per UF, fetched once per page load
+
+async function getMunicipalityMesh(uf) {
+    if (!municipalityMeshes[uf]) {
+        // The mesh API takes the numeric UF code: the first two digits of any of its municipalities
+        const sample = state.allCities.find(c => c.uf === uf);
+        const code = sample ? String(sample.id).slice(0, 2) : uf;
+        const response = await fetch(`${MUNICIPALITY_MESH_API}/${code}?formato=application/vnd.geo+json&qualidade=minima&intrarregiao=municipio`);
+        if (!response.ok) throw new Error(`IBGE respondeu ${response.status}`);
+        municipalityMeshes[uf] = await response.json();
+    }
+    return municipalityMeshes[uf];
+}
+
+// Saturation of each municipality on its own (current dealers / capacity),
+// whatever the territory level; clicking one runs the full territory check.
+async function getMunicipalitySaturation(uf) {
+    const cities = state.allCities.filter(c => c.uf === uf);
+    const populations = await getCityPopulations(cities.map(c => c.id));
+
+    return cities.map(city => {
+        const dealers = getCityDealers(city.id) + getCityHolds(city.id);
+        const population = populations[city.id] ? populations[city.id].value : null;
+        const capacity = population !== null ? Math.floor(computeCapacity(city, population).capacity) : null;
+
+        let status = 'nodata';
+        if (capacity !== null) {
+            if (dealers >= capacity) status = 'full';
+            else if (dealers > 0) status = 'partial';
+            else status = 'open';
+        }
+
+        return {
+            code: String(city.id),
+            name: city.name,
+            ibgeId: city.id,
+            value: capacity ? Math.round(dealers / capacity * 100) : null,
+            color: SATURATION_CLASSES[status].color,
+            status: SATURATION_CLASSES[status].label,
+            dealers,
+            capacity: capacity ?? '?'
+        };
+    });
+}
+
+async function loadUfDrilldown(chart, point) {
+    const uf = point['hc-key'].slice(3).toUpperCase();
+    chart.showLoading(`Carregando municípios de ${uf}...`);
+
+    try {
+        const [mesh, data] = await Promise.all([getMunicipalityMesh(uf), getMunicipalitySaturation(uf)]);
+        chart.hideLoading();
+        chart.addSeriesAsDrilldown(point, {
+            type: 'map',
+            name: `Municípios - ${uf}`,
+            mapData: mesh,
+            data,
+            joinBy: ['codarea', 'code'],
+            colorAxis: false,
+            borderColor: '#000',
+            borderWidth: 0.3,
+            nullColor: SATURATION_CLASSES.nodata.color,
+            dataLabels: { enabled: false },
+            tooltip: {
+                headerFormat: '',
+                pointFormat: '<b>{point.name}</b><br>{point.status}<br>{point.dealers} revendedores / {point.capacity} vagas'
+            },
+            point: {
+                events: {
+                    click: function () {
+                        processLocationSelection(this.name, uf, this.ibgeId);
+                    }
+                }
+            }
+        });
+        renderMapLegend(true);
+    } catch (error) {
+        console.error(`Erro ao carregar municípios de ${uf}`, error);
+        chart.hideLoading();
+        showToast(`Mapa de municípios de ${uf} indisponível.`, 'error');
+    }
+}
+
+function renderMapLegend(visible) {
+    const legend = elements.containers.mapLegend;
+    legend.classList.toggle('hidden', !visible);
+    legend.innerHTML = Object.values(SATURATION_CLASSES).map(({ label, color }) =>
+        `<span><i style="background: ${color}"></i>${label}</span>`
+    ).join('');
+}
+
 function updateMapData() {
     if (state.mapChart) {
         const newData = getMapData();
@@ -222,11 +570,7 @@ function loadAllCities() {
     if (window.CITIES_DATA && Array.isArray(window.CITIES_DATA)) {
         console.log("Carregando cidades de window.CITIES_DATA...");
         try {
-            state.allCities = window.CITIES_DATA.map(city => ({
-                name: city.nome,
-                uf: city.microrregiao.mesorregiao.UF.sigla,
-                id: city.id
-            }));
+            state.allCities = window.CITIES_DATA.map(toCityRecord);
             console.log(`Sucesso: ${state.allCities.length} cidades carregadas.`);
             showToast(`Base de dados carregada (${state.allCities.length} cidades).`, 'success');
             return;
@@ -238,14 +582,10 @@ function loadAllCities() {
     }
 
     // Fallback to fetch if global var missing (unlikely if script tag is there)
-    fetch('cities.json')
+    return fetch('cities.json')
         .then(response => response.json())
         .then(data => {
-            state.allCities = data.map(city => ({
-                name: city.nome,
-                uf: city.microrregiao.mesorregiao.UF.sigla,
-                id: city.id
-            }));
+            state.allCities = data.map(toCityRecord);
             showToast(`Base de dados carregada via JSON.`, 'success');
         })
         .catch(err => {
@@ -289,6 +629,184 @@ function closeTutorial() {
 }
 
 // --- Search Logic (Autocomplete) ---
+// Lower-case and strip accents so "São Paulo" matches "sao paulo"
+function normalizeText(text) {
+    return String(text).toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+// --- Search Index ---
+// Names are normalized once per city list; each keystroke then only compares
+// strings. Matches are ranked exact, prefix, word prefix, substring and,
+// failing those, close spellings ("Floranopolis" -> Florianópolis).
+const SEARCH_RANKS = { exact: 0, prefix: 1, word: 2, substring: 3, typo: 4 };
+const SEARCH_UFS = Object.values(REGIOES).flatMap(regiao => regiao.ufs);
+
+// Rebuilt whenever state.allCities is replaced (e.g. by the fallback list)
+function getSearchIndex() {
+    if (state.searchIndex && state.searchIndex.cities === state.allCities) return state.searchIndex;
+
+    const entries = state.allCities.map(city => {
+        const key = normalizeText(city.name);
+        return { city, key, words: key.split(/[\s'-]+/) };
+    });
+    const byName = new Map(); // normalized name -> cities, homonyms from several UFs included
+    entries.forEach(entry => {
+        if (!byName.has(entry.key)) byName.set(entry.key, []);
+        byName.get(entry.key).push(entry.city);
+    });
+
+    state.searchIndex = { cities: state.allCities, entries, byName };
+    return state.searchIndex;
+}
+
+// Splits "Cidade - UF", "Cidade/UF" and "Cidade, UF" into name and UF. Only a
+// real UF is taken off, so names like "Embu-Guaçu" stay whole.
+function parseCityQuery(text) {
+    const trimmed = String(text).trim();
+    const match = trimmed.match(/^(.+?)\s*[-/,]\s*([a-zA-Z]{2})$/);
+    if (match && SEARCH_UFS.includes(match[2].toUpperCase())) {
+        return { name: match[1].trim(), uf: match[2].toUpperCase() };
+    }
+    // A separator typed before the UF
+    return { name: trimmed.replace(/\s*[-/,]$/, ''), uf: null };
+}
+
+// Typos allowed grow with the query: none for short ones, where any city
+// would be one edit away.
+function maxSearchTypos(length) {
+    if (length >= 8) return 2;
+    return length >= 4 ? 1 : 0;
+}
+
+// Edit distance between the query and the closest prefix of the name, so a
+// typo is forgiven before the name is fully typed. Gives up (Infinity) as
+// soon as every alignment is over `limit`. Prefixes longer than the query
+// plus `limit` are always over it, so the rest of the name is skipped.
+function prefixEditDistance(query, fullName, limit) {
+    const name = fullName.slice(0, query.length + limit);
+    let previous = Array.from({ length: name.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= query.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= name.length; j++) {
+            const cost = query[i - 1] === name[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > limit) return Infinity;
+        previous = current;
+    }
+    return Math.min(...previous);
+}
+
+function rankSearchEntry(entry, query) {
+    if (entry.key === query) return SEARCH_RANKS.exact;
+    if (entry.key.startsWith(query)) return SEARCH_RANKS.prefix;
+    if (entry.words.some(word => word.startsWith(query))) return SEARCH_RANKS.word;
+    if (entry.key.includes(query)) return SEARCH_RANKS.substring;
+    return null;
+}
+
+// Best matches for free text, which may name the UF ("Bom Jesus - PI").
+// `uf` restricts the search further (admin form). Close spellings are only
+// looked for when nothing matches as typed. Ties go to the larger city when
+// populations are loaded, then alphabetically.
+function searchCities(text, { uf = null, limit = 8 } = {}) {
+    const parsed = parseCityQuery(text);
+    const query = normalizeText(parsed.name);
+    const onlyUf = uf || parsed.uf;
+    if (!query) return [];
+
+    const entries = getSearchIndex().entries.filter(entry => !onlyUf || entry.city.uf === onlyUf);
+    let matches = entries
+        .map(entry => ({ city: entry.city, rank: rankSearchEntry(entry, query) }))
+        .filter(match => match.rank !== null);
+
+    const typos = maxSearchTypos(query.length);
+    if (matches.length === 0 && typos > 0) {
+        matches = entries
+            .map(entry => ({ city: entry.city, rank: SEARCH_RANKS.typo + prefixEditDistance(query, entry.key, typos) }))
+            .filter(match => match.rank !== Infinity);
+    }
+
+    const populations = (state.population && state.population.values) || {};
+    return matches
+        .sort((a, b) => a.rank - b.rank
+            || (populations[b.city.id] || 0) - (populations[a.city.id] || 0)
+            || a.city.name.localeCompare(b.city.name, 'pt-BR')
+            || a.city.uf.localeCompare(b.city.uf))
+        .slice(0, limit);
+}
+
+// Cities for the autocomplete lists
+function suggestCities(query, uf = null) {
+    return searchCities(query, { uf }).map(match => match.city);
+}
+
+// Highlights where the query appears in the name; typo matches stay plain.
+// Stripping accents keeps the length of the names, so positions carry over.
+function highlightCityName(name, query) {
+    const needle = normalizeText(parseCityQuery(query).name);
+    const start = needle ? normalizeText(name).indexOf(needle) : -1;
+    if (start < 0) return name;
+
+    const end = start + needle.length;
+    return `${name.slice(0, start)}<strong>${name.slice(start, end)}</strong>${name.slice(end)}`;
+}
+
+// `title` heads the list when it is a choice the user has to make
+function renderAutocomplete(list, matches, query, onSelect, title = null) {
+    list.innerHTML = '';
+
+    if (matches.length === 0) {
+        list.classList.add('hidden');
+        return;
+    }
+
+    list.classList.remove('hidden');
+    if (title) {
+        list.innerHTML = `<div class="autocomplete-title">${title}</div>`;
+    }
+    matches.forEach(city => {
+        const item = document.createElement('div');
+        item.className = 'autocomplete-item';
+        item.innerHTML = `${highlightCityName(city.name, query)} - ${city.uf}`;
+        item.addEventListener('click', () => {
+            list.classList.add('hidden');
+            onSelect(city);
+        });
+        list.appendChild(item);
+    });
+}
+
+// Arrow keys move through an open list, Enter picks the highlighted item and
+// Escape closes it. Returns true when the key was used here.
+function handleAutocompleteKeys(e, list) {
+    if (list.classList.contains('hidden')) return false;
+    const items = Array.from(list.querySelectorAll('.autocomplete-item'));
+    const current = items.findIndex(item => item.classList.contains('active'));
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        const next = current === -1 && step === -1 ? items.length - 1 : (current + step + items.length) % items.length;
+        items.forEach((item, index) => item.classList.toggle('active', index === next));
+        items[next].scrollIntoView({ block: 'nearest' });
+        return true;
+    }
+    if (e.key === 'Enter' && current !== -1) {
+        e.preventDefault();
+        items[current].click();
+        return true;
+    }
+    if (e.key === 'Escape') {
+        list.classList.add('hidden');
+        return true;
+    }
+    return false;
+}
+
 function handleSearchInput(e) {
     const val = this.value;
     const list = document.getElementById('autocomplete-list');
@@ -300,35 +818,56 @@ function handleSearchInput(e) {
     }
 
     // Check if it's a CEP (digits only)
-    if (/^\d+$/.test(val)) {
-        list.classList.add('hidden');
-        return; // Let the button handle CEP search
-    }
-
-    const normalizedQuery = val.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-
-    // Filter cities (limit to 10 suggestions for performance)
-    const matches = state.allCities.filter(city => {
-        const normalizedCity = city.name.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-        return normalizedCity.startsWith(normalizedQuery);
-    }).slice(0, 8);
-
-    if (matches.length > 0) {
-        list.classList.remove('hidden');
-        matches.forEach(city => {
-            const item = document.createElement('div');
-            item.className = 'autocomplete-item';
-            item.innerHTML = `<strong>${city.name.substr(0, val.length)}</strong>${city.name.substr(val.length)} - ${city.uf}`;
-            item.addEventListener('click', () => {
-                elements.inputs.search.value = `${city.name} - ${city.uf}`; // Fill input
-                list.classList.add('hidden');
-                processLocationSelection(city.name, city.uf, city.id); // Trigger search
-            });
-            list.appendChild(item);
-        });
-    } else {
+    const digits = val.replace(/\D/g, '');
+    if (/^[\d.-]+$/.test(val)) {
+        if (digits.length >= 5 && digits.length < 8) {
+            // Partial CEP: offer the cities whose ranges start with it
+            renderAutocomplete(list, findCitiesByCepPrefix(digits).slice(0, 8), '', selectSearchCity);
+        } else {
+            list.classList.add('hidden');
+        }
+        return; // Let the button handle full CEP search
+    }
+
+    renderAutocomplete(list, suggestCities(val), val, selectSearchCity);
+}
+
+function selectSearchCity(city) {
+    elements.inputs.search.value = `${city.name} - ${city.uf}`; // Fill input
+    processLocationSelection(city.name, city.uf, city.id); // Trigger search
+}
+
+// Admin form: only cities of the selected UF are offered, and typing
+// discards the previous pick so free text is never saved.
+function handleOccupiedCityInput() {
+    const val = elements.inputs.occupiedCity.value;
+    const uf = elements.inputs.occupiedUf.value;
+    const list = elements.containers.occupiedAutocomplete;
+    state.adminCity = null;
+
+    if (!val || val.length < 2) {
         list.classList.add('hidden');
+        return;
     }
+
+    renderAutocomplete(list, suggestCities(val, uf || null), val, selectAdminCity);
+}
+
+function selectAdminCity(city) {
+    state.adminCity = city;
+    elements.inputs.occupiedCity.value = city.name;
+    elements.inputs.occupiedUf.value = city.uf;
+}
+
+// The city for the admin form: the autocomplete pick, or an exact
+// (accent-insensitive) name match within the selected UF.
+function getAdminCity() {
+    if (state.adminCity) return state.adminCity;
+
+    const name = normalizeText(elements.inputs.occupiedCity.value.trim());
+    const uf = elements.inputs.occupiedUf.value;
+    const matches = (getSearchIndex().byName.get(name) || []).filter(c => c.uf === uf);
+    return matches.length === 1 ? matches[0] : null;
 }
 
 async function handleSearch() {
@@ -338,18 +877,30 @@ async function handleSearch() {
     const cleanQuery = query.replace(/\D/g, '');
     if (cleanQuery.length === 8) {
         await searchByCep(cleanQuery);
+    } else if (/^[\d.-]+$/.test(query) && cleanQuery.length >= 5) {
+        const candidates = findCitiesByCepPrefix(cleanQuery);
+        if (candidates.length === 1) {
+            selectSearchCity(candidates[0]);
+        } else {
+            showToast(candidates.length > 1 ? 'Escolha a cidade na lista ou digite o CEP completo.' : 'CEP não encontrado na base local.', 'warning');
+        }
     } else {
-        // Fallback for manual enter without selecting from list
-        const parts = query.split('-');
-        const namePart = parts[0].trim();
-        searchByName(namePart);
+        searchByName(query);
     }
 }
 
+// The local CEP table answers first; ViaCEP only adds the street to a
+// result, or resolves CEPs the table does not cover when online.
 async function searchByCep(cep) {
+    const local = findCityByCep(cep);
+    if (local) {
+        await processLocationSelection(local.name, local.uf, local.id);
+        enrichCepResult(cep, local.id);
+        return;
+    }
+
     try {
-        const response = await fetch(`https://viacep.com.br/ws/${cep}/json/`);
-        const data = await response.json();
+        const data = await fetchViaCep(cep);
 
         if (data.erro) {
             showToast('CEP não encontrado.', 'error');
@@ -358,40 +909,103 @@ async function searchByCep(cep) {
 
         await processLocationSelection(data.localidade, data.uf, data.ibge);
     } catch (error) {
-        showToast('Erro ao buscar CEP.', 'error');
+        showToast('CEP fora da base local e ViaCEP indisponível. Busque pelo nome da cidade.', 'error');
+    }
+}
+
+// --- CEP Lookup ---
+const VIACEP_TIMEOUT_MS = 4000;
+
+function getCepRanges() {
+    return (window.CEP_DATA && window.CEP_DATA.ranges) || [];
+}
+
+function findCityByCep(cep) {
+    const ibgeId = Availability.findCepCity(getCepRanges(), cep);
+    return ibgeId ? state.allCities.find(c => c.id === ibgeId) || null : null;
+}
+
+// Cities with any range overlapping the CEPs that start with the given digits
+function findCitiesByCepPrefix(prefix) {
+    const low = parseInt(prefix.padEnd(8, '0'));
+    const high = parseInt(prefix.padEnd(8, '9'));
+    const ids = new Set();
+
+    getCepRanges().forEach(([start, end, ibgeId]) => {
+        if (start <= high && end >= low) ids.add(ibgeId);
+    });
+    return state.allCities.filter(c => ids.has(c.id));
+}
+
+async function fetchViaCep(cep) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), VIACEP_TIMEOUT_MS);
+    try {
+        const response = await fetch(`https://viacep.com.br/ws/${cep}/json/`, { signal: controller.signal });
+        return await response.json();
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Best effort: adds street and neighbourhood under the city name when
+// ViaCEP answers; the result itself never waits for it.
+async function enrichCepResult(cep, ibgeId) {
+    try {
+        const data = await fetchViaCep(cep);
+        const cityLine = elements.containers.result.querySelector('.result-city');
+        if (data.erro || !cityLine || !state.selectedLocation || state.selectedLocation.ibgeId != ibgeId) return;
+
+        const address = [data.logradouro, data.bairro].filter(Boolean).join(', ');
+        if (address) {
+            cityLine.insertAdjacentHTML('afterend', `<p class="result-address">${escapeHtml(address)} · CEP ${cep.slice(0, 5)}-${cep.slice(5)}</p>`);
+        }
+    } catch (error) {
+        // Offline: the result already shows everything that matters
     }
 }
 
-function searchByName(name) {
+// Enter without picking from the list. A name found in several UFs, or
+// several equally close spellings, opens a chooser instead of a guess.
+function searchByName(query) {
     if (!state.allCities || state.allCities.length === 0) {
         showToast('Aguarde, carregando cidades...', 'warning');
         return;
     }
 
-    const normalizedQuery = name.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-
-    const matches = state.allCities.filter(city => {
-        const normalizedCity = city.name.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-        return normalizedCity.includes(normalizedQuery);
-    }).slice(0, 10);
-
+    const matches = searchCities(query, { limit: 10 });
     if (matches.length === 0) {
         showToast('Cidade não encontrada.', 'warning');
         return;
     }
 
-    if (matches.length === 1) {
-        processLocationSelection(matches[0].name, matches[0].uf, matches[0].id);
-    } else {
-        // If multiple matches but user pressed enter, pick first
-        processLocationSelection(matches[0].name, matches[0].uf, matches[0].id);
+    const best = matches.filter(match => match.rank === matches[0].rank);
+    if (best.length === 1) {
+        selectSearchCity(best[0].city);
+        return;
     }
+
+    const list = document.getElementById('autocomplete-list');
+    const sameName = best.every(match => match.city.name === best[0].city.name);
+    const title = sameName
+        ? `${best[0].city.name} existe em ${best.length} estados. Escolha:`
+        : 'Mais de uma cidade corresponde à busca. Escolha:';
+    renderAutocomplete(list, best.map(match => match.city), parseCityQuery(query).name, selectSearchCity, title);
 }
 
 async function processLocationSelection(city, uf, ibgeId) {
-    const population = await getCityPopulation(ibgeId);
-    state.selectedLocation = { city, uf, ibgeId, population };
-    checkAvailability();
+    updateDeepLink(ibgeId);
+    state.selectedLocation = { city, uf, ibgeId, result: null };
+    const result = await fetchAvailability(ibgeId, city, uf);
+    // A newer search may have started while this one was waiting
+    if (state.selectedLocation.ibgeId !== ibgeId) return;
+
+    state.selectedLocation.result = result;
+    if (result.status === 'nodata') {
+        showNoDataResult(result);
+    } else {
+        showResult(result);
+    }
 
     // Map Highlight
     if (state.mapChart) {
@@ -404,147 +1018,2135 @@ async function processLocationSelection(city, uf, ibgeId) {
     }
 }
 
-async function getCityPopulation(ibgeId) {
-    try {
-        const response = await fetch(`https://servicodados.ibge.gov.br/api/v3/agregados/6579/periodos/-1/variaveis/9324?localidades=N6[${ibgeId}]`);
-        const data = await response.json();
-        const serie = data[0]?.resultados[0]?.series[0]?.serie;
-        if (serie) return parseInt(Object.values(serie)[0]);
-        return 50000; // Fallback
-    } catch (error) {
-        console.error('Erro IBGE:', error);
-        return 50000;
+// The verdict comes from the same API offered to the CRM and partner sites.
+// When the server cannot be reached the shared rules run here on the cached
+// config, so the answer is the same either way.
+async function fetchAvailability(ibgeId, city, uf) {
+    if (!state.readOnly) {
+        try {
+            return await apiRequest('GET', `/availability?ibge=${ibgeId}&line=${state.lineId}`);
+        } catch (error) {
+            console.error('Erro ao consultar disponibilidade no servidor', error);
+        }
     }
-}
 
-// --- Business Logic ---
-function checkAvailability() {
-    const { city, uf, population } = state.selectedLocation;
+    const members = getTerritoryMembers(ibgeId, city, uf);
+    const populations = await getCityPopulations(members.map(m => m.id));
+    return Availability.checkCity(getLineConfig(), state.allCities, { id: ibgeId, name: city, uf }, populations, getCentroidTable());
+}
 
-    const occupiedData = state.config.occupiedCities.find(
-        item => item.city === city && item.uf === uf
-    );
+// --- Opportunity Finder ---
+const FINDER_MAX_ROWS = 100; // Rows rendered on screen; the export has all of them
 
-    const currentDealers = occupiedData ? parseInt(occupiedData.dealers) : 0;
-    const maxDealers = Math.floor(population / state.config.densityRule);
-    const isAvailable = currentDealers < maxDealers;
+function toggleFinder() {
+    const hidden = elements.containers.finder.classList.toggle('hidden');
+    elements.buttons.finderToggle.classList.toggle('active', !hidden);
+    if (!hidden) updateFinderScope();
+}
 
-    showResult(isAvailable, city, uf, population, currentDealers, maxDealers);
+function updateFinderScope() {
+    const scope = elements.inputs.finderScope.value;
+    elements.inputs.finderUf.classList.toggle('hidden', scope !== 'uf');
+    elements.inputs.finderRegiao.classList.toggle('hidden', scope !== 'regiao');
+    elements.inputs.finderRadius.classList.toggle('hidden', scope !== 'radius');
+    elements.inputs.finderCity.placeholder = scope === 'radius'
+        ? 'Cidade de referência'
+        : 'Perto de (opcional, para ver distâncias)';
 }
 
-// --- UI Functions ---
-function showResult(isAvailable, city, uf, population, currentDealers, maxDealers) {
-    const container = elements.containers.result;
-    container.classList.remove('hidden');
+function handleFinderCityInput() {
+    const val = elements.inputs.finderCity.value;
+    const list = elements.containers.finderAutocomplete;
+    state.finder.city = null;
 
-    let html = '';
-    const popFormatted = population.toLocaleString('pt-BR');
+    if (!val || val.length < 2) {
+        list.classList.add('hidden');
+        return;
+    }
 
-    if (isAvailable) {
-        html = `
-            <div class="glass-card result-card status-available-card">
-                <div class="status-icon"><i class="fa-solid fa-check"></i></div>
-                <h2 class="result-title">DISPONÍVEL</h2>
-                <p class="result-city">${city} - ${uf}</p>
-                <p class="result-pop"><i class="fa-solid fa-users"></i> População: ${popFormatted}</p>
-                <div id="saturation-gauge" style="height: 200px; margin: 1rem 0;"></div>
-                <p class="result-desc">Esta praça está aberta para novos parceiros.</p>
-                <!-- Button removed as per request -->
-            </div>
-        `;
-    } else {
-        html = `
-            <div class="glass-card result-card status-unavailable-card">
-                <div class="status-icon"><i class="fa-solid fa-xmark"></i></div>
-                <h2 class="result-title">INDISPONÍVEL</h2>
-                <p class="result-city">${city} - ${uf}</p>
-                <p class="result-pop"><i class="fa-solid fa-users"></i> População: ${popFormatted}</p>
-                <div id="saturation-gauge" style="height: 200px; margin: 1rem 0;"></div>
-                <p class="result-desc">Esta praça já atingiu o limite de parceiros.</p>
-            </div>
-        `;
+    renderAutocomplete(list, suggestCities(val), val, city => {
+        state.finder.city = city;
+        elements.inputs.finderCity.value = `${city.name} - ${city.uf}`;
+    });
+}
+
+function getFinderCandidates(scope, origin) {
+    if (scope === 'uf') {
+        return state.allCities.filter(c => c.uf === elements.inputs.finderUf.value);
+    }
+    if (scope === 'regiao') {
+        const regiao = REGIOES[elements.inputs.finderRegiao.value];
+        return regiao ? state.allCities.filter(c => regiao.ufs.includes(c.uf)) : [];
     }
 
-    container.innerHTML = html;
-    renderGaugeChart(currentDealers, maxDealers);
+    const radius = parseFloat(elements.inputs.finderRadius.value) || 0;
+    return Availability.findCitiesWithinRadius(state.allCities, getCentroidTable(), origin, radius);
 }
 
-function renderGaugeChart(current, max) {
-    Highcharts.chart('saturation-gauge', {
-        chart: { type: 'solidgauge', backgroundColor: 'transparent' },
-        title: { text: 'Saturação da Praça', style: { color: '#fff', fontSize: '14px' } },
-        pane: {
-            center: ['50%', '85%'],
-            size: '100%',
-            startAngle: -90,
-            endAngle: 90,
-            background: { backgroundColor: '#333', innerRadius: '60%', outerRadius: '100%', shape: 'arc' }
-        },
-        yAxis: {
-            min: 0,
-            max: max,
-            stops: [[0.1, '#55BF3B'], [0.5, '#DDDF0D'], [0.9, '#DF5353']],
-            lineWidth: 0,
-            tickWidth: 0,
-            minorTickInterval: null,
-            tickAmount: 2,
-            title: { y: -70 },
-            labels: { y: 16, style: { color: '#fff' } }
-        },
-        plotOptions: { solidgauge: { dataLabels: { y: 5, borderWidth: 0, useHTML: true } } },
-        series: [{
-            name: 'Revendedores',
-            data: [current],
-            dataLabels: {
-                format: '<div style="text-align:center"><span style="font-size:25px;color:#fff">{y}</span><br/>' +
-                    '<span style="font-size:12px;color:#888">de ' + max + '</span></div>'
-            }
-        }],
-        credits: { enabled: false }
+// Ranks the available municipalities of the chosen area. Cities sharing a
+// territory share its free slots, so each territory is evaluated once.
+async function findOpportunities() {
+    const scope = elements.inputs.finderScope.value;
+    const reference = state.finder.city;
+    const origin = reference ? getCityCentroid(reference.id) : null;
+    const popMin = parseInt(elements.inputs.finderPopMin.value) || 0;
+    const slotsMin = Math.max(parseInt(elements.inputs.finderSlotsMin.value) || 1, 1);
+
+    if (scope === 'uf' && !elements.inputs.finderUf.value) {
+        showToast('Escolha a UF.', 'warning');
+        return;
+    }
+    if (scope === 'regiao' && !elements.inputs.finderRegiao.value) {
+        showToast('Escolha a região.', 'warning');
+        return;
+    }
+    if (scope === 'radius' && !origin) {
+        showToast(reference ? 'Sem coordenadas para a cidade de referência.' : 'Escolha a cidade de referência na lista.', 'warning');
+        return;
+    }
+
+    const candidates = getFinderCandidates(scope, origin);
+    const territories = new Map();
+    const territoryOf = new Map();
+    candidates.forEach(city => {
+        const region = getCityRegion(city.id);
+        const key = region ? `${region.key}:${region.id}` : `city:${city.id}`;
+        if (!territories.has(key)) territories.set(key, getTerritoryMembers(city.id, city.name, city.uf));
+        territoryOf.set(city.id, key);
     });
-}
 
-function showToast(message, type = 'info') {
-    const toast = document.createElement('div');
-    toast.className = `toast toast-${type}`;
-    toast.textContent = message;
-    document.body.appendChild(toast);
-    setTimeout(() => toast.remove(), 3000);
-}
+    elements.containers.finderResults.innerHTML = '<p class="empty-text">Calculando vagas...</p>';
+    const memberIds = [...new Set([...territories.values()].flat().map(m => m.id))];
+    const populations = await getCityPopulations(memberIds);
 
-function populateUfSelect() {
-    const ufs = ['AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA', 'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'];
-    const select = elements.inputs.occupiedUf;
-    ufs.forEach(uf => {
-        const option = document.createElement('option');
-        option.value = uf;
-        option.textContent = uf;
-        select.appendChild(option);
+    const evaluations = new Map();
+    territories.forEach((members, key) => {
+        if (members.some(m => !populations[m.id])) return; // No verdict without population
+        evaluations.set(key, evaluateTerritory(members.map(m => ({ ...m, population: populations[m.id].value }))));
     });
+
+    const results = candidates
+        .filter(city => evaluations.has(territoryOf.get(city.id)))
+        .map(city => {
+            const { currentDealers, maxDealers } = evaluations.get(territoryOf.get(city.id));
+            const position = getCityCentroid(city.id);
+            return {
+                city,
+                population: populations[city.id].value,
+                // A dealer inside the exclusivity radius closes the city whatever its slots
+                freeSlots: getRadiusConflict(city.id) ? 0 : maxDealers - currentDealers,
+                distance: origin && position ? distanceKm(origin, position) : null
+            };
+        })
+        .filter(r => r.freeSlots >= slotsMin && r.population >= popMin)
+        .sort((a, b) => (origin
+            ? (a.distance ?? Infinity) - (b.distance ?? Infinity)
+            : b.freeSlots - a.freeSlots || b.population - a.population));
+
+    state.finder.results = results;
+    renderFinderResults(candidates.filter(c => !evaluations.has(territoryOf.get(c.id))).length);
 }
 
-// --- Admin & Config ---
-function loadConfig() {
-    const saved = localStorage.getItem('dealerCheckConfigV2');
-    if (saved) {
-        state.config = JSON.parse(saved);
-        elements.inputs.density.value = state.config.densityRule;
-        renderOccupiedList();
+function renderFinderResults(withoutData) {
+    const results = state.finder.results;
+    const container = elements.containers.finderResults;
+    elements.buttons.finderExport.classList.toggle('hidden', results.length === 0);
+
+    if (results.length === 0) {
+        container.innerHTML = '<p class="empty-text">Nenhuma cidade disponível com esses filtros.</p>';
+        return;
     }
-}
 
-function saveConfig() {
-    localStorage.setItem('dealerCheckConfigV2', JSON.stringify(state.config));
-    showToast('Configurações salvas!', 'success');
-    updateMapData();
-    renderAdminChart();
+    container.innerHTML = `
+        <p class="finder-summary">${results.length} cidades disponíveis${results.length > FINDER_MAX_ROWS ? ` (mostrando as ${FINDER_MAX_ROWS} primeiras)` : ''}${withoutData > 0 ? ` · ${withoutData} sem dados de população` : ''}</p>
+        <div class="territory-table-wrapper finder-table">
+            <table class="territory-table">
+                <thead><tr><th>Município</th><th>Vagas livres</th><th>População</th><th>Distância</th></tr></thead>
+                <tbody>
+                    ${results.slice(0, FINDER_MAX_ROWS).map(r => `
+                        <tr class="clickable-row" onclick="openFinderResult(${r.city.id})">
+                            <td>${r.city.name} - ${r.city.uf}</td>
+                            <td>${r.freeSlots}</td>
+                            <td>${r.population.toLocaleString('pt-BR')}</td>
+                            <td>${r.distance !== null ? `${Math.round(r.distance).toLocaleString('pt-BR')} km` : '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
 }
 
-function renderAdminChart() {
-    const counts = {};
-    state.config.occupiedCities.forEach(item => {
+window.openFinderResult = function (ibgeId) {
+    const city = state.allCities.find(c => c.id === ibgeId);
+    if (!city) return;
+    selectSearchCity(city);
+    elements.containers.result.scrollIntoView({ behavior: 'smooth' });
+};
+
+function exportFinderResults() {
+    if (!ensureSpreadsheetLib()) return;
+
+    const rows = state.finder.results.map(r => ({
+        [IMPORT_FIELDS.ibge.label]: r.city.id,
+        'Município': r.city.name,
+        'UF': r.city.uf,
+        'Vagas livres': r.freeSlots,
+        'População': r.population,
+        'Distância (km)': r.distance !== null ? Math.round(r.distance) : ''
+    }));
+    downloadSheet(rows, 'Oportunidades', `cidades-disponiveis-${todayISO()}.csv`);
+}
+
+// --- Territory Logic ---
+function getCityRegion(ibgeId) {
+    return Availability.getCityRegion(getLineConfig(), state.allCities, ibgeId);
+}
+
+function getTerritoryMembers(ibgeId, city, uf) {
+    return Availability.getTerritoryMembers(getLineConfig(), state.allCities, ibgeId, city, uf);
+}
+
+// --- Population Data ---
+const POPULATION_CACHE_KEY = 'dealerCheckPopulationV1';
+const POPULATION_API = 'https://servicodados.ibge.gov.br/api/v3/agregados/6579/periodos/-1/variaveis/9324';
+const POPULATION_LIVE_SOURCE = 'IBGE - Estimativas da População (SIDRA 6579)';
+const POPULATION_LIVE_MAX_IDS = 300; // Longer id lists are fetched as the whole country to keep the URL short
+
+// Picks the most recent of the bundled table (population-data.js) and the
+// last refresh an admin pulled from the IBGE API.
+function loadPopulationData() {
+    const candidates = [];
+
+    if (window.POPULATION_DATA && window.POPULATION_DATA.values) {
+        candidates.push({ ...window.POPULATION_DATA, origin: 'base local' });
+    }
+
+    try {
+        const cached = JSON.parse(localStorage.getItem(POPULATION_CACHE_KEY));
+        if (cached && cached.values) candidates.push({ ...cached, origin: 'atualização IBGE' });
+    } catch (e) {
+        console.error('Erro ao ler população em cache', e);
+    }
+
+    state.population = candidates
+        .filter(table => Object.keys(table.values).length > 0)
+        .sort((a, b) => (b.year || 0) - (a.year || 0))[0] || null;
+
+    if (!state.population) {
+        console.warn('Nenhuma tabela de população local disponível.');
+    }
+    renderPopulationStatus();
+}
+
+// Returns an object keyed by IBGE id with { value, year, source, origin }.
+// Cities missing from the local table are looked up on the IBGE API; cities
+// that cannot be resolved are simply absent from the result.
+async function getCityPopulations(ibgeIds) {
+    const result = {};
+    const missing = [];
+    const table = state.population;
+
+    ibgeIds.forEach(id => {
+        const value = table ? table.values[id] : null;
+        if (value) {
+            result[id] = { value, year: table.year, source: table.source, origin: table.origin };
+        } else {
+            missing.push(id);
+        }
+    });
+
+    if (missing.length > 0) {
+        const live = await fetchLivePopulations(missing.length > POPULATION_LIVE_MAX_IDS ? null : missing);
+        missing.forEach(id => {
+            if (live[id]) result[id] = live[id];
+        });
+    }
+    return result;
+}
+
+// Queries the IBGE estimates for the given ids, or for every municipality
+// when no ids are given.
+async function fetchLivePopulations(ibgeIds) {
+    const result = {};
+    const scope = ibgeIds ? ibgeIds.join(',') : 'all';
+
+    try {
+        const response = await fetch(`${POPULATION_API}?localidades=N6[${scope}]`);
+        const data = await response.json();
+        const series = data[0]?.resultados[0]?.series || [];
+        series.forEach(item => {
+            const [year, raw] = Object.entries(item.serie)[0];
+            const value = parseInt(raw);
+            if (!isNaN(value)) {
+                result[item.localidade.id] = { value, year: parseInt(year), source: POPULATION_LIVE_SOURCE, origin: 'consulta IBGE online' };
+            }
+        });
+    } catch (error) {
+        console.error('Erro IBGE:', error);
+    }
+    return result;
+}
+
+async function refreshPopulationData() {
+    showToast('Consultando IBGE...', 'info');
+    const live = await fetchLivePopulations();
+    const ids = Object.keys(live);
+
+    if (ids.length === 0) {
+        showToast('IBGE indisponível. Mantida a base atual.', 'error');
+        return;
+    }
+
+    const values = {};
+    ids.forEach(id => { values[id] = live[id].value; });
+    const table = {
+        year: Math.max(...ids.map(id => live[id].year)),
+        source: POPULATION_LIVE_SOURCE,
+        fetchedAt: new Date().toISOString(),
+        values
+    };
+
+    localStorage.setItem(POPULATION_CACHE_KEY, JSON.stringify(table));
+    loadPopulationData();
+    showToast(`População atualizada (${ids.length} municípios).`, 'success');
+}
+
+function renderPopulationStatus() {
+    const status = elements.containers.populationStatus;
+    if (!status) return;
+
+    const table = state.population;
+    status.textContent = table
+        ? `${table.source} — ${table.year} (${Object.keys(table.values).length.toLocaleString('pt-BR')} municípios, ${table.origin})`
+        : 'Nenhuma base local carregada. Consultas dependem do IBGE online.';
+}
+
+// --- Density Rules ---
+// Capacity is kept fractional so regional territories can sum it before flooring.
+function computeCapacity(city, population) {
+    return Availability.computeCapacity(getLineConfig(), city, population);
+}
+
+function describeRuleMatch(rule) {
+    const match = rule.match || {};
+    const parts = [];
+    if (match.uf) parts.push(`UF ${match.uf}`);
+    if (match.regiao) parts.push(`Região ${REGIOES[match.regiao] ? REGIOES[match.regiao].label : match.regiao}`);
+    if (match.popMin != null) parts.push(`Pop. ≥ ${match.popMin.toLocaleString('pt-BR')}`);
+    if (match.popMax != null) parts.push(`Pop. < ${match.popMax.toLocaleString('pt-BR')}`);
+    if (match.ibgeIds && match.ibgeIds.length > 0) parts.push(`IBGE ${match.ibgeIds.join(', ')}`);
+    return parts.length > 0 ? parts.join(' · ') : 'Todas as cidades';
+}
+
+function describeRuleLimits(rule) {
+    let text = `1 rev. / ${Number(rule.ratio).toLocaleString('pt-BR')} hab.`;
+    if (rule.minSlots) text += ` · mín. ${rule.minSlots}`;
+    if (rule.maxSlots != null) text += ` · máx. ${rule.maxSlots}`;
+    return text;
+}
+
+// --- Business Logic ---
+const DEALER_STATUS_LABELS = {
+    active: 'Ativo',
+    suspended: 'Suspenso',
+    churned: 'Encerrado'
+};
+
+function getOccupiedEntry(ibgeId) {
+    return Availability.getOccupiedEntry(getLineConfig(), ibgeId);
+}
+
+function getCityDealers(ibgeId) {
+    return Availability.getCityDealers(getLineConfig(), ibgeId);
+}
+
+function getCityHolds(ibgeId) {
+    return Availability.getCityHolds(getLineConfig(), ibgeId);
+}
+
+// Active dealers whose contract ends within the configured warning window
+function getExpiringDealers(item) {
+    return Availability.getExpiringDealers(getLineConfig(), item);
+}
+
+// Lead holds take a slot just like an active dealer
+function evaluateTerritory(territoryMembers) {
+    return Availability.evaluateTerritory(getLineConfig(), territoryMembers);
+}
+
+// --- UI Functions ---
+// Dealer, lead and spreadsheet values end up in innerHTML templates
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function showResult(result) {
+    const container = elements.containers.result;
+    container.classList.remove('hidden');
+
+    let html = '';
+    const { city, uf, population, rule, forecastDays, radiusConflict } = result;
+    const popFormatted = `${population.value.toLocaleString('pt-BR')} <span class="result-source">(${population.source}, ${population.year} · ${population.origin})</span>`;
+    const territoryHtml = renderTerritoryBreakdown(result.territory);
+    const lineName = getSelectedLineName();
+    const ruleHtml = `${lineName ? `<p class="result-rule"><i class="fa-solid fa-tag"></i> Linha: <strong>${escapeHtml(lineName)}</strong></p>` : ''}
+                <p class="result-rule"><i class="fa-solid fa-scale-balanced"></i> Regra aplicada: <strong>${escapeHtml(rule.name)}</strong> (${describeRuleLimits(rule)})</p>`;
+
+    if (result.status === 'available') {
+        html = `
+            <div class="glass-card result-card status-available-card">
+                <div class="status-icon"><i class="fa-solid fa-check"></i></div>
+                <h2 class="result-title">DISPONÍVEL</h2>
+                <p class="result-city">${city} - ${uf}</p>
+                <p class="result-pop"><i class="fa-solid fa-users"></i> População: ${popFormatted}</p>
+                ${ruleHtml}
+                <div id="saturation-gauge" style="height: 200px; margin: 1rem 0;"></div>
+                <p class="result-desc">Esta praça está aberta para novos parceiros.</p>
+                ${territoryHtml}
+                ${RESULT_ACTIONS_HTML}
+                ${state.readOnly ? '' : `
+                <div id="lead-capture" class="lead-capture">
+                    <button onclick="showLeadForm()" class="cta-btn-result">TENHO INTERESSE</button>
+                </div>`}
+            </div>
+        `;
+    } else {
+        html = `
+            <div class="glass-card result-card status-unavailable-card">
+                <div class="status-icon"><i class="fa-solid fa-xmark"></i></div>
+                <h2 class="result-title">INDISPONÍVEL</h2>
+                ${forecastDays !== null ? `<p class="result-forecast"><i class="fa-solid fa-hourglass-half"></i> Vaga prevista em ${forecastDays} ${forecastDays === 1 ? 'dia' : 'dias'}</p>` : ''}
+                ${radiusConflict ? `<p class="result-forecast"><i class="fa-solid fa-location-crosshairs"></i> ${describeRadiusConflict(radiusConflict)}</p>` : ''}
+                <p class="result-city">${city} - ${uf}</p>
+                <p class="result-pop"><i class="fa-solid fa-users"></i> População: ${popFormatted}</p>
+                ${ruleHtml}
+                <div id="saturation-gauge" style="height: 200px; margin: 1rem 0;"></div>
+                <p class="result-desc">${radiusConflict
+                    ? radiusConflict.unchecked
+                        ? 'O raio de exclusividade não pôde ser verificado, então a praça não é oferecida.'
+                        : 'Já existe um revendedor dentro do raio de exclusividade desta praça.'
+                    : forecastDays !== null
+                        ? 'Esta praça está no limite, mas um contrato vence em breve.'
+                        : 'Esta praça já atingiu o limite de parceiros.'}</p>
+                ${territoryHtml}
+                ${RESULT_ACTIONS_HTML}
+                ${state.readOnly ? '' : `
+                <div id="waitlist-capture" class="lead-capture">
+                    <button onclick="showWaitlistForm()" class="cta-btn-result">ENTRAR NA FILA</button>
+                </div>`}
+            </div>
+        `;
+    }
+
+    container.innerHTML = html;
+    renderGaugeChart(result.currentDealers, result.capacity);
+    if (result.status !== 'available' && !state.readOnly) showWaitlistPlace(result.ibgeId);
+}
+
+function describeRadiusConflict({ city, uf, distanceKm, radiusKm, unchecked, missing }) {
+    const km = value => value.toLocaleString('pt-BR', { maximumFractionDigits: 1 });
+    if (unchecked) {
+        const places = missing.map(m => (m.city ? `${m.city} - ${m.uf}` : 'esta praça')).join(', ');
+        return `Raio de exclusividade (${km(radiusKm)} km) não verificado: sem coordenadas para ${places}`;
+    }
+    return `Revendedor em ${city} - ${uf}, a ${km(distanceKm)} km (raio de exclusividade: ${km(radiusKm)} km)`;
+}
+
+// Never guess a population: without it there is no verdict to give
+function showNoDataResult({ city, uf, missing }) {
+    const container = elements.containers.result;
+    container.classList.remove('hidden');
+
+    const names = missing.map(m => `${m.name} - ${m.uf}`).join(', ');
+    container.innerHTML = `
+        <div class="glass-card result-card status-nodata-card">
+            <div class="status-icon"><i class="fa-solid fa-circle-question"></i></div>
+            <h2 class="result-title">SEM DADOS</h2>
+            <p class="result-city">${city} - ${uf}</p>
+            <p class="result-desc">Não há população oficial disponível para: ${names}.</p>
+            <p class="result-desc">A disponibilidade não pode ser avaliada sem esse dado. Tente novamente quando houver conexão com o IBGE.</p>
+        </div>
+    `;
+}
+
+// Lists how each municipality of a regional territory contributes to the
+// summed capacity. Nothing is rendered at city level.
+function renderTerritoryBreakdown(territory) {
+    if (!territory || territory.level === 'city') return '';
+
+    const totalPop = territory.members.reduce((sum, m) => sum + m.population, 0);
+    const rows = [...territory.members]
+        .sort((a, b) => b.population - a.population)
+        .map(m => `
+            <tr>
+                <td>${m.name} - ${m.uf}</td>
+                <td>${m.population.toLocaleString('pt-BR')}</td>
+                <td>${m.capacity.toLocaleString('pt-BR', { maximumFractionDigits: 1 })}</td>
+                <td>${m.dealers}${m.holds ? ` + ${m.holds} res.` : ''}</td>
+                <td>${escapeHtml(m.rule.name)}</td>
+            </tr>
+        `).join('');
+
+    return `
+        <div class="territory-breakdown">
+            <p class="result-territory">
+                <i class="fa-solid fa-map"></i> ${territory.label}: <strong>${territory.name}</strong>
+                (${territory.members.length} municípios, ${totalPop.toLocaleString('pt-BR')} habitantes)
+            </p>
+            <div class="territory-table-wrapper">
+                <table class="territory-table">
+                    <thead>
+                        <tr><th>Município</th><th>População</th><th>Vagas</th><th>Revend.</th><th>Regra</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+// The report renders a second, dark-on-white copy with a fixed size since its
+// container is hidden until printing.
+function renderGaugeChart(current, max, { container = 'saturation-gauge', textColor = '#fff', width = null, height = null } = {}) {
+    Highcharts.chart(container, {
+        chart: { type: 'solidgauge', backgroundColor: 'transparent', width, height },
+        title: { text: 'Saturação da Praça', style: { color: textColor, fontSize: '14px' } },
+        pane: {
+            center: ['50%', '85%'],
+            size: '100%',
+            startAngle: -90,
+            endAngle: 90,
+            background: { backgroundColor: '#333', innerRadius: '60%', outerRadius: '100%', shape: 'arc' }
+        },
+        yAxis: {
+            min: 0,
+            max: max,
+            stops: [[0.1, '#55BF3B'], [0.5, '#DDDF0D'], [0.9, '#DF5353']],
+            lineWidth: 0,
+            tickWidth: 0,
+            minorTickInterval: null,
+            tickAmount: 2,
+            title: { y: -70 },
+            labels: { y: 16, style: { color: textColor } }
+        },
+        plotOptions: { solidgauge: { dataLabels: { y: 5, borderWidth: 0, useHTML: true } } },
+        series: [{
+            name: 'Revendedores',
+            data: [current],
+            dataLabels: {
+                format: `<div style="text-align:center"><span style="font-size:25px;color:${textColor}">{y}</span><br/>` +
+                    '<span style="font-size:12px;color:#888">de ' + max + '</span></div>'
+            }
+        }],
+        credits: { enabled: false }
+    });
+}
+
+function showToast(message, type = 'info') {
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 3000);
+}
+
+function populateUfSelect() {
+    const ufs = ['AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA', 'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'];
+    [elements.inputs.occupiedUf, elements.inputs.ruleUf, elements.inputs.auditUf, elements.inputs.finderUf].forEach(select => {
+        ufs.forEach(uf => {
+            const option = document.createElement('option');
+            option.value = uf;
+            option.textContent = uf;
+            select.appendChild(option);
+        });
+    });
+
+    [elements.inputs.ruleRegiao, elements.inputs.finderRegiao].forEach(select => {
+        Object.keys(REGIOES).forEach(sigla => {
+            const option = document.createElement('option');
+            option.value = sigla;
+            option.textContent = REGIOES[sigla].label;
+            select.appendChild(option);
+        });
+    });
+}
+
+// --- Deep Links & Reports ---
+// Every check is reflected in the URL as ?ibge=<code>, plus &line=<id> for
+// lines other than the main one, so the address bar is always a shareable
+// link to the current result.
+const DEEP_LINK_PARAM = 'ibge';
+const DEEP_LINK_LINE_PARAM = 'line';
+
+const RESULT_ACTIONS_HTML = `
+    <div class="result-actions">
+        <button onclick="copyResultLink()" class="small-btn"><i class="fa-solid fa-link"></i> COPIAR LINK</button>
+        <button onclick="downloadReport()" class="small-btn"><i class="fa-solid fa-file-pdf"></i> BAIXAR RELATÓRIO</button>
+    </div>
+`;
+
+function updateDeepLink(ibgeId) {
+    const url = new URL(location.href);
+    url.searchParams.set(DEEP_LINK_PARAM, ibgeId);
+    if (state.lineId === DEFAULT_LINE_ID) url.searchParams.delete(DEEP_LINK_LINE_PARAM);
+    else url.searchParams.set(DEEP_LINK_LINE_PARAM, state.lineId);
+    history.replaceState(null, '', url);
+}
+
+function openDeepLink() {
+    const params = new URLSearchParams(location.search);
+    const lineId = params.get(DEEP_LINK_LINE_PARAM);
+    if (lineId && getProductLine(state.config, lineId)) selectLine(lineId);
+
+    const ibgeId = params.get(DEEP_LINK_PARAM);
+    if (!ibgeId) return;
+
+    const city = state.allCities.find(c => c.id == ibgeId);
+    if (!city) {
+        showToast('Link inválido: cidade não encontrada.', 'error');
+        return;
+    }
+    elements.inputs.search.value = `${city.name} - ${city.uf}`;
+    processLocationSelection(city.name, city.uf, city.id);
+}
+
+window.copyResultLink = async function () {
+    try {
+        await navigator.clipboard.writeText(location.href);
+        showToast('Link copiado!', 'success');
+    } catch (error) {
+        showToast('Não foi possível copiar o link.', 'error');
+    }
+};
+
+// Fills the hidden report block and opens the print dialog, where the page
+// can be printed or saved as PDF. Print styles hide everything else.
+window.downloadReport = function () {
+    const { city, uf, ibgeId, population, rule, currentDealers, capacity, forecastDays, radiusConflict, territory, checkedAt } = state.selectedLocation.result;
+    const verdict = state.selectedLocation.result.status === 'available' ? 'DISPONÍVEL' : 'INDISPONÍVEL';
+    const lineName = getSelectedLineName();
+
+    elements.containers.printReport.innerHTML = `
+        <header class="report-header">
+            <img src="assets/logo.png" alt="EAG Clothing" class="report-logo">
+            <h1>RELATÓRIO DE DISPONIBILIDADE</h1>
+        </header>
+        <h2 class="report-verdict">${city} - ${uf}: ${verdict}</h2>
+        ${forecastDays !== null ? `<p>Vaga prevista em ${forecastDays} ${forecastDays === 1 ? 'dia' : 'dias'}.</p>` : ''}
+        ${radiusConflict ? `<p>${describeRadiusConflict(radiusConflict)}.</p>` : ''}
+        <table class="report-table">
+            <tr><th>Município</th><td>${city} - ${uf} (IBGE ${ibgeId})</td></tr>
+            ${lineName ? `<tr><th>Linha de produto</th><td>${escapeHtml(lineName)}</td></tr>` : ''}
+            <tr><th>População</th><td>${population.value.toLocaleString('pt-BR')} habitantes</td></tr>
+            <tr><th>Fonte</th><td>${population.source}, ${population.year} · ${population.origin}</td></tr>
+            <tr><th>Regra aplicada</th><td>${escapeHtml(rule.name)} (${describeRuleLimits(rule)})</td></tr>
+            <tr><th>Revendedores</th><td>${currentDealers} de ${capacity} vagas ocupadas</td></tr>
+            <tr><th>Data da consulta</th><td>${new Date(checkedAt).toLocaleString('pt-BR')}</td></tr>
+        </table>
+        <div id="report-gauge" class="report-gauge"></div>
+        ${renderTerritoryBreakdown(territory)}
+        <p class="report-link">${location.href}</p>
+    `;
+    renderGaugeChart(currentDealers, capacity, { container: 'report-gauge', textColor: '#000', width: 400, height: 200 });
+
+    // The document title becomes the suggested PDF file name
+    const title = document.title;
+    document.title = `Disponibilidade - ${city} - ${uf}`;
+    window.print();
+    document.title = title;
+};
+
+// --- Lead Capture ---
+// "Tenho interesse" on an available result: the server holds one slot in the
+// city while the lead waits for an admin decision.
+window.showLeadForm = function () {
+    document.getElementById('lead-capture').innerHTML = `
+        <p class="result-desc">Deixe seus dados: reservamos uma vaga nesta praça enquanto analisamos seu cadastro.</p>
+        <div class="lead-inputs">
+            <input type="text" id="lead-name" placeholder="Nome / Razão social">
+            <input type="tel" id="lead-phone" placeholder="Telefone / WhatsApp">
+            <input type="email" id="lead-email" placeholder="E-mail">
+            <input type="text" id="lead-cnpj" placeholder="CNPJ">
+        </div>
+        <button onclick="submitLead()" class="full-width-btn">RESERVAR VAGA</button>
+    `;
+    document.getElementById('lead-name').focus();
+};
+
+window.submitLead = async function () {
+    const { ibgeId, uf } = state.selectedLocation;
+    const value = id => document.getElementById(id).value.trim();
+    const lead = { ibgeId, uf, lineId: state.lineId, name: value('lead-name'), phone: value('lead-phone'), email: value('lead-email'), cnpj: value('lead-cnpj') };
+
+    if (!lead.name || !lead.phone || !lead.email) {
+        showToast('Preencha nome, telefone e e-mail.', 'error');
+        return;
+    }
+    if (!CNPJ.isValid(lead.cnpj)) {
+        showToast('CNPJ inválido.', 'error');
+        return;
+    }
+
+    try {
+        const hold = await apiRequest('POST', '/leads', lead);
+        state.config = { ...state.config, holds: [...state.config.holds, { ibgeId: Number(ibgeId), until: hold.until, lineId: state.lineId }] };
+        document.getElementById('lead-capture').innerHTML = `
+            <p class="lead-confirmation"><i class="fa-solid fa-circle-check"></i> Vaga reservada até ${new Date(hold.until).toLocaleDateString('pt-BR')}. Entraremos em contato.</p>
+        `;
+        updateMapData();
+    } catch (error) {
+        showToast(`Erro ao enviar: ${error.message}`, 'error');
+    }
+};
+
+// --- Waitlist ---
+// "Entrar na fila" on a full result. The id of each entry joined from this
+// browser is kept so later lookups of the city show the place in line.
+const WAITLIST_KEY = 'dealerCheckWaitlist'; // { [waitlistSlot()]: waitlist entry id }
+
+function getWaitlistIds() {
+    return JSON.parse(localStorage.getItem(WAITLIST_KEY) || '{}');
+}
+
+// Each line has its own queue; main-line keys are bare IBGE ids as before lines existed
+function waitlistSlot(ibgeId) {
+    return state.lineId === DEFAULT_LINE_ID ? String(ibgeId) : `${ibgeId}:${state.lineId}`;
+}
+
+function renderWaitlistPlace(place) {
+    const capture = document.getElementById('waitlist-capture');
+    if (!capture) return;
+    capture.innerHTML = `
+        <p class="lead-confirmation"><i class="fa-solid fa-list-ol"></i> Você é o ${place.position}º da fila de ${place.city} (${place.total} ${place.total === 1 ? 'pessoa' : 'pessoas'} aguardando). Avisaremos quando abrir uma vaga.</p>
+    `;
+}
+
+// Entries no longer waiting (offered or removed) are forgotten
+async function showWaitlistPlace(ibgeId) {
+    const ids = getWaitlistIds();
+    const slot = waitlistSlot(ibgeId);
+    if (!ids[slot]) return;
+
+    try {
+        const place = await apiRequest('GET', `/waitlist/${ids[slot]}`);
+        if (state.selectedLocation.ibgeId != ibgeId) return;
+        if (place.status === 'waiting') {
+            renderWaitlistPlace(place);
+            return;
+        }
+    } catch (error) {
+        if (error.status !== 404) return;
+    }
+    delete ids[slot];
+    localStorage.setItem(WAITLIST_KEY, JSON.stringify(ids));
+}
+
+window.showWaitlistForm = function () {
+    document.getElementById('waitlist-capture').innerHTML = `
+        <p class="result-desc">Deixe seus dados para entrar na fila desta praça. Quando uma vaga abrir, os primeiros da fila são chamados.</p>
+        <div class="lead-inputs">
+            <input type="text" id="waitlist-name" placeholder="Nome / Razão social">
+            <input type="tel" id="waitlist-phone" placeholder="Telefone / WhatsApp">
+            <input type="email" id="waitlist-email" placeholder="E-mail">
+            <input type="text" id="waitlist-cnpj" placeholder="CNPJ">
+        </div>
+        <button onclick="submitWaitlist()" class="full-width-btn">ENTRAR NA FILA</button>
+    `;
+    document.getElementById('waitlist-name').focus();
+};
+
+window.submitWaitlist = async function () {
+    const { ibgeId, uf } = state.selectedLocation;
+    const value = id => document.getElementById(id).value.trim();
+    const entry = { ibgeId, uf, lineId: state.lineId, name: value('waitlist-name'), phone: value('waitlist-phone'), email: value('waitlist-email'), cnpj: value('waitlist-cnpj') };
+
+    if (!entry.name || !entry.phone || !entry.email) {
+        showToast('Preencha nome, telefone e e-mail.', 'error');
+        return;
+    }
+    if (!CNPJ.isValid(entry.cnpj)) {
+        showToast('CNPJ inválido.', 'error');
+        return;
+    }
+
+    try {
+        const place = await apiRequest('POST', '/waitlist', entry);
+        localStorage.setItem(WAITLIST_KEY, JSON.stringify({ ...getWaitlistIds(), [waitlistSlot(ibgeId)]: place.id }));
+        renderWaitlistPlace(place);
+    } catch (error) {
+        showToast(`Erro ao enviar: ${error.message}`, 'error');
+    }
+};
+
+// --- Backend API ---
+const API_BASE = '/api';
+const CONFIG_CACHE_KEY = 'dealerCheckConfigCacheV5';
+const OLD_CONFIG_CACHE_KEY = 'dealerCheckConfigCacheV4'; // Held full dealer records; dropped on the next save
+const LEGACY_CONFIG_KEY = 'dealerCheckConfigV2'; // Pre-backend config kept only in this browser
+
+async function apiRequest(method, path, body) {
+    const headers = body ? { 'Content-Type': 'application/json' } : {};
+    if (state.session) headers.Authorization = `Bearer ${state.session.token}`;
+
+    const response = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401 && state.session) {
+        endSession();
+        showToast('Sessão expirada. Entre novamente.', 'error');
+    }
+    if (!response.ok) {
+        const error = new Error(data.error || `Erro ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+// Refuses admin changes while working from the offline cache
+function ensureWritable() {
+    if (state.readOnly) {
+        showToast('Servidor indisponível: alterações desativadas.', 'error');
+        return false;
+    }
+    return true;
+}
+
+// --- Offline Mode ---
+// sw.js keeps the app, its libraries and the municipality data available
+// offline; the dealer network is the config last cached by applyConfig().
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Erro ao registrar o service worker', error);
+    });
+}
+
+// Says how old the data behind every answer is while working offline
+function renderSyncBanner() {
+    const banner = elements.containers.syncBanner;
+    banner.classList.toggle('hidden', !state.readOnly);
+    if (!state.readOnly) return;
+
+    const date = state.syncedAt
+        ? new Date(state.syncedAt).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })
+        : null;
+    banner.innerHTML = `
+        <i class="fa-solid fa-cloud-arrow-down"></i>
+        <span>${date ? `Sem conexão · dados de ${date}` : 'Sem conexão · nenhum dado sincronizado'}. As consultas usam esta cópia; alterações ficam desativadas.</span>
+        <button onclick="resyncConfig()" class="small-btn">SINCRONIZAR</button>
+    `;
+}
+
+window.resyncConfig = async function () {
+    await loadConfig();
+    if (!state.readOnly) showToast('Dados sincronizados.', 'success');
+};
+
+// The browser knows before any request fails
+function goOffline() {
+    state.readOnly = true;
+    renderSyncBanner();
+}
+
+// --- Session & Permissions ---
+const SESSION_KEY = 'dealerCheckSession';
+const ROLE_LABELS = {
+    viewer: 'Visualizador',
+    regional: 'Gerente regional',
+    superadmin: 'Super-admin'
+};
+
+async function login() {
+    const username = elements.inputs.adminUser.value.trim();
+    const password = elements.inputs.adminPass.value;
+    if (!username || !password) {
+        showToast('Informe usuário e senha', 'error');
+        return;
+    }
+
+    try {
+        startSession(await apiRequest('POST', '/auth/login', { username, password }));
+    } catch (error) {
+        showToast(error.status ? error.message : 'Servidor indisponível', 'error');
+    }
+}
+
+async function logout() {
+    try {
+        await apiRequest('POST', '/auth/logout');
+    } catch (error) {
+        console.error('Erro ao encerrar sessão', error);
+    }
+    endSession();
+}
+
+// Re-validates a token kept from an earlier page load in this tab
+async function restoreSession() {
+    const saved = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+    if (!saved) return;
+
+    state.session = saved;
+    try {
+        const user = await apiRequest('GET', '/auth/me');
+        startSession({ token: saved.token, user });
+    } catch (error) {
+        endSession();
+    }
+}
+
+function startSession(session) {
+    state.session = session;
+    state.isAdmin = true;
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+
+    elements.containers.loginPanel.classList.add('hidden');
+    elements.containers.adminPanel.classList.remove('hidden');
+    elements.inputs.adminPass.value = '';
+
+    applyPermissions();
+    // Brings the dealer records, then the chart, history, leads and queue
+    loadConfig();
+    if (hasRole('superadmin')) {
+        loadUsers();
+        loadApiKeys();
+        loadWebhooks();
+    }
+}
+
+function endSession() {
+    state.session = null;
+    state.isAdmin = false;
+    sessionStorage.removeItem(SESSION_KEY);
+
+    elements.containers.loginPanel.classList.remove('hidden');
+    elements.containers.adminPanel.classList.add('hidden');
+    elements.inputs.adminPass.value = '';
+    loadConfig(); // Back to the visitor's config, without dealer records
+}
+
+function hasRole(...roles) {
+    return Boolean(state.session && roles.includes(state.session.user.role));
+}
+
+// Mirrors the server rule: super-admins edit any UF, regional managers their own
+function canEditUf(uf) {
+    if (hasRole('superadmin')) return true;
+    return hasRole('regional') && state.session.user.ufs.includes(uf);
+}
+
+// Shows only the controls the current role may use. The server enforces the
+// same rules; this just avoids offering actions that would be rejected.
+function applyPermissions() {
+    const { user } = state.session;
+    elements.containers.adminIdentity.textContent = `${user.username} · ${ROLE_LABELS[user.role]}${user.ufs.length ? ` (${user.ufs.join(', ')})` : ''}`;
+
+    document.querySelectorAll('.requires-superadmin').forEach(el => el.classList.toggle('hidden', !hasRole('superadmin')));
+    document.querySelectorAll('.requires-editor').forEach(el => el.classList.toggle('hidden', !hasRole('superadmin', 'regional')));
+
+    // Regional managers only get their own UFs in the occupied-city form
+    Array.from(elements.inputs.occupiedUf.options).forEach(option => {
+        if (!option.value) return;
+        option.hidden = !canEditUf(option.value);
+        option.disabled = !canEditUf(option.value);
+    });
+
+    renderOccupiedList();
+    renderDensityRules();
+}
+
+async function loadUsers() {
+    try {
+        renderUsersList(await apiRequest('GET', '/users'));
+    } catch (error) {
+        showToast(`Erro ao carregar usuários: ${error.message}`, 'error');
+    }
+}
+
+function renderUsersList(users) {
+    const list = elements.containers.usersList;
+    list.innerHTML = '';
+
+    users.forEach(user => {
+        const li = document.createElement('li');
+        li.className = 'occupied-item';
+        li.innerHTML = `
+            <div class="occupied-info">
+                <strong>${escapeHtml(user.username)}</strong>
+                <span>${ROLE_LABELS[user.role]}${user.ufs.length ? ` · ${user.ufs.join(', ')}` : ''}</span>
+            </div>
+            ${user.id !== state.session.user.id ? `<button onclick="removeUser('${user.id}')" class="remove-btn"><i class="fa-solid fa-trash"></i></button>` : ''}
+        `;
+        list.appendChild(li);
+    });
+}
+
+async function addUser() {
+    const body = {
+        username: elements.inputs.newUserName.value.trim(),
+        password: elements.inputs.newUserPass.value,
+        role: elements.inputs.newUserRole.value,
+        ufs: elements.inputs.newUserUfs.value.toUpperCase().split(/[\s,;]+/).filter(Boolean)
+    };
+
+    try {
+        await apiRequest('POST', '/users', body);
+        ['newUserName', 'newUserPass', 'newUserUfs'].forEach(key => { elements.inputs[key].value = ''; });
+        showToast('Usuário criado!', 'success');
+        loadUsers();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+window.removeUser = async function (id) {
+    try {
+        await apiRequest('DELETE', `/users/${id}`);
+        loadUsers();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+// --- API Keys ---
+async function loadApiKeys() {
+    try {
+        renderApiKeys(await apiRequest('GET', '/api-keys'));
+    } catch (error) {
+        showToast(`Erro ao carregar chaves de API: ${error.message}`, 'error');
+    }
+}
+
+function renderApiKeys(keys) {
+    const list = elements.containers.apiKeysList;
+    list.innerHTML = '';
+
+    if (keys.length === 0) {
+        list.innerHTML = '<li class="occupied-item"><span class="empty-text">Nenhuma chave criada.</span></li>';
+        return;
+    }
+
+    keys.forEach(key => {
+        const li = document.createElement('li');
+        li.className = 'occupied-item';
+        li.innerHTML = `
+            <div class="occupied-info">
+                <strong>${escapeHtml(key.name)}</strong>
+                <span>${key.prefix}… · ${key.rateLimit} req/min · ${escapeHtml(key.createdBy)}, ${new Date(key.createdAt).toLocaleDateString('pt-BR')}</span>
+            </div>
+            <button onclick="removeApiKey('${key.id}')" class="remove-btn" title="Revogar"><i class="fa-solid fa-trash"></i></button>
+        `;
+        list.appendChild(li);
+    });
+}
+
+// The server returns the key only once, so it is shown until the next one
+async function addApiKey() {
+    const body = {
+        name: elements.inputs.newKeyName.value.trim(),
+        rateLimit: elements.inputs.newKeyLimit.value || undefined
+    };
+
+    try {
+        const created = await apiRequest('POST', '/api-keys', body);
+        elements.inputs.newKeyName.value = '';
+        elements.inputs.newKeyLimit.value = '';
+        elements.containers.newKeyResult.innerHTML = `
+            <p class="api-key-created">Copie a chave agora: ela não será exibida novamente.<code>${created.key}</code></p>
+        `;
+        loadApiKeys();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+window.removeApiKey = async function (id) {
+    if (!confirm('Revogar esta chave? Os sistemas que a usam perdem o acesso.')) return;
+
+    try {
+        await apiRequest('DELETE', `/api-keys/${id}`);
+        loadApiKeys();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+// --- Webhooks ---
+const WEBHOOK_EVENT_LABELS = {
+    'city.available': 'Praça ficou disponível',
+    'city.full': 'Praça atingiu o limite',
+    'dealer.added': 'Revendedor adicionado',
+    'dealer.removed': 'Revendedor removido',
+    'density.changed': 'Regra de densidade alterada',
+    'contract.expiring': 'Contrato a vencer'
+};
+
+function renderWebhookEventOptions() {
+    elements.containers.webhookEvents.innerHTML = Object.entries(WEBHOOK_EVENT_LABELS).map(([event, label]) => `
+        <label><input type="checkbox" value="${event}" checked> ${label}</label>
+    `).join('');
+}
+
+async function loadWebhooks() {
+    try {
+        renderWebhooks(await apiRequest('GET', '/webhooks'));
+    } catch (error) {
+        showToast(`Erro ao carregar webhooks: ${error.message}`, 'error');
+    }
+}
+
+function renderWebhooks(webhooks) {
+    const list = elements.containers.webhooksList;
+    list.innerHTML = '';
+
+    if (webhooks.length === 0) {
+        list.innerHTML = '<li class="occupied-item"><span class="empty-text">Nenhum webhook cadastrado.</span></li>';
+        return;
+    }
+
+    webhooks.forEach(webhook => {
+        const li = document.createElement('li');
+        li.className = 'occupied-item webhook-item';
+        li.innerHTML = `
+            <div class="occupied-info">
+                <strong class="webhook-url">${webhook.url}</strong>
+                <span>${webhook.events.map(event => WEBHOOK_EVENT_LABELS[event] || event).join(' · ')}</span>
+                <span>${escapeHtml(webhook.createdBy)}, ${new Date(webhook.createdAt).toLocaleDateString('pt-BR')}${webhook.active ? '' : ' · pausado'}</span>
+            </div>
+            <div class="item-actions">
+                <button onclick="testWebhook('${webhook.id}')" class="remove-btn" title="Enviar teste"><i class="fa-solid fa-paper-plane"></i></button>
+                <button onclick="toggleWebhookDeliveries('${webhook.id}')" class="remove-btn" title="Entregas recentes"><i class="fa-solid fa-list"></i></button>
+                <button onclick="toggleWebhook('${webhook.id}', ${!webhook.active})" class="remove-btn" title="${webhook.active ? 'Pausar' : 'Reativar'}"><i class="fa-solid fa-${webhook.active ? 'pause' : 'play'}"></i></button>
+                <button onclick="removeWebhook('${webhook.id}')" class="remove-btn" title="Remover"><i class="fa-solid fa-trash"></i></button>
+            </div>
+            <ul id="webhook-deliveries-${webhook.id}" class="dealer-list webhook-deliveries hidden"></ul>
+        `;
+        list.appendChild(li);
+    });
+}
+
+// Like API keys, the signing secret is shown only once
+async function addWebhook() {
+    const checked = elements.containers.webhookEvents.querySelectorAll('input:checked');
+    const body = {
+        url: elements.inputs.newWebhookUrl.value.trim(),
+        events: Array.from(checked).map(input => input.value)
+    };
+
+    try {
+        const created = await apiRequest('POST', '/webhooks', body);
+        elements.inputs.newWebhookUrl.value = '';
+        elements.containers.newWebhookResult.innerHTML = `
+            <p class="api-key-created">Copie o segredo de assinatura agora: ele não será exibido novamente.<code>${created.secret}</code></p>
+        `;
+        loadWebhooks();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+window.testWebhook = async function (id) {
+    try {
+        const delivery = await apiRequest('POST', `/webhooks/${id}/test`);
+        if (delivery.ok) {
+            showToast(`Teste entregue (HTTP ${delivery.status}).`, 'success');
+        } else {
+            showToast(`Falha no teste: ${delivery.error}`, 'error');
+        }
+        refreshWebhookDeliveries(id);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+window.toggleWebhook = async function (id, active) {
+    try {
+        await apiRequest('PUT', `/webhooks/${id}`, { active });
+        loadWebhooks();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+window.removeWebhook = async function (id) {
+    if (!confirm('Remover este webhook? Entregas pendentes serão canceladas.')) return;
+
+    try {
+        await apiRequest('DELETE', `/webhooks/${id}`);
+        loadWebhooks();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+window.toggleWebhookDeliveries = function (id) {
+    const list = document.getElementById(`webhook-deliveries-${id}`);
+    list.classList.toggle('hidden');
+    if (!list.classList.contains('hidden')) refreshWebhookDeliveries(id);
+};
+
+// Only refreshes a delivery log that is open
+async function refreshWebhookDeliveries(id) {
+    const list = document.getElementById(`webhook-deliveries-${id}`);
+    if (!list || list.classList.contains('hidden')) return;
+
+    try {
+        const deliveries = await apiRequest('GET', `/webhooks/${id}/deliveries?limit=20`);
+        list.innerHTML = deliveries.length === 0
+            ? '<li class="dealer-item"><span class="empty-text">Nenhuma entrega ainda.</span></li>'
+            : deliveries.map(delivery => `
+                <li class="dealer-item">
+                    <div class="occupied-info">
+                        <strong>${delivery.event === 'ping' ? 'Teste' : WEBHOOK_EVENT_LABELS[delivery.event] || delivery.event}</strong>
+                        <span>${new Date(delivery.timestamp).toLocaleString('pt-BR')} · tentativa ${delivery.attempt} · ${delivery.durationMs} ms${delivery.nextAttemptAt ? ` · nova tentativa ${new Date(delivery.nextAttemptAt).toLocaleTimeString('pt-BR')}` : ''}</span>
+                    </div>
+                    <span class="lead-badge ${delivery.ok ? 'lead-approved' : 'webhook-failed'}">${delivery.ok ? `HTTP ${delivery.status}` : delivery.error}</span>
+                </li>
+            `).join('');
+    } catch (error) {
+        showToast(`Erro ao carregar entregas: ${error.message}`, 'error');
+    }
+}
+
+async function changePassword() {
+    try {
+        await apiRequest('POST', '/auth/password', {
+            currentPassword: elements.inputs.currentPass.value,
+            newPassword: elements.inputs.newPass.value
+        });
+        elements.inputs.currentPass.value = '';
+        elements.inputs.newPass.value = '';
+        showToast('Senha alterada!', 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// --- Product Lines ---
+// Each line has its own dealers and density rules; the territory level,
+// warning window and exclusivity radius are shared. Everything on screen
+// shows the line picked in either selector (both hidden while there is only
+// the main line).
+let lineConfigCache = { config: null, lineId: null, value: null };
+
+// The config as the selected line sees it, rebuilt whenever state.config is replaced
+function getLineConfig() {
+    if (lineConfigCache.config !== state.config || lineConfigCache.lineId !== state.lineId) {
+        lineConfigCache = { config: state.config, lineId: state.lineId, value: Availability.getLineConfig(state.config, state.lineId) };
+    }
+    return lineConfigCache.value;
+}
+
+// The record holding the selected line's densityRule and densityRules
+function getLineSettings() {
+    return state.lineId === DEFAULT_LINE_ID ? state.config : getProductLine(state.config, state.lineId);
+}
+
+// Copy of `config` with the selected line's density settings replaced
+function withLineSettings(config, settings) {
+    if (state.lineId === DEFAULT_LINE_ID) return { ...config, ...settings };
+    return {
+        ...config,
+        productLines: config.productLines.map(line => (line.id === state.lineId ? { ...line, ...settings } : line))
+    };
+}
+
+// Name shown next to results, or null while there is a single line
+function getSelectedLineName() {
+    if (state.config.productLines.length < 2) return null;
+    const line = getProductLine(state.config, state.lineId);
+    return line ? line.name : null;
+}
+
+function renderLineSelectors() {
+    const lines = state.config.productLines;
+    [elements.inputs.lineSelect, elements.inputs.adminLineSelect].forEach(select => {
+        select.innerHTML = lines.map(line => `<option value="${escapeHtml(line.id)}">${escapeHtml(line.name)}</option>`).join('');
+        select.value = state.lineId;
+    });
+    elements.containers.lineField.classList.toggle('hidden', lines.length < 2);
+    elements.containers.adminLineField.classList.toggle('hidden', lines.length < 2);
+}
+
+// Switches every view to another line and checks the open city again
+function selectLine(lineId) {
+    state.lineId = lineId;
+    resetDealerForm();
+    discardSimulation();
+    // The municipality map was coloured for the previous line
+    if (state.mapChart && state.mapChart.drilldownLevels && state.mapChart.drilldownLevels.length > 0) {
+        state.mapChart.drillUp();
+    }
+    applyConfig({}, { cache: false });
+
+    if (state.selectedLocation) {
+        const { city, uf, ibgeId } = state.selectedLocation;
+        processLocationSelection(city, uf, ibgeId);
+    }
+}
+
+function renderProductLines() {
+    const list = elements.containers.linesList;
+    list.innerHTML = '';
+
+    state.config.productLines.forEach(line => {
+        const dealers = state.config.occupiedCities
+            .flatMap(item => (Array.isArray(item.dealers) ? item.dealers : []))
+            .filter(dealer => lineOf(dealer) === line.id && isActiveDealer(dealer)).length;
+        const li = document.createElement('li');
+        li.className = 'occupied-item';
+        li.innerHTML = `
+            <div class="occupied-info">
+                <strong>${escapeHtml(line.name)}</strong>
+                <span>${dealers} ${dealers === 1 ? 'revendedor ativo' : 'revendedores ativos'}${line.id === DEFAULT_LINE_ID ? ' · linha principal' : ''}</span>
+            </div>
+            <div class="item-actions">
+                <button onclick="editProductLine('${line.id}')" class="remove-btn" title="Renomear"><i class="fa-solid fa-pen"></i></button>
+                ${line.id !== DEFAULT_LINE_ID ? `<button onclick="removeProductLine('${line.id}')" class="remove-btn" title="Remover"><i class="fa-solid fa-trash"></i></button>` : ''}
+            </div>
+        `;
+        list.appendChild(li);
+    });
+}
+
+// Creates a line, or renames the one loaded in the form. A new line starts
+// with the main line's default ratio and no specific rules.
+async function saveProductLine() {
+    if (!ensureWritable()) return;
+    const name = elements.inputs.newLineName.value.trim();
+    if (!name) {
+        showToast('Informe o nome da linha', 'error');
+        return;
+    }
+
+    try {
+        const config = state.editingLineId
+            ? await apiRequest('PUT', `/config/lines/${state.editingLineId}`, { name })
+            : await apiRequest('POST', '/config/lines', { name });
+        resetLineForm();
+        applyConfig(config);
+        showToast('Linha de produto salva!', 'success');
+    } catch (error) {
+        showToast(`Erro ao salvar: ${error.message}`, 'error');
+    }
+}
+
+function resetLineForm() {
+    state.editingLineId = null;
+    elements.inputs.newLineName.value = '';
+    elements.buttons.addLine.textContent = 'CRIAR LINHA';
+    elements.buttons.cancelLineEdit.classList.add('hidden');
+}
+
+window.editProductLine = function (id) {
+    const line = getProductLine(state.config, id);
+    if (!line) return;
+
+    state.editingLineId = id;
+    elements.inputs.newLineName.value = line.name;
+    elements.buttons.addLine.textContent = 'SALVAR LINHA';
+    elements.buttons.cancelLineEdit.classList.remove('hidden');
+    elements.inputs.newLineName.focus();
+};
+
+// The server refuses while the line still has dealers, pending leads or a queue
+window.removeProductLine = async function (id) {
+    if (!ensureWritable()) return;
+    const line = getProductLine(state.config, id);
+    if (!line || !confirm(`Remover a linha ${line.name} e suas regras de densidade?`)) return;
+
+    try {
+        applyConfig(await apiRequest('DELETE', `/config/lines/${id}`));
+        showToast('Linha removida!', 'success');
+    } catch (error) {
+        showToast(`Erro ao remover: ${error.message}`, 'error');
+    }
+};
+
+// --- Admin & Config ---
+// Signed-in users get the dealer records, visitors only the counts
+async function loadConfig() {
+    const session = state.session;
+    try {
+        const config = await apiRequest('GET', '/config');
+        // A sign-in or sign-out while waiting loads the config again
+        if (state.session !== session) return;
+        state.readOnly = false;
+        applyConfig(config);
+    } catch (error) {
+        console.error('Erro ao carregar configurações do servidor', error);
+        state.readOnly = true;
+        const cached = localStorage.getItem(CONFIG_CACHE_KEY);
+        if (cached) {
+            const { syncedAt, ...config } = JSON.parse(cached);
+            state.syncedAt = syncedAt || null;
+            applyConfig(config, { cache: false });
+            showToast('Servidor indisponível: usando cópia local (somente leitura).', 'warning');
+        } else {
+            showToast('Servidor indisponível e nenhuma cópia local encontrada.', 'error');
+        }
+    }
+    renderSyncBanner();
+
+    const hasLegacy = !state.readOnly && localStorage.getItem(LEGACY_CONFIG_KEY);
+    elements.buttons.importLegacy.classList.toggle('hidden', !hasLegacy);
+}
+
+// Replaces the in-memory config, refreshes every view that depends on it and
+// keeps a copy for offline, read-only use. The copy never holds dealer
+// details, whoever is signed in.
+function applyConfig(config, { cache = true } = {}) {
+    state.config = { ...state.config, ...config };
+    if (cache) {
+        state.syncedAt = new Date().toISOString();
+        localStorage.setItem(CONFIG_CACHE_KEY, JSON.stringify({ ...Availability.toPublicConfig(state.config), syncedAt: state.syncedAt }));
+        localStorage.removeItem(OLD_CONFIG_CACHE_KEY);
+    }
+    // The selected line may have been removed meanwhile
+    if (!getProductLine(state.config, state.lineId)) state.lineId = DEFAULT_LINE_ID;
+
+    renderLineSelectors();
+    renderProductLines();
+    elements.inputs.density.value = getLineConfig().densityRule;
+    elements.inputs.territoryLevel.value = state.config.territoryLevel;
+    elements.inputs.warningDays.value = state.config.warningDays;
+    elements.inputs.exclusivityRadius.value = state.config.exclusivityRadiusKm ?? '';
+    renderOccupiedList();
+    renderExpiringList();
+    renderUnplacedList();
+    renderDensityRules();
+    updateMapData();
+    if (state.isAdmin) {
+        renderAdminChart();
+        loadAuditLog();
+        loadLeads();
+        loadWaitlist();
+    }
+}
+
+// Persists the density settings: the selected line's default ratio and rules,
+// and the shared territory level, warning window and radius
+async function saveConfig() {
+    if (!ensureWritable()) return;
+
+    try {
+        const config = await apiRequest('PUT', '/config/density', {
+            lineId: state.lineId,
+            densityRule: getLineSettings().densityRule,
+            densityRules: getLineSettings().densityRules,
+            territoryLevel: state.config.territoryLevel,
+            warningDays: state.config.warningDays,
+            exclusivityRadiusKm: state.config.exclusivityRadiusKm
+        });
+        applyConfig(config);
+        showToast('Configurações salvas!', 'success');
+    } catch (error) {
+        showToast(`Erro ao salvar: ${error.message}`, 'error');
+        loadConfig(); // Discard the local edit
+    }
+}
+
+// Creates a dealer, or updates the one loaded in the form when editing
+async function saveDealer(dealer) {
+    if (!ensureWritable()) return false;
+
+    try {
+        const saved = state.editingDealerId
+            ? await apiRequest('PUT', `/dealers/${state.editingDealerId}`, dealer)
+            : await apiRequest('POST', '/dealers', dealer);
+        const others = state.config.occupiedCities.filter(i => i.id !== saved.id);
+        applyConfig({ occupiedCities: [...others, saved] });
+        showToast('Configurações salvas!', 'success');
+        return true;
+    } catch (error) {
+        showToast(`Erro ao salvar: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+// One-off upload of a dealer list that was kept in this browser's
+// localStorage before the backend existed.
+async function importLegacyConfig() {
+    if (!ensureWritable()) return;
+
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_CONFIG_KEY) || '{}');
+    try {
+        await apiRequest('PUT', '/config/density', {
+            densityRule: legacy.densityRule,
+            densityRules: legacy.densityRules,
+            territoryLevel: legacy.territoryLevel
+        });
+        const result = await apiRequest('POST', '/occupied/import-legacy', { occupiedCities: legacy.occupiedCities || [] });
+        localStorage.removeItem(LEGACY_CONFIG_KEY);
+        showToast(`Dados locais importados (${result.imported} praças, ${result.skipped} já existentes).`, 'success');
+    } catch (error) {
+        showToast(`Erro ao importar: ${error.message}`, 'error');
+    }
+    loadConfig();
+}
+
+// --- Spreadsheet Import & Export ---
+// Dealer fields a spreadsheet column can feed. Headers matching one of the
+// aliases (after normalizeText) are mapped automatically; the labels are
+// the export headers, so an exported file imports back without remapping.
+const IMPORT_FIELDS = {
+    ibge: { label: 'Código IBGE', aliases: ['codigo ibge', 'ibge', 'cod ibge', 'codigo municipio'] },
+    city: { label: 'Cidade', aliases: ['cidade', 'municipio', 'city'] },
+    uf: { label: 'UF', aliases: ['uf', 'estado'] },
+    name: { label: 'Revendedor', aliases: ['revendedor', 'nome', 'razao social', 'name'] },
+    cnpj: { label: 'CNPJ', aliases: ['cnpj'] },
+    contact: { label: 'Contato', aliases: ['contato', 'telefone', 'email', 'e-mail', 'contact'] },
+    status: { label: 'Status', aliases: ['status', 'situacao'] },
+    startDate: { label: 'Início', aliases: ['inicio', 'inicio do contrato', 'data de inicio'] },
+    endDate: { label: 'Término', aliases: ['termino', 'fim', 'fim do contrato', 'data de termino'] }
+};
+
+const IMPORT_ISSUE_LABELS = {
+    unmatched: 'Cidade não encontrada',
+    ambiguous: 'Cidade ambígua',
+    duplicate: 'Duplicado',
+    invalid: 'Dados inválidos'
+};
+
+function ensureSpreadsheetLib() {
+    if (typeof XLSX !== 'undefined') return true;
+    showToast('Biblioteca de planilhas indisponível. Verifique a conexão.', 'error');
+    return false;
+}
+
+async function readImportFile() {
+    const file = elements.inputs.importFile.files[0];
+    state.importData = null;
+    elements.containers.importMapping.innerHTML = '';
+    elements.containers.importResult.innerHTML = '';
+    elements.buttons.importConfirm.classList.add('hidden');
+    if (!file || !ensureSpreadsheetLib()) return;
+
+    try {
+        const book = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+        const sheet = book.Sheets[book.SheetNames[0]];
+        const rows = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+        const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+
+        if (rows.length === 0) {
+            showToast('Planilha vazia.', 'warning');
+            return;
+        }
+
+        state.importData = { headers, rows, preview: null };
+        renderImportMapping();
+    } catch (error) {
+        console.error('Erro ao ler planilha', error);
+        showToast('Não foi possível ler o arquivo.', 'error');
+    }
+}
+
+function renderImportMapping() {
+    const { headers, rows } = state.importData;
+    const options = headers.map(h => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`).join('');
+
+    elements.containers.importMapping.innerHTML = `
+        <p>${rows.length.toLocaleString('pt-BR')} linhas lidas. Confira qual coluna corresponde a cada campo:</p>
+        <div class="rule-inputs">
+            ${Object.entries(IMPORT_FIELDS).map(([field, { label }]) => `
+                <label class="date-field">${label.toUpperCase()}
+                    <select data-import-field="${field}">
+                        <option value="">(não importar)</option>
+                        ${options}
+                    </select>
+                </label>
+            `).join('')}
+        </div>
+    `;
+
+    elements.containers.importMapping.querySelectorAll('select').forEach(select => {
+        const { aliases } = IMPORT_FIELDS[select.dataset.importField];
+        const header = headers.find(h => aliases.includes(normalizeText(h).trim()));
+        if (header) select.value = header;
+    });
+}
+
+function getImportMapping() {
+    const mapping = {};
+    elements.containers.importMapping.querySelectorAll('select').forEach(select => {
+        if (select.value) mapping[select.dataset.importField] = select.value;
+    });
+    return mapping;
+}
+
+// Spreadsheets hold dates as Date cells, DD/MM/YYYY text or ISO text
+function toImportDate(value) {
+    if (value instanceof Date) {
+        const local = new Date(value.getTime() - value.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 10);
+    }
+    const text = String(value).trim();
+    const br = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (br) return `${br[3]}-${br[2].padStart(2, '0')}-${br[1].padStart(2, '0')}`;
+    return text || null;
+}
+
+// Accepts the status keys as well as their Portuguese labels
+function toImportStatus(value) {
+    const text = normalizeText(value).trim();
+    if (!text) return 'active';
+    return Object.keys(DEALER_STATUS_LABELS).find(key =>
+        key === text || normalizeText(DEALER_STATUS_LABELS[key]) === text
+    ) || null;
+}
+
+function toImportCnpj(value) {
+    const cnpj = CNPJ.clean(value);
+    // Numeric cells drop the leading zeros of digit-only CNPJs
+    return /^\d{1,13}$/.test(cnpj) ? cnpj.padStart(14, '0') : cnpj;
+}
+
+// Matches a row to state.allCities by IBGE code when given, otherwise by
+// accent-insensitive name, narrowed by UF.
+function matchImportCity(row, citiesByName) {
+    if (row.ibge) {
+        const city = state.allCities.find(c => String(c.id) === row.ibge);
+        return city ? [city] : [];
+    }
+    const candidates = citiesByName.get(normalizeText(row.city).trim()) || [];
+    return row.uf ? candidates.filter(c => c.uf === row.uf) : candidates;
+}
+
+function describeImportProblem(row) {
+    if (!row.name) return 'Nome do revendedor obrigatório';
+    if (!CNPJ.isValid(row.cnpj)) return 'CNPJ inválido';
+    if (!row.status) return 'Status inválido';
+    if (row.startDate && !/^\d{4}-\d{2}-\d{2}$/.test(row.startDate)) return 'Data de início inválida';
+    if (row.endDate && !/^\d{4}-\d{2}-\d{2}$/.test(row.endDate)) return 'Data de término inválida';
+    if (row.startDate && row.endDate && row.endDate < row.startDate) return 'Término anterior ao início do contrato';
+    if (!canEditUf(row.city.uf)) return `Sem permissão para alterar praças de ${row.city.uf}`;
+    return null;
+}
+
+// Sorts every row into 'ok' or one of IMPORT_ISSUE_LABELS before anything is saved
+function buildImportPreview() {
+    const mapping = getImportMapping();
+    if (!mapping.name || !mapping.cnpj || !(mapping.ibge || mapping.city)) {
+        showToast('Mapeie ao menos Revendedor, CNPJ e Cidade ou Código IBGE.', 'warning');
+        return;
+    }
+
+    const citiesByName = getSearchIndex().byName;
+    const value = (raw, field) => mapping[field] ? String(raw[mapping[field]] ?? '').trim() : '';
+    const seen = new Set();
+
+    const rows = state.importData.rows.map((raw, index) => {
+        const source = {
+            ibge: value(raw, 'ibge'),
+            city: value(raw, 'city'),
+            uf: value(raw, 'uf').toUpperCase()
+        };
+        const row = {
+            line: index + 2, // Header is line 1
+            source,
+            name: value(raw, 'name'),
+            cnpj: toImportCnpj(value(raw, 'cnpj')),
+            contact: value(raw, 'contact'),
+            status: toImportStatus(value(raw, 'status')),
+            startDate: mapping.startDate ? toImportDate(raw[mapping.startDate]) : null,
+            endDate: mapping.endDate ? toImportDate(raw[mapping.endDate]) : null
+        };
+
+        const matches = matchImportCity(source, citiesByName);
+        if (matches.length === 0) return { ...row, issue: 'unmatched', reason: source.ibge ? 'Código IBGE desconhecido' : 'Nome/UF sem correspondência' };
+        if (matches.length > 1) return { ...row, issue: 'ambiguous', reason: matches.map(c => `${c.name} - ${c.uf}`).join(', ') };
+
+        row.city = matches[0];
+        const problem = describeImportProblem(row);
+        if (problem) return { ...row, issue: 'invalid', reason: problem };
+
+        const key = `${row.city.id}|${row.cnpj}`;
+        const entry = getOccupiedEntry(row.city.id);
+        if (seen.has(key)) return { ...row, issue: 'duplicate', reason: 'CNPJ repetido na planilha' };
+        seen.add(key);
+        if (entry && Array.isArray(entry.dealers) && entry.dealers.some(d => d.cnpj === row.cnpj)) {
+            return { ...row, issue: 'duplicate', reason: 'CNPJ já cadastrado nesta cidade para esta linha' };
+        }
+        return { ...row, issue: null };
+    });
+
+    state.importData.preview = rows;
+    renderImportPreview();
+}
+
+function renderImportPreview() {
+    const rows = state.importData.preview;
+    const ready = rows.filter(r => !r.issue);
+    const problems = rows.filter(r => r.issue);
+    const counts = Object.keys(IMPORT_ISSUE_LABELS)
+        .map(issue => ({ issue, count: problems.filter(r => r.issue === issue).length }))
+        .filter(c => c.count > 0);
+
+    elements.containers.importResult.innerHTML = `
+        <p class="import-summary">
+            <strong>${ready.length} prontas para importar</strong>
+            ${counts.map(c => ` · ${c.count} ${IMPORT_ISSUE_LABELS[c.issue].toLowerCase()}`).join('')}
+        </p>
+        ${problems.length > 0 ? `
+            <div class="territory-table-wrapper">
+                <table class="territory-table">
+                    <thead><tr><th>Linha</th><th>Cidade</th><th>Revendedor</th><th>Problema</th></tr></thead>
+                    <tbody>
+                        ${problems.map(r => `
+                            <tr>
+                                <td>${r.line}</td>
+                                <td>${escapeHtml(r.source.city || r.source.ibge)}${r.source.uf ? ` - ${escapeHtml(r.source.uf)}` : ''}</td>
+                                <td>${escapeHtml(r.name)}</td>
+                                <td><strong>${IMPORT_ISSUE_LABELS[r.issue]}</strong>: ${escapeHtml(r.reason)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        ` : ''}
+    `;
+
+    elements.buttons.importConfirm.textContent = `IMPORTAR ${ready.length} REVENDEDORES`;
+    elements.buttons.importConfirm.classList.toggle('hidden', ready.length === 0);
+}
+
+async function confirmImport() {
+    if (!ensureWritable() || !state.importData || !state.importData.preview) return;
+
+    // Rows join the line selected while reviewing them
+    const rows = state.importData.preview.filter(r => !r.issue).map(r => ({
+        ibgeId: r.city.id,
+        uf: r.city.uf,
+        lineId: state.lineId,
+        name: r.name,
+        cnpj: r.cnpj,
+        contact: r.contact,
+        status: r.status,
+        startDate: r.startDate,
+        endDate: r.endDate
+    }));
+
+    try {
+        const result = await apiRequest('POST', '/dealers/import', { rows });
+        applyConfig({ occupiedCities: result.occupiedCities });
+        showToast(`${result.imported} revendedores importados${result.errors.length > 0 ? `, ${result.errors.length} recusados pelo servidor` : ''}.`,
+            result.errors.length > 0 ? 'warning' : 'success');
+
+        state.importData = null;
+        elements.inputs.importFile.value = '';
+        elements.containers.importMapping.innerHTML = '';
+        elements.containers.importResult.innerHTML = '';
+        elements.buttons.importConfirm.classList.add('hidden');
+    } catch (error) {
+        showToast(`Erro ao importar: ${error.message}`, 'error');
+    }
+}
+
+// One row per dealer of the selected line, with the capacity and saturation
+// of its city computed from the city's own population and density rule.
+async function exportNetwork(format) {
+    if (!ensureSpreadsheetLib()) return;
+
+    const entries = getLineConfig().occupiedCities.map(item => ({
+        item,
+        city: state.allCities.find(c => c.id == item.ibgeId)
+    }));
+    const populations = await getCityPopulations(entries.filter(e => e.city).map(e => e.city.id));
+
+    const rows = [];
+    entries.forEach(({ item, city }) => {
+        const population = city && populations[city.id] ? populations[city.id].value : null;
+        const capacity = population !== null ? Math.floor(computeCapacity(city, population).capacity) : null;
+        const active = countActiveDealers(item);
+        const base = {
+            [IMPORT_FIELDS.ibge.label]: city ? city.id : '',
+            [IMPORT_FIELDS.city.label]: item.city,
+            [IMPORT_FIELDS.uf.label]: item.uf,
+            'População': population ?? '',
+            'Vagas': capacity ?? '',
+            'Revendedores ativos': active,
+            'Saturação (%)': capacity ? Math.round(active / capacity * 100) : ''
+        };
+        (Array.isArray(item.dealers) ? item.dealers : []).forEach(dealer => {
+            rows.push({
+                ...base,
+                [IMPORT_FIELDS.name.label]: dealer.name,
+                [IMPORT_FIELDS.cnpj.label]: dealer.cnpj ? CNPJ.format(dealer.cnpj) : '',
+                [IMPORT_FIELDS.contact.label]: dealer.contact || '',
+                [IMPORT_FIELDS.status.label]: DEALER_STATUS_LABELS[dealer.status] || dealer.status,
+                [IMPORT_FIELDS.startDate.label]: dealer.startDate || '',
+                [IMPORT_FIELDS.endDate.label]: dealer.endDate || ''
+            });
+        });
+    });
+
+    downloadSheet(rows, 'Rede', `rede-revendedores-${todayISO()}.${format}`);
+}
+
+// Writes rows (objects keyed by column header) as CSV or XLSX, by file extension
+function downloadSheet(rows, sheetName, filename) {
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, XLSX.utils.json_to_sheet(rows), sheetName);
+    XLSX.writeFile(book, filename);
+}
+
+// --- Lead Pipeline ---
+const LEAD_STATUS_LABELS = {
+    pending: 'Pendente',
+    expired: 'Reserva expirada',
+    approved: 'Aprovado',
+    rejected: 'Rejeitado'
+};
+
+async function loadLeads() {
+    try {
+        state.leads = await apiRequest('GET', `/leads?line=${state.lineId}`);
+        renderLeadsList();
+    } catch (error) {
+        console.error('Erro ao carregar interessados', error);
+    }
+}
+
+// Pending and expired leads can still be decided; expiry only frees the slot
+function renderLeadsList() {
+    const list = elements.containers.leadsList;
+    const filter = elements.inputs.leadStatus.value;
+    const leads = state.leads.filter(lead => !filter || lead.status === filter);
+    const formatDate = date => new Date(date).toLocaleDateString('pt-BR');
+    list.innerHTML = '';
+
+    if (leads.length === 0) {
+        list.innerHTML = '<li class="occupied-item"><span class="empty-text">Nenhum interessado encontrado.</span></li>';
+        return;
+    }
+
+    leads.forEach(lead => {
+        const open = lead.status === 'pending' || lead.status === 'expired';
+        const detail = open
+            ? `Reserva até ${formatDate(lead.holdUntil)}`
+            : `${LEAD_STATUS_LABELS[lead.status]} por ${escapeHtml(lead.decidedBy)} em ${formatDate(lead.decidedAt)}`;
+        const li = document.createElement('li');
+        li.className = 'occupied-item';
+        li.innerHTML = `
+            <div class="occupied-info">
+                <strong>${lead.city} - ${lead.uf} · ${lead.name}</strong>
+                <span>${CNPJ.format(lead.cnpj)} · ${lead.phone} · ${lead.email}</span>
+                <span>Recebido em ${formatDate(lead.createdAt)} · ${detail}</span>
+            </div>
+            <span class="lead-badge lead-${lead.status}">${LEAD_STATUS_LABELS[lead.status]}</span>
+            ${open && canEditUf(lead.uf) ? `
+            <div class="item-actions">
+                <button onclick="approveLead('${lead.id}')" class="remove-btn" title="Aprovar como revendedor"><i class="fa-solid fa-check"></i></button>
+                <button onclick="rejectLead('${lead.id}')" class="remove-btn" title="Rejeitar"><i class="fa-solid fa-xmark"></i></button>
+            </div>` : ''}
+        `;
+        list.appendChild(li);
+    });
+}
+
+window.approveLead = async function (id) {
+    if (!ensureWritable()) return;
+    if (!confirm('Cadastrar este interessado como revendedor ativo a partir de hoje?')) return;
+
+    try {
+        await apiRequest('POST', `/leads/${id}/approve`);
+        showToast('Interessado cadastrado como revendedor!', 'success');
+        loadConfig();
+    } catch (error) {
+        showToast(`Erro ao aprovar: ${error.message}`, 'error');
+    }
+};
+
+window.rejectLead = async function (id) {
+    if (!ensureWritable()) return;
+    if (!confirm('Rejeitar este interessado e liberar a vaga reservada?')) return;
+
+    try {
+        await apiRequest('POST', `/leads/${id}/reject`);
+        showToast('Interessado rejeitado.', 'success');
+        loadConfig();
+    } catch (error) {
+        showToast(`Erro ao rejeitar: ${error.message}`, 'error');
+    }
+};
+
+// --- Waitlist Queue ---
+const WAITLIST_STATUS_LABELS = {
+    waiting: 'Na fila',
+    offered: 'Vaga oferecida',
+    removed: 'Removido'
+};
+
+async function loadWaitlist() {
+    try {
+        state.waitlist = await apiRequest('GET', `/waitlist?line=${state.lineId}`);
+        renderWaitlist();
+    } catch (error) {
+        console.error('Erro ao carregar fila de espera', error);
+    }
+}
+
+// Waiting entries are grouped by city, cities where a slot opened first; the
+// first entries of those lines, one per free slot, are marked as next.
+function renderWaitlist() {
+    const list = elements.containers.waitlistList;
+    const filter = elements.inputs.waitlistStatus.value;
+    const { entries, slots } = state.waitlist;
+    const formatDate = date => new Date(date).toLocaleDateString('pt-BR');
+    list.innerHTML = '';
+
+    const shown = entries.filter(entry => entry.status === filter);
+    if (shown.length === 0) {
+        list.innerHTML = '<li class="occupied-item"><span class="empty-text">Ninguém aqui.</span></li>';
+        return;
+    }
+
+    if (filter !== 'waiting') {
+        shown.forEach(entry => {
+            const detail = entry.status === 'offered' && entry.leadStatus
+                ? `Reserva: ${LEAD_STATUS_LABELS[entry.leadStatus]}`
+                : WAITLIST_STATUS_LABELS[entry.status];
+            const li = document.createElement('li');
+            li.className = 'occupied-item';
+            li.innerHTML = `
+                <div class="occupied-info">
+                    <strong>${entry.city} - ${entry.uf} · ${entry.name}</strong>
+                    <span>${CNPJ.format(entry.cnpj)} · ${entry.phone} · ${entry.email}</span>
+                    <span>${detail} por ${escapeHtml(entry.decidedBy)} em ${formatDate(entry.decidedAt)}</span>
+                </div>
+            `;
+            list.appendChild(li);
+        });
+        return;
+    }
+
+    const cities = new Map();
+    shown.forEach(entry => {
+        if (!cities.has(entry.ibgeId)) cities.set(entry.ibgeId, []);
+        cities.get(entry.ibgeId).push(entry);
+    });
+    const freeSlots = ibgeId => (slots[ibgeId] && slots[ibgeId].status === 'available' ? slots[ibgeId].freeSlots : 0);
+    const ordered = [...cities.entries()].sort(([a, lineA], [b, lineB]) =>
+        (freeSlots(b) > 0) - (freeSlots(a) > 0) || lineA[0].city.localeCompare(lineB[0].city, 'pt-BR'));
+
+    const openCount = ordered.filter(([ibgeId]) => freeSlots(ibgeId) > 0).length;
+    if (openCount > 0) {
+        list.innerHTML = `<li class="occupied-item"><span class="waitlist-open-note"><i class="fa-solid fa-bell"></i> ${openCount} ${openCount === 1 ? 'praça com vaga aberta' : 'praças com vaga aberta'} para quem está na fila.</span></li>`;
+    }
+
+    ordered.forEach(([ibgeId, line]) => {
+        const free = freeSlots(ibgeId);
+        line.sort((a, b) => a.position - b.position);
+        const li = document.createElement('li');
+        li.className = 'occupied-item occupied-city';
+        li.innerHTML = `
+            <div class="waitlist-city">
+                <div class="occupied-info">
+                    <strong>${line[0].city} - ${line[0].uf}</strong>
+                    <span>${line.length} na fila</span>
+                </div>
+                <span class="lead-badge${free > 0 ? ' lead-approved' : ''}">${free > 0 ? `${free} ${free === 1 ? 'vaga aberta' : 'vagas abertas'}` : 'Sem vaga'}</span>
+            </div>
+            <ul class="dealer-list">
+                ${line.map(entry => `
+                <li class="dealer-item">
+                    <div class="occupied-info">
+                        <strong>${entry.position}º · ${entry.name}${entry.position <= free ? ' <span class="lead-badge lead-pending">Próximo</span>' : ''}</strong>
+                        <span>${CNPJ.format(entry.cnpj)} · ${entry.phone} · ${entry.email}</span>
+                        <span>Na fila desde ${formatDate(entry.createdAt)}${entry.skips ? ` · pulado ${entry.skips}x` : ''}</span>
+                    </div>
+                    ${canEditUf(entry.uf) ? `
+                    <div class="item-actions">
+                        ${free > 0 ? `<button onclick="offerWaitlistSlot('${entry.id}')" class="remove-btn" title="Oferecer a vaga"><i class="fa-solid fa-handshake"></i></button>` : ''}
+                        <button onclick="skipWaitlistEntry('${entry.id}')" class="remove-btn" title="Pular (volta para o fim da fila)"><i class="fa-solid fa-forward"></i></button>
+                        <button onclick="removeWaitlistEntry('${entry.id}')" class="remove-btn" title="Remover da fila"><i class="fa-solid fa-trash"></i></button>
+                    </div>` : ''}
+                </li>`).join('')}
+            </ul>
+        `;
+        list.appendChild(li);
+    });
+}
+
+// The offer becomes a pending lead holding the slot (see the lead pipeline)
+window.offerWaitlistSlot = async function (id) {
+    if (!ensureWritable()) return;
+    if (!confirm('Oferecer a vaga? Ela fica reservada para este interessado enquanto o cadastro é analisado.')) return;
+
+    try {
+        await apiRequest('POST', `/waitlist/${id}/offer`);
+        showToast('Vaga oferecida: acompanhe em Interessados.', 'success');
+        loadConfig();
+    } catch (error) {
+        showToast(`Erro ao oferecer: ${error.message}`, 'error');
+    }
+};
+
+window.skipWaitlistEntry = async function (id) {
+    if (!ensureWritable()) return;
+    if (!confirm('Mandar este interessado para o fim da fila?')) return;
+
+    try {
+        await apiRequest('POST', `/waitlist/${id}/skip`);
+        loadWaitlist();
+    } catch (error) {
+        showToast(`Erro ao pular: ${error.message}`, 'error');
+    }
+};
+
+window.removeWaitlistEntry = async function (id) {
+    if (!ensureWritable()) return;
+    if (!confirm('Remover este interessado da fila?')) return;
+
+    try {
+        await apiRequest('POST', `/waitlist/${id}/remove`);
+        loadWaitlist();
+    } catch (error) {
+        showToast(`Erro ao remover: ${error.message}`, 'error');
+    }
+};
+
+// --- Audit Log ---
+const AUDIT_ACTION_LABELS = {
+    'occupied.create': 'Praça adicionada',
+    'occupied.update': 'Praça alterada',
+    'occupied.delete': 'Praça removida',
+    'dealer.create': 'Revendedor adicionado',
+    'dealer.update': 'Revendedor alterado',
+    'dealer.delete': 'Revendedor removido',
+    'config.density': 'Regra de densidade alterada',
+    'lead.create': 'Vaga reservada por interessado',
+    'lead.reject': 'Interessado rejeitado',
+    'waitlist.create': 'Entrada na fila de espera',
+    'waitlist.offer': 'Vaga oferecida a quem estava na fila',
+    'waitlist.skip': 'Interessado pulado na fila',
+    'waitlist.remove': 'Interessado removido da fila',
+    'line.create': 'Linha de produto criada',
+    'line.update': 'Linha de produto renomeada',
+    'line.delete': 'Linha de produto removida'
+};
+
+async function loadAuditLog() {
+    const params = new URLSearchParams();
+    if (elements.inputs.auditCity.value.trim()) params.set('city', elements.inputs.auditCity.value.trim());
+    if (elements.inputs.auditUf.value) params.set('uf', elements.inputs.auditUf.value);
+    if (elements.inputs.auditUser.value.trim()) params.set('user', elements.inputs.auditUser.value.trim());
+
+    try {
+        renderAuditLog(await apiRequest('GET', `/audit?${params}`));
+    } catch (error) {
+        console.error('Erro ao carregar histórico', error);
+    }
+}
+
+// Lines removed since keep showing their id
+function describeAuditLine(lineId) {
+    const line = getProductLine(state.config, lineId || DEFAULT_LINE_ID);
+    return `Linha: ${escapeHtml(line ? line.name : lineId)}`;
+}
+
+function describeAuditChange(entry) {
+    if (entry.action.startsWith('line.')) {
+        const name = line => (line ? escapeHtml(line.name) : '—');
+        return `${name(entry.before)} → ${name(entry.after)}`;
+    }
+
+    if (entry.action === 'config.density') {
+        const parts = [];
+        const { before, after } = entry;
+        if (('densityRule' in after || 'densityRules' in after) && state.config.productLines.length > 1) {
+            parts.push(describeAuditLine(entry.lineId));
+        }
+        if ('densityRule' in after) parts.push(`Padrão: ${before.densityRule} → ${after.densityRule} hab.`);
+        if ('densityRules' in after) parts.push(`Regras: ${(before.densityRules || []).length} → ${after.densityRules.length}`);
+        if ('territoryLevel' in after) {
+            const label = level => (TERRITORY_LEVELS[level] ? TERRITORY_LEVELS[level].label : level);
+            parts.push(`Nível: ${label(before.territoryLevel)} → ${label(after.territoryLevel)}`);
+        }
+        if ('warningDays' in after) parts.push(`Aviso: ${before.warningDays} → ${after.warningDays} dias`);
+        if ('exclusivityRadiusKm' in after) {
+            const label = radius => (radius ? `${radius} km` : 'sem raio');
+            parts.push(`Raio: ${label(before.exclusivityRadiusKm)} → ${label(after.exclusivityRadiusKm)}`);
+        }
+        return parts.join(' · ');
+    }
+
+    if (entry.action.startsWith('lead.') || entry.action.startsWith('waitlist.')) {
+        const lead = entry.after || entry.before;
+        const name = escapeHtml(lead.name);
+        return lead.holdUntil ? `${name} · até ${new Date(lead.holdUntil).toLocaleDateString('pt-BR')}` : name;
+    }
+
+    if (entry.action.startsWith('dealer.')) {
+        const dealer = entry.after || entry.before;
+        const status = item => (item ? DEALER_STATUS_LABELS[item.status] : '—');
+        return `${escapeHtml(dealer.name)}${dealer.cnpj ? ` (${CNPJ.format(dealer.cnpj)})` : ''} · ${status(entry.before)} → ${status(entry.after)}`;
+    }
+
+    const count = item => (item ? countActiveDealers(item) : '—');
+    return `${count(entry.before)} → ${count(entry.after)} revendedores ativos`;
+}
+
+function canRevert(entry) {
+    if (entry.action.startsWith('lead.') || entry.action.startsWith('waitlist.') || entry.action.startsWith('line.')) return false;
+    if (entry.action === 'config.density') return hasRole('superadmin');
+    return canEditUf(entry.uf);
+}
+
+function renderAuditLog(entries) {
+    const list = elements.containers.auditList;
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+        list.innerHTML = '<li class="occupied-item"><span class="empty-text">Nenhuma alteração encontrada.</span></li>';
+        return;
+    }
+
+    entries.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = 'occupied-item';
+        const where = entry.city ? `${escapeHtml(entry.city)} - ${escapeHtml(entry.uf)} · ` : '';
+        const when = new Date(entry.timestamp).toLocaleString('pt-BR');
+        li.innerHTML = `
+            <div class="occupied-info">
+                <strong>${where}${AUDIT_ACTION_LABELS[entry.action] || entry.action}${entry.revertOf ? ' (reversão)' : ''}</strong>
+                <span>${when} · ${escapeHtml(entry.user || '—')} · ${describeAuditChange(entry)}</span>
+            </div>
+            ${canRevert(entry) ? `<button onclick="revertAuditEntry('${entry.id}')" class="remove-btn" title="Reverter"><i class="fa-solid fa-rotate-left"></i></button>` : ''}
+        `;
+        list.appendChild(li);
+    });
+}
+
+window.revertAuditEntry = async function (id) {
+    if (!ensureWritable()) return;
+    if (!confirm('Reverter esta alteração?')) return;
+
+    try {
+        await apiRequest('POST', `/audit/${id}/revert`);
+        showToast('Alteração revertida!', 'success');
+        loadConfig();
+    } catch (error) {
+        showToast(`Erro ao reverter: ${error.message}`, 'error');
+    }
+};
+
+function renderAdminChart() {
+    const counts = {};
+    getLineConfig().occupiedCities.forEach(item => {
         if (!counts[item.uf]) counts[item.uf] = 0;
-        counts[item.uf] += parseInt(item.dealers);
+        counts[item.uf] += countActiveDealers(item);
     });
 
     const chartData = Object.keys(counts).map(uf => ({ name: uf, y: counts[uf] }));
@@ -563,28 +3165,667 @@ function renderAdminChart() {
     });
 }
 
+// --- Saturation Dashboard ---
+const DASHBOARD_TABLES = {
+    regiao: {
+        drill: 'regiao',
+        columns: [
+            { key: 'name', label: 'Região' },
+            { key: 'capacity', label: 'Vagas', type: 'number' },
+            { key: 'occupied', label: 'Ocupadas', type: 'number' },
+            { key: 'free', label: 'Livres', type: 'number' },
+            { key: 'saturation', label: 'Saturação', type: 'percent' },
+            { key: 'coverage', label: 'Cobertura', type: 'percent' }
+        ]
+    },
+    uf: {
+        drill: 'uf',
+        columns: [
+            { key: 'name', label: 'UF' },
+            { key: 'capacity', label: 'Vagas', type: 'number' },
+            { key: 'occupied', label: 'Ocupadas', type: 'number' },
+            { key: 'free', label: 'Livres', type: 'number' },
+            { key: 'saturation', label: 'Saturação', type: 'percent' },
+            { key: 'coverage', label: 'Cobertura', type: 'percent' }
+        ]
+    },
+    over: {
+        drill: 'territory',
+        columns: [
+            { key: 'name', label: 'Praça' },
+            { key: 'uf', label: 'UF' },
+            { key: 'occupied', label: 'Revend.', type: 'number' },
+            { key: 'capacity', label: 'Vagas', type: 'number' },
+            { key: 'excess', label: 'Excesso', type: 'number' }
+        ]
+    },
+    cities: {
+        drill: null,
+        columns: [
+            { key: 'name', label: 'Município' },
+            { key: 'uf', label: 'UF' },
+            { key: 'population', label: 'População', type: 'number' },
+            { key: 'capacity', label: 'Vagas', type: 'decimal' },
+            { key: 'occupied', label: 'Revend.', type: 'number' }
+        ]
+    }
+};
+
+const DASHBOARD_OVER_CAPACITY_LIMIT = 20;
+
+async function buildDashboard() {
+    elements.containers.dashboard.innerHTML = '<p class="empty-text">Calculando...</p>';
+    const populations = await getCityPopulations(state.allCities.map(c => c.id));
+
+    state.dashboard.data = evaluateAllTerritories(populations);
+    state.dashboard.drill = null;
+    renderDashboard();
+}
+
+// Evaluates every territory of the country at the configured level, the
+// same way the availability check does for one city. Territories with a member
+// missing from `populations` are left out and counted in withoutData.
+function evaluateAllTerritories(populations) {
+    const territories = new Map();
+    state.allCities.forEach(city => {
+        const region = getCityRegion(city.id);
+        const key = region ? `${region.key}:${region.id}` : `city:${city.id}`;
+        if (!territories.has(key)) {
+            territories.set(key, { key, name: region ? region.name : city.name, uf: city.uf, members: [] });
+        }
+        territories.get(key).members.push({ id: city.id, name: city.name, uf: city.uf });
+    });
+
+    const units = [];
+    let withoutData = 0;
+    territories.forEach(territory => {
+        if (territory.members.some(m => !populations[m.id])) {
+            withoutData += territory.members.length;
+            return;
+        }
+        const { members, currentDealers, maxDealers } = evaluateTerritory(
+            territory.members.map(m => ({ ...m, population: populations[m.id].value }))
+        );
+        units.push({ ...territory, members, capacity: maxDealers, occupied: currentDealers, excess: currentDealers - maxDealers });
+    });
+
+    return { units, withoutData };
+}
+
+// Free slots are summed per territory, so an over-capacity territory does
+// not hide room elsewhere.
+function summarizeUnits(units) {
+    const members = units.flatMap(u => u.members);
+    const population = members.reduce((sum, m) => sum + m.population, 0);
+    const covered = members.filter(m => m.dealers > 0).reduce((sum, m) => sum + m.population, 0);
+    const capacity = units.reduce((sum, u) => sum + u.capacity, 0);
+    const occupied = units.reduce((sum, u) => sum + u.occupied, 0);
+
+    return {
+        capacity,
+        occupied,
+        free: units.reduce((sum, u) => sum + Math.max(u.capacity - u.occupied, 0), 0),
+        saturation: capacity > 0 ? occupied / capacity : null,
+        coverage: population > 0 ? covered / population : null
+    };
+}
+
+function getDashboardRows(tableId) {
+    const { units } = state.dashboard.data;
+
+    if (tableId === 'regiao') {
+        return Object.entries(REGIOES).map(([sigla, { label, ufs }]) => ({
+            key: sigla,
+            name: label,
+            ...summarizeUnits(units.filter(u => ufs.includes(u.uf)))
+        }));
+    }
+    if (tableId === 'uf') {
+        const ufs = [...new Set(units.map(u => u.uf))];
+        return ufs.map(uf => ({ key: uf, name: uf, ...summarizeUnits(units.filter(u => u.uf === uf)) }));
+    }
+    if (tableId === 'over') {
+        return units
+            .filter(u => u.excess > 0)
+            .sort((a, b) => b.excess - a.excess)
+            .slice(0, DASHBOARD_OVER_CAPACITY_LIMIT);
+    }
+    return state.dashboard.drill ? state.dashboard.drill.cities : [];
+}
+
+function formatDashboardValue(value, type) {
+    if (value === null || value === undefined) return '—';
+    if (type === 'percent') return `${Math.round(value * 100)}%`;
+    if (type === 'number') return value.toLocaleString('pt-BR');
+    if (type === 'decimal') return value.toLocaleString('pt-BR', { maximumFractionDigits: 1 });
+    return value;
+}
+
+function renderDashboardTable(tableId) {
+    const { columns, drill } = DASHBOARD_TABLES[tableId];
+    const sort = state.dashboard.sort[tableId];
+    const rows = [...getDashboardRows(tableId)];
+
+    if (sort) {
+        rows.sort((a, b) => {
+            const x = a[sort.key] ?? -Infinity;
+            const y = b[sort.key] ?? -Infinity;
+            const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+            return sort.desc ? -order : order;
+        });
+    }
+
+    if (rows.length === 0) return '<p class="empty-text">Nenhuma praça.</p>';
+
+    return `
+        <div class="territory-table-wrapper">
+            <table class="territory-table">
+                <thead><tr>
+                    ${columns.map(c => `
+                        <th class="sortable" onclick="sortDashboard('${tableId}', '${c.key}')">
+                            ${c.label}${sort && sort.key === c.key ? (sort.desc ? ' ▼' : ' ▲') : ''}
+                        </th>
+                    `).join('')}
+                </tr></thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr${drill ? ` class="clickable-row" onclick="drillDashboard('${drill}', '${row.key}')"` : ''}>
+                            ${columns.map(c => `<td>${formatDashboardValue(row[c.key], c.type)}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderDashboard() {
+    const { units, withoutData } = state.dashboard.data;
+    const totals = summarizeUnits(units);
+    const drill = state.dashboard.drill;
+
+    elements.containers.dashboard.innerHTML = `
+        <div class="dashboard-totals">
+            <div><strong>${formatDashboardValue(totals.capacity, 'number')}</strong><span>Vagas</span></div>
+            <div><strong>${formatDashboardValue(totals.occupied, 'number')}</strong><span>Ocupadas</span></div>
+            <div><strong>${formatDashboardValue(totals.free, 'number')}</strong><span>Livres</span></div>
+            <div><strong>${formatDashboardValue(totals.coverage, 'percent')}</strong><span>População coberta</span></div>
+        </div>
+        ${withoutData > 0 ? `<p class="empty-text">${withoutData.toLocaleString('pt-BR')} municípios sem dados de população ficaram de fora.</p>` : ''}
+        <h4>POR REGIÃO</h4>
+        ${renderDashboardTable('regiao')}
+        <h4>POR UF</h4>
+        ${renderDashboardTable('uf')}
+        <h4>ACIMA DA CAPACIDADE</h4>
+        ${renderDashboardTable('over')}
+        ${drill ? `
+            <h4 id="dashboard-drill">${drill.title}</h4>
+            ${renderDashboardTable('cities')}
+        ` : ''}
+    `;
+}
+
+window.sortDashboard = function (tableId, key) {
+    const current = state.dashboard.sort[tableId];
+    state.dashboard.sort[tableId] = { key, desc: current && current.key === key ? !current.desc : true };
+    renderDashboard();
+};
+
+// Lists the municipalities behind a region, UF or territory row
+window.drillDashboard = function (kind, key) {
+    const { units } = state.dashboard.data;
+    let selected = [];
+    let title = '';
+
+    if (kind === 'regiao') {
+        selected = units.filter(u => REGIOES[key].ufs.includes(u.uf));
+        title = `MUNICÍPIOS - ${REGIOES[key].label.toUpperCase()}`;
+    } else if (kind === 'uf') {
+        selected = units.filter(u => u.uf === key);
+        title = `MUNICÍPIOS - ${key}`;
+    } else {
+        selected = units.filter(u => u.key === key);
+        title = selected.length > 0 ? `MUNICÍPIOS - ${selected[0].name.toUpperCase()} (${selected[0].uf})` : '';
+    }
+
+    state.dashboard.drill = {
+        title,
+        cities: selected.flatMap(u => u.members).map(m => ({
+            key: m.id,
+            name: m.name,
+            uf: m.uf,
+            population: m.population,
+            capacity: m.capacity,
+            occupied: m.dealers + m.holds
+        }))
+    };
+    renderDashboard();
+    document.getElementById('dashboard-drill').scrollIntoView({ behavior: 'smooth' });
+};
+
+// --- Density Simulator ---
+const SIMULATION_MAX_NAMES = 100; // Cities listed by name per flip direction
+
+// Runs fn with some density settings of the selected line temporarily replaced
+function withConfig(overrides, fn) {
+    const saved = state.config;
+    state.config = withLineSettings(saved, overrides);
+    try {
+        return fn();
+    } finally {
+        state.config = saved;
+    }
+}
+
+// Evaluates the whole country under the current and the candidate default
+// rule; nothing is saved until confirmSimulation().
+async function simulateDensityRule() {
+    const candidate = parseInt(elements.inputs.density.value);
+    if (!candidate || candidate <= 0) {
+        showToast('Informe um número de habitantes válido.', 'warning');
+        return;
+    }
+    if (candidate === getLineConfig().densityRule) {
+        showToast('Esta já é a regra atual.', 'info');
+        return;
+    }
+
+    const container = elements.containers.simulation;
+    container.classList.remove('hidden');
+    container.innerHTML = '<p class="empty-text">Simulando...</p>';
+
+    const populations = await getCityPopulations(state.allCities.map(c => c.id));
+    const current = evaluateAllTerritories(populations);
+    const simulated = withConfig({ densityRule: candidate }, () => evaluateAllTerritories(populations));
+
+    state.simulation = { candidate, current, simulated };
+    renderSimulation();
+}
+
+function getCityAvailability(units) {
+    const availability = new Map();
+    units.forEach(unit => {
+        unit.members.forEach(member => {
+            availability.set(member.id, { city: member, available: unit.occupied < unit.capacity });
+        });
+    });
+    return availability;
+}
+
+function compareSimulation({ current, simulated }) {
+    const before = getCityAvailability(current.units);
+    const after = getCityAvailability(simulated.units);
+    const closing = [];
+    const opening = [];
+
+    after.forEach(({ city, available }, id) => {
+        const previous = before.get(id);
+        if (!previous || previous.available === available) return;
+        (available ? opening : closing).push(city);
+    });
+
+    // Placements that fit today and would exceed the candidate capacity
+    const currentByKey = new Map(current.units.map(u => [u.key, u]));
+    const newlyOver = simulated.units
+        .filter(u => u.excess > 0 && currentByKey.get(u.key).excess <= 0)
+        .map(u => ({ ...u, currentCapacity: currentByKey.get(u.key).capacity }))
+        .sort((a, b) => b.excess - a.excess);
+
+    const countAvailable = availability => [...availability.values()].filter(a => a.available).length;
+    return { closing, opening, newlyOver, availableBefore: countAvailable(before), availableAfter: countAvailable(after) };
+}
+
+function renderSimulation() {
+    const { candidate, current, simulated } = state.simulation;
+    const { closing, opening, newlyOver, availableBefore, availableAfter } = compareSimulation(state.simulation);
+    const before = summarizeUnits(current.units);
+    const after = summarizeUnits(simulated.units);
+
+    const metrics = [
+        ['Vagas totais', before.capacity, after.capacity],
+        ['Vagas livres', before.free, after.free],
+        ['Municípios disponíveis', availableBefore, availableAfter],
+        ['Praças acima da capacidade', current.units.filter(u => u.excess > 0).length, simulated.units.filter(u => u.excess > 0).length]
+    ];
+    const cityNames = cities => cities.slice(0, SIMULATION_MAX_NAMES).map(c => `${c.name} - ${c.uf}`).join(', ')
+        + (cities.length > SIMULATION_MAX_NAMES ? ` e mais ${cities.length - SIMULATION_MAX_NAMES}` : '');
+
+    elements.containers.simulation.innerHTML = `
+        <h4>SIMULAÇÃO: 1 REVENDEDOR A CADA ${candidate.toLocaleString('pt-BR')} HAB. (ATUAL: ${getLineConfig().densityRule.toLocaleString('pt-BR')})</h4>
+        <table class="territory-table">
+            <thead><tr><th></th><th>Atual</th><th>Simulada</th><th>Diferença</th></tr></thead>
+            <tbody>
+                ${metrics.map(([label, a, b]) => `
+                    <tr>
+                        <td>${label}</td>
+                        <td>${a.toLocaleString('pt-BR')}</td>
+                        <td>${b.toLocaleString('pt-BR')}</td>
+                        <td>${b - a > 0 ? '+' : ''}${(b - a).toLocaleString('pt-BR')}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+
+        <h4>PASSAM A INDISPONÍVEIS (${closing.length})</h4>
+        <p class="simulation-cities">${closing.length > 0 ? cityNames(closing) : 'Nenhum município.'}</p>
+
+        <h4>PASSAM A DISPONÍVEIS (${opening.length})</h4>
+        <p class="simulation-cities">${opening.length > 0 ? cityNames(opening) : 'Nenhum município.'}</p>
+
+        <h4>PRAÇAS QUE FICARIAM ACIMA DA CAPACIDADE (${newlyOver.length})</h4>
+        ${newlyOver.length > 0 ? `
+            <div class="territory-table-wrapper">
+                <table class="territory-table">
+                    <thead><tr><th>Praça</th><th>UF</th><th>Revend.</th><th>Vagas atuais</th><th>Vagas simuladas</th></tr></thead>
+                    <tbody>
+                        ${newlyOver.map(u => `
+                            <tr>
+                                <td>${u.name}</td>
+                                <td>${u.uf}</td>
+                                <td>${u.occupied}</td>
+                                <td>${u.currentCapacity}</td>
+                                <td>${u.capacity}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        ` : '<p class="simulation-cities">Nenhuma praça existente excede a nova capacidade.</p>'}
+        ${current.withoutData > 0 ? `<p class="empty-text">${current.withoutData.toLocaleString('pt-BR')} municípios sem dados de população não foram simulados.</p>` : ''}
+
+        <div class="item-actions simulation-actions">
+            <button onclick="confirmSimulation()" class="full-width-btn">CONFIRMAR NOVA REGRA</button>
+            <button onclick="discardSimulation()" class="small-btn">DESCARTAR</button>
+        </div>
+    `;
+}
+
+window.confirmSimulation = function () {
+    if (!ensureWritable() || !state.simulation) return;
+    state.config = withLineSettings(state.config, { densityRule: state.simulation.candidate });
+    discardSimulation();
+    saveConfig();
+};
+
+window.discardSimulation = function () {
+    state.simulation = null;
+    elements.inputs.density.value = getLineConfig().densityRule;
+    elements.containers.simulation.classList.add('hidden');
+    elements.containers.simulation.innerHTML = '';
+};
+
 function renderOccupiedList() {
     const list = elements.containers.occupiedList;
     list.innerHTML = '';
 
-    state.config.occupiedCities.forEach((item, index) => {
+    // Cities show the selected line's dealers; other lines keep theirs
+    getLineConfig().occupiedCities.forEach(item => {
+        const li = document.createElement('li');
+        li.className = 'occupied-item occupied-city';
+        const dealers = Array.isArray(item.dealers) ? item.dealers : [];
+        const editable = canEditUf(item.uf);
+
+        const dealerRows = dealers.map(dealer => `
+            <li class="dealer-item ${isActiveDealer(dealer) ? '' : 'dealer-inactive'}">
+                <div class="occupied-info">
+                    <strong>${escapeHtml(dealer.name)}</strong>
+                    <span>${dealer.cnpj ? CNPJ.format(dealer.cnpj) : 'CNPJ não informado'} · ${DEALER_STATUS_LABELS[dealer.status]}</span>
+                    <span>${describeContract(dealer)}${dealer.contact ? ` · ${escapeHtml(dealer.contact)}` : ''}</span>
+                    ${dealer.address || typeof dealer.lat === 'number' ? `<span>${[dealer.address, typeof dealer.lat === 'number' ? `${dealer.lat}, ${dealer.lng}` : ''].filter(Boolean).map(escapeHtml).join(' · ')}</span>` : ''}
+                </div>
+                ${editable ? `
+                <div class="item-actions">
+                    <button onclick="editDealer('${escapeHtml(dealer.id)}')" class="remove-btn" title="Editar"><i class="fa-solid fa-pen"></i></button>
+                    <button onclick="removeDealer('${escapeHtml(dealer.id)}')" class="remove-btn" title="Remover"><i class="fa-solid fa-trash"></i></button>
+                </div>` : ''}
+            </li>
+        `).join('');
+
+        li.innerHTML = `
+            <details>
+                <summary>
+                    <div class="occupied-info">
+                        <strong>${escapeHtml(item.city)} - ${escapeHtml(item.uf)}</strong>
+                        <span>${countActiveDealers(item)} Revendedores ativos de ${dealers.length}</span>
+                        ${item.unresolved ? '<span class="unresolved-note"><i class="fa-solid fa-triangle-exclamation"></i> Cidade não encontrada no IBGE: não conta nas consultas</span>' : ''}
+                    </div>
+                    ${editable ? `
+                    <div class="item-actions">
+                        ${item.unresolved ? `<button onclick="event.preventDefault(); resolveOccupied('${escapeHtml(item.id)}')" class="remove-btn" title="Vincular cidade"><i class="fa-solid fa-link"></i></button>` : ''}
+                        <button onclick="event.preventDefault(); removeOccupied('${escapeHtml(item.id)}')" class="remove-btn" title="Remover praça"><i class="fa-solid fa-trash"></i></button>
+                    </div>` : ''}
+                </summary>
+                <ul class="dealer-list">${dealerRows}</ul>
+            </details>
+        `;
+        list.appendChild(li);
+    });
+}
+
+function renderUnplacedList() {
+    const list = elements.containers.unplacedList;
+    list.innerHTML = '';
+
+    const unplaced = getUnplacedCities();
+    if (unplaced.length === 0) {
+        list.innerHTML = '<li class="occupied-item"><span class="empty-text">Todas as praças estão no mapa.</span></li>';
+        return;
+    }
+
+    unplaced.forEach(({ item, reason }) => {
+        const li = document.createElement('li');
+        li.className = 'occupied-item';
+        li.innerHTML = `
+            <div class="occupied-info">
+                <strong>${escapeHtml(item.city)} - ${escapeHtml(item.uf)}</strong>
+                <span>${escapeHtml(reason)}</span>
+            </div>
+        `;
+        list.appendChild(li);
+    });
+}
+
+// Admin list of contracts ending within warningDays, soonest first
+function renderExpiringList() {
+    const list = elements.containers.expiringList;
+    list.innerHTML = '';
+
+    const expiring = getLineConfig().occupiedCities
+        .flatMap(item => getExpiringDealers(item).map(dealer => ({ item, dealer })))
+        .sort((a, b) => a.dealer.endDate.localeCompare(b.dealer.endDate));
+
+    if (expiring.length === 0) {
+        list.innerHTML = `<li class="occupied-item"><span class="empty-text">Nenhum contrato vence nos próximos ${state.config.warningDays} dias.</span></li>`;
+        return;
+    }
+
+    expiring.forEach(({ item, dealer }) => {
+        const days = daysUntil(dealer.endDate);
+        const li = document.createElement('li');
+        li.className = 'occupied-item';
+        li.innerHTML = `
+            <div class="occupied-info">
+                <strong>${escapeHtml(item.city)} - ${escapeHtml(item.uf)}</strong>
+                <span>${escapeHtml(dealer.name)} · ${describeContract(dealer)}</span>
+            </div>
+            <span class="expiry-badge">${days === 0 ? 'HOJE' : `${days} ${days === 1 ? 'DIA' : 'DIAS'}`}</span>
+        `;
+        list.appendChild(li);
+    });
+}
+
+function describeContract(dealer) {
+    const format = date => new Date(`${date}T00:00:00`).toLocaleDateString('pt-BR');
+    if (dealer.startDate && dealer.endDate) return `Contrato ${format(dealer.startDate)} a ${format(dealer.endDate)}`;
+    if (dealer.startDate) return `Desde ${format(dealer.startDate)}`;
+    if (dealer.endDate) return `Até ${format(dealer.endDate)}`;
+    return 'Contrato sem datas';
+}
+
+function findDealerById(id) {
+    for (const item of state.config.occupiedCities) {
+        const dealer = (item.dealers || []).find(d => d.id === id);
+        if (dealer) return { item, dealer };
+    }
+    return null;
+}
+
+function renderDensityRules() {
+    const list = elements.containers.rulesList;
+    list.innerHTML = '';
+
+    getLineSettings().densityRules.forEach((rule, index) => {
         const li = document.createElement('li');
         li.className = 'occupied-item';
         li.innerHTML = `
             <div class="occupied-info">
-                <strong>${item.city} - ${item.uf}</strong>
-                <span>${item.dealers} Revendedores</span>
+                <strong>${index + 1}. ${escapeHtml(rule.name)}</strong>
+                <span>${describeRuleMatch(rule)} — ${describeRuleLimits(rule)}</span>
+            </div>
+            <div class="item-actions ${hasRole('superadmin') ? '' : 'hidden'}">
+                <button onclick="moveDensityRule(${index}, -1)" class="remove-btn" title="Subir"><i class="fa-solid fa-arrow-up"></i></button>
+                <button onclick="moveDensityRule(${index}, 1)" class="remove-btn" title="Descer"><i class="fa-solid fa-arrow-down"></i></button>
+                <button onclick="removeDensityRule(${index})" class="remove-btn" title="Remover"><i class="fa-solid fa-trash"></i></button>
             </div>
-            <button onclick="removeOccupied(${index})" class="remove-btn"><i class="fa-solid fa-trash"></i></button>
         `;
         list.appendChild(li);
     });
 }
 
-window.removeOccupied = function (index) {
-    state.config.occupiedCities.splice(index, 1);
+window.moveDensityRule = function (index, direction) {
+    if (!ensureWritable()) return;
+    const rules = getLineSettings().densityRules;
+    const target = index + direction;
+    if (target < 0 || target >= rules.length) return;
+    [rules[index], rules[target]] = [rules[target], rules[index]];
     saveConfig();
-    renderOccupiedList();
+};
+
+window.removeDensityRule = function (index) {
+    if (!ensureWritable()) return;
+    getLineSettings().densityRules.splice(index, 1);
+    saveConfig();
+};
+
+window.editDealer = function (id) {
+    const found = findDealerById(id);
+    if (!found) return;
+    const { item, dealer } = found;
+
+    resetDealerForm();
+    state.editingDealerId = id;
+    elements.inputs.occupiedCity.value = item.city;
+    elements.inputs.occupiedUf.value = item.uf;
+    elements.inputs.occupiedCity.disabled = true;
+    elements.inputs.occupiedUf.disabled = true;
+    elements.inputs.dealerName.value = dealer.name;
+    elements.inputs.dealerCnpj.value = dealer.cnpj ? CNPJ.format(dealer.cnpj) : '';
+    elements.inputs.dealerContact.value = dealer.contact || '';
+    elements.inputs.dealerAddress.value = dealer.address || '';
+    elements.inputs.dealerCoords.value = typeof dealer.lat === 'number' ? `${dealer.lat}, ${dealer.lng}` : '';
+    elements.inputs.dealerStart.value = dealer.startDate || '';
+    elements.inputs.dealerEnd.value = dealer.endDate || '';
+    elements.inputs.dealerStatus.value = dealer.status;
+    elements.buttons.addOccupied.textContent = 'SALVAR REVENDEDOR';
+    elements.buttons.cancelDealerEdit.classList.remove('hidden');
+    elements.inputs.dealerName.focus();
+};
+
+// Loads an entry the migration could not match into the city fields so the
+// admin can pick the right IBGE municipality for it.
+window.resolveOccupied = function (id) {
+    const item = state.config.occupiedCities.find(i => i.id === id);
+    if (!item) return;
+
+    resetDealerForm();
+    state.resolvingOccupiedId = id;
+    elements.inputs.occupiedCity.value = item.city;
+    elements.inputs.occupiedUf.value = item.uf;
+    ['dealerName', 'dealerCnpj', 'dealerContact', 'dealerAddress', 'dealerCoords', 'dealerStart', 'dealerEnd', 'dealerStatus']
+        .forEach(key => { elements.inputs[key].disabled = true; });
+    elements.buttons.addOccupied.textContent = `VINCULAR "${item.city}" À CIDADE SELECIONADA`;
+    elements.buttons.cancelDealerEdit.classList.remove('hidden');
+    elements.inputs.occupiedCity.focus();
+};
+
+async function linkOccupiedCity(city) {
+    if (!ensureWritable()) return false;
+
+    try {
+        const saved = await apiRequest('PUT', `/occupied/${state.resolvingOccupiedId}`, { ibgeId: city.id, uf: city.uf });
+        const others = state.config.occupiedCities.filter(i => i.id !== saved.id && i.id !== state.resolvingOccupiedId);
+        applyConfig({ occupiedCities: [...others, saved] });
+        showToast(`Praça vinculada a ${saved.city} - ${saved.uf}.`, 'success');
+        return true;
+    } catch (error) {
+        showToast(`Erro ao vincular: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+// "lat, lng" typed in the dealer form: null when left blank, undefined when
+// it does not read as a point on the globe
+function parseCoordinates(text) {
+    if (!text.trim()) return null;
+    const match = text.trim().match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/);
+    if (!match) return undefined;
+    const [lat, lng] = [parseFloat(match[1]), parseFloat(match[2])];
+    return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : undefined;
+}
+
+function resetDealerForm() {
+    state.editingDealerId = null;
+    state.resolvingOccupiedId = null;
+    state.adminCity = null;
+    elements.inputs.occupiedCity.disabled = false;
+    elements.inputs.occupiedUf.disabled = false;
+    ['dealerName', 'dealerCnpj', 'dealerContact', 'dealerAddress', 'dealerCoords', 'dealerStart', 'dealerEnd', 'dealerStatus']
+        .forEach(key => { elements.inputs[key].disabled = false; });
+    ['occupiedCity', 'occupiedUf', 'dealerName', 'dealerCnpj', 'dealerContact', 'dealerAddress', 'dealerCoords', 'dealerStart', 'dealerEnd']
+        .forEach(key => { elements.inputs[key].value = ''; });
+    elements.inputs.dealerStatus.value = 'active';
+    elements.buttons.addOccupied.textContent = 'ADICIONAR REVENDEDOR';
+    elements.buttons.cancelDealerEdit.classList.add('hidden');
+}
+
+window.removeDealer = async function (id) {
+    if (!ensureWritable()) return;
+    const found = findDealerById(id);
+    if (!found || !confirm(`Remover ${found.dealer.name} de ${found.item.city}?`)) return;
+
+    try {
+        await apiRequest('DELETE', `/dealers/${id}`);
+        const remaining = found.item.dealers.filter(d => d.id !== id);
+        const others = state.config.occupiedCities.filter(i => i.id !== found.item.id);
+        applyConfig({ occupiedCities: remaining.length > 0 ? [...others, { ...found.item, dealers: remaining }] : others });
+        showToast('Revendedor removido!', 'success');
+    } catch (error) {
+        showToast(`Erro ao remover: ${error.message}`, 'error');
+    }
+};
+
+// With several product lines the list shows one line, so only that line's
+// dealers are removed; the city stays for the others
+window.removeOccupied = async function (id) {
+    if (!ensureWritable()) return;
+    const item = state.config.occupiedCities.find(i => i.id === id);
+    const lineName = getSelectedLineName();
+    if (!item || !confirm(`Remover ${item.city} e seus revendedores${lineName ? ` da linha ${lineName}` : ''}?`)) return;
+
+    try {
+        if (lineName) {
+            await apiRequest('DELETE', `/occupied/${id}?line=${encodeURIComponent(state.lineId)}`);
+            const dealers = item.dealers.filter(dealer => lineOf(dealer) !== state.lineId);
+            const others = state.config.occupiedCities.filter(i => i.id !== id);
+            applyConfig({ occupiedCities: dealers.length > 0 ? [...others, { ...item, dealers }] : others });
+        } else {
+            await apiRequest('DELETE', `/occupied/${id}`);
+            applyConfig({ occupiedCities: state.config.occupiedCities.filter(i => i.id !== id) });
+        }
+        showToast('Configurações salvas!', 'success');
+    } catch (error) {
+        showToast(`Erro ao remover: ${error.message}`, 'error');
+    }
 };
 
 // --- Event Listeners ---
@@ -595,19 +3836,43 @@ function setupEventListeners() {
         console.error("Botão de fechar tutorial não encontrado!");
     }
 
+    window.addEventListener('online', resyncConfig);
+    window.addEventListener('offline', goOffline);
+
     elements.buttons.search.addEventListener('click', handleSearch);
-    elements.inputs.search.addEventListener('keypress', (e) => {
+    elements.inputs.search.addEventListener('keydown', (e) => {
+        if (handleAutocompleteKeys(e, document.getElementById('autocomplete-list'))) return;
         if (e.key === 'Enter') handleSearch();
     });
 
     // Autocomplete Listeners
     elements.inputs.search.addEventListener('input', handleSearchInput);
 
+    elements.buttons.toggleRadius.addEventListener('click', () => {
+        state.showRadii = !state.showRadii;
+        updateRadiusLayer();
+    });
+
+    // Opportunity finder
+    elements.buttons.finderToggle.addEventListener('click', toggleFinder);
+    elements.inputs.finderScope.addEventListener('change', updateFinderScope);
+    elements.inputs.finderCity.addEventListener('input', handleFinderCityInput);
+    elements.inputs.finderCity.addEventListener('keydown', (e) => handleAutocompleteKeys(e, elements.containers.finderAutocomplete));
+    elements.buttons.finderSearch.addEventListener('click', findOpportunities);
+    elements.buttons.finderExport.addEventListener('click', exportFinderResults);
+
     document.addEventListener('click', (e) => {
-        if (e.target !== elements.inputs.search) {
+        // The search button may have just opened the homonym chooser
+        if (e.target !== elements.inputs.search && !elements.buttons.search.contains(e.target)) {
             const list = document.getElementById('autocomplete-list');
             if (list) list.classList.add('hidden');
         }
+        if (e.target !== elements.inputs.occupiedCity) {
+            elements.containers.occupiedAutocomplete.classList.add('hidden');
+        }
+        if (e.target !== elements.inputs.finderCity) {
+            elements.containers.finderAutocomplete.classList.add('hidden');
+        }
     });
 
     elements.buttons.adminToggle.addEventListener('click', () => {
@@ -618,50 +3883,153 @@ function setupEventListeners() {
         }
     });
 
-    elements.buttons.login.addEventListener('click', () => {
-        if (elements.inputs.adminPass.value === 'admin123') {
-            state.isAdmin = true;
-            elements.containers.loginPanel.classList.add('hidden');
-            elements.containers.adminPanel.classList.remove('hidden');
-            renderAdminChart();
-        } else {
-            showToast('Senha incorreta', 'error');
+    elements.buttons.login.addEventListener('click', login);
+    elements.inputs.adminPass.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') login();
+    });
+    elements.buttons.logout.addEventListener('click', logout);
+    elements.buttons.addUser.addEventListener('click', addUser);
+    elements.buttons.addApiKey.addEventListener('click', addApiKey);
+    elements.buttons.addWebhook.addEventListener('click', addWebhook);
+    elements.buttons.addLine.addEventListener('click', saveProductLine);
+    elements.buttons.cancelLineEdit.addEventListener('click', resetLineForm);
+    [elements.inputs.lineSelect, elements.inputs.adminLineSelect].forEach(select => {
+        select.addEventListener('change', () => selectLine(select.value));
+    });
+    elements.buttons.changePassword.addEventListener('click', changePassword);
+    elements.buttons.auditFilter.addEventListener('click', loadAuditLog);
+    elements.inputs.leadStatus.addEventListener('change', renderLeadsList);
+    elements.inputs.waitlistStatus.addEventListener('change', renderWaitlist);
+
+    // The new rule is only saved after reviewing its simulated impact
+    elements.buttons.saveDensity.addEventListener('click', () => {
+        if (!ensureWritable()) return;
+        simulateDensityRule();
+    });
+
+    elements.buttons.refreshPopulation.addEventListener('click', refreshPopulationData);
+
+    elements.buttons.addRule.addEventListener('click', () => {
+        const optionalInt = input => (input.value === '' ? null : parseInt(input.value));
+        const name = elements.inputs.ruleName.value.trim();
+        const ratio = parseInt(elements.inputs.ruleRatio.value);
+
+        if (!name || !(ratio > 0)) {
+            showToast('Informe nome e habitantes por revendedor', 'error');
+            return;
         }
+        if (!ensureWritable()) return;
+
+        getLineSettings().densityRules.push({
+            id: `rule-${Date.now()}`,
+            name,
+            match: {
+                uf: elements.inputs.ruleUf.value || null,
+                regiao: elements.inputs.ruleRegiao.value || null,
+                popMin: optionalInt(elements.inputs.rulePopMin),
+                popMax: optionalInt(elements.inputs.rulePopMax),
+                ibgeIds: elements.inputs.ruleIbge.value.split(/[\s,;]+/).filter(Boolean).map(Number)
+            },
+            ratio,
+            minSlots: optionalInt(elements.inputs.ruleMinSlots) || 0,
+            maxSlots: optionalInt(elements.inputs.ruleMaxSlots)
+        });
+        saveConfig();
+
+        ['ruleName', 'ruleUf', 'ruleRegiao', 'rulePopMin', 'rulePopMax', 'ruleIbge', 'ruleRatio', 'ruleMinSlots', 'ruleMaxSlots']
+            .forEach(key => { elements.inputs[key].value = ''; });
     });
 
-    elements.buttons.logout.addEventListener('click', () => {
-        state.isAdmin = false;
-        elements.containers.loginPanel.classList.remove('hidden');
-        elements.containers.adminPanel.classList.add('hidden');
-        elements.inputs.adminPass.value = '';
+    elements.inputs.importFile.addEventListener('change', readImportFile);
+    elements.buttons.importPreview.addEventListener('click', () => {
+        if (state.importData) buildImportPreview();
+        else showToast('Selecione uma planilha CSV ou XLSX.', 'warning');
     });
+    elements.buttons.importConfirm.addEventListener('click', confirmImport);
+    elements.buttons.exportCsv.addEventListener('click', () => exportNetwork('csv'));
+    elements.buttons.exportXlsx.addEventListener('click', () => exportNetwork('xlsx'));
 
-    elements.buttons.saveDensity.addEventListener('click', () => {
-        state.config.densityRule = parseInt(elements.inputs.density.value);
+    elements.buttons.dashboardRefresh.addEventListener('click', buildDashboard);
+
+    elements.buttons.saveWarning.addEventListener('click', () => {
+        if (!ensureWritable()) return;
+        state.config.warningDays = parseInt(elements.inputs.warningDays.value) || 0;
+        saveConfig();
+    });
+
+    // A blank or zero radius turns the rule off
+    elements.buttons.saveRadius.addEventListener('click', () => {
+        if (!ensureWritable()) return;
+        state.config.exclusivityRadiusKm = parseFloat(elements.inputs.exclusivityRadius.value) || null;
+        saveConfig();
+    });
+
+    elements.buttons.saveTerritory.addEventListener('click', () => {
+        if (!ensureWritable()) return;
+        state.config.territoryLevel = elements.inputs.territoryLevel.value;
         saveConfig();
     });
 
-    elements.buttons.addOccupied.addEventListener('click', () => {
-        const city = elements.inputs.occupiedCity.value;
-        const uf = elements.inputs.occupiedUf.value;
-        const dealers = elements.inputs.occupiedDealers.value;
+    elements.buttons.importLegacy.addEventListener('click', importLegacyConfig);
 
-        if (city && uf && dealers) {
-            const existingIndex = state.config.occupiedCities.findIndex(i => i.city === city && i.uf === uf);
-            if (existingIndex >= 0) {
-                state.config.occupiedCities[existingIndex].dealers = dealers;
-            } else {
-                state.config.occupiedCities.push({ city, uf, dealers });
-            }
-            saveConfig();
-            renderOccupiedList();
+    elements.inputs.occupiedCity.addEventListener('input', handleOccupiedCityInput);
+    elements.inputs.occupiedCity.addEventListener('keydown', (e) => handleAutocompleteKeys(e, elements.containers.occupiedAutocomplete));
+    elements.inputs.occupiedUf.addEventListener('change', () => {
+        if (state.adminCity && state.adminCity.uf !== elements.inputs.occupiedUf.value) {
+            state.adminCity = null;
             elements.inputs.occupiedCity.value = '';
-            elements.inputs.occupiedUf.value = '';
-            elements.inputs.occupiedDealers.value = '';
-        } else {
-            showToast('Preencha todos os campos', 'error');
         }
     });
+
+    elements.buttons.addOccupied.addEventListener('click', async () => {
+        const city = state.editingDealerId ? null : getAdminCity();
+
+        if (state.resolvingOccupiedId) {
+            if (!city) {
+                showToast('Selecione a cidade na lista de sugestões', 'error');
+                return;
+            }
+            if (await linkOccupiedCity(city)) resetDealerForm();
+            return;
+        }
+
+        const coords = parseCoordinates(elements.inputs.dealerCoords.value);
+        const dealer = {
+            ibgeId: city ? city.id : null,
+            uf: elements.inputs.occupiedUf.value,
+            name: elements.inputs.dealerName.value.trim(),
+            cnpj: elements.inputs.dealerCnpj.value,
+            contact: elements.inputs.dealerContact.value.trim(),
+            address: elements.inputs.dealerAddress.value.trim(),
+            lat: coords ? coords.lat : null,
+            lng: coords ? coords.lng : null,
+            startDate: elements.inputs.dealerStart.value || null,
+            endDate: elements.inputs.dealerEnd.value || null,
+            status: elements.inputs.dealerStatus.value,
+            lineId: state.lineId
+        };
+
+        if (!dealer.uf || !dealer.name || !dealer.cnpj) {
+            showToast('Preencha cidade, UF, nome e CNPJ', 'error');
+            return;
+        }
+        if (!state.editingDealerId && !city) {
+            showToast('Cidade não encontrada nesta UF. Selecione uma das sugestões.', 'error');
+            return;
+        }
+        if (!CNPJ.isValid(dealer.cnpj)) {
+            showToast('CNPJ inválido', 'error');
+            return;
+        }
+        if (coords === undefined) {
+            showToast('Coordenadas inválidas. Use "latitude, longitude" (ex: -21.17, -47.81)', 'error');
+            return;
+        }
+
+        if (await saveDealer(dealer)) resetDealerForm();
+    });
+
+    elements.buttons.cancelDealerEdit.addEventListener('click', resetDealerForm);
 }
 
 function toggleView() {
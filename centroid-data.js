@@ -0,0 +1,2 @@
+// Generated by scripts/build-centroid-data.js - do not edit by hand.
+window.CENTROID_DATA = {"source":"IBGE - sedes municipais (via kelvins/municipios-brasileiros)","generatedAt":"2026-10-19T19:38:07.773Z","values":{"1100015":[-11.9283,-61.9953],"1100023":[-9.9057,-63.0325],"1100031":[-13.4945,-60.552],"1100049":[-11.4343,-61.4562],"1100056":[-13.187,-60.8168],"1100064":[-13.1174,-60.5454],"1100072":[-12.9551,-60.8947],"1100080":[-12.4367,-64.228],"1100098":[-11.5266,-61.0252],"1100106":[-10.7889,-65.3296],"1100114":[-10.4318,-62.4788],"1100122":[-10.8777,-61.9322],"1100130":[-9.4436,-61.9818],"1100148":[-11.7247,-62.3127],"1100155":[-10.7167,-62.2565],"1100189":[-11.672,-61.198],"1100205":[-8.7608,-63.8999],"1100254":[-11.169,-61.8986],"1100262":[-9.6997,-62.9011],"1100288":[-11.7271,-61.7714],"1100296":[-11.9074,-61.7777],"1100304":[-12.7502,-60.1488],"1100320":[-11.6953,-62.7192],"1100338":[-10.4077,-65.3346],"1100346":[-11.3463,-62.2847],"1100379":[-12.132,-61.835],"1100403":[-9.7143,-63.3188],"1100452":[-10.1943,-63.8324],"1100502":[-11.6961,-61.9951],"1100601":[-10.349,-62.9043],"1100700":[-10.5712,-63.6266],"1100809":[-8.7907,-63.7005],"1100908":[-11.4253,-61.9482],"1100924":[-12.5611,-60.8877],"1100940":[-9.3606,-62.5846],"1101005":[-10.61,-62.7371],"1101104":[-9.1969,-63.1809],"1101203":[-11.196,-61.5174],"1101302":[-11.029,-62.6696],"1101401":[-10.2458,-63.29],"1101435":[-10.9068,-62.5564],"1101450":[-12.1754,-61.6032],"1101468":[-13.4823,-61.0471],"1101476":[-11.8295,-61.3153],"1101484":[-11.9023,-61.5026],"1101492":[-12.052,-63.568],"1101500":[-11.8055,-63.0182],"1101559":[-10.9056,-62.242],"1101609":[-10.2483,-62.3538],"1101708":[-11.1261,-62.3639],"1101757":[-9.8621,-62.1876],"1101807":[-10.4465,-62.1352],"1200013":[-9.8258,-66.8972],"1200054":[-10.9298,-69.5738],"1200104":[-10.995,-68.7497],"1200138":[-9.8153,-67.955],"1200179":[-10.566,-67.686],"1200203":[-7.6276,-72.6756],"1200252":[-11.0188,-68.7341],"1200302":[-8.1705,-70.351],"1200328":[-9.1908,-71.9503],"1200336":[-7.6166,-72.8997],"1200344":[-8.8329,-69.2679],"1200351":[-8.939,-72.7997],"1200385":[-10.2806,-67.1371],"1200393":[-8.2632,-72.7537],"1200401":[-9.975,-67.8243],"1200427":[-7.7386,-72.661],"1200435":[-9.4465,-70.4902],"1200450":[-10.1497,-67.7362],"1200500":[-9.066,-68.6571],"1200609":[-8.157,-70.7722],"1200708":[-10.6516,-68.4969],"1200807":[-9.5814,-67.5478],"1300029":[-3.2273,-64.8007],"1300060":[-3.3746,-68.2005],"1300086":[-3.567,-61.3963],"1300102":[-3.746,-61.6575],"1300144":[-7.1941,-59.896],"1300201":[-4.3705,-70.1967],"1300300":[-3.5857,-59.1256],"1300409":[-0.9834,-62.9311],"1300508":[-2.7989,-57.0679],"1300607":[-4.3777,-70.0342],"1300631":[-3.8987,-61.3616],"1300680":[-2.9741,-57.5873],"1300706":[-8.7423,-67.3919],"1300805":[-4.3915,-59.5874],"1300839":[-3.3154,-61.2206],"1300904":[-6.5258,-64.3953],"1301001":[-4.8816,-66.9086],"1301100":[-3.768,-60.369],"1301159":[-3.314,-59.5557],"1301209":[-4.0941,-63.1441],"1301308":[-3.8305,-62.0658],"1301407":[-6.6568,-69.8662],"1301506":[-7.4379,-70.0281],"1301605":[-2.5234,-66.0942],"1301654":[-7.538,-72.5907],"1301704":[-7.5117,-63.0327],"1301803":[-7.0479,-71.6934],"1301852":[-3.2748,-60.19],"1301902":[-3.1386,-58.4449],"1301951":[-6.4385,-68.2437],"1302009":[-2.7408,-58.0293],"1302108":[-1.8824,-66.9291],"1302207":[-3.4844,-66.0718],"1302306":[-2.7581,-66.7595],"1302405":[-7.2641,-64.7948],"1302504":[-3.2907,-60.6216],"1302553":[-3.4408,-60.4612],"1302603":[-3.1187,-60.0212],"1302702":[-5.8046,-61.2895],"1302801":[-1.8531,-65.573],"1302900":[-3.3929,-57.7067],"1303007":[-2.2079,-56.7112],"1303106":[-3.9004,-59.094],"1303205":[-2.6364,-60.9434],"1303304":[-5.1259,-60.3732],"1303403":[-2.6374,-56.729],"1303502":[-7.7131,-66.992],"1303536":[-2.0298,-60.0234],"1303569":[-2.7045,-59.6858],"1303601":[-0.4108,-65.0092],"1303700":[-3.0954,-67.9463],"1303809":[-0.1191,-67.084],"1303908":[-3.4729,-68.9646],"1303957":[-2.5591,-57.8731],"1304005":[-2.8175,-58.248],"1304062":[-4.2416,-69.9383],"1304104":[-5.6208,-63.1808],"1304203":[-3.3682,-64.7193],"1304237":[-2.8658,-67.7919],"1304260":[-2.9961,-65.1133],"1304302":[-2.5294,-57.7538],"1304401":[-3.1284,-58.1496],"1400027":[3.6457,-61.3692],"1400050":[2.9886,-61.3072],"1400100":[2.8238,-60.6753],"1400159":[3.3616,-59.8333],"1400175":[2.6099,-60.6058],"1400209":[1.8277,-61.1304],"1400233":[0.8842,-59.6959],"1400282":[2.1831,-61.0415],"1400308":[2.44,-60.9096],"1400407":[3.8853,-59.6204],"1400456":[4.4799,-61.1477],"1400472":[0.94,-60.4389],"1400506":[0.9517,-59.9133],"1400605":[1.0102,-60.0419],"1400704":[4.6031,-60.1815],"1500107":[-1.7218,-48.8788],"1500131":[-4.9533,-48.3933],"1500206":[-1.9538,-48.1985],"1500305":[-0.1549,-50.3861],"1500347":[-6.7905,-50.4791],"1500404":[-1.9462,-54.7384],"1500503":[-1.529,-52.5788],"1500602":[-3.2041,-52.21],"1500701":[-0.9968,-49.9354],"1500800":[-1.3639,-48.3743],"1500859":[-3.4699,-51.2003],"1500909":[-1.0511,-46.6147],"1500958":[-2.149,-47.5677],"1501006":[-3.6084,-55.3199],"1501105":[-1.9006,-50.1987],"1501204":[-2.7902,-49.6694],"1501253":[-7.3478,-50.3959],"1501303":[-1.5119,-48.6195],"1501402":[-1.4554,-48.4898],"1501451":[-2.6361,-54.9374],"1501501":[-1.3618,-48.2434],"1501576":[-5.0424,-48.6047],"1501600":[-1.3675,-47.3066],"1501709":[-1.0613,-46.7826],"1501725":[-3.2979,-52.534],"1501758":[-5.6982,-48.4103],"1501782":[-3.7719,-49.5735],"1501808":[-1.6804,-50.4791],"1501907":[-1.5176,-48.0381],"1501956":[-1.7597,-46.5459],"1502004":[-1.0123,-48.9503],"1502103":[-2.2429,-49.4979],"1502152":[-6.4966,-49.8776],"1502202":[-1.2053,-47.1778],"1502301":[-1.7478,-47.0629],"1502400":[-1.298,-47.9167],"1502509":[-0.1642,-49.987],"1502608":[-0.9364,-48.2803],"1502707":[-8.2614,-49.2689],"1502756":[-1.9924,-47.9422],"1502764":[-7.811,-50.7698],"1502772":[-6.0996,-49.6068],"1502806":[-1.8118,-49.7952],"1502855":[-1.8878,-55.1168],"1502905":[-0.7332,-47.8515],"1502939":[-4.1994,-47.8245],"1502954":[-6.1039,-49.3553],"1503002":[-2.1681,-56.7405],"1503044":[-7.5534,-49.7125],"1503077":[-1.9299,-47.0505],"1503093":[-3.8434,-49.0974],"1503101":[-1.4141,-51.6338],"1503200":[-1.1254,-47.626],"1503309":[-1.9753,-48.9575],"1503408":[-1.4349,-47.9114],"1503457":[-2.5599,-47.5059],"1503507":[-1.7698,-47.446],"1503606":[-4.2667,-55.9926],"1503705":[-5.1327,-49.3358],"1503754":[-6.2147,-57.7544],"1503804":[-4.4462,-49.1153],"1503903":[-2.1635,-56.0889],"1504000":[-1.8985,-49.3903],"1504059":[-2.0568,-47.5601],"1504109":[-0.8034,-47.6014],"1504208":[-5.3807,-49.1327],"1504307":[-0.7789,-47.452],"1504406":[-0.7147,-47.7034],"1504422":[-1.36,-48.3421],"1504455":[-3.4464,-52.8875],"1504505":[-1.8032,-50.7149],"1504604":[-2.5831,-49.5042],"1504703":[-1.8899,-48.7668],"1504752":[-2.6822,-54.6425],"1504802":[-1.9977,-54.0724],"1504901":[-1.5394,-49.2224],"1504950":[-2.2669,-46.9731],"1504976":[-4.9162,-49.0822],"1505007":[-1.2087,-47.3921],"1505031":[-7.1435,-55.3786],"1505064":[-4.2475,-49.9499],"1505106":[-1.9011,-55.5208],"1505205":[-2.0036,-49.8628],"1505304":[-1.7599,-55.8579],"1505403":[-1.5417,-47.1126],"1505437":[-6.7529,-51.0858],"1505486":[-3.8354,-50.6399],"1505494":[-5.7403,-48.3181],"1505502":[-3.0021,-47.3527],"1505536":[-6.0678,-49.9037],"1505551":[-1.5977,-46.9268],"1505601":[-1.1938,-47.324],"1505635":[-6.4378,-48.8716],"1505650":[-3.8681,-54.2124],"1505700":[-1.3959,-48.8661],"1505809":[-1.9364,-50.8194],"1505908":[-1.7469,-52.2361],"1506005":[-1.798,-53.4779],"1506104":[-0.9454,-47.1253],"1506112":[-0.8996,-47.0134],"1506138":[-8.0253,-50.0317],"1506161":[-7.3124,-50.0379],"1506187":[-4.7779,-48.067],"1506195":[-4.1003,-54.9092],"1506203":[-0.6308,-47.3465],"1506302":[-0.7584,-48.5139],"1506351":[-1.1922,-48.238],"1506401":[-0.661,-49.1771],"1506500":[-1.2969,-48.1606],"1506559":[-1.5215,-46.9008],"1506583":[-8.8578,-49.7215],"1506609":[-1.3539,-47.5712],"1506708":[-9.3281,-50.35],"1506807":[-2.4385,-54.6996],"1506906":[-0.931,-47.3855],"1507003":[-1.1522,-48.1314],"1507102":[-0.7473,-48.0246],"1507151":[-5.5373,-48.7366],"1507201":[-1.6877,-47.7665],"1507300":[-6.6425,-51.9904],"1507409":[-1.1696,-47.7917],"1507458":[-6.3947,-48.5592],"1507466":[-0.8579,-47.918],"1507474":[-0.7802,-47.181],"1507508":[-5.3633,-48.7926],"1507607":[-1.6131,-47.4784],"1507706":[-1.716,-49.5249],"1507755":[-6.9402,-49.6834],"1507805":[-4.3124,-51.5764],"1507904":[-0.7303,-48.5015],"1507953":[-2.9458,-48.9489],"1507961":[-1.0296,-47.9004],"1507979":[-2.1044,-56.4877],"1508001":[-2.413,-48.1415],"1508035":[-1.0765,-46.9031],"1508050":[-4.5735,-55.9429],"1508084":[-6.7469,-51.1626],"1508100":[-3.7657,-49.6773],"1508126":[-3.7501,-47.4892],"1508159":[-3.7152,-53.7396],"1508209":[-0.8612,-48.1386],"1508308":[-1.1912,-46.1399],"1508357":[-2.8792,-52.0088],"1508407":[-7.0983,-49.9437],"1600055":[0.9014,-52.0036],"1600105":[2.0527,-50.7957],"1600154":[0.7774,-51.9503],"1600204":[2.5048,-50.9512],"1600212":[0.9708,-50.8005],"1600238":[0.8573,-51.1795],"1600253":[0.6022,-50.6996],"1600279":[-0.8049,-52.453],"1600303":[0.0349,-51.0694],"1600402":[-0.1134,-51.2891],"1600501":[3.8407,-51.8331],"1600535":[0.7124,-51.4155],"1600550":[1.7454,-50.7892],"1600600":[-0.0454,-51.1729],"1600709":[1.5065,-50.9087],"1600808":[-0.938,-52.424],"1700251":[-9.621,-49.1518],"1700301":[-6.5541,-47.4702],"1700350":[-11.3056,-48.9361],"1700400":[-11.5706,-47.1792],"1700707":[-12.4785,-49.1249],"1701002":[-6.3644,-48.0735],"1701051":[-6.3918,-47.8611],"1701101":[-9.9414,-47.9638],"1701309":[-7.1601,-48.5291],"1701903":[-8.8076,-49.5569],"1702000":[-12.9289,-49.8231],"1702109":[-7.1924,-48.2044],"1702158":[-6.5823,-48.6395],"1702208":[-5.6466,-48.1232],"1702307":[-7.6546,-49.0637],"1702406":[-12.9287,-46.9359],"1702554":[-5.4686,-47.8863],"1702703":[-12.7105,-46.4076],"1702901":[-5.6128,-47.7701],"1703008":[-7.2092,-47.7613],"1703057":[-7.7561,-48.5836],"1703073":[-7.6959,-47.6776],"1703107":[-9.834,-48.7252],"1703206":[-7.8748,-48.8893],"1703305":[-8.9631,-48.165],"1703602":[-8.3892,-48.4822],"1703701":[-11.0058,-48.5683],"1703800":[-5.3145,-48.2271],"1703826":[-6.1156,-47.9234],"1703842":[-7.9896,-46.8645],"1703867":[-11.8881,-49.1609],"1703883":[-7.0326,-48.3978],"1703891":[-5.3141,-48.0314],"1703909":[-9.2761,-49.9521],"1704105":[-8.961,-47.3304],"1704600":[-10.1419,-49.1403],"1705102":[-11.6175,-47.7486],"1705508":[-8.0576,-48.4757],"1705557":[-12.7917,-46.5388],"1705607":[-12.2209,-47.2951],"1706001":[-8.2841,-49.2473],"1706100":[-10.5985,-49.1942],"1706258":[-11.0994,-48.9152],"1706506":[-6.7159,-47.7597],"1707009":[-11.624,-46.8198],"1707108":[-9.8002,-49.2169],"1707207":[-9.2553,-49.0638],"1707306":[-11.3416,-49.2716],"1707405":[-5.3659,-48.5378],"1707553":[-10.7603,-48.9076],"1707652":[-12.1312,-49.1748],"1707702":[-7.335,-47.4954],"1708205":[-11.7976,-49.5316],"1708254":[-9.0561,-48.5206],"1708304":[-8.7741,-48.9313],"1709005":[-7.7148,-47.3252],"1709302":[-8.8354,-48.5114],"1709500":[-11.7279,-49.068],"1709807":[-11.2329,-48.46],"1710508":[-8.3929,-47.7726],"1710706":[-5.7727,-47.4864],"1710904":[-8.3798,-48.1072],"1711100":[-8.5717,-48.6895],"1711506":[-12.6509,-48.589],"1711803":[-8.1195,-49.0643],"1711902":[-10.7906,-49.6199],"1711951":[-10.368,-47.538],"1712009":[-9.75,-48.3565],"1712157":[-12.7847,-46.5099],"1712405":[-9.59,-46.6738],"1712454":[-6.1779,-47.8582],"1712504":[-9.7938,-49.6553],"1712702":[-10.5464,-46.4168],"1712801":[-5.9517,-47.5125],"1713205":[-9.5656,-48.393],"1713304":[-9.5291,-48.5922],"1713601":[-10.7611,-48.1114],"1713700":[-10.0075,-48.9941],"1713809":[-6.6166,-47.5464],"1713957":[-7.1467,-48.6091],"1714203":[-11.7034,-47.7223],"1714302":[-6.375,-47.6643],"1714880":[-7.6317,-48.4252],"1715002":[-10.5651,-48.9125],"1715101":[-9.9706,-47.6785],"1715150":[-12.9217,-46.5713],"1715259":[-11.826,-46.6325],"1715507":[-10.707,-48.9086],"1715705":[-7.8479,-47.9242],"1715754":[-13.0447,-48.4026],"1716109":[-10.175,-48.8823],"1716208":[-12.6167,-47.8734],"1716307":[-7.5392,-49.367],"1716505":[-8.9703,-48.1729],"1716604":[-12.0254,-48.5395],"1716653":[-8.5932,-48.9327],"1716703":[-8.7246,-48.7638],"1717008":[-11.1311,-47.5726],"1717206":[-6.773,-48.2958],"1717503":[-10.442,-49.1876],"1717800":[-12.0853,-46.4825],"1717909":[-10.7481,-47.5276],"1718006":[-11.618,-47.0621],"1718204":[-10.7027,-48.408],"1718303":[-5.3928,-47.8111],"1718402":[-8.5406,-48.5062],"1718451":[-10.424,-48.8957],"1718501":[-8.7227,-47.2421],"1718550":[-6.4401,-48.1371],"1718659":[-11.3949,-46.8847],"1718709":[-9.3443,-48.5245],"1718758":[-9.35,-47.888],"1718808":[-5.3542,-47.8782],"1718840":[-12.538,-49.9242],"1718865":[-7.158,-48.7165],"1718881":[-8.8046,-47.7887],"1718899":[-10.8617,-48.9161],"1718907":[-11.4474,-48.1216],"1719004":[-10.2746,-47.8033],"1720002":[-6.4444,-47.6684],"1720101":[-6.0258,-47.9012],"1720150":[-10.1615,-46.6618],"1720200":[-5.563,-47.5743],"1720259":[-12.7458,-48.2352],"1720309":[-5.2613,-48.2021],"1720499":[-11.9743,-48.2353],"1720655":[-11.1471,-48.1694],"1720804":[-5.6012,-47.6381],"1720853":[-11.993,-48.9685],"1720903":[-12.4026,-46.437],"1720937":[-12.1873,-46.9797],"1720978":[-12.7949,-49.0896],"1721000":[-10.24,-48.3558],"1721109":[-9.5632,-48.3741],"1721208":[-6.3245,-47.4224],"1721257":[-8.9717,-48.1883],"1721307":[-8.3939,-48.1277],"1722081":[-6.8527,-47.9601],"1722107":[-6.4141,-48.532],"2100055":[-4.9471,-47.5004],"2100105":[-4.1363,-43.3275],"2100154":[-2.8405,-42.1189],"2100204":[-2.3957,-44.4062],"2100303":[-4.6262,-43.4689],"2100402":[-4.166,-45.4706],"2100436":[-4.213,-44.446],"2100477":[-3.6669,-45.8421],"2100501":[-9.1027,-45.9303],"2100550":[-1.6752,-46.0024],"2100600":[-5.5691,-46.7473],"2100709":[-3.2627,-44.6126],"2100808":[-3.6758,-43.1014],"2100832":[-1.4586,-45.0864],"2100873":[-2.9464,-45.6589],"2100907":[-2.8909,-41.905],"2100956":[-4.8835,-46.0032],"2101004":[-3.4521,-44.7665],"2101103":[-2.8394,-44.062],"2101202":[-4.2245,-44.7832],"2101251":[-2.9645,-44.3164],"2101301":[-1.6965,-45.1328],"2101350":[-2.71,-44.7329],"2101400":[-7.5321,-46.0372],"2101509":[-6.7446,-43.0261],"2101608":[-5.4968,-45.2485],"2101707":[-2.7586,-42.8232],"2101731":[-3.1549,-43.5122],"2101772":[-3.7262,-45.3075],"2101806":[-7.2104,-44.5577],"2101905":[-2.4416,-44.7842],"2101939":[-4.6267,-44.7608],"2101970":[-1.7761,-46.3002],"2102002":[-3.5413,-45.606],"2102036":[-4.4764,-46.8641],"2102077":[-4.3731,-45.0326],"2102101":[-3.678,-42.7527],"2102150":[-4.334,-45.581],"2102200":[-3.9417,-42.9179],"2102309":[-5.8324,-43.8353],"2102325":[-4.3238,-46.4409],"2102358":[-5.5982,-47.0131],"2102374":[-2.9307,-44.0528],"2102408":[-2.8733,-44.6741],"2102507":[-3.3274,-45.0145],"2102556":[-6.1707,-47.3625],"2102606":[-1.4326,-45.7161],"2102705":[-3.6376,-44.383],"2102754":[-4.7236,-44.328],"2102804":[-7.3358,-47.4634],"2102903":[-1.197,-46.0085],"2103000":[-4.8651,-43.3617],"2103109":[-2.0003,-44.5281],"2103125":[-2.1983,-44.8254],"2103158":[-2.4489,-46.0345],"2103174":[-2.127,-46.1228],"2103208":[-3.7388,-43.3538],"2103257":[-5.1746,-47.7781],"2103307":[-4.4556,-43.8924],"2103406":[-4.2524,-43.0108],"2103505":[-6.032,-44.2543],"2103554":[-3.8514,-44.8895],"2103604":[-4.1344,-44.1244],"2103703":[-1.8148,-44.8644],"2103752":[-5.5464,-47.4217],"2103802":[-5.0352,-44.4409],"2103901":[-4.15,-42.9477],"2104008":[-4.8794,-44.6926],"2104057":[-6.5608,-47.4431],"2104073":[-6.9651,-46.6786],"2104081":[-6.1621,-44.8979],"2104099":[-6.4402,-46.1916],"2104107":[-6.9598,-46.1749],"2104206":[-5.7279,-44.1565],"2104305":[-1.4026,-45.7795],"2104404":[-5.1475,-44.3013],"2104503":[-5.0208,-44.2754],"2104552":[-5.7497,-47.3646],"2104602":[-5.319,-44.2469],"2104628":[-5.4783,-44.0774],"2104651":[-3.4324,-45.6619],"2104677":[-2.129,-45.8777],"2104701":[-5.4055,-44.3358],"2104800":[-5.8137,-46.1462],"2104909":[-2.1275,-44.602],"2105005":[-2.5983,-43.4649],"2105104":[-2.7721,-44.0501],"2105153":[-3.6577,-45.2114],"2105203":[-4.6625,-44.8558],"2105302":[-5.5185,-47.4777],"2105351":[-5.1425,-45.7877],"2105401":[-3.402,-44.3508],"2105427":[-4.4529,-47.5235],"2105450":[-5.8228,-44.2153],"2105476":[-5.3624,-45.6356],"2105500":[-5.4436,-47.4064],"2105609":[-4.9861,-44.6958],"2105658":[-1.8389,-46.09],"2105708":[-4.5697,-45.1319],"2105807":[-4.609,-45.049],"2105906":[-3.9466,-44.826],"2105922":[-6.0502,-43.5333],"2105948":[-4.6117,-44.9798],"2105963":[-4.9889,-45.3816],"2105989":[-6.1854,-47.0293],"2106003":[-4.5184,-44.4646],"2106102":[-7.0811,-45.1451],"2106201":[-1.2749,-45.867],"2106300":[-3.3923,-42.2117],"2106326":[-2.0492,-45.9587],"2106359":[-4.6281,-45.4531],"2106375":[-2.2408,-45.8507],"2106409":[-3.6204,-43.1112],"2106508":[-3.0985,-45.035],"2106607":[-5.5136,-43.2018],"2106631":[-3.6244,-44.5468],"2106672":[-3.5744,-42.6131],"2106706":[-6.3745,-44.3683],"2106755":[-3.5631,-44.5814],"2106805":[-2.0709,-44.7787],"2106904":[-3.4813,-45.2496],"2107001":[-5.8307,-47.0673],"2107100":[-2.8538,-44.0357],"2107209":[-3.4679,-43.9134],"2107258":[-7.1226,-46.2607],"2107308":[-6.7305,-44.0471],"2107357":[-2.8423,-45.6953],"2107407":[-4.1342,-45.1163],"2107456":[-2.9929,-44.9897],"2107506":[-2.5166,-44.1019],"2107605":[-2.6443,-44.8933],"2107704":[-6.4264,-43.9792],"2107803":[-5.6737,-43.1011],"2107902":[-6.1775,-43.7755],"2108009":[-6.603,-44.0745],"2108058":[-2.7209,-42.5258],"2108108":[-4.4448,-45.2398],"2108207":[-4.5648,-44.6006],"2108256":[-2.9727,-45.3493],"2108306":[-3.2767,-45.1768],"2108405":[-2.5768,-44.8504],"2108454":[-4.3746,-44.3369],"2108504":[-3.6098,-45.342],"2108603":[-2.5222,-45.0788],"2108702":[-3.8931,-45.1759],"2108801":[-3.7204,-44.2216],"2108900":[-4.7463,-44.9432],"2109007":[-6.3415,-47.3962],"2109056":[-1.8593,-44.5842],"2109106":[-5.2898,-44.495],"2109205":[-2.9187,-44.0715],"2109239":[-2.3899,-45.82],"2109270":[-2.588,-45.3595],"2109304":[-3.4079,-44.0234],"2109403":[-2.5057,-43.4232],"2109452":[-2.4254,-44.0973],"2109502":[-7.3582,-46.6225],"2109551":[-5.9307,-47.3888],"2109601":[-2.9344,-44.2531],"2109700":[-7.1345,-45.3515],"2109759":[-5.4967,-44.5638],"2109809":[-2.2443,-45.29],"2109908":[-3.6511,-45.3774],"2110005":[-4.0687,-45.69],"2110039":[-2.5112,-45.7801],"2110104":[-3.4931,-42.5688],"2110203":[-3.1424,-44.3211],"2110237":[-3.109,-42.4064],"2110278":[-2.5007,-43.238],"2110302":[-4.8661,-44.3653],"2110401":[-3.3352,-43.5287],"2110500":[-2.6978,-44.8289],"2110609":[-3.3722,-42.4191],"2110658":[-6.8147,-44.6509],"2110708":[-5.5809,-44.3822],"2110807":[-7.0754,-44.8092],"2110856":[-5.1258,-47.389],"2110906":[-6.2516,-42.8668],"2111003":[-2.954,-44.7953],"2111029":[-3.5503,-46.2507],"2111052":[-6.4563,-47.0594],"2111078":[-5.1082,-43.8163],"2111102":[-6.4934,-43.7036],"2111201":[-2.547,-44.0597],"2111250":[-5.0549,-44.5809],"2111300":[-2.5387,-44.2825],"2111409":[-4.3854,-44.6654],"2111508":[-4.0374,-44.4707],"2111532":[-5.0847,-48.4291],"2111573":[-6.8239,-46.5319],"2111607":[-7.0218,-45.4809],"2111631":[-5.1105,-45.0696],"2111672":[-5.0231,-45.001],"2111706":[-2.8949,-44.8681],"2111722":[-4.0491,-45.2457],"2111748":[-5.251,-44.0533],"2111763":[-5.4461,-47.2959],"2111789":[-1.8523,-45.1207],"2111805":[-5.876,-46.7033],"2111904":[-6.4784,-44.1919],"2111953":[-6.4086,-43.5455],"2112001":[-8.4662,-45.7536],"2112100":[-4.256,-43.932],"2112209":[-5.0977,-42.8329],"2112233":[-4.538,-44.628],"2112274":[-3.6736,-45.6238],"2112308":[-5.2548,-44.6444],"2112407":[-1.6589,-45.3798],"2112456":[-2.2164,-45.3044],"2112506":[-2.7614,-42.2755],"2112605":[-3.2064,-43.3878],"2112704":[-3.5364,-43.917],"2112803":[-3.2045,-44.9912],"2112852":[-5.1889,-48.1336],"2112902":[-3.4512,-44.8643],"2113009":[-4.2818,-45.2505],"2114007":[-3.2701,-45.6553],"2200053":[-8.2195,-41.0831],"2200103":[-5.7968,-42.6664],"2200202":[-5.8886,-42.637],"2200251":[-7.0004,-40.9282],"2200277":[-7.242,-40.8566],"2200301":[-5.2563,-42.2096],"2200400":[-5.0389,-42.4612],"2200459":[-8.4242,-43.777],"2200509":[-6.243,-42.8433],"2200608":[-6.0879,-42.74],"2200707":[-9.1856,-43.0494],"2200806":[-7.2128,-44.1889],"2200905":[-6.1102,-41.7822],"2200954":[-7.245,-41.5325],"2201002":[-6.6508,-42.5418],"2201051":[-5.865,-41.0389],"2201101":[-10.1345,-43.9563],"2201150":[-7.849,-45.219],"2201176":[-6.5164,-42.1146],"2201200":[-4.2447,-42.2922],"2201309":[-9.9296,-45.4702],"2201408":[-5.8167,-42.5147],"2201507":[-4.0223,-42.0787],"2201556":[-7.9881,-41.8675],"2201572":[-7.3665,-40.9688],"2201606":[-5.4568,-42.3638],"2201705":[-7.6334,-43.9498],"2201739":[-8.1438,-40.7989],"2201770":[-4.414,-42.1357],"2201804":[-6.9412,-41.3168],"2201903":[-9.0712,-44.359],"2201919":[-3.1963,-41.6403],"2201929":[-9.1605,-42.8865],"2201945":[-4.4818,-42.1212],"2201960":[-4.1337,-41.7859],"2201988":[-8.2031,-42.8229],"2202000":[-3.1826,-41.8695],"2202026":[-5.3058,-41.0933],"2202059":[-4.4773,-42.3069],"2202075":[-6.7967,-42.3903],"2202083":[-2.9311,-41.3408],"2202091":[-7.3314,-40.6366],"2202109":[-7.6593,-41.8775],"2202117":[-8.3824,-41.8344],"2202133":[-7.1283,-41.0315],"2202174":[-3.8044,-42.64],"2202208":[-4.8217,-42.1641],"2202251":[-7.6882,-43.7233],"2202307":[-8.1111,-42.9517],"2202406":[-4.457,-41.944],"2202455":[-8.4965,-41.814],"2202505":[-9.2793,-43.329],"2202539":[-3.4752,-41.8425],"2202554":[-7.7344,-40.9848],"2202604":[-5.3187,-41.5499],"2202653":[-3.419,-41.8955],"2202703":[-3.4728,-41.5546],"2202711":[-4.5571,-41.9587],"2202729":[-3.6205,-41.4402],"2202737":[-5.0922,-42.208],"2202752":[-8.1837,-43.794],"2202778":[-7.2265,-42.1756],"2202802":[-7.8764,-41.5942],"2202851":[-8.814,-42.5232],"2202901":[-10.4333,-45.1633],"2203008":[-10.6443,-45.1893],"2203107":[-8.8227,-44.223],"2203206":[-10.0326,-44.3002],"2203230":[-9.0117,-44.4062],"2203255":[-5.6082,-42.8376],"2203271":[-7.8313,-40.8957],"2203305":[-5.3587,-42.6776],"2203354":[-9.3394,-42.4348],"2203404":[-6.9533,-41.6396],"2203420":[-4.2495,-41.2683],"2203453":[-9.0052,-41.9697],"2203503":[-6.1995,-42.1355],"2203602":[-8.0963,-43.6705],"2203701":[-3.8886,-42.2324],"2203750":[-9.4834,-42.7912],"2203800":[-7.7879,-42.918],"2203859":[-7.4668,-41.7883],"2203909":[-6.7718,-43.0241],"2204006":[-6.3933,-42.2591],"2204105":[-6.6261,-42.6881],"2204154":[-7.331,-40.788],"2204204":[-6.9949,-41.1288],"2204303":[-7.0817,-40.6146],"2204352":[-7.1548,-41.3409],"2204402":[-9.83,-45.3423],"2204501":[-6.7828,-43.5594],"2204550":[-9.3865,-43.6943],"2204600":[-5.9886,-42.5598],"2204659":[-2.8577,-41.8186],"2204709":[-6.665,-41.7041],"2204808":[-6.8242,-41.7381],"2204907":[-7.736,-41.6735],"2205003":[-7.4434,-41.4687],"2205102":[-7.5999,-43.0249],"2205151":[-7.9306,-41.2075],"2205201":[-7.3623,-41.1371],"2205250":[-6.099,-42.63],"2205276":[-4.7702,-41.817],"2205300":[-7.0913,-43.5033],"2205359":[-8.5074,-42.4264],"2205409":[-3.5016,-42.1865],"2205458":[-3.4804,-42.4255],"2205508":[-4.7515,-42.5746],"2205516":[-5.1746,-41.6976],"2205524":[-10.3225,-44.2381],"2205532":[-9.2199,-43.1337],"2205540":[-5.8307,-42.6223],"2205557":[-4.5154,-42.6309],"2205565":[-8.4767,-41.5342],"2205573":[-4.385,-41.5969],"2205581":[-5.4186,-42.6437],"2205599":[-6.5077,-41.5653],"2205607":[-7.2592,-43.9364],"2205706":[-2.8844,-41.6641],"2205805":[-3.4683,-42.3718],"2205854":[-3.4862,-42.4981],"2205904":[-8.0123,-43.8755],"2205953":[-7.4417,-40.6602],"2206001":[-7.1156,-43.8926],"2206050":[-7.4747,-41.1103],"2206100":[-3.7149,-42.5507],"2206209":[-4.1686,-42.8963],"2206308":[-5.6808,-42.7436],"2206357":[-4.6829,-41.4173],"2206407":[-5.562,-42.6075],"2206506":[-6.9928,-41.026],"2206605":[-9.7536,-45.3037],"2206654":[-9.7189,-43.9072],"2206670":[-3.7334,-42.3024],"2206696":[-3.319,-42.094],"2206704":[-6.9702,-42.6773],"2206720":[-5.3513,-42.8153],"2206753":[-4.6302,-42.173],"2206803":[-3.9757,-42.6184],"2206902":[-6.449,-41.9261],"2206951":[-5.2875,-41.9325],"2207009":[-7.0191,-42.1283],"2207108":[-5.8412,-42.5594],"2207207":[-7.351,-40.8997],"2207306":[-7.7737,-42.2474],"2207355":[-7.8551,-42.8248],"2207405":[-8.7308,-44.2466],"2207504":[-5.9709,-43.056],"2207553":[-7.103,-41.7],"2207603":[-10.2166,-44.63],"2207702":[-2.9059,-41.7754],"2207751":[-5.8604,-42.4436],"2207777":[-7.6723,-41.2408],"2207793":[-5.2607,-42.3908],"2207801":[-8.1344,-41.1431],"2207850":[-7.9606,-43.2284],"2207900":[-4.4258,-41.4482],"2207934":[-8.0681,-42.2847],"2207959":[-8.0971,-42.0471],"2208007":[-7.0772,-41.467],"2208106":[-6.2384,-41.4113],"2208205":[-6.83,-40.6083],"2208304":[-3.9333,-41.7088],"2208403":[-4.2716,-41.7716],"2208502":[-3.8881,-42.6998],"2208551":[-6.9642,-44.1837],"2208601":[-5.6726,-42.2046],"2208650":[-8.5706,-41.4106],"2208700":[-9.4794,-44.5811],"2208809":[-6.2312,-42.6842],"2208858":[-10.1244,-44.9503],"2208874":[-7.6903,-42.7128],"2208908":[-7.5565,-45.2447],"2209005":[-7.7803,-43.1369],"2209104":[-7.1785,-41.7609],"2209153":[-5.8058,-41.9506],"2209203":[-9.1123,-45.9116],"2209302":[-8.9488,-44.1296],"2209351":[-6.947,-41.5178],"2209377":[-6.7958,-42.2814],"2209401":[-6.9868,-41.2252],"2209450":[-6.0465,-42.7123],"2209500":[-7.4207,-41.9063],"2209559":[-9.058,-43.0076],"2209609":[-5.9348,-42.1172],"2209658":[-8.236,-41.6873],"2209708":[-7.2463,-42.541],"2209757":[-10.0319,-45.3092],"2209807":[-5.9939,-42.7095],"2209856":[-6.812,-41.3415],"2209872":[-3.955,-41.2569],"2209906":[-5.5108,-41.8923],"2209955":[-6.9408,-41.8889],"2209971":[-3.8186,-42.4459],"2210003":[-8.3547,-42.2559],"2210052":[-3.8141,-41.8308],"2210102":[-7.4855,-42.5672],"2210201":[-6.8719,-41.4731],"2210300":[-7.0839,-40.8246],"2210359":[-9.1646,-42.5496],"2210375":[-6.8194,-41.3175],"2210383":[-5.8565,-42.1934],"2210391":[-7.5971,-42.3676],"2210409":[-5.4973,-41.3165],"2210508":[-5.9208,-42.7192],"2210607":[-9.0124,-42.6987],"2210623":[-10.817,-44.8337],"2210631":[-7.568,-44.06],"2210656":[-4.9166,-41.7311],"2210706":[-7.5911,-40.8137],"2210805":[-7.8529,-41.9075],"2210904":[-7.8677,-42.4922],"2210938":[-7.0369,-41.3767],"2210953":[-8.4094,-42.9211],"2210979":[-6.5979,-42.2795],"2211001":[-5.0919,-42.8034],"2211100":[-4.5857,-42.8583],"2211209":[-7.2394,-44.5577],"2211308":[-6.403,-41.7375],"2211357":[-9.238,-42.9692],"2211407":[-6.549,-42.248],"2211506":[-7.5975,-41.4673],"2211605":[-7.1327,-40.9345],"2211704":[-7.2315,-41.905],"2300101":[-7.3459,-39.0416],"2300150":[-4.2208,-38.7055],"2300200":[-2.8877,-40.1183],"2300309":[-6.0891,-39.448],"2300408":[-6.5712,-40.1178],"2300507":[-3.5854,-40.5479],"2300606":[-6.9984,-39.7356],"2300705":[-5.5089,-38.2743],"2300754":[-3.3602,-39.8288],"2300804":[-6.7692,-39.987],"2300903":[-3.9451,-39.4359],"2301000":[-3.8993,-38.3896],"2301109":[-4.5583,-37.7679],"2301208":[-4.3687,-38.8125],"2301257":[-4.7457,-40.831],"2301307":[-7.2132,-40.1359],"2301406":[-4.4123,-39.0471],"2301505":[-6.3165,-40.1653],"2301604":[-6.8669,-39.8689],"2301703":[-6.9335,-38.9742],"2301802":[-6.7195,-38.7134],"2301851":[-5.3045,-38.9132],"2301901":[-7.2982,-39.3021],"2301950":[-4.2892,-38.6429],"2302008":[-7.1719,-38.7741],"2302057":[-3.0205,-41.1358],"2302107":[-4.326,-38.8812],"2302206":[-4.1774,-38.1271],"2302305":[-3.05,-40.1671],"2302404":[-5.1126,-39.7337],"2302503":[-7.4847,-38.9799],"2302602":[-2.9005,-40.8544],"2302701":[-7.0676,-40.3687],"2302800":[-4.3516,-39.3155],"2302909":[-4.4557,-38.9048],"2303006":[-4.2251,-39.1912],"2303105":[-3.9486,-40.476],"2303204":[-7.0281,-39.2828],"2303303":[-6.5243,-39.4916],"2303402":[-4.1598,-40.9413],"2303501":[-4.1297,-38.2412],"2303600":[-6.1229,-39.8736],"2303659":[-4.6434,-40.2],"2303709":[-3.728,-38.6619],"2303808":[-6.6003,-39.0609],"2303907":[-3.0357,-41.2435],"2303931":[-4.8391,-39.1344],"2303956":[-4.2887,-38.4986],"2304004":[-3.5415,-40.6587],"2304103":[-5.1677,-40.6536],"2304202":[-7.2153,-39.4103],"2304236":[-4.4048,-40.9022],"2304251":[-2.9181,-40.176],"2304269":[-5.9149,-39.257],"2304277":[-6.0275,-38.3461],"2304285":[-3.8925,-38.4559],"2304301":[-6.9215,-39.5651],"2304350":[-3.7995,-40.2634],"2304400":[-3.7166,-38.5423],"2304459":[-4.4513,-37.7981],"2304509":[-3.7556,-40.818],"2304608":[-4.0435,-39.454],"2304657":[-4.0442,-40.749],"2304707":[-3.1279,-40.8372],"2304806":[-6.8813,-39.2144],"2304905":[-3.9179,-40.3852],"2304954":[-4.0406,-38.6404],"2305001":[-4.1581,-40.7476],"2305100":[-4.2625,-38.932],"2305209":[-4.4096,-40.4056],"2305233":[-4.1209,-38.4707],"2305266":[-4.8038,-38.7501],"2305308":[-3.924,-40.8911],"2305332":[-4.97,-38.6362],"2305357":[-4.7121,-37.3531],"2305407":[-6.3963,-38.8554],"2305506":[-6.3628,-39.2892],"2305605":[-5.3879,-40.3085],"2305654":[-4.8976,-40.7537],"2305704":[-6.7827,-38.7179],"2305803":[-4.3175,-40.7059],"2305902":[-4.538,-40.7118],"2306009":[-5.8124,-38.2919],"2306108":[-3.7474,-39.7843],"2306207":[-4.6715,-37.833],"2306256":[-3.9658,-38.5298],"2306306":[-3.6831,-39.5855],"2306405":[-3.4993,-39.5836],"2306504":[-4.5552,-38.9281],"2306553":[-2.9248,-39.9167],"2306603":[-4.5261,-39.6202],"2306702":[-5.6051,-38.7639],"2306801":[-5.6776,-38.5359],"2306900":[-5.9021,-38.6227],"2307007":[-4.8315,-37.781],"2307106":[-7.576,-39.2826],"2307205":[-7.6797,-39.0029],"2307254":[-2.7933,-40.5127],"2307304":[-7.1962,-39.3076],"2307403":[-6.5152,-39.5187],"2307502":[-6.7448,-38.9706],"2307601":[-5.1439,-38.0847],"2307635":[-4.846,-39.5725],"2307650":[-3.867,-38.6259],"2307700":[-3.8914,-38.6829],"2307809":[-3.1285,-40.1582],"2307908":[-3.2252,-40.6896],"2308005":[-3.5236,-40.3423],"2308104":[-7.386,-38.7708],"2308203":[-3.5397,-40.4531],"2308302":[-7.2975,-38.9378],"2308351":[-5.6725,-39.1875],"2308377":[-3.5687,-39.9663],"2308401":[-7.2352,-39.143],"2308500":[-5.7384,-39.63],"2308609":[-4.791,-40.0646],"2308708":[-5.0974,-38.3702],"2308807":[-3.4631,-40.6776],"2308906":[-3.2343,-40.1233],"2309003":[-3.9027,-40.7452],"2309102":[-4.3029,-38.9951],"2309201":[-7.0842,-39.6713],"2309300":[-4.7058,-40.5621],"2309409":[-5.5255,-40.7713],"2309458":[-4.4852,-38.5933],"2309508":[-6.2518,-38.9053],"2309607":[-4.1711,-38.465],"2309706":[-3.9784,-38.6183],"2309805":[-4.2249,-38.922],"2309904":[-3.9833,-40.6989],"2310001":[-4.7367,-37.9655],"2310100":[-4.1383,-38.8446],"2310209":[-3.4144,-39.03],"2310258":[-3.438,-39.1479],"2310308":[-6.2077,-40.6905],"2310407":[-4.0881,-39.2417],"2310506":[-5.4534,-39.7078],"2310605":[-7.8216,-39.0707],"2310704":[-3.7927,-39.2692],"2310803":[-6.0358,-38.4624],"2310852":[-4.0158,-38.3061],"2310902":[-5.8003,-39.417],"2310951":[-4.2392,-40.6442],"2311009":[-4.7467,-40.9205],"2311108":[-7.5226,-39.114],"2311207":[-7.0915,-40.0233],"2311231":[-5.7129,-38.1578],"2311264":[-5.8425,-40.7002],"2311306":[-4.9663,-39.0155],"2311355":[-6.2464,-39.2011],"2311405":[-5.1907,-39.2889],"2311504":[-5.0715,-37.9802],"2311603":[-4.2159,-38.7277],"2311702":[-4.1419,-40.5759],"2311801":[-4.9267,-37.9721],"2311900":[-6.5346,-39.9017],"2311959":[-7.284,-40.45],"2312007":[-3.4614,-40.2118],"2312106":[-7.1761,-39.7302],"2312205":[-4.3261,-40.1523],"2312304":[-4.0471,-40.8596],"2312403":[-3.6052,-38.9726],"2312502":[-5.2752,-38.2694],"2312601":[-3.6698,-39.2391],"2312700":[-5.5824,-39.3704],"2312809":[-3.3531,-40.4662],"2312908":[-3.6891,-40.3482],"2313005":[-5.7189,-39.0107],"2313104":[-5.2435,-38.1282],"2313203":[-4.8314,-40.3196],"2313252":[-6.6784,-39.753],"2313302":[-5.9859,-40.2968],"2313351":[-3.9883,-39.5799],"2313401":[-3.7296,-40.9923],"2313500":[-3.2693,-39.2681],"2313559":[-3.5841,-39.4297],"2313609":[-3.8545,-40.9204],"2313708":[-6.6389,-38.7008],"2313757":[-3.6765,-39.3465],"2313807":[-3.6232,-39.5107],"2313906":[-3.3082,-40.5628],"2313955":[-4.1939,-40.4741],"2314003":[-6.7826,-39.2942],"2314102":[-3.5667,-41.0916],"2400109":[-6.4282,-36.6347],"2400208":[-5.5836,-36.914],"2400307":[-5.4923,-36.5075],"2400406":[-6.2035,-38.2941],"2400505":[-6.4053,-38.0142],"2400604":[-6.1475,-37.7636],"2400703":[-5.2819,-36.75],"2400802":[-5.6579,-36.6094],"2400901":[-6.2137,-37.8834],"2401008":[-5.6535,-37.7946],"2401107":[-4.9525,-37.1252],"2401206":[-6.1883,-35.1608],"2401305":[-5.8621,-37.3135],"2401404":[-6.3716,-35.0033],"2401453":[-5.0698,-37.6129],"2401503":[-5.9428,-35.9247],"2401602":[-5.6991,-35.813],"2401651":[-5.9803,-36.4167],"2401701":[-5.9865,-35.5792],"2401800":[-6.1857,-35.3591],"2401859":[-5.0709,-36.0717],"2401909":[-5.7654,-35.9938],"2402006":[-6.4544,-37.1067],"2402105":[-6.2383,-36.1888],"2402204":[-6.3719,-35.1281],"2402303":[-5.7839,-37.5586],"2402402":[-6.5502,-36.5868],"2402501":[-5.3418,-36.8335],"2402600":[-5.6432,-35.4247],"2402709":[-6.035,-36.3503],"2402808":[-6.3748,-36.2223],"2402907":[-6.2497,-38.4441],"2403004":[-6.4089,-36.7782],"2403103":[-6.2548,-36.5146],"2403202":[-6.0808,-38.3794],"2403251":[-5.9112,-35.271],"2403301":[-6.1069,-38.3033],"2403400":[-6.9383,-36.717],"2403509":[-6.3356,-35.3052],"2403608":[-5.7014,-35.3048],"2403707":[-5.5927,-37.6875],"2403756":[-5.691,-36.5282],"2403806":[-6.1226,-36.8226],"2403905":[-6.0723,-38.1212],"2404002":[-6.1567,-37.8375],"2404101":[-5.0909,-36.2754],"2404200":[-6.2649,-35.1943],"2404309":[-5.4489,-37.5183],"2404408":[-4.9807,-37.1621],"2404507":[-5.1062,-36.3222],"2404606":[-5.8245,-35.55],"2404705":[-5.4898,-36.8501],"2404804":[-6.806,-37.2045],"2404853":[-5.6389,-36.8712],"2404903":[-5.8363,-37.9912],"2405009":[-6.4186,-36.2031],"2405108":[-5.3521,-36.1278],"2405207":[-6.0147,-37.4048],"2405306":[-6.1657,-35.6219],"2405405":[-6.4654,-35.9346],"2405504":[-5.65,-35.9713],"2405603":[-6.3766,-37.3496],"2405702":[-6.5805,-36.7736],"2405801":[-5.5409,-35.8122],"2405900":[-6.2721,-37.7885],"2406007":[-6.311,-38.2823],"2406106":[-6.0306,-37.009],"2406155":[-6.2687,-35.3495],"2406205":[-6.3949,-35.5949],"2406304":[-6.1508,-35.4299],"2406403":[-6.0119,-35.8729],"2406502":[-6.0934,-36.4703],"2406601":[-6.123,-35.4724],"2406700":[-5.6932,-36.247],"2406809":[-6.1494,-36.1171],"2406908":[-6.1052,-37.8134],"2407005":[-6.4059,-38.3899],"2407104":[-5.8523,-35.3552],"2407203":[-5.1079,-36.6318],"2407252":[-6.3995,-38.324],"2407302":[-6.2846,-38.1642],"2407401":[-6.0828,-37.908],"2407500":[-5.5218,-35.2631],"2407609":[-6.0719,-37.5158],"2407708":[-6.4852,-35.2842],"2407807":[-6.0706,-35.3253],"2407906":[-6.437,-35.7831],"2408003":[-5.1837,-37.3474],"2408102":[-5.7936,-35.1986],"2408201":[-6.0933,-35.1991],"2408300":[-6.4751,-35.4286],"2408409":[-5.9486,-37.7047],"2408508":[-6.6958,-36.9428],"2408607":[-6.4756,-38.3057],"2408706":[-5.7689,-37.1032],"2408805":[-5.2228,-35.8398],"2408904":[-6.6849,-36.6566],"2408953":[-5.2765,-35.3794],"2409100":[-6.4302,-35.6442],"2409209":[-6.2727,-35.37],"2409308":[-6.1066,-37.6356],"2409332":[-5.838,-35.6914],"2409407":[-6.105,-38.2077],"2409506":[-5.1499,-35.876],"2409605":[-5.5735,-36.1084],"2409704":[-5.5161,-36.3867],"2409803":[-6.4356,-35.2195],"2409902":[-5.2564,-36.7095],"2410009":[-6.2636,-38.0461],"2410108":[-5.6223,-35.6635],"2410207":[-6.0206,-37.9865],"2410256":[-5.0544,-36.7887],"2410306":[-6.1048,-35.7113],"2410405":[-5.4639,-35.5554],"2410504":[-6.1899,-38.2211],"2410603":[-6.0724,-37.716],"2410702":[-5.9265,-37.949],"2410801":[-6.2514,-38.3116],"2410900":[-5.8216,-35.8215],"2411007":[-5.7839,-38.0579],"2411056":[-4.8373,-37.2554],"2411106":[-5.8875,-35.933],"2411205":[-6.2248,-36.0193],"2411403":[-5.946,-36.6578],"2411429":[-6.7664,-36.7312],"2411502":[-6.312,-35.4739],"2411601":[-5.0926,-35.9587],"2411700":[-6.338,-36.0863],"2411809":[-6.3797,-37.1864],"2411908":[-5.9747,-38.1519],"2412005":[-5.7907,-35.3257],"2412104":[-6.7139,-37.2027],"2412203":[-6.0773,-35.2417],"2412302":[-6.3109,-35.7067],"2412401":[-6.44,-36.8746],"2412500":[-6.2028,-38.4947],"2412559":[-5.123,-35.6354],"2412609":[-5.8994,-35.7642],"2412708":[-5.9056,-35.6317],"2412807":[-5.7979,-36.8778],"2412906":[-5.964,-36.0798],"2413003":[-6.2189,-36.6827],"2413102":[-6.0333,-35.6978],"2413201":[-6.1576,-35.1299],"2413300":[-6.4176,-35.7033],"2413359":[-5.1772,-37.0242],"2413409":[-6.6603,-37.3996],"2413508":[-6.2818,-35.5],"2413557":[-6.1109,-37.9548],"2413607":[-5.7767,-37.957],"2413706":[-6.1113,-35.909],"2413805":[-5.9195,-38.0367],"2413904":[-5.6306,-35.5918],"2414001":[-6.1965,-35.7989],"2414100":[-6.4582,-38.182],"2414159":[-6.1378,-36.7135],"2414209":[-6.1918,-35.0866],"2414308":[-6.4577,-37.2745],"2414407":[-5.2018,-35.4621],"2414456":[-5.8541,-37.1786],"2414506":[-5.9824,-37.818],"2414605":[-5.6376,-37.2635],"2414704":[-6.3464,-35.3732],"2414753":[-6.3202,-38.4896],"2414803":[-6.044,-35.428],"2414902":[-5.9825,-37.9462],"2415008":[-6.3129,-35.067],"2500106":[-7.5114,-37.6357],"2500205":[-7.0918,-38.1681],"2500304":[-7.0394,-35.6206],"2500403":[-7.0538,-35.7591],"2500502":[-6.9466,-35.5332],"2500536":[-7.7367,-36.0511],"2500577":[-6.8929,-36.0129],"2500601":[-7.4298,-34.9057],"2500700":[-6.7219,-38.4468],"2500734":[-7.555,-37.0628],"2500775":[-6.7847,-38.0803],"2500809":[-6.8437,-35.3737],"2500908":[-6.8281,-35.7552],"2501005":[-6.5485,-35.7498],"2501104":[-6.964,-35.6977],"2501153":[-7.117,-36.9404],"2501203":[-7.0479,-35.9313],"2501302":[-7.5447,-35.7066],"2501351":[-7.0723,-36.725],"2501401":[-6.6921,-34.9381],"2501500":[-6.7477,-35.6246],"2501534":[-6.6348,-36.2601],"2501575":[-7.5181,-35.9913],"2501609":[-6.7182,-36.0671],"2501708":[-7.746,-36.3209],"2501807":[-7.1238,-34.9293],"2501906":[-6.7426,-35.5166],"2502003":[-6.1852,-37.5348],"2502052":[-6.4457,-38.5521],"2502102":[-7.4098,-38.2113],"2502151":[-7.2637,-36.2357],"2502201":[-6.816,-38.6453],"2502300":[-6.4418,-37.9234],"2502409":[-7.3134,-38.5133],"2502508":[-7.487,-36.1309],"2502607":[-7.1718,-38.1478],"2502706":[-6.802,-35.6187],"2502805":[-6.3418,-37.4943],"2502904":[-6.3707,-37.8253],"2503001":[-7.5135,-34.9055],"2503100":[-7.489,-36.287],"2503209":[-6.9873,-34.8284],"2503308":[-6.9135,-38.676],"2503407":[-7.1213,-37.1563],"2503506":[-6.6386,-35.7778],"2503555":[-7.2072,-37.0604],"2503605":[-6.6212,-35.4581],"2503704":[-6.88,-38.5577],"2503753":[-6.9602,-37.8009],"2503803":[-7.1025,-35.3272],"2503902":[-7.885,-36.8242],"2504009":[-7.222,-35.8731],"2504033":[-6.9162,-35.1673],"2504074":[-7.7205,-36.492],"2504108":[-7.0341,-38.3399],"2504157":[-6.7795,-35.8179],"2504207":[-7.1201,-37.6064],"2504306":[-6.3406,-37.747],"2504355":[-7.4166,-36.0306],"2504405":[-7.5511,-38.5014],"2504504":[-6.8983,-37.606],"2504603":[-7.2575,-34.8999],"2504702":[-7.7908,-36.6581],"2504801":[-7.0071,-37.9346],"2504850":[-7.6236,-36.6064],"2504900":[-7.139,-35.0857],"2505006":[-6.8669,-36.3619],"2505105":[-6.4765,-36.1515],"2505204":[-6.8906,-35.5215],"2505238":[-6.9129,-35.2502],"2505279":[-6.7233,-35.2639],"2505303":[-7.5308,-38.1962],"2505352":[-6.6316,-35.9101],"2505402":[-7.287,-37.0925],"2505501":[-6.7303,-37.5704],"2505600":[-7.4174,-38.2615],"2505709":[-6.6157,-35.6205],"2505808":[-6.685,-35.418],"2505907":[-7.0996,-37.7163],"2506004":[-7.0228,-35.8597],"2506103":[-7.3445,-35.7931],"2506202":[-6.3976,-36.4526],"2506251":[-7.5828,-35.7899],"2506301":[-6.8506,-35.485],"2506400":[-7.1233,-35.4222],"2506509":[-7.2483,-36.4923],"2506608":[-7.4796,-38.4059],"2506707":[-7.3889,-37.5079],"2506806":[-7.2814,-35.605],"2506905":[-7.3317,-35.3317],"2507002":[-7.302,-38.1504],"2507101":[-6.8237,-35.2406],"2507200":[-7.3811,-35.638],"2507309":[-6.6145,-35.289],"2507408":[-6.5458,-37.8036],"2507507":[-7.1151,-34.8641],"2507606":[-7.1713,-35.5686],"2507705":[-7.0609,-36.5793],"2507804":[-6.9927,-36.7166],"2507903":[-7.3618,-35.2321],"2508000":[-7.5298,-37.815],"2508109":[-6.5857,-37.9127],"2508208":[-6.6721,-35.3706],"2508307":[-7.1554,-35.8491],"2508406":[-6.506,-38.1742],"2508505":[-7.3711,-36.9491],"2508554":[-6.6119,-35.4384],"2508604":[-6.9026,-34.8748],"2508703":[-7.252,-37.4322],"2508802":[-6.8972,-37.5221],"2508901":[-6.8337,-35.1213],"2509008":[-7.7033,-38.1523],"2509057":[-6.7653,-35.0087],"2509107":[-7.0594,-35.318],"2509156":[-6.8275,-38.3528],"2509206":[-7.1899,-35.7848],"2509305":[-6.5967,-35.0531],"2509339":[-7.1249,-35.7669],"2509370":[-6.5402,-37.7279],"2509396":[-7.2619,-37.351],"2509404":[-7.2852,-35.4832],"2509503":[-7.0885,-35.9592],"2509602":[-7.204,-38.5838],"2509701":[-7.8836,-37.1184],"2509800":[-7.0252,-35.46],"2509909":[-7.6351,-35.5586],"2510006":[-6.9114,-38.322],"2510105":[-6.4506,-36.2057],"2510204":[-7.4723,-38.0382],"2510303":[-6.6712,-36.422],"2510402":[-7.2212,-37.7406],"2510501":[-6.9843,-36.241],"2510600":[-7.616,-37.1519],"2510659":[-7.3098,-36.6522],"2510709":[-7.1347,-37.0433],"2510808":[-7.0174,-37.2747],"2510907":[-6.5914,-37.6185],"2511004":[-7.4217,-38.0689],"2511103":[-6.75,-36.4758],"2511202":[-7.3911,-35.1065],"2511301":[-7.1928,-37.9289],"2511400":[-6.5084,-36.3497],"2511509":[-7.264,-35.2523],"2511608":[-6.8683,-35.613],"2511707":[-6.8428,-35.531],"2511806":[-6.7792,-35.4906],"2511905":[-7.4664,-34.8151],"2512002":[-7.0666,-36.0668],"2512036":[-6.3988,-38.4909],"2512077":[-6.564,-38.5111],"2512101":[-6.7661,-37.8003],"2512200":[-7.6883,-37.0801],"2512309":[-7.7317,-37.9886],"2512408":[-7.1548,-35.9543],"2512507":[-7.3503,-35.9031],"2512606":[-7.0224,-37.1458],"2512705":[-6.9499,-35.8011],"2512721":[-6.6332,-35.2966],"2512747":[-6.5427,-35.661],"2512754":[-7.2535,-35.6693],"2512762":[-7.1417,-35.2914],"2512788":[-7.6802,-36.157],"2512804":[-6.4407,-37.6483],"2512903":[-6.8038,-35.0776],"2513000":[-7.101,-36.8458],"2513109":[-7.3534,-35.4305],"2513158":[-7.7389,-35.8764],"2513208":[-6.5237,-38.0617],"2513307":[-6.7176,-38.6427],"2513356":[-7.621,-38.554],"2513406":[-6.8609,-36.9178],"2513505":[-7.547,-38.3236],"2513604":[-7.3816,-37.9819],"2513653":[-6.4836,-38.4764],"2513703":[-7.1172,-34.9753],"2513802":[-7.0796,-37.4435],"2513851":[-7.2202,-36.6213],"2513901":[-6.4853,-37.4488],"2513927":[-6.886,-37.7243],"2513943":[-7.6327,-36.4374],"2513968":[-6.8031,-37.9488],"2513984":[-6.6077,-38.0968],"2514008":[-7.3817,-36.5345],"2514107":[-8.077,-36.8547],"2514206":[-6.9365,-38.1622],"2514305":[-7.2464,-38.2989],"2514404":[-6.8397,-37.3214],"2514453":[-7.2524,-35.3725],"2514503":[-7.1187,-38.502],"2514552":[-7.7363,-38.0894],"2514602":[-7.1607,-37.3036],"2514651":[-6.2105,-37.3601],"2514701":[-6.763,-36.7972],"2514800":[-7.3877,-36.8085],"2514909":[-6.9239,-37.0954],"2515005":[-7.2476,-35.2016],"2515104":[-7.1103,-35.8678],"2515203":[-8.1529,-37.0138],"2515302":[-7.0936,-35.228],"2515401":[-6.8543,-36.4122],"2515500":[-7.4803,-36.666],"2515609":[-6.6853,-35.4379],"2515708":[-7.2096,-38.3647],"2515807":[-7.1862,-35.6842],"2515906":[-6.8157,-35.6282],"2515930":[-6.7513,-35.4372],"2515971":[-7.1443,-35.2357],"2516003":[-6.7516,-35.6636],"2516102":[-7.0583,-36.3668],"2516151":[-6.7707,-36.2538],"2516201":[-6.7515,-38.2311],"2516300":[-7.6621,-36.884],"2516409":[-6.4876,-35.6367],"2516508":[-7.2063,-36.8245],"2516607":[-7.627,-37.8712],"2516706":[-7.221,-37.2525],"2516755":[-6.9386,-36.6273],"2516805":[-6.5713,-38.5986],"2516904":[-6.515,-38.4128],"2517001":[-7.692,-35.6582],"2517100":[-6.7619,-36.9913],"2517209":[-6.5068,-38.2567],"2517407":[-8.079,-37.1057],"2600054":[-7.9007,-34.8984],"2600104":[-7.7431,-37.631],"2600203":[-8.5114,-41.0095],"2600302":[-8.4597,-35.9447],"2600401":[-8.7061,-35.5263],"2600500":[-9.1113,-37.1226],"2600609":[-8.4665,-36.7788],"2600708":[-7.604,-35.2227],"2600807":[-8.4848,-36.0644],"2600906":[-8.3769,-35.4501],"2601003":[-8.8843,-36.2902],"2601052":[-7.7839,-35.0809],"2601102":[-7.5707,-40.494],"2601201":[-8.4152,-37.0577],"2601300":[-8.4207,-35.6585],"2601409":[-8.8161,-35.1832],"2601508":[-8.625,-35.8335],"2601607":[-8.7505,-38.9623],"2601706":[-8.3313,-36.4258],"2601805":[-8.2679,-38.0345],"2601904":[-8.2328,-35.796],"2602001":[-7.7776,-39.9338],"2602100":[-9.1692,-36.6857],"2602209":[-7.7969,-35.5784],"2602308":[-8.4716,-35.7292],"2602407":[-9.0291,-36.566],"2602506":[-7.3469,-37.2865],"2602605":[-8.1493,-36.3741],"2602704":[-7.7245,-35.3182],"2602803":[-8.6195,-37.1606],"2602902":[-8.2822,-35.0253],"2603009":[-8.5055,-39.3094],"2603108":[-8.4867,-36.2402],"2603207":[-8.7803,-36.6268],"2603306":[-8.7311,-36.3366],"2603405":[-7.9355,-38.1482],"2603454":[-8.0235,-34.9782],"2603504":[-8.3587,-35.7653],"2603603":[-7.4055,-35.2664],"2603702":[-8.8765,-36.1979],"2603801":[-8.7342,-36.6306],"2603900":[-7.7934,-37.7946],"2603926":[-8.318,-38.7512],"2604007":[-7.8457,-35.2514],"2604106":[-8.2845,-35.9699],"2604155":[-7.7408,-35.7206],"2604205":[-8.6751,-35.7024],"2604304":[-7.7118,-39.2367],"2604403":[-8.0068,-35.204],"2604502":[-8.2383,-35.4571],"2604601":[-7.5879,-35.0999],"2604700":[-9.1212,-36.3244],"2604809":[-8.4744,-35.5468],"2604908":[-8.0083,-35.6957],"2605004":[-8.6243,-35.9518],"2605103":[-8.0855,-37.6443],"2605152":[-8.4412,-40.7662],"2605202":[-8.3567,-35.2241],"2605301":[-7.5036,-39.7238],"2605400":[-7.947,-35.3801],"2605459":[-3.8396,-32.4107],"2605509":[-7.4467,-35.2373],"2605608":[-7.8584,-37.9715],"2605707":[-8.6031,-38.5687],"2605806":[-7.9392,-35.9113],"2605905":[-8.5798,-35.3846],"2606002":[-8.8824,-36.4966],"2606101":[-8.0057,-35.2904],"2606200":[-7.5606,-34.9959],"2606309":[-7.7071,-39.615],"2606408":[-8.2112,-35.5675],"2606507":[-9.0456,-36.8498],"2606606":[-8.5403,-37.7032],"2606705":[-8.5763,-36.1812],"2606804":[-7.8288,-34.9013],"2606903":[-7.8322,-37.5082],"2607000":[-8.9021,-37.8351],"2607109":[-7.6691,-37.4576],"2607208":[-8.393,-35.0609],"2607307":[-7.6451,-40.1476],"2607406":[-8.8223,-38.6975],"2607505":[-8.9457,-37.4173],"2607604":[-7.7477,-34.8303],"2607653":[-7.414,-35.0963],"2607703":[-7.3718,-37.1863],"2607752":[-7.768,-34.8971],"2607802":[-7.6637,-35.1002],"2607901":[-8.113,-35.015],"2607950":[-8.7262,-35.7942],"2608008":[-7.9767,-36.4943],"2608057":[-9.1748,-38.2607],"2608107":[-7.8656,-35.5787],"2608206":[-8.6228,-35.5288],"2608255":[-8.702,-36.4871],"2608305":[-8.709,-36.4126],"2608404":[-8.7071,-36.1347],"2608453":[-7.8438,-35.3108],"2608503":[-7.93,-35.2874],"2608602":[-9.1257,-36.4584],"2608701":[-8.6602,-35.904],"2608750":[-8.9945,-40.2767],"2608800":[-8.6579,-36.3293],"2608909":[-7.8726,-35.4402],"2609006":[-7.5556,-35.4425],"2609105":[-7.6883,-35.5114],"2609154":[-8.9649,-37.6313],"2609204":[-8.7906,-35.8266],"2609303":[-8.1211,-38.7388],"2609402":[-8.1087,-35.0835],"2609501":[-7.7415,-35.2193],"2609600":[-8.0102,-34.8545],"2609709":[-7.7455,-35.5956],"2609808":[-8.6103,-39.6026],"2609907":[-7.8792,-40.08],"2610004":[-8.6842,-35.589],"2610103":[-9.0109,-36.3242],"2610202":[-8.6612,-36.0125],"2610301":[-8.9187,-36.6549],"2610400":[-8.0873,-39.5795],"2610509":[-7.9971,-35.5813],"2610608":[-7.9029,-35.1716],"2610707":[-7.934,-34.8684],"2610806":[-8.4964,-36.94],"2610905":[-8.358,-36.6978],"2611002":[-9.0686,-38.3027],"2611101":[-9.3887,-40.5027],"2611200":[-8.1873,-36.7111],"2611309":[-8.1398,-35.3967],"2611408":[-8.33,-35.3544],"2611507":[-8.8117,-36.0137],"2611533":[-7.7073,-37.8446],"2611606":[-8.0467,-34.8771],"2611705":[-8.1374,-35.8648],"2611804":[-8.5096,-35.3698],"2611903":[-8.6592,-35.1532],"2612000":[-8.3286,-35.6967],"2612109":[-7.9269,-35.6503],"2612208":[-8.0737,-39.1247],"2612307":[-8.9723,-36.691],"2612406":[-8.361,-36.5696],"2612455":[-8.2415,-40.3434],"2612471":[-7.8134,-38.1476],"2612505":[-7.948,-36.2061],"2612554":[-8.1669,-40.6079],"2612604":[-8.7977,-39.8241],"2612703":[-7.8368,-35.8941],"2612802":[-7.377,-37.4787],"2612901":[-8.8166,-35.9453],"2613008":[-8.5264,-36.4465],"2613107":[-8.3376,-36.2869],"2613206":[-8.8758,-36.3653],"2613305":[-8.432,-35.8035],"2613404":[-8.8894,-35.1515],"2613503":[-7.8572,-38.7577],"2613602":[-7.4695,-37.274],"2613701":[-8.0068,-35.0124],"2613800":[-7.5897,-35.4808],"2613909":[-7.9818,-38.289],"2614006":[-7.9404,-39.2951],"2614105":[-8.0685,-37.2684],"2614204":[-8.5878,-35.1126],"2614303":[-7.6193,-39.546],"2614402":[-7.5947,-37.6445],"2614501":[-7.8475,-35.7481],"2614600":[-7.5837,-37.5377],"2614709":[-8.3087,-36.3],"2614808":[-9.098,-38.1504],"2614857":[-8.7567,-35.1033],"2615003":[-7.8945,-36.0423],"2615102":[-9.0562,-36.6272],"2615201":[-8.2224,-39.3825],"2615300":[-7.5048,-35.3119],"2615409":[-8.0096,-36.0637],"2615508":[-7.8023,-35.2314],"2615607":[-7.759,-40.2647],"2615706":[-7.8327,-38.0978],"2615805":[-8.748,-37.3445],"2615904":[-7.6003,-37.3165],"2616001":[-8.5788,-36.8742],"2616100":[-7.9223,-38.9701],"2616183":[-7.7708,-35.8491],"2616209":[-7.9016,-35.9681],"2616308":[-7.6566,-35.3139],"2616407":[-8.1282,-35.2976],"2616506":[-8.8046,-35.6212],"2700102":[-9.262,-37.938],"2700201":[-9.6849,-36.3078],"2700300":[-9.7549,-36.6615],"2700409":[-9.5119,-36.0086],"2700508":[-9.4023,-35.5101],"2700607":[-9.8384,-35.9057],"2700706":[-9.6742,-37.133],"2700805":[-9.5705,-36.4904],"2700904":[-9.8227,-37.277],"2701001":[-9.6431,-36.2125],"2701100":[-9.2334,-36.0162],"2701209":[-9.4012,-36.9911],"2701308":[-9.3994,-36.1559],"2701357":[-8.8472,-35.5685],"2701407":[-9.7845,-36.3525],"2701506":[-9.9554,-36.7926],"2701605":[-9.1193,-37.5967],"2701704":[-9.415,-36.0826],"2701803":[-9.4848,-37.3773],"2701902":[-9.2556,-36.2983],"2702009":[-9.6335,-36.5845],"2702108":[-8.9181,-35.7214],"2702207":[-9.6372,-35.7994],"2702306":[-10.1276,-36.1717],"2702355":[-9.6178,-36.7697],"2702405":[-9.3853,-37.9987],"2702504":[-9.3847,-37.0965],"2702553":[-9.3909,-36.7644],"2702603":[-9.8986,-36.6815],"2702702":[-10.2935,-36.3028],"2702801":[-9.2728,-35.7139],"2702900":[-9.884,-36.8316],"2703007":[-8.9782,-35.9373],"2703106":[-9.5377,-36.6372],"2703205":[-10.1235,-36.6597],"2703304":[-9.2259,-37.7509],"2703403":[-9.6355,-37.2076],"2703502":[-8.8395,-35.4591],"2703601":[-9.0875,-35.2634],"2703700":[-9.6622,-37.0046],"2703759":[-10.0133,-36.0142],"2703809":[-9.1328,-35.7474],"2703908":[-8.933,-35.5669],"2704005":[-9.907,-36.4803],"2704104":[-9.8329,-36.7413],"2704203":[-9.741,-36.5121],"2704302":[-9.666,-35.735],"2704401":[-9.5301,-36.992],"2704500":[-9.0074,-35.2267],"2704609":[-9.2304,-37.3524],"2704708":[-9.7097,-35.8967],"2704807":[-9.5835,-36.3045],"2704906":[-9.4474,-36.3881],"2705002":[-9.1182,-37.7323],"2705101":[-9.1544,-35.5243],"2705200":[-9.3938,-35.8392],"2705309":[-9.3124,-36.8696],"2705408":[-9.6036,-37.2505],"2705507":[-9.3068,-35.9428],"2705606":[-8.9419,-35.664],"2705705":[-9.5369,-37.2971],"2705804":[-9.5036,-37.8301],"2705903":[-10.0572,-36.8101],"2706000":[-9.5195,-37.1954],"2706109":[-9.1588,-37.3556],"2706208":[-9.6749,-37.339],"2706307":[-9.4057,-36.6328],"2706406":[-9.7403,-37.4403],"2706422":[-9.2563,-37.9988],"2706448":[-9.4631,-35.552],"2706505":[-9.2451,-35.4745],"2706604":[-9.3679,-36.3672],"2706703":[-10.2874,-36.5819],"2706802":[-10.406,-36.434],"2706901":[-9.6014,-35.9543],"2707008":[-9.4738,-36.2918],"2707107":[-9.624,-37.757],"2707206":[-9.3074,-37.2889],"2707305":[-9.0519,-35.3987],"2707404":[-9.1601,-35.3049],"2707503":[-10.1849,-36.8376],"2707602":[-9.32,-36.4692],"2707701":[-9.4778,-35.8394],"2707800":[-9.835,-35.9782],"2707909":[-9.6037,-35.8232],"2708006":[-9.37,-37.248],"2708105":[-9.1714,-36.2176],"2708204":[-10.1141,-36.8522],"2708303":[-9.0128,-36.0515],"2708402":[-9.5577,-37.3831],"2708501":[-9.3182,-35.5606],"2708600":[-9.783,-36.0971],"2708709":[-9.2649,-35.3763],"2708808":[-9.9304,-36.559],"2708907":[-9.5691,-35.8227],"2708956":[-9.4699,-37.4576],"2709004":[-9.5338,-36.4366],"2709103":[-9.6453,-36.4928],"2709152":[-9.9166,-36.3492],"2709202":[-9.9626,-37.0071],"2709301":[-9.1592,-36.0223],"2709400":[-9.3676,-36.2431],"2800100":[-10.1348,-36.935],"2800209":[-10.278,-37.0148],"2800308":[-10.9091,-37.0677],"2800407":[-11.2614,-37.6201],"2800506":[-10.758,-37.3251],"2800605":[-10.8996,-37.0323],"2800670":[-11.1397,-37.6195],"2800704":[-10.4297,-36.4611],"2801009":[-10.7392,-37.4954],"2801108":[-10.1365,-36.9806],"2801207":[-9.6488,-37.7923],"2801306":[-10.5069,-37.0628],"2801405":[-10.3524,-37.7002],"2801504":[-10.6449,-36.9887],"2801603":[-10.2534,-36.8856],"2801702":[-11.4668,-37.7585],"2801900":[-10.352,-37.1846],"2802007":[-10.6782,-37.1506],"2802106":[-11.2659,-37.4484],"2802205":[-10.2616,-37.3147],"2802304":[-10.5513,-37.5279],"2802403":[-9.9722,-37.0869],"2802502":[-10.6835,-36.9838],"2802601":[-10.2252,-37.2006],"2802700":[-10.4425,-36.5479],"2802809":[-11.5157,-37.515],"2802908":[-10.6826,-37.4273],"2803005":[-11.2693,-37.7875],"2803104":[-10.1248,-37.1056],"2803203":[-10.99,-37.3078],"2803302":[-10.5849,-36.9418],"2803401":[-10.3477,-36.8045],"2803500":[-10.9136,-37.6689],"2803609":[-10.7981,-37.1731],"2803708":[-10.6619,-37.5413],"2803807":[-10.3418,-36.9252],"2803906":[-10.6649,-37.3004],"2804003":[-10.7308,-37.0856],"2804102":[-10.5769,-37.3512],"2804201":[-10.0256,-37.5616],"2804300":[-10.4271,-36.9588],"2804409":[-10.3215,-36.585],"2804458":[-10.3944,-37.4517],"2804508":[-10.2158,-37.4211],"2804607":[-10.4854,-37.1963],"2804706":[-10.0772,-37.0615],"2804805":[-10.8468,-37.1231],"2804904":[-10.4538,-36.6531],"2805000":[-10.6134,-37.6922],"2805109":[-11.1902,-37.6775],"2805208":[-10.5677,-37.7242],"2805307":[-10.7215,-36.8544],"2805406":[-9.8062,-37.6833],"2805505":[-10.7151,-38.1813],"2805604":[-9.9163,-37.2842],"2805703":[-10.2138,-36.8442],"2805802":[-11.0729,-37.731],"2805901":[-10.735,-37.1966],"2806008":[-10.5357,-37.438],"2806107":[-10.6904,-37.0357],"2806206":[-11.0288,-37.4804],"2806305":[-11.3536,-37.4586],"2806404":[-10.2922,-36.6105],"2806503":[-10.6434,-37.1931],"2806602":[-10.7892,-37.0564],"2806701":[-11.0084,-37.2044],"2806800":[-10.7916,-37.5685],"2806909":[-10.3442,-36.8869],"2807006":[-10.3847,-37.3836],"2807105":[-10.7387,-37.8097],"2807204":[-10.5965,-37.1131],"2807303":[-10.2064,-36.8818],"2807402":[-11.1798,-37.9995],"2807501":[-11.3694,-37.8433],"2807600":[-11.3809,-37.6623],"2900108":[-13.2488,-41.6619],"2900207":[-8.7207,-39.1162],"2900306":[-11.6575,-38.0197],"2900355":[-10.5437,-38.1113],"2900405":[-11.8618,-38.7639],"2900504":[-13.4215,-42.1352],"2900603":[-14.1269,-39.8937],"2900702":[-12.1335,-38.4208],"2900801":[-17.5195,-39.2036],"2900900":[-14.7089,-39.6415],"2901007":[-13.0215,-39.602],"2901106":[-12.3914,-38.7563],"2901155":[-11.4429,-41.439],"2901205":[-14.6151,-41.1356],"2901304":[-12.8049,-41.3297],"2901353":[-10.3482,-39.8391],"2901403":[-12.0063,-44.7003],"2901502":[-12.1462,-39.2462],"2901601":[-10.3856,-38.3401],"2901700":[-12.4335,-39.1176],"2901809":[-10.5767,-40.2785],"2901908":[-11.6577,-38.0814],"2901957":[-13.8542,-39.7501],"2902005":[-14.428,-41.4648],"2902054":[-12.22,-38.2027],"2902104":[-11.3253,-38.9584],"2902203":[-12.0884,-38.4969],"2902252":[-15.2651,-39.419],"2902302":[-13.0716,-39.0038],"2902401":[-14.321,-39.329],"2902500":[-12.3016,-44.5388],"2902609":[-11.9519,-40.169],"2902658":[-10.5788,-38.6212],"2902708":[-11.0859,-43.1459],"2902807":[-13.6237,-41.3347],"2902906":[-14.8654,-40.5791],"2903003":[-11.81,-42.059],"2903102":[-14.2,-39.5991],"2903201":[-12.1439,-44.9968],"2903235":[-11.7605,-41.9054],"2903276":[-11.5272,-39.0776],"2903300":[-14.7948,-39.476],"2903409":[-15.8608,-38.8758],"2903508":[-15.0334,-41.2652],"2903607":[-11.6072,-38.8051],"2903706":[-14.3598,-40.2064],"2903805":[-12.6498,-40.6064],"2903904":[-13.2506,-43.4108],"2903953":[-14.3663,-40.5126],"2904001":[-12.7069,-41.8286],"2904050":[-11.9668,-41.2647],"2904100":[-12.8205,-42.7324],"2904209":[-13.3772,-42.5163],"2904308":[-13.1039,-39.7988],"2904407":[-12.4815,-43.9679],"2904506":[-11.9915,-42.6326],"2904605":[-14.2021,-41.6696],"2904704":[-14.9595,-39.3028],"2904753":[-10.7171,-43.6302],"2904803":[-14.9699,-40.4092],"2904852":[-12.5317,-39.1902],"2904902":[-12.5994,-38.9587],"2905008":[-14.5003,-42.2229],"2905107":[-11.0677,-40.432],"2905156":[-14.3347,-40.9175],"2905206":[-14.0684,-42.4861],"2905305":[-11.6914,-41.4688],"2905404":[-13.4904,-39.0465],"2905503":[-11.0208,-40.2956],"2905602":[-15.4142,-39.4919],"2905701":[-12.6996,-38.3263],"2905800":[-13.9398,-39.1071],"2905909":[-9.5222,-43.0126],"2906006":[-10.5105,-40.32],"2906105":[-13.0725,-44.201],"2906204":[-11.6858,-41.7677],"2906303":[-15.6722,-38.9536],"2906402":[-11.8049,-39.1203],"2906501":[-12.6716,-38.5472],"2906600":[-14.4097,-42.8667],"2906709":[-15.4993,-41.2414],"2906808":[-10.6647,-39.4944],"2906824":[-9.9001,-39.1471],"2906857":[-11.6658,-39.8349],"2906873":[-11.3797,-40.0089],"2906899":[-14.7177,-41.2603],"2906907":[-17.7268,-39.2597],"2907004":[-11.9472,-37.9469],"2907103":[-14.2985,-43.7724],"2907202":[-9.1641,-40.974],"2907301":[-12.7579,-39.4248],"2907400":[-12.31,-44.8648],"2907509":[-12.3513,-38.3791],"2907558":[-13.3239,-42.2904],"2907608":[-11.1376,-42.1116],"2907707":[-8.9695,-39.0979],"2907806":[-10.5897,-38.3794],"2907905":[-11.1032,-38.5179],"2908002":[-14.637,-39.5556],"2908101":[-14.1814,-44.5352],"2908200":[-12.5078,-38.9978],"2908309":[-12.7836,-39.1715],"2908408":[-11.56,-39.2808],"2908507":[-12.3268,-38.7684],"2908606":[-11.8179,-37.6131],"2908705":[-14.9022,-41.9718],"2908804":[-13.7537,-41.048],"2908903":[-12.2333,-38.7487],"2909000":[-15.0356,-41.9308],"2909109":[-13.8232,-44.4586],"2909208":[-10.2847,-37.9198],"2909307":[-13.3477,-44.6333],"2909406":[-12.0228,-44.2566],"2909505":[-13.3531,-39.8031],"2909604":[-11.5059,-38.1515],"2909703":[-12.2249,-44.4214],"2909802":[-12.6675,-39.1008],"2909901":[-8.9846,-39.8997],"2910008":[-14.4229,-39.9031],"2910057":[-12.6187,-38.2926],"2910107":[-13.7565,-41.7677],"2910206":[-12.9016,-39.1923],"2910305":[-12.9417,-39.5191],"2910404":[-15.5302,-40.9124],"2910503":[-11.9392,-38.0871],"2910602":[-11.7942,-37.9432],"2910701":[-10.5078,-39.0153],"2910727":[-16.3715,-39.5821],"2910750":[-10.616,-38.2239],"2910776":[-14.2044,-44.2744],"2910800":[-12.2664,-38.9663],"2910859":[-10.7405,-40.1437],"2910909":[-14.9823,-39.9269],"2911006":[-14.8629,-39.6579],"2911105":[-11.0328,-45.193],"2911204":[-13.7441,-39.4747],"2911253":[-11.4688,-39.7757],"2911303":[-11.4342,-42.5077],"2911402":[-9.3438,-38.2544],"2911501":[-14.3195,-39.469],"2911600":[-12.5994,-39.0412],"2911659":[-14.5467,-41.9381],"2911709":[-14.2231,-42.7799],"2911808":[-16.5833,-39.7847],"2911857":[-10.6825,-38.2907],"2911907":[-12.7666,-40.2056],"2912004":[-14.2711,-42.257],"2912103":[-14.8579,-39.5914],"2912202":[-13.4059,-41.284],"2912301":[-14.845,-39.9879],"2912400":[-11.6438,-42.0195],"2912509":[-12.8804,-42.4856],"2912608":[-12.6444,-40.9338],"2912707":[-14.1649,-39.3787],"2912806":[-17.6832,-40.1129],"2912905":[-14.0643,-39.6459],"2913002":[-12.6502,-42.2179],"2913101":[-11.5414,-41.9748],"2913200":[-12.1779,-43.2167],"2913309":[-11.7431,-39.1905],"2913408":[-13.774,-42.7155],"2913457":[-13.8295,-39.1361],"2913507":[-14.7528,-40.0894],"2913606":[-14.793,-39.046],"2913705":[-11.781,-38.355],"2913804":[-12.3028,-39.3069],"2913903":[-14.1226,-39.7353],"2914000":[-12.1561,-39.7359],"2914109":[-11.8219,-42.6179],"2914208":[-13.2563,-40.0848],"2914307":[-13.2902,-40.9595],"2914406":[-12.2429,-41.6155],"2914505":[-12.0504,-38.7631],"2914604":[-11.3033,-41.8535],"2914653":[-16.5732,-39.5593],"2914703":[-12.5242,-40.3059],"2914802":[-14.7876,-39.2781],"2914901":[-14.2784,-38.9959],"2915007":[-12.9831,-40.9677],"2915106":[-14.1615,-40.0131],"2915205":[-14.2782,-39.8449],"2915304":[-16.0819,-39.6133],"2915353":[-11.0147,-42.3997],"2915403":[-15.1366,-39.7283],"2915502":[-14.6788,-39.3698],"2915601":[-17.0378,-39.5386],"2915700":[-13.7782,-39.683],"2915809":[-15.2429,-40.63],"2915908":[-12.2614,-38.0436],"2916005":[-17.1642,-40.3321],"2916104":[-12.8932,-38.68],"2916203":[-14.8876,-39.4239],"2916302":[-15.9551,-39.5329],"2916401":[-15.2475,-40.2482],"2916500":[-11.3088,-38.2262],"2916609":[-14.4139,-39.5657],"2916708":[-13.4459,-39.9378],"2916807":[-15.6528,-40.065],"2916856":[-12.7099,-39.6952],"2916906":[-13.529,-40.1472],"2917003":[-10.6948,-39.8446],"2917102":[-15.11,-40.0684],"2917201":[-13.8107,-41.3003],"2917300":[-13.7249,-39.1481],"2917334":[-14.4054,-43.5595],"2917359":[-13.6071,-44.4255],"2917409":[-14.8541,-42.4329],"2917508":[-11.1812,-40.5117],"2917607":[-13.5248,-39.964],"2917706":[-10.2569,-40.1999],"2917805":[-13.1109,-38.8939],"2917904":[-11.5616,-37.7853],"2918001":[-13.8509,-40.0877],"2918100":[-10.0685,-38.3471],"2918209":[-13.2621,-39.5737],"2918308":[-14.0131,-39.8969],"2918357":[-11.3486,-41.6548],"2918407":[-9.4162,-40.5033],"2918456":[-16.8488,-40.1641],"2918506":[-11.0431,-41.9702],"2918555":[-15.192,-39.491],"2918605":[-13.5155,-41.5882],"2918704":[-13.6541,-40.2119],"2918753":[-14.0334,-42.1328],"2918803":[-13.1673,-39.4213],"2918902":[-17.6056,-40.3383],"2919009":[-12.3529,-40.9048],"2919058":[-13.4663,-40.2204],"2919108":[-11.773,-38.887],"2919157":[-11.3851,-41.8286],"2919207":[-12.8978,-38.321],"2919306":[-12.5616,-41.3928],"2919405":[-14.6842,-42.5095],"2919504":[-13.6369,-41.8432],"2919553":[-12.0956,-45.7866],"2919603":[-12.1326,-40.3571],"2919702":[-15.5646,-40.4209],"2919801":[-13.0186,-42.6945],"2919900":[-9.1623,-39.0518],"2919926":[-12.7446,-38.6153],"2919959":[-14.6623,-41.4915],"2920007":[-15.624,-40.2587],"2920106":[-11.7107,-40.1437],"2920205":[-14.3371,-43.7686],"2920304":[-14.3847,-41.8842],"2920403":[-14.1476,-40.2399],"2920452":[-10.7227,-44.0428],"2920502":[-13.4355,-40.4323],"2920601":[-12.776,-38.9175],"2920700":[-14.1035,-39.0137],"2920809":[-13.0064,-40.5295],"2920908":[-15.5542,-39.3016],"2921005":[-12.5307,-38.3009],"2921054":[-13.9109,-42.8439],"2921104":[-17.3707,-40.2238],"2921203":[-11.4299,-40.6031],"2921302":[-12.8646,-39.8611],"2921401":[-10.961,-40.574],"2921450":[-14.2385,-40.7718],"2921500":[-10.4374,-39.3321],"2921609":[-11.5569,-43.2766],"2921708":[-11.5488,-41.1565],"2921807":[-15.0225,-42.3727],"2921906":[-13.0053,-41.3703],"2922003":[-18.0754,-39.5565],"2922052":[-11.9648,-41.6374],"2922102":[-11.8541,-40.4714],"2922201":[-13.0092,-39.1092],"2922250":[-12.065,-43.5497],"2922300":[-12.6329,-38.9921],"2922409":[-13.2284,-39.5044],"2922508":[-13.0235,-39.0108],"2922607":[-13.604,-39.1091],"2922656":[-10.8192,-39.4297],"2922706":[-14.7912,-40.1458],"2922730":[-11.6031,-39.6302],"2922755":[-13.812,-39.6182],"2922805":[-13.0241,-40.0653],"2922854":[-12.815,-41.0748],"2922904":[-11.2329,-38.4871],"2923001":[-17.8926,-39.3743],"2923035":[-12.8083,-42.1682],"2923050":[-10.3182,-38.4014],"2923100":[-11.3497,-38.3379],"2923209":[-12.3132,-42.8969],"2923308":[-12.0175,-38.6166],"2923357":[-10.9578,-41.0756],"2923407":[-14.2676,-43.1609],"2923506":[-12.5059,-41.5809],"2923605":[-13.4388,-42.2395],"2923704":[-12.687,-43.1798],"2923803":[-10.6859,-37.8626],"2923902":[-15.4572,-39.6458],"2924009":[-9.3983,-38.2216],"2924058":[-11.8313,-39.611],"2924108":[-12.1491,-38.6487],"2924207":[-10.012,-37.8932],"2924306":[-13.1465,-41.7702],"2924405":[-10.0051,-42.4936],"2924504":[-14.4921,-42.686],"2924603":[-10.7433,-40.3675],"2924652":[-11.8117,-39.9009],"2924678":[-13.759,-39.3836],"2924702":[-14.9444,-41.7168],"2924801":[-11.73,-40.5587],"2924900":[-13.2618,-40.3695],"2925006":[-14.6654,-40.4718],"2925105":[-14.5234,-40.3634],"2925204":[-12.4303,-38.3374],"2925253":[-10.8653,-40.1311],"2925303":[-16.4435,-39.0643],"2925402":[-15.5943,-39.8638],"2925501":[-17.3364,-39.2227],"2925600":[-11.2923,-41.9843],"2925709":[-14.6885,-41.6798],"2925758":[-13.4471,-39.4203],"2925808":[-10.9736,-39.6293],"2925907":[-10.7505,-39.2137],"2925931":[-11.4031,-40.12],"2925956":[-12.4053,-39.5007],"2926004":[-9.6194,-42.0848],"2926103":[-11.4832,-39.4234],"2926202":[-11.7508,-44.9143],"2926301":[-11.8067,-39.3818],"2926400":[-13.6059,-42.9397],"2926509":[-11.0421,-38.4242],"2926608":[-10.8373,-38.5382],"2926657":[-15.4508,-40.7441],"2926707":[-13.5852,-41.8048],"2926806":[-14.4071,-42.0721],"2926905":[-13.1185,-42.2902],"2927002":[-11.4814,-37.9332],"2927101":[-8.8502,-38.78],"2927200":[-12.2816,-40.4931],"2927309":[-12.873,-38.7562],"2927408":[-12.9718,-38.5011],"2927507":[-11.9515,-38.9681],"2927606":[-9.7323,-38.1209],"2927705":[-16.2825,-39.0295],"2927804":[-14.964,-39.8115],"2927903":[-13.2793,-39.814],"2928000":[-11.2508,-39.375],"2928059":[-15.4342,-39.3287],"2928109":[-13.3859,-44.2011],"2928208":[-12.9792,-44.0506],"2928307":[-12.0311,-38.8694],"2928406":[-11.0063,-44.5255],"2928505":[-12.7697,-39.5215],"2928604":[-12.5472,-38.7137],"2928703":[-12.9614,-39.2584],"2928802":[-12.428,-39.2505],"2928901":[-12.3572,-44.9769],"2928950":[-11.4649,-39.5268],"2929008":[-12.6104,-38.9727],"2929057":[-13.4019,-44.1837],"2929107":[-12.8394,-39.0893],"2929206":[-12.6183,-38.6786],"2929255":[-11.2175,-41.8843],"2929305":[-12.4331,-38.9663],"2929354":[-15.0787,-39.3437],"2929370":[-11.4137,-39.8669],"2929404":[-13.0434,-39.4578],"2929503":[-12.5123,-38.4905],"2929602":[-12.7208,-39.1824],"2929701":[-11.5929,-38.5938],"2929750":[-12.7387,-38.7625],"2929800":[-10.9428,-40.4155],"2929909":[-12.4169,-41.7722],"2930006":[-14.571,-42.9434],"2930105":[-10.4594,-40.1865],"2930154":[-13.5659,-43.5929],"2930204":[-9.7414,-41.8786],"2930303":[-12.759,-43.9504],"2930402":[-12.156,-39.3305],"2930501":[-11.6584,-39.01],"2930600":[-11.4085,-40.2983],"2930709":[-12.7866,-38.4029],"2930758":[-13.0801,-43.4689],"2930766":[-10.3545,-38.2213],"2930774":[-9.4502,-40.8145],"2930808":[-12.088,-41.6427],"2930907":[-12.7026,-44.0075],"2931004":[-14.0197,-41.2473],"2931053":[-13.5485,-42.4934],"2931103":[-11.968,-39.1033],"2931202":[-13.5321,-39.1009],"2931301":[-11.8475,-40.7927],"2931350":[-17.5399,-39.74],"2931400":[-12.295,-38.6347],"2931509":[-11.4827,-38.9913],"2931608":[-13.5896,-39.484],"2931707":[-12.3888,-38.6238],"2931806":[-14.9736,-41.4142],"2931905":[-10.9584,-38.7894],"2932002":[-9.8332,-39.4794],"2932101":[-13.2714,-39.666],"2932200":[-14.303,-39.3222],"2932309":[-14.2063,-39.5207],"2932408":[-11.3394,-42.1354],"2932457":[-10.7339,-41.3234],"2932507":[-15.2791,-39.0765],"2932606":[-14.7678,-42.6498],"2932705":[-14.5963,-39.2851],"2932804":[-12.0783,-41.0954],"2932903":[-13.3669,-39.073],"2933000":[-11.4062,-39.457],"2933059":[-11.6005,-40.1328],"2933109":[-11.5273,-40.3149],"2933158":[-11.2557,-40.9432],"2933174":[-12.9672,-39.3919],"2933208":[-12.9568,-38.6153],"2933257":[-17.2183,-40.0974],"2933307":[-14.8615,-40.8442],"2933406":[-12.2819,-41.1715],"2933455":[-12.1144,-43.8958],"2933505":[-13.6908,-39.4762],"2933604":[-10.823,-42.7245],"3100104":[-18.4831,-47.3916],"3100203":[-19.1551,-45.4444],"3100302":[-20.2996,-42.4743],"3100401":[-20.359,-43.1439],"3100500":[-19.0671,-42.5419],"3100609":[-17.9914,-42.3806],"3100708":[-20.0576,-48.1069],"3100807":[-20.9439,-45.3915],"3100906":[-17.0802,-40.9384],"3101003":[-15.7431,-41.4571],"3101102":[-19.5007,-41.0746],"3101201":[-21.9736,-44.6042],"3101300":[-22.171,-44.6413],"3101409":[-22.2018,-46.6139],"3101508":[-21.8797,-42.7176],"3101607":[-21.4256,-45.9477],"3101631":[-21.1535,-43.7718],"3101706":[-16.1785,-40.6942],"3101805":[-18.974,-41.97],"3101904":[-20.8631,-46.3878],"3102001":[-21.2488,-46.1387],"3102050":[-20.431,-41.8738],"3102100":[-21.0281,-43.4067],"3102209":[-19.4174,-41.7317],"3102308":[-20.1098,-43.0535],"3102407":[-18.7334,-43.3638],"3102506":[-20.5051,-42.8009],"3102605":[-22.0695,-46.5724],"3102704":[-15.9688,-41.4948],"3102803":[-21.7411,-44.3117],"3102852":[-17.7279,-42.2641],"3102902":[-21.321,-43.7451],"3103009":[-19.6491,-42.8732],"3103108":[-21.0192,-42.1109],"3103207":[-19.1955,-44.2493],"3103306":[-21.3446,-43.3736],"3103405":[-16.8523,-42.0637],"3103504":[-18.6456,-48.1934],"3103603":[-21.9102,-44.2555],"3103702":[-20.6686,-42.5178],"3103751":[-18.4357,-49.1847],"3103801":[-19.0268,-46.1484],"3103900":[-19.9405,-45.1671],"3104007":[-19.5902,-46.9438],"3104106":[-21.359,-46.9401],"3104205":[-20.2863,-45.5373],"3104304":[-21.3572,-46.1421],"3104403":[-21.6083,-42.8292],"3104452":[-17.8666,-42.5533],"3104502":[-15.9187,-46.1043],"3104601":[-21.3184,-42.8572],"3104700":[-18.0438,-41.1149],"3104809":[-18.0997,-44.2655],"3104908":[-21.957,-44.8874],"3105004":[-19.2832,-43.9613],"3105103":[-20.0166,-45.9754],"3105202":[-15.8783,-40.5622],"3105301":[-21.7308,-46.3833],"3105400":[-19.9389,-43.4755],"3105509":[-21.2444,-42.2372],"3105608":[-21.2214,-43.7703],"3105707":[-20.2869,-43.0402],"3105905":[-21.1907,-43.972],"3106002":[-19.8302,-43.0922],"3106101":[-21.944,-43.4084],"3106200":[-19.9102,-43.9266],"3106309":[-19.2199,-42.4828],"3106408":[-20.4077,-44.0275],"3106507":[-16.9567,-42.4606],"3106606":[-17.059,-40.58],"3106655":[-15.61,-41.7432],"3106705":[-19.9668,-44.2008],"3106804":[-21.602,-43.7574],"3106903":[-21.7232,-43.056],"3107000":[-18.7754,-45.4974],"3107109":[-21.0927,-45.5612],"3107208":[-22.1697,-44.3972],"3107307":[-17.1135,-43.8104],"3107406":[-19.7386,-45.2622],"3107505":[-21.9479,-44.1885],"3107604":[-21.0148,-46.5174],"3107703":[-19.7054,-43.4782],"3107802":[-19.836,-42.3165],"3107901":[-22.4675,-46.144],"3108008":[-21.0329,-44.7537],"3108107":[-20.3302,-44.2366],"3108206":[-16.568,-45.9839],"3108255":[-15.3231,-44.7543],"3108305":[-22.2707,-46.1653],"3108404":[-21.6412,-46.391],"3108503":[-16.8657,-43.0086],"3108552":[-16.9999,-46.0081],"3108602":[-16.2104,-44.4299],"3108701":[-20.8419,-43.2406],"3108800":[-19.0562,-42.7099],"3108909":[-22.4743,-45.6166],"3109006":[-20.151,-44.2007],"3109105":[-22.4383,-46.3491],"3109204":[-17.8744,-44.1775],"3109253":[-19.4231,-42.2552],"3109303":[-15.6218,-46.4221],"3109402":[-17.3656,-44.9606],"3109451":[-16.0335,-47.0862],"3109501":[-21.4699,-46.3919],"3109600":[-19.521,-44.4544],"3109709":[-22.3511,-45.7809],"3109808":[-18.5161,-49.5039],"3109907":[-19.2971,-44.4189],"3110004":[-19.8826,-43.6704],"3110103":[-20.6956,-41.9292],"3110202":[-20.7903,-42.7925],"3110301":[-21.9183,-46.3843],"3110400":[-20.6294,-45.1593],"3110509":[-22.7515,-46.1494],"3110608":[-22.6115,-46.0572],"3110707":[-21.854,-45.2896],"3110806":[-18.2427,-41.7355],"3110905":[-21.836,-45.4004],"3111002":[-21.7079,-46.2381],"3111101":[-19.5382,-49.4862],"3111150":[-16.5028,-44.8096],"3111200":[-20.8932,-45.2699],"3111309":[-21.1127,-45.8273],"3111408":[-19.7631,-48.5716],"3111507":[-19.6914,-46.1725],"3111606":[-21.237,-45.7569],"3111705":[-20.6869,-42.6167],"3111804":[-18.7212,-49.2035],"3111903":[-21.0232,-45.1801],"3112000":[-20.7692,-45.2765],"3112059":[-18.5248,-42.6223],"3112109":[-20.5289,-41.9061],"3112208":[-20.9179,-43.622],"3112307":[-17.6888,-42.5147],"3112406":[-20.6163,-47.0571],"3112505":[-19.5471,-44.1304],"3112604":[-18.6862,-49.5706],"3112653":[-19.0748,-41.8614],"3112703":[-16.3265,-43.7084],"3112802":[-20.6164,-46.0493],"3112901":[-20.1703,-42.2683],"3113008":[-17.1862,-41.7004],"3113107":[-20.8707,-43.7417],"3113206":[-20.9566,-43.811],"3113305":[-20.7343,-42.0313],"3113404":[-19.7868,-42.1292],"3113503":[-17.5255,-43.0137],"3113602":[-22.0424,-45.696],"3113701":[-17.6973,-40.7723],"3113800":[-19.0877,-43.1382],"3113909":[-21.4633,-45.2201],"3114006":[-20.5575,-44.8735],"3114105":[-22.1204,-45.1307],"3114204":[-20.1912,-44.7664],"3114303":[-18.991,-46.3167],"3114402":[-20.9736,-46.1149],"3114501":[-20.5396,-44.6336],"3114550":[-19.6987,-50.6894],"3114600":[-21.4898,-44.6446],"3114709":[-21.7735,-45.8421],"3114808":[-22,-44.4632],"3114907":[-20.7925,-43.9343],"3115003":[-18.5772,-47.8716],"3115102":[-20.5831,-46.9201],"3115201":[-21.1316,-44.4729],"3115300":[-21.3924,-42.6896],"3115359":[-20.0734,-43.4061],"3115409":[-20.6901,-43.4939],"3115458":[-17.3018,-41.5276],"3115474":[-15.3616,-42.9627],"3115508":[-21.9753,-44.9319],"3115607":[-19.1458,-45.712],"3115706":[-18.7612,-41.3143],"3115805":[-18.5852,-49.2014],"3115904":[-21.6733,-43.215],"3116001":[-20.0453,-41.6897],"3116100":[-17.0881,-42.5392],"3116159":[-15.3014,-45.6116],"3116209":[-21.9996,-43.0617],"3116308":[-20.9026,-43.3629],"3116407":[-20.397,-47.2768],"3116506":[-17.082,-44.2061],"3116605":[-20.4437,-44.7673],"3116704":[-20.8535,-42.8008],"3116803":[-18.2311,-42.8352],"3116902":[-19.6973,-49.0789],"3117009":[-16.2963,-41.7945],"3117108":[-21.096,-46.2049],"3117207":[-22.1576,-45.4562],"3117306":[-19.9172,-48.3839],"3117405":[-19.9326,-41.6908],"3117504":[-19.0344,-43.4221],"3117603":[-19.7456,-44.8945],"3117702":[-21.8778,-45.087],"3117801":[-22.4078,-45.7996],"3117836":[-15.2892,-44.4181],"3117876":[-19.6282,-43.9931],"3117900":[-22.1488,-46.043],"3118007":[-20.4958,-43.851],"3118106":[-18.8021,-43.6767],"3118205":[-19.9312,-47.5492],"3118304":[-20.6634,-43.7846],"3118403":[-19.1789,-41.4736],"3118502":[-22.5493,-45.9255],"3118601":[-19.9321,-44.0539],"3118700":[-21.1858,-45.4366],"3118809":[-16.6841,-44.3635],"3118908":[-19.1224,-44.3224],"3119005":[-21.7891,-45.6999],"3119104":[-18.369,-44.4542],"3119203":[-18.6156,-42.2791],"3119302":[-18.4734,-47.1933],"3119401":[-19.5179,-42.6276],"3119500":[-16.6148,-42.184],"3119609":[-21.5898,-43.256],"3119708":[-21.0277,-44.2206],"3119807":[-19.8198,-45.9032],"3119906":[-22.6269,-46.0241],"3119955":[-20.4474,-45.5617],"3120003":[-19.8361,-42.3988],"3120102":[-18.0727,-43.4648],"3120151":[-17.2381,-40.9184],"3120201":[-20.8733,-45.5167],"3120300":[-16.716,-42.8571],"3120409":[-20.8324,-43.8166],"3120508":[-22.208,-45.2673],"3120607":[-20.3923,-44.3334],"3120706":[-18.944,-46.6669],"3120805":[-21.84,-44.8067],"3120839":[-18.9648,-41.0986],"3120870":[-15.9327,-41.8557],"3120904":[-18.7527,-44.4303],"3121001":[-18.4478,-43.6591],"3121100":[-22.5036,-45.2792],"3121209":[-20.3468,-46.8456],"3121258":[-19.9721,-47.7841],"3121308":[-21.46,-42.9618],"3121407":[-20.665,-44.3334],"3121506":[-21.143,-43.5178],"3121605":[-18.2413,-43.6031],"3121704":[-20.4879,-43.1953],"3121803":[-19.8433,-42.7701],"3121902":[-20.9917,-43.0003],"3122009":[-20.6134,-42.1438],"3122108":[-18.7755,-41.4781],"3122207":[-18.8004,-42.6103],"3122306":[-20.1446,-44.8912],"3122355":[-15.7221,-41.3463],"3122405":[-21.5092,-46.1904],"3122454":[-15.7254,-40.9997],"3122470":[-16.652,-46.2597],"3122504":[-19.3735,-42.1121],"3122603":[-18.961,-43.2544],"3122702":[-20.1627,-42.9627],"3122801":[-22.2511,-45.1643],"3122900":[-21.319,-42.807],"3123007":[-21.1139,-44.0207],"3123106":[-19.0516,-42.9254],"3123205":[-19.4628,-45.5927],"3123304":[-20.9785,-43.1834],"3123403":[-20.2868,-45.9007],"3123502":[-18.4338,-47.5993],"3123528":[-20.2058,-41.7977],"3123601":[-21.6088,-45.5691],"3123700":[-19.2065,-42.0503],"3123809":[-17.2831,-43.947],"3123858":[-19.6218,-42.2306],"3123908":[-20.6706,-44.0654],"3124005":[-20.8403,-42.6544],"3124104":[-19.764,-44.3065],"3124203":[-20.6508,-41.9119],"3124302":[-14.9249,-42.809],"3124401":[-22.0454,-45.9548],"3124500":[-22.4577,-46.0191],"3124609":[-21.7412,-42.4574],"3124708":[-19.5169,-45.7859],"3124807":[-18.7399,-47.6956],"3124906":[-21.1002,-42.1878],"3125002":[-21.5498,-43.5068],"3125101":[-22.854,-46.3178],"3125200":[-21.4089,-45.8286],"3125309":[-20.8097,-42.0213],"3125408":[-18.0755,-43.2422],"3125507":[-18.0025,-43.3854],"3125606":[-16.6348,-40.7605],"3125705":[-18.7507,-44.9004],"3125804":[-19.1541,-42.0803],"3125903":[-19.2343,-43.0192],"3125952":[-20.726,-42.279],"3126000":[-19.888,-44.4318],"3126109":[-20.4618,-45.4268],"3126208":[-14.9446,-46.2371],"3126307":[-20.8508,-46.712],"3126406":[-19.5578,-44.4472],"3126505":[-16.9883,-42.3568],"3126604":[-17.3107,-44.2317],"3126703":[-16.4827,-43.4896],"3126752":[-17.9578,-42.0094],"3126802":[-18.0709,-41.4325],"3126901":[-18.5556,-41.9121],"3126950":[-18.1751,-42.7617],"3127008":[-20.2748,-49.1984],"3127057":[-16.8898,-40.923],"3127073":[-16.1225,-42.5288],"3127107":[-20.0259,-48.9355],"3127206":[-19.3661,-44.061],"3127305":[-19.0005,-41.5387],"3127339":[-15.0829,-43.125],"3127354":[-16.8481,-43.692],"3127370":[-18.9807,-41.2235],"3127388":[-21.536,-43.1957],"3127404":[-22.6545,-45.8556],"3127503":[-18.8196,-42.4769],"3127602":[-18.4519,-43.7423],"3127701":[-18.8545,-41.9555],"3127800":[-16.5662,-42.8923],"3127909":[-18.5003,-47.7318],"3128006":[-18.7713,-42.9312],"3128105":[-20.7631,-45.9152],"3128204":[-20.5716,-43.0094],"3128253":[-17.0142,-43.6675],"3128303":[-21.3009,-46.7964],"3128402":[-21.3563,-43.0328],"3128501":[-21.7304,-43.0334],"3128600":[-17.7673,-47.0998],"3128709":[-21.305,-46.7081],"3128808":[-21.155,-42.7887],"3128907":[-18.8425,-46.7901],"3129004":[-21.0098,-42.7207],"3129103":[-19.2143,-49.7876],"3129202":[-22.0644,-45.5453],"3129301":[-19.4387,-42.2147],"3129400":[-21.433,-43.9639],"3129509":[-19.4749,-46.5474],"3129608":[-16.8591,-44.9046],"3129657":[-15.6605,-44.1667],"3129707":[-20.4611,-47.1222],"3129806":[-20.0252,-44.0569],"3129905":[-22.0604,-46.4368],"3130002":[-21.1541,-44.7479],"3130051":[-16.214,-44.9034],"3130101":[-20.0707,-44.2994],"3130200":[-19.9476,-44.7063],"3130309":[-20.1776,-45.7111],"3130408":[-21.1738,-44.9233],"3130507":[-20.9402,-45.8308],"3130556":[-19.6017,-41.9695],"3130606":[-22.3136,-46.3264],"3130655":[-15.4911,-42.2005],"3130705":[-19.0341,-47.9155],"3130804":[-21.4024,-44.9152],"3130903":[-19.5476,-42.1147],"3131000":[-19.4898,-44.3934],"3131109":[-18.7271,-44.3584],"3131158":[-19.4158,-42.4139],"3131208":[-19.7992,-41.7164],"3131307":[-19.4703,-42.5476],"3131406":[-18.6927,-49.9436],"3131505":[-22.1013,-46.1915],"3131604":[-18.9819,-47.461],"3131703":[-19.6239,-43.2312],"3131802":[-18.5712,-41.234],"3131901":[-20.2501,-43.8038],"3132008":[-17.0625,-43.3069],"3132107":[-15.089,-44.095],"3132206":[-20.3947,-44.4875],"3132305":[-17.4014,-41.6697],"3132404":[-22.4225,-45.4598],"3132503":[-17.8552,-42.8561],"3132602":[-21.4179,-42.813],"3132701":[-18.035,-41.683],"3132800":[-19.4158,-43.3182],"3132909":[-21.0758,-47.046],"3133006":[-22.2859,-44.868],"3133105":[-22.2942,-44.9382],"3133204":[-19.1736,-41.863],"3133303":[-16.5571,-41.5017],"3133402":[-19.9062,-49.3781],"3133501":[-20.4704,-45.127],"3133600":[-22.7665,-46.2241],"3133709":[-20.1983,-44.4211],"3133758":[-20.7375,-46.7525],"3133808":[-20.0818,-44.5801],"3133907":[-20.6769,-43.6141],"3134004":[-16.61,-41.7672],"3134103":[-19.3999,-41.1746],"3134202":[-18.9772,-49.4639],"3134301":[-21.3171,-44.8724],"3134400":[-19.7276,-50.1966],"3134509":[-21.3,-44.6567],"3134608":[-19.5119,-43.7373],"3134707":[-16.1428,-40.295],"3134806":[-21.0137,-46.7359],"3134905":[-22.286,-46.6166],"3135001":[-19.647,-42.7498],"3135050":[-15.3432,-43.6688],"3135076":[-18.461,-41.809],"3135100":[-15.8022,-43.3132],"3135209":[-15.4802,-44.3639],"3135308":[-20.1442,-45.5015],"3135357":[-15.9891,-44.2758],"3135407":[-20.5339,-43.9894],"3135456":[-17.0831,-42.2589],"3135506":[-20.4542,-42.6651],"3135605":[-17.229,-44.4376],"3135704":[-19.2345,-44.0304],"3135803":[-16.4375,-41.0117],"3135902":[-21.9887,-45.2911],"3136009":[-16.6522,-41.0229],"3136108":[-19.1729,-42.6775],"3136207":[-19.8126,-43.1735],"3136306":[-17.7398,-46.1715],"3136405":[-17.758,-44.1643],"3136504":[-15.9009,-40.1841],"3136520":[-16.9053,-42.6014],"3136553":[-18.2195,-42.4946],"3136579":[-16.5417,-42.5151],"3136603":[-19.6876,-43.583],"3136652":[-19.9448,-44.3451],"3136702":[-21.7595,-43.3398],"3136801":[-16.8473,-43.5865],"3136900":[-21.2493,-46.5735],"3136959":[-14.2662,-44.1597],"3137007":[-17.6279,-41.7488],"3137106":[-18.1759,-46.8063],"3137205":[-20.0237,-45.5401],"3137304":[-16.978,-44.5754],"3137403":[-20.9139,-44.0797],"3137502":[-18.7715,-46.4012],"3137536":[-17.8323,-46.5165],"3137601":[-19.6397,-43.8932],"3137700":[-20.1539,-41.6228],"3137809":[-21.9671,-45.3498],"3137908":[-20.79,-43.4706],"3138005":[-21.3715,-42.4732],"3138104":[-17.887,-44.5735],"3138203":[-21.248,-45.0009],"3138302":[-19.7193,-45.0279],"3138351":[-17.0793,-42.6936],"3138401":[-21.5296,-42.6421],"3138500":[-22.0275,-44.3208],"3138609":[-21.8386,-43.7934],"3138625":[-19.5512,-50.5815],"3138658":[-15.9013,-44.306],"3138674":[-20.4468,-42.0976],"3138682":[-16.1095,-44.5886],"3138708":[-21.5145,-44.9034],"3138807":[-19.7911,-45.6794],"3138906":[-17.0723,-40.7245],"3139003":[-21.6778,-45.9219],"3139102":[-21.483,-44.3287],"3139201":[-17.8456,-42.0769],"3139250":[-15.0479,-42.9469],"3139300":[-14.7529,-43.9391],"3139409":[-20.2572,-42.028],"3139508":[-20.3591,-41.9589],"3139607":[-18.7761,-40.9874],"3139706":[-19.5076,-44.6779],"3139805":[-21.8707,-43.0062],"3139904":[-22.3044,-45.3773],"3140001":[-20.3765,-43.414],"3140100":[-18.5079,-42.0822],"3140159":[-20.0582,-44.1883],"3140209":[-21.6979,-42.9546],"3140308":[-19.7096,-42.7327],"3140407":[-22.447,-45.1645],"3140506":[-19.3306,-45.2434],"3140530":[-20.2546,-41.8786],"3140555":[-15.6869,-40.7366],"3140605":[-18.4699,-43.0579],"3140704":[-19.9794,-44.4318],"3140803":[-21.869,-43.3135],"3140852":[-14.8563,-43.9146],"3140902":[-20.2873,-42.3401],"3141009":[-15.3944,-42.86],"3141108":[-19.5543,-44.0868],"3141207":[-19.2179,-45.9664],"3141306":[-19.9865,-46.2181],"3141405":[-16.2245,-41.4728],"3141504":[-18.6631,-41.4052],"3141603":[-21.1976,-43.3337],"3141702":[-19.224,-42.6079],"3141801":[-17.2156,-42.5884],"3141900":[-21.6797,-44.6051],"3142007":[-16.256,-44.1602],"3142106":[-20.8899,-42.3458],"3142205":[-21.2021,-42.6122],"3142254":[-14.7348,-44.4092],"3142304":[-20.3399,-44.0509],"3142403":[-19.8387,-45.4127],"3142502":[-18.3245,-44.118],"3142601":[-21.7579,-45.5391],"3142700":[-14.4197,-44.3719],"3142809":[-18.869,-48.881],"3142908":[-15.1514,-42.8718],"3143005":[-21.3271,-46.3635],"3143104":[-18.7302,-47.4912],"3143153":[-16.8691,-41.2473],"3143203":[-21.1873,-46.9753],"3143302":[-16.7282,-43.8578],"3143401":[-22.4335,-46.573],"3143450":[-15.1702,-42.4941],"3143500":[-18.5998,-45.3584],"3143609":[-18.5356,-44.601],"3143708":[-19.2236,-43.3795],"3143807":[-22.6092,-46.362],"3143906":[-21.13,-42.3693],"3144003":[-19.8121,-41.4407],"3144102":[-21.3692,-46.5213],"3144201":[-18.4544,-42.2481],"3144300":[-17.8481,-40.3533],"3144359":[-19.2291,-42.3312],"3144375":[-16.5021,-46.4874],"3144409":[-22.1158,-45.5123],"3144508":[-21.2168,-44.6138],"3144607":[-21.2324,-45.235],"3144656":[-15.3148,-41.7564],"3144672":[-18.4925,-41.1107],"3144706":[-19.7577,-43.0333],"3144805":[-19.9758,-43.8509],"3144904":[-18.4417,-41.4984],"3145000":[-19.1461,-47.6779],"3145059":[-15.7993,-43.2941],"3145109":[-21.1286,-46.4157],"3145208":[-19.8713,-44.9847],"3145307":[-17.4654,-41.8826],"3145356":[-17.4089,-41.2194],"3145372":[-16.0162,-42.4044],"3145406":[-21.8598,-43.9356],"3145455":[-17.3982,-43.5719],"3145505":[-22.0685,-45.2657],"3145604":[-20.6982,-44.829],"3145703":[-21.3401,-43.4499],"3145802":[-19.7276,-44.8058],"3145851":[-20.4298,-42.7977],"3145877":[-20.5142,-42.1991],"3145901":[-20.5263,-43.6962],"3146008":[-22.2779,-46.3716],"3146107":[-20.3796,-43.512],"3146206":[-18.0719,-41.2734],"3146255":[-16.3646,-42.5088],"3146305":[-17.0758,-41.4821],"3146404":[-18.8993,-45.5321],"3146503":[-20.3705,-45.6627],"3146552":[-15.5271,-43.07],"3146602":[-21.2913,-43.4088],"3146701":[-21.3748,-42.3123],"3146750":[-16.7364,-40.4296],"3146909":[-19.4419,-44.7468],"3147006":[-17.2252,-46.8711],"3147105":[-19.8534,-44.6114],"3147204":[-21.5465,-45.7374],"3147303":[-22.5539,-45.7803],"3147402":[-19.2732,-44.4044],"3147501":[-19.3509,-43.1383],"3147600":[-22.3871,-44.9709],"3147709":[-20.6539,-44.4926],"3147808":[-22.2097,-44.2344],"3147907":[-20.7193,-46.609],"3147956":[-16.0773,-44.0787],"3148004":[-18.5699,-46.5013],"3148103":[-18.9379,-46.9934],"3148202":[-21.1544,-42.2125],"3148301":[-20.8754,-42.9752],"3148400":[-18.4276,-42.8628],"3148509":[-17.4267,-41.0035],"3148608":[-18.5441,-42.5583],"3148707":[-16.0086,-41.2909],"3148756":[-20.5219,-42.3304],"3148806":[-20.5968,-42.7123],"3148905":[-20.2563,-45.2107],"3149002":[-20.8266,-42.1515],"3149101":[-22.2386,-45.4654],"3149150":[-15.6032,-44.391],"3149200":[-19.2241,-47.4579],"3149309":[-19.6308,-44.0383],"3149408":[-21.7076,-43.743],"3149507":[-21.8341,-43.1145],"3149606":[-19.6284,-44.6604],"3149705":[-19.9411,-45.078],"3149804":[-19.3434,-47.2963],"3149903":[-21.0932,-45.0896],"3149952":[-19.1573,-42.2333],"3150000":[-18.357,-41.6006],"3150109":[-21.5096,-43.313],"3150158":[-19.7593,-42.0756],"3150208":[-20.2438,-42.7379],"3150307":[-21.469,-44.1938],"3150406":[-20.4715,-44.2243],"3150505":[-20.4827,-45.8049],"3150539":[-19.7287,-42.4095],"3150570":[-16.0572,-45.1402],"3150604":[-20.5089,-44.4783],"3150703":[-19.9092,-48.7027],"3150802":[-20.6834,-43.2967],"3150901":[-22.5249,-45.4945],"3151008":[-22.395,-45.5324],"3151107":[-21.6554,-42.3434],"3151206":[-17.3392,-44.934],"3151305":[-21.2825,-43.0172],"3151404":[-19.6741,-44.8964],"3151503":[-20.4762,-45.9589],"3151602":[-20.1376,-48.7],"3151701":[-21.78,-45.9658],"3151800":[-21.78,-46.5692],"3151909":[-19.6208,-41.6334],"3152006":[-19.2257,-45.0141],"3152105":[-20.4111,-42.8978],"3152131":[-16.6282,-45.0588],"3152170":[-16.7473,-41.5025],"3152204":[-15.7404,-43.0281],"3152303":[-20.6642,-43.0834],"3152402":[-17.8077,-41.786],"3152501":[-22.2266,-45.9389],"3152600":[-22.1964,-44.9748],"3152709":[-21.0597,-44.0778],"3152808":[-19.3086,-48.9276],"3152907":[-20.7411,-46.8624],"3153004":[-19.739,-46.3755],"3153103":[-20.7656,-43.1895],"3153202":[-18.6401,-44.06],"3153301":[-18.6193,-43.5628],"3153400":[-18.4096,-46.4165],"3153509":[-20.4208,-41.967],"3153608":[-19.4742,-44.1591],"3153707":[-19.2703,-45.5569],"3153806":[-20.7416,-43.8851],"3153905":[-19.9636,-43.8079],"3154002":[-20.1061,-42.4502],"3154101":[-21.5289,-42.4676],"3154150":[-20.2401,-41.9848],"3154200":[-20.9171,-44.2407],"3154309":[-19.3194,-41.2462],"3154408":[-21.0642,-43.7598],"3154457":[-16.2258,-45.9888],"3154507":[-16.0091,-43.0488],"3154606":[-19.7621,-44.0844],"3154705":[-21.1879,-45.0637],"3154804":[-20.0876,-43.7878],"3154903":[-20.2285,-42.6462],"3155009":[-20.2412,-42.8995],"3155108":[-16.6056,-40.5714],"3155207":[-20.855,-43.4721],"3155306":[-20.2666,-44.3069],"3155405":[-21.4649,-43.1168],"3155504":[-19.1861,-46.2455],"3155603":[-15.616,-42.5405],"3155702":[-19.9284,-43.1829],"3155801":[-21.2712,-43.1696],"3155900":[-22.0861,-43.8293],"3156007":[-18.2922,-43.0018],"3156106":[-21.0276,-44.3204],"3156205":[-21.6284,-43.0165],"3156304":[-21.2035,-42.8586],"3156403":[-18.8838,-47.5782],"3156452":[-20.9812,-42.5112],"3156502":[-16.4053,-42.261],"3156601":[-16.3775,-40.5397],"3156700":[-19.884,-43.8263],"3156809":[-18.6653,-43.0752],"3156908":[-19.8622,-47.4508],"3157005":[-16.1753,-42.2964],"3157104":[-16.0063,-39.9391],"3157203":[-19.9604,-43.4101],"3157252":[-19.9753,-42.1457],"3157278":[-21.9592,-43.7027],"3157302":[-21.2431,-43.5607],"3157336":[-21.1241,-44.2202],"3157377":[-16.0967,-41.7418],"3157401":[-20.2372,-42.8169],"3157500":[-18.8235,-42.4388],"3157609":[-16.6859,-45.4102],"3157658":[-16.9707,-40.6727],"3157708":[-19.3108,-47.5322],"3157807":[-19.7548,-43.8497],"3157906":[-20.3839,-42.2519],"3158003":[-19.4431,-43.1064],"3158102":[-16.2479,-40.1512],"3158201":[-18.1896,-42.4139],"3158300":[-21.2449,-45.5005],"3158409":[-21.2893,-42.5524],"3158508":[-18.9962,-44.0409],"3158607":[-21.9512,-43.1583],"3158706":[-21.5983,-44.105],"3158805":[-20.9007,-45.1285],"3158904":[-20.1031,-41.9278],"3158953":[-19.3661,-42.5446],"3159001":[-19.1662,-43.722],"3159100":[-20.7868,-43.6949],"3159209":[-22.0292,-46.3385],"3159308":[-22.1474,-44.0977],"3159357":[-19.876,-42.1363],"3159407":[-21.5658,-43.9163],"3159506":[-19.3576,-41.3821],"3159605":[-22.2461,-45.7034],"3159704":[-19.5186,-45.9611],"3159803":[-18.8414,-50.1208],"3159902":[-20.943,-44.9176],"3160009":[-21.7606,-42.8115],"3160108":[-20.3185,-42.6047],"3160207":[-18.4609,-43.3006],"3160306":[-16.5332,-40.1817],"3160405":[-20.085,-45.2947],"3160454":[-15.3393,-42.6171],"3160504":[-19.2374,-43.2604],"3160603":[-18.2968,-44.2229],"3160702":[-21.4634,-43.5499],"3160801":[-21.5839,-45.0699],"3160900":[-20.6242,-43.9515],"3160959":[-19.5246,-42.0106],"3161007":[-19.8678,-42.971],"3161056":[-18.5959,-41.4889],"3161106":[-15.9514,-44.8593],"3161205":[-20.7036,-44.9838],"3161304":[-19.8611,-49.7727],"3161403":[-20.7923,-42.2673],"3161502":[-20.9252,-42.8364],"3161601":[-18.8411,-42.2867],"3161650":[-18.9097,-41.363],"3161700":[-18.3315,-45.8265],"3161809":[-19.9822,-44.8593],"3161908":[-19.8221,-43.366],"3162005":[-21.8932,-45.5893],"3162104":[-19.3087,-46.0465],"3162203":[-20.635,-46.508],"3162252":[-16.8455,-44.3507],"3162302":[-21.928,-45.9297],"3162401":[-15.9271,-44.0096],"3162450":[-14.8859,-44.0922],"3162500":[-21.1311,-44.2526],"3162559":[-20.3933,-42.1533],"3162575":[-18.723,-41.1628],"3162609":[-19.3384,-42.1575],"3162658":[-16.5373,-44.5134],"3162708":[-15.3168,-42.0213],"3162807":[-18.548,-42.7655],"3162906":[-21.5381,-43.0069],"3162922":[-20.048,-44.2749],"3162948":[-20.7178,-46.313],"3162955":[-19.6971,-43.9586],"3163003":[-18.3243,-42.1431],"3163102":[-19.7006,-44.556],"3163201":[-22.3243,-45.5258],"3163300":[-18.4793,-41.3907],"3163409":[-19.9214,-42.7035],"3163508":[-18.281,-42.6729],"3163607":[-20.0058,-41.7486],"3163706":[-22.1166,-45.0506],"3163805":[-20.7067,-42.7174],"3163904":[-21.131,-46.6123],"3164001":[-20.1732,-42.5251],"3164100":[-18.3609,-42.5981],"3164209":[-16.3641,-45.0749],"3164308":[-20.249,-46.3639],"3164407":[-22.1583,-45.7546],"3164431":[-19.7477,-43.3679],"3164472":[-19.5064,-41.985],"3164506":[-18.0873,-42.5659],"3164605":[-20.2758,-45.0063],"3164704":[-20.9167,-46.9837],"3164803":[-19.2959,-43.1757],"3164902":[-22.2183,-44.9761],"3165008":[-20.9075,-44.5098],"3165107":[-20.7791,-47.0962],"3165206":[-21.7218,-44.9849],"3165305":[-21.7042,-44.4431],"3165404":[-22.7409,-45.738],"3165503":[-18.7828,-42.3629],"3165537":[-20.0367,-44.1446],"3165552":[-17.6002,-42.1587],"3165560":[-20.1008,-42.8483],"3165578":[-22.5869,-46.1763],"3165602":[-21.7986,-42.9424],"3165701":[-20.9158,-43.0904],"3165800":[-22.1633,-46.1792],"3165909":[-17.9465,-43.2172],"3166006":[-20.7972,-43.3394],"3166105":[-18.8909,-43.0799],"3166204":[-21.0351,-43.5812],"3166303":[-20.4748,-42.4828],"3166402":[-21.9134,-44.518],"3166501":[-18.3602,-43.1675],"3166600":[-19.4447,-45.795],"3166709":[-17.7872,-40.2453],"3166808":[-19.1083,-46.6961],"3166907":[-21.5441,-46.0417],"3166956":[-15.8176,-42.8732],"3167004":[-21.8857,-44.5125],"3167103":[-18.5991,-43.3744],"3167202":[-19.4569,-44.2413],"3167301":[-21.1615,-43.2128],"3167400":[-22.0274,-45.8385],"3167509":[-21.964,-43.3088],"3167608":[-20.1341,-42.0091],"3167707":[-19.2345,-42.0998],"3167806":[-22.0554,-45.0464],"3167905":[-21.3632,-43.2381],"3168002":[-15.8106,-42.2259],"3168051":[-19.7621,-41.608],"3168101":[-19.9166,-46.8264],"3168200":[-19.8936,-46.0221],"3168309":[-19.6652,-43.6922],"3168408":[-19.2835,-42.0097],"3168507":[-20.6561,-42.8564],"3168606":[-17.8595,-41.5087],"3168705":[-19.5811,-42.6471],"3168804":[-21.1102,-44.1744],"3168903":[-19.0037,-45.9626],"3169000":[-21.1774,-43.0127],"3169059":[-22.3698,-46.0971],"3169109":[-22.7421,-46.3728],"3169208":[-20.9086,-42.0228],"3169307":[-21.6921,-45.2511],"3169356":[-18.2048,-45.2473],"3169406":[-21.3694,-45.5109],"3169505":[-18.9844,-41.6527],"3169604":[-18.5866,-48.6985],"3169703":[-17.2828,-42.7285],"3169802":[-21.8733,-45.7859],"3169901":[-21.1204,-42.9359],"3170008":[-16.2885,-44.7783],"3170057":[-19.6351,-42.1059],"3170107":[-19.7472,-47.9381],"3170206":[-18.9141,-48.2749],"3170305":[-17.2548,-40.5779],"3170404":[-16.3592,-46.9022],"3170438":[-19.5299,-50.338],"3170479":[-16.0634,-46.2443],"3170503":[-20.3521,-42.737],"3170529":[-16.1244,-45.7352],"3170578":[-19.5988,-42.2949],"3170602":[-20.3333,-46.3688],"3170651":[-15.3987,-42.3085],"3170701":[-21.5556,-45.4364],"3170750":[-18.3741,-46.0313],"3170800":[-17.5944,-44.7226],"3170909":[-15.6992,-44.0278],"3171006":[-17.9827,-46.9088],"3171030":[-15.5845,-43.6121],"3171071":[-17.3974,-42.7307],"3171105":[-19.6657,-48.3118],"3171154":[-20.0406,-42.2688],"3171204":[-19.6883,-43.9239],"3171303":[-20.7559,-42.8742],"3171402":[-20.867,-42.2401],"3171501":[-18.59,-41.9166],"3171600":[-16.807,-42.3431],"3171709":[-22.3264,-45.0965],"3171808":[-18.8154,-42.7015],"3171907":[-18.4738,-42.3067],"3172004":[-21.0127,-42.8361],"3172103":[-21.7671,-42.5375],"3172202":[-22.5368,-45.3626],"3200102":[-20.0778,-41.1261],"3200136":[-18.9846,-40.7437],"3200169":[-18.5482,-40.9854],"3200201":[-20.758,-41.5382],"3200300":[-20.6396,-40.7543],"3200359":[-19.0618,-41.0209],"3200409":[-20.7955,-40.6425],"3200508":[-21.1523,-41.5693],"3200607":[-19.82,-40.2764],"3200706":[-20.913,-41.1986],"3200805":[-19.5213,-41.0109],"3200904":[-18.7548,-40.8965],"3201001":[-18.5395,-40.3025],"3201100":[-21.1173,-41.6731],"3201159":[-20.1395,-41.2954],"3201209":[-20.8462,-41.1198],"3201308":[-20.2632,-40.4165],"3201407":[-20.6033,-41.2031],"3201506":[-19.5493,-40.6269],"3201605":[-18.5883,-39.7362],"3201704":[-20.3639,-41.2417],"3201803":[-20.6229,-41.6937],"3201902":[-20.3603,-40.6594],"3202009":[-20.6931,-41.8405],"3202108":[-18.3702,-40.836],"3202207":[-19.937,-40.4078],"3202256":[-19.1864,-40.4473],"3202306":[-20.7668,-41.6734],"3202405":[-20.6772,-40.5093],"3202454":[-20.2347,-41.5087],"3202504":[-19.8366,-40.3732],"3202553":[-20.5466,-41.6667],"3202603":[-20.7913,-40.8132],"3202652":[-20.3501,-41.6444],"3202702":[-19.8018,-40.8601],"3202801":[-21.0095,-40.8307],"3202900":[-19.875,-40.8753],"3203007":[-20.3531,-41.5334],"3203056":[-18.907,-40.0759],"3203106":[-20.7994,-41.3948],"3203130":[-19.7577,-40.386],"3203163":[-19.8994,-41.0621],"3203205":[-19.3946,-40.0643],"3203304":[-18.8594,-41.124],"3203320":[-21.0398,-40.8384],"3203346":[-20.4159,-40.67],"3203353":[-19.4114,-40.5456],"3203403":[-21.0628,-41.3615],"3203502":[-18.1303,-40.3668],"3203601":[-18.0965,-40.52],"3203700":[-20.4652,-41.4156],"3203809":[-20.9509,-41.346],"3203908":[-18.715,-40.4053],"3204005":[-19.2229,-40.8534],"3204054":[-18.3004,-39.9574],"3204104":[-18.4141,-40.2171],"3204203":[-20.8334,-40.7268],"3204252":[-18.1253,-40.5458],"3204302":[-21.0964,-41.0468],"3204351":[-19.2719,-40.3366],"3204401":[-20.8556,-40.9388],"3204500":[-20.0999,-40.527],"3204559":[-20.0253,-40.7439],"3204609":[-19.9363,-40.5979],"3204658":[-19.1452,-40.6281],"3204708":[-19.0182,-40.5365],"3204807":[-21.0274,-41.6636],"3204906":[-18.7214,-39.8579],"3204955":[-19.7411,-40.6526],"3205002":[-20.121,-40.3074],"3205010":[-19.1897,-40.0974],"3205036":[-20.669,-41.0179],"3205069":[-20.327,-41.1355],"3205101":[-20.3825,-40.4933],"3205150":[-18.6091,-40.609],"3205176":[-18.9958,-40.3849],"3205200":[-20.3417,-40.2875],"3205309":[-20.3155,-40.3128],"3300100":[-23.0011,-44.3196],"3300159":[-21.6252,-42.1017],"3300209":[-22.8697,-42.3326],"3300225":[-22.2283,-43.1118],"3300233":[-22.7528,-41.8846],"3300258":[-22.9774,-42.0267],"3300308":[-22.4715,-43.8269],"3300407":[-22.5481,-44.1752],"3300456":[-22.764,-43.3992],"3300506":[-22.1545,-42.4251],"3300605":[-21.1449,-41.6822],"3300704":[-22.8894,-42.0286],"3300803":[-22.4658,-42.6523],"3300902":[-21.5691,-41.9187],"3300936":[-22.1821,-41.663],"3300951":[-22.0404,-43.214],"3301009":[-21.7622,-41.3181],"3301108":[-21.9797,-42.3664],"3301157":[-21.4846,-41.6165],"3301207":[-21.931,-42.6046],"3301306":[-22.4812,-42.2066],"3301405":[-22.0834,-41.8719],"3301504":[-22.0267,-42.3648],"3301603":[-22.0536,-42.5232],"3301702":[-22.7858,-43.3049],"3301801":[-22.5498,-43.6827],"3301850":[-22.5347,-42.9895],"3301876":[-22.8495,-42.2299],"3301900":[-22.7565,-42.8639],"3302007":[-22.8636,-43.7798],"3302056":[-21.4296,-41.7014],"3302106":[-21.6748,-42.0758],"3302205":[-21.1997,-41.8799],"3302254":[-22.4897,-44.5675],"3302270":[-22.6435,-43.6602],"3302304":[-21.2091,-42.1271],"3302403":[-22.3768,-41.7848],"3302452":[-21.9813,-42.2533],"3302502":[-22.6632,-43.0315],"3302601":[-22.9594,-44.0409],"3302700":[-22.9354,-42.8246],"3302809":[-22.5245,-43.7312],"3302858":[-22.8028,-43.4601],"3302908":[-22.4572,-43.4803],"3303005":[-21.4148,-42.1938],"3303104":[-21.039,-41.9697],"3303203":[-22.8057,-43.4233],"3303302":[-22.8832,-43.1034],"3303401":[-22.2932,-42.5377],"3303500":[-22.7556,-43.4603],"3303609":[-22.6078,-43.7108],"3303708":[-22.1585,-43.304],"3303807":[-23.2221,-44.7175],"3303856":[-22.4309,-43.4285],"3303906":[-22.52,-43.1926],"3303955":[-22.5172,-44.0022],"3304003":[-22.6215,-43.9081],"3304102":[-20.9632,-42.0465],"3304110":[-22.4175,-44.2952],"3304128":[-22.4045,-44.2597],"3304144":[-22.7102,-43.5518],"3304151":[-22.1031,-41.4693],"3304201":[-22.4705,-44.4509],"3304300":[-22.7181,-42.6276],"3304409":[-22.72,-44.1419],"3304508":[-22.1692,-43.5856],"3304524":[-22.5174,-41.9475],"3304557":[-22.9129,-43.2003],"3304607":[-21.9547,-42.0098],"3304706":[-21.541,-42.1832],"3304755":[-21.4702,-41.1091],"3304805":[-21.6551,-41.756],"3304904":[-22.8268,-43.0634],"3305000":[-21.638,-41.0446],"3305109":[-22.8058,-43.3729],"3305133":[-21.3661,-41.9511],"3305158":[-22.1525,-42.9327],"3305208":[-22.8429,-42.1026],"3305307":[-21.9578,-42.1328],"3305406":[-21.9949,-42.9142],"3305505":[-22.9292,-42.5099],"3305554":[-22.7526,-43.7155],"3305604":[-22.6574,-42.3961],"3305703":[-22.0485,-42.6761],"3305752":[-22.7423,-42.7202],"3305802":[-22.4165,-42.9752],"3305901":[-22.0638,-42.0643],"3306008":[-22.1165,-43.2185],"3306107":[-22.2445,-43.7129],"3306156":[-20.9276,-41.8701],"3306206":[-22.4059,-43.6686],"3306305":[-22.5202,-44.0996],"3500105":[-21.682,-51.0737],"3500204":[-21.2325,-49.6451],"3500303":[-22.0572,-46.9735],"3500402":[-21.9319,-46.7176],"3500501":[-22.4733,-46.6314],"3500550":[-22.8812,-49.2421],"3500600":[-22.5977,-47.8734],"3500709":[-22.4694,-48.9863],"3500758":[-23.5503,-47.898],"3500808":[-21.9527,-51.414],"3500907":[-20.5242,-49.0571],"3501004":[-21.0214,-47.3712],"3501103":[-21.5811,-50.168],"3501152":[-23.5306,-47.2546],"3501202":[-20.3203,-49.9141],"3501301":[-22.0764,-51.4722],"3501400":[-22.0841,-49.719],"3501509":[-22.4435,-49.7623],"3501608":[-22.7374,-47.3331],"3501707":[-21.7288,-48.1147],"3501806":[-20.2985,-49.7359],"3501905":[-22.7088,-46.772],"3502002":[-22.1289,-47.6619],"3502101":[-20.8948,-51.3786],"3502200":[-23.4917,-48.4139],"3502309":[-22.793,-48.1336],"3502408":[-22.2934,-51.3895],"3502507":[-22.8495,-45.2325],"3502606":[-20.4487,-50.8835],"3502705":[-24.5108,-48.8443],"3502754":[-23.4366,-47.0608],"3502804":[-21.2076,-50.4401],"3502903":[-23.5029,-47.6166],"3503000":[-20.0882,-47.7873],"3503109":[-23.1386,-49.0487],"3503158":[-22.6717,-44.4441],"3503208":[-21.7845,-48.178],"3503307":[-22.3572,-47.3842],"3503356":[-21.7728,-50.466],"3503406":[-22.031,-48.9135],"3503505":[-22.5786,-44.6992],"3503604":[-22.6672,-48.6681],"3503703":[-21.1872,-48.7904],"3503802":[-22.5727,-47.1727],"3503901":[-23.3965,-46.32],"3503950":[-20.16,-50.728],"3504008":[-22.66,-50.4183],"3504107":[-23.1171,-46.5563],"3504206":[-20.6836,-50.5572],"3504305":[-22.1514,-49.3356],"3504404":[-21.4584,-49.9509],"3504503":[-23.1067,-48.9251],"3504602":[-20.9197,-49.4385],"3504701":[-21.8963,-49.3619],"3504800":[-20.7348,-49.5865],"3504909":[-22.6819,-44.3281],"3505005":[-23.6284,-49.5634],"3505104":[-21.2657,-49.9518],"3505203":[-22.073,-48.7438],"3505302":[-22.4909,-48.5583],"3505351":[-24.4722,-49.0238],"3505401":[-24.759,-48.5013],"3505500":[-20.5531,-48.5698],"3505609":[-21.1864,-48.1636],"3505708":[-23.5057,-46.879],"3505807":[-21.921,-50.7357],"3505906":[-20.8929,-47.5921],"3506003":[-22.3246,-49.0871],"3506102":[-20.9491,-48.4791],"3506201":[-21.2686,-50.814],"3506300":[-23.0164,-49.4679],"3506359":[-23.8486,-46.1396],"3506409":[-21.404,-50.4746],"3506508":[-21.291,-50.3432],"3506607":[-23.5698,-46.0407],"3506706":[-21.9918,-48.3906],"3506805":[-22.1365,-48.523],"3506904":[-23.1055,-48.2582],"3507001":[-23.2855,-47.6786],"3507100":[-23.1356,-46.4675],"3507159":[-24.3155,-49.1451],"3507209":[-22.2696,-50.5409],"3507308":[-22.1926,-48.7808],"3507407":[-21.6214,-49.0741],"3507456":[-22.5728,-48.9707],"3507506":[-22.8837,-48.4437],"3507605":[-22.9527,-46.5419],"3507704":[-21.499,-50.3175],"3507753":[-21.1651,-50.1861],"3507803":[-20.9845,-47.6572],"3507902":[-22.2795,-48.1251],"3508009":[-23.7977,-48.5958],"3508108":[-21.0661,-50.1475],"3508207":[-20.1911,-47.7096],"3508306":[-22.4576,-49.3393],"3508405":[-23.3053,-47.1362],"3508504":[-23.0992,-45.7076],"3508603":[-22.6665,-45.0154],"3508702":[-21.528,-46.6437],"3508801":[-21.8031,-49.6092],"3508900":[-22.0127,-51.2394],"3509007":[-23.3607,-46.7397],"3509106":[-21.8322,-51.9969],"3509205":[-23.355,-46.8781],"3509254":[-24.7324,-48.1223],"3509304":[-20.8773,-48.8063],"3509403":[-21.2749,-47.303],"3509452":[-23.5895,-48.4758],"3509502":[-22.9053,-47.0659],"3509601":[-23.2078,-46.7889],"3509700":[-22.7296,-45.5833],"3509809":[-22.602,-49.9987],"3509908":[-25.0144,-47.9341],"3509957":[-22.7003,-45.0521],"3510005":[-22.7471,-50.3873],"3510104":[-21.3275,-48.6327],"3510153":[-23.004,-49.7839],"3510203":[-24.0113,-48.3482],"3510302":[-23.4685,-47.7388],"3510401":[-22.9951,-47.5071],"3510500":[-23.6125,-45.4125],"3510609":[-23.5235,-46.8407],"3510708":[-20.08,-49.9183],"3510807":[-21.7708,-47.0852],"3510906":[-21.2801,-47.1643],"3511003":[-20.8689,-51.4884],"3511102":[-21.1314,-48.977],"3511201":[-21.0519,-49.0616],"3511300":[-20.9009,-49.2664],"3511409":[-23.038,-49.1655],"3511508":[-23.1665,-47.7459],"3511607":[-23.226,-47.9545],"3511706":[-22.5096,-47.7755],"3511904":[-21.5604,-50.4525],"3512001":[-20.7114,-48.5387],"3512100":[-20.1768,-48.6865],"3512209":[-22.3375,-47.1729],"3512308":[-23.0154,-48.0134],"3512407":[-22.4778,-47.4519],"3512506":[-21.3521,-50.2859],"3512605":[-23.6261,-49.31],"3512704":[-22.2213,-47.6215],"3512803":[-22.6419,-47.1926],"3512902":[-20.4755,-49.7827],"3513009":[-23.6022,-46.919],"3513108":[-21.338,-47.7324],"3513207":[-20.4036,-47.4209],"3513306":[-22.7373,-50.7909],"3513405":[-22.5728,-44.969],"3513504":[-23.8911,-46.424],"3513603":[-23.0731,-44.9576],"3513702":[-21.9002,-47.6181],"3513801":[-23.6813,-46.6205],"3513850":[-20.4642,-50.6073],"3513900":[-21.6637,-46.7361],"3514007":[-21.5155,-48.3935],"3514106":[-22.3673,-48.3819],"3514205":[-20.124,-50.5149],"3514304":[-22.1044,-48.3178],"3514403":[-21.4843,-51.535],"3514502":[-22.4146,-49.4084],"3514601":[-21.2324,-47.9756],"3514700":[-22.4326,-50.2038],"3514809":[-24.5281,-48.1141],"3514908":[-23.0428,-47.3682],"3514924":[-21.1678,-49.1146],"3514957":[-20.9796,-48.8325],"3515004":[-23.6437,-46.8579],"3515103":[-23.8297,-46.8136],"3515129":[-21.8314,-51.4832],"3515152":[-22.4836,-47.211],"3515186":[-22.1909,-46.7477],"3515194":[-22.6925,-49.4341],"3515202":[-20.2875,-50.4049],"3515301":[-22.4859,-51.6632],"3515350":[-22.5545,-52.5928],"3515400":[-23.3916,-49.5124],"3515509":[-20.2806,-50.2471],"3515608":[-21.2661,-48.6874],"3515657":[-22.3607,-49.5187],"3515707":[-23.5411,-46.371],"3515806":[-21.6727,-51.3821],"3515905":[-20.6752,-50.1513],"3516002":[-21.6127,-51.1724],"3516101":[-22.868,-50.6814],"3516200":[-20.5352,-47.4039],"3516309":[-23.2792,-46.7448],"3516408":[-23.3229,-46.729],"3516507":[-21.5294,-50.5573],"3516606":[-22.2918,-49.5504],"3516705":[-22.2125,-49.6546],"3516804":[-20.7948,-50.1912],"3516853":[-21.8367,-48.4957],"3516903":[-20.6485,-50.364],"3517000":[-21.7961,-49.9312],"3517109":[-21.3812,-50.2123],"3517208":[-21.6195,-49.8013],"3517307":[-21.9091,-49.8986],"3517406":[-20.3196,-48.312],"3517505":[-20.7959,-49.2172],"3517604":[-24.1892,-48.5295],"3517703":[-20.4302,-47.8236],"3517802":[-21.0292,-51.2119],"3517901":[-20.4977,-48.9391],"3518008":[-20.0746,-50.3411],"3518107":[-21.8942,-49.5914],"3518206":[-21.2544,-50.6453],"3518305":[-23.4112,-46.0369],"3518404":[-22.8075,-45.1938],"3518503":[-23.3714,-48.1837],"3518602":[-21.3594,-48.2316],"3518701":[-23.9888,-46.258],"3518800":[-23.4538,-46.5333],"3518859":[-21.4944,-48.0356],"3518909":[-20.6467,-50.6645],"3519006":[-22.0038,-50.3907],"3519055":[-22.6405,-47.0487],"3519071":[-22.8529,-47.2143],"3519105":[-21.8896,-49.031],"3519204":[-21.8572,-50.6932],"3519253":[-22.8682,-49.1634],"3519303":[-21.9584,-47.9882],"3519402":[-21.083,-49.2448],"3519501":[-22.8185,-50.0739],"3519600":[-21.7562,-48.8319],"3519709":[-23.6596,-47.223],"3519808":[-20.3391,-49.1915],"3519907":[-22.6602,-51.0779],"3520004":[-22.509,-48.5597],"3520103":[-20.0407,-47.7466],"3520202":[-23.2037,-46.157],"3520301":[-24.699,-47.5537],"3520400":[-23.7785,-45.3552],"3520426":[-24.7307,-47.5383],"3520442":[-20.4326,-51.3426],"3520509":[-23.0816,-47.2101],"3520608":[-22.1738,-51.2555],"3520707":[-19.979,-50.2909],"3520806":[-21.7695,-50.9633],"3520905":[-23.0575,-49.6279],"3521002":[-23.3513,-47.6927],"3521101":[-22.4355,-47.7151],"3521150":[-20.6557,-49.3842],"3521200":[-24.5847,-48.5971],"3521309":[-20.4438,-48.0129],"3521408":[-22.5832,-47.523],"3521507":[-21.2768,-49.4164],"3521606":[-21.5684,-51.3472],"3521705":[-23.8638,-49.14],"3521804":[-23.4213,-49.092],"3521903":[-21.3123,-49.0629],"3522000":[-21.9857,-48.8116],"3522109":[-24.1736,-46.788],"3522158":[-24.6393,-48.8413],"3522208":[-23.7161,-46.8572],"3522307":[-23.5886,-48.0483],"3522406":[-23.9788,-48.8764],"3522505":[-23.5488,-46.9327],"3522604":[-22.4357,-46.8224],"3522653":[-24.572,-49.1661],"3522703":[-21.5942,-48.8149],"3522802":[-23.7043,-49.4819],"3522901":[-22.2324,-48.7197],"3523008":[-20.6419,-51.5063],"3523107":[-23.4835,-46.3457],"3523206":[-24.1085,-49.3352],"3523305":[-24.2834,-47.1736],"3523404":[-23.0035,-46.8464],"3523503":[-23.1047,-48.6157],"3523602":[-22.2562,-47.8166],"3523701":[-20.6416,-47.2194],"3523800":[-21.7309,-46.9743],"3523909":[-23.2544,-47.2927],"3524006":[-23.1526,-47.0593],"3524105":[-20.3355,-47.7902],"3524204":[-20.6884,-48.4112],"3524303":[-21.252,-48.3252],"3524402":[-23.2983,-45.9658],"3524501":[-20.8805,-49.5797],"3524600":[-24.6963,-48.0064],"3524709":[-22.7037,-46.9851],"3524808":[-20.2672,-50.5494],"3524907":[-23.2522,-45.6942],"3525003":[-23.5275,-46.9023],"3525102":[-21.0176,-47.7606],"3525201":[-23.1039,-46.728],"3525300":[-22.2936,-48.5592],"3525409":[-20.3116,-47.5918],"3525508":[-22.927,-46.2741],"3525607":[-22.2473,-50.7694],"3525706":[-21.0551,-49.6892],"3525805":[-22.0112,-49.7873],"3525854":[-23.0884,-47.7868],"3525904":[-23.1852,-46.8974],"3526001":[-21.5103,-51.4342],"3526100":[-24.3101,-47.6426],"3526209":[-23.9244,-47.0653],"3526308":[-23.0846,-45.1944],"3526407":[-23.0506,-47.8375],"3526506":[-21.1639,-51.0412],"3526605":[-22.57,-44.9024],"3526704":[-22.1809,-47.3841],"3526803":[-22.6027,-48.8037],"3526902":[-22.566,-47.397],"3527009":[-22.5226,-46.65],"3527108":[-21.6718,-49.7526],"3527207":[-22.7334,-45.1197],"3527256":[-20.966,-50.2263],"3527306":[-23.0856,-46.9484],"3527405":[-21.7182,-51.0215],"3527504":[-22.4294,-49.522],"3527603":[-21.55,-47.7801],"3527702":[-21.6737,-50.3294],"3527801":[-22.4146,-49.818],"3527900":[-22.3384,-50.394],"3528007":[-22.5002,-48.7102],"3528106":[-20.8022,-49.9687],"3528205":[-20.1444,-50.1973],"3528304":[-20.6445,-50.2305],"3528403":[-23.5398,-47.185],"3528502":[-23.3171,-46.5897],"3528601":[-23.0056,-49.3202],"3528700":[-22.1068,-51.9617],"3528809":[-22.6149,-50.6713],"3528858":[-21.2587,-49.13],"3528908":[-21.7959,-51.1824],"3529005":[-22.2171,-49.9501],"3529104":[-20.4389,-50.8254],"3529203":[-22.1462,-51.1709],"3529302":[-21.6025,-48.364],"3529401":[-23.6677,-46.4613],"3529500":[-21.1757,-49.5791],"3529609":[-20.3579,-50.1811],"3529658":[-19.9684,-50.6326],"3529708":[-20.1796,-48.031],"3529807":[-22.412,-48.451],"3529906":[-24.2766,-47.4625],"3530003":[-19.9789,-50.139],"3530102":[-21.1313,-51.1035],"3530201":[-22.2904,-51.9084],"3530300":[-20.8169,-49.5206],"3530409":[-20.6179,-49.4617],"3530508":[-21.4647,-47.0024],"3530607":[-23.5208,-46.1854],"3530706":[-22.3675,-46.9428],"3530805":[-22.4332,-46.9532],"3530904":[-22.9285,-47.559],"3531001":[-20.8509,-50.0975],"3531100":[-24.0809,-46.6265],"3531209":[-22.6817,-46.681],"3531308":[-21.2655,-48.4971],"3531407":[-20.768,-49.7184],"3531506":[-20.9065,-48.6387],"3531605":[-21.2981,-51.5679],"3531704":[-22.9544,-45.8407],"3531803":[-22.945,-47.3122],"3531902":[-20.7288,-48.0581],"3532009":[-22.8811,-46.7896],"3532058":[-21.5103,-48.1538],"3532108":[-20.9908,-51.2774],"3532157":[-22.6156,-51.24],"3532207":[-22.4057,-51.5274],"3532306":[-23.3707,-45.4468],"3532405":[-23.1747,-46.3983],"3532504":[-20.843,-49.6358],"3532603":[-20.6945,-50.0436],"3532702":[-20.9114,-49.7833],"3532801":[-21.0156,-49.4986],"3532827":[-24.1224,-48.9022],"3532843":[-20.3836,-50.9483],"3532868":[-20.7615,-50.3477],"3532900":[-21.7765,-48.5705],"3533007":[-20.5321,-49.3123],"3533106":[-21.332,-51.6447],"3533205":[-21.1026,-51.4905],"3533254":[-20.9893,-48.9141],"3533304":[-20.856,-50.2617],"3533403":[-22.7832,-47.2941],"3533502":[-21.4651,-49.2234],"3533601":[-20.7296,-47.7429],"3533700":[-22.438,-49.922],"3533809":[-22.9435,-49.3419],"3533908":[-20.7366,-48.9106],"3534005":[-20.6042,-49.2929],"3534104":[-22.1549,-50.0971],"3534203":[-20.1861,-49.3464],"3534302":[-20.7169,-47.8852],"3534401":[-23.5324,-46.7916],"3534500":[-22.3149,-50.2811],"3534609":[-21.7968,-50.8793],"3534708":[-22.9797,-49.8697],"3534757":[-20.0061,-50.3768],"3534807":[-21.4872,-51.7024],"3534906":[-21.5627,-51.2654],"3535002":[-20.39,-49.4309],"3535101":[-21.0854,-48.8037],"3535200":[-20.4148,-50.7632],"3535309":[-22.7858,-50.218],"3535408":[-21.354,-51.8562],"3535507":[-22.4114,-50.5732],"3535606":[-23.3872,-45.6639],"3535705":[-21.0159,-48.7761],"3535804":[-23.3862,-48.7214],"3535903":[-20.1048,-50.5886],"3536000":[-21.7792,-50.7949],"3536109":[-23.0841,-48.3679],"3536208":[-24.7147,-47.8742],"3536257":[-20.3034,-50.0163],"3536307":[-20.6384,-47.2801],"3536406":[-21.3153,-51.8321],"3536505":[-22.7542,-47.1488],"3536570":[-22.5768,-49.4008],"3536604":[-20.0296,-49.4],"3536703":[-22.3511,-48.7781],"3536802":[-22.7902,-46.4455],"3536901":[-20.2474,-50.1129],"3537008":[-20.2535,-47.4775],"3537107":[-22.7413,-46.8948],"3537156":[-22.8174,-50.7933],"3537206":[-24.2764,-47.2354],"3537305":[-21.4148,-50.0769],"3537404":[-20.6368,-51.1123],"3537503":[-23.0804,-47.972],"3537602":[-24.312,-47.0012],"3537701":[-21.5921,-50.6003],"3537800":[-23.7139,-47.4256],"3537909":[-23.8077,-47.7222],"3538006":[-22.9246,-45.4613],"3538105":[-21.1853,-48.9086],"3538204":[-22.7811,-46.5897],"3538303":[-21.8747,-51.7282],"3538501":[-22.6069,-45.1869],"3538600":[-23.0525,-46.3594],"3538709":[-22.7338,-47.6476],"3538808":[-23.1981,-49.3803],"3538907":[-21.999,-49.4608],"3539004":[-21.0886,-48.6607],"3539103":[-23.3965,-46.9991],"3539202":[-22.2711,-51.4976],"3539301":[-21.996,-47.4257],"3539400":[-22.4142,-49.1339],"3539509":[-21.0132,-48.221],"3539608":[-21.0342,-49.933],"3539707":[-22.6371,-50.2104],"3539806":[-23.5333,-46.3473],"3539905":[-20.7829,-49.8258],"3540002":[-22.107,-50.176],"3540101":[-21.7396,-49.3604],"3540200":[-21.0216,-48.0423],"3540259":[-20.4396,-50.5258],"3540309":[-20.1727,-49.7064],"3540408":[-19.9453,-50.538],"3540507":[-23.1761,-48.1195],"3540606":[-23.2093,-47.5251],"3540705":[-21.8498,-47.487],"3540754":[-22.8343,-45.2552],"3540804":[-21.0428,-49.3815],"3540853":[-21.8496,-51.0868],"3540903":[-21.3626,-48.0679],"3541000":[-24.0084,-46.4121],"3541059":[-22.8112,-48.6636],"3541109":[-22.0999,-49.4381],"3541208":[-22.0082,-51.5565],"3541307":[-21.7651,-52.1111],"3541406":[-22.1207,-51.3925],"3541505":[-21.8732,-51.8447],"3541604":[-21.5356,-49.8599],"3541653":[-23.2993,-48.0547],"3541703":[-22.2456,-50.6966],"3541802":[-21.7969,-50.2415],"3541901":[-22.5312,-44.7781],"3542008":[-22.0692,-50.307],"3542107":[-23.0105,-47.5318],"3542206":[-22.2269,-50.893],"3542305":[-23.2638,-45.5422],"3542404":[-22.2181,-51.3055],"3542503":[-21.8914,-49.2268],"3542602":[-24.4979,-47.8449],"3542701":[-20.6056,-47.4833],"3542800":[-24.6517,-49.0044],"3542909":[-22.0685,-48.182],"3543006":[-24.2206,-48.7635],"3543105":[-20.4579,-47.5904],"3543204":[-22.789,-49.933],"3543238":[-21.8382,-51.6103],"3543253":[-24.1011,-48.3679],"3543303":[-23.7067,-46.4058],"3543402":[-21.1699,-47.8099],"3543501":[-23.829,-49.429],"3543600":[-20.0803,-47.4291],"3543709":[-21.5894,-48.0728],"3543808":[-21.7284,-50.7239],"3543907":[-22.3984,-47.5546],"3544004":[-22.8417,-47.6047],"3544103":[-23.7437,-46.3971],"3544202":[-19.9868,-49.6836],"3544251":[-22.5782,-53.0603],"3544301":[-22.8938,-45.307],"3544400":[-21.3006,-50.7296],"3544509":[-20.1759,-51.007],"3544608":[-21.4593,-49.5755],"3544707":[-21.8823,-50.9594],"3544806":[-21.3427,-49.4897],"3544905":[-20.7696,-47.8369],"3545001":[-23.5288,-45.8465],"3545100":[-21.6267,-50.8614],"3545159":[-22.8442,-47.6754],"3545209":[-23.1996,-47.2931],"3545308":[-23.6474,-47.5743],"3545407":[-22.8894,-49.9831],"3545506":[-22.4551,-51.7648],"3545605":[-21.2427,-48.8063],"3545704":[-20.0311,-50.7297],"3545803":[-22.7553,-47.4143],"3546009":[-23.3933,-45.8875],"3546108":[-20.09,-50.9491],"3546207":[-22.1405,-47.4512],"3546256":[-21.2951,-47.4304],"3546306":[-21.8235,-47.248],"3546405":[-22.8988,-49.6354],"3546504":[-21.4618,-48.3953],"3546603":[-20.2083,-50.932],"3546702":[-22.4572,-47.5272],"3546801":[-23.3172,-46.2237],"3546900":[-21.685,-48.0885],"3547007":[-22.5661,-48.1593],"3547106":[-21.3495,-51.7564],"3547205":[-20.2523,-50.8014],"3547304":[-23.4439,-46.9178],"3547403":[-20.1414,-50.8358],"3547502":[-21.7083,-47.478],"3547601":[-21.4776,-47.3622],"3547650":[-20.2429,-50.6887],"3547700":[-21.9747,-51.6527],"3547809":[-23.6737,-46.5432],"3547908":[-21.0864,-47.1464],"3548005":[-22.6029,-46.9192],"3548054":[-20.9331,-50.498],"3548104":[-22.1121,-46.6845],"3548203":[-22.827,-45.663],"3548302":[-21.8467,-51.3929],"3548401":[-21.6376,-50.5044],"3548500":[-23.9535,-46.335],"3548609":[-22.6837,-45.7287],"3548708":[-23.6914,-46.5646],"3548807":[-23.6229,-46.5548],"3548906":[-22.0174,-47.886],"3549003":[-20.3623,-50.6952],"3549102":[-21.9707,-46.7944],"3549201":[-20.3879,-50.3792],"3549250":[-20.5111,-50.3561],"3549300":[-21.2662,-51.6672],"3549409":[-20.5812,-47.8593],"3549508":[-20.5935,-47.6424],"3549607":[-22.6414,-44.5774],"3549706":[-21.5953,-46.8873],"3549805":[-20.8113,-49.3758],"3549904":[-23.1896,-45.8841],"3549953":[-23.8491,-46.9432],"3550001":[-23.222,-45.3109],"3550100":[-22.7321,-48.5723],"3550209":[-23.8782,-47.9935],"3550308":[-23.5329,-46.6395],"3550407":[-22.5483,-47.9096],"3550506":[-22.7453,-49.7428],"3550605":[-23.5226,-47.1357],"3550704":[-23.7951,-45.4143],"3550803":[-21.7041,-46.8208],"3550902":[-21.4732,-47.5518],"3551009":[-23.9574,-46.3883],"3551108":[-23.6397,-47.8249],"3551207":[-23.2721,-49.4763],"3551306":[-20.6523,-49.925],"3551405":[-21.3074,-47.5602],"3551504":[-21.2043,-47.5952],"3551603":[-22.6139,-46.7033],"3551702":[-21.1316,-47.9875],"3551801":[-24.382,-47.9279],"3551900":[-20.8108,-48.8054],"3552007":[-22.6638,-44.8522],"3552106":[-22.5903,-46.5251],"3552205":[-23.4969,-47.4451],"3552304":[-20.6872,-50.9238],"3552403":[-22.8204,-47.2728],"3552502":[-23.5448,-46.3112],"3552551":[-20.4981,-51.0268],"3552601":[-20.9602,-49.0307],"3552700":[-21.7239,-48.6896],"3552809":[-23.6019,-46.7526],"3552908":[-22.3866,-51.2882],"3553005":[-23.4452,-49.4024],"3553104":[-21.1431,-48.5112],"3553203":[-21.1223,-48.4528],"3553302":[-21.7029,-47.2703],"3553401":[-20.6228,-49.6563],"3553500":[-23.9612,-47.5062],"3553609":[-21.4713,-46.7448],"3553658":[-21.0737,-48.4126],"3553708":[-21.4049,-48.5103],"3553807":[-23.5307,-49.241],"3553856":[-23.9211,-48.6948],"3553906":[-22.3016,-51.5621],"3553955":[-22.7429,-50.5786],"3554003":[-23.3487,-47.8461],"3554102":[-23.0104,-45.5593],"3554201":[-23.3425,-49.3722],"3554300":[-22.5299,-52.1682],"3554409":[-20.787,-48.3314],"3554508":[-23.1101,-47.7164],"3554607":[-23.2057,-49.6096],"3554656":[-23.2462,-48.1955],"3554706":[-22.4237,-48.1731],"3554755":[-22.0388,-48.3342],"3554805":[-22.9571,-45.5475],"3554904":[-20.2344,-50.8905],"3554953":[-22.8193,-46.6937],"3555000":[-21.9335,-50.5191],"3555109":[-21.3825,-51.575],"3555208":[-20.9428,-50.1135],"3555307":[-20.0486,-50.4792],"3555356":[-21.165,-49.7198],"3555406":[-23.4332,-45.0834],"3555505":[-22.5272,-49.6613],"3555604":[-20.9511,-49.1713],"3555703":[-20.8862,-49.9025],"3555802":[-20.2455,-50.6455],"3555901":[-21.7866,-49.2848],"3556008":[-21.2032,-49.2931],"3556107":[-20.4217,-50.0889],"3556206":[-22.9698,-46.9974],"3556305":[-21.2229,-50.8699],"3556354":[-22.887,-46.4124],"3556404":[-21.8322,-46.8913],"3556453":[-23.5993,-47.022],"3556503":[-23.2136,-46.8234],"3556602":[-22.2183,-49.8207],"3556701":[-23.0302,-46.9833],"3556800":[-20.8734,-48.293],"3556909":[-21.1692,-48.6284],"3556958":[-20.1956,-50.4875],"3557006":[-23.5446,-47.4388],"3557105":[-20.4237,-49.9781],"3557154":[-21.0506,-50.0552],"3557204":[-23.0366,-49.7096],"3557303":[-22.2713,-46.9481],"4100103":[-23.3049,-50.3133],"4100202":[-24.6606,-48.9922],"4100301":[-25.9899,-49.3343],"4100400":[-25.3188,-49.3037],"4100459":[-24.7983,-52.7128],"4100509":[-23.8759,-53.8958],"4100608":[-23.1312,-52.3189],"4100707":[-24.0224,-53.44],"4100806":[-22.7813,-51.2297],"4100905":[-23.0943,-52.7866],"4101002":[-25.9168,-53.4686],"4101051":[-24.6449,-53.1332],"4101101":[-23.0533,-50.2304],"4101150":[-23.1946,-51.9154],"4101200":[-25.4386,-48.7191],"4101309":[-25.9804,-50.1972],"4101408":[-23.55,-51.4635],"4101507":[-23.4153,-51.4259],"4101606":[-24.1548,-49.8285],"4101655":[-24.3132,-51.7856],"4101705":[-23.9315,-52.5021],"4101804":[-25.5859,-49.4047],"4101853":[-24.3857,-51.5839],"4101903":[-23.3697,-50.8459],"4102000":[-24.4168,-53.5213],"4102109":[-23.2318,-51.6668],"4102208":[-23.1517,-52.0551],"4102307":[-25.5804,-49.6291],"4102406":[-23.1078,-50.3704],"4102505":[-24.0334,-52.004],"4102604":[-26.2502,-53.6324],"4102703":[-23.116,-50.1842],"4102752":[-25.8842,-53.6725],"4102802":[-22.9937,-51.1927],"4102901":[-26.1607,-51.5518],"4103008":[-24.2467,-52.7876],"4103024":[-25.6324,-53.2108],"4103040":[-24.8688,-51.6276],"4103057":[-25.4308,-53.4117],"4103107":[-25.2066,-49.1141],"4103156":[-26.1958,-53.5955],"4103206":[-23.7063,-51.7671],"4103222":[-26.0731,-52.8353],"4103305":[-23.9366,-51.5875],"4103354":[-24.8173,-53.1218],"4103370":[-24.1978,-53.5275],"4103404":[-22.789,-51.7142],"4103453":[-24.6189,-53.3207],"4103479":[-23.9005,-53.5124],"4103503":[-23.6566,-51.3574],"4103602":[-23.0423,-50.0753],"4103701":[-23.2766,-51.2798],"4103800":[-23.589,-51.5792],"4103909":[-24.5893,-52.7976],"4103958":[-25.0802,-51.8237],"4104006":[-25.3044,-49.0551],"4104055":[-25.0294,-52.9939],"4104105":[-25.98,-49.6844],"4104204":[-25.4525,-49.529],"4104253":[-25.3687,-49.4501],"4104303":[-24.0463,-52.378],"4104402":[-24.5649,-51.3372],"4104428":[-25.5758,-52.0409],"4104451":[-25.3734,-52.1198],"4104501":[-25.6691,-53.8055],"4104600":[-25.4816,-53.6112],"4104659":[-24.9152,-50.0986],"4104709":[-23.4269,-49.7235],"4104808":[-24.9573,-53.459],"4104907":[-24.7891,-50.0108],"4105003":[-25.2044,-53.1548],"4105102":[-22.8188,-51.5973],"4105201":[-26.0891,-52.8691],"4105300":[-25.1489,-53.8415],"4105409":[-25.8515,-52.5173],"4105508":[-23.6599,-52.6054],"4105607":[-23.3772,-52.9436],"4105706":[-26.4043,-52.3508],"4105805":[-25.2925,-49.2262],"4105904":[-22.8374,-51.9743],"4106001":[-23.5493,-50.5569],"4106100":[-23.623,-50.1707],"4106209":[-25.6788,-49.535],"4106308":[-24.7971,-53.3006],"4106407":[-23.1829,-50.6498],"4106456":[-26.2277,-52.0356],"4106506":[-25.9767,-52.5641],"4106555":[-24.101,-52.1177],"4106571":[-25.6192,-53.1285],"4106605":[-23.7799,-53.0774],"4106704":[-22.9624,-52.1622],"4106803":[-26.0166,-51.343],"4106852":[-24.0132,-51.4563],"4106902":[-25.4195,-49.2646],"4107009":[-24.0362,-50.4576],"4107108":[-22.655,-52.8617],"4107124":[-25.035,-52.6768],"4107157":[-24.9419,-54.1052],"4107207":[-25.7407,-53.057],"4107256":[-23.3807,-53.2918],"4107306":[-23.5582,-52.2178],"4107405":[-25.9445,-53.1659],"4107504":[-23.797,-52.2659],"4107520":[-23.7238,-53.811],"4107538":[-24.7042,-54.2385],"4107546":[-25.4216,-52.8348],"4107553":[-24.0958,-52.6217],"4107603":[-24.0077,-51.3227],"4107652":[-25.6624,-49.3073],"4107702":[-23.9135,-51.9805],"4107736":[-25.4107,-50.5456],"4107751":[-23.8455,-50.4031],"4107801":[-23.3178,-52.3029],"4107850":[-26.2523,-53.3092],"4107900":[-23.6031,-52.0807],"4108007":[-22.8623,-51.3882],"4108106":[-23.0847,-51.9546],"4108205":[-24.2951,-53.3114],"4108304":[-25.5427,-54.5827],"4108320":[-24.0667,-53.8461],"4108403":[-26.0817,-53.0535],"4108452":[-25.7371,-52.1188],"4108502":[-26.425,-51.3172],"4108551":[-24.173,-51.9246],"4108601":[-24.1835,-53.0248],"4108650":[-25.1927,-51.9911],"4108700":[-24.1466,-51.5094],"4108809":[-24.085,-54.2573],"4108908":[-22.932,-52.6906],"4108957":[-25.1912,-50.8021],"4109005":[-23.5203,-50.0407],"4109104":[-23.3402,-52.7786],"4109203":[-22.9694,-51.6504],"4109302":[-25.0968,-52.8755],"4109401":[-25.3902,-51.4623],"4109500":[-25.3071,-48.3204],"4109609":[-25.8817,-48.5752],"4109658":[-26.139,-52.3848],"4109708":[-23.8478,-50.1932],"4109757":[-25.1193,-53.0072],"4109807":[-23.2659,-51.0522],"4109906":[-23.3944,-53.615],"4110003":[-23.1949,-51.8256],"4110052":[-24.7153,-53.0827],"4110078":[-24.448,-50.7533],"4110102":[-25.2285,-50.5989],"4110201":[-25.5704,-51.0769],"4110300":[-22.7509,-52.1995],"4110409":[-23.4762,-52.6989],"4110508":[-25.0238,-50.5794],"4110607":[-24.0083,-53.706],"4110656":[-24.4262,-53.3528],"4110706":[-25.4697,-50.6493],"4110805":[-24.4253,-52.1012],"4110904":[-22.6183,-51.9674],"4110953":[-25.1366,-54.3001],"4111001":[-23.0181,-50.4097],"4111100":[-23.6601,-51.9912],"4111209":[-25.9619,-52.8152],"4111258":[-25.2193,-49.3454],"4111308":[-22.7289,-52.8874],"4111407":[-25.0067,-50.857],"4111506":[-24.2485,-51.6754],"4111555":[-23.4072,-53.3687],"4111605":[-23.6187,-52.2203],"4111704":[-23.7435,-50.0729],"4111803":[-23.1591,-49.9739],"4111902":[-23.1104,-51.5342],"4112009":[-24.2439,-49.7066],"4112108":[-23.6011,-51.6448],"4112207":[-24.1401,-52.7784],"4112306":[-23.8142,-50.1422],"4112405":[-23.4693,-52.5557],"4112504":[-24.1809,-51.6902],"4112603":[-22.5523,-52.0503],"4112702":[-23.2578,-50.9777],"4112751":[-24.3839,-53.3849],"4112801":[-23.4987,-49.909],"4112900":[-23.4357,-50.2496],"4112959":[-24.4209,-52.8413],"4113007":[-23.6219,-52.4693],"4113106":[-23.8188,-51.6687],"4113205":[-25.7671,-49.7168],"4113254":[-24.8862,-52.47],"4113304":[-25.4077,-52.4109],"4113403":[-23.0818,-50.7511],"4113429":[-24.11,-51.6506],"4113452":[-25.2596,-53.5733],"4113502":[-22.9232,-53.1362],"4113601":[-23.0058,-51.9524],"4113700":[-23.304,-51.1691],"4113734":[-24.2853,-52.269],"4113759":[-24.0821,-51.7368],"4113809":[-22.755,-51.6601],"4113908":[-25.8806,-50.8173],"4114005":[-24.317,-52.5271],"4114104":[-23.3458,-52.0944],"4114203":[-23.5446,-51.671],"4114302":[-25.777,-49.3282],"4114351":[-26.1441,-53.3113],"4114401":[-25.9421,-52.1743],"4114500":[-24.5144,-51.6658],"4114609":[-24.557,-54.0571],"4114708":[-23.6158,-53.2053],"4114807":[-23.4843,-51.7928],"4114906":[-23.7425,-51.3137],"4115002":[-22.7336,-53.0402],"4115101":[-24.0089,-53.1432],"4115200":[-23.4205,-51.9333],"4115309":[-26.355,-52.5532],"4115358":[-24.42,-53.8286],"4115408":[-26.1472,-53.0267],"4115457":[-25.112,-52.2497],"4115507":[-23.7058,-51.6404],"4115606":[-25.2496,-53.9935],"4115705":[-25.8237,-48.549],"4115739":[-24.6995,-52.1454],"4115754":[-23.8988,-51.2277],"4115804":[-25.2977,-54.0943],"4115853":[-24.4538,-54.1618],"4115903":[-23.255,-52.7761],"4116000":[-22.9657,-51.4846],"4116059":[-25.0919,-54.2477],"4116109":[-24.0509,-53.0102],"4116208":[-25.4744,-48.8345],"4116307":[-23.1487,-51.7737],"4116406":[-22.9129,-51.7978],"4116505":[-23.1763,-52.6032],"4116604":[-23.3308,-50.7168],"4116703":[-24.5289,-53.2575],"4116802":[-24.6723,-52.5661],"4116901":[-23.182,-52.2031],"4116950":[-25.9004,-53.2618],"4117008":[-23.4324,-50.5665],"4117057":[-25.3054,-52.5447],"4117107":[-22.7639,-52.9868],"4117206":[-23.4703,-53.0898],"4117214":[-23.5865,-50.7598],"4117222":[-24.4693,-53.9552],"4117255":[-25.6309,-53.3469],"4117271":[-24.438,-51.9454],"4117297":[-23.7631,-51.5079],"4117305":[-24.2058,-50.9185],"4117404":[-23.4053,-52.1964],"4117453":[-24.7933,-53.9043],"4117503":[-23.4555,-52.046],"4117602":[-26.4839,-51.9888],"4117701":[-25.4257,-50.007],"4117800":[-24.8853,-52.2029],"4117909":[-24.2868,-53.8404],"4118006":[-23.2824,-52.6054],"4118105":[-22.9297,-52.1549],"4118204":[-25.5161,-48.5225],"4118303":[-22.6412,-52.0905],"4118402":[-23.0816,-52.4617],"4118451":[-24.6271,-54.2265],"4118501":[-26.2292,-52.6706],"4118600":[-26.2105,-50.931],"4118709":[-26.0466,-50.8304],"4118808":[-23.914,-52.3431],"4118857":[-23.8949,-53.4098],"4118907":[-23.8039,-53.6834],"4119004":[-25.8278,-53.7433],"4119103":[-26.0965,-49.4336],"4119152":[-25.4429,-49.1927],"4119202":[-23.7982,-50.0536],"4119251":[-26.0324,-53.482],"4119301":[-25.6944,-51.6536],"4119400":[-24.5306,-49.9433],"4119509":[-25.4422,-49.0624],"4119608":[-24.7588,-51.7596],"4119657":[-23.2281,-51.5873],"4119707":[-23.0101,-52.9162],"4119806":[-25.7211,-53.7642],"4119905":[-25.0916,-50.1668],"4119954":[-25.6735,-48.5111],"4120002":[-22.7537,-51.3795],"4120101":[-25.54,-49.8946],"4120150":[-25.5477,-52.4067],"4120200":[-22.7747,-53.2677],"4120309":[-26.1674,-51.231],"4120333":[-23.0357,-51.4429],"4120358":[-26.0209,-53.7397],"4120408":[-23.2782,-52.1536],"4120507":[-22.8517,-51.0293],"4120606":[-25.2111,-50.9754],"4120655":[-24.2775,-53.0759],"4120705":[-23.5671,-49.916],"4120804":[-25.3673,-49.0763],"4120853":[-24.5752,-53.9759],"4120903":[-25.4492,-52.9102],"4121000":[-23.0838,-53.483],"4121109":[-23.8533,-52.1309],"4121208":[-25.8734,-49.4973],"4121257":[-25.1195,-54.023],"4121307":[-23.0676,-50.9145],"4121356":[-24.3065,-52.9552],"4121406":[-25.7711,-53.526],"4121505":[-25.6232,-50.6877],"4121604":[-26.1588,-52.9703],"4121703":[-24.6492,-50.8466],"4121752":[-25.8319,-52.0272],"4121802":[-23.1941,-49.7597],"4121901":[-23.4091,-50.3601],"4122008":[-25.7306,-50.7985],"4122107":[-23.7606,-51.4122],"4122156":[-25.4874,-52.5292],"4122172":[-24.3244,-51.3187],"4122206":[-25.1892,-49.3115],"4122305":[-26.095,-49.7982],"4122404":[-23.3101,-51.3659],"4122503":[-24.5958,-52.2716],"4122602":[-23.412,-52.7659],"4122651":[-24.2682,-51.272],"4122701":[-23.3155,-51.555],"4122800":[-26.1777,-53.3631],"4122909":[-23.6074,-49.6354],"4123006":[-25.7813,-53.3135],"4123105":[-23.2654,-50.4288],"4123204":[-23.5201,-50.7835],"4123303":[-22.9582,-53.2949],"4123402":[-23.04,-51.808],"4123501":[-24.8585,-54.336],"4123600":[-22.6376,-51.9024],"4123709":[-23.0025,-53.1989],"4123808":[-25.8217,-53.4801],"4123824":[-25.4104,-53.5638],"4123857":[-24.9377,-51.8696],"4123907":[-23.1465,-50.5167],"4123956":[-23.108,-53.1103],"4124004":[-23.7587,-49.6293],"4124020":[-25.0543,-53.6274],"4124053":[-25.4391,-54.402],"4124103":[-23.2959,-50.0815],"4124202":[-22.7351,-52.344],"4124301":[-23.4969,-50.6455],"4124400":[-26.0737,-53.7251],"4124509":[-22.6957,-51.7969],"4124608":[-23.3158,-52.4761],"4124707":[-23.7218,-50.7475],"4124806":[-25.8214,-52.7252],"4124905":[-22.8535,-52.3411],"4125001":[-23.9833,-51.8215],"4125100":[-25.683,-50.2949],"4125209":[-25.7085,-52.9204],"4125308":[-23.4336,-52.2929],"4125357":[-23.7647,-53.8823],"4125407":[-23.9122,-49.6577],"4125456":[-24.8369,-54.0572],"4125506":[-25.5313,-49.2031],"4125555":[-23.3941,-52.6454],"4125605":[-25.8677,-50.384],"4125704":[-25.3492,-54.2405],"4125753":[-24.9373,-53.8521],"4125803":[-23.8634,-51.8568],"4125902":[-22.8239,-53.2241],"4126009":[-23.4656,-50.7625],"4126108":[-23.5349,-52.5901],"4126207":[-23.9078,-50.5801],"4126256":[-23.4441,-51.876],"4126272":[-25.6917,-52.6184],"4126306":[-24.1129,-49.4616],"4126355":[-25.3799,-54.0518],"4126405":[-23.0361,-50.8317],"4126504":[-23.0571,-51.0399],"4126603":[-23.6875,-49.8304],"4126652":[-25.7066,-52.7299],"4126678":[-23.7204,-51.0991],"4126702":[-23.2036,-52.4743],"4126801":[-23.7315,-52.8735],"4126900":[-23.3193,-53.0684],"4127007":[-25.3701,-50.4571],"4127106":[-24.3245,-50.6176],"4127205":[-23.7683,-52.447],"4127304":[-22.7111,-52.6188],"4127403":[-24.1575,-54.0988],"4127502":[-24.5153,-50.4176],"4127601":[-25.9311,-49.195],"4127700":[-24.7246,-53.7412],"4127809":[-23.7796,-49.9499],"4127858":[-25.4185,-53.1833],"4127882":[-24.9731,-49.0879],"4127908":[-23.8648,-52.8769],"4127957":[-24.5879,-53.5105],"4127965":[-25.0437,-51.5282],"4128005":[-24.5393,-52.9865],"4128104":[-23.7656,-53.3201],"4128203":[-26.2273,-51.0873],"4128302":[-23.0868,-52.1573],"4128401":[-23.2,-50.7939],"4128500":[-23.8742,-49.8032],"4128534":[-24.2458,-50.2376],"4128559":[-25.0577,-53.8771],"4128609":[-25.8772,-52.9051],"4128625":[-26.1146,-52.7469],"4128633":[-24.5665,-49.4219],"4128658":[-25.3829,-52.1987],"4128708":[-26.2683,-52.7843],"4128807":[-23.7364,-53.4884],"4200051":[-27.6126,-51.0233],"4200101":[-26.5716,-52.3229],"4200200":[-27.4087,-49.822],"4200309":[-27.2662,-49.708],"4200408":[-26.9985,-51.5528],"4200507":[-27.0754,-52.9808],"4200556":[-26.8794,-52.8568],"4200606":[-27.6963,-48.8243],"4200705":[-27.7001,-49.3273],"4200754":[-27.4333,-51.9044],"4200804":[-26.5382,-53.3319],"4200903":[-27.5704,-48.9879],"4201000":[-27.6897,-51.1271],"4201109":[-27.9012,-49.1316],"4201208":[-27.5191,-48.766],"4201257":[-27.0375,-49.3885],"4201273":[-27.1587,-52.1423],"4201307":[-26.3754,-48.7188],"4201406":[-28.9356,-49.4918],"4201505":[-28.2448,-49.0215],"4201604":[-26.9257,-51.3407],"4201653":[-27.0748,-52.4543],"4201703":[-26.9548,-49.3783],"4201802":[-27.4219,-49.7789],"4201901":[-27.3098,-49.6295],"4201950":[-28.9806,-49.4237],"4202008":[-26.9926,-48.6352],"4202057":[-26.4597,-48.6123],"4202073":[-29.1527,-49.5841],"4202081":[-26.7705,-53.6413],"4202099":[-26.654,-53.44],"4202107":[-26.637,-48.6933],"4202131":[-26.2746,-50.4664],"4202156":[-26.843,-53.5758],"4202206":[-26.781,-49.3593],"4202305":[-27.496,-48.6598],"4202404":[-26.9155,-49.0709],"4202438":[-27.7455,-49.9423],"4202453":[-27.1382,-48.5146],"4202503":[-28.3377,-49.6373],"4202537":[-26.7326,-52.3919],"4202578":[-26.6927,-53.0967],"4202602":[-27.799,-49.487],"4202701":[-27.2007,-49.0689],"4202800":[-28.2681,-49.1701],"4202859":[-27.3586,-49.8821],"4202875":[-27.3058,-50.8684],"4202909":[-27.0977,-48.9107],"4203006":[-26.7757,-51.012],"4203105":[-27.0741,-53.2458],"4203154":[-26.5942,-51.095],"4203204":[-27.0241,-48.6503],"4203253":[-27.9389,-50.5098],"4203303":[-26.195,-49.2676],"4203402":[-27.8975,-50.7595],"4203501":[-26.3931,-53.0856],"4203600":[-27.4002,-51.2276],"4203709":[-27.2616,-48.7658],"4203808":[-26.1766,-50.395],"4203907":[-27.3473,-51.6057],"4203956":[-28.4498,-48.9631],"4204004":[-27.069,-51.6602],"4204103":[-27.1624,-52.8807],"4204152":[-27.6327,-51.335],"4204178":[-27.7942,-50.8673],"4204194":[-27.5905,-49.5539],"4204202":[-27.1004,-52.6152],"4204251":[-28.5986,-49.3335],"4204301":[-27.2335,-52.026],"4204350":[-26.9844,-52.6056],"4204400":[-26.9057,-52.7011],"4204459":[-26.511,-52.6694],"4204509":[-26.4246,-49.246],"4204558":[-27.5877,-50.3614],"4204608":[-28.6723,-49.3729],"4204707":[-26.895,-53.1662],"4204756":[-26.9709,-53.0895],"4204806":[-27.2824,-50.5816],"4204905":[-26.827,-53.5034],"4205001":[-26.2648,-53.6351],"4205100":[-26.981,-49.7261],"4205159":[-26.7174,-49.4795],"4205175":[-26.7225,-52.5585],"4205191":[-28.9869,-49.643],"4205209":[-27.2743,-51.443],"4205308":[-26.8451,-52.2596],"4205357":[-26.7811,-53.3505],"4205407":[-27.5945,-48.5477],"4205431":[-26.6453,-52.7946],"4205456":[-28.7454,-49.4785],"4205506":[-27.0233,-50.92],"4205555":[-27.175,-50.8076],"4205605":[-26.4549,-52.6875],"4205704":[-28.0275,-48.6192],"4205803":[-26.0292,-48.852],"4205902":[-26.9336,-48.9534],"4206009":[-27.3172,-48.5576],"4206108":[-28.1809,-49.2252],"4206207":[-28.3208,-49.0427],"4206306":[-27.0808,-48.9804],"4206405":[-26.6042,-53.5243],"4206504":[-26.4688,-49.0026],"4206603":[-26.3858,-53.5296],"4206652":[-27.1341,-52.7887],"4206702":[-27.1903,-51.4917],"4206751":[-27.1847,-51.2352],"4206801":[-27.0881,-51.3681],"4206900":[-27.0547,-49.5193],"4207007":[-28.7132,-49.3087],"4207106":[-26.9023,-48.8251],"4207205":[-28.3339,-48.817],"4207304":[-28.2284,-48.6659],"4207403":[-27.4908,-49.4218],"4207502":[-26.8992,-49.2354],"4207577":[-27.0019,-51.2442],"4207601":[-27.4038,-51.7758],"4207650":[-26.9854,-53.5355],"4207684":[-26.635,-52.4556],"4207700":[-27.0772,-52.1289],"4207759":[-26.8215,-53.2767],"4207809":[-27.0287,-51.9012],"4207858":[-26.6539,-52.8955],"4207908":[-26.242,-50.7957],"4208005":[-27.2907,-52.3212],"4208104":[-26.339,-49.9092],"4208203":[-26.9101,-48.6705],"4208302":[-27.0861,-48.616],"4208401":[-27.1659,-53.7166],"4208450":[-26.1158,-48.6182],"4208500":[-27.4101,-49.5963],"4208609":[-27.1782,-51.7279],"4208708":[-28.9961,-49.7623],"4208807":[-28.6146,-49.0296],"4208906":[-26.4851,-49.0713],"4208955":[-26.7191,-52.8625],"4209003":[-27.1721,-51.5108],"4209102":[-26.3045,-48.8487],"4209151":[-26.9566,-49.6286],"4209177":[-26.395,-52.7298],"4209201":[-27.2579,-51.5577],"4209300":[-27.815,-50.3259],"4209409":[-28.4843,-48.7772],"4209458":[-26.8576,-52.5648],"4209508":[-27.2173,-49.7331],"4209607":[-28.3859,-49.4035],"4209706":[-26.928,-50.6921],"4209805":[-27.5081,-49.2789],"4209854":[-27.0545,-52.069],"4209904":[-27.1684,-49.535],"4210001":[-26.7151,-48.9322],"4210035":[-27.1304,-51.4682],"4210050":[-26.8552,-51.3705],"4210100":[-26.1159,-49.8086],"4210209":[-27.4192,-48.9488],"4210308":[-26.3709,-50.3266],"4210407":[-28.8463,-49.4605],"4210506":[-26.7665,-53.1737],"4210555":[-26.8024,-52.6264],"4210605":[-26.6109,-49.0054],"4210704":[-26.4709,-51.1501],"4210803":[-28.8244,-49.6378],"4210852":[-27.197,-50.0786],"4210902":[-26.7729,-53.04],"4211009":[-27.1008,-53.4032],"4211058":[-27.2239,-50.9808],"4211108":[-26.461,-50.2327],"4211207":[-28.6511,-49.2169],"4211256":[-28.8006,-49.7214],"4211306":[-26.8943,-48.6546],"4211405":[-26.8982,-52.9066],"4211454":[-26.9428,-52.8141],"4211504":[-27.278,-48.9298],"4211603":[-28.6338,-49.5055],"4211652":[-26.4442,-52.8281],"4211702":[-28.3487,-49.2986],"4211751":[-27.4789,-50.1231],"4211801":[-27.3379,-51.6194],"4211850":[-26.692,-52.3108],"4211876":[-27.2541,-52.4975],"4211892":[-27.9234,-50.0972],"4211900":[-27.6455,-48.6697],"4212007":[-26.3471,-53.2771],"4212056":[-27.583,-50.1577],"4212106":[-27.0702,-53.1586],"4212205":[-26.3777,-50.1419],"4212239":[-26.62,-53.6716],"4212254":[-29.3099,-49.722],"4212270":[-26.7829,-52.0568],"4212304":[-27.9607,-48.6864],"4212403":[-28.4339,-49.1949],"4212502":[-26.7754,-48.6465],"4212601":[-27.3754,-51.9018],"4212650":[-28.3966,-48.8864],"4212700":[-27.5346,-49.6937],"4212809":[-26.7639,-48.6717],"4212908":[-26.8495,-52.9913],"4213005":[-27.0483,-51.2243],"4213104":[-27.4242,-51.7668],"4213153":[-27.0704,-52.867],"4213203":[-26.7384,-49.1785],"4213302":[-27.4835,-50.3764],"4213351":[-27.1591,-50.4659],"4213401":[-26.8733,-52.0112],"4213500":[-27.1586,-48.5469],"4213609":[-26.2451,-51.0759],"4213708":[-27.2567,-49.9301],"4213807":[-29.1918,-49.9525],"4213906":[-27.2218,-51.8089],"4214003":[-27.0474,-49.6246],"4214102":[-27.2768,-49.3889],"4214151":[-26.4441,-53.5994],"4214201":[-26.7264,-52.724],"4214300":[-27.6727,-49.0191],"4214409":[-26.8946,-51.0674],"4214508":[-26.9452,-50.136],"4214607":[-27.1952,-49.7989],"4214706":[-26.7398,-49.2718],"4214805":[-27.2156,-49.643],"4214904":[-28.1244,-49.1068],"4215000":[-26.2591,-49.5177],"4215059":[-27.8592,-49.7754],"4215075":[-27.0653,-53.3265],"4215109":[-26.9243,-49.3649],"4215208":[-26.6809,-53.3172],"4215307":[-26.9798,-49.9988],"4215356":[-26.6049,-53.0578],"4215406":[-26.903,-51.4043],"4215455":[-28.6326,-49.1322],"4215505":[-26.9592,-50.4252],"4215554":[-26.937,-53.6214],"4215604":[-28.0331,-49.133],"4215653":[-29.1313,-49.7109],"4215679":[-26.7813,-50.009],"4215687":[-26.624,-53.1997],"4215695":[-26.6388,-52.6799],"4215703":[-27.6852,-48.7813],"4215752":[-26.4739,-52.9687],"4215802":[-26.2495,-49.3831],"4215901":[-27.9009,-48.9326],"4216008":[-27.0798,-53.0037],"4216057":[-27.2666,-50.4388],"4216107":[-26.5548,-52.5313],"4216206":[-26.2579,-48.6344],"4216255":[-27.0984,-53.5977],"4216305":[-27.2772,-48.8474],"4216354":[-26.6213,-48.7683],"4216404":[-29.2154,-49.8094],"4216503":[-28.2887,-49.9457],"4216602":[-27.6136,-48.6366],"4216701":[-26.4561,-53.4955],"4216800":[-27.6602,-50.5733],"4216909":[-26.3557,-52.8498],"4217006":[-28.3144,-49.1806],"4217105":[-28.1609,-48.9867],"4217154":[-26.687,-53.2511],"4217204":[-26.7242,-53.5163],"4217253":[-27.5665,-48.8048],"4217303":[-26.9317,-53.0021],"4217402":[-26.4116,-49.074],"4217501":[-27.1564,-52.299],"4217550":[-26.7229,-53.0409],"4217600":[-28.5955,-49.4314],"4217709":[-29.108,-49.6328],"4217758":[-26.7351,-52.964],"4217808":[-27.121,-49.9942],"4217907":[-27.0996,-51.2473],"4217956":[-26.6876,-53.1545],"4218004":[-27.2354,-48.6322],"4218103":[-28.8287,-49.842],"4218202":[-26.8246,-49.269],"4218251":[-26.6127,-50.6607],"4218301":[-26.1056,-50.3197],"4218350":[-28.5097,-49.4634],"4218400":[-28.5537,-49.1565],"4218509":[-27.0026,-51.4084],"4218608":[-27.3033,-49.793],"4218707":[-28.4713,-49.0144],"4218756":[-26.9681,-53.6417],"4218806":[-28.9272,-49.6831],"4218855":[-26.762,-52.8541],"4218905":[-28.0157,-49.5925],"4218954":[-27.9557,-49.8729],"4219002":[-28.518,-49.3238],"4219101":[-26.8621,-52.1549],"4219150":[-27.4867,-50.9724],"4219176":[-27.0055,-51.7402],"4219200":[-27.3886,-49.3593],"4219309":[-27.0086,-51.1543],"4219358":[-26.8782,-49.8328],"4219408":[-26.9275,-49.7947],"4219507":[-26.8747,-52.4036],"4219606":[-27.0667,-52.343],"4219705":[-26.9596,-52.5374],"4219853":[-27.4521,-51.552],"4220000":[-28.8314,-49.2352],"4300034":[-31.8665,-54.1615],"4300059":[-28.1672,-52.031],"4300109":[-29.6447,-53.2515],"4300208":[-28.2342,-53.7757],"4300307":[-27.6579,-54.7649],"4300406":[-29.7902,-55.7949],"4300455":[-27.8345,-54.0557],"4300471":[-28.1149,-52.9142],"4300505":[-27.2502,-53.0341],"4300554":[-28.7769,-52.9893],"4300570":[-29.3919,-51.3123],"4300604":[-29.9914,-51.0809],"4300638":[-30.8756,-52.2509],"4300646":[-27.3607,-53.183],"4300661":[-28.6283,-51.5797],"4300703":[-28.9698,-52.0102],"4300802":[-28.8565,-51.2883],"4300851":[-30.9092,-51.5046],"4300877":[-29.6168,-50.9291],"4300901":[-27.3978,-52.2975],"4301008":[-29.4014,-51.9557],"4301057":[-29.5439,-49.8895],"4301073":[-31.4389,-52.4246],"4301107":[-30.0875,-51.7275],"4301206":[-29.3348,-53.0966],"4301305":[-32.2327,-53.0862],"4301404":[-28.8737,-52.1781],"4301503":[-28.5172,-53.9883],"4301552":[-27.6936,-52.0505],"4301602":[-31.3297,-54.0999],"4301636":[-30.2419,-50.2337],"4301651":[-29.3725,-51.4949],"4301701":[-27.6208,-52.3798],"4301750":[-30.3891,-51.7384],"4301800":[-27.6739,-51.4585],"4301859":[-27.1927,-53.7109],"4301875":[-30.2029,-57.5497],"4301909":[-30.2939,-51.3014],"4301925":[-27.4069,-52.4084],"4301958":[-27.9205,-53.0391],"4302006":[-29.0947,-52.5836],"4302055":[-27.5086,-52.5995],"4302105":[-29.1662,-51.5165],"4302154":[-27.6671,-53.3102],"4302204":[-27.6693,-54.1082],"4302220":[-28.5791,-53.8108],"4302238":[-28.8185,-53.391],"4302253":[-29.3544,-51.6687],"4302303":[-28.6697,-50.4295],"4302352":[-29.4856,-51.3548],"4302378":[-27.5399,-53.8716],"4302402":[-29.6071,-51.9456],"4302451":[-29.3046,-52.4284],"4302501":[-28.7291,-54.9035],"4302584":[-28.3659,-53.772],"4302600":[-27.6173,-53.7405],"4302659":[-29.5501,-51.5945],"4302709":[-30.1179,-51.9601],"4302808":[-30.5144,-53.4827],"4302907":[-29.8883,-54.822],"4303004":[-30.033,-52.8928],"4303103":[-29.9472,-51.1016],"4303202":[-27.767,-51.6597],"4303301":[-28.2905,-54.6454],"4303400":[-27.2791,-53.4257],"4303509":[-30.8489,-51.8043],"4303558":[-28.588,-52.2003],"4303608":[-29.0474,-50.1465],"4303673":[-28.7926,-51.0941],"4303707":[-27.9888,-54.8416],"4303806":[-27.7174,-52.6248],"4303905":[-29.6747,-51.0606],"4304002":[-27.6792,-53.8052],"4304101":[-28.8871,-53.0008],"4304200":[-29.6684,-52.7895],"4304309":[-27.9515,-54.7517],"4304358":[-31.5516,-53.6773],"4304408":[-29.356,-50.8119],"4304507":[-31.396,-52.6783],"4304606":[-29.9128,-51.1857],"4304614":[-29.3271,-52.2374],"4304622":[-28.1254,-51.3961],"4304630":[-29.7642,-50.0282],"4304655":[-28.9312,-54.5558],"4304663":[-31.7565,-52.4889],"4304671":[-30.1383,-50.5152],"4304689":[-29.6961,-51.328],"4304697":[-29.2674,-51.9853],"4304705":[-28.2958,-52.7933],"4304713":[-29.7869,-50.4316],"4304804":[-29.2969,-51.5028],"4304853":[-27.7167,-51.9121],"4304903":[-28.5605,-51.9815],"4304952":[-28.2582,-51.6861],"4305009":[-28.2554,-54.0132],"4305108":[-29.1629,-51.1792],"4305116":[-27.7615,-51.9984],"4305124":[-31.8419,-52.8004],"4305132":[-29.657,-52.9406],"4305157":[-27.6106,-53.1672],"4305173":[-30.5905,-51.7418],"4305207":[-28.1463,-54.7428],"4305306":[-28.0559,-53.0665],"4305355":[-29.9625,-51.6289],"4305371":[-27.9493,-52.015],"4305405":[-27.923,-53.9419],"4305439":[-33.6866,-53.4594],"4305447":[-30.7504,-51.9737],"4305454":[-30.1604,-50.2337],"4305504":[-28.3419,-51.8741],"4305587":[-29.3948,-51.8556],"4305603":[-28.5258,-52.9928],"4305702":[-28.2075,-53.4905],"4305801":[-27.732,-52.9938],"4305835":[-29.1802,-52.0942],"4305850":[-28.1194,-52.7842],"4305871":[-28.3921,-54.0686],"4305900":[-27.7197,-53.7022],"4305934":[-29.2695,-51.6847],"4305959":[-28.9891,-51.6971],"4305975":[-28.128,-52.3023],"4306007":[-27.4999,-54.0994],"4306056":[-31.0046,-52.0436],"4306072":[-27.452,-53.2422],"4306106":[-28.645,-53.6048],"4306130":[-27.6672,-52.6522],"4306205":[-29.5148,-51.9928],"4306304":[-28.3849,-51.8482],"4306320":[-27.2642,-53.8645],"4306353":[-28.219,-55.0617],"4306379":[-29.7054,-54.2122],"4306403":[-29.5836,-51.0898],"4306429":[-27.6621,-53.5304],"4306452":[-28.983,-51.8396],"4306502":[-30.7004,-52.1026],"4306551":[-29.3639,-49.853],"4306601":[-30.9756,-54.6694],"4306700":[-29.6195,-53.3617],"4306734":[-27.5103,-54.3577],"4306759":[-29.084,-51.9972],"4306767":[-30.0847,-51.6187],"4306809":[-29.2351,-51.8703],"4306908":[-30.543,-52.5204],"4306924":[-27.706,-52.9145],"4306932":[-28.3686,-54.2686],"4306957":[-27.5298,-52.7347],"4306973":[-27.8544,-52.3005],"4307005":[-27.6364,-52.2697],"4307054":[-28.4977,-52.5836],"4307104":[-32.024,-53.3944],"4307203":[-27.3926,-52.574],"4307302":[-27.5443,-53.5005],"4307401":[-28.0518,-51.1933],"4307450":[-27.3603,-53.9891],"4307500":[-28.7286,-52.8461],"4307559":[-27.9135,-52.2635],"4307609":[-29.6535,-51.1843],"4307708":[-29.852,-51.1841],"4307807":[-29.5002,-51.9495],"4307815":[-29.1713,-53.1639],"4307831":[-28.5315,-54.1506],"4307864":[-28.8794,-51.7014],"4307906":[-29.2227,-51.3419],"4308003":[-29.5788,-53.4484],"4308052":[-27.4238,-52.6789],"4308078":[-29.5885,-51.8217],"4308102":[-29.4527,-51.3032],"4308201":[-29.0261,-51.1875],"4308250":[-27.8614,-52.0838],"4308300":[-28.9817,-52.3445],"4308409":[-30.0035,-53.4959],"4308433":[-29.3828,-52.0981],"4308458":[-28.7986,-53.2249],"4308508":[-27.3586,-53.3958],"4308607":[-29.259,-51.5352],"4308656":[-28.1944,-55.6383],"4308706":[-27.5856,-52.0915],"4308805":[-29.9032,-51.7612],"4308854":[-28.4316,-52.0337],"4308904":[-27.8911,-52.2294],"4309001":[-28.0297,-54.3517],"4309050":[-29.8798,-50.7734],"4309100":[-29.3734,-50.8762],"4309126":[-27.4429,-52.9149],"4309159":[-29.2706,-52.5795],"4309209":[-29.9413,-50.9869],"4309258":[-28.5421,-51.6948],"4309308":[-30.1086,-51.3233],"4309407":[-28.8399,-51.8895],"4309506":[-28.1491,-54.5629],"4309555":[-29.5456,-51.4185],"4309571":[-29.4552,-52.6553],"4309605":[-27.6282,-54.3053],"4309654":[-31.4067,-53.8667],"4309704":[-27.5691,-53.9695],"4309753":[-29.4203,-53.1295],"4309803":[-28.0566,-51.8599],"4309902":[-28.3741,-51.6377],"4309951":[-28.6247,-52.5158],"4310009":[-28.6302,-53.0961],"4310108":[-29.5693,-50.7919],"4310207":[-28.388,-53.92],"4310306":[-28.9282,-52.1258],"4310330":[-29.9753,-50.1281],"4310363":[-29.3508,-51.7748],"4310405":[-27.8354,-54.1886],"4310413":[-27.8752,-54.015],"4310439":[-28.8171,-51.2859],"4310462":[-27.9404,-52.4271],"4310504":[-27.1951,-53.2543],"4310538":[-29.6013,-53.7725],"4310553":[-28.7913,-55.2447],"4310579":[-28.7768,-52.1693],"4310603":[-29.1311,-56.5515],"4310652":[-29.4974,-50.1016],"4310702":[-27.3846,-52.4538],"4310751":[-29.5232,-53.5842],"4310801":[-29.5995,-51.1533],"4310850":[-27.6347,-53.2762],"4310876":[-29.0401,-53.0657],"4310900":[-27.7291,-52.5372],"4311007":[-32.5604,-53.377],"4311106":[-29.4936,-54.703],"4311122":[-28.8811,-50.3637],"4311130":[-29.2922,-54.2237],"4311155":[-28.6435,-54.1141],"4311205":[-29.2299,-53.6772],"4311239":[-29.4939,-53.017],"4311254":[-29.2348,-52.7997],"4311270":[-28.5676,-52.8618],"4311304":[-28.2093,-51.5248],"4311403":[-29.4591,-51.9644],"4311429":[-27.6913,-53.1818],"4311502":[-30.8071,-53.8931],"4311601":[-27.601,-53.0753],"4311627":[-29.5859,-51.2141],"4311643":[-29.4679,-51.2003],"4311700":[-27.5667,-51.6668],"4311718":[-29.1445,-56.0674],"4311734":[-29.2136,-49.9311],"4311759":[-29.5859,-55.4841],"4311775":[-29.6798,-50.2079],"4311791":[-29.5457,-51.5573],"4311809":[-28.4498,-52.1986],"4311908":[-27.4676,-51.9095],"4311981":[-30.353,-51.5803],"4312005":[-27.3568,-52.1467],"4312054":[-29.3311,-52.0973],"4312104":[-29.5649,-54.4641],"4312138":[-28.28,-52.1932],"4312153":[-29.5285,-52.1278],"4312179":[-28.252,-54.6159],"4312203":[-27.6325,-51.802],"4312252":[-30.1346,-52.0423],"4312302":[-27.497,-53.6891],"4312351":[-28.6462,-52.0767],"4312377":[-28.6805,-50.7834],"4312385":[-29.1607,-51.6333],"4312401":[-29.6824,-51.4679],"4312427":[-28.6968,-52.6999],"4312443":[-29.3578,-49.9328],"4312450":[-31.5887,-52.6261],"4312476":[-29.5379,-51.0811],"4312500":[-31.1054,-50.9167],"4312609":[-29.163,-51.8714],"4312617":[-28.3132,-51.1836],"4312625":[-28.3253,-51.7697],"4312658":[-28.4548,-52.8182],"4312674":[-28.5298,-52.4676],"4312708":[-27.3689,-52.7756],"4312757":[-28.6822,-52.1631],"4312807":[-28.6537,-51.7458],"4312906":[-28.7291,-51.7072],"4312955":[-27.9926,-52.9784],"4313003":[-29.2182,-52.0319],"4313011":[-27.6137,-54.1074],"4313037":[-29.4066,-54.8293],"4313060":[-29.5808,-50.9051],"4313086":[-29.0275,-51.3098],"4313102":[-29.471,-53.4689],"4313201":[-29.3741,-51.1136],"4313300":[-28.7799,-51.6113],"4313334":[-28.0667,-53.6992],"4313359":[-28.9882,-51.4095],"4313375":[-29.8525,-51.2837],"4313391":[-29.7338,-52.9489],"4313409":[-29.6875,-51.1328],"4313425":[-27.5765,-54.5036],"4313441":[-27.5649,-53.1837],"4313466":[-27.749,-53.0639],"4313490":[-27.9077,-53.1103],"4313508":[-29.8881,-50.2667],"4313607":[-27.7075,-51.763],"4313656":[-30.2535,-50.5103],"4313706":[-27.9007,-53.3134],"4313805":[-27.3596,-53.558],"4313904":[-28.2833,-53.5023],"4313953":[-30.1902,-52.3729],"4314001":[-28.5964,-51.7896],"4314027":[-29.6717,-53.144],"4314035":[-29.6365,-51.3974],"4314050":[-29.6243,-50.8312],"4314068":[-29.4577,-52.9599],"4314076":[-29.748,-52.2748],"4314100":[-28.2576,-52.4091],"4314134":[-27.7051,-52.4169],"4314159":[-29.5486,-51.7339],"4314175":[-31.7365,-53.5814],"4314209":[-31.8642,-52.8184],"4314308":[-28.4283,-53.6579],"4314407":[-31.7649,-52.3371],"4314423":[-29.4464,-51.1367],"4314456":[-27.508,-53.2082],"4314464":[-27.8751,-51.1673],"4314472":[-29.345,-53.3206],"4314498":[-27.2109,-53.608],"4314506":[-31.5794,-53.3798],"4314548":[-29.0975,-51.4503],"4314555":[-28.0439,-55.2001],"4314605":[-31.4473,-53.0973],"4314704":[-27.3297,-53.0575],"4314753":[-29.4481,-51.6719],"4314779":[-28.0585,-52.6791],"4314787":[-27.6587,-52.4848],"4314803":[-29.7015,-51.2429],"4314902":[-30.0318,-51.2065],"4315008":[-27.8569,-55.01],"4315057":[-27.5796,-54.6657],"4315073":[-27.7405,-54.8994],"4315107":[-27.9082,-55.1379],"4315131":[-29.1738,-52.2136],"4315149":[-29.5175,-51.1798],"4315156":[-29.2441,-52.3197],"4315172":[-28.7572,-51.4757],"4315206":[-29.0045,-52.1569],"4315305":[-30.384,-56.4483],"4315313":[-27.8257,-52.4424],"4315321":[-29.3504,-54.0789],"4315354":[-28.7466,-53.1011],"4315404":[-27.664,-53.6407],"4315453":[-29.1164,-52.0778],"4315503":[-29.8188,-53.3807],"4315552":[-27.2973,-52.8417],"4315602":[-32.0349,-52.1071],"4315701":[-29.988,-52.3711],"4315750":[-29.639,-50.4488],"4315800":[-29.2884,-51.8658],"4315909":[-27.4742,-53.1706],"4315958":[-28.2566,-54.8186],"4316006":[-29.6462,-50.5819],"4316105":[-27.7758,-52.8056],"4316204":[-27.8315,-52.9081],"4316303":[-28.1297,-55.0266],"4316402":[-30.2515,-54.9221],"4316428":[-27.7085,-53.1351],"4316436":[-28.3941,-53.097],"4316451":[-29.0951,-53.2133],"4316477":[-28.1233,-54.8373],"4316501":[-29.4386,-51.5077],"4316600":[-27.947,-51.8079],"4316709":[-28.3653,-53.251],"4316733":[-28.1609,-51.9279],"4316758":[-29.4747,-52.0843],"4316808":[-29.722,-52.4343],"4316907":[-29.6868,-53.8149],"4316956":[-29.4902,-50.9919],"4316972":[-30.3393,-54.0817],"4317004":[-30.8697,-53.11],"4317103":[-30.8773,-55.5392],"4317202":[-27.8702,-54.4796],"4317251":[-29.1655,-51.7351],"4317301":[-33.525,-53.3717],"4317400":[-29.1897,-54.8666],"4317509":[-28.3001,-54.2668],"4317558":[-28.4956,-52.0267],"4317608":[-29.8268,-50.5175],"4317707":[-28.514,-55.2251],"4317756":[-28.403,-52.6992],"4317806":[-27.8526,-53.7776],"4317905":[-27.8263,-54.662],"4317954":[-27.9074,-51.6434],"4318002":[-28.6578,-56.0036],"4318051":[-28.5312,-51.886],"4318101":[-29.5547,-55.1253],"4318200":[-29.4404,-50.5828],"4318309":[-30.3337,-54.3217],"4318408":[-29.9716,-51.7251],"4318424":[-27.8195,-51.8257],"4318432":[-29.6194,-53.4439],"4318440":[-28.4984,-51.7064],"4318457":[-27.7789,-53.1226],"4318465":[-29.052,-52.295],"4318481":[-29.528,-51.245],"4318499":[-27.7251,-54.1275],"4318507":[-32.0151,-52.0331],"4318606":[-27.7707,-51.5966],"4318614":[-29.5448,-51.4821],"4318622":[-28.7476,-50.0677],"4318705":[-29.7545,-51.1498],"4318804":[-31.3564,-51.9715],"4318903":[-28.412,-54.9559],"4319000":[-28.9677,-51.0696],"4319109":[-27.7112,-53.9699],"4319125":[-29.5397,-53.859],"4319158":[-28.556,-54.5559],"4319208":[-28.1834,-55.2654],"4319307":[-28.0195,-54.9404],"4319356":[-29.4193,-51.5134],"4319364":[-27.7706,-53.2513],"4319372":[-28.1243,-54.8926],"4319406":[-29.6202,-54.1855],"4319505":[-29.5885,-51.3749],"4319604":[-30.1643,-53.5603],"4319703":[-27.5583,-52.5237],"4319711":[-29.0451,-51.7684],"4319737":[-27.7906,-53.9368],"4319752":[-29.3729,-51.3675],"4319802":[-29.6882,-54.6826],"4319901":[-29.6349,-51.0064],"4320008":[-29.8276,-51.145],"4320107":[-27.942,-52.9231],"4320206":[-27.4829,-53.4026],"4320230":[-27.6367,-53.9493],"4320263":[-29.3523,-52.9767],"4320305":[-28.6294,-52.9498],"4320321":[-28.025,-54.5507],"4320354":[-30.6107,-51.5862],"4320404":[-28.7126,-51.9352],"4320453":[-29.3904,-52.2685],"4320503":[-27.9798,-52.2588],"4320552":[-30.4562,-51.6017],"4320578":[-28.1362,-54.4637],"4320602":[-27.4362,-52.1217],"4320651":[-29.6467,-53.591],"4320677":[-29.5357,-52.5304],"4320701":[-29.4194,-53.0326],"4320800":[-28.8306,-52.5131],"4320859":[-29.643,-51.6823],"4320909":[-28.0652,-52.0097],"4321006":[-28.6277,-52.8613],"4321105":[-30.6683,-51.3991],"4321204":[-29.6505,-50.7753],"4321303":[-29.7943,-51.8653],"4321329":[-27.4005,-53.4702],"4321352":[-31.2843,-51.088],"4321402":[-27.3711,-53.7585],"4321436":[-29.5782,-50.0644],"4321451":[-29.4482,-51.8044],"4321469":[-28.5712,-52.5955],"4321477":[-27.4022,-54.0814],"4321493":[-29.4782,-54.2244],"4321501":[-29.3334,-49.7333],"4321600":[-29.9841,-50.1322],"4321626":[-29.2977,-52.0532],"4321634":[-27.5003,-52.1448],"4321667":[-29.4487,-49.9275],"4321709":[-29.5137,-50.7739],"4321808":[-27.78,-54.2357],"4321832":[-29.5384,-50.0708],"4321857":[-27.6139,-52.8437],"4321907":[-27.4555,-53.9296],"4321956":[-27.5239,-52.8956],"4322004":[-29.9291,-51.7075],"4322103":[-27.6573,-54.4439],"4322152":[-29.1039,-52.9538],"4322186":[-27.9241,-51.5383],"4322202":[-29.0858,-53.8445],"4322251":[-29.4772,-51.4174],"4322301":[-27.7598,-54.4814],"4322327":[-31.4173,-52.1706],"4322343":[-28.0404,-54.686],"4322350":[-28.7833,-52.0238],"4322376":[-29.04,-55.1517],"4322400":[-29.7614,-57.0853],"4322509":[-28.5079,-50.9418],"4322525":[-29.7864,-52.1857],"4322533":[-29.5967,-52.6839],"4322541":[-29.3919,-51.2559],"4322558":[-28.4758,-51.8447],"4322608":[-29.6143,-52.1932],"4322707":[-29.7184,-52.5152],"4322806":[-28.9312,-51.5516],"4322855":[-29.0655,-51.8625],"4322905":[-27.5716,-52.0211],"4323002":[-30.0819,-51.0194],"4323101":[-27.1607,-53.4022],"4323200":[-28.5632,-52.7495],"4323309":[-28.8598,-51.5504],"4323358":[-28.1062,-52.1438],"4323408":[-28.5359,-52.1486],"4323457":[-30.3461,-53.876],"4323507":[-27.3686,-53.4919],"4323606":[-28.8052,-51.7947],"4323705":[-27.2902,-53.6974],"4323754":[-28.3516,-54.504],"4323770":[-29.4263,-51.7645],"4323804":[-29.8065,-50.0519],"5000203":[-20.4452,-52.879],"5000252":[-18.3255,-53.7042],"5000609":[-23.1058,-55.2253],"5000708":[-20.4823,-55.8104],"5000807":[-22.1852,-52.7191],"5000856":[-22.1527,-53.7708],"5000906":[-22.1927,-55.9517],"5001003":[-20.0873,-51.0961],"5001102":[-20.4666,-55.7868],"5001243":[-22.9385,-55.6334],"5001508":[-19.9275,-54.3585],"5001904":[-21.7159,-52.4221],"5002001":[-22.2944,-53.2705],"5002100":[-22.1073,-56.5263],"5002159":[-20.537,-56.7127],"5002209":[-21.1261,-56.4836],"5002308":[-21.2544,-52.0365],"5002407":[-22.6368,-54.8209],"5002605":[-19.5347,-54.0431],"5002704":[-20.4486,-54.6295],"5002803":[-22.011,-57.0277],"5002902":[-19.1179,-51.7313],"5002951":[-18.788,-52.6263],"5003108":[-19.8243,-54.8281],"5003157":[-23.2724,-55.5278],"5003207":[-19.0077,-57.651],"5003256":[-18.5432,-53.1287],"5003306":[-18.5013,-54.751],"5003454":[-22.2763,-54.1682],"5003488":[-20.6848,-55.2915],"5003504":[-22.0405,-54.6158],"5003702":[-22.2231,-54.812],"5003751":[-23.7868,-54.2838],"5003801":[-22.3789,-54.5131],"5003900":[-18.6782,-53.638],"5004007":[-22.4136,-54.2335],"5004106":[-21.4583,-56.1117],"5004304":[-23.6736,-54.5637],"5004403":[-19.7277,-51.9281],"5004502":[-22.08,-54.7934],"5004601":[-23.4779,-54.187],"5004700":[-22.3046,-53.8184],"5004809":[-23.8903,-54.4059],"5004908":[-20.1386,-54.3996],"5005004":[-21.4799,-56.1489],"5005103":[-22.4806,-54.3079],"5005152":[-22.8596,-54.6061],"5005202":[-19.0089,-57.5973],"5005251":[-22.5448,-55.1502],"5005400":[-21.6105,-55.1678],"5005608":[-20.2355,-56.3746],"5005681":[-23.9355,-54.281],"5005707":[-23.0618,-54.1995],"5005806":[-21.1419,-55.8296],"5006002":[-21.4657,-54.3825],"5006200":[-22.238,-53.3437],"5006259":[-22.6693,-53.8601],"5006275":[-19.0216,-53.0116],"5006309":[-19.6746,-51.1909],"5006358":[-23.8911,-55.429],"5006408":[-18.0996,-54.5507],"5006606":[-22.5296,-55.7203],"5006903":[-21.6981,-57.8836],"5007109":[-20.4445,-53.7588],"5007208":[-21.8033,-54.5427],"5007307":[-19.447,-54.9859],"5007406":[-18.9249,-54.8434],"5007505":[-19.9565,-54.8848],"5007554":[-21.3016,-52.8333],"5007695":[-19.3889,-54.5507],"5007703":[-23.9705,-55.0398],"5007802":[-20.3637,-51.4192],"5007901":[-20.9302,-54.9692],"5007935":[-17.5698,-54.7551],"5007950":[-23.636,-55.0141],"5007976":[-22.4898,-53.3519],"5008008":[-20.4378,-54.8647],"5008305":[-20.7849,-51.7007],"5008404":[-22.4098,-54.4415],"5100102":[-15.194,-56.3632],"5100201":[-14.051,-52.1601],"5100250":[-9.8667,-56.0867],"5100300":[-17.3153,-53.2181],"5100359":[-11.6732,-51.3883],"5100409":[-16.9462,-53.5272],"5100508":[-14.5137,-56.4776],"5100607":[-17.8241,-53.2792],"5100805":[-9.5398,-57.4587],"5101001":[-15.7291,-51.8341],"5101209":[-16.857,-53.0318],"5101258":[-15.4641,-58.3425],"5101308":[-14.4472,-56.8437],"5101407":[-10.1723,-59.4568],"5101605":[-16.2067,-55.9623],"5101704":[-15.0702,-57.1878],"5101803":[-15.8804,-52.264],"5101837":[-13.5067,-55.1486],"5101852":[-12.1706,-51.5032],"5101902":[-12.1474,-57.9833],"5102504":[-16.0764,-57.6818],"5102603":[-14.5162,-52.893],"5102637":[-13.6587,-57.8907],"5102678":[-15.545,-55.1626],"5102686":[-13.7242,-59.2858],"5102694":[-11.0556,-51.8209],"5102702":[-13.5515,-52.2705],"5102793":[-9.9491,-55.8417],"5102850":[-11.1251,-58.6081],"5103007":[-15.4643,-55.7499],"5103056":[-11.5075,-54.8835],"5103106":[-14.3903,-51.0001],"5103205":[-10.8135,-55.461],"5103254":[-9.4612,-59.2252],"5103304":[-13.6614,-59.7848],"5103353":[-10.6437,-51.5699],"5103361":[-14.5381,-59.5444],"5103379":[-9.8566,-58.4192],"5103403":[-15.601,-56.0974],"5103437":[-15.6084,-57.9133],"5103452":[-14.7324,-57.0583],"5103502":[-14.4037,-56.4366],"5103601":[-15.8099,-54.9223],"5103700":[-12.385,-54.9227],"5103809":[-15.4439,-58.7391],"5103858":[-13.2443,-53.0809],"5103908":[-15.7094,-52.7574],"5103957":[-15.768,-58.3108],"5104104":[-9.9622,-54.9121],"5104203":[-16.346,-53.7575],"5104500":[-15.4921,-58.5802],"5104526":[-12.2408,-56.1531],"5104542":[-12.2259,-56.6463],"5104559":[-11.0614,-55.2766],"5104609":[-17.2147,-54.1422],"5104807":[-15.9548,-54.9733],"5104906":[-15.235,-56.4917],"5105002":[-15.3342,-58.8723],"5105101":[-11.2639,-57.5244],"5105150":[-11.3728,-58.7483],"5105176":[-10.3178,-58.3592],"5105200":[-16.0633,-54.8859],"5105234":[-15.3188,-58.0046],"5105259":[-13.0588,-55.9042],"5105309":[-11.2219,-50.6676],"5105507":[-15.0068,-59.9504],"5105580":[-11.0463,-54.4377],"5105606":[-10.1821,-54.9467],"5105622":[-15.6759,-58.0951],"5105903":[-14.7192,-56.3284],"5106000":[-14.454,-56.7945],"5106109":[-15.772,-56.3432],"5106158":[-9.8498,-57.8139],"5106174":[-13.9486,-51.8002],"5106182":[-14.4727,-59.6001],"5106190":[-10.8651,-55.1872],"5106208":[-14.9612,-54.9685],"5106216":[-10.558,-55.953],"5106224":[-13.8374,-56.0743],"5106232":[-14.7889,-57.2886],"5106240":[-12.9834,-55.2556],"5106257":[-14.6771,-52.3502],"5106265":[-9.9562,-55.2029],"5106273":[-11.4089,-57.3488],"5106281":[-14.9054,-53.0194],"5106299":[-9.6584,-56.4786],"5106307":[-14.4265,-54.0524],"5106315":[-12.2875,-50.9686],"5106372":[-16.6245,-54.4722],"5106422":[-10.2262,-54.9794],"5106455":[-14.6518,-54.7819],"5106505":[-16.266,-56.6261],"5106653":[-15.9274,-52.3273],"5106703":[-16.7584,-52.8369],"5106752":[-15.2219,-59.3435],"5106778":[-10.8761,-51.6357],"5106802":[-11.533,-57.4132],"5106828":[-15.857,-58.4619],"5106851":[-15.3235,-57.2204],"5107008":[-15.8299,-54.4208],"5107040":[-15.544,-54.2811],"5107065":[-12.6093,-52.1821],"5107107":[-15.6276,-58.1772],"5107156":[-15.0743,-58.4585],"5107180":[-12.9367,-51.8244],"5107198":[-16.4856,-52.6924],"5107206":[-15.2483,-58.1259],"5107248":[-11.9125,-55.2263],"5107263":[-14.4945,-57.0091],"5107297":[-16.4549,-54.2487],"5107305":[-13.4398,-56.7218],"5107354":[-10.7982,-52.7486],"5107404":[-16.0109,-54.9176],"5107578":[-10.8376,-61.4697],"5107602":[-16.4673,-54.6372],"5107701":[-14.8259,-56.4236],"5107743":[-10.1532,-52.3953],"5107750":[-15.1303,-58.1317],"5107768":[-13.8146,-55.2706],"5107776":[-10.4704,-50.514],"5107792":[-14.805,-53.6075],"5107800":[-15.8632,-56.0788],"5107859":[-11.615,-50.6706],"5107875":[-12.9892,-58.7645],"5107883":[-12.0896,-51.4025],"5107909":[-11.8604,-55.5091],"5107925":[-12.5425,-55.7211],"5107941":[-11.3007,-56.8312],"5107958":[-14.6229,-57.4933],"5108006":[-12.695,-56.5178],"5108055":[-10.517,-55.231],"5108105":[-16.0809,-53.559],"5108204":[-16.2006,-52.5571],"5108303":[-11.5308,-54.3616],"5108352":[-15.286,-59.0683],"5108402":[-15.6458,-56.1322],"5108501":[-12.3017,-55.3045],"5108600":[-10.0137,-51.1186],"5108808":[-10.312,-55.4061],"5108857":[-14.3568,-56.9696],"5108907":[-13.0136,-57.0908],"5108956":[-10,-57.5261],"5200050":[-16.7573,-49.4412],"5200100":[-16.197,-48.7057],"5200134":[-17.396,-50.3749],"5200159":[-16.4127,-50.1657],"5200175":[-14.9778,-47.7823],"5200209":[-18.0771,-48.7603],"5200258":[-15.7617,-48.2816],"5200308":[-16.0834,-48.5076],"5200506":[-17.7292,-49.4769],"5200555":[-14.1978,-49.3378],"5200605":[-14.1305,-47.51],"5200803":[-14.4797,-46.491],"5200829":[-13.9236,-49.2962],"5200852":[-16.2514,-49.9831],"5200902":[-16.6151,-51.0919],"5201108":[-16.3281,-48.953],"5201207":[-18.3339,-48.2204],"5201306":[-16.4642,-49.9617],"5201405":[-16.8198,-49.2469],"5201454":[-18.2941,-51.1516],"5201504":[-18.9607,-51.9232],"5201603":[-16.3563,-49.6804],"5201702":[-15.8955,-52.2372],"5201801":[-16.9087,-49.4476],"5202155":[-15.0909,-50.6315],"5202353":[-16.3837,-51.5563],"5202502":[-14.9166,-51.075],"5202601":[-16.6773,-50.4641],"5202809":[-16.4672,-49.7579],"5203104":[-16.1966,-52.5393],"5203203":[-14.9658,-48.9086],"5203302":[-16.9693,-48.9513],"5203401":[-16.2063,-52.1728],"5203500":[-18.2173,-49.74],"5203559":[-16.6173,-48.9616],"5203575":[-13.6329,-49.8106],"5203609":[-16.4281,-49.3863],"5203807":[-15.2428,-51.1602],"5203906":[-18.1378,-49.0404],"5203939":[-16.1792,-50.4302],"5203962":[-14.4772,-46.4076],"5204003":[-15.7995,-46.9265],"5204102":[-18.7618,-50.9432],"5204201":[-16.6635,-50.646],"5204250":[-18.4859,-49.4766],"5204300":[-18.5594,-51.1328],"5204409":[-16.9539,-51.8091],"5204508":[-17.7441,-48.6246],"5204557":[-16.7117,-49.0013],"5204607":[-16.7624,-49.695],"5204656":[-13.787,-48.5704],"5204706":[-14.3137,-49.1511],"5204805":[-17.6363,-47.7768],"5204854":[-16.2971,-49.0895],"5204904":[-13.035,-46.7681],"5204953":[-14.2442,-49.6528],"5205000":[-15.3549,-49.708],"5205059":[-18.0921,-50.203],"5205109":[-18.1656,-47.944],"5205208":[-16.4447,-49.4936],"5205307":[-13.7976,-47.4566],"5205406":[-15.3061,-49.6],"5205455":[-16.9718,-49.7758],"5205471":[-18.4073,-52.549],"5205497":[-16.0765,-47.9252],"5205513":[-15.7914,-48.7747],"5205521":[-14.1528,-48.076],"5205703":[-16.2918,-50.5503],"5205802":[-15.9245,-48.8117],"5205901":[-18.1415,-48.5626],"5206206":[-16.7676,-47.6131],"5206305":[-17.1987,-48.7034],"5206404":[-14.5412,-49.974],"5206503":[-17.2883,-49.3798],"5206602":[-18.2644,-48.1511],"5206701":[-14.5604,-46.178],"5206800":[-16.2544,-49.3631],"5206909":[-18.1501,-47.5568],"5207105":[-16.2329,-51.2543],"5207253":[-16.7188,-52.3189],"5207352":[-17.4239,-49.6644],"5207402":[-17.3406,-49.9295],"5207501":[-13.8665,-49.0716],"5207535":[-15.4473,-50.3622],"5207600":[-16.1834,-50.7781],"5207808":[-16.5778,-50.304],"5207907":[-14.4451,-47.0417],"5208004":[-15.54,-47.337],"5208103":[-13.6499,-48.8775],"5208152":[-16.4854,-48.6454],"5208301":[-13.2853,-46.3999],"5208400":[-16.5098,-49.0234],"5208509":[-18.1352,-48.0875],"5208608":[-15.3118,-49.1162],"5208707":[-16.6864,-49.2643],"5208806":[-16.4947,-49.427],"5208905":[-15.9333,-50.14],"5209101":[-18.0105,-49.3658],"5209150":[-18.6238,-50.0805],"5209200":[-16.8297,-49.5345],"5209291":[-15.6121,-50.0265],"5209408":[-13.9421,-46.4868],"5209457":[-14.7292,-49.7006],"5209606":[-15.719,-49.8268],"5209705":[-16.9626,-49.2265],"5209804":[-14.7261,-49.4634],"5209903":[-14.1011,-46.6335],"5209937":[-18.4869,-49.9888],"5209952":[-17.1387,-49.9862],"5210000":[-16.3611,-49.5001],"5210109":[-17.7215,-48.1581],"5210158":[-15.1689,-49.6695],"5210208":[-16.4398,-51.118],"5210307":[-16.3144,-50.9087],"5210406":[-16.0206,-49.806],"5210562":[-15.918,-49.6071],"5210604":[-15.7565,-49.6354],"5210802":[-19.0673,-51.5495],"5210901":[-14.9522,-49.5511],"5211008":[-15.8205,-50.6094],"5211206":[-15.5606,-49.949],"5211305":[-18.7646,-51.3485],"5211404":[-16.2029,-49.6109],"5211503":[-18.4093,-49.2158],"5211602":[-16.5995,-50.7921],"5211701":[-17.0481,-50.1453],"5211800":[-15.7529,-49.3344],"5211909":[-17.8784,-51.7204],"5212006":[-16.1773,-50.9508],"5212055":[-15.9484,-49.3739],"5212105":[-17.802,-49.6197],"5212204":[-15.8659,-50.8668],"5212253":[-19.1832,-51.3998],"5212303":[-16.619,-48.7428],"5212501":[-16.253,-47.95],"5212600":[-17.2975,-49.4898],"5212709":[-14.4823,-46.1165],"5212808":[-14.0148,-49.1777],"5212907":[-17.983,-48.6415],"5212956":[-15.4342,-50.7456],"5213004":[-17.9719,-50.3388],"5213053":[-15.0515,-48.1611],"5213087":[-13.5304,-48.2206],"5213103":[-17.5654,-52.5537],"5213400":[-16.5434,-50.739],"5213509":[-13.2552,-46.8928],"5213707":[-16.0059,-51.3979],"5213756":[-17.4439,-51.1728],"5213772":[-13.3485,-48.6853],"5213806":[-17.7334,-49.1059],"5213855":[-15.3184,-50.0553],"5213905":[-16.124,-50.2136],"5214002":[-14.7457,-50.5713],"5214051":[-13.7729,-50.2814],"5214101":[-13.7303,-49.2745],"5214408":[-16.5808,-49.8817],"5214507":[-16.4047,-49.2227],"5214606":[-14.4662,-48.4599],"5214705":[-15.0206,-49.8953],"5214804":[-18.0597,-48.2552],"5214838":[-14.0957,-50.33],"5214861":[-15.145,-49.5737],"5214879":[-14.2868,-49.3872],"5214903":[-13.7388,-46.8734],"5215009":[-16.3695,-49.3168],"5215207":[-16.0313,-50.7113],"5215231":[-16.0592,-48.0417],"5215256":[-13.2424,-49.506],"5215306":[-17.0334,-48.2964],"5215405":[-16.2181,-49.1942],"5215504":[-18.2277,-47.8355],"5215603":[-15.1605,-48.2833],"5215652":[-16.7392,-51.5309],"5215702":[-16.8044,-49.924],"5215801":[-17.3258,-48.426],"5215900":[-16.7924,-50.1652],"5216007":[-18.1783,-49.355],"5216304":[-18.9141,-50.6539],"5216403":[-16.9463,-50.4484],"5216452":[-17.5258,-52.065],"5216809":[-16.0968,-49.3364],"5216908":[-14.7608,-49.5784],"5217104":[-17.302,-49.017],"5217203":[-16.4258,-51.8235],"5217302":[-15.8507,-48.9584],"5217401":[-17.3019,-48.2768],"5217609":[-15.452,-47.6089],"5217708":[-17.5225,-49.4489],"5218003":[-13.4391,-49.1503],"5218052":[-17.8143,-50.1653],"5218102":[-17.3554,-52.6799],"5218300":[-14.0859,-46.3704],"5218391":[-17.2497,-49.244],"5218508":[-18.4472,-50.4547],"5218607":[-15.3145,-49.5814],"5218706":[-15.4456,-49.5114],"5218789":[-17.774,-48.7725],"5218805":[-17.7923,-50.9192],"5218904":[-15.1617,-49.8048],"5219001":[-16.197,-50.3124],"5219100":[-16.5714,-49.6954],"5219209":[-17.3155,-48.4809],"5219258":[-15.7664,-51.1037],"5219308":[-17.8115,-50.5977],"5219357":[-15.2958,-49.4259],"5219407":[-17.3269,-53.2012],"5219456":[-15.1351,-49.1203],"5219506":[-16.084,-49.4953],"5219605":[-13.7138,-49.0144],"5219704":[-14.4326,-49.7091],"5219712":[-17.5585,-50.6345],"5219738":[-16.4815,-49.3096],"5219753":[-15.9412,-48.2578],"5219803":[-13.621,-46.7415],"5219902":[-15.9256,-49.2605],"5220009":[-14.7048,-47.5228],"5220058":[-16.8126,-50.4092],"5220108":[-16.5211,-50.3726],"5220157":[-14.8608,-49.3285],"5220207":[-13.2731,-50.1634],"5220264":[-17.0582,-48.662],"5220280":[-15.35,-49.818],"5220405":[-18.996,-50.547],"5220454":[-16.7084,-49.0914],"5220504":[-18.3067,-51.9586],"5220603":[-16.66,-48.6083],"5220686":[-14.4644,-46.4847],"5220702":[-14.7992,-46.2506],"5221007":[-16.0521,-49.6039],"5221080":[-13.7801,-47.2659],"5221197":[-16.3945,-49.0797],"5221304":[-18.3539,-47.776],"5221403":[-16.6517,-49.4927],"5221452":[-13.5079,-48.7417],"5221502":[-16.6125,-50.1369],"5221551":[-17.8502,-50.3024],"5221577":[-14.2835,-49.9201],"5221601":[-14.5238,-49.1396],"5221700":[-15.4993,-49.6861],"5221809":[-17.4651,-48.2015],"5221858":[-16.0651,-47.9757],"5221908":[-17.0471,-49.6312],"5222005":[-16.7405,-48.5159],"5222054":[-17.7322,-49.8047],"5222203":[-15.0387,-47.052],"5222302":[-15.4542,-48.8819],"5300108":[-15.7795,-47.9297]}};
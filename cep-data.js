@@ -0,0 +1,2 @@
+// Generated by scripts/build-cep-data.js - do not edit by hand.
+window.CEP_DATA = {"source":"Correios/OpenCEP - CEPs por município (via municipios-br)","generatedAt":"2026-10-19T19:38:27.265Z","ranges":[[1001000,5999899,3550308],[6010000,6299899,3534401],[6310010,6399899,3510609],[6401000,6499899,3505708],[6501001,6549899,3547304],[6550000,6550991,3539103],[6600005,6649899,3525003],[6652000,6699899,3522505],[6700020,6729991,3513009],[6730000,6742728,3556453],[6753000,6799899,3552809],[6803000,6849899,3515004],[6850001,6889899,3522208],[6890000,6890995,3549953],[6900000,6933800,3515103],[6950000,6951995,3526209],[7010000,7399899,3518800],[7400000,7499899,3503901],[7500000,7500992,3546801],[7600000,7669899,3528502],[7700000,7749899,3509007],[7750000,7799899,3509205],[7801000,7899899,3516408],[7901000,7999899,3516309],[8010000,8491030,3550308],[8500010,8549899,3515707],[8550010,8569899,3539806],[8570002,8599972,3523107],[8610000,8699899,3552502],[8700990,8890000,3530607],[8900000,8900992,3518305],[8940000,8940991,3506607],[8970000,8980970,3545001],[9010000,9299899,3547809],[9310000,9399899,3529401],[9400005,9449899,3543303],[9450000,9450970,3544103],[9510000,9599899,3548807],[9600000,9899899,3548708],[9910000,9999899,3513801],[11010000,11200990,3548500],[11210000,11210000,3506359],[11220000,11220991,3548500],[11230000,11299899,3506359],[11310000,11399899,3551009],[11410000,11499899,3518701],[11500005,11599899,3513504],[11600000,11609536,3550704],[11610000,11610000,3549003],[11610100,11629970,3550704],[11630000,11636300,3520400],[11640000,11640000,3510500],[11640002,11641802,3520400],[11650000,11650000,3510500],[11650002,11650002,3520400],[11660005,11679901,3510500],[11680000,11689652,3555406],[11690000,11690000,3510500],[11690003,11699004,3555406],[11700005,11729899,3541000],[11730000,11730972,3531100],[11740000,11740994,3522109],[11750000,11750971,3537602],[11760000,11770000,3523305],[11770042,11770888,3537602],[11770970,11770970,3523305],[11770971,11789899,3537602],[11790000,11790992,3537206],[11800000,11800970,3526100],[11850000,11870000,3529906],[11900000,11900971,3542602],[11910000,11910990,3551801],[11920000,11920990,3520301],[11925000,11925971,3520426],[11930000,11930970,3536208],[11940000,11940971,3524600],[11950000,11950994,3509254],[11955000,11955970,3505401],[11960000,11980970,3514809],[11990000,11995970,3509908],[12010000,12119899,3554102],[12120000,12129899,3554805],[12130000,12132054,3526308],[12140000,12150971,3550001],[12170000,12170970,3542305],[12180000,12190970,3532306],[12209000,12248899,3549904],[12249000,12249000,3549003],[12249001,12249990,3549904],[12250000,12250970,3531704],[12260000,12260970,3535606],[12270000,12270970,3524907],[12280005,12299899,3508504],[12301000,12349899,3524402],[12350000,12350970,3520202],[12380000,12380970,3546009],[12400010,12449899,3538006],[12450000,12450970,3548203],[12460000,12478256,3509700],[12490000,12490971,3548609],[12500010,12524900,3518404],[12525000,12526730,3540754],[12530000,12540970,3513603],[12570000,12576650,3502507],[12580000,12589899,3544301],[12600005,12614899,3527207],[12615000,12615970,3509957],[12620000,12620970,3538501],[12630000,12630971,3508603],[12690000,12690970,3552007],[12701000,12759899,3513405],[12760000,12760971,3526605],[12770000,12770000,3513405],[12800000,12800970,3541901],[12820000,12820970,3503505],[12830000,12830971,3549607],[12850000,12850971,3504909],[12870000,12870970,3503158],[12900002,12929991,3507605],[12930000,12930970,3554953],[12935000,12935990,3556354],[12940020,12954905,3504107],[12955000,12955970,3507100],[12960000,12969990,3532405],[12970000,12975000,3538600],[12980000,12980970,3525508],[12990000,12990970,3536802],[12995000,12995970,3538204],[13010000,13139899,3509502],[13140000,13148917,3536505],[13150000,13159899,3512803],[13160000,13164292,3503802],[13165000,13165000,3515152],[13165002,13165722,3503802],[13165970,13165970,3515152],[13167000,13169900,3503802],[13170000,13182899,3552403],[13183005,13189869,3519071],[13190000,13199899,3531803],[13201000,13219900,3525904],[13220001,13229899,3556503],[13230000,13239899,3509601],[13240000,13249899,3525201],[13250005,13258060,3523404],[13260000,13269899,3532009],[13270005,13279984,3556206],[13280000,13289970,3556701],[13290000,13294900,3527306],[13295000,13299899,3524006],[13300003,13314899,3523909],[13315000,13317899,3508405],[13318000,13318000,3524402],[13318001,13319970,3508405],[13320005,13329904,3545209],[13330005,13349899,3520509],[13350000,13359290,3514908],[13360000,13369899,3510401],[13370000,13370970,3542107],[13375000,13380000,3530904],[13380001,13380959,3533403],[13380970,13380970,3530904],[13380971,13389899,3533403],[13390000,13399899,3544004],[13400005,13434970,3538709],[13435000,13435000,3502408],[13440000,13444899,3545159],[13445001,13449899,3515152],[13450001,13459899,3545803],[13460000,13460970,3533403],[13465005,13479900,3501608],[13480001,13489970,3526902],[13490000,13494899,3512407],[13495000,13499899,3521408],[13500030,13508971,3543907],[13509000,13509000,3504008],[13509600,13509970,3543907],[13510000,13514899,3546702],[13515000,13516310,3511706],[13517000,13517000,3535705],[13517002,13519970,3511706],[13520000,13524899,3550407],[13525000,13529899,3500600],[13530000,13530970,3523602],[13535000,13539899,3521101],[13540000,13540970,3512704],[13550000,13550970,3502002],[13560001,13579970,3548906],[13580000,13584216,3542909],[13585000,13585000,3517703],[13585970,13589899,3542909],[13590000,13590970,3514304],[13600001,13609899,3503307],[13610005,13624899,3526704],[13625000,13629899,3546207],[13630005,13645000,3539301],[13650000,13659899,3546306],[13660000,13669899,3540705],[13670000,13675970,3547502],[13690000,13690990,3513702],[13700000,13709042,3510807],[13710000,13710970,3553302],[13715000,13715970,3523800],[13720000,13720971,3549706],[13730005,13755971,3530508],[13760000,13760971,3553609],[13770000,13775970,3508702],[13780000,13785970,3513900],[13790000,13790970,3550803],[13800001,13817971,3530805],[13820000,13820000,3524709],[13820959,13820959,3531209],[13820970,13820971,3524709],[13820972,13824970,3531209],[13825000,13829899,3519055],[13830000,13834899,3548005],[13835000,13839970,3512209],[13840001,13855970,3530706],[13857000,13859899,3557303],[13860000,13869899,3500303],[13870005,13879899,3549102],[13880000,13880970,3556404],[13890000,13890990,3500402],[13895000,13895000,3550605],[13900005,13909970,3501905],[13910000,13910000,3531209],[13910001,13910959,3524709],[13910970,13910970,3531209],[13910971,13914684,3524709],[13915000,13915000,3531209],[13915001,13915298,3524709],[13915970,13915970,3531209],[13916000,13919899,3524709],[13920000,13928584,3537107],[13930000,13930971,3551603],[13940000,13940971,3500501],[13950000,13950970,3527009],[13960000,13960970,3552106],[13970005,13988970,3522604],[13990000,13990970,3515186],[13995000,13995970,3548104],[14000999,14110970,3543402],[14115000,14115970,3518859],[14120000,14120970,3514601],[14140000,14140970,3513108],[14150000,14150970,3551504],[14160005,14179970,3551702],[14180000,14185970,3540200],[14200000,14200971,3550902],[14210000,14216108,3527603],[14230000,14230970,3551405],[14240000,14240970,3509403],[14250000,14250970,3546256],[14260000,14260970,3510906],[14270000,14270971,3547601],[14300000,14319899,3505906],[14340000,14340970,3507803],[14350000,14359899,3501004],[14390000,14390970,3547908],[14400005,14414899,3516200],[14415000,14419899,3536307],[14420000,14420970,3523701],[14430000,14430970,3542701],[14440000,14440970,3549508],[14445000,14445970,3543105],[14450000,14450970,3525409],[14460000,14460970,3513207],[14470000,14480970,3537008],[14490000,14490970,3543600],[14500000,14505970,3524105],[14508000,14508000,3510401],[14508972,14508972,3524105],[14530000,14530970,3529708],[14540000,14540970,3520103],[14550000,14552388,3503000],[14570000,14570970,3508207],[14580000,14590970,3517703],[14600000,14600971,3549409],[14610000,14610971,3521309],[14620000,14620972,3534302],[14640000,14649708,3531902],[14660000,14660970,3544905],[14670000,14672186,3533601],[14680000,14690970,3525102],[14700005,14718970,3506102],[14720000,14720970,3553203],[14725000,14725970,3553104],[14730000,14733970,3531506],[14735000,14735970,3551900],[14740000,14740970,3556800],[14745000,14745970,3554409],[14750000,14760970,3539509],[14765000,14765990,3553658],[14770000,14770970,3512001],[14775000,14775970,3524204],[14780001,14789970,3505500],[14790000,14790971,3517406],[14795000,14795971,3512100],[14800005,14812970,3503208],[14813000,14813990,3516853],[14815000,14819899,3519303],[14820000,14824899,3501707],[14825000,14827060,3546900],[14830000,14834002,3543709],[14835000,14835971,3532058],[14840000,14847448,3518602],[14850000,14850970,3540903],[14860000,14860970,3505609],[14870010,14898899,3524303],[14900000,14909002,3522703],[14910000,14919970,3552700],[14920000,14920970,3532900],[14930000,14930970,3506706],[14935000,14935970,3554755],[14940000,14949899,3519600],[14955000,14955970,3507407],[14960000,14970970,3533502],[14980000,14987026,3544806],[14990000,14990970,3521507],[15010010,15104970,3549805],[15105000,15105970,3540804],[15108000,15109774,3521150],[15110000,15110970,3517505],[15115000,15115970,3504602],[15120000,15128970,3532504],[15130000,15139970,3530300],[15140000,15140970,3504800],[15145000,15149899,3530409],[15150000,15152970,3531407],[15153000,15153000,3521804],[15153970,15154970,3531407],[15155000,15155970,3524501],[15160000,15162180,3539905],[15170000,15175970,3553401],[15180000,15180970,3551306],[15190000,15195970,3532603],[15200000,15200971,3525706],[15208000,15208000,3545209],[15210000,15219002,3532801],[15220000,15222066,3529500],[15225000,15225970,3555356],[15230000,15230970,3500204],[15240000,15240970,3532702],[15250000,15250970,3555703],[15260000,15260970,3539608],[15265000,15265970,3557154],[15270000,15270970,3528106],[15275000,15275970,3531001],[15280000,15280970,3555208],[15285000,15285970,3527256],[15290000,15290970,3508108],[15300000,15307970,3516903],[15310000,15310970,3528304],[15313000,15313971,3532868],[15315000,15315970,3549250],[15320000,15320970,3515905],[15330000,15330970,3516804],[15340000,15344899,3533304],[15350000,15350970,3504206],[15355000,15355970,3518909],[15360000,15367970,3552304],[15370000,15379899,3537404],[15380000,15384899,3552551],[15385000,15389899,3520442],[15390000,15390970,3523008],[15400000,15409971,3533908],[15410000,15417970,3509304],[15420000,15420970,3517901],[15425000,15425970,3514957],[15430000,15437971,3500907],[15440000,15448970,3533007],[15450000,15450970,3534005],[15460000,15460970,3519808],[15470000,15475970,3535002],[15480000,15489899,3534203],[15490000,15490970,3536604],[15495000,15496900,3544202],[15500001,15515970,3557105],[15520000,15520970,3556107],[15525000,15525970,3536257],[15530000,15530970,3512902],[15540000,15545970,3501202],[15550000,15550970,3501806],[15560000,15560970,3540309],[15570000,15575970,3510708],[15580000,15580970,3530003],[15600000,15617970,3515509],[15620000,15620970,3528205],[15625000,15625970,3529609],[15630000,15630971,3536901],[15635000,15635000,3546801],[15635970,15635970,3536901],[15640000,15640970,3549201],[15650000,15650970,3515202],[15670000,15670970,3540408],[15680000,15680970,3518008],[15685000,15688000,3534757],[15690000,15690970,3520707],[15700000,15704607,3524808],[15705000,15705000,3556958],[15706000,15709899,3524808],[15710000,15712899,3549003],[15713000,15714899,3556958],[15715000,15715970,3513850],[15718000,15718970,3540259],[15720000,15725000,3535200],[15730000,15730970,3529104],[15735000,15735970,3502606],[15740000,15740970,3514205],[15745000,15745970,3535903],[15748000,15748970,3529658],[15750000,15750970,3545704],[15755000,15758899,3555307],[15760000,15760970,3555802],[15763000,15764899,3503950],[15765000,15767899,3547205],[15768000,15768971,3547650],[15770000,15770970,3554904],[15773000,15773971,3532843],[15775000,15775971,3546603],[15780000,15780970,3547403],[15783000,15783000,3502507],[15783970,15783970,3547403],[15785000,15785970,3546108],[15790000,15795970,3544509],[15800003,15819899,3511102],[15820000,15822899,3539004],[15823000,15824516,3514924],[15825000,15827899,3535705],[15828000,15829899,3535101],[15830000,15837060,3538105],[15840000,15840971,3521903],[15843000,15843000,3510708],[15845000,15849899,3528858],[15850000,15858016,3556008],[15860000,15869098,3519402],[15870000,15874899,3511201],[15880000,15884024,3552601],[15885000,15889899,3533254],[15890000,15893196,3555604],[15895000,15895970,3511300],[15900000,15909971,3553708],[15910000,15911959,3531308],[15915000,15915000,3502507],[15915970,15915970,3531308],[15920000,15920970,3556909],[15930000,15930970,3510104],[15940000,15945970,3515608],[15950000,15953970,3545605],[15955000,15955000,3555901],[15955970,15955970,3545605],[15960000,15961216,3503703],[15970000,15970970,3546504],[15980000,15980970,3514007],[15990000,15999970,3529302],[16010000,16129899,3502804],[16130000,16150970,3548054],[16200001,16209899,3506508],[16210000,16210970,3506409],[16220000,16220970,3516507],[16230000,16230970,3537701],[16240000,16240970,3548401],[16250000,16255000,3511904],[16260000,16260970,3512506],[16265000,16265970,3507753],[16270000,16280970,3517109],[16290000,16290970,3507704],[16300000,16309899,3537305],[16310000,16330970,3501103],[16340000,16340970,3527702],[16350000,16350970,3505104],[16360000,16360970,3504404],[16370000,16380970,3541604],[16400010,16420970,3527108],[16430000,16439899,3517208],[16440000,16449899,3544608],[16450000,16460970,3517000],[16480000,16489899,3517307],[16490000,16490000,3527108],[16500000,16530000,3508801],[16570000,16574899,3518107],[16600000,16619970,3538907],[16640000,16649899,3504701],[16650000,16659899,3555901],[16660000,16669899,3540101],[16670000,16679970,3541109],[16680000,16689899,3504305],[16690000,16690000,3538907],[16700000,16708346,3518206],[16710000,16750971,3544400],[16790000,16790970,3506201],[16800000,16830971,3530102],[16850000,16855000,3526506],[16880000,16880970,3556305],[16900000,16914899,3502101],[16915000,16915000,3539608],[16915970,16915970,3502101],[16920000,16920970,3511003],[16940000,16940970,3533205],[16950000,16950970,3532108],[16980000,16980970,3517802],[17010000,17110990,3506003],[17120000,17139899,3500709],[17150000,17154899,3536570],[17160000,17170970,3503406],[17180000,17189899,3519105],[17190000,17199899,3542503],[17201000,17220990,3525300],[17230000,17237302,3522901],[17240000,17249899,3506805],[17250000,17259899,3505203],[17260000,17269899,3522000],[17270000,17279899,3507308],[17280000,17289990,3536703],[17290000,17299899,3528007],[17300000,17309899,3514106],[17310000,17310000,3517703],[17310006,17310990,3514106],[17320000,17329899,3529807],[17340000,17349899,3505302],[17350000,17359899,3520004],[17360000,17369899,3554706],[17370000,17379899,3547007],[17380000,17389036,3507902],[17390000,17390000,3550704],[17390970,17390990,3507902],[17400000,17409899,3516705],[17410000,17410970,3501400],[17420000,17429034,3527801],[17430000,17430970,3501509],[17440000,17449899,3555505],[17450000,17450970,3516606],[17455000,17455970,3515657],[17459899,17459899,3516606],[17460001,17469899,3515657],[17470000,17474899,3514502],[17475000,17479899,3527504],[17480000,17481254,3508306],[17490000,17499899,3539400],[17500001,17539970,3529005],[17540000,17549899,3533700],[17550000,17559899,3525805],[17560000,17569899,3556602],[17570000,17572252,3534104],[17580000,17589899,3540002],[17590000,17590970,3541802],[17600000,17627000,3555000],[17630000,17630970,3503356],[17650000,17660970,3519006],[17670000,17670970,3542008],[17680000,17685000,3519204],[17690000,17690970,3505807],[17700000,17705000,3534609],[17710000,17710970,3544707],[17720000,17720970,3545100],[17730000,17730970,3536000],[17740000,17740970,3543808],[17760000,17760970,3520806],[17780000,17780970,3527405],[17790000,17790990,3540853],[17800000,17808870,3500105],[17810000,17815970,3528908],[17830000,17840970,3516002],[17860000,17860970,3534906],[17870000,17870970,3515806],[17880000,17880970,3521606],[17890000,17897124,3526001],[17900000,17908558,3514403],[17910000,17910000,3524501],[17910020,17919899,3514403],[17920000,17925000,3534807],[17930000,17935000,3555109],[17940000,17945970,3547106],[17950000,17950970,3533106],[17960000,17960970,3531605],[17970000,17970970,3549300],[17980000,17980970,3535408],[17990000,17990970,3536406],[18001960,18109899,3552205],[18110005,18119900,3557006],[18120000,18123990,3528403],[18125000,18125990,3501152],[18130005,18146899,3550605],[18147000,18147990,3502754],[18150000,18155990,3519709],[18160000,18168602,3545308],[18170000,18170970,3537800],[18180000,18180990,3553500],[18185000,18185970,3537909],[18190000,18190997,3502903],[18195000,18195992,3510302],[18200001,18219970,3522307],[18220000,18220993,3500758],[18225000,18227970,3551108],[18230000,18230995,3550209],[18240000,18243970,3502200],[18245000,18245990,3509452],[18250000,18250970,3518503],[18255000,18255970,3541653],[18260000,18260970,3540507],[18265000,18265970,3554656],[18270000,18282899,3554003],[18285000,18288970,3511607],[18290000,18295990,3508009],[18300005,18308899,3510203],[18309000,18309000,3502705],[18310000,18310970,3517604],[18315000,18315970,3543253],[18320000,18324970,3502705],[18325000,18329899,3505351],[18330000,18330970,3521200],[18360000,18360970,3522158],[18380000,18380970,3542800],[18385000,18385990,3522653],[18400002,18420970,3522406],[18425000,18425970,3553856],[18430000,18434970,3543006],[18435000,18435992,3532827],[18440000,18450990,3521705],[18460000,18469970,3523206],[18470000,18470970,3543501],[18475000,18475970,3507159],[18480000,18480991,3522802],[18490000,18494899,3505005],[18500000,18510971,3526407],[18520000,18529899,3511508],[18530000,18534899,3554508],[18535000,18535970,3525854],[18540000,18549899,3540606],[18550000,18559899,3507001],[18560000,18565970,3521002],[18570000,18576128,3512308],[18580000,18583118,3537503],[18590000,18590991,3506904],[18600001,18619970,3507506],[18620000,18639060,3502309],[18640000,18648899,3536109],[18650000,18654674,3550100],[18655000,18655000,3502507],[18655500,18658422,3550100],[18660000,18669899,3541059],[18670000,18674899,3503604],[18675000,18679899,3507456],[18680005,18688970,3526803],[18690000,18698899,3523503],[18700005,18709899,3504503],[18710000,18719899,3503109],[18720000,18724060,3535804],[18725000,18725000,3519055],[18725971,18729899,3535804],[18730000,18739899,3521804],[18740000,18744899,3553807],[18745000,18745970,3512605],[18760000,18769899,3511409],[18770000,18774899,3500550],[18775000,18779899,3519253],[18780000,18788028,3528601],[18790000,18795018,3533809],[18800000,18809899,3538808],[18810000,18810000,3554201],[18810002,18819899,3538808],[18830000,18839899,3554201],[18840000,18840970,3551207],[18860000,18860970,3554607],[18870000,18879899,3515400],[18890000,18899899,3553005],[18900000,18928899,3546405],[18935000,18939899,3515194],[18940000,18944899,3550506],[18950000,18959899,3520905],[18960000,18969899,3506300],[18970000,18980971,3557204],[18990000,18994899,3510153],[19010000,19140970,3541406],[19160000,19165970,3501301],[19180000,19180970,3500808],[19190000,19190970,3548302],[19200000,19208000,3539202],[19210000,19210970,3553906],[19220000,19220970,3532207],[19230000,19230970,3515301],[19250000,19250990,3545506],[19260000,19270970,3530201],[19273000,19274971,3544251],[19275000,19275991,3515350],[19280000,19282142,3554300],[19295000,19295000,3539608],[19295970,19295970,3554300],[19300000,19330970,3541208],[19350000,19350970,3515129],[19360000,19360970,3547700],[19380000,19380970,3543238],[19400000,19409899,3541505],[19410000,19410992,3538303],[19430000,19430991,3528700],[19450000,19450992,3509106],[19470000,19490970,3541307],[19500000,19510970,3529203],[19530000,19540970,3508900],[19560000,19560990,3520608],[19570000,19575970,3542404],[19580000,19580970,3502408],[19590000,19590970,3552908],[19600000,19620970,3542206],[19640000,19640970,3519907],[19645000,19645970,3532157],[19649899,19649899,3519907],[19650011,19650136,3532157],[19680000,19680970,3525607],[19700000,19729899,3535507],[19740000,19749899,3507209],[19750000,19750970,3527900],[19770000,19770970,3534500],[19780000,19789899,3541703],[19800001,19819899,3504008],[19820000,19829899,3553955],[19830000,19839899,3514700],[19840000,19849026,3528809],[19860000,19864899,3513306],[19865000,19865970,3537156],[19870000,19879899,3516101],[19880000,19890970,3510005],[19900001,19919899,3534708],[19920000,19929899,3545407],[19930000,19939899,3543204],[19940000,19949899,3519501],[19960000,19969899,3509809],[19970000,19979899,3535309],[19990000,19999899,3539707],[20010000,23799899,3304557],[23810000,23859899,3302007],[23860000,23885970,3302601],[23890000,23899899,3305554],[23900000,23968970,3300100],[23970000,23975990,3303807],[24003900,24399899,3303302],[24410000,24799899,3304904],[24800000,24889899,3301900],[24890000,24890975,3305752],[24900000,24999899,3302700],[25010000,25499899,3301702],[25510000,25599900,3305109],[25600000,25779899,3303906],[25780000,25780970,3305158],[25802000,25840970,3306008],[25845000,25845970,3300225],[25850000,25865971,3303708],[25870000,25875990,3300951],[25880000,25887970,3305406],[25900000,25939899,3302502],[25940000,25949899,3301850],[25953000,25998000,3305802],[26000000,26099899,3303500],[26110000,26199899,3300456],[26210000,26299315,3303500],[26310000,26399899,3304144],[26410000,26499899,3302270],[26510000,26549899,3303203],[26550007,26599899,3302858],[26600000,26600990,3303609],[26650000,26660970,3301801],[26700000,26700970,3302809],[26900000,26920970,3302908],[26950000,26980970,3303856],[27110000,27170970,3300308],[27175000,27195970,3304003],[27197000,27197970,3303955],[27210000,27299899,3306305],[27310000,27399899,3300407],[27410000,27459899,3304128],[27460000,27475970,3304409],[27510000,27565000,3304201],[27570000,27570971,3304110],[27580000,27598970,3302254],[27600000,27657970,3306107],[27660000,27665971,3304508],[27670000,27670000,3306107],[27670970,27670970,3304508],[27690000,27690000,3306107],[27690970,27690971,3304508],[27700000,27770971,3306206],[27910000,27987970,3302403],[27990000,27995000,3300936],[27995970,27995970,3302403],[27998000,27998990,3300936],[28010000,28148971,3301009],[28155000,28155000,3304607],[28155970,28178970,3301009],[28180000,28195970,3301157],[28200000,28225972,3305000],[28230000,28235000,3304755],[28240000,28245000,3305000],[28250000,28250974,3302056],[28300000,28348970,3302205],[28350000,28350970,3302304],[28360000,28370970,3300605],[28372000,28372000,3306156],[28372970,28374000,3300605],[28375000,28375970,3306156],[28380000,28388970,3303104],[28390000,28398970,3304102],[28400000,28425970,3304805],[28430000,28450970,3300902],[28455000,28455990,3305133],[28460000,28466970,3303005],[28470000,28490970,3304706],[28495000,28495972,3300159],[28500000,28525990,3301108],[28530000,28530000,3302106],[28530970,28530972,3301108],[28540000,28540973,3301504],[28545000,28545970,3302452],[28550000,28558000,3305307],[28570000,28595970,3302106],[28600990,28636899,3303401],[28637000,28637973,3305703],[28640000,28644970,3301207],[28650000,28655970,3301603],[28660000,28666990,3300506],[28680000,28696780,3300803],[28735000,28737655,3304151],[28740000,28745970,3301405],[28750000,28757971,3305901],[28760000,28760000,3304607],[28760970,28760970,3305901],[28765000,28765000,3304607],[28765970,28765972,3305901],[28767000,28767000,3304607],[28767970,28767970,3305901],[28770000,28779970,3304607],[28800000,28810970,3304300],[28820000,28835000,3305604],[28860000,28880971,3301306],[28890000,28899990,3304524],[28905000,28929990,3300704],[28930000,28930970,3300258],[28940000,28949899,3305208],[28950000,28959890,3300233],[28960000,28969180,3301876],[28970000,28989895,3300209],[28990000,28999970,3305505],[29000971,29092970,3205309],[29100010,29130005,3205200],[29130010,29130013,3205101],[29130015,29130015,3205200],[29130019,29130019,3205101],[29130020,29130020,3205200],[29130022,29130028,3205101],[29130030,29130040,3205200],[29130043,29130043,3205101],[29130045,29130045,3205200],[29130050,29130085,3205101],[29130100,29130100,3205200],[29130103,29130106,3205101],[29130110,29130112,3205200],[29130114,29130118,3205101],[29130120,29130120,3205200],[29130121,29130124,3205101],[29130125,29130125,3205200],[29130127,29130133,3205101],[29130135,29130135,3205200],[29130136,29130136,3205101],[29130137,29130137,3205200],[29130139,29130148,3205101],[29130150,29130150,3205200],[29130151,29130154,3205101],[29130155,29130155,3205200],[29130157,29130163,3205101],[29130165,29130165,3205200],[29130166,29130169,3205101],[29130170,29130170,3205200],[29130172,29130178,3205101],[29130180,29130180,3205200],[29130181,29130199,3205101],[29130200,29130200,3205200],[29130202,29130208,3205101],[29130210,29130210,3205200],[29130211,29130215,3205101],[29130220,29130220,3205200],[29130221,29130221,3205101],[29130223,29130223,3205200],[29130224,29130224,3205101],[29130226,29130226,3205200],[29130227,29130227,3205101],[29130229,29130229,3205200],[29130230,29130230,3205101],[29130232,29130232,3205200],[29130233,29130233,3205101],[29130235,29130235,3205200],[29130236,29130236,3205101],[29130238,29130238,3205200],[29130239,29130239,3205101],[29130241,29130241,3205200],[29130242,29130242,3205101],[29130244,29130244,3205200],[29130245,29130245,3205101],[29130247,29130247,3205200],[29130248,29130248,3205101],[29130250,29130250,3205200],[29130251,29130251,3205101],[29130253,29130253,3205200],[29130254,29130254,3205101],[29130256,29130256,3205200],[29130257,29130257,3205101],[29130259,29130259,3205200],[29130260,29130260,3205101],[29130262,29130262,3205200],[29130263,29130285,3205101],[29130290,29130290,3205200],[29130300,29130309,3205101],[29130310,29130310,3205200],[29130312,29130318,3205101],[29130320,29130320,3205200],[29130321,29130324,3205101],[29130325,29130325,3205200],[29130327,29130333,3205101],[29130335,29130335,3205200],[29130336,29130339,3205101],[29130340,29130496,3205200],[29130500,29130534,3205101],[29130600,29130708,3205200],[29130905,29131006,3205101],[29131007,29131007,3205200],[29131009,29131009,3205101],[29131010,29131010,3205200],[29131012,29131018,3205101],[29131020,29131020,3205200],[29131021,29131021,3205101],[29131022,29131022,3205200],[29131024,29131024,3205101],[29131025,29131025,3205200],[29131027,29131033,3205101],[29131035,29131035,3205200],[29131036,29131036,3205101],[29131037,29131037,3205200],[29131039,29131039,3205101],[29131040,29131040,3205200],[29131042,29131048,3205101],[29131050,29131050,3205200],[29131051,29131054,3205101],[29131055,29131055,3205200],[29131057,29131063,3205101],[29131065,29131065,3205200],[29131066,29131084,3205101],[29131085,29131085,3205200],[29131087,29131093,3205101],[29131095,29131095,3205200],[29131099,29131099,3205101],[29131100,29131100,3205200],[29131102,29131111,3205101],[29131115,29131220,3205200],[29131320,29131414,3205101],[29131415,29131415,3205200],[29131416,29131424,3205101],[29131425,29131425,3205200],[29131426,29131426,3205101],[29131427,29131427,3205200],[29131428,29131434,3205101],[29131435,29131435,3205200],[29131436,29131436,3205101],[29131437,29131437,3205200],[29131438,29131444,3205101],[29131445,29131445,3205200],[29131446,29131446,3205101],[29131448,29131620,3205200],[29131970,29132024,3205101],[29132025,29132025,3205200],[29132026,29132032,3205101],[29132033,29132033,3205200],[29132034,29132034,3205101],[29132035,29132035,3205200],[29132036,29132036,3205101],[29132037,29132037,3205200],[29132038,29132044,3205101],[29132045,29132340,3205200],[29132530,29139899,3205101],[29140010,29159899,3201308],[29160000,29184990,3205002],[29185000,29188990,3202207],[29189000,29189000,3205002],[29190000,29199995,3200607],[29200010,29228985,3202405],[29230000,29238990,3200409],[29240000,29253985,3200300],[29255000,29259983,3203346],[29260000,29278997,3201902],[29280000,29283990,3202603],[29285000,29287992,3204203],[29290000,29293983,3204401],[29295000,29299990,3205036],[29300002,29329990,3201209],[29330000,29342980,3202801],[29345000,29349971,3203320],[29350000,29350984,3204302],[29360000,29369000,3201407],[29370000,29370970,3201704],[29375000,29378990,3205069],[29380000,29389000,3203700],[29390000,29394983,3203007],[29395000,29395970,3202454],[29398000,29399990,3202652],[29400000,29445983,3203403],[29450000,29458990,3200508],[29460000,29460970,3201100],[29470000,29479983,3204807],[29480000,29485982,3203809],[29490000,29490970,3200706],[29500000,29537970,3200201],[29540000,29545990,3202553],[29550000,29550992,3203106],[29560000,29564980,3202306],[29580000,29588990,3202009],[29590000,29590972,3201803],[29600000,29600992,3200102],[29603000,29603000,3205002],[29603980,29613980,3200102],[29615000,29619990,3203163],[29620000,29620970,3202900],[29630000,29635990,3201159],[29640000,29640985,3204500],[29642000,29642000,3204559],[29644000,29644993,3204500],[29645000,29649994,3204559],[29650000,29662990,3204609],[29665000,29669982,3204955],[29670000,29675970,3202504],[29680000,29687990,3203130],[29690000,29699990,3202702],[29700005,29719995,3201506],[29720000,29724990,3202256],[29725000,29728980,3203353],[29730000,29742980,3200805],[29745000,29748982,3204658],[29750000,29755990,3204005],[29760000,29767980,3200359],[29770000,29778990,3203304],[29780000,29783983,3204708],[29785000,29793990,3205176],[29795000,29795982,3200136],[29800000,29817985,3200904],[29820000,29826990,3200169],[29830000,29839990,3203908],[29841000,29841000,3201001],[29842000,29842990,3203908],[29843000,29843971,3205150],[29845000,29848990,3201001],[29850000,29856000,3202108],[29860000,29860000,3200904],[29875000,29875970,3202108],[29880000,29884982,3203601],[29885000,29889982,3204252],[29890000,29894980,3203502],[29900010,29919973,3203205],[29920000,29925990,3204351],[29927000,29927982,3205010],[29930000,29949990,3204906],[29950000,29957000,3203056],[29960000,29967990,3201605],[29970000,29978990,3204054],[29980000,29985981,3204104],[30001959,31999899,3106200],[32001959,32399899,3118601],[32400000,32439899,3129806],[32440000,32440000,3140159],[32450000,32450972,3165537],[32470000,32470993,3140159],[32480001,32499899,3109006],[32501970,32510000,3106705],[32510004,32510008,3130101],[32510010,32510010,3106705],[32510014,32510014,3130101],[32510020,32510040,3106705],[32510042,32510048,3130101],[32510050,32510120,3106705],[32510124,32510124,3130101],[32510130,32510190,3106705],[32510196,32510196,3130101],[32510200,32510270,3106705],[32510276,32510276,3130101],[32510280,32510340,3106705],[32510344,32510344,3130101],[32510350,32510380,3106705],[32510396,32510396,3130101],[32510400,32510400,3106705],[32510402,32510408,3130101],[32510410,32510720,3106705],[32510970,32517128,3130101],[32530000,32800000,3106705],[32800060,32824000,3124104],[32850000,32850000,3106705],[32900000,32900992,3130101],[32920000,32920971,3162922],[33010000,33199899,3157807],[33200000,33207899,3171204],[33230001,33246970,3137601],[33250001,33258899,3149309],[33350000,33350970,3162955],[33400000,33450971,3137601],[33500000,33501959,3117876],[33600000,33680971,3149309],[33805000,33833100,3154606],[33833102,33833102,3106705],[33833110,33840156,3154606],[33840157,33840157,3106705],[33840160,33979899,3154606],[33980000,33999970,3168309],[34000000,34019899,3144805],[34300000,34300970,3154804],[34400000,34400971,3153905],[34505000,34750970,3156700],[34800000,34960970,3110004],[34990000,34990974,3136603],[35001959,35109972,3127701],[35110000,35110971,3171501],[35112000,35112970,3126901],[35113000,35113972,3144904],[35114000,35114971,3150000],[35115000,35115970,3140100],[35116000,35116973,3141702],[35117000,35117970,3144359],[35118000,35119970,3149952],[35120000,35122971,3133204],[35123000,35123970,3112653],[35125000,35125970,3169505],[35126000,35126000,3161502],[35126971,35126971,3169505],[35130000,35133971,3123700],[35135000,35136970,3125804],[35138000,35139970,3101805],[35140000,35143971,3168408],[35144000,35145970,3167707],[35146000,35146976,3162609],[35147000,35147600,3100500],[35147701,35147701,3162609],[35147959,35147959,3100500],[35147970,35147970,3162609],[35147971,35147977,3100500],[35148000,35148970,3122504],[35149000,35149000,3144359],[35149970,35155970,3100500],[35156000,35156973,3149952],[35157000,35157970,3144359],[35160000,35165959,3131307],[35166000,35166973,3141702],[35167000,35167977,3158953],[35168000,35168970,3136108],[35169000,35169990,3108800],[35170001,35176970,3119401],[35177000,35178971,3103009],[35179000,35179990,3158953],[35180001,35184972,3168705],[35185000,35185975,3140308],[35188000,35188971,3135001],[35189000,35189990,3108800],[35190000,35192971,3129301],[35193000,35193972,3109253],[35194000,35194970,3136108],[35195000,35197973,3106309],[35198000,35198972,3131158],[35199000,35199972,3170578],[35200000,35215970,3101102],[35220000,35222971,3134103],[35225000,35228970,3159506],[35230000,35238971,3154309],[35240000,35245971,3118403],[35246000,35246973,3120839],[35248000,35248972,3127370],[35249000,35249972,3102209],[35250000,35255971,3127305],[35258000,35258970,3161650],[35260000,35260970,3115706],[35263000,35263000,3126000],[35263971,35263971,3115706],[35265000,35267970,3122108],[35270000,35270970,3141504],[35275000,35275972,3161056],[35277000,35277971,3162575],[35280000,35285970,3131802],[35290000,35296971,3139607],[35298000,35298972,3144672],[35300000,35318000,3113404],[35319000,35319000,3157500],[35319970,35322970,3113404],[35323000,35323971,3130556],[35324000,35324971,3123858],[35325000,35325970,3150158],[35326000,35326972,3159357],[35328000,35328971,3157252],[35330000,35333970,3130903],[35334000,35334971,3164472],[35335000,35335972,3160959],[35338000,35339970,3170057],[35340000,35343970,3107802],[35345000,35345970,3120003],[35348000,35348972,3150539],[35350000,35358971,3154002],[35359000,35359972,3171154],[35360000,35362971,3164001],[35364000,35364972,3148756],[35365000,35365971,3100302],[35367000,35367971,3140902],[35368000,35368970,3166303],[35370000,35375971,3154903],[35380000,35381970,3170503],[35382000,35382971,3150208],[35383000,35383000,3170503],[35384000,35384970,3157401],[35387000,35387000,3170503],[35388000,35388972,3160108],[35390000,35398971,3135506],[35400000,35419000,3146107],[35420000,35422971,3140001],[35423000,35423000,3105202],[35423006,35428973,3140001],[35429000,35429000,3116605],[35429100,35429971,3140001],[35430001,35435973,3152105],[35436000,35436970,3128204],[35437000,35437970,3121704],[35438000,35438970,3100401],[35439000,35439970,3145851],[35440000,35440970,3122702],[35441000,35441973,3165560],[35442000,35442971,3155009],[35444000,35444972,3102506],[35445000,35449500,3105707],[35450000,35459990,3131901],[35460000,35468971,3109006],[35470000,35470970,3142304],[35472000,35475990,3106408],[35476000,35476970,3150406],[35478000,35478971,3120607],[35480000,35482970,3108107],[35485000,35487000,3155306],[35488000,35488970,3132206],[35490000,35491970,3123908],[35492000,35494970,3121407],[35495000,35495970,3160900],[35497000,35499970,3135407],[35500000,35505970,3122306],[35506000,35506972,3164605],[35510000,35513970,3114204],[35514000,35514970,3132206],[35515000,35515970,3149705],[35516000,35516971,3161809],[35517000,35519977,3145208],[35520000,35520000,3120607],[35520001,35520970,3145208],[35520971,35520971,3120607],[35521000,35521000,3108107],[35521270,35521510,3145208],[35521970,35522000,3108107],[35522002,35522500,3145208],[35522970,35522970,3108107],[35523000,35523000,3155306],[35523002,35524971,3145208],[35525000,35525000,3155306],[35525002,35525510,3145208],[35525970,35525973,3155306],[35526000,35526000,3150406],[35526500,35526896,3145208],[35526970,35526970,3150406],[35527020,35529970,3145208],[35530000,35532971,3116605],[35534000,35535970,3114501],[35536000,35536970,3150604],[35537000,35537970,3147709],[35540000,35541970,3145604],[35543000,35543970,3161205],[35544000,35544971,3161809],[35545000,35545970,3149705],[35547000,35547970,3114006],[35550000,35553973,3133501],[35555000,35555972,3110400],[35557000,35559970,3114204],[35560000,35560972,3160405],[35565000,35565991,3148905],[35567000,35567972,3164605],[35568000,35568972,3119955],[35570000,35577971,3126109],[35578000,35578000,3119955],[35578899,35578899,3126109],[35578971,35578972,3119955],[35579000,35579972,3126109],[35579974,35579974,3107109],[35579975,35579976,3126109],[35580000,35580970,3135308],[35582000,35583971,3146503],[35585000,35585970,3150505],[35586000,35589959,3104205],[35590000,35594000,3137205],[35595000,35596971,3138807],[35598001,35599536,3104205],[35600000,35600000,3107406],[35600002,35600478,3104205],[35600959,35600973,3107406],[35601000,35601899,3104205],[35601959,35602971,3107406],[35603000,35603970,3103900],[35604000,35604971,3142403],[35606000,35608973,3140506],[35610000,35610970,3123205],[35613000,35613970,3124708],[35615000,35617970,3166600],[35620000,35620976,3100203],[35621000,35621970,3107000],[35622000,35623971,3146404],[35624000,35624972,3115607],[35625000,35625972,3153707],[35626000,35626000,3100203],[35628000,35629970,3143500],[35630001,35639000,3107406],[35639700,35639971,3143500],[35639972,35639972,3107406],[35640000,35645971,3152006],[35650000,35651959,3151404],[35655000,35656970,3145802],[35657000,35657970,3138302],[35660000,35665975,3147105],[35666000,35666970,3139706],[35667000,35667970,3149606],[35668000,35668970,3117603],[35669000,35669971,3146909],[35670000,35672971,3140704],[35674000,35674000,3166501],[35674971,35674971,3140704],[35675000,35675990,3136652],[35680000,35684899,3133808],[35685000,35688970,3133709],[35690000,35690970,3126000],[35694000,35694971,3163102],[35695000,35698970,3130200],[35700000,35702631,3167202],[35702632,35702632,3122306],[35702633,35703719,3167202],[35703720,35703720,3122306],[35703721,35705970,3167202],[35706000,35706972,3105004],[35707000,35707000,3165305],[35707971,35708971,3105004],[35709000,35709971,3127206],[35710000,35710970,3131000],[35715000,35715972,3153608],[35720000,35725971,3141108],[35730000,35730970,3112505],[35732000,35735000,3105004],[35736000,35736971,3127206],[35738000,35738972,3153608],[35740000,35750972,3124104],[35760000,35760970,3126406],[35763000,35763970,3131000],[35765000,35765970,3109600],[35767000,35768000,3135704],[35770000,35770970,3109907],[35774000,35774970,3147402],[35777000,35777991,3103207],[35780000,35782970,3118908],[35785000,35785970,3158508],[35788000,35788000,3118908],[35789000,35793970,3120904],[35794000,35794000,3125705],[35794002,35794649,3120904],[35794970,35795971,3125705],[35796000,35796000,3131109],[35796003,35796808,3120904],[35796970,35796970,3131109],[35797000,35797000,3153202],[35797899,35797899,3120904],[35797971,35797972,3153202],[35798000,35798000,3143609],[35798200,35798600,3120904],[35798970,35798970,3143609],[35798971,35798973,3120904],[35800000,35803970,3125903],[35804000,35804000,3124104],[35804970,35807970,3125903],[35810000,35810970,3147501],[35815000,35815970,3164803],[35820000,35820970,3132800],[35830000,35835970,3134608],[35845000,35847970,3159001],[35850000,35850971,3118106],[35858000,35864971,3117504],[35865000,35868971,3122603],[35875000,35875970,3143708],[35878000,35878970,3113800],[35880000,35880970,3160504],[35894000,35894972,3123106],[35900000,35907970,3131703],[35908000,35908971,3107703],[35910000,35915970,3158003],[35920000,35920991,3144706],[35930000,35934899,3136207],[35935000,35935971,3161908],[35938000,35938971,3106002],[35940000,35945970,3155702],[35950000,35955970,3102308],[35960000,35968970,3157203],[35969000,35969970,3115359],[35970000,35975971,3105400],[35984000,35985970,3121803],[35986000,35986970,3163409],[35993000,35998971,3161007],[36001959,36101970,3136702],[36102000,36102000,3110004],[36103000,36107979,3136702],[36108000,36108970,3125002],[36110000,36110970,3115904],[36120000,36120970,3140803],[36123000,36123973,3167509],[36126000,36128971,3106101],[36130000,36131970,3155900],[36132000,36132971,3157278],[36135000,36138970,3159308],[36140000,36144971,3138609],[36145000,36145970,3145406],[36146000,36146970,3158706],[36148000,36148970,3149408],[36150000,36150970,3155405],[36152000,36152973,3127388],[36155000,36155970,3119609],[36157000,36157970,3150109],[36160000,36160970,3128402],[36165000,36165970,3167905],[36170000,36170970,3151305],[36180000,36180970,3155801],[36185000,36185972,3167301],[36190000,36190970,3141603],[36195000,36195970,3146602],[36200001,36206300,3105608],[36206500,36206500,3152131],[36206700,36209970,3105608],[36210000,36210970,3121506],[36212000,36212971,3105905],[36213000,36213970,3123007],[36215000,36218971,3157302],[36220000,36223000,3102902],[36225000,36225970,3129400],[36227000,36227973,3150307],[36230000,36230973,3106804],[36235000,36235972,3159407],[36236000,36236000,3106804],[36236971,36236971,3159407],[36237000,36237970,3102902],[36240000,36249500,3160702],[36250000,36250970,3145703],[36255000,36255970,3103306],[36260000,36264971,3102100],[36265000,36265970,3116308],[36270000,36270976,3154408],[36272000,36272971,3101631],[36275000,36278970,3166204],[36280000,36289500,3113206],[36290000,36290970,3112208],[36295016,36298899,3105905],[36300001,36319972,3162500],[36320000,36320971,3152709],[36325000,36325973,3168804],[36328000,36328972,3157336],[36330000,36330970,3119708],[36335000,36335975,3156106],[36340000,36342971,3154200],[36345000,36345974,3137403],[36350000,36350970,3165008],[36352000,36352000,3141603],[36352971,36352971,3165008],[36360000,36360970,3115201],[36370000,36370970,3144508],[36390000,36390970,3134509],[36400000,36409978,3118304],[36410001,36412990,3118007],[36413000,36413970,3118304],[36414000,36419970,3118007],[36420000,36420980,3145901],[36422000,36422971,3114907],[36424000,36424972,3153806],[36426000,36426970,3120409],[36428000,36428970,3113107],[36430000,36435970,3159100],[36440000,36445970,3133907],[36450000,36450970,3115409],[36455000,36455970,3137908],[36460000,36465970,3155207],[36470000,36470970,3166006],[36475000,36475970,3153103],[36480000,36490000,3150802],[36490001,36490959,3145901],[36490970,36490970,3150802],[36492000,36497899,3145901],[36500000,36509973,3169901],[36510000,36510970,3156304],[36512000,36512970,3169000],[36513000,36513970,3123304],[36515000,36515970,3128808],[36520000,36520971,3172004],[36525000,36528970,3129004],[36530000,36532971,3161502],[36540000,36540970,3165701],[36542000,36542972,3108701],[36544000,36544971,3148301],[36546000,36546970,3121902],[36550000,36550971,3116704],[36555000,36555970,3124005],[36560000,36565970,3110202],[36568000,36569971,3152303],[36570000,36574970,3171303],[36576000,36576000,3152303],[36576001,36576440,3171303],[36576970,36576970,3152303],[36576971,36576973,3171303],[36578000,36578000,3152303],[36578899,36578899,3171303],[36578970,36578970,3152303],[36579000,36579971,3171303],[36580000,36580970,3168507],[36585000,36585970,3148806],[36590000,36590970,3163805],[36592000,36592970,3111705],[36594000,36596970,3103702],[36600000,36601280,3106903],[36604000,36604970,3156205],[36606000,36606970,3128501],[36608000,36608970,3140209],[36610000,36610970,3149507],[36620000,36620970,3158607],[36630000,36635970,3116209],[36640000,36645970,3139805],[36650000,36650970,3165602],[36660000,36664971,3101508],[36670000,36675971,3160009],[36680000,36682970,3162906],[36684000,36684000,3134202],[36684001,36688971,3162906],[36690000,36690970,3121308],[36700000,36708975,3138401],[36710000,36710970,3104403],[36720000,36723970,3172103],[36725000,36725970,3124609],[36728000,36728000,3172103],[36730000,36735970,3151107],[36740000,36746971,3154101],[36750000,36756970,3146701],[36760000,36765970,3138005],[36770001,36779971,3115300],[36780000,36783970,3104601],[36784000,36787970,3122900],[36788000,36788970,3132602],[36790000,36792972,3142205],[36793000,36793970,3164431],[36795000,36795970,3158409],[36800000,36802970,3113305],[36803000,36803000,3102407],[36803004,36808970,3113305],[36810000,36810970,3161403],[36815000,36819971,3125952],[36820000,36825970,3122009],[36828000,36828972,3145877],[36830000,36831973,3124203],[36832000,36832970,3110103],[36834000,36834970,3112109],[36836000,36836000,3102050],[36840000,36840970,3125309],[36844000,36846970,3169208],[36847000,36847970,3149002],[36850000,36850970,3103108],[36855000,36858971,3124906],[36860000,36860970,3148202],[36870000,36877970,3105509],[36878000,36878972,3156452],[36880000,36889977,3143906],[36890000,36890000,3171154],[36890971,36892976,3143906],[36893000,36893970,3142106],[36895000,36897970,3171402],[36900000,36909977,3139409],[36910000,36915970,3157906],[36918000,36918971,3162559],[36920000,36920972,3154150],[36923000,36923972,3138674],[36925000,36925970,3112901],[36930000,36935971,3167608],[36940000,36945971,3158904],[36947000,36947970,3117405],[36950000,36950970,3131208],[36953000,36953972,3168051],[36955000,36955973,3144003],[36956000,36956000,3161106],[36956970,36959970,3144003],[36960000,36966970,3151909],[36970000,36970970,3139508],[36972000,36973970,3140530],[36974000,36975971,3123528],[36976000,36978971,3153509],[36979000,36979970,3102050],[36980000,36984000,3137700],[36985000,36988971,3116001],[36990000,36990970,3163607],[37002000,37007018,3170701],[37007019,37007019,3122306],[37007020,37109899,3170701],[37110000,37110971,3123601],[37115000,37119971,3143005],[37120000,37125971,3147204],[37130000,37133868,3101607],[37134000,37134970,3122405],[37135000,37135618,3101607],[37136000,37136000,3166907],[37136001,37136414,3101607],[37136970,37136970,3166907],[37137000,37137742,3101607],[37138000,37138000,3125200],[37138899,37138899,3101607],[37138971,37138971,3125200],[37139000,37139971,3101607],[37140000,37140970,3104304],[37142000,37142970,3122405],[37143000,37143970,3166907],[37144000,37144971,3125200],[37145000,37145970,3102001],[37147000,37147000,3122009],[37147971,37147971,3102001],[37148000,37148970,3117108],[37150000,37155970,3114402],[37160000,37163971,3111606],[37165000,37165970,3111309],[37170000,37170972,3107109],[37175000,37175970,3130507],[37177000,37177971,3128105],[37180000,37193970,3169406],[37195000,37195970,3158300],[37200000,37204219,3138203],[37205000,37205000,3130408],[37205001,37205899,3138203],[37205970,37205970,3130408],[37206001,37209899,3138203],[37210000,37212971,3134301],[37215000,37215970,3130804],[37218000,37218970,3130408],[37220000,37221971,3108008],[37223000,37223972,3130002],[37225000,37225972,3113909],[37235000,37237971,3118700],[37240000,37240970,3138708],[37245000,37245970,3114600],[37250000,37255970,3144607],[37260000,37260972,3149903],[37262000,37262972,3159902],[37264000,37264970,3154705],[37267000,37267973,3111903],[37270000,37271970,3111200],[37273000,37274970,3100807],[37275000,37275970,3120201],[37278000,37278971,3158805],[37280000,37280970,3112000],[37300000,37300970,3102803],[37305000,37305971,3139102],[37310000,37315970,3107505],[37330000,37330970,3147808],[37340000,37345971,3107208],[37350000,37350970,3138500],[37360000,37360970,3103603],[37370000,37370970,3165305],[37400000,37400970,3110905],[37405000,37405970,3142601],[37407000,37407972,3160801],[37408000,37408971,3165206],[37410000,37413818,3169307],[37414000,37414000,3160801],[37414050,37414806,3169307],[37414971,37414972,3160801],[37415000,37417970,3169307],[37418000,37418000,3165206],[37418010,37418899,3169307],[37418970,37418971,3165206],[37419000,37419000,3169307],[37420000,37420971,3110707],[37430000,37435971,3117702],[37440000,37440972,3115508],[37443000,37443970,3104908],[37445000,37445970,3120805],[37447000,37447970,3141900],[37450000,37450970,3101201],[37452000,37452970,3167004],[37454000,37454970,3166402],[37456000,37456970,3114808],[37458000,37458973,3101300],[37460000,37462970,3147600],[37464000,37464970,3133105],[37465000,37465970,3171709],[37466000,37466990,3133006],[37467000,37467970,3164902],[37468000,37469971,3152600],[37470000,37471959,3163706],[37472000,37472974,3114105],[37474000,37474970,3122801],[37476000,37476972,3120508],[37478000,37478970,3167806],[37480000,37481959,3137809],[37484000,37484970,3129202],[37485000,37485970,3135902],[37488000,37488970,3145505],[37490000,37493970,3162005],[37496000,37496970,3169802],[37498000,37498971,3119005],[37500001,37500972,3132404],[37500990,37500990,3152501],[37501000,37501054,3132404],[37501055,37501055,3105608],[37501056,37502008,3132404],[37502009,37502009,3105608],[37502010,37504006,3132404],[37504007,37504007,3105608],[37504008,37504008,3132404],[37504009,37504009,3105608],[37504010,37504078,3132404],[37504079,37504079,3105608],[37504080,37504128,3132404],[37504129,37504130,3105608],[37504131,37504350,3132404],[37504351,37504351,3105608],[37504352,37507970,3132404],[37508000,37509971,3151008],[37510000,37510970,3163201],[37511000,37511970,3150901],[37512000,37512970,3172202],[37513000,37514971,3121100],[37516000,37516971,3140407],[37517000,37517970,3139904],[37518000,37518000,3121100],[37518970,37518970,3139904],[37520000,37520970,3149101],[37524000,37524970,3144409],[37527000,37527971,3117207],[37530000,37535970,3108909],[37536001,37541959,3159605],[37542000,37543970,3124500],[37545000,37546971,3109709],[37548000,37548970,3117801],[37549000,37555970,3152501],[37556000,37556000,3113602],[37556002,37556870,3152501],[37556970,37556970,3113602],[37557000,37557000,3117900],[37557001,37557705,3152501],[37557970,37557970,3117900],[37558000,37558000,3165800],[37558002,37558850,3152501],[37558973,37558973,3165800],[37558975,37558975,3152501],[37559000,37559000,3131505],[37559470,37559718,3152501],[37559970,37559970,3131505],[37560000,37560000,3167400],[37560010,37560293,3152501],[37560970,37560970,3167400],[37561000,37562970,3152501],[37563000,37563971,3169059],[37564000,37565973,3108305],[37566000,37566972,3124401],[37567000,37567970,3164407],[37568000,37568970,3162302],[37570000,37574970,3146008],[37576000,37576970,3130606],[37578000,37578970,3109105],[37580000,37580970,3143401],[37582000,37582970,3113602],[37584000,37584970,3117900],[37586000,37586973,3165800],[37588000,37588970,3131505],[37589000,37589970,3167400],[37590000,37592970,3134905],[37594000,37594000,3165404],[37594971,37594971,3134905],[37596000,37596970,3101409],[37600000,37601959,3110608],[37605000,37605970,3119906],[37610000,37610970,3107901],[37615000,37618970,3165578],[37620000,37620970,3143807],[37630000,37630970,3169109],[37640000,37647899,3125101],[37650000,37653972,3110509],[37655000,37655970,3133600],[37660000,37665971,3147303],[37670000,37670970,3118502],[37680000,37680970,3127404],[37690000,37690970,3165404],[37700390,37719900,3151800],[37720000,37725970,3108404],[37730000,37730971,3111002],[37740000,37740970,3105301],[37750000,37755972,3139003],[37757000,37758970,3151701],[37760000,37760970,3114709],[37775000,37778971,3159209],[37780000,37787971,3110301],[37790000,37790971,3129905],[37795000,37797971,3102605],[37800000,37801959,3128709],[37805000,37805971,3136900],[37810000,37815971,3128303],[37820000,37820970,3104106],[37830001,37837899,3128709],[37838001,37843971,3102605],[37855000,37855972,3163904],[37860000,37865970,3145109],[37880000,37889970,3109501],[37890000,37890971,3144102],[37900001,37904899,3147907],[37905000,37905970,3126307],[37910000,37915971,3121209],[37920000,37920970,3162203],[37922000,37922970,3170602],[37925000,37925972,3151503],[37926000,37926970,3123403],[37927000,37929970,3164308],[37930000,37930970,3112802],[37940000,37940970,3101904],[37943000,37945972,3162948],[37948000,37948970,3107604],[37950000,37954454,3164704],[37955000,37955000,3132909],[37955006,37955580,3164704],[37955970,37955970,3132909],[37956000,37957899,3164704],[37958000,37959000,3143203],[37959002,37959042,3164704],[37959971,37959971,3143203],[37960000,37960970,3165107],[37965000,37965970,3134806],[37968000,37969971,3143203],[37970000,37970971,3152907],[37973000,37973970,3132909],[37975000,37975970,3133758],[37980000,37980970,3115102],[37990000,37990970,3129707],[37993000,37993970,3112406],[37994000,37994000,3127388],[37994971,37994971,3112406],[37997000,37997970,3116407],[38001959,38049753,3170107],[38049754,38049754,3122306],[38049756,38106970,3170107],[38108000,38108972,3121258],[38110000,38110971,3100708],[38120000,38126970,3117306],[38130000,38130970,3111408],[38140000,38145971,3152808],[38150000,38150970,3171105],[38160000,38160971,3145000],[38170000,38170970,3149804],[38175000,38176970,3157708],[38178000,38178970,3149200],[38180001,38184959,3104007],[38185000,38189000,3168101],[38190000,38193970,3156908],[38195000,38198970,3118205],[38200000,38208973,3127107],[38208974,38208974,3107109],[38210000,38210970,3150703],[38220000,38220970,3151602],[38230000,38239970,3127008],[38240000,38240971,3133402],[38250000,38250971,3116902],[38260000,38260970,3161304],[38270000,38272971,3111101],[38280000,38282971,3134400],[38288000,38288971,3170438],[38290000,38294971,3114550],[38295000,38295972,3138625],[38300001,38309899,3134202],[38310000,38315970,3129103],[38320000,38328971,3159803],[38350000,38350971,3131406],[38360000,38360970,3112604],[38370000,38370971,3109808],[38380000,38380970,3111804],[38390000,38390970,3115805],[38400010,38411725,3170206],[38411726,38411726,3122306],[38411727,38412264,3170206],[38412265,38412265,3122306],[38412266,38419970,3170206],[38420000,38420970,3142809],[38421003,38425627,3170206],[38430000,38430972,3169604],[38433001,38433019,3170206],[38435000,38435970,3103751],[38436016,38439973,3170206],[38440001,38455971,3103504],[38460000,38460972,3115003],[38465000,38465970,3103751],[38470000,38470973,3127909],[38475000,38475970,3142809],[38480000,38480972,3169604],[38490000,38490971,3130705],[38500000,38501959,3143104],[38510000,38510971,3131604],[38520000,38520970,3156403],[38525000,38528970,3124807],[38530000,38530971,3123502],[38540000,38540970,3100104],[38550000,38560971,3119302],[38570000,38570970,3128600],[38600000,38609990,3147006],[38610000,38624400,3170404],[38625000,38627970,3109451],[38630000,38630973,3170479],[38640000,38640975,3154457],[38649000,38649970,3170529],[38650000,38650970,3108206],[38654000,38654973,3122470],[38658000,38658972,3144375],[38660000,38665970,3109303],[38680000,38688970,3104502],[38689000,38689972,3116159],[38690000,38693970,3126208],[38700001,38711971,3148004],[38712000,38712000,3108008],[38712970,38717970,3148004],[38720000,38722971,3137502],[38730000,38730970,3128907],[38735000,38738971,3120706],[38740000,38749973,3148103],[38750000,38754971,3153400],[38755000,38755970,3137536],[38760000,38762970,3166808],[38770000,38773971,3136306],[38774000,38774000,3157807],[38774972,38778970,3136306],[38779000,38779970,3108552],[38780000,38782970,3171006],[38785000,38788971,3137106],[38790000,38792971,3161700],[38794000,38799970,3170750],[38800000,38804970,3162104],[38805000,38809970,3159704],[38810000,38810970,3155504],[38812000,38812000,3100203],[38812970,38819970,3155504],[38840000,38849000,3114303],[38860000,38860970,3103801],[38870000,38870970,3141207],[38880000,38890970,3168903],[38900000,38901959,3105103],[38910000,38910976,3130309],[38930000,38930972,3141306],[38950000,38955970,3129509],[38960000,38960970,3153004],[38970000,38975970,3111507],[38980000,38985971,3168200],[38990000,38995970,3119807],[39100000,39114971,3121605],[39120000,39120971,3127602],[39130000,39130976,3121001],[39135000,39135970,3153301],[39140000,39145971,3102407],[39150000,39159970,3167103],[39160000,39160971,3160207],[39165000,39165970,3166501],[39170000,39175970,3156007],[39180000,39180970,3125408],[39185000,39185970,3125507],[39188000,39188972,3120102],[39190000,39190970,3165909],[39200000,39203970,3119104],[39205000,39207970,3169356],[39210000,39213000,3160603],[39215000,39215972,3142502],[39218000,39218000,3160603],[39218970,39218970,3142502],[39219000,39220970,3104809],[39230000,39235971,3109204],[39237000,39238971,3125705],[39240000,39240970,3136405],[39243000,39243970,3131109],[39245000,39245972,3153202],[39248000,39248970,3143609],[39250000,39250970,3138104],[39260000,39265971,3170800],[39270000,39277899,3151206],[39280000,39288971,3109402],[39290000,39290971,3164209],[39295000,39295970,3157609],[39300000,39313971,3161106],[39314000,39314971,3116159],[39315000,39315973,3170529],[39317000,39317972,3150570],[39318000,39318972,3130051],[39320000,39325970,3170008],[39328000,39328972,3152131],[39330000,39332971,3108602],[39334000,39334000,3138682],[39334200,39334973,3108602],[39335000,39335973,3135357],[39336000,39337971,3138682],[39338000,39338972,3111150],[39340000,39341971,3118809],[39342000,39342000,3161502],[39342971,39347971,3118809],[39348000,39348000,3162922],[39348971,39348971,3118809],[39350000,39350974,3129608],[39355000,39358970,3162252],[39360000,39360970,3137304],[39363000,39363971,3123809],[39365000,39368970,3162658],[39370000,39370970,3135605],[39373000,39375970,3142007],[39378000,39378972,3147956],[39380000,39385971,3116506],[39387000,39387972,3126604],[39390000,39395000,3107307],[39397000,39397972,3128253],[39398000,39398972,3145455],[39400000,39400572,3143302],[39400574,39400574,3106200],[39400575,39401710,3143302],[39401711,39401711,3106200],[39401712,39404594,3143302],[39404595,39404595,3106200],[39404596,39404596,3143302],[39404597,39404597,3106200],[39404598,39404598,3143302],[39404599,39404599,3106200],[39404600,39404600,3143302],[39404601,39404601,3106200],[39404602,39404602,3143302],[39404603,39404603,3106200],[39404604,39404604,3143302],[39404605,39404605,3106200],[39404606,39404606,3143302],[39404607,39404607,3106200],[39404608,39408439,3143302],[39408605,39408605,3106200],[39408860,39416970,3143302],[39417000,39417971,3123809],[39420000,39423970,3142007],[39425000,39425972,3147956],[39429100,39429970,3143302],[39430000,39435971,3162401],[39437000,39439970,3138658],[39440000,39444971,3135100],[39445000,39445000,3112703],[39445003,39445774,3135100],[39445970,39445970,3112703],[39447000,39447853,3135100],[39448000,39448000,3112703],[39448500,39448899,3135100],[39448971,39449000,3112703],[39449300,39449600,3135100],[39449970,39449970,3112703],[39449971,39449973,3135100],[39450000,39452971,3170909],[39455000,39457971,3129657],[39458000,39458973,3171030],[39460000,39463970,3139300],[39465000,39465972,3142254],[39467000,39469970,3136959],[39470000,39470970,3132107],[39472000,39474970,3112703],[39475000,39477971,3162450],[39478000,39478973,3140852],[39480000,39485970,3135209],[39488000,39488000,3162922],[39488970,39488970,3135209],[39489000,39489972,3117836],[39490000,39490973,3108255],[39492000,39494970,3149150],[39495000,39499971,3142700],[39500000,39500970,3142908],[39505000,39507970,3127339],[39508000,39508973,3135050],[39510000,39515970,3124302],[39516000,39516973,3139250],[39517000,39517973,3146552],[39518000,39518973,3166956],[39520000,39524972,3152204],[39525000,39525972,3145059],[39526000,39526973,3115474],[39527000,39528971,3141009],[39529000,39529971,3154507],[39530000,39532971,3155603],[39535000,39535972,3170651],[39536000,39536974,3130655],[39538000,39538972,3160454],[39540000,39545000,3162708],[39547000,39547972,3143450],[39550000,39550975,3168002],[39553000,39553972,3144656],[39555000,39555973,3106655],[39558000,39558972,3127073],[39560000,39562971,3157005],[39563000,39563972,3157377],[39565000,39565973,3156502],[39568000,39568972,3145372],[39569000,39569971,3120870],[39570000,39572970,3127800],[39573000,39573972,3146255],[39575000,39575972,3136579],[39580000,39585971,3126703],[39590000,39590970,3136801],[39592000,39592973,3127354],[39594000,39594970,3132008],[39595000,39597971,3108503],[39598000,39598971,3120300],[39600000,39605970,3103405],[39610000,39610972,3134004],[39613000,39618971,3152170],[39620000,39623971,3141405],[39625000,39625970,3133303],[39628000,39629971,3117009],[39630000,39634000,3171600],[39635000,39637970,3119500],[39640000,39640972,3106507],[39642000,39642971,3136520],[39644000,39644972,3126505],[39645000,39645971,3135456],[39648000,39648974,3116100],[39650000,39654970,3141801],[39655000,39658970,3138351],[39660000,39662971,3169703],[39663000,39664971,3171071],[39665000,39665970,3113503],[39670000,39676971,3132503],[39678000,39678972,3104452],[39680000,39680971,3112307],[39685000,39685971,3102852],[39688000,39688973,3165552],[39690000,39693970,3139201],[39695000,39697971,3126752],[39700000,39702973,3148608],[39703000,39703971,3112059],[39704000,39704000,3161502],[39704970,39706971,3162807],[39707000,39707970,3163508],[39708000,39708970,3126950],[39710000,39712970,3119203],[39715000,39715970,3171907],[39716000,39716000,3122009],[39716970,39716970,3171907],[39718000,39718970,3144201],[39720000,39721970,3127503],[39723000,39723971,3161601],[39725000,39725972,3157500],[39728000,39728970,3165503],[39730000,39730970,3171808],[39735000,39735970,3122207],[39740000,39744970,3128006],[39745000,39748970,3166105],[39750000,39753971,3156809],[39755000,39755973,3140605],[39765000,39765970,3148400],[39770000,39770970,3116803],[39775000,39775972,3136553],[39780000,39783971,3158201],[39784000,39784976,3164100],[39785000,39785972,3163003],[39790000,39790972,3100609],[39795000,39797000,3164506],[39800001,39805899,3168606],[39806000,39806000,3106309],[39807000,39809978,3168606],[39810000,39813971,3113008],[39814000,39814971,3148509],[39815000,39815970,3132305],[39816000,39816972,3115458],[39817000,39817970,3145356],[39818000,39818971,3146305],[39820000,39824971,3145307],[39825000,39826970,3137007],[39827000,39829971,3152402],[39830000,39833970,3132701],[39835000,39835971,3110806],[39837000,39837972,3135076],[39839000,39839000,3132701],[39840000,39842970,3126802],[39848000,39848971,3163300],[39850000,39853971,3104700],[39855000,39855970,3146206],[39860000,39862970,3144300],[39864000,39866971,3113701],[39868000,39868972,3166709],[39870000,39870973,3127057],[39873000,39873970,3138906],[39874000,39874974,3157658],[39875000,39875973,3106606],[39877000,39877000,3157658],[39878000,39878971,3170305],[39880000,39880972,3100906],[39885000,39888970,3120151],[39890000,39890972,3136009],[39893000,39893972,3143153],[39895000,39895971,3125606],[39900000,39910971,3101706],[39912000,39912970,3122454],[39915000,39915971,3140555],[39917000,39917972,3105202],[39920000,39923970,3136504],[39925000,39925970,3157104],[39928000,39928970,3158102],[39930000,39933971,3134707],[39935000,39937971,3160306],[39940000,39940970,3155108],[39945000,39948971,3146750],[39950000,39955972,3156601],[39960000,39961970,3135803],[39965000,39965000,3128402],[39965970,39965970,3135803],[39970000,39976970,3148707],[39980000,39980972,3102704],[39990000,39990976,3101003],[39993000,39993000,3132602],[39993970,39993970,3101003],[39995000,39995971,3122355],[39998000,39998000,3120870],[40000990,42510280,2927408],[42600000,42600990,2919926],[42700000,42749899,2919207],[42800001,42823990,2905701],[42825000,42825000,2902708],[42825001,42831842,2905701],[42833000,42833000,2902708],[42833997,42840992,2905701],[42841000,42841000,2907509],[42841360,42849000,2905701],[42850000,42850990,2910057],[43700000,43730385,2930709],[43800990,43846970,2906501],[43850000,43850991,2929503],[43855000,43855000,2919108],[43855970,43870971,2929503],[43900000,43980970,2929206],[44001001,44120971,2910800],[44125000,44125000,2917706],[44125970,44140970,2910800],[44150000,44156970,2927507],[44160000,44160970,2931103],[44180000,44180970,2901700],[44190000,44190970,2928802],[44200000,44218990,2928604],[44220000,44220972,2929750],[44230000,44240970,2901106],[44245000,44249971,2908507],[44250000,44254970,2908903],[44255000,44258971,2914505],[44260000,44265971,2928307],[44270000,44275970,2931707],[44280000,44285970,2931400],[44300000,44300970,2904902],[44310000,44310000,2929305],[44310970,44310970,2904902],[44315000,44315000,2929305],[44315970,44315970,2904902],[44320000,44320990,2908200],[44330000,44338970,2929305],[44340000,44343971,2922300],[44345000,44349970,2904852],[44350000,44359000,2911600],[44359970,44359970,2925931],[44360000,44365000,2929008],[44380000,44380970,2909802],[44400000,44400970,2922508],[44420000,44430000,2920601],[44430070,44430959,2928703],[44430970,44430970,2920601],[44430971,44431410,2928703],[44432000,44432000,2920601],[44432120,44432180,2928703],[44432970,44432970,2920601],[44434000,44449020,2928703],[44450000,44450991,2927309],[44460000,44460991,2916104],[44470000,44478990,2933208],[44480000,44488970,2917805],[44490000,44495970,2902302],[44500000,44510970,2907301],[44520000,44525970,2925956],[44530000,44535971,2929602],[44540000,44548970,2908309],[44550000,44555000,2929107],[44560000,44560970,2910206],[44565000,44568970,2933174],[44570330,44574899,2928703],[44575000,44575971,2922201],[44578000,44578000,2928703],[44579000,44579000,2922201],[44580000,44580970,2929404],[44590000,44590970,2928505],[44600000,44600970,2914000],[44610000,44610970,2924652],[44620000,44620970,2902609],[44630000,44634970,2920106],[44635000,44635972,2933059],[44640000,44641970,2926301],[44642000,44642970,2922730],[44645000,44645970,2906857],[44650000,44650970,2911253],[44655000,44655970,2924058],[44660000,44660972,2930402],[44670000,44677000,2901502],[44680000,44685970,2913804],[44690000,44690970,2933158],[44695000,44697971,2906873],[44698000,44699970,2929370],[44700000,44706970,2917508],[44708000,44708000,2916203],[44708970,44708970,2917508],[44710000,44710970,2930600],[44713000,44713970,2925931],[44715000,44715970,2933109],[44718000,44718972,2923357],[44720000,44727971,2921203],[44730000,44730970,2905107],[44740000,44740970,2929800],[44745000,44748971,2921401],[44750000,44750970,2905503],[44755000,44755970,2925253],[44757000,44757000,2902708],[44770000,44774971,2924603],[44775000,44775970,2910859],[44780000,44780971,2901809],[44790000,44797970,2906006],[44798000,44798970,2932457],[44800000,44810970,2922102],[44820009,44824350,2906873],[44825000,44825000,2922102],[44825899,44825899,2906873],[44825970,44825970,2922102],[44828000,44828000,2906873],[44830000,44837970,2924801],[44840000,44845971,2931301],[44850000,44860000,2921708],[44860001,44861360,2914604],[44862000,44862000,2921708],[44862785,44862890,2914604],[44862970,44862970,2921708],[44863040,44864560,2914604],[44865000,44865000,2921708],[44865045,44865545,2914604],[44865970,44865970,2921708],[44867008,44874525,2914604],[44875000,44875000,2921708],[44875700,44878000,2914604],[44880000,44882170,2905305],[44885000,44885970,2922052],[44888000,44888000,2905305],[44889000,44889000,2906824],[44890000,44892970,2906204],[44895000,44895973,2903235],[44898000,44898000,2906204],[44900000,44904970,2914604],[44905000,44905971,2919157],[44910000,44910970,2901155],[44911000,44911000,2903508],[44911020,44914970,2901155],[44915000,44919970,2929255],[44920000,44920971,2918357],[44925000,44928970,2918506],[44930000,44930970,2925600],[44935000,44935000,2906006],[44935971,44935971,2925600],[44940000,44940970,2907608],[44950000,44955970,2932408],[44960000,44965971,2913101],[44970000,44975971,2912400],[44990000,44996970,2903003],[45000010,45104970,2933307],[45105000,45105000,2913507],[45106000,45119970,2933307],[45120000,45128000,2902906],[45130000,45130970,2904803],[45140000,45145970,2915809],[45150000,45150970,2910404],[45153000,45153000,2906709],[45155000,45156970,2926657],[45157000,45159970,2906709],[45160000,45160970,2903508],[45170000,45175971,2931806],[45177000,45178970,2906899],[45180000,45185970,2901205],[45190000,45195971,2925006],[45200005,45202680,2918001],[45202685,45202685,2927408],[45202690,45202710,2918001],[45202715,45202715,2927408],[45202720,45214971,2918001],[45215000,45215970,2918704],[45220000,45220970,2900603],[45225000,45225990,2918308],[45230000,45230970,2915106],[45240000,45245970,2920403],[45250000,45250971,2903706],[45255000,45255970,2921450],[45256000,45256000,2905156],[45258000,45258000,2903953],[45260000,45262868,2925105],[45263000,45263000,2903953],[45263014,45263074,2925105],[45263959,45263970,2903953],[45264230,45264616,2925105],[45265000,45265000,2905156],[45265230,45265498,2925105],[45265959,45265971,2905156],[45270000,45275971,2922706],[45280000,45285970,2913507],[45290000,45298970,2912301],[45300000,45303970,2901007],[45305000,45306970,2910305],[45310000,45313000,2932101],[45315000,45318970,2921302],[45320000,45320970,2927903],[45325000,45328970,2904308],[45330000,45330970,2909505],[45340000,45340970,2916708],[45345000,45347970,2917607],[45350000,45350972,2916906],[45355000,45355970,2901957],[45358000,45358000,2916906],[45360000,45360970,2920502],[45365000,45365970,2919058],[45370000,45370970,2914208],[45375000,45378970,2924900],[45380000,45380000,2932101],[45380970,45380970,2924900],[45390000,45398000,2922805],[45400000,45414971,2932903],[45416000,45416972,2925758],[45420000,45428971,2905404],[45430000,45434970,2931202],[45435000,45435970,2917300],[45436000,45436970,2924678],[45440000,45440970,2922607],[45443000,45443970,2913457],[45445000,45449970,2905800],[45450000,45450970,2911204],[45452000,45452970,2922755],[45455000,45455970,2915700],[45460000,45460970,2933505],[45465000,45465970,2931608],[45470000,45470970,2918209],[45480000,45480970,2922409],[45490000,45498970,2918803],[45500000,45500992,2912707],[45520000,45525000,2920700],[45530000,45534000,2914901],[45540000,45543971,2911501],[45545000,45546970,2932200],[45550000,45550992,2932309],[45560000,45560991,2903102],[45570000,45570991,2913903],[45580000,45582970,2912905],[45585000,45588970,2915205],[45590000,45590973,2910008],[45600002,45609230,2914802],[45610000,45610000,2918555],[45610002,45614899,2914802],[45615000,45615970,2904704],[45620000,45620970,2929354],[45622000,45624970,2918555],[45625000,45625970,2903300],[45630000,45635970,2915502],[45638000,45638970,2908002],[45640000,45640970,2900900],[45645000,45648970,2916609],[45650015,45650015,2913606],[45650018,45650018,2927408],[45650023,45651250,2913606],[45651252,45651252,2927408],[45651255,45651255,2913606],[45651257,45651257,2927408],[45651260,45651265,2913606],[45651267,45651269,2927408],[45651270,45651292,2913606],[45651294,45651294,2927408],[45651300,45651520,2913606],[45651522,45651528,2927408],[45651530,45651730,2913606],[45651732,45651739,2927408],[45651740,45651760,2913606],[45651763,45651763,2927408],[45651764,45651764,2913606],[45651765,45651765,2927408],[45651766,45651766,2913606],[45651767,45651767,2927408],[45651770,45651770,2913606],[45651772,45651772,2927408],[45651773,45651774,2913606],[45651776,45651778,2927408],[45651780,45651780,2913606],[45651790,45651796,2927408],[45651970,45652135,2913606],[45652137,45652137,2927408],[45652140,45653260,2913606],[45653265,45653265,2927408],[45653270,45653295,2913606],[45653297,45653297,2927408],[45653300,45653670,2913606],[45653675,45653675,2927408],[45653680,45653700,2913606],[45653702,45653708,2927408],[45653710,45653710,2913606],[45653712,45653718,2927408],[45653720,45653720,2913606],[45653722,45653730,2927408],[45653750,45656263,2913606],[45656265,45656265,2927408],[45656267,45657018,2913606],[45657020,45657020,2927408],[45657022,45657145,2913606],[45657150,45657150,2927408],[45657155,45658050,2913606],[45658055,45658065,2927408],[45658070,45658070,2913606],[45658075,45658075,2927408],[45658080,45658165,2913606],[45658170,45658170,2927408],[45658180,45658626,2913606],[45658627,45658627,2927408],[45658630,45659029,2913606],[45659030,45659030,2927408],[45659031,45659201,2913606],[45659202,45659203,2927408],[45659205,45659205,2913606],[45659207,45659209,2927408],[45659210,45659220,2913606],[45659222,45659224,2927408],[45659225,45659225,2913606],[45659226,45659228,2927408],[45659230,45659233,2913606],[45659235,45659235,2927408],[45659237,45659263,2913606],[45659265,45659265,2927408],[45659267,45659287,2913606],[45659290,45659290,2927408],[45659291,45659291,2913606],[45659292,45659292,2927408],[45659293,45659293,2913606],[45659294,45659294,2927408],[45659295,45659295,2913606],[45659296,45659296,2927408],[45659297,45659299,2913606],[45659300,45659300,2927408],[45659301,45659303,2913606],[45659305,45659320,2927408],[45659323,45659323,2913606],[45659325,45659325,2927408],[45659327,45659329,2913606],[45659330,45659330,2927408],[45659331,45659333,2913606],[45659335,45659335,2927408],[45659337,45659339,2913606],[45659340,45659340,2927408],[45659341,45659343,2913606],[45659345,45659345,2927408],[45659347,45659349,2913606],[45659350,45659350,2927408],[45659351,45659353,2913606],[45659355,45659355,2927408],[45659357,45659359,2913606],[45659360,45659360,2927408],[45659361,45659363,2913606],[45659365,45659365,2927408],[45659367,45659367,2913606],[45659370,45659385,2927408],[45659387,45659389,2913606],[45659390,45659390,2927408],[45659391,45659393,2913606],[45659395,45659395,2927408],[45659397,45659399,2913606],[45659400,45659400,2927408],[45659401,45659403,2913606],[45659405,45659405,2927408],[45659407,45659409,2913606],[45659410,45659410,2927408],[45659411,45659411,2913606],[45659412,45659412,2927408],[45659413,45659413,2913606],[45659414,45659414,2927408],[45659415,45659415,2913606],[45659416,45659416,2927408],[45659417,45659417,2913606],[45659418,45659418,2927408],[45659419,45659419,2913606],[45659420,45659420,2927408],[45659421,45672993,2913606],[45673000,45675991,2902401],[45676000,45676000,2918803],[45676971,45678970,2902401],[45680000,45689000,2932705],[45690000,45690974,2932507],[45695000,45698971,2902252],[45700000,45709970,2916401],[45710000,45712970,2917102],[45714000,45714000,2916856],[45714970,45714970,2917102],[45720000,45723970,2910909],[45725000,45725970,2927804],[45730000,45736970,2915403],[45740000,45740970,2911006],[45745000,45745990,2912103],[45750000,45750970,2916203],[45760000,45760970,2919702],[45770000,45770970,2920007],[45780000,45785970,2916807],[45790000,45795970,2925402],[45800000,45800970,2903409],[45803000,45803000,2927705],[45803970,45804970,2903409],[45805000,45805000,2927705],[45805970,45806970,2903409],[45807000,45807970,2927705],[45810000,45819990,2925303],[45820002,45833000,2910727],[45834000,45834970,2918456],[45836000,45836970,2915601],[45837000,45839000,2910727],[45840000,45845970,2911808],[45848000,45848970,2914653],[45850000,45850971,2915304],[45855000,45858970,2916302],[45860000,45860970,2906303],[45862000,45863000,2928059],[45863970,45863970,2906303],[45865000,45865970,2928059],[45870000,45876970,2920908],[45880000,45880990,2905602],[45890000,45890970,2923902],[45900000,45909970,2906907],[45910000,45915000,2900801],[45920000,45928970,2923001],[45930000,45938970,2922003],[45940000,45940970,2912806],[45950000,45950970,2918902],[45955000,45958000,2933257],[45960000,45968970,2921104],[45970000,45975970,2916005],[45980000,45983971,2925501],[45985001,45998970,2931350],[45999000,45999000,2904902],[46100000,46101959,2904605],[46103000,46103000,2916708],[46103372,46109970,2904605],[46110000,46110000,2920304],[46110038,46110364,2904605],[46110959,46110970,2920304],[46111800,46125500,2904605],[46127000,46127970,2920304],[46130000,46134970,2902005],[46140000,46150970,2919504],[46165000,46165970,2910107],[46170000,46177971,2926707],[46180000,46180970,2900504],[46190000,46197970,2923605],[46197971,46197971,2906899],[46200000,46203970,2908705],[46205000,46205970,2911659],[46220000,46225970,2926806],[46250000,46253899,2925709],[46255000,46255970,2919959],[46270000,46270970,2924702],[46280000,46280970,2909000],[46290000,46290970,2921807],[46300000,46300971,2905008],[46310000,46320970,2917409],[46330000,46335970,2919405],[46350000,46350970,2932606],[46360000,46370970,2924504],[46380000,46388971,2906600],[46390000,46390970,2912004],[46400000,46420970,2905206],[46425000,46425970,2918753],[46430000,46436970,2911709],[46438000,46439500,2917334],[46440000,46444000,2920205],[46445000,46445971,2907103],[46446000,46446971,2910776],[46450000,46455970,2930006],[46460000,46469970,2923407],[46470000,46478970,2926400],[46480000,46480970,2921054],[46490000,46490970,2913408],[46500000,46520971,2919801],[46530000,46535970,2904100],[46540000,46540970,2912509],[46550000,46560970,2926905],[46570000,46572894,2904209],[46575000,46575970,2907558],[46580000,46580970,2931053],[46600000,46605970,2931004],[46620000,46630970,2908804],[46640000,46640970,2917201],[46650000,46660970,2902807],[46670000,46680970,2918605],[46690000,46695970,2900108],[46700000,46720970,2913002],[46730000,46738970,2923035],[46740000,46745971,2904001],[46750000,46755971,2921906],[46760000,46760971,2912202],[46765000,46768970,2924306],[46770000,46775970,2914307],[46780000,46785970,2920809],[46790000,46790973,2915007],[46800000,46804970,2927200],[46805000,46805971,2919603],[46810000,46815970,2932804],[46820000,46820971,2904050],[46825000,46825970,2919009],[46830000,46834970,2901304],[46835000,46835970,2922854],[46840000,46840970,2912608],[46850000,46855000,2903805],[46860000,46865970,2911907],[46868000,46868000,2918803],[46868970,46868970,2911907],[46875000,46875970,2916856],[46880000,46880991,2914703],[46900000,46920970,2929909],[46930000,46940971,2923506],[46960000,46966970,2919306],[46970000,46970970,2933406],[46980000,46985970,2914406],[46990000,46990972,2930808],[47100000,47110970,2902708],[47115000,47115990,2922250],[47120000,47120970,2904753],[47150000,47156970,2928406],[47160000,47165970,2920452],[47200000,47200970,2926004],[47210000,47230970,2905909],[47240000,47240970,2924405],[47250000,47270000,2905909],[47300000,47300971,2907202],[47310000,47310000,2928208],[47310970,47340000,2907202],[47350000,47355000,2930204],[47360000,47390000,2907202],[47400000,47430970,2933604],[47440000,47440971,2915353],[47450000,47490970,2911303],[47500000,47507970,2923704],[47520000,47525970,2913200],[47530000,47550970,2923209],[47560000,47570970,2904506],[47580000,47585970,2921609],[47590000,47595970,2914109],[47600000,47608970,2903904],[47610000,47620971,2930758],[47630000,47634899,2930154],[47640000,47648970,2928109],[47650000,47654970,2909307],[47655000,47655970,2917359],[47665000,47672296,2929057],[47680000,47680970,2908101],[47690000,47699970,2909109],[47700000,47710970,2928208],[47730000,47730970,2906105],[47740000,47740970,2930303],[47750000,47750970,2904407],[47760000,47770970,2930907],[47800000,47804404,2903201],[47804500,47804500,2910800],[47804501,47814552,2903201],[47815000,47815000,2907400],[47815005,47819899,2903201],[47820000,47827970,2928901],[47830000,47840970,2902500],[47845000,47845970,2907400],[47850000,47865899,2919553],[47900000,47930971,2909406],[47940000,47940970,2933455],[47950000,47950970,2909703],[47960000,47966970,2901403],[47970000,47980970,2926202],[47990000,47990970,2911105],[48000001,48105971,2900702],[48107000,48108992,2902054],[48110000,48115970,2907509],[48120000,48120992,2925204],[48126000,48126000,2921401],[48130000,48130990,2902203],[48140000,48140970,2924108],[48150000,48150970,2923308],[48170000,48175970,2900405],[48180000,48190972,2910503],[48280000,48289000,2921005],[48290000,48290990,2915908],[48300000,48300991,2908606],[48310000,48315000,2917904],[48320000,48325000,2901908],[48330000,48330970,2927002],[48350000,48355971,2901908],[48360000,48360970,2900306],[48370000,48382970,2910602],[48390000,48390990,2907004],[48400000,48404970,2926608],[48405000,48405970,2902658],[48409000,48409000,2926608],[48410000,48414000,2907806],[48415000,48415970,2910750],[48420000,48420975,2901601],[48430000,48430971,2923803],[48435000,48435970,2900355],[48440000,48443970,2926509],[48445000,48445970,2911857],[48450000,48450970,2907905],[48455000,48455970,2923050],[48460000,48460970,2922904],[48470000,48470970,2923100],[48473000,48476970,2916500],[48480000,48483970,2909604],[48485000,48489970,2929701],[48490000,48490973,2913705],[48500000,48510970,2910701],[48520000,48524971,2906824],[48540000,48560970,2918100],[48565000,48565972,2930766],[48570000,48570970,2927606],[48580000,48580970,2924207],[48590000,48590970,2909208],[48601000,48609600,2924009],[48610000,48610000,2911402],[48610200,48619899,2924009],[48620000,48620970,2911402],[48630000,48630970,2927101],[48650000,48650970,2919900],[48660000,48660973,2907707],[48668000,48668000,2902708],[48668970,48668970,2907707],[48680000,48685000,2900207],[48700000,48700972,2930501],[48705000,48705970,2903276],[48710000,48710970,2906402],[48720000,48720970,2919108],[48725000,48725970,2913309],[48730000,48747971,2908408],[48750000,48750970,2926103],[48760000,48767000,2902104],[48770000,48770972,2931509],[48780000,48780970,2903607],[48790000,48794970,2931905],[48800000,48800970,2921500],[48830000,48832970,2925907],[48840000,48840970,2906808],[48850000,48859970,2917003],[48860000,48860973,2925808],[48870000,48870970,2922656],[48880000,48880971,2928000],[48890000,48893000,2933000],[48895000,48895971,2928950],[48900002,48924970,2918407],[48925000,48925970,2930774],[48930000,48935970,2909901],[48940000,48945000,2918407],[48950000,48953971,2932002],[48955000,48955000,2905503],[48960000,48967970,2917706],[48970000,48986970,2930105],[48990000,48993970,2901353],[48994000,48994000,2931103],[48994970,48994970,2901353],[49000001,49097970,2800308],[49099000,49099700,2800506],[49100000,49109899,2806701],[49120000,49120972,2803203],[49130000,49130970,2805901],[49140000,49143538,2800605],[49150000,49164899,2804805],[49170000,49170991,2803609],[49180000,49180970,2806602],[49190000,49190970,2805307],[49200000,49200972,2802106],[49220000,49220971,2800407],[49230000,49230970,2806305],[49250000,49250970,2802809],[49260000,49260970,2807600],[49270000,49270970,2801702],[49280000,49280970,2807501],[49290000,49290971,2803005],[49300000,49300972,2807402],[49310000,49325000,2805802],[49350000,49350970,2805109],[49360000,49360970,2800670],[49390000,49390970,2806206],[49400000,49400990,2803500],[49480000,49480990,2807105],[49490000,49490970,2805505],[49500000,49511899,2802908],[49512000,49512970,2805000],[49514000,49514971,2802304],[49517000,49517970,2805208],[49520000,49520970,2801009],[49525000,49525970,2806800],[49530000,49530971,2806008],[49535000,49535970,2807006],[49540000,49540971,2804458],[49550000,49555000,2801405],[49560000,49560970,2804102],[49565000,49565970,2803708],[49570000,49570970,2803906],[49580000,49580970,2800506],[49600000,49600970,2804607],[49630000,49630970,2807204],[49640000,49640970,2806503],[49650000,49650970,2802007],[49660000,49660970,2801900],[49670000,49670970,2802205],[49680000,49680970,2804508],[49690000,49690970,2804201],[49700000,49710000,2801306],[49740000,49740971,2801504],[49750000,49750970,2802502],[49760000,49760970,2806107],[49770000,49770970,2804003],[49780000,49780970,2804300],[49790000,49790970,2800209],[49800000,49800974,2805604],[49810000,49810970,2805406],[49820000,49820972,2801207],[49830000,49835000,2802403],[49840000,49840000,2805604],[49860000,49860970,2802601],[49870000,49870970,2803104],[49880000,49880970,2801108],[49890000,49890970,2804706],[49900000,49900971,2805703],[49910000,49910970,2807303],[49920000,49920970,2800100],[49930000,49930970,2801603],[49940000,49940971,2803807],[49945000,49945970,2806909],[49950000,49950970,2803401],[49960000,49960971,2803302],[49970000,49970970,2804904],[49980000,49980970,2804409],[49985000,49985972,2806404],[49990000,49990971,2802700],[49995000,49995970,2800704],[50010000,52999899,2611606],[53010000,53399899,2609600],[53401000,53499899,2610707],[53500990,53590991,2600054],[53605000,53670970,2606804],[53690000,53690970,2601052],[53700000,53700990,2607752],[53900000,53900970,2607604],[53990000,53990970,2605459],[54070000,54499899,2607901],[54500990,54590970,2602902],[54705000,54749990,2613701],[54753000,54799899,2603454],[54800000,54800990,2609402],[55000990,55103000,2604106],[55105000,55105000,2608800],[55105970,55106500,2604106],[55108000,55108000,2608800],[55108500,55108970,2604106],[55110000,55110000,2601706],[55110970,55112600,2604106],[55120000,55120992,2611705],[55121000,55121000,2615409],[55121971,55121990,2611705],[55122000,55122000,2615409],[55122970,55123000,2611705],[55125000,55125990,2615409],[55130000,55138000,2613107],[55140000,55145971,2614709],[55150000,55169000,2601706],[55170000,55178970,2602605],[55180000,55185970,2608008],[55190000,55197899,2612505],[55198000,55198000,2610301],[55198970,55199970,2612505],[55200000,55205990,2610905],[55210000,55210000,2606002],[55210970,55211000,2610905],[55215000,55215000,2606002],[55215970,55215990,2610905],[55220000,55220000,2606002],[55220970,55220970,2610905],[55225000,55225000,2606002],[55225970,55225990,2610905],[55240000,55247970,2611200],[55250000,55258970,2612406],[55260000,55265990,2600609],[55270000,55275970,2616001],[55280000,55287000,2610806],[55291000,55302990,2606002],[55303000,55303000,2615102],[55303970,55303990,2606002],[55304000,55304000,2615102],[55304970,55304970,2606002],[55305000,55305970,2615102],[55310000,55310970,2610103],[55315000,55316000,2604700],[55317000,55317000,2610103],[55317970,55317970,2604700],[55320000,55323000,2608602],[55325000,55325970,2602407],[55330000,55338970,2602100],[55340000,55343970,2600500],[55345000,55347000,2606507],[55350000,55354000,2612307],[55355000,55355990,2610301],[55360000,55360970,2603207],[55365000,55365970,2603801],[55370000,55374970,2613008],[55375000,55375970,2603306],[55380000,55380970,2603108],[55383000,55383000,2608800],[55383971,55383971,2603108],[55385000,55385970,2608800],[55390000,55390970,2606705],[55395000,55395970,2608305],[55398000,55399970,2608255],[55400000,55401000,2604205],[55402000,55402000,2609204],[55402970,55402970,2604205],[55405000,55408970,2609204],[55409000,55409970,2607950],[55410000,55410970,2612901],[55412000,55412000,2611507],[55412970,55412970,2612901],[55415000,55418970,2611507],[55420000,55425973,2603702],[55430000,55430970,2601003],[55435000,55435970,2613206],[55440000,55445970,2601508],[55450000,55458970,2608701],[55460000,55465000,2605004],[55470000,55478970,2610202],[55480000,55485970,2608404],[55490000,55493970,2600807],[55495000,55495973,2600302],[55496000,55496000,2600807],[55496970,55497000,2600302],[55498000,55498000,2600807],[55498970,55498970,2600302],[55500000,55506970,2605202],[55510000,55510990,2611408],[55515000,55515970,2600906],[55520000,55524970,2611804],[55525000,55525971,2604809],[55530000,55530970,2605905],[55533000,55535970,2608206],[55540000,55548970,2610004],[55550000,55550972,2600401],[55552000,55552000,2612802],[55552970,55552970,2600401],[55555000,55555970,2616506],[55560000,55560972,2601409],[55564000,55565992,2613404],[55570000,55570970,2611903],[55572000,55572000,2614857],[55572970,55572970,2611903],[55575000,55575000,2614857],[55575970,55575972,2611903],[55578000,55578970,2614857],[55580000,55588970,2614204],[55590000,55598900,2607208],[55602000,55618970,2616407],[55620000,55625970,2606101],[55630000,55634000,2611309],[55636000,55636971,2604502],[55640001,55648000,2606408],[55650000,55650973,2610509],[55652000,55652000,2604908],[55652970,55652970,2610509],[55655000,55655970,2604908],[55655990,55655990,2613404],[55658000,55658990,2604908],[55660000,55660993,2601904],[55661000,55661000,2603504],[55661990,55661990,2601904],[55662000,55662000,2603504],[55662970,55664500,2601904],[55665000,55665970,2603504],[55670000,55674970,2613305],[55675000,55675970,2612109],[55680000,55685971,2602308],[55690000,55690970,2601300],[55695000,55695971,2612000],[55700000,55708264,2608909],[55715000,55715970,2605400],[55720000,55720970,2608107],[55730000,55735970,2602209],[55740000,55740970,2609105],[55745000,55748971,2609709],[55750000,55753500,2614501],[55755000,55756000,2604155],[55757000,55757000,2614501],[55757500,55757500,2604155],[55758000,55759000,2614501],[55760000,55760971,2616183],[55765000,55767000,2612703],[55770000,55776000,2616209],[55780000,55780990,2605806],[55790000,55798970,2615003],[55800000,55800970,2609501],[55805000,55805970,2615508],[55811000,55819971,2604007],[55820000,55820970,2608453],[55825000,55825990,2610608],[55835000,55835971,2604403],[55840000,55840970,2608503],[55845000,55845970,2602704],[55850000,55855000,2616308],[55860000,55863970,2613800],[55865000,55865970,2609006],[55870000,55878000,2615300],[55880000,55880970,2605509],[55890000,55898970,2600708],[55900000,55909000,2606200],[55920000,55929970,2607653],[55930000,55930970,2603603],[55940000,55940970,2604601],[55950000,55950971,2607802],[56000000,56060000,2612208],[56105000,56105000,2614006],[56105970,56105970,2612208],[56110000,56110000,2614006],[56110971,56110971,2612208],[56115000,56115000,2614006],[56115970,56115970,2612208],[56120000,56125000,2616100],[56130000,56130970,2604304],[56140000,56149000,2614006],[56150000,56155000,2614303],[56160000,56160970,2606309],[56163000,56168000,2610400],[56170000,56170970,2609808],[56180000,56180970,2603009],[56190000,56190970,2615201],[56200000,56205000,2609907],[56210000,56210970,2612554],[56215000,56215971,2612455],[56220000,56228970,2602001],[56230000,56236971,2605301],[56240000,56240000,2601102],[56240970,56240970,2605301],[56245000,56245000,2601102],[56245970,56245970,2605301],[56250000,56250975,2615607],[56260000,56265970,2607307],[56270000,56270000,2601102],[56270970,56270970,2607307],[56280000,56287970,2601102],[56300990,56347000,2611101],[56350000,56350000,2605152],[56353700,56354500,2611101],[56355000,56355974,2605152],[56360000,56365970,2600203],[56370000,56370000,2611200],[56370970,56370970,2600203],[56375000,56375000,2611200],[56375970,56375970,2600203],[56380000,56386000,2612604],[56390000,56396000,2608750],[56400000,56401970,2605707],[56410000,56410000,2614808],[56410970,56410970,2605707],[56415000,56415000,2614808],[56420000,56420970,2603926],[56430000,56430970,2607406],[56440000,56445970,2601607],[56450000,56450000,2614808],[56450970,56450972,2601607],[56460000,56460970,2611002],[56470000,56475000,2608057],[56480000,56485970,2614808],[56501010,56519990,2601201],[56520000,56520970,2602803],[56533000,56533000,2601201],[56533970,56533970,2602803],[56535000,56535000,2601201],[56535970,56535970,2602803],[56537000,56537000,2601201],[56537970,56537990,2602803],[56540000,56540970,2615805],[56546000,56546000,2611101],[56550000,56557000,2607505],[56560000,56560970,2607000],[56565000,56565970,2609154],[56580000,56585000,2606606],[56600000,56628000,2614105],[56640000,56640970,2605103],[56650000,56650000,2614105],[56650970,56650990,2605103],[56660000,56660000,2614105],[56660970,56660970,2605103],[56670000,56670970,2601805],[56680000,56680000,2614105],[56680970,56680970,2601805],[56700000,56710970,2613602],[56720000,56720970,2607703],[56730000,56730000,2613800],[56730970,56730970,2607703],[56740000,56740970,2602506],[56750000,56750970,2612802],[56760000,56760970,2615904],[56770000,56770000,2613602],[56770970,56770970,2615904],[56780000,56780970,2614600],[56795000,56795970,2614402],[56800000,56800970,2600104],[56820000,56825970,2603900],[56828000,56829970,2611533],[56830000,56830970,2607109],[56840000,56848970,2606903],[56850000,56850971,2605608],[56860000,56860000,2606903],[56860970,56860970,2605608],[56870000,56870970,2615706],[56880000,56880000,2606903],[56880970,56880971,2615706],[56885000,56885000,2606903],[56890000,56895971,2612471],[56903000,56925990,2613909],[56930000,56930970,2603405],[56950000,56970971,2613503],[56980000,56990971,2609303],[57010000,57099899,2704302],[57100000,57110000,2707701],[57120000,57120970,2708907],[57130000,57130970,2707909],[57140000,57140970,2702207],[57150000,57150990,2706901],[57160000,57160990,2704708],[57180000,57180970,2700607],[57200000,57200992,2706703],[57210000,57210990,2706802],[57220000,57220970,2702702],[57230000,57239970,2702306],[57240000,57242200,2708600],[57244000,57244970,2703759],[57245001,57245348,2708600],[57246000,57246000,2707800],[57246005,57246785,2708600],[57246970,57246970,2707800],[57249899,57249899,2708600],[57250000,57254990,2701407],[57255000,57255970,2703759],[57257000,57257970,2707800],[57258000,57258970,2701407],[57260000,57260970,2704203],[57265000,57269700,2709152],[57270000,57274970,2704005],[57275000,57279000,2708808],[57280000,57280970,2703205],[57290000,57290970,2707503],[57300005,57319990,2700300],[57320000,57320970,2702355],[57325000,57325970,2702009],[57330000,57330970,2704104],[57340000,57340970,2702603],[57350000,57350970,2701506],[57360000,57360970,2702900],[57370000,57370970,2709202],[57380000,57380970,2708204],[57390000,57390970,2705903],[57400000,57405000,2706406],[57410000,57410970,2706208],[57420000,57420970,2700706],[57425000,57425970,2703700],[57430000,57430970,2703403],[57435000,57435970,2700904],[57440000,57440970,2705408],[57442000,57442970,2705705],[57445000,57445970,2708402],[57460000,57467138,2707107],[57470000,57470970,2705804],[57475000,57475971,2706422],[57480000,57480972,2702405],[57490000,57490970,2700102],[57500000,57500971,2708006],[57510000,57510970,2707206],[57515000,57515970,2708956],[57520000,57520970,2704609],[57525000,57525970,2706109],[57530000,57530970,2701605],[57535000,57535970,2701803],[57540000,57540970,2705002],[57545000,57545970,2703304],[57550000,57550970,2706000],[57560000,57560970,2702504],[57570000,57570970,2701209],[57580000,57585970,2704401],[57600005,57609899,2706307],[57610100,57610900,2702306],[57611000,57614000,2706307],[57615000,57615970,2705309],[57620000,57620970,2703106],[57625000,57625971,2702553],[57630000,57630970,2700805],[57635000,57635970,2709004],[57640000,57658970,2709103],[57660000,57660970,2700201],[57670000,57670970,2704807],[57680000,57680972,2701001],[57690000,57693000,2700409],[57700000,57710000,2709400],[57720000,57720970,2707008],[57730000,57730970,2704906],[57740000,57740970,2706604],[57750000,57750970,2707602],[57760000,57760970,2701902],[57770000,57770970,2701308],[57780000,57780970,2701704],[57790000,57790000,2709400],[57800000,57810971,2709301],[57820000,57820970,2705507],[57830000,57830970,2701100],[57840000,57840970,2708105],[57850000,57850000,2709301],[57860000,57860970,2708303],[57890000,57895000,2703007],[57900000,57900970,2707305],[57910000,57910970,2705101],[57920000,57920991,2708501],[57925000,57925970,2700508],[57930000,57930970,2706505],[57935000,57935970,2706448],[57940000,57940970,2708709],[57945000,57948970,2707404],[57950000,57953000,2703601],[57955000,57959970,2704500],[57960000,57960970,2703502],[57965000,57965970,2703908],[57968000,57968970,2701357],[57970000,57970970,2705606],[57975000,57975970,2702108],[57980000,57980970,2703809],[57990000,57990970,2705200],[57995000,57995970,2702801],[58010000,58099899,2507507],[58100000,58100080,2504009],[58100100,58100142,2503209],[58100150,58100150,2504009],[58100152,58100158,2503209],[58100160,58100160,2504009],[58100161,58100178,2503209],[58100180,58100180,2504009],[58100183,58100188,2503209],[58100190,58100190,2504009],[58100193,58100195,2503209],[58100200,58100200,2504009],[58100202,58100218,2503209],[58100220,58100220,2504009],[58100222,58100222,2503209],[58100230,58100230,2504009],[58100233,58100233,2503209],[58100240,58100240,2504009],[58100243,58100248,2503209],[58100250,58100250,2504009],[58100255,58100255,2503209],[58100260,58100260,2504009],[58100261,58100265,2503209],[58100271,58100300,2504009],[58100302,58100305,2503209],[58100310,58100311,2504009],[58100312,58100316,2503209],[58100350,58100350,2504009],[58100355,58100358,2503209],[58100360,58100400,2504009],[58100405,58100405,2503209],[58100410,58100420,2504009],[58100422,58100424,2503209],[58100430,58100430,2504009],[58100432,58100434,2503209],[58100440,58100450,2504009],[58100452,58100452,2503209],[58100455,58100455,2504009],[58100456,58100466,2503209],[58100470,58100470,2504009],[58100472,58100475,2503209],[58100480,58100480,2504009],[58100481,58100481,2503209],[58100482,58100485,2504009],[58100486,58100486,2503209],[58100490,58100490,2504009],[58100491,58100495,2503209],[58100500,58100500,2504009],[58100503,58100508,2503209],[58100510,58100510,2504009],[58100511,58100518,2503209],[58100520,58100520,2504009],[58100521,58100528,2503209],[58100530,58100530,2504009],[58100531,58100595,2503209],[58100600,58100600,2504009],[58100603,58100603,2503209],[58100605,58100605,2504009],[58100608,58100608,2503209],[58100610,58100610,2504009],[58100611,58100619,2503209],[58100620,58100620,2504009],[58100625,58100625,2503209],[58100630,58100640,2504009],[58100645,58100645,2503209],[58100650,58100650,2504009],[58100655,58100655,2503209],[58100660,58100660,2504009],[58100662,58100668,2503209],[58100670,58100670,2504009],[58100673,58100678,2503209],[58100680,58100680,2504009],[58100683,58100688,2503209],[58100690,58100690,2504009],[58100695,58100695,2503209],[58100700,58100700,2504009],[58100705,58100708,2503209],[58100710,58100710,2504009],[58100711,58100715,2503209],[58100720,58100720,2504009],[58100722,58100976,2503209],[58101000,58101001,2504009],[58101002,58101008,2503209],[58101010,58101012,2504009],[58101013,58101017,2503209],[58101020,58101020,2504009],[58101022,58101028,2503209],[58101030,58101030,2504009],[58101033,58101038,2503209],[58101040,58101040,2504009],[58101042,58101042,2503209],[58101050,58101050,2504009],[58101052,58101055,2503209],[58101060,58101062,2504009],[58101063,58101068,2503209],[58101070,58101070,2504009],[58101072,58101075,2503209],[58101080,58101080,2504009],[58101082,58101085,2503209],[58101090,58101095,2504009],[58101096,58101096,2503209],[58101100,58101100,2504009],[58101105,58101105,2503209],[58101110,58101110,2504009],[58101111,58101120,2503209],[58101130,58101130,2504009],[58101132,58101190,2503209],[58101200,58101201,2504009],[58101203,58101208,2503209],[58101210,58101210,2504009],[58101212,58101212,2503209],[58101220,58101230,2504009],[58101232,58101232,2503209],[58101240,58101240,2504009],[58101242,58101248,2503209],[58101250,58101250,2504009],[58101252,58101258,2503209],[58101260,58101261,2504009],[58101262,58101268,2503209],[58101270,58101271,2504009],[58101273,58101278,2503209],[58101280,58101281,2504009],[58101283,58101288,2503209],[58101290,58101291,2504009],[58101292,58101298,2503209],[58101300,58101300,2504009],[58101303,58101303,2503209],[58101310,58101310,2504009],[58101312,58101315,2503209],[58101320,58101321,2504009],[58101323,58101323,2503209],[58101325,58101327,2504009],[58101328,58101328,2503209],[58101329,58101329,2504009],[58101330,58101338,2503209],[58101340,58101340,2504009],[58101342,58101342,2503209],[58101343,58101345,2504009],[58101350,58101352,2503209],[58101353,58101353,2504009],[58101355,58101385,2503209],[58101400,58101410,2504009],[58101412,58101418,2503209],[58101420,58101430,2504009],[58101432,58101435,2503209],[58101440,58101440,2504009],[58101442,58101448,2503209],[58101450,58101450,2504009],[58101452,58101458,2503209],[58101460,58101460,2504009],[58101462,58101465,2503209],[58101470,58101470,2504009],[58101472,58101472,2503209],[58101480,58101500,2504009],[58101502,58101502,2503209],[58101505,58101505,2504009],[58101510,58101545,2503209],[58101550,58101551,2504009],[58101552,58101558,2503209],[58101560,58101570,2504009],[58101572,58101574,2503209],[58101580,58101580,2504009],[58101582,58101585,2503209],[58101590,58101590,2504009],[58101595,58101595,2503209],[58101600,58101600,2504009],[58101605,58101605,2503209],[58101610,58101620,2504009],[58101630,58101860,2503209],[58102000,58102009,2504009],[58102010,58102010,2503209],[58102011,58102012,2504009],[58102013,58102014,2503209],[58102015,58102015,2504009],[58102016,58102016,2503209],[58102017,58102018,2504009],[58102019,58102019,2503209],[58102020,58102021,2504009],[58102023,58102023,2503209],[58102025,58102027,2504009],[58102028,58102028,2503209],[58102030,58102030,2504009],[58102031,58102032,2503209],[58102033,58102033,2504009],[58102034,58102034,2503209],[58102035,58102035,2504009],[58102036,58102036,2503209],[58102038,58102038,2504009],[58102039,58102044,2503209],[58102045,58102045,2504009],[58102046,58102046,2503209],[58102047,58102050,2504009],[58102051,58102054,2503209],[58102055,58102055,2504009],[58102056,58102056,2503209],[58102057,58102057,2504009],[58102058,58102058,2503209],[58102059,58102060,2504009],[58102062,58102062,2503209],[58102063,58102065,2504009],[58102066,58102066,2503209],[58102070,58102070,2504009],[58102071,58102072,2503209],[58102073,58102073,2504009],[58102074,58102074,2503209],[58102075,58102075,2504009],[58102076,58102076,2503209],[58102077,58102078,2504009],[58102079,58102079,2503209],[58102080,58102080,2504009],[58102082,58102082,2503209],[58102083,58102083,2504009],[58102084,58102084,2503209],[58102085,58102085,2504009],[58102086,58102086,2503209],[58102088,58102090,2504009],[58102091,58102100,2503209],[58102102,58102103,2504009],[58102105,58102110,2503209],[58102113,58102115,2504009],[58102120,58102122,2503209],[58102123,58102123,2504009],[58102124,58102124,2503209],[58102125,58102125,2504009],[58102128,58102128,2503209],[58102130,58102130,2504009],[58102131,58102133,2503209],[58102135,58102137,2504009],[58102138,58102138,2503209],[58102140,58102140,2504009],[58102141,58102142,2503209],[58102143,58102143,2504009],[58102144,58102144,2503209],[58102145,58102145,2504009],[58102146,58102146,2503209],[58102147,58102148,2504009],[58102149,58102149,2503209],[58102150,58102150,2504009],[58102151,58102151,2503209],[58102153,58102153,2504009],[58102154,58102154,2503209],[58102155,58102155,2504009],[58102156,58102156,2503209],[58102158,58102160,2504009],[58102162,58102162,2503209],[58102163,58102170,2504009],[58102171,58102171,2503209],[58102173,58102173,2504009],[58102174,58102174,2503209],[58102175,58102175,2504009],[58102177,58102177,2503209],[58102178,58102201,2504009],[58102202,58102202,2503209],[58102203,58102210,2504009],[58102212,58102212,2503209],[58102213,58102220,2504009],[58102222,58102222,2503209],[58102223,58102235,2504009],[58102236,58102236,2503209],[58102238,58102240,2504009],[58102242,58102242,2503209],[58102243,58102250,2504009],[58102252,58102252,2503209],[58102253,58102255,2504009],[58102256,58102256,2503209],[58102258,58102260,2504009],[58102262,58102262,2503209],[58102263,58102281,2504009],[58102282,58102282,2503209],[58102283,58102283,2504009],[58102284,58102284,2503209],[58102285,58102285,2504009],[58102286,58102286,2503209],[58102287,58102289,2504009],[58102290,58102290,2503209],[58102291,58102301,2504009],[58102303,58102303,2503209],[58102305,58102306,2504009],[58102310,58102312,2503209],[58102313,58102315,2504009],[58102316,58102316,2503209],[58102317,58102321,2504009],[58102322,58102322,2503209],[58102323,58102331,2504009],[58102332,58102332,2503209],[58102333,58102333,2504009],[58102335,58102337,2503209],[58102338,58102340,2504009],[58102343,58102343,2503209],[58102345,58102358,2504009],[58102362,58102362,2503209],[58102363,58102363,2504009],[58102364,58102364,2503209],[58102365,58102365,2504009],[58102366,58102366,2503209],[58102367,58102378,2504009],[58102380,58102380,2503209],[58102400,58102540,2504009],[58102542,58102542,2503209],[58102543,58102543,2504009],[58102544,58102544,2503209],[58102545,58102545,2504009],[58102546,58102546,2503209],[58102548,58102550,2504009],[58102552,58102552,2503209],[58102553,58102560,2504009],[58102562,58102562,2503209],[58102563,58102565,2504009],[58102566,58102566,2503209],[58102568,58102568,2504009],[58102569,58102569,2503209],[58102570,58102570,2504009],[58102573,58102577,2503209],[58102578,58102580,2504009],[58102582,58102582,2503209],[58102585,58102585,2504009],[58102586,58102586,2503209],[58102587,58102590,2504009],[58102592,58102592,2503209],[58102593,58102598,2504009],[58102600,58102970,2503209],[58103000,58103000,2504009],[58103002,58103002,2503209],[58103003,58103035,2504009],[58103036,58103036,2503209],[58103040,58103051,2504009],[58103052,58103052,2503209],[58103053,58103053,2504009],[58103054,58103054,2503209],[58103055,58103059,2504009],[58103060,58103062,2503209],[58103063,58103063,2504009],[58103064,58103068,2503209],[58103070,58103071,2504009],[58103072,58103072,2503209],[58103073,58103075,2504009],[58103077,58103077,2503209],[58103080,58103080,2504009],[58103082,58103082,2503209],[58103085,58103100,2504009],[58103102,58103102,2503209],[58103103,58103105,2504009],[58103106,58103106,2503209],[58103110,58103120,2504009],[58103122,58103122,2503209],[58103123,58103125,2504009],[58103126,58103126,2503209],[58103130,58103130,2504009],[58103132,58103132,2503209],[58103133,58103135,2504009],[58103136,58103136,2503209],[58103138,58103140,2504009],[58103142,58103142,2503209],[58103143,58103150,2504009],[58103152,58103152,2503209],[58103153,58103170,2504009],[58103171,58103172,2503209],[58103173,58103183,2504009],[58103184,58103184,2503209],[58103190,58103193,2504009],[58103194,58103194,2503209],[58103195,58103200,2504009],[58103202,58103202,2503209],[58103203,58103210,2504009],[58103212,58103212,2503209],[58103213,58103220,2504009],[58103222,58103222,2503209],[58103223,58103223,2504009],[58103224,58103224,2503209],[58103225,58103225,2504009],[58103226,58103226,2503209],[58103230,58103230,2504009],[58103232,58103232,2503209],[58103233,58103235,2504009],[58103236,58103236,2503209],[58103240,58103240,2504009],[58103242,58103242,2503209],[58103243,58103260,2504009],[58103262,58103262,2503209],[58103263,58103281,2504009],[58103282,58103282,2503209],[58103283,58103283,2504009],[58103286,58103290,2503209],[58103293,58103293,2504009],[58103294,58103294,2503209],[58103295,58103295,2504009],[58103298,58103298,2503209],[58103300,58103300,2504009],[58103302,58103302,2503209],[58103303,58103303,2504009],[58103304,58103304,2503209],[58103305,58103310,2504009],[58103312,58103312,2503209],[58103313,58103313,2504009],[58103315,58103322,2503209],[58103323,58103330,2504009],[58103332,58103332,2503209],[58103333,58103333,2504009],[58103335,58103338,2503209],[58103340,58103340,2504009],[58103342,58103344,2503209],[58103345,58103345,2504009],[58103350,58103350,2503209],[58103353,58103360,2504009],[58103362,58103362,2503209],[58103365,58103365,2504009],[58103366,58103366,2503209],[58103367,58103370,2504009],[58103372,58103372,2503209],[58103373,58103373,2504009],[58103374,58103374,2503209],[58103375,58103375,2504009],[58103376,58103376,2503209],[58103380,58103380,2504009],[58103382,58103384,2503209],[58103385,58103385,2504009],[58103386,58103386,2503209],[58103387,58103387,2504009],[58103388,58103388,2503209],[58103390,58103395,2504009],[58103396,58103396,2503209],[58103400,58103400,2504009],[58103402,58103402,2503209],[58103403,58103403,2504009],[58103405,58103405,2503209],[58103410,58103413,2504009],[58103414,58103414,2503209],[58103415,58103415,2504009],[58103420,58103428,2503209],[58103430,58103440,2504009],[58103444,58103448,2503209],[58103450,58103452,2504009],[58103454,58103458,2503209],[58103460,58103460,2504009],[58103462,58103462,2503209],[58103463,58103465,2504009],[58103466,58103468,2503209],[58103470,58103470,2504009],[58103472,58103472,2503209],[58103473,58103475,2504009],[58103476,58103476,2503209],[58103477,58103477,2504009],[58103478,58103482,2503209],[58103485,58103510,2504009],[58103512,58103514,2503209],[58103515,58103516,2504009],[58103518,58103520,2503209],[58103525,58103550,2504009],[58103554,58103554,2503209],[58103555,58103555,2504009],[58103556,58103556,2503209],[58103560,58103620,2504009],[58103622,58103622,2503209],[58103625,58103630,2504009],[58103633,58103633,2503209],[58103635,58103640,2504009],[58103642,58103642,2503209],[58103645,58103650,2504009],[58103652,58103655,2503209],[58103660,58103660,2504009],[58103662,58103662,2503209],[58103663,58103665,2504009],[58103666,58103666,2503209],[58103670,58103670,2504009],[58103671,58103673,2503209],[58103675,58103675,2504009],[58103676,58103676,2503209],[58103680,58103683,2504009],[58103684,58103684,2503209],[58103685,58103688,2504009],[58103689,58103689,2503209],[58103690,58103690,2504009],[58103692,58103692,2503209],[58103695,58103700,2504009],[58103701,58103703,2503209],[58103705,58103705,2504009],[58103706,58103709,2503209],[58103710,58103710,2504009],[58103713,58103713,2503209],[58103715,58103715,2504009],[58103716,58103718,2503209],[58103720,58103720,2504009],[58103722,58103722,2503209],[58103725,58103733,2504009],[58103740,58103744,2503209],[58103745,58103745,2504009],[58103748,58103753,2503209],[58103755,58103755,2504009],[58103756,58103758,2503209],[58103760,58103760,2504009],[58103762,58103762,2503209],[58103765,58103765,2504009],[58103766,58103766,2503209],[58103770,58103770,2504009],[58103772,58103780,2503209],[58104000,58105010,2504009],[58105012,58105012,2503209],[58105013,58105013,2504009],[58105014,58105014,2503209],[58105015,58105015,2504009],[58105017,58105017,2503209],[58105018,58105020,2504009],[58105022,58105022,2503209],[58105023,58105023,2504009],[58105024,58105024,2503209],[58105025,58105025,2504009],[58105026,58105026,2503209],[58105028,58105030,2504009],[58105032,58105032,2503209],[58105033,58105038,2504009],[58105039,58105039,2503209],[58105040,58105043,2504009],[58105044,58105044,2503209],[58105045,58105050,2504009],[58105052,58105052,2503209],[58105053,58105053,2504009],[58105054,58105054,2503209],[58105055,58105055,2504009],[58105057,58105057,2503209],[58105058,58105060,2504009],[58105062,58105062,2503209],[58105063,58105065,2504009],[58105066,58105066,2503209],[58105068,58105068,2504009],[58105069,58105069,2503209],[58105070,58105070,2504009],[58105071,58105071,2503209],[58105073,58105073,2504009],[58105074,58105074,2503209],[58105075,58105075,2504009],[58105077,58105077,2503209],[58105078,58105080,2504009],[58105081,58105081,2503209],[58105083,58105083,2504009],[58105084,58105084,2503209],[58105085,58105085,2504009],[58105086,58105086,2503209],[58105088,58105088,2504009],[58105089,58105089,2503209],[58105090,58105090,2504009],[58105091,58105091,2503209],[58105093,58105093,2504009],[58105094,58105094,2503209],[58105095,58105095,2504009],[58105097,58105097,2503209],[58105098,58105100,2504009],[58105101,58105101,2503209],[58105103,58105103,2504009],[58105104,58105108,2503209],[58105110,58105115,2504009],[58105116,58105116,2503209],[58105117,58105120,2504009],[58105121,58105121,2503209],[58105123,58105123,2504009],[58105124,58105124,2503209],[58105125,58105125,2504009],[58105126,58105126,2503209],[58105128,58105130,2504009],[58105131,58105131,2503209],[58105133,58105133,2504009],[58105134,58105134,2503209],[58105135,58105135,2504009],[58105137,58105137,2503209],[58105138,58105181,2504009],[58105182,58105182,2503209],[58105185,58105230,2504009],[58105231,58105232,2503209],[58105233,58105373,2504009],[58105375,58105375,2503209],[58105380,58105381,2504009],[58105383,58105408,2503209],[58105410,58105411,2504009],[58105412,58105416,2503209],[58105420,58105421,2504009],[58105422,58105428,2503209],[58105430,58105430,2504009],[58105431,58105431,2503209],[58105433,58105433,2504009],[58105434,58105434,2503209],[58105435,58105435,2504009],[58105436,58105445,2503209],[58105450,58105451,2504009],[58105452,58105452,2503209],[58105453,58105453,2504009],[58105458,58105458,2503209],[58105460,58105490,2504009],[58105492,58105492,2503209],[58105495,58105495,2504009],[58105502,58105502,2503209],[58105503,58105505,2504009],[58105506,58105514,2503209],[58105515,58105515,2504009],[58105517,58105517,2503209],[58105520,58105520,2504009],[58105521,58105522,2503209],[58105523,58105523,2504009],[58105524,58105524,2503209],[58105525,58105525,2504009],[58105526,58105528,2503209],[58105530,58105563,2504009],[58105565,58105565,2503209],[58105570,58105572,2504009],[58105573,58105573,2503209],[58105575,58105575,2504009],[58105576,58105576,2503209],[58105577,58105577,2504009],[58105578,58105579,2503209],[58105580,58105580,2504009],[58105581,58105581,2503209],[58105583,58105583,2504009],[58105585,58105587,2503209],[58105590,58105590,2504009],[58105595,58105595,2503209],[58105600,58105603,2504009],[58105604,58105604,2503209],[58105605,58105650,2504009],[58105652,58105652,2503209],[58105653,58105655,2504009],[58105656,58105657,2503209],[58105658,58105658,2504009],[58105659,58105659,2503209],[58105660,58105686,2504009],[58105692,58105692,2503209],[58105693,58105693,2504009],[58105700,58105706,2503209],[58105710,58105710,2504009],[58105712,58105714,2503209],[58105715,58105715,2504009],[58105718,58105718,2503209],[58105720,58105720,2504009],[58105722,58105722,2503209],[58105725,58105725,2504009],[58105726,58105728,2503209],[58105730,58105730,2504009],[58105731,58105733,2503209],[58105735,58105735,2504009],[58105736,58105738,2503209],[58105740,58105748,2504009],[58105770,58105860,2503209],[58106000,58106005,2504009],[58106006,58106006,2503209],[58106010,58106010,2504009],[58106012,58106012,2503209],[58106013,58106013,2504009],[58106014,58106014,2503209],[58106015,58106015,2504009],[58106017,58106017,2503209],[58106020,58106020,2504009],[58106022,58106022,2503209],[58106023,58106023,2504009],[58106024,58106024,2503209],[58106025,58106025,2504009],[58106026,58106026,2503209],[58106027,58106027,2504009],[58106028,58106028,2503209],[58106030,58106030,2504009],[58106032,58106032,2503209],[58106033,58106033,2504009],[58106034,58106034,2503209],[58106035,58106035,2504009],[58106039,58106039,2503209],[58106040,58106043,2504009],[58106044,58106044,2503209],[58106045,58106051,2504009],[58106052,58106052,2503209],[58106053,58106056,2504009],[58106057,58106057,2503209],[58106058,58106065,2504009],[58106066,58106066,2503209],[58106067,58106068,2504009],[58106069,58106069,2503209],[58106070,58106071,2504009],[58106072,58106072,2503209],[58106073,58106076,2504009],[58106077,58106077,2503209],[58106080,58106080,2504009],[58106082,58106082,2503209],[58106083,58106083,2504009],[58106084,58106086,2503209],[58106090,58106090,2504009],[58106092,58106092,2503209],[58106093,58106093,2504009],[58106094,58106094,2503209],[58106095,58106096,2504009],[58106097,58106097,2503209],[58106105,58106105,2504009],[58106106,58106106,2503209],[58106107,58106115,2504009],[58106122,58106122,2503209],[58106123,58106130,2504009],[58106131,58106131,2503209],[58106133,58106133,2504009],[58106134,58106134,2503209],[58106135,58106135,2504009],[58106136,58106136,2503209],[58106140,58106150,2504009],[58106152,58106152,2503209],[58106153,58106153,2504009],[58106155,58106155,2503209],[58106160,58106161,2504009],[58106162,58106162,2503209],[58106163,58106165,2504009],[58106166,58106166,2503209],[58106170,58106170,2504009],[58106171,58106171,2503209],[58106173,58106183,2504009],[58106184,58106184,2503209],[58106190,58106210,2504009],[58106212,58106212,2503209],[58106213,58106215,2504009],[58106216,58106216,2503209],[58106218,58106218,2504009],[58106219,58106219,2503209],[58106220,58106220,2504009],[58106222,58106222,2503209],[58106223,58106226,2504009],[58106227,58106227,2503209],[58106228,58106230,2504009],[58106232,58106232,2503209],[58106233,58106233,2504009],[58106234,58106234,2503209],[58106235,58106235,2504009],[58106238,58106238,2503209],[58106240,58106240,2504009],[58106242,58106242,2503209],[58106243,58106245,2504009],[58106246,58106246,2503209],[58106247,58106250,2504009],[58106252,58106252,2503209],[58106253,58106265,2504009],[58106266,58106266,2503209],[58106270,58106280,2504009],[58106282,58106282,2503209],[58106283,58106293,2504009],[58106294,58106294,2503209],[58106295,58106370,2504009],[58106371,58106371,2503209],[58106372,58106376,2504009],[58106377,58106377,2503209],[58106380,58106380,2504009],[58106382,58106382,2503209],[58106383,58106400,2504009],[58106402,58106402,2503209],[58106403,58106405,2504009],[58106406,58106406,2503209],[58106410,58106415,2504009],[58106422,58106422,2503209],[58106423,58106433,2504009],[58106434,58106434,2503209],[58106435,58106435,2504009],[58106437,58106437,2503209],[58106440,58106440,2504009],[58106442,58106442,2503209],[58106443,58106445,2504009],[58106446,58106446,2503209],[58106450,58106453,2504009],[58106454,58106454,2503209],[58106455,58106530,2504009],[58106532,58106532,2503209],[58106533,58106540,2504009],[58106542,58106544,2503209],[58106545,58106545,2504009],[58106546,58106546,2503209],[58106547,58106547,2504009],[58106548,58106548,2503209],[58106550,58106556,2504009],[58106557,58106557,2503209],[58106559,58106560,2504009],[58106562,58106562,2503209],[58106563,58106770,2504009],[58106880,58106890,2503209],[58107003,58108010,2504009],[58108012,58108012,2503209],[58108013,58108020,2504009],[58108022,58108022,2503209],[58108023,58108023,2504009],[58108024,58108024,2503209],[58108025,58108025,2504009],[58108028,58108028,2503209],[58108030,58108030,2504009],[58108032,58108032,2503209],[58108033,58108033,2504009],[58108034,58108034,2503209],[58108035,58108035,2504009],[58108036,58108038,2503209],[58108040,58108040,2504009],[58108042,58108042,2503209],[58108043,58108043,2504009],[58108044,58108044,2503209],[58108045,58108060,2504009],[58108062,58108062,2503209],[58108063,58108063,2504009],[58108064,58108064,2503209],[58108065,58108066,2504009],[58108067,58108067,2503209],[58108070,58108075,2504009],[58108077,58108077,2503209],[58108080,58108085,2504009],[58108086,58108088,2503209],[58108090,58108090,2504009],[58108094,58108096,2503209],[58108098,58108101,2504009],[58108102,58108102,2503209],[58108103,58108103,2504009],[58108104,58108104,2503209],[58108105,58108105,2504009],[58108106,58108108,2503209],[58108110,58108110,2504009],[58108112,58108112,2503209],[58108113,58108115,2504009],[58108116,58108116,2503209],[58108120,58108120,2504009],[58108122,58108122,2503209],[58108123,58108133,2504009],[58108134,58108134,2503209],[58108135,58108135,2504009],[58108137,58108137,2503209],[58108138,58108143,2504009],[58108144,58108144,2503209],[58108145,58108145,2504009],[58108148,58108148,2503209],[58108150,58108150,2504009],[58108152,58108152,2503209],[58108153,58108155,2504009],[58108156,58108156,2503209],[58108157,58108160,2504009],[58108162,58108162,2503209],[58108163,58108163,2504009],[58108164,58108164,2503209],[58108165,58108165,2504009],[58108166,58108168,2503209],[58108170,58108170,2504009],[58108172,58108172,2503209],[58108173,58108173,2504009],[58108174,58108174,2503209],[58108175,58108175,2504009],[58108176,58108176,2503209],[58108180,58108180,2504009],[58108182,58108182,2503209],[58108183,58108185,2504009],[58108186,58108188,2503209],[58108190,58108203,2504009],[58108204,58108204,2503209],[58108205,58108205,2504009],[58108206,58108208,2503209],[58108210,58108210,2504009],[58108212,58108212,2503209],[58108213,58108221,2504009],[58108222,58108222,2503209],[58108223,58108230,2504009],[58108232,58108232,2503209],[58108233,58108240,2504009],[58108242,58108242,2503209],[58108243,58108245,2504009],[58108248,58108248,2503209],[58108250,58108250,2504009],[58108252,58108252,2503209],[58108253,58108253,2504009],[58108254,58108254,2503209],[58108255,58108255,2504009],[58108256,58108258,2503209],[58108260,58108265,2504009],[58108270,58108272,2503209],[58108273,58108275,2504009],[58108276,58108276,2503209],[58108280,58108280,2504009],[58108282,58108282,2503209],[58108283,58108283,2504009],[58108284,58108284,2503209],[58108285,58108285,2504009],[58108286,58108288,2503209],[58108290,58108300,2504009],[58108301,58108301,2503209],[58108303,58108303,2504009],[58108304,58108304,2503209],[58108305,58108310,2504009],[58108311,58108311,2503209],[58108312,58108313,2504009],[58108314,58108314,2503209],[58108315,58108316,2504009],[58108317,58108317,2503209],[58108318,58108321,2504009],[58108322,58108322,2503209],[58108323,58108323,2504009],[58108324,58108324,2503209],[58108325,58108325,2504009],[58108328,58108328,2503209],[58108329,58108353,2504009],[58108354,58108354,2503209],[58108355,58108355,2504009],[58108357,58108357,2503209],[58108358,58108358,2504009],[58108359,58108359,2503209],[58108360,58108365,2504009],[58108368,58108368,2503209],[58108370,58108370,2504009],[58108372,58108372,2503209],[58108373,58108501,2504009],[58108502,58108502,2503209],[58108503,58108510,2504009],[58108511,58108511,2503209],[58108512,58108512,2504009],[58108513,58108513,2503209],[58108514,58108515,2504009],[58108516,58108516,2503209],[58108517,58108521,2504009],[58108522,58108522,2503209],[58108523,58108525,2504009],[58108526,58108526,2503209],[58108530,58108530,2504009],[58108531,58108539,2503209],[58108540,58108541,2504009],[58108542,58108554,2503209],[58108560,58108561,2504009],[58108562,58108562,2503209],[58108563,58108565,2504009],[58108567,58108567,2503209],[58108570,58108570,2504009],[58108578,58108578,2503209],[58108590,58108600,2504009],[58108605,58108605,2503209],[58108610,58108620,2504009],[58108628,58108628,2503209],[58108630,58108630,2504009],[58108633,58108633,2503209],[58108640,58108645,2504009],[58108646,58108646,2503209],[58108648,58108650,2504009],[58108652,58108652,2503209],[58108653,58109080,2504009],[58109084,58109084,2503209],[58109085,58109300,2504009],[58109303,58109303,2503209],[58109305,58109310,2504009],[58109312,58109312,2503209],[58109313,58109320,2504009],[58109324,58109324,2503209],[58109325,58109325,2504009],[58109328,58109328,2503209],[58109330,58109340,2504009],[58109342,58109342,2503209],[58109345,58109450,2504009],[58109452,58109452,2503209],[58109455,58109455,2504009],[58109456,58109456,2503209],[58109460,58109460,2504009],[58109464,58109464,2503209],[58109465,58109480,2504009],[58109482,58109482,2503209],[58109490,58109497,2504009],[58109498,58109498,2503209],[58109500,58109795,2504009],[58109899,58109899,2503209],[58110000,58110000,2504009],[58110001,58112640,2501807],[58113000,58113000,2504009],[58113001,58113901,2501807],[58114000,58114000,2504009],[58114200,58114600,2508208],[58114899,58114899,2501807],[58115000,58115972,2512408],[58117000,58118971,2508307],[58119000,58119970,2515104],[58120000,58120970,2509206],[58123000,58123970,2502151],[58125000,58125970,2500403],[58128000,58128970,2509339],[58135000,58135971,2506004],[58140000,58140970,2501203],[58145000,58145970,2509503],[58150000,58150970,2512002],[58152000,58152000,2510006],[58152970,58152970,2512002],[58155000,58155971,2516102],[58156000,58156970,2502300],[58158000,58159971,2515401],[58160000,58160970,2510501],[58167000,58167970,2505006],[58170000,58170970,2501609],[58173000,58173970,2505352],[58175000,58176970,2505105],[58177000,58177970,2516151],[58178000,58178970,2510105],[58180000,58180970,2511103],[58184000,58184970,2510303],[58187000,58187973,2511400],[58188000,58188970,2501534],[58195000,58195970,2506202],[58200000,58200972,2506301],[58205000,58205000,2503308],[58205970,58207970,2506301],[58208000,58208970,2505204],[58210000,58210970,2511707],[58213000,58213970,2511806],[58220000,58222970,2501500],[58225000,58225970,2516003],[58228000,58228970,2505709],[58230000,58230971,2503506],[58233000,58233971,2501005],[58235000,58235970,2512747],[58238000,58238971,2504157],[58240000,58240971,2516409],[58250000,58250970,2508208],[58253000,58253970,2503605],[58254000,58254970,2508554],[58255000,58257970,2501906],[58260000,58260970,2515609],[58265000,58265970,2505808],[58268000,58268970,2515930],[58270000,58270978,2500809],[58273000,58273970,2512721],[58275000,58275970,2507101],[58278000,58278974,2507309],[58280000,58286970,2508901],[58287000,58287971,2504033],[58289000,58289971,2505238],[58291000,58291971,2505279],[58292000,58293970,2509305],[58294000,58294971,2509057],[58295000,58295970,2501401],[58297000,58299971,2512903],[58300010,58304400,2513703],[58304500,58304500,2517100],[58304600,58304973,2513703],[58305003,58309490,2501807],[58309500,58309500,2513703],[58309510,58309899,2501807],[58310000,58310000,2503209],[58315000,58315971,2508604],[58320000,58320973,2500601],[58322000,58323970,2504603],[58324000,58324973,2511905],[58326000,58327970,2503001],[58328000,58328971,2511202],[58330000,58330970,2507903],[58334000,58334970,2515005],[58337000,58337970,2504900],[58338000,58338970,2511509],[58339000,58339971,2514453],[58340000,58340971,2515302],[58342000,58342970,2515971],[58345000,58345970,2509107],[58348000,58348970,2512762],[58350000,58350971,2503803],[58354000,58354971,2509800],[58356000,58356970,2506400],[58360000,58364970,2506905],[58370000,58370973,2513109],[58374970,58374970,2501104],[58375000,58375971,2509404],[58378000,58378970,2507200],[58380000,58380971,2506806],[58382000,58382970,2512754],[58385000,58385971,2515807],[58387000,58387971,2507606],[58388000,58388972,2500304],[58390000,58390970,2500502],[58393000,58393990,2511608],[58394000,58394970,2502706],[58395000,58395970,2515906],[58396000,58396970,2500908],[58397000,58397976,2501104],[58398000,58398972,2512705],[58399000,58399970,2500577],[58400000,58400000,2501302],[58400002,58404891,2504009],[58405000,58405000,2506251],[58406000,58425012,2504009],[58428000,58428000,2513158],[58428010,58439899,2504009],[58440000,58440000,2512507],[58441000,58449000,2504009],[58450000,58450975,2502508],[58455000,58455970,2504355],[58458000,58458973,2501575],[58460000,58460972,2500536],[58463000,58463970,2513158],[58465000,58465970,2512788],[58470000,58470000,2501708],[58475000,58476991,2512507],[58480000,58480973,2503100],[58483000,58483970,2501708],[58485000,58485970,2513943],[58487000,58487970,2506103],[58489000,58489971,2501302],[58492000,58492970,2506251],[58494000,58496970,2509909],[58497000,58499970,2517001],[58500000,58500976,2509701],[58510000,58510970,2515203],[58515000,58515970,2517407],[58520000,58525970,2514107],[58530000,58533970,2503902],[58535000,58535970,2504702],[58540000,58545970,2516300],[58548000,58548971,2500734],[58550000,58550970,2512200],[58560000,58560970,2510600],[58570000,58570970,2514800],[58575000,58575970,2510659],[58580000,58580970,2515500],[58582000,58582000,2513406],[58582970,58586971,2515500],[58588000,58588970,2504850],[58590000,58590972,2514008],[58595000,58595973,2504074],[58600000,58600970,2513406],[58610000,58610970,2514701],[58620000,58620970,2517100],[58625000,58625970,2514909],[58640000,58640971,2507804],[58650000,58650971,2513000],[58660000,58660970,2507705],[58665000,58665970,2516755],[58670000,58670970,2506509],[58675000,58675970,2513851],[58680000,58680970,2516508],[58685000,58685970,2501351],[58690000,58690970,2508505],[58695000,58695972,2505402],[58698000,58698971,2503555],[58700002,58709970,2510808],[58710000,58710970,2505501],[58713000,58713970,2508802],[58714000,58714970,2504504],[58715000,58715970,2504207],[58718000,58718000,2508802],[58718970,58718970,2504207],[58720000,58720970,2513802],[58723000,58723970,2514404],[58725000,58725970,2514602],[58730000,58730970,2503407],[58732000,58732970,2501153],[58733000,58733970,2512606],[58734000,58734971,2510709],[58735000,58735970,2516706],[58737000,58737970,2509396],[58740000,58740970,2508703],[58745000,58745971,2506707],[58748000,58748970,2500106],[58750000,58750970,2508000],[58753000,58753970,2516607],[58755000,58755970,2512309],[58758000,58758970,2514552],[58760000,58760971,2510402],[58763000,58763970,2505907],[58765000,58765970,2511301],[58770000,58770970,2504801],[58775000,58775970,2502607],[58778000,58778970,2500205],[58780000,58780970,2507002],[58784000,58784970,2514305],[58790000,58790970,2511004],[58795000,58795971,2513604],[58798000,58798971,2510204],[58800005,58814974,2516201],[58815000,58815970,2514206],[58817000,58817971,2510006],[58818000,58818970,2513984],[58819000,58819970,2509156],[58820000,58820970,2508406],[58822000,58822970,2517209],[58823000,58823970,2500775],[58824000,58828970,2513208],[58830000,58830970,2507408],[58832000,58832970,2509370],[58835000,58835970,2508109],[58840000,58840971,2512101],[58850000,58850000,2517100],[58850971,58850971,2512101],[58853000,58853971,2513968],[58855000,58855970,2503753],[58857000,58857970,2513927],[58860000,58860972,2510907],[58865000,58865971,2513901],[58870000,58870970,2512804],[58880000,58880970,2502904],[58884000,58885970,2504306],[58887000,58887971,2502300],[58890000,58890970,2502805],[58893000,58893970,2514651],[58895000,58895970,2502003],[58900000,58905970,2503704],[58908000,58908970,2512077],[58910000,58913970,2500700],[58915000,58915970,2516904],[58916000,58916500,2501104],[58917000,58918000,2500700],[58919000,58919000,2513703],[58920000,58920971,2516805],[58922000,58922970,2502052],[58925000,58925972,2513307],[58928000,58928970,2513653],[58930000,58930971,2502201],[58933000,58934970,2512036],[58935000,58938970,2503308],[58940000,58940973,2514503],[58945000,58945970,2504108],[58950000,58950970,2509602],[58955000,58955970,2515708],[58960000,58960971,2502409],[58970000,58975970,2504405],[58978000,58978970,2513356],[58980000,58980970,2506608],[58983000,58983000,2513505],[58983970,58983970,2506608],[58985000,58985970,2513505],[58990000,58990970,2505303],[58993000,58993970,2502102],[58994000,58994971,2505600],[58995000,58995971,2509008],[58996000,58997970,2505600],[59010000,59140000,2408102],[59140001,59140001,2403251],[59140005,59140005,2408102],[59140010,59161970,2403251],[59162000,59163500,2412203],[59164000,59165992,2408201],[59168000,59168970,2413201],[59170000,59170971,2401206],[59173000,59173992,2404200],[59178000,59179970,2414209],[59180000,59180990,2403509],[59182000,59182990,2407807],[59184000,59184971,2414803],[59185000,59185971,2414704],[59187000,59189000,2406155],[59190000,59190992,2402204],[59192000,59192970,2415008],[59194000,59194991,2401404],[59196000,59196990,2409803],[59198000,59198970,2407708],[59200000,59200970,2411205],[59210000,59210970,2411700],[59213000,59213970,2405405],[59214000,59214970,2413300],[59215000,59215991,2408300],[59217000,59217970,2407906],[59218000,59218970,2409100],[59219000,59219972,2401800],[59220000,59220975,2402808],[59225000,59225970,2405009],[59227000,59227970,2406205],[59230000,59230990,2402105],[59235000,59235970,2406809],[59240000,59242000,2414001],[59244000,59244970,2406304],[59245000,59245970,2410306],[59247000,59248970,2406601],[59250000,59251970,2413102],[59255000,59255970,2411502],[59258000,59258970,2413508],[59259000,59259970,2409209],[59260000,59265970,2405306],[59270000,59270970,2401701],[59275000,59275971,2412302],[59280000,59285860,2407104],[59285990,59285990,2408300],[59286038,59289990,2407104],[59290000,59299972,2412005],[59299973,59299973,2413508],[59299974,59299992,2412005],[59300000,59300971,2402006],[59310000,59310970,2412104],[59315000,59315970,2404804],[59318000,59318970,2413409],[59320000,59320970,2414308],[59324000,59324970,2405603],[59327000,59327970,2411809],[59330000,59330972,2406106],[59335000,59335990,2403806],[59338000,59338970,2414159],[59340000,59340970,2413003],[59343000,59343970,2405702],[59347000,59347970,2408508],[59350000,59350972,2411429],[59355000,59355970,2403400],[59360000,59360974,2408904],[59370000,59370992,2400109],[59374000,59374991,2402402],[59375000,59375970,2403004],[59378000,59378970,2412401],[59380000,59380970,2403103],[59390000,59390974,2406502],[59395000,59395973,2402709],[59400000,59400970,2412906],[59410000,59410970,2401503],[59420000,59420970,2411106],[59430000,59430972,2406403],[59440000,59445970,2413706],[59460000,59460971,2412609],[59464000,59464970,2409332],[59470000,59470990,2410900],[59480000,59480970,2412708],[59490000,59490970,2404606],[59500000,59500972,2407203],[59504000,59504971,2409902],[59507000,59507970,2400703],[59508000,59508992,2404705],[59510000,59510970,2400307],[59513000,59513970,2404853],[59515000,59515970,2400802],[59517000,59517970,2403756],[59518000,59518970,2412807],[59520000,59526970,2411403],[59528000,59528970,2401651],[59530000,59530970,2409704],[59535000,59538970,2406700],[59540000,59540970,2401909],[59544000,59544970,2405504],[59547000,59547970,2409605],[59550000,59550992,2405801],[59555000,59555974,2401602],[59558000,59558000,2405801],[59560000,59560970,2410108],[59565000,59568000,2413904],[59570000,59570992,2402600],[59575000,59575996,2403608],[59578000,59578971,2408953],[59580000,59580972,2407500],[59582000,59583970,2410405],[59584000,59584973,2414407],[59585000,59585970,2412559],[59586000,59586971,2408805],[59588000,59588970,2409506],[59590000,59590970,2411601],[59592000,59592970,2401859],[59594000,59594970,2405108],[59596000,59596970,2404101],[59598000,59598971,2404507],[59600005,59649899,2408003],[59650000,59650990,2400208],[59655000,59655973,2401107],[59660000,59660970,2408706],[59663000,59663970,2413359],[59665000,59665971,2402501],[59668000,59668971,2410256],[59670000,59670970,2414605],[59675000,59675992,2404408],[59678000,59678970,2411056],[59680000,59680970,2401305],[59685000,59685970,2414456],[59690000,59690970,2405207],[59695000,59695991,2401453],[59700000,59700971,2401008],[59730000,59730970,2408409],[59740000,59740970,2410603],[59760000,59760970,2400604],[59770000,59770970,2409308],[59775000,59775970,2407609],[59780000,59785970,2402303],[59790000,59790970,2404309],[59795000,59795970,2403707],[59800000,59803970,2407401],[59805000,59805970,2406908],[59808000,59808970,2413557],[59810000,59810970,2410207],[59815000,59815970,2414902],[59820000,59820970,2410702],[59830000,59830970,2411007],[59840000,59840970,2413805],[59855000,59855970,2404903],[59856000,59856971,2413607],[59865000,59865970,2414506],[59870000,59870970,2400901],[59880000,59885970,2405900],[59890000,59890970,2404002],[59900000,59900972,2409407],[59902000,59902970,2403905],[59905000,59905970,2403301],[59908000,59908970,2411908],[59910000,59910971,2403202],[59920000,59920970,2412500],[59925000,59925970,2414753],[59930000,59930970,2402907],[59940000,59943970,2407005],[59945000,59945970,2407252],[59950000,59950971,2408607],[59955000,59958970,2414100],[59960000,59960970,2410009],[59965000,59965970,2400505],[59970000,59970970,2407302],[59980000,59985970,2406007],[59987000,59987970,2410801],[59990000,59990970,2410504],[59995000,59995970,2400406],[60010000,60878100,2304400],[61600004,61695990,2303709],[61700000,61758990,2301000],[61760000,61779905,2304285],[61800000,61814970,2309706],[61860000,61860000,2304954],[61860990,61860990,2309706],[61865000,61870000,2304954],[61870990,61870990,2309706],[61877000,61877000,2304954],[61880000,61888975,2306256],[61890000,61897975,2304954],[61900005,61939906,2307650],[61940000,61949899,2307700],[61950000,61950000,2307650],[61950974,61953975,2307700],[61955000,61955000,2307650],[61955975,61959975,2307700],[61960000,61960000,2307650],[61962000,61962974,2307700],[61965000,61965000,2307650],[61967000,61967973,2307700],[61970000,61970000,2307650],[61973000,61973975,2307700],[61975000,61975000,2307650],[61976000,61979990,2307700],[61980000,61980000,2307650],[61982000,61984972,2307700],[61985000,61985000,2307650],[61988000,61988990,2307700],[61990000,61990000,2307650],[61991000,61994976,2307700],[62000990,62099899,2312908],[62102000,62102000,2312007],[62102974,62103975,2312908],[62104000,62104000,2312007],[62104972,62104990,2312908],[62105000,62105000,2312007],[62105973,62105990,2312908],[62106000,62106000,2312007],[62106500,62106990,2312908],[62107000,62107000,2312007],[62107975,62107990,2312908],[62108000,62108000,2312007],[62108400,62108990,2312908],[62109000,62109000,2312007],[62109975,62109975,2312908],[62110000,62110000,2304350],[62111000,62111000,2301109],[62111975,62111975,2312908],[62112000,62112000,2304350],[62112500,62112990,2312908],[62113000,62113000,2304350],[62113975,62113975,2312908],[62114000,62114000,2304350],[62114400,62114990,2312908],[62115000,62119974,2304350],[62120000,62125973,2300507],[62130000,62138972,2308203],[62140000,62142974,2308005],[62143000,62143000,2300408],[62143974,62146974,2308005],[62150000,62159974,2312007],[62160000,62168974,2304004],[62170000,62178974,2309003],[62180000,62180970,2309904],[62184000,62185977,2303105],[62186000,62186000,2309904],[62186974,62188974,2303105],[62190000,62199974,2304905],[62200000,62200970,2309300],[62203000,62203000,2302800],[62203975,62209975,2309300],[62210000,62214972,2301257],[62215000,62215970,2305654],[62218000,62218000,2301257],[62218974,62218974,2305654],[62220000,62228974,2311009],[62230000,62238990,2305902],[62240000,62240000,2312205],[62240974,62240974,2305902],[62245000,62245000,2312205],[62245973,62245990,2305902],[62248000,62248000,2312205],[62248976,62249973,2305902],[62250000,62251974,2305803],[62252000,62252000,2310951],[62252974,62252974,2305803],[62253000,62253000,2310951],[62253500,62253975,2305803],[62254000,62254000,2310951],[62254976,62254990,2305803],[62255000,62259000,2310951],[62260000,62260970,2311702],[62263000,62263000,2313955],[62263974,62263974,2311702],[62265000,62265970,2313955],[62269000,62269973,2304236],[62270000,62278976,2305209],[62280000,62296974,2312205],[62297000,62299973,2303659],[62300000,62308000,2314102],[62310000,62310000,2308906],[62310972,62310990,2314102],[62315000,62315000,2308906],[62315973,62315990,2314102],[62320000,62329899,2313401],[62330000,62330000,2308906],[62330974,62334000,2313401],[62335000,62335000,2308906],[62335974,62338000,2313401],[62340000,62340970,2304509],[62350000,62356974,2313609],[62360000,62364972,2305308],[62365000,62368974,2304657],[62370000,62374990,2312304],[62375000,62377974,2303402],[62380000,62380970,2305001],[62382000,62382000,2308906],[62384000,62384974,2305001],[62385000,62385000,2308906],[62385973,62385990,2305001],[62386000,62386000,2308906],[62386974,62387975,2305001],[62388000,62388000,2308906],[62388974,62388990,2305001],[62390000,62399974,2304236],[62400000,62408974,2302602],[62410000,62414990,2302057],[62420000,62425000,2303907],[62430000,62448974,2304707],[62450000,62450970,2307908],[62460000,62468974,2313906],[62470000,62477000,2312809],[62480000,62499974,2308807],[62500000,62509899,2306405],[62510000,62510000,2301109],[62511000,62514000,2306405],[62515000,62515000,2301109],[62515973,62518974,2306405],[62520000,62525000,2301109],[62530000,62535973,2308377],[62540000,62540970,2300754],[62541000,62541000,2301109],[62541975,62541975,2300754],[62542000,62542000,2301109],[62542974,62542974,2300754],[62543000,62543000,2301109],[62543975,62543975,2300754],[62544000,62544000,2301109],[62544972,62544972,2300754],[62545000,62545000,2301109],[62545973,62545973,2300754],[62546000,62547000,2301109],[62547973,62547973,2300754],[62548000,62548000,2301109],[62548974,62549975,2300754],[62550000,62559974,2308906],[62560000,62565973,2307809],[62570000,62575990,2302305],[62580000,62586000,2300200],[62590000,62590970,2306553],[62592000,62592000,2307254],[62592974,62592990,2306553],[62594000,62594000,2307254],[62594972,62594972,2306553],[62595000,62595977,2304251],[62597000,62597000,2307254],[62597976,62597976,2304251],[62598000,62598973,2307254],[62600000,62602974,2306306],[62603000,62603975,2304251],[62604000,62608974,2306306],[62610000,62614976,2313351],[62620000,62628974,2306108],[62630000,62638972,2300903],[62640000,62648974,2310704],[62650000,62650970,2313807],[62652000,62652000,2313559],[62652974,62654976,2313807],[62655000,62658000,2313559],[62660000,62664972,2313757],[62665000,62665970,2312601],[62670000,62670970,2312403],[62672000,62672000,2313708],[62674000,62675000,2312403],[62676000,62676000,2304236],[62677000,62678974,2312403],[62680000,62680970,2310209],[62682000,62682000,2310258],[62683000,62683977,2310209],[62684000,62684972,2307106],[62685000,62688974,2310258],[62690000,62698974,2313500],[62700000,62709973,2302800],[62710000,62710000,2310506],[62710974,62712974,2302800],[62713000,62713000,2310506],[62713975,62713975,2302800],[62715000,62715000,2310506],[62715973,62719000,2302800],[62719974,62719974,2311959],[62720000,62728000,2306603],[62730000,62734972,2303006],[62736000,62736970,2310407],[62738000,62738970,2304608],[62740000,62746000,2306504],[62748000,62748970,2302909],[62750000,62750970,2301208],[62752000,62752000,2310506],[62752974,62752974,2301208],[62754000,62754350,2310506],[62754972,62754976,2301208],[62754977,62754977,2310506],[62754978,62754978,2301208],[62755000,62755970,2309458],[62758000,62758000,2310506],[62758974,62758974,2309458],[62759000,62759300,2309409],[62759974,62759978,2309458],[62760000,62761975,2302107],[62762000,62763975,2301406],[62764000,62764970,2309102],[62766000,62766970,2305100],[62768000,62768000,2309102],[62768974,62768990,2305100],[62770000,62776974,2309805],[62780000,62784972,2310100],[62785000,62787973,2300150],[62790000,62794990,2311603],[62795000,62799973,2301950],[62800000,62809974,2301109],[62810000,62810990,2305357],[62813000,62813000,2314102],[62813975,62813990,2305357],[62814000,62814000,2314102],[62814974,62814974,2305357],[62815000,62815970,2304459],[62816000,62816000,2314102],[62816974,62816974,2304459],[62817000,62817000,2314102],[62817975,62817975,2304459],[62818000,62818000,2314102],[62818974,62818974,2304459],[62819000,62819500,2314102],[62819973,62819975,2304459],[62820000,62820970,2306207],[62823000,62828974,2307007],[62830000,62830000,2301109],[62830974,62832974,2307007],[62835000,62835000,2301109],[62835973,62835991,2307007],[62840000,62847000,2302206],[62847975,62847975,2304350],[62848000,62848990,2302206],[62850000,62859974,2303501],[62860000,62866974,2310852],[62870000,62870970,2309607],[62872000,62872000,2303808],[62872974,62874972,2309607],[62875000,62875990,2303956],[62877000,62877000,2303808],[62877974,62877974,2303956],[62878000,62878974,2303808],[62878978,62878978,2303956],[62879000,62879500,2303808],[62879973,62879975,2303956],[62880000,62899974,2305233],[62900000,62908991,2311801],[62910000,62913975,2310001],[62920000,62929974,2311504],[62930000,62935973,2307601],[62940000,62948990,2308708],[62950000,62950000,2305332],[62950974,62950990,2308708],[62951000,62951000,2305332],[62951975,62951990,2308708],[62953000,62953000,2305332],[62953975,62953990,2308708],[62955000,62959973,2305332],[62960000,62964974,2313104],[62965000,62965970,2312502],[62970000,62975973,2300705],[62980000,62989974,2306009],[62990000,62990970,2311231],[62995000,62995000,2302800],[63010000,63084000,2307304],[63090001,63099970,2301901],[63100005,63139976,2304202],[63140000,63140970,2301604],[63143000,63143000,2313252],[63143975,63143975,2301604],[63144000,63144000,2313252],[63144974,63144990,2301604],[63145000,63145970,2313252],[63150000,63150970,2302701],[63151000,63151000,2311959],[63151973,63151973,2302701],[63152000,63152000,2311959],[63152974,63152974,2302701],[63153000,63153000,2311959],[63153975,63153975,2302701],[63154000,63154100,2311959],[63154972,63154976,2302701],[63155000,63158974,2311959],[63160000,63163000,2311207],[63165000,63168976,2309201],[63170000,63178976,2301307],[63180000,63182974,2301901],[63183000,63183000,2304301],[63183974,63184974,2301901],[63185000,63189975,2304301],[63190000,63194972,2312106],[63195000,63195970,2300606],[63198000,63198000,2312106],[63200000,63208975,2308401],[63210000,63219975,2308104],[63220000,63228974,2303204],[63230000,63230970,2304806],[63240000,63245000,2300101],[63250000,63255973,2308302],[63260000,63268974,2302503],[63270000,63273975,2311108],[63275000,63277973,2307205],[63280000,63286974,2310605],[63290000,63297973,2307106],[63300000,63308974,2307502],[63310000,63315973,2313708],[63320000,63320970,2301802],[63340000,63345973,2305704],[63360000,63365973,2301703],[63370000,63370000,2307502],[63370974,63370974,2301703],[63380000,63389975,2302008],[63390000,63390000,2307502],[63390972,63390972,2302008],[63392000,63392000,2307502],[63392974,63392974,2302008],[63395000,63395000,2307502],[63395973,63395973,2302008],[63400000,63400970,2303808],[63405000,63405000,2314003],[63405973,63405973,2303808],[63430000,63435977,2305407],[63440000,63440000,2304251],[63445000,63445973,2305407],[63450000,63455000,2306900],[63455973,63455973,2305407],[63460000,63465000,2310803],[63470000,63473975,2304277],[63475000,63479975,2306900],[63480000,63480970,2306702],[63490000,63495000,2306801],[63500000,63507723,2305506],[63508000,63508000,2301950],[63508005,63508866,2305506],[63509000,63509000,2302008],[63509100,63509546,2305506],[63510000,63510000,2311355],[63510200,63510974,2305506],[63511000,63511000,2311355],[63511500,63511974,2305506],[63512000,63512000,2311355],[63512500,63512976,2305506],[63513000,63513000,2304251],[63513500,63514976,2305506],[63515000,63515975,2311355],[63520000,63528974,2309508],[63530000,63539974,2303303],[63540000,63548974,2314003],[63550000,63550000,2302800],[63550974,63550974,2314003],[63555000,63555000,2302800],[63555973,63555973,2314003],[63558000,63558000,2302800],[63558974,63558974,2314003],[63560000,63568974,2300309],[63570000,63573000,2300804],[63575000,63575970,2300408],[63578000,63578000,2300804],[63578974,63578974,2300408],[63580000,63580970,2307403],[63582000,63582000,2301802],[63582974,63588974,2307403],[63590000,63594980,2311900],[63595000,63595970,2303600],[63600000,63604976,2312700],[63605000,63605970,2310902],[63606000,63606974,2309102],[63607000,63607975,2310902],[63608000,63608000,2312700],[63608974,63608974,2310902],[63610000,63619973,2308500],[63620000,63626974,2313005],[63630000,63634972,2310506],[63635000,63635970,2308351],[63637000,63637000,2310506],[63637975,63637975,2308351],[63639000,63639000,2310506],[63639975,63639975,2308351],[63640000,63643990,2305605],[63645000,63647000,2304269],[63647973,63647973,2301802],[63648000,63648400,2304269],[63648972,63648972,2301703],[63648974,63648976,2304269],[63650000,63655973,2311264],[63660000,63668990,2313302],[63670000,63676974,2301505],[63680000,63689973,2310308],[63690000,63690000,2313302],[63690972,63694972,2310308],[63695000,63695000,2313302],[63695973,63697975,2310308],[63700000,63709899,2304103],[63710000,63710000,2311231],[63710975,63714974,2304103],[63715000,63715000,2311231],[63715975,63716974,2304103],[63720000,63720000,2311231],[63720976,63723975,2304103],[63725000,63725000,2311231],[63725974,63725990,2304103],[63728000,63728000,2311231],[63728976,63728976,2304103],[63730000,63735000,2311231],[63735974,63736974,2304103],[63740000,63746974,2309409],[63750000,63755973,2313203],[63760000,63760000,2311231],[63760976,63760976,2313203],[63765000,63765000,2311231],[63765973,63765973,2313203],[63768000,63768000,2311231],[63768974,63768974,2313203],[63770000,63770000,2311231],[63770974,63770974,2313203],[63775000,63775000,2311231],[63775973,63779974,2313203],[63780000,63785973,2308609],[63790000,63790000,2311231],[63790974,63790974,2308609],[63800000,63835973,2311405],[63860000,63869974,2307635],[63870000,63887973,2302404],[63890000,63890000,2311405],[63890974,63893977,2302404],[63895000,63895000,2311405],[63895973,63895973,2302404],[63900000,63909899,2311306],[63910000,63910000,2301851],[63910974,63910974,2311306],[63915000,63915000,2301851],[63915974,63917975,2311306],[63920000,63920000,2301851],[63920975,63920975,2311306],[63925000,63925000,2301851],[63925974,63927975,2311306],[63930000,63930000,2301851],[63930975,63932974,2311306],[63935000,63935000,2301851],[63935974,63935990,2311306],[63940000,63940000,2301851],[63940974,63940974,2311306],[63945000,63945000,2301851],[63945974,63945974,2311306],[63948000,63948000,2301851],[63948974,63948974,2311306],[63950000,63958974,2303931],[63960000,63967975,2301851],[63970000,63970970,2305266],[63980000,63980000,2301851],[63980974,63980974,2305266],[63982000,63982000,2301851],[63982974,63982974,2305266],[63984000,63984000,2301851],[63984972,63990974,2305266],[64000010,64099899,2211001],[64100000,64100970,2201200],[64105000,64105970,2202059],[64108000,64108970,2201770],[64110000,64110970,2205508],[64120000,64125970,2211100],[64130000,64130970,2206209],[64138000,64138970,2205557],[64140000,64140970,2206803],[64145000,64145970,2208502],[64148000,64148970,2202174],[64150000,64150970,2206100],[64155000,64155970,2209971],[64160000,64160970,2205805],[64165000,64165971,2205458],[64168000,64168970,2205854],[64170000,64170970,2205409],[64175000,64175970,2206696],[64178000,64178970,2206670],[64180000,64180991,2203701],[64190000,64190970,2201507],[64200005,64219899,2207702],[64220000,64220971,2205706],[64222000,64222970,2202083],[64224000,64224971,2204659],[64225000,64225970,2201919],[64228000,64228970,2202653],[64230000,64230970,2202000],[64233000,64233970,2202539],[64235000,64235970,2202703],[64238000,64238970,2202729],[64240000,64240970,2208304],[64243000,64243970,2209872],[64245000,64245970,2210052],[64250000,64250970,2203420],[64253000,64253970,2206357],[64255000,64255973,2207900],[64258000,64258970,2205573],[64260000,64260971,2208403],[64265000,64265970,2201960],[64270000,64270970,2202406],[64275000,64275970,2205276],[64278000,64278970,2202711],[64280000,64280970,2202208],[64283000,64283970,2201945],[64285000,64285971,2210656],[64288000,64288970,2206753],[64290000,64290970,2200400],[64295000,64295970,2207793],[64300000,64300972,2211308],[64308000,64308970,2205599],[64310000,64310970,2200905],[64315000,64315970,2209153],[64320000,64320970,2208106],[64325000,64325970,2203503],[64330000,64330970,2210409],[64333000,64333970,2201051],[64335000,64335970,2202737],[64340000,64340970,2202604],[64343000,64343970,2205516],[64345000,64345970,2202026],[64350000,64350970,2209906],[64360000,64360970,2200301],[64365000,64365970,2206951],[64370000,64370970,2208601],[64375000,64375971,2209609],[64378000,64378970,2210383],[64380000,64380970,2201606],[64388000,64388970,2205581],[64390000,64390990,2203305],[64395000,64395970,2207751],[64400000,64400970,2200509],[64410000,64410990,2200608],[64415000,64415990,2206720],[64420000,64420970,2207504],[64430000,64430970,2210508],[64435000,64435970,2209807],[64438000,64438970,2209450],[64440000,64440970,2200103],[64445000,64445970,2206308],[64450000,64450970,2206407],[64453000,64453970,2203255],[64455000,64455970,2201408],[64460000,64460970,2200202],[64465000,64465970,2205540],[64468000,64468970,2207108],[64470000,64470970,2204600],[64475000,64475970,2204105],[64480000,64480970,2201002],[64490000,64490970,2208809],[64495000,64495970,2205250],[64500000,64500970,2207009],[64510000,64510970,2209955],[64512000,64512970,2210979],[64514000,64514971,2202075],[64516000,64516970,2202778],[64518000,64518970,2209377],[64520000,64520970,2204006],[64525000,64525970,2211407],[64528000,64528970,2201176],[64530000,64530970,2206902],[64535000,64535970,2204709],[64540000,64540970,2204808],[64545000,64545970,2209104],[64548000,64548970,2211704],[64550000,64550970,2209708],[64555000,64555970,2210102],[64558000,64558970,2210391],[64560000,64560970,2209500],[64563000,64563970,2203859],[64565000,64565970,2205003],[64568000,64568970,2211506],[64570000,64570970,2204907],[64573000,64573970,2206050],[64575000,64575970,2205201],[64578000,64578970,2202133],[64580000,64580970,2207777],[64585000,64585970,2210706],[64590000,64590970,2202554],[64595000,64595970,2203271],[64600000,64608990,2208007],[64610000,64610970,2210938],[64612000,64612970,2200954],[64613000,64613970,2204352],[64615000,64615970,2209351],[64618000,64618970,2207553],[64620000,64620970,2203404],[64625000,64625970,2210201],[64630000,64630970,2201804],[64635000,64635970,2209856],[64638000,64638970,2210375],[64640000,64640970,2209401],[64645000,64645970,2204204],[64650000,64650970,2206506],[64655000,64655970,2200251],[64660000,64660970,2208205],[64670000,64670970,2210300],[64675000,64675970,2200277],[64678000,64678970,2201572],[64680000,64680970,2207207],[64683000,64683970,2204154],[64685000,64685970,2205953],[64688000,64688970,2211605],[64690000,64690970,2204303],[64695000,64695970,2202091],[64700000,64700970,2210805],[64705000,64705970,2201556],[64710000,64710970,2207306],[64720000,64720970,2210904],[64725000,64725970,2208874],[64728000,64728970,2207934],[64730000,64730970,2202109],[64740000,64740970,2202802],[64745000,64745970,2209658],[64748000,64748970,2200053],[64750000,64750970,2207801],[64753000,64753970,2201739],[64755000,64755970,2205151],[64758000,64758970,2208650],[64760000,64760970,2210003],[64763000,64763970,2202455],[64764000,64764970,2207959],[64765000,64765970,2205359],[64767000,64767970,2202117],[64768000,64768970,2205565],[64770000,64770972,2210607],[64773000,64773970,2211357],[64775000,64775970,2201929],[64778000,64778970,2210359],[64780000,64780970,2200707],[64782000,64782970,2205532],[64783000,64783970,2209559],[64785000,64785970,2203354],[64788000,64788970,2203750],[64790000,64790970,2203453],[64793000,64793970,2202851],[64795000,64795970,2202505],[64798000,64798970,2204550],[64800000,64809899,2203909],[64815000,64815970,2203800],[64820000,64820970,2205102],[64825000,64825970,2206704],[64830000,64830970,2205300],[64833000,64833970,2202251],[64835000,64835970,2209005],[64838000,64838970,2207850],[64840000,64840970,2204501],[64845000,64845970,2206001],[64850000,64850970,2205607],[64855000,64855970,2200806],[64858000,64858970,2208551],[64860000,64860970,2211209],[64865000,64865970,2208908],[64868000,64868970,2201150],[64870000,64870970,2201705],[64873000,64873970,2210631],[64875000,64875970,2205904],[64880000,64880970,2203602],[64885000,64885970,2202752],[64890000,64890970,2202307],[64893000,64893970,2210953],[64895000,64895970,2201988],[64898000,64898970,2207355],[64900000,64900972,2201903],[64905000,64905970,2203230],[64910000,64910970,2209302],[64915000,64915970,2208700],[64920000,64920970,2203107],[64923000,64923971,2200459],[64925000,64925970,2207405],[64930000,64930970,2204402],[64940000,64940970,2206605],[64945000,64945970,2209203],[64960000,64960970,2203206],[64963000,64963970,2205524],[64965000,64965970,2201101],[64968000,64968970,2206654],[64970000,64970970,2207603],[64975000,64975970,2208858],[64980000,64980970,2202901],[64985000,64985970,2210623],[64990000,64990970,2201309],[64993000,64993970,2209757],[64995000,64995970,2203008],[65002900,65099990,2111300],[65100000,65100000,2109601],[65103000,65103000,2101251],[65105000,65105000,2110203],[65108000,65108000,2101103],[65109899,65109899,2111300],[65110000,65110992,2111201],[65115000,65115000,2106409],[65130000,65130992,2107506],[65137000,65137000,2109452],[65137959,65137971,2107506],[65138000,65138970,2109452],[65140000,65140970,2109205],[65143000,65143970,2101251],[65145000,65145970,2110203],[65148000,65148970,2101103],[65150000,65150970,2109601],[65160000,65160970,2107100],[65165000,65165970,2102374],[65170000,65175000,2105104],[65180000,65180970,2105005],[65190000,65190970,2109403],[65195000,65195970,2110278],[65200000,65200973,2108603],[65202000,65202000,2109809],[65204000,65204970,2109270],[65206000,65206970,2108256],[65208000,65209970,2109809],[65210000,65210970,2102507],[65211000,65211000,2112803],[65213000,65213970,2108306],[65215000,65215970,2112803],[65218000,65218970,2106508],[65220000,65220970,2111706],[65223000,65223970,2107456],[65225000,65225970,2111003],[65230000,65230970,2102408],[65233000,65233970,2101350],[65235000,65235970,2110500],[65238000,65238970,2107605],[65245000,65245970,2108405],[65248000,65248970,2101905],[65250000,65250970,2100204],[65253000,65253000,2104909],[65253970,65253970,2100204],[65255000,65255970,2104909],[65260000,65260970,2103109],[65263000,65263970,2109056],[65265000,65265990,2106805],[65267000,65267970,2103125],[65268000,65268970,2103703],[65269000,65269970,2111789],[65270000,65270970,2101301],[65272000,65272970,2110039],[65274000,65274970,2107357],[65275000,65275970,2100832],[65276000,65276970,2112456],[65278000,65278970,2112407],[65279000,65279970,2109239],[65280000,65280970,2102606],[65281000,65281000,2106375],[65281970,65281970,2102606],[65282000,65282000,2106375],[65282971,65282971,2102606],[65283000,65283970,2106375],[65284000,65284970,2104677],[65285000,65285970,2104305],[65287000,65287000,2106375],[65288000,65288970,2103158],[65289000,65289970,2106326],[65290000,65290970,2106201],[65292000,65292970,2101970],[65293000,65293970,2100550],[65294000,65294970,2105658],[65295000,65295970,2102903],[65298000,65298000,2106201],[65299000,65299970,2103174],[65300000,65309899,2109908],[65310000,65310970,2100402],[65315000,65315970,2102150],[65320000,65320972,2113009],[65335000,65335970,2101772],[65340000,65340970,2103554],[65345000,65345970,2105153],[65350000,65355000,2112902],[65360000,65360970,2106904],[65363000,65363970,2104651],[65365000,65365970,2114007],[65368000,65369810,2100873],[65370000,65370971,2108504],[65375000,65378970,2112274],[65380000,65384810,2102002],[65385000,65385970,2111029],[65390000,65390970,2110005],[65393000,65393970,2102325],[65395000,65395970,2102036],[65398000,65399810,2100477],[65400000,65405000,2103307],[65410000,65410000,2108454],[65413000,65413970,2100436],[65415000,65415970,2103604],[65418000,65418970,2108454],[65420000,65420970,2112100],[65430000,65430970,2112704],[65440000,65440970,2110401],[65450000,65450970,2107209],[65455000,65455970,2109304],[65460000,65460970,2108801],[65465000,65465970,2102705],[65468000,65468970,2106631],[65470000,65470970,2111508],[65480000,65480970,2101004],[65483000,65483000,2105401],[65483970,65483970,2101004],[65485000,65485970,2105401],[65490000,65490970,2100709],[65493000,65495970,2106755],[65500000,65500971,2103208],[65505000,65505970,2100105],[65510000,65510970,2106409],[65515000,65515970,2102200],[65520000,65520990,2102101],[65525000,65525970,2100808],[65530000,65530970,2112605],[65535000,65535970,2101731],[65540000,65540970,2110104],[65545000,65545970,2106672],[65550000,65550970,2110609],[65555000,65555970,2110237],[65560000,65565970,2106300],[65570000,65575000,2100907],[65578000,65578972,2100154],[65580000,65582970,2112506],[65585000,65585970,2108058],[65590000,65590970,2101707],[65600010,65609900,2103000],[65610000,65610970,2100303],[65615000,65615970,2111078],[65620000,65620970,2103406],[65625000,65625970,2103901],[65630020,65638899,2112209],[65639000,65639000,2102200],[65640000,65640970,2107803],[65643000,65643000,2102101],[65643970,65643970,2107803],[65645000,65645970,2106607],[65650000,65658000,2110906],[65660000,65660970,2101509],[65665000,65665970,2111102],[65668000,65668970,2111953],[65670000,65670970,2107704],[65680000,65680970,2107902],[65683000,65683970,2105922],[65685000,65685970,2102309],[65688000,65688000,2107902],[65690000,65690970,2103505],[65693000,65693000,2105450],[65695000,65695970,2104206],[65700000,65700991,2101202],[65704000,65704970,2102077],[65705000,65705970,2105906],[65706000,65706970,2107407],[65707000,65707970,2108702],[65708000,65708970,2111409],[65709000,65709970,2111722],[65710000,65710970,2105807],[65712000,65712970,2105948],[65714000,65714970,2106359],[65715000,65715970,2105708],[65716000,65716970,2108108],[65718000,65718970,2105963],[65720000,65720971,2105203],[65723000,65723970,2101939],[65725000,65725970,2108207],[65726000,65726000,2112233],[65726970,65726970,2108207],[65727000,65727970,2112233],[65728000,65728970,2106003],[65730000,65730970,2110302],[65735000,65735970,2102754],[65740000,65740970,2108900],[65750000,65750970,2104008],[65753000,65753970,2111631],[65755000,65755970,2105609],[65758000,65758970,2111672],[65760000,65760970,2109106],[65762000,65762970,2111250],[65763000,65764970,2112308],[65765000,65765970,2103802],[65768000,65768970,2109759],[65770000,65770970,2104503],[65775000,65775970,2104404],[65780000,65780970,2104602],[65783000,65783970,2111748],[65785000,65785970,2104701],[65790000,65790970,2110708],[65795000,65795970,2104628],[65800000,65800972,2101400],[65805000,65805970,2104107],[65808000,65808970,2107258],[65810000,65815970,2100501],[65820000,65820970,2112001],[65830000,65830970,2109700],[65840000,65840970,2111607],[65850000,65855970,2106706],[65860000,65860970,2111904],[65870000,65875970,2108009],[65880000,65880970,2107308],[65885000,65885970,2101806],[65888000,65888970,2110658],[65890000,65890970,2110807],[65895000,65895970,2106102],[65900001,65919899,2105302],[65920000,65920970,2111532],[65921000,65921970,2103257],[65922000,65922970,2105500],[65923000,65923970,2100600],[65924000,65924970,2112852],[65925000,65925970,2111805],[65927000,65927970,2103752],[65928000,65928971,2104552],[65929000,65929970,2110856],[65930000,65930972,2100055],[65935000,65935000,2111763],[65935500,65935959,2102358],[65935970,65935970,2111763],[65935971,65935971,2102358],[65936000,65936970,2107001],[65937000,65937970,2105989],[65938000,65938970,2109551],[65939000,65939970,2105427],[65940000,65940970,2104800],[65943000,65943970,2104099],[65945000,65945970,2100956],[65948000,65948970,2105351],[65950000,65959000,2101608],[65962000,65962970,2105476],[65964000,65964970,2104081],[65968000,65968970,2102556],[65970000,65970970,2109007],[65973000,65973970,2111052],[65975000,65975970,2104057],[65978000,65978970,2111573],[65980000,65980970,2102804],[65990000,65990970,2109502],[65995000,65995970,2104073],[66000000,66999899,1501402],[67000000,67199899,1500800],[67200000,67216212,1504422],[68005000,68120000,1506807],[68120970,68120990,1504752],[68120991,68124000,1506807],[68125000,68125000,1502855],[68125971,68128971,1506807],[68129000,68129959,1504752],[68130000,68135970,1506005],[68138000,68138971,1505650],[68140000,68142000,1508159],[68143000,68143970,1501451],[68145000,68147970,1504455],[68148000,68148970,1501725],[68150000,68160971,1501006],[68165000,68165971,1506195],[68170000,68178600,1503903],[68180005,68191971,1503606],[68192000,68192700,1503044],[68193000,68193971,1505031],[68195000,68195970,1503754],[68198000,68199000,1508050],[68200000,68200972,1500404],[68210000,68210971,1502855],[68220000,68220972,1504802],[68230000,68240970,1500503],[68250000,68269810,1505106],[68270000,68275970,1505304],[68280000,68280970,1503002],[68285000,68285970,1507979],[68300000,68320971,1503101],[68330000,68330971,1505908],[68340000,68350000,1500602],[68350005,68359888,1502152],[68360000,68360970,1507805],[68365000,68365971,1500859],[68371000,68379971,1500602],[68380000,68382810,1507300],[68383000,68383970,1508357],[68385000,68385970,1508084],[68388000,68388971,1501253],[68390000,68394000,1505437],[68398000,68398970,1502764],[68400000,68404970,1502103],[68406000,68406000,1502905],[68406970,68409970,1502103],[68410000,68410000,1504000],[68412000,68412970,1502103],[68415000,68415970,1504000],[68420000,68428000,1504604],[68430000,68438000,1503309],[68440000,68444970,1500107],[68445000,68449300,1501303],[68450000,68453971,1504703],[68455005,68464000,1508100],[68465000,68468970,1501204],[68470000,68470970,1505205],[68473000,68474000,1505064],[68475000,68475970,1501105],[68478000,68478000,1505064],[68480000,68480970,1505809],[68482000,68485972,1505486],[68488000,68488971,1501782],[68490000,68495000,1504505],[68500005,68514972,1504208],[68515000,68517959,1505536],[68518000,68518970,1507508],[68519000,68519000,1504208],[68520000,68520970,1507151],[68521000,68522971,1501758],[68523000,68523971,1502772],[68524000,68524971,1502954],[68525000,68525971,1501576],[68527000,68527970,1500131],[68530000,68530970,1506161],[68533000,68533970,1500347],[68535000,68535970,1505494],[68537000,68537970,1502152],[68540000,68540970,1502707],[68543000,68544100,1503044],[68545000,68545970,1505551],[68548000,68548971,1507755],[68549000,68549200,1507003],[68549300,68549300,1506138],[68549400,68549500,1507003],[68549601,68554899,1506138],[68555005,68558899,1508407],[68559200,68559300,1507409],[68559400,68559400,1505635],[68559500,68559600,1507409],[68560000,68563970,1506708],[68565000,68567970,1506583],[68568000,68568000,1506708],[68570000,68570972,1507458],[68575000,68575971,1505635],[68580000,68580974,1503705],[68585000,68585971,1504976],[68590000,68590970,1503804],[68600000,68609971,1501709],[68610000,68615000,1500909],[68617000,68617971,1501956],[68618000,68618970,1504950],[68620000,68620974,1508308],[68621000,68621000,1505502],[68622000,68622971,1508308],[68623000,68630899,1505502],[68631000,68631800,1502707],[68632000,68632971,1508126],[68633000,68633973,1502939],[68635000,68635972,1507201],[68636000,68636000,1505502],[68637000,68637971,1503457],[68638000,68638972,1506187],[68639000,68639972,1503093],[68640000,68640971,1505403],[68642000,68642000,1508035],[68644000,68644970,1506559],[68645000,68645970,1501600],[68647000,68647971,1508035],[68650000,68650970,1502301],[68655000,68655971,1503507],[68658000,68658970,1500958],[68660000,68663970,1507607],[68665000,68665972,1503077],[68670000,68670970,1501907],[68672000,68675970,1504059],[68680000,68682970,1508001],[68685000,68685970,1502756],[68690000,68690970,1500206],[68692000,68699000,1507953],[68700005,68706971,1502202],[68707000,68707970,1506104],[68708000,68708000,1502202],[68709000,68709972,1506112],[68710000,68718970,1504307],[68719000,68719970,1507474],[68720000,68720970,1506906],[68721000,68721973,1506203],[68722000,68723970,1504109],[68725000,68725971,1503200],[68726000,68726000,1506203],[68730000,68730970,1505007],[68732000,68732000,1506609],[68734000,68735970,1505601],[68738000,68738973,1506609],[68740005,68747971,1502400],[68748000,68749970,1507409],[68750000,68759000,1502905],[68760000,68762970,1504406],[68764000,68764000,1504802],[68765000,68768971,1504406],[68770000,68770971,1503408],[68772000,68772000,1507466],[68773000,68773970,1507961],[68774000,68774973,1507466],[68775000,68775970,1507102],[68776000,68779000,1507466],[68780000,68783000,1508209],[68785000,68785972,1502608],[68786000,68786972,1507003],[68787000,68788000,1508209],[68790000,68792972,1506500],[68795000,68797971,1501501],[68798000,68798990,1506351],[68800000,68808000,1501808],[68810000,68810970,1500701],[68815000,68818000,1502806],[68820000,68820970,1507706],[68825000,68828000,1504901],[68830000,68835000,1505700],[68840000,68848000,1502004],[68850000,68850971,1506401],[68860000,68868000,1506302],[68870000,68875000,1507904],[68880000,68885000,1502509],[68890000,68892000,1500305],[68900001,68913970,1600303],[68914000,68914000,1600055],[68915000,68915970,1600238],[68917000,68917000,1600303],[68918000,68918970,1600550],[68920000,68920970,1600279],[68923000,68924970,1600808],[68925000,68939000,1600600],[68940000,68943000,1600402],[68945000,68948000,1600154],[68948959,68948970,1600055],[68950000,68958000,1600105],[68960000,68970970,1600204],[68973000,68973970,1600212],[68976000,68976970,1600253],[68980000,68988000,1600501],[68990000,68994000,1600709],[68997000,68997970,1600535],[69001009,69099999,1302603],[69100000,69109899,1301902],[69110000,69110000,1304005],[69112000,69113800,1301902],[69114000,69114970,1304005],[69115000,69117970,1303569],[69120000,69120970,1302009],[69130000,69130970,1304302],[69135000,69139970,1303957],[69140000,69140970,1303007],[69150990,69159970,1303403],[69160000,69175970,1300508],[69180000,69184970,1304401],[69190000,69193000,1302900],[69195000,69195970,1300680],[69196000,69197000,1302900],[69200000,69200970,1300805],[69210000,69212000,1301100],[69230000,69230970,1303106],[69240000,69249800,1300300],[69250000,69254800,1301100],[69255000,69255970,1301159],[69260000,69260970,1303304],[69265000,69275970,1300144],[69280000,69299800,1302702],[69301000,69339899,1400100],[69340000,69340970,1400308],[69343000,69343970,1400027],[69345000,69345970,1400456],[69348000,69348970,1400282],[69350000,69350970,1400050],[69355000,69355971,1400407],[69358000,69358970,1400704],[69360000,69365000,1400209],[69370000,69370970,1400605],[69373000,69374810,1400472],[69375000,69375970,1400506],[69378000,69378971,1400233],[69380000,69380970,1400159],[69390000,69399000,1400175],[69400000,69403754,1302504],[69405000,69408000,1301852],[69409899,69409899,1302504],[69410000,69410000,1300839],[69414000,69414800,1302504],[69415000,69424000,1301852],[69425000,69429800,1300839],[69430000,69430970,1300631],[69435000,69435970,1302553],[69440000,69440970,1300102],[69445000,69445970,1300086],[69450000,69459800,1301308],[69460000,69460970,1301209],[69470000,69470000,1304203],[69475000,69475000,1300029],[69480000,69480970,1304104],[69485000,69485000,1304260],[69490000,69490970,1302801],[69495000,69499810,1302108],[69500000,69500970,1301001],[69510000,69519810,1301951],[69520000,69520970,1302207],[69530000,69530970,1304260],[69540000,69540970,1300029],[69550005,69559970,1304203],[69600000,69600971,1303908],[69610000,69610000,1304062],[69619810,69619810,1303908],[69620000,69620970,1300060],[69630000,69639800,1300607],[69640000,69649800,1304062],[69650000,69659810,1300201],[69660000,69660970,1302306],[69670000,69670970,1301605],[69680000,69680970,1303700],[69685000,69685970,1304237],[69700000,69700970,1300409],[69720000,69725000,1303809],[69729810,69729810,1300409],[69730000,69734810,1303205],[69735000,69737970,1303536],[69740000,69740970,1303601],[69750000,69790970,1303809],[69800000,69819810,1301704],[69820000,69829810,1300904],[69830000,69849810,1302405],[69850000,69859800,1300706],[69860000,69860970,1303502],[69870000,69870970,1301506],[69880000,69880970,1301407],[69890000,69890970,1301803],[69895000,69895970,1301654],[69900001,69920970,1200401],[69921000,69921000,1200807],[69921001,69921872,1200401],[69922000,69922000,1200179],[69922001,69923900,1200401],[69925000,69925970,1200450],[69926000,69926970,1200138],[69927000,69927970,1200807],[69928000,69929970,1200385],[69930000,69930970,1200708],[69931000,69931970,1200179],[69932000,69932970,1200104],[69934000,69934970,1200252],[69935000,69939810,1200054],[69940000,69940970,1200500],[69945000,69945970,1200013],[69950000,69950970,1200344],[69955000,69955970,1200435],[69960000,69969850,1200302],[69970000,69970970,1200609],[69975000,69979810,1200328],[69980000,69980972,1200203],[69982000,69982970,1200393],[69983000,69983970,1200351],[69985000,69985970,1200427],[69990000,69990970,1200336],[70002900,72799899,5300108],[72800010,72801110,5212501],[72801115,72801115,5208707],[72801120,72801320,5212501],[72801360,72801360,5208707],[72801381,72801481,5212501],[72801505,72801505,5208707],[72801510,72801875,5212501],[72801880,72801896,5208707],[72801900,72803110,5212501],[72803115,72803115,5208707],[72803120,72804320,5212501],[72804325,72804325,5208707],[72804330,72805445,5212501],[72805450,72805470,5208707],[72805504,72806520,5212501],[72809005,72809670,5208707],[72810010,72810330,5212501],[72810401,72810471,5208707],[72810510,72812560,5212501],[72812565,72812565,5208707],[72812602,72812610,5212501],[72812613,72812613,5208707],[72812615,72812620,5212501],[72812625,72812625,5208707],[72812630,72812720,5212501],[72812725,72812725,5208707],[72812752,72815510,5212501],[72815515,72815515,5208707],[72815520,72815530,5212501],[72815535,72815535,5208707],[72815540,72816390,5212501],[72816393,72816396,5208707],[72816399,72822680,5212501],[72823010,72823020,5208707],[72823030,72823270,5212501],[72823501,72823766,5208707],[72823990,72831010,5212501],[72831015,72831015,5208707],[72831020,72832000,5212501],[72832018,72832128,5208707],[72832610,72832760,5212501],[72833001,72833737,5208707],[72834010,72834060,5212501],[72834065,72834065,5208707],[72834070,72834180,5212501],[72834201,72834409,5208707],[72834510,72850775,5212501],[72850780,72850780,5208707],[72850785,72851630,5212501],[72851633,72851633,5208707],[72851635,72851740,5212501],[72851750,72851786,5208707],[72852005,72852580,5212501],[72852601,72852864,5208707],[72853001,72854115,5212501],[72854703,72854739,5208707],[72855001,72855571,5212501],[72855572,72855577,5208707],[72855581,72855586,5212501],[72855590,72855590,5208707],[72855601,72855871,5212501],[72855882,72855890,5208707],[72855891,72855891,5212501],[72855892,72855899,5208707],[72855970,72856006,5212501],[72856010,72856105,5208707],[72856110,72856130,5212501],[72856155,72856195,5208707],[72856419,72859899,5212501],[72860001,72860033,5215231],[72860035,72860040,5208707],[72860045,72860222,5215231],[72860230,72860231,5208707],[72860250,72860359,5215231],[72860371,72860374,5208707],[72860401,72860701,5215231],[72860711,72860711,5208707],[72860751,72860785,5215231],[72860786,72860789,5208707],[72860800,72860850,5215231],[72860853,72860895,5208707],[72860959,72860991,5215231],[72861010,72861342,5208707],[72861500,72862150,5215231],[72862151,72862153,5208707],[72862201,72862206,5215231],[72862207,72862210,5208707],[72862211,72862280,5215231],[72862300,72862300,5208707],[72862301,72862332,5215231],[72862341,72862355,5208707],[72862401,72862409,5215231],[72862410,72862410,5208707],[72862501,72862624,5215231],[72862671,72863537,5208707],[72863701,72865250,5215231],[72865280,72865280,5208707],[72865301,72865315,5215231],[72865323,72865324,5208707],[72865330,72865970,5215231],[72866105,72866413,5208707],[72866415,72866415,5215231],[72866503,72867779,5208707],[72869899,72869899,5215231],[72870001,72870080,5221858],[72870081,72870081,5208707],[72870083,72871165,5221858],[72871401,72871637,5208707],[72871639,72871645,5221858],[72871647,72871691,5208707],[72871800,72872848,5221858],[72873001,72873027,5208707],[72873029,72874570,5221858],[72874650,72875035,5208707],[72875052,72876069,5221858],[72876070,72876070,5208707],[72876072,72876690,5221858],[72876705,72876750,5208707],[72876901,72878093,5221858],[72878095,72878095,5208707],[72878180,72878228,5221858],[72878230,72878230,5208707],[72878235,72878666,5221858],[72878669,72878669,5208707],[72879050,72879270,5221858],[72879274,72879300,5208707],[72879301,72879301,5221858],[72879305,72879320,5208707],[72879322,72879323,5221858],[72879324,72879324,5208707],[72879325,72879351,5221858],[72879353,72879439,5208707],[72879505,72879899,5221858],[72880000,72899970,5205497],[72900000,72909000,5219753],[72910000,72910000,5200258],[72910001,72910052,5201405],[72910080,72910092,5200258],[72910100,72910253,5201405],[72910255,72910255,5200258],[72910256,72910286,5201405],[72910289,72910289,5200258],[72910320,72910320,5201405],[72910321,72910322,5200258],[72910323,72910323,5201405],[72910324,72910325,5200258],[72910326,72910379,5201405],[72910380,72910380,5200258],[72910382,72910605,5201405],[72910624,72910624,5200258],[72910630,72910657,5201405],[72910660,72910663,5200258],[72910690,72910765,5201405],[72910820,72910990,5200258],[72911000,72911229,5201405],[72911232,72911232,5200258],[72911250,72911423,5201405],[72911430,72911436,5200258],[72911470,72911566,5201405],[72911581,72911815,5200258],[72912000,72912522,5201405],[72912531,72912556,5200258],[72912600,72914227,5201405],[72914229,72914229,5200258],[72914230,72914658,5201405],[72914680,72914827,5200258],[72915000,72915313,5201405],[72915315,72915315,5200258],[72915316,72915316,5201405],[72915318,72915318,5200258],[72915319,72915511,5201405],[72915513,72915515,5200258],[72915540,72915715,5201405],[72915750,72915970,5200258],[72916000,72916152,5201405],[72916153,72916154,5200258],[72916155,72916173,5201405],[72916174,72916175,5200258],[72916176,72917705,5201405],[72918030,72918030,5200258],[72920000,72920000,5200308],[72920001,72920229,5201405],[72920260,72920272,5200258],[72920280,72921025,5201405],[72921027,72921027,5200258],[72921028,72921055,5201405],[72921057,72921057,5200258],[72921058,72921061,5201405],[72921063,72921063,5200258],[72921064,72921070,5201405],[72921071,72921071,5200258],[72921073,72921115,5201405],[72921116,72921116,5200258],[72921118,72921124,5201405],[72921141,72921223,5200258],[72921240,72922822,5201405],[72923000,72923122,5200258],[72925000,72925084,5201405],[72925087,72925090,5200258],[72925100,72925168,5201405],[72925170,72925170,5200258],[72925171,72925528,5201405],[72925530,72925560,5200258],[72925700,72925750,5201405],[72925752,72925752,5200258],[72925753,72926280,5201405],[72926281,72926282,5200258],[72926283,72926283,5201405],[72926284,72926285,5200258],[72926286,72926286,5201405],[72926287,72926287,5200258],[72926289,72927290,5201405],[72927291,72927292,5200258],[72927293,72927293,5201405],[72927294,72927295,5200258],[72927296,72927299,5201405],[72927300,72927300,5200258],[72927302,72927302,5201405],[72927304,72927304,5200258],[72927305,72927305,5201405],[72927306,72927306,5200258],[72927308,72927308,5201405],[72927309,72927310,5200258],[72927311,72927311,5201405],[72927313,72927313,5200258],[72927314,72927314,5201405],[72927315,72927316,5200258],[72927317,72927317,5201405],[72927318,72927328,5200258],[72927330,72927330,5201405],[72927331,72927332,5200258],[72927333,72927333,5201405],[72927334,72927334,5200258],[72927336,72927336,5201405],[72927337,72927338,5200258],[72927339,72927339,5201405],[72927340,72927394,5200258],[72927400,72927403,5201405],[72927404,72927404,5200258],[72927406,72927899,5201405],[72928010,72929899,5200258],[72930000,72935000,5200308],[72940000,72950970,5200100],[72960000,72960970,5205802],[72975000,72979971,5205513],[72980000,72989970,5217302],[73005080,73499899,5300108],[73700000,73720970,5215603],[73730000,73730970,5213053],[73740000,73749810,5205521],[73750005,73759000,5217609],[73760000,73764970,5220009],[73770000,73778970,5200605],[73780000,73780970,5200175],[73790000,73790970,5205307],[73795000,73795970,5221080],[73801010,73802025,5208004],[73802027,73802027,5201405],[73802030,73802270,5208004],[73802273,73802273,5201405],[73802274,73802433,5208004],[73802434,73802435,5201405],[73802436,73802442,5208004],[73802443,73802443,5201405],[73802445,73802451,5208004],[73802452,73802452,5201405],[73802454,73802463,5208004],[73802464,73802464,5201405],[73802466,73802469,5208004],[73802470,73802470,5201405],[73802471,73802472,5208004],[73802473,73802473,5201405],[73802474,73802480,5208004],[73802481,73802481,5201405],[73802483,73802486,5208004],[73802488,73802488,5201405],[73802489,73803165,5208004],[73803167,73803175,5201405],[73803176,73803176,5208004],[73803177,73803177,5201405],[73803178,73803178,5208004],[73803179,73803179,5201405],[73803180,73803180,5208004],[73803181,73803181,5201405],[73803205,73803340,5208004],[73803342,73803342,5201405],[73803344,73803388,5208004],[73803501,73803645,5201405],[73803648,73803648,5208004],[73803650,73803650,5201405],[73803652,73803654,5208004],[73803655,73803655,5201405],[73803656,73803658,5208004],[73803660,73804030,5201405],[73804032,73804032,5208004],[73804035,73804070,5201405],[73804072,73804072,5208004],[73804075,73804080,5201405],[73804082,73804082,5208004],[73804085,73804620,5201405],[73805005,73805110,5208004],[73805112,73805112,5201405],[73805115,73805180,5208004],[73805183,73805183,5201405],[73805185,73805185,5208004],[73805188,73805188,5201405],[73805190,73805250,5208004],[73805252,73805252,5201405],[73805253,73805555,5208004],[73805557,73805557,5201405],[73805560,73805790,5208004],[73805795,73805795,5201405],[73805801,73807270,5208004],[73807273,73807273,5201405],[73807274,73807375,5208004],[73807377,73807377,5201405],[73807380,73807395,5208004],[73807397,73807399,5201405],[73807400,73807402,5208004],[73807403,73807403,5201405],[73807405,73807405,5208004],[73807410,73807410,5201405],[73807411,73807450,5208004],[73807455,73807455,5201405],[73807490,73807795,5208004],[73807800,73807840,5201405],[73807842,73808292,5208004],[73808294,73808294,5201405],[73808296,73808470,5208004],[73808475,73808475,5201405],[73808476,73808855,5208004],[73808860,73808880,5201405],[73809000,73809032,5208004],[73809201,73809305,5201405],[73809328,73809328,5208004],[73809330,73809660,5201405],[73809662,73809664,5208004],[73809665,73809726,5201405],[73813010,73813050,5208004],[73813055,73813055,5201405],[73813060,73813665,5208004],[73813670,73813670,5201405],[73813701,73813760,5208004],[73813762,73813763,5201405],[73813765,73813770,5208004],[73813772,73813799,5201405],[73813801,73814170,5208004],[73814173,73814173,5201405],[73814175,73814265,5208004],[73814270,73814275,5201405],[73814328,73814605,5208004],[73815010,73815010,5201405],[73815012,73815012,5208004],[73815020,73815030,5201405],[73815035,73815035,5208004],[73815040,73815040,5201405],[73815045,73815045,5208004],[73815050,73815190,5201405],[73815193,73815193,5208004],[73815200,73815210,5201405],[73816899,73819970,5208004],[73820000,73820970,5214903],[73825000,73825970,5222203],[73830000,73838970,5213509],[73840000,73840970,5204904],[73850000,73858970,5206206],[73860000,73860970,5219803],[73865000,73869970,5208301],[73870000,73870970,5204003],[73890000,73899970,5207907],[73900000,73907971,5218300],[73910000,73910970,5209408],[73920000,73928970,5209903],[73930000,73930970,5220686],[73950000,73950970,5200803],[73970000,73970970,5212709],[73975000,73975970,5203962],[73980000,73980970,5206701],[73990000,73990970,5220702],[74001959,74063020,5208707],[74063023,74063023,5205109],[74063025,74063220,5208707],[74063225,74063225,5205109],[74063230,74063325,5208707],[74063327,74063327,5205109],[74063330,74063480,5208707],[74063485,74063485,5205109],[74063490,74075160,5208707],[74075165,74075165,5205109],[74075170,74083020,5208707],[74083025,74083025,5205109],[74083030,74093020,5208707],[74093023,74093023,5205109],[74093025,74093090,5208707],[74093091,74093091,5205109],[74093100,74223040,5208707],[74223042,74223045,5205109],[74223050,74223050,5208707],[74223052,74223055,5205109],[74223060,74230020,5208707],[74230022,74230025,5205109],[74230030,74230040,5208707],[74230042,74230045,5205109],[74230050,74230220,5208707],[74230250,74230255,5205109],[74230257,74230257,5208707],[74230260,74230270,5205109],[74230285,74230285,5208707],[74230300,74230305,5205109],[74230350,74230350,5208707],[74230355,74230375,5205109],[74230425,74275220,5208707],[74275225,74275227,5205109],[74275230,74280110,5208707],[74280115,74280115,5205109],[74280130,74280140,5208707],[74280145,74280145,5205109],[74280150,74280160,5208707],[74280165,74280165,5205109],[74280170,74280180,5208707],[74280185,74280185,5205109],[74280190,74280190,5208707],[74280195,74280195,5205109],[74280200,74280200,5208707],[74280205,74280205,5205109],[74280210,74280210,5208707],[74280215,74280215,5205109],[74280220,74280242,5208707],[74280245,74280245,5205109],[74280250,74280280,5208707],[74280285,74280285,5205109],[74280290,74280290,5208707],[74280295,74280295,5205109],[74280300,74280310,5208707],[74280315,74280315,5205109],[74280320,74290040,5208707],[74290045,74290045,5205109],[74290050,74290200,5208707],[74290205,74290205,5205109],[74290210,74310010,5208707],[74310015,74310015,5205109],[74310020,74310295,5208707],[74310296,74310297,5205109],[74310300,74310312,5208707],[74310315,74310315,5205109],[74310320,74310320,5208707],[74310322,74310322,5205109],[74310330,74310370,5208707],[74310375,74310377,5205109],[74310380,74310390,5208707],[74310395,74310395,5205109],[74310400,74315320,5208707],[74315325,74315325,5205109],[74315330,74320180,5208707],[74320185,74320185,5205109],[74320190,74320190,5208707],[74320194,74320195,5205109],[74320200,74323020,5208707],[74323025,74323025,5205109],[74323030,74323080,5208707],[74323083,74323083,5205109],[74323085,74323132,5208707],[74323133,74323139,5205109],[74323140,74325120,5208707],[74325125,74325125,5205109],[74325130,74325250,5208707],[74325252,74325256,5205109],[74330010,74333280,5208707],[74333285,74333285,5205109],[74333290,74335250,5208707],[74335255,74335255,5205109],[74335260,74340160,5208707],[74340165,74340165,5205109],[74340170,74345010,5208707],[74345015,74345015,5205109],[74345020,74345020,5208707],[74345025,74345025,5205109],[74345030,74353200,5208707],[74353205,74353205,5205109],[74353210,74353410,5208707],[74353415,74353415,5205109],[74353420,74353525,5208707],[74353527,74353527,5205109],[74353530,74353530,5208707],[74353531,74353534,5205109],[74353535,74353535,5208707],[74353538,74353538,5205109],[74353540,74353540,5208707],[74353541,74353541,5205109],[74353549,74354490,5208707],[74354491,74354491,5205109],[74354500,74354580,5208707],[74354585,74354585,5205109],[74354590,74354702,5208707],[74354705,74354705,5205109],[74354707,74354714,5208707],[74354715,74354715,5205109],[74354750,74355015,5208707],[74355016,74355016,5205109],[74355020,74355032,5208707],[74355033,74355033,5205109],[74355034,74355040,5208707],[74355041,74355041,5205109],[74355042,74355070,5208707],[74355071,74355072,5205109],[74355075,74355788,5208707],[74355800,74355820,5205109],[74355822,74355822,5208707],[74355825,74355890,5205109],[74356000,74356064,5208707],[74356065,74356065,5205109],[74356066,74356066,5208707],[74356067,74356067,5205109],[74356068,74356080,5208707],[74356082,74356091,5205109],[74356100,74356547,5208707],[74356550,74356885,5205109],[74356890,74356890,5208707],[74357000,74357120,5205109],[74357121,74360100,5208707],[74360105,74360105,5205109],[74360110,74363050,5208707],[74363055,74363055,5205109],[74363060,74363090,5208707],[74363095,74363095,5205109],[74363100,74363180,5208707],[74363185,74363185,5205109],[74363190,74366200,5208707],[74366201,74366240,5205109],[74367630,74367631,5208707],[74367632,74367632,5205109],[74367633,74369010,5208707],[74369011,74369011,5205109],[74369012,74369068,5208707],[74369069,74369069,5205109],[74369070,74370030,5208707],[74370035,74370035,5205109],[74370040,74370390,5208707],[74370395,74370395,5205109],[74370400,74370403,5208707],[74370404,74370404,5205109],[74370405,74370430,5208707],[74370435,74370435,5205109],[74370437,74370628,5208707],[74370629,74370643,5205109],[74370644,74370684,5208707],[74370685,74370685,5205109],[74370686,74370872,5208707],[74370873,74370873,5205109],[74370875,74370881,5208707],[74370882,74370882,5205109],[74371001,74371190,5208707],[74371201,74371226,5205109],[74371250,74371630,5208707],[74371631,74371633,5205109],[74371635,74371821,5208707],[74372000,74372095,5205109],[74372100,74372115,5208707],[74372822,74372822,5205109],[74373010,74373020,5208707],[74373025,74373025,5205109],[74373030,74373040,5208707],[74373045,74373045,5205109],[74373050,74373050,5208707],[74373055,74373055,5205109],[74373060,74373070,5208707],[74373075,74373075,5205109],[74373080,74373080,5208707],[74373085,74373085,5205109],[74373090,74373273,5208707],[74373275,74373275,5205109],[74373280,74375750,5208707],[74375752,74375753,5205109],[74375762,74375762,5208707],[74376000,74376065,5205109],[74377200,74377200,5208707],[74377202,74377202,5205109],[74377205,74377205,5208707],[74377206,74377209,5205109],[74377210,74377210,5208707],[74377212,74377212,5205109],[74377215,74377215,5208707],[74377219,74377219,5205109],[74377220,74377220,5208707],[74377222,74377222,5205109],[74377225,74377225,5208707],[74377226,74377229,5205109],[74377230,74377230,5208707],[74377232,74377232,5205109],[74377233,74377235,5208707],[74377236,74377239,5205109],[74377240,74377240,5208707],[74377242,74377244,5205109],[74377245,74377245,5208707],[74377246,74377246,5205109],[74377250,74377250,5208707],[74377252,74377252,5205109],[74377255,74377320,5208707],[74377323,74377323,5205109],[74377325,74377325,5208707],[74377327,74377327,5205109],[74377330,74390402,5208707],[74390403,74390403,5205109],[74390410,74390410,5208707],[74390412,74390417,5205109],[74390420,74390530,5208707],[74390535,74390535,5205109],[74390540,74390660,5208707],[74390661,74390662,5205109],[74390663,74390668,5208707],[74390669,74390669,5205109],[74390670,74390840,5208707],[74390841,74390860,5205109],[74391010,74393390,5208707],[74393391,74393392,5205109],[74393395,74393585,5208707],[74393587,74393587,5205109],[74393590,74393830,5208707],[74393831,74393831,5205109],[74393840,74394199,5208707],[74394200,74394841,5205109],[74394842,74395230,5208707],[74395250,74395819,5205109],[74396000,74413120,5208707],[74413121,74413121,5205109],[74413125,74413330,5208707],[74413335,74413335,5205109],[74413340,74415012,5208707],[74415014,74415014,5205109],[74415015,74415015,5208707],[74415016,74415016,5205109],[74415019,74415060,5208707],[74415062,74415065,5205109],[74415070,74415100,5208707],[74415102,74415102,5205109],[74415110,74415400,5208707],[74415405,74415406,5205109],[74415410,74415420,5208707],[74415425,74415425,5205109],[74415440,74415460,5208707],[74415472,74415472,5205109],[74415500,74415530,5208707],[74415535,74415535,5205109],[74415540,74420050,5208707],[74420055,74420055,5205109],[74420060,74420190,5208707],[74420192,74420195,5205109],[74420200,74420200,5208707],[74420201,74420201,5205109],[74420210,74420212,5208707],[74420213,74420213,5205109],[74420215,74420230,5208707],[74420235,74420235,5205109],[74420240,74420240,5208707],[74420245,74420245,5205109],[74420250,74420270,5208707],[74420278,74420278,5205109],[74420280,74420320,5208707],[74420322,74420322,5205109],[74420325,74420454,5208707],[74420455,74420455,5205109],[74420458,74420485,5208707],[74420550,74420565,5205109],[74420900,74423110,5208707],[74423115,74423115,5205109],[74423120,74423120,5208707],[74423122,74423122,5205109],[74423130,74423335,5208707],[74423336,74423336,5205109],[74423340,74423340,5208707],[74423342,74423342,5205109],[74423350,74423540,5208707],[74423543,74423543,5205109],[74423550,74423590,5208707],[74423597,74423598,5205109],[74423600,74425010,5208707],[74425018,74425018,5205109],[74425020,74425040,5208707],[74425045,74425045,5205109],[74425050,74425080,5208707],[74425085,74425085,5205109],[74425086,74425090,5208707],[74425098,74425098,5205109],[74425100,74425120,5208707],[74425122,74425122,5205109],[74425130,74425165,5208707],[74425168,74425168,5205109],[74425170,74425170,5208707],[74425178,74425178,5205109],[74425180,74425190,5208707],[74425197,74425197,5205109],[74425200,74425320,5208707],[74425325,74425325,5205109],[74425330,74425380,5208707],[74425381,74425382,5205109],[74425390,74430110,5208707],[74430112,74430112,5205109],[74430120,74430130,5208707],[74430135,74430135,5205109],[74430140,74430210,5208707],[74430215,74430215,5205109],[74430220,74430500,5208707],[74430510,74430515,5205109],[74430520,74433020,5208707],[74433025,74433025,5205109],[74433030,74433200,5208707],[74433205,74433205,5205109],[74433210,74435260,5208707],[74435265,74435265,5205109],[74435270,74445304,5208707],[74445305,74445350,5205109],[74445351,74445353,5208707],[74445355,74445355,5205109],[74445356,74445359,5208707],[74445360,74445520,5205109],[74450010,74453010,5208707],[74453012,74453012,5205109],[74453020,74453330,5208707],[74453335,74453335,5205109],[74453340,74453380,5208707],[74453383,74453386,5205109],[74453390,74453460,5208707],[74453462,74453462,5205109],[74453465,74453490,5208707],[74453495,74453495,5205109],[74453500,74453610,5208707],[74453615,74453615,5205109],[74453620,74455010,5208707],[74455013,74455015,5205109],[74455020,74455020,5208707],[74455025,74455025,5205109],[74455030,74455050,5208707],[74455055,74455055,5205109],[74455060,74455060,5208707],[74455065,74455065,5205109],[74455070,74455140,5208707],[74455145,74455145,5205109],[74455150,74455150,5208707],[74455155,74455155,5205109],[74455160,74455205,5208707],[74455208,74455208,5205109],[74455210,74455235,5208707],[74455238,74455239,5205109],[74455240,74455280,5208707],[74455289,74455289,5205109],[74455290,74455340,5208707],[74455349,74455349,5205109],[74455350,74455353,5208707],[74455355,74455357,5205109],[74455360,74455374,5208707],[74455375,74455375,5205109],[74455380,74455420,5208707],[74455437,74455437,5205109],[74455500,74455662,5208707],[74455700,74455799,5205109],[74460010,74461100,5208707],[74461105,74461195,5205109],[74461200,74463125,5208707],[74463127,74463127,5205109],[74463130,74465546,5208707],[74465547,74465554,5205109],[74465560,74470070,5208707],[74470071,74470071,5205109],[74470075,74470295,5208707],[74470297,74470297,5205109],[74470300,74470383,5208707],[74470385,74470385,5205109],[74470386,74470810,5208707],[74470820,74470825,5205109],[74470828,74470828,5208707],[74470830,74470855,5205109],[74471000,74471142,5208707],[74471150,74471150,5205109],[74473010,74473560,5208707],[74473565,74473565,5205109],[74473570,74473815,5208707],[74473816,74473816,5205109],[74473817,74474254,5208707],[74474255,74474255,5205109],[74474256,74474258,5208707],[74474259,74474259,5205109],[74474300,74474422,5208707],[74474500,74474720,5205109],[74475001,74475125,5208707],[74475127,74475130,5205109],[74475131,74475247,5208707],[74475248,74475248,5205109],[74475250,74475278,5208707],[74475279,74475279,5205109],[74475280,74475374,5208707],[74475375,74475375,5205109],[74475400,74475727,5208707],[74475729,74475764,5205109],[74475801,74475820,5208707],[74475858,74475860,5205109],[74475971,74476110,5208707],[74476113,74476188,5205109],[74476200,74477006,5208707],[74477007,74477008,5205109],[74477009,74477081,5208707],[74477082,74477082,5205109],[74477083,74477430,5208707],[74477431,74477431,5205109],[74477432,74477447,5208707],[74477448,74477448,5205109],[74477449,74477451,5208707],[74477500,74477500,5205109],[74477502,74477580,5208707],[74477600,74477600,5205109],[74477601,74480382,5208707],[74480385,74480387,5205109],[74480390,74481243,5208707],[74481245,74481245,5205109],[74481250,74482220,5208707],[74482223,74482223,5205109],[74482225,74482390,5208707],[74482392,74482413,5205109],[74482414,74483618,5208707],[74483620,74483620,5205109],[74483630,74483870,5208707],[74483871,74483883,5205109],[74484002,74484200,5208707],[74484205,74484205,5205109],[74484210,74484360,5208707],[74484361,74484361,5205109],[74484362,74484366,5208707],[74484367,74484367,5205109],[74484368,74485100,5208707],[74485105,74485105,5205109],[74485110,74485470,5208707],[74485475,74485475,5205109],[74485480,74485812,5208707],[74485815,74485815,5205109],[74485850,74486050,5208707],[74486052,74486052,5205109],[74486055,74486120,5208707],[74486123,74486123,5205109],[74486125,74486380,5208707],[74486400,74486430,5205109],[74486431,74486433,5208707],[74486450,74486490,5205109],[74486900,74490894,5208707],[74491000,74491741,5205109],[74491750,74491874,5208707],[74492000,74492269,5205109],[74492280,74493190,5208707],[74493191,74493191,5205109],[74493192,74493192,5208707],[74493193,74493193,5205109],[74493194,74493194,5208707],[74493195,74493195,5205109],[74493196,74493196,5208707],[74493197,74493197,5205109],[74493198,74494114,5208707],[74494115,74494115,5205109],[74494200,74495848,5208707],[74495849,74495849,5205109],[74495850,74505011,5208707],[74505012,74505012,5205109],[74505016,74520130,5208707],[74523001,74523001,5205109],[74523010,74523070,5208707],[74523075,74523090,5205109],[74523100,74523480,5208707],[74523485,74523485,5205109],[74523490,74523610,5208707],[74523615,74523615,5205109],[74525010,74530010,5208707],[74530015,74530015,5205109],[74530020,74530424,5208707],[74530425,74530425,5205109],[74530430,74530430,5208707],[74530432,74530432,5205109],[74530435,74550180,5208707],[74550185,74550185,5205109],[74550190,74550380,5208707],[74550385,74550385,5205109],[74550395,74550530,5208707],[74550535,74550538,5205109],[74550540,74553020,5208707],[74553025,74553026,5205109],[74553028,74553040,5208707],[74553045,74553045,5205109],[74553050,74553050,5208707],[74553055,74553055,5205109],[74553060,74553240,5208707],[74553245,74553245,5205109],[74553250,74553480,5208707],[74553485,74553485,5205109],[74553490,74553490,5208707],[74553495,74553495,5205109],[74553500,74553505,5208707],[74553507,74553507,5205109],[74553510,74553580,5208707],[74553585,74553585,5205109],[74553590,74553600,5208707],[74553601,74553603,5205109],[74553605,74553605,5208707],[74553608,74553608,5205109],[74553610,74553625,5208707],[74553627,74553627,5205109],[74553630,74553630,5208707],[74553632,74553660,5205109],[74554010,74555510,5208707],[74555515,74555515,5205109],[74555520,74555520,5208707],[74555525,74555530,5205109],[74555540,74555550,5208707],[74555553,74555562,5205109],[74560020,74560350,5208707],[74560355,74560355,5205109],[74560360,74560390,5208707],[74560395,74560397,5205109],[74560400,74563350,5208707],[74563355,74563355,5205109],[74563360,74565006,5208707],[74565007,74565007,5205109],[74565008,74565692,5208707],[74565693,74565693,5205109],[74565694,74565694,5208707],[74565695,74565695,5205109],[74565696,74565705,5208707],[74565801,74565804,5205109],[74565900,74573388,5208707],[74573389,74573389,5205109],[74573390,74573401,5208707],[74573402,74573403,5205109],[74573404,74574009,5208707],[74574015,74574080,5205109],[74575010,74580440,5208707],[74580445,74580448,5205109],[74580450,74580450,5208707],[74580452,74580458,5205109],[74580460,74580500,5208707],[74580505,74580505,5205109],[74580510,74580620,5208707],[74580625,74580625,5205109],[74580640,74580880,5208707],[74581000,74581010,5205109],[74583010,74583250,5208707],[74583255,74583255,5205109],[74583260,74583615,5208707],[74583700,74583775,5205109],[74583780,74584240,5208707],[74584300,74584320,5205109],[74590010,74591012,5208707],[74591013,74591013,5205109],[74591014,74591054,5208707],[74591061,74591061,5205109],[74591100,74593270,5208707],[74593273,74593273,5205109],[74593275,74594078,5208707],[74594079,74594079,5205109],[74594080,74594080,5208707],[74594081,74594081,5205109],[74594082,74594082,5208707],[74594083,74594083,5205109],[74594084,74594084,5208707],[74594085,74594085,5205109],[74594086,74594086,5208707],[74594087,74594087,5205109],[74594088,74594088,5208707],[74594089,74594089,5205109],[74594090,74594090,5208707],[74594091,74594091,5205109],[74594092,74594092,5208707],[74594093,74594093,5205109],[74594094,74594128,5208707],[74594131,74594137,5205109],[74594140,74594143,5208707],[74594149,74594149,5205109],[74594150,74594162,5208707],[74594171,74594175,5205109],[74594300,74594445,5208707],[74594450,74594450,5205109],[74594451,74594451,5208707],[74594452,74594452,5205109],[74594500,74595311,5208707],[74595321,74595333,5205109],[74595350,74610030,5208707],[74610060,74610060,5205109],[74610070,74630100,5208707],[74630102,74630104,5205109],[74630110,74630130,5208707],[74630132,74630138,5205109],[74630140,74630140,5208707],[74630142,74630146,5205109],[74630150,74630180,5208707],[74630185,74630185,5205109],[74630190,74630270,5208707],[74630280,74630280,5205109],[74630290,74633270,5208707],[74633273,74633273,5205109],[74633275,74633275,5208707],[74633277,74633279,5205109],[74633280,74633340,5208707],[74633344,74633344,5205109],[74633345,74633375,5208707],[74633378,74633378,5205109],[74633380,74633380,5208707],[74633390,74633399,5205109],[74633400,74633405,5208707],[74633410,74633410,5205109],[74633420,74635130,5208707],[74635132,74635132,5205109],[74635140,74650090,5208707],[74650095,74650095,5205109],[74650100,74653031,5208707],[74653033,74653035,5205109],[74653050,74653210,5208707],[74653212,74653215,5205109],[74653220,74653230,5208707],[74653241,74653245,5205109],[74653900,74655140,5208707],[74655145,74655148,5205109],[74655150,74655190,5208707],[74655195,74655195,5205109],[74655200,74655200,5208707],[74655205,74655205,5205109],[74655210,74655325,5208707],[74655328,74655328,5205109],[74655330,74655340,5208707],[74655345,74655345,5205109],[74655350,74660010,5208707],[74660015,74660018,5205109],[74660020,74660180,5208707],[74660195,74660195,5205109],[74660200,74660205,5208707],[74660207,74660207,5205109],[74660210,74660385,5208707],[74660387,74660391,5205109],[74660393,74665832,5208707],[74665833,74665833,5205109],[74665834,74665834,5208707],[74665835,74665835,5205109],[74665836,74665838,5208707],[74665839,74665839,5205109],[74665840,74665840,5208707],[74665841,74665841,5205109],[74665900,74665900,5208707],[74666000,74666001,5205109],[74666002,74672040,5208707],[74672042,74672042,5205109],[74672090,74672150,5208707],[74672153,74672158,5205109],[74672160,74672835,5208707],[74672836,74672836,5205109],[74672839,74675836,5208707],[74675837,74675837,5205109],[74675840,74681500,5208707],[74681600,74681600,5205109],[74681610,74683530,5208707],[74683535,74683535,5205109],[74683540,74684011,5208707],[74684012,74684012,5205109],[74684013,74684014,5208707],[74684015,74684016,5205109],[74684017,74684017,5208707],[74684018,74684057,5205109],[74684058,74684058,5208707],[74684100,74684445,5205109],[74684471,74690879,5208707],[74690881,74690887,5205109],[74690900,74691090,5208707],[74691095,74691095,5205109],[74691100,74691100,5208707],[74691105,74691105,5205109],[74691110,74691305,5208707],[74691306,74691306,5205109],[74691310,74691310,5208707],[74691315,74691315,5205109],[74691320,74691320,5208707],[74691325,74691325,5205109],[74691330,74691880,5208707],[74691882,74691886,5205109],[74692001,74692210,5208707],[74692217,74692385,5205109],[74692700,74692766,5208707],[74693001,74694100,5205109],[74694201,74705010,5208707],[74705015,74705015,5205109],[74705020,74710371,5208707],[74710375,74710375,5205109],[74710380,74715410,5208707],[74715415,74715415,5205109],[74715420,74715590,5208707],[74715595,74715595,5205109],[74715600,74730430,5208707],[74730435,74730435,5205109],[74730440,74730520,5208707],[74730525,74730525,5205109],[74730530,74735040,5208707],[74735045,74735045,5205109],[74735050,74735590,5208707],[74735600,74735600,5205109],[74735602,74735616,5208707],[74735650,74735660,5205109],[74736000,74740300,5208707],[74740305,74740307,5205109],[74740310,74740330,5208707],[74740335,74740335,5205109],[74740340,74740440,5208707],[74740443,74740443,5205109],[74740445,74740450,5208707],[74740452,74740452,5205109],[74740460,74740540,5208707],[74740545,74740545,5205109],[74740550,74740629,5208707],[74755011,74755050,5205109],[74765010,74765330,5208707],[74765337,74765337,5205109],[74765340,74769766,5208707],[74769767,74769767,5205109],[74769768,74769770,5208707],[74769771,74769771,5205109],[74769772,74769780,5208707],[74769781,74769781,5205109],[74769782,74775045,5208707],[74775055,74775055,5205109],[74775080,74775094,5208707],[74779000,74779030,5205109],[74780010,74780560,5208707],[74780562,74780562,5205109],[74780570,74780712,5208707],[74780713,74780713,5205109],[74780714,74781210,5208707],[74781211,74781215,5205109],[74781218,74781218,5208707],[74781220,74781225,5205109],[74781228,74781228,5208707],[74781230,74781230,5205109],[74781233,74781234,5208707],[74781235,74781235,5205109],[74781238,74781238,5208707],[74781240,74781250,5205109],[74781251,74781890,5208707],[74783025,74783070,5205109],[74783072,74783072,5208707],[74783075,74783075,5205109],[74783077,74783077,5208707],[74783080,74783080,5205109],[74783201,74785700,5208707],[74785705,74785705,5205109],[74785710,74786325,5208707],[74786350,74786405,5205109],[74786420,74810106,5208707],[74810113,74810113,5205109],[74810115,74815445,5208707],[74815448,74815448,5205109],[74815450,74815450,5208707],[74815455,74815457,5205109],[74815460,74815470,5208707],[74815475,74815475,5205109],[74815480,74815900,5208707],[74817015,74817035,5205109],[74820005,74820061,5208707],[74820063,74820065,5205109],[74820070,74820070,5208707],[74820075,74820075,5205109],[74820080,74820902,5208707],[74821000,74821010,5205109],[74823020,74823420,5208707],[74823422,74823427,5205109],[74823430,74830140,5208707],[74830145,74830145,5205109],[74830150,74835010,5208707],[74835015,74835015,5205109],[74835020,74835105,5208707],[74835107,74835107,5205109],[74835109,74835140,5208707],[74835145,74835145,5205109],[74835150,74835180,5208707],[74835185,74835187,5205109],[74835190,74835280,5208707],[74835285,74835285,5205109],[74835290,74840120,5208707],[74840125,74840125,5205109],[74840130,74843710,5208707],[74843715,74843720,5205109],[74843725,74843725,5208707],[74843730,74843745,5205109],[74844000,74845090,5208707],[74845095,74845095,5205109],[74845100,74850325,5208707],[74850328,74850328,5205109],[74850330,74850585,5208707],[74850587,74850587,5205109],[74850590,74853050,5208707],[74853055,74853055,5205109],[74853060,74860620,5208707],[74860623,74860623,5205109],[74860625,74860625,5208707],[74860627,74860627,5205109],[74860630,74863010,5208707],[74863015,74863015,5205109],[74863020,74863020,5208707],[74863025,74863025,5205109],[74863030,74863210,5208707],[74863215,74863215,5205109],[74863220,74884800,5208707],[74884801,74884801,5205109],[74884810,74885500,5208707],[74885503,74885599,5205109],[74885600,74885600,5208707],[74885603,74885686,5205109],[74885700,74885700,5208707],[74885705,74886000,5205109],[74886002,74886004,5208707],[74886005,74886005,5205109],[74886006,74886010,5208707],[74886011,74886011,5205109],[74886012,74886016,5208707],[74886017,74886017,5205109],[74886018,74886022,5208707],[74886023,74886023,5205109],[74886024,74886028,5208707],[74886029,74886029,5205109],[74886030,74886034,5208707],[74886035,74886035,5205109],[74886036,74886036,5208707],[74886037,74886037,5205109],[74886038,74886040,5208707],[74886041,74886041,5205109],[74886042,74886046,5208707],[74886047,74886047,5205109],[74886048,74886052,5208707],[74886053,74886053,5205109],[74886054,74886058,5208707],[74886059,74886059,5205109],[74886060,74886064,5208707],[74886065,74886065,5205109],[74886066,74886068,5208707],[74886069,74886069,5205109],[74886070,74886184,5208707],[74888000,74888090,5205109],[74888100,74890810,5208707],[74891000,74891130,5205109],[74891132,74891132,5208707],[74891135,74891135,5205109],[74893010,74899899,5208707],[74905010,74999899,5201405],[75020000,75020180,5201108],[75020187,75020187,5201405],[75020190,75020360,5201108],[75020365,75020365,5201405],[75020370,75023020,5201108],[75023023,75023023,5201405],[75023030,75023050,5201108],[75023055,75023057,5201405],[75023060,75023060,5201108],[75023063,75023067,5201405],[75023070,75023080,5201108],[75023085,75023085,5201405],[75023090,75024080,5201108],[75024085,75024085,5201405],[75024090,75025040,5201108],[75025045,75025045,5201405],[75025050,75025060,5201108],[75025065,75025065,5201405],[75025070,75040065,5201108],[75040067,75040067,5201405],[75040070,75040160,5201108],[75040165,75040165,5201405],[75040170,75040390,5201108],[75040393,75040393,5201405],[75040400,75040400,5201108],[75040405,75040405,5201405],[75040410,75043060,5201108],[75043065,75043065,5201405],[75043066,75043140,5201108],[75043145,75043145,5201405],[75043150,75043150,5201108],[75043155,75043155,5201405],[75043159,75043172,5201108],[75043175,75043175,5201405],[75043200,75044020,5201108],[75044025,75044029,5201405],[75044030,75044065,5201108],[75044067,75044067,5201405],[75044070,75044400,5201108],[75044405,75044407,5201405],[75044410,75045220,5201108],[75045225,75045225,5201405],[75045230,75050100,5201108],[75050109,75050109,5201405],[75050110,75050190,5201108],[75050193,75050193,5201405],[75050200,75050270,5201108],[75050280,75050280,5201405],[75050300,75053192,5201108],[75053193,75053193,5201405],[75053195,75053310,5201108],[75053313,75053313,5201405],[75053320,75053330,5201108],[75053333,75053333,5201405],[75053340,75053370,5201108],[75053373,75053373,5201405],[75053375,75053375,5201108],[75053377,75053377,5201405],[75053380,75053410,5201108],[75053415,75053415,5201405],[75053420,75053790,5201108],[75053800,75053855,5201405],[75053866,75054250,5201108],[75054251,75054258,5201405],[75054500,75054525,5201108],[75054527,75054527,5201405],[75054530,75054555,5201108],[75054700,75054849,5201405],[75056001,75060001,5201108],[75060003,75060004,5201405],[75060005,75060007,5201108],[75060009,75060009,5201405],[75060010,75060440,5201108],[75060445,75060445,5201405],[75060450,75060590,5201108],[75060595,75060595,5201405],[75060600,75060640,5201108],[75060643,75060643,5201405],[75060645,75060645,5201108],[75060648,75060648,5201405],[75060650,75060650,5201108],[75060655,75060655,5201405],[75060656,75063040,5201108],[75063042,75063044,5201405],[75063050,75063050,5201108],[75063053,75063055,5201405],[75063060,75063080,5201108],[75063082,75063088,5201405],[75063090,75063130,5201108],[75063133,75063133,5201405],[75063140,75063340,5201108],[75063345,75063345,5201405],[75063350,75063384,5201108],[75063385,75063385,5201405],[75063386,75063410,5201108],[75063415,75063415,5201405],[75063420,75063650,5201108],[75063655,75063655,5201405],[75063660,75063730,5201108],[75063733,75063733,5201405],[75063735,75063740,5201108],[75063743,75063745,5201405],[75063750,75064070,5201108],[75064075,75064077,5201405],[75064080,75064110,5201108],[75064112,75064112,5201405],[75064114,75064130,5201108],[75064133,75064133,5201405],[75064140,75064374,5201108],[75064375,75064375,5201405],[75064376,75064570,5201108],[75064573,75064575,5201405],[75064580,75064610,5201108],[75064615,75064615,5201405],[75064620,75064643,5201108],[75064645,75064645,5201405],[75064650,75065230,5201108],[75065235,75065235,5201405],[75065240,75066080,5201108],[75066200,75066231,5201405],[75066235,75070250,5201108],[75070255,75070255,5201405],[75070260,75070325,5201108],[75070327,75070327,5201405],[75070329,75070530,5201108],[75070535,75070535,5201405],[75070540,75070540,5201108],[75070545,75070545,5201405],[75070550,75070550,5201108],[75070555,75070555,5201405],[75070560,75071080,5201108],[75071083,75071083,5201405],[75071090,75071110,5201108],[75071113,75071113,5201405],[75071115,75071400,5201108],[75071403,75071403,5201405],[75071405,75071455,5201108],[75071460,75071460,5201405],[75071600,75071605,5201108],[75071607,75071607,5201405],[75071610,75071615,5201108],[75071617,75071617,5201405],[75071620,75071665,5201108],[75071667,75071667,5201405],[75071670,75071700,5201108],[75071703,75071703,5201405],[75071705,75071705,5201108],[75071707,75071707,5201405],[75071710,75071715,5201108],[75071717,75071717,5201405],[75071720,75071725,5201108],[75071727,75071727,5201405],[75071730,75071735,5201108],[75071737,75071737,5201405],[75071740,75071750,5201108],[75071753,75071753,5201405],[75071755,75071755,5201108],[75071757,75071757,5201405],[75071760,75071765,5201108],[75071800,75071859,5201405],[75071870,75073130,5201108],[75073131,75073139,5201405],[75073140,75073240,5201108],[75073241,75073246,5201405],[75073250,75073430,5201108],[75073435,75073435,5201405],[75073440,75073540,5201108],[75073543,75073545,5201405],[75073550,75073590,5201108],[75073593,75073597,5201405],[75073600,75073600,5201108],[75073602,75073608,5201405],[75073610,75073610,5201108],[75073612,75073616,5201405],[75073620,75073670,5201108],[75073672,75073674,5201405],[75073680,75073790,5201108],[75073805,75073805,5201405],[75073807,75073807,5201108],[75073810,75073875,5201405],[75074010,75074240,5201108],[75074242,75074242,5201405],[75074250,75074840,5201108],[75074842,75074874,5201405],[75075010,75075010,5201108],[75075015,75075020,5201405],[75075030,75075560,5201108],[75075565,75075565,5201405],[75075570,75075570,5201108],[75075575,75075575,5201405],[75075580,75080390,5201108],[75080395,75080395,5201405],[75080400,75083035,5201108],[75083037,75083037,5201405],[75083040,75083045,5201108],[75083047,75083049,5201405],[75083050,75083160,5201108],[75083165,75083165,5201405],[75083170,75083210,5201108],[75083215,75083216,5201405],[75083220,75083220,5201108],[75083222,75083222,5201405],[75083227,75083270,5201108],[75083275,75083277,5201405],[75083280,75083310,5201108],[75083313,75083316,5201405],[75083320,75083320,5201108],[75083323,75083329,5201405],[75083330,75083360,5201108],[75083365,75083365,5201405],[75083370,75083390,5201108],[75083393,75083393,5201405],[75083400,75083400,5201108],[75083403,75083403,5201405],[75083405,75083405,5201108],[75083407,75083407,5201405],[75083410,75083550,5201108],[75083553,75083553,5201405],[75083560,75084570,5201108],[75084575,75084575,5201405],[75084580,75085114,5201108],[75085117,75085119,5201405],[75085120,75085290,5201108],[75085295,75085295,5201405],[75085300,75085480,5201108],[75085487,75085487,5201405],[75085490,75085680,5201108],[75085685,75085685,5201405],[75085690,75085690,5201108],[75085691,75085697,5201405],[75085700,75085700,5201108],[75085703,75085815,5201405],[75085818,75085818,5201108],[75085821,75085851,5201405],[75086000,75091227,5201108],[75091292,75091299,5201405],[75091300,75091399,5201108],[75091400,75091403,5201405],[75091405,75091405,5201108],[75091406,75091460,5201405],[75091462,75093780,5201108],[75093783,75093783,5201405],[75093785,75094570,5201108],[75094575,75094575,5201405],[75094580,75094590,5201108],[75094595,75094595,5201405],[75094600,75094700,5201108],[75094705,75094705,5201405],[75094710,75094730,5201108],[75094735,75094735,5201405],[75094740,75095030,5201108],[75095035,75095035,5201405],[75095040,75095040,5201108],[75095045,75095045,5201405],[75095050,75095050,5201108],[75095055,75095055,5201405],[75095060,75095060,5201108],[75095065,75095065,5201405],[75095070,75095090,5201108],[75095095,75095095,5201405],[75095100,75095180,5201108],[75095185,75095185,5201405],[75095190,75095230,5201108],[75095235,75095235,5201405],[75095240,75095270,5201108],[75095275,75095275,5201405],[75095280,75095354,5201108],[75095355,75095355,5201405],[75095360,75095385,5201108],[75095386,75095387,5201405],[75095390,75095470,5201108],[75095475,75095475,5201405],[75095480,75095770,5201108],[75095775,75095775,5201405],[75095780,75095780,5201108],[75095785,75095785,5201405],[75095790,75095790,5201108],[75095795,75095795,5201405],[75095800,75096700,5201108],[75096701,75096716,5201405],[75096717,75097015,5201108],[75097017,75097017,5201405],[75097020,75097060,5201108],[75097100,75097140,5201405],[75097150,75100770,5201108],[75100775,75100775,5201405],[75100777,75100784,5201108],[75100785,75100785,5201405],[75100790,75101035,5201108],[75101037,75101037,5201405],[75101040,75101042,5201108],[75101043,75101043,5201405],[75101053,75101240,5201108],[75101400,75101428,5201405],[75101429,75101429,5201108],[75101430,75101498,5201405],[75101502,75101528,5201108],[75102000,75102147,5201405],[75102150,75103080,5201108],[75103085,75103085,5201405],[75103090,75103103,5201108],[75103104,75103109,5201405],[75103110,75103170,5201108],[75103175,75103175,5201405],[75103180,75103230,5201108],[75103233,75103237,5201405],[75103240,75103320,5201108],[75103321,75103329,5201405],[75103330,75103330,5201108],[75103331,75103334,5201405],[75103340,75103350,5201108],[75103355,75103355,5201405],[75103360,75103360,5201108],[75103365,75103365,5201405],[75103370,75103400,5201108],[75103405,75103405,5201405],[75103410,75103420,5201108],[75103425,75103427,5201405],[75103430,75103450,5201108],[75103453,75103455,5201405],[75103460,75103620,5201108],[75103623,75103623,5201405],[75103625,75103700,5201108],[75103702,75103708,5201405],[75103710,75103710,5201108],[75103712,75103714,5201405],[75103720,75103730,5201108],[75103732,75103732,5201405],[75103735,75103735,5201108],[75103737,75103737,5201405],[75103740,75103830,5201108],[75103831,75103837,5201405],[75103840,75103840,5201108],[75103843,75103889,5201405],[75104010,75104080,5201108],[75104085,75104085,5201405],[75104090,75104230,5201108],[75104235,75104235,5201405],[75104240,75104405,5201108],[75104407,75104407,5201405],[75104410,75104610,5201108],[75104615,75104615,5201405],[75104620,75104640,5201108],[75104645,75104645,5201405],[75104650,75104810,5201108],[75104811,75104815,5201405],[75104820,75104820,5201108],[75104825,75104825,5201405],[75104830,75104830,5201108],[75104835,75104835,5201405],[75104840,75104840,5201108],[75104845,75104845,5201405],[75104850,75104850,5201108],[75104855,75104879,5201405],[75104885,75105010,5201108],[75105015,75105015,5201405],[75105020,75105040,5201108],[75105045,75105045,5201405],[75105050,75105220,5201108],[75105225,75105225,5201405],[75105230,75105240,5201108],[75105245,75105245,5201405],[75105250,75105415,5201108],[75105417,75105417,5201405],[75105420,75105770,5201108],[75105771,75105820,5201405],[75105830,75106105,5201108],[75106107,75106107,5201405],[75106110,75106200,5201108],[75106203,75106203,5201405],[75106205,75106205,5201108],[75106207,75106207,5201405],[75106209,75106245,5201108],[75106247,75106247,5201405],[75106255,75106375,5201108],[75106377,75106377,5201405],[75106385,75106880,5201108],[75106881,75106890,5201405],[75106896,75110180,5201108],[75110185,75110185,5201405],[75110190,75110430,5201108],[75110435,75110435,5201405],[75110440,75110470,5201108],[75110473,75110477,5201405],[75110480,75113220,5201108],[75113225,75113225,5201405],[75113230,75113230,5201108],[75113235,75113235,5201405],[75113240,75113350,5201108],[75113355,75113355,5201405],[75113360,75113560,5201108],[75113565,75113565,5201405],[75113570,75114270,5201108],[75114275,75114275,5201405],[75114280,75114320,5201108],[75114323,75114323,5201405],[75114330,75114745,5201108],[75114800,75114851,5201405],[75114900,75115270,5201108],[75115275,75115275,5201405],[75115280,75115300,5201108],[75115305,75115305,5201405],[75115310,75115410,5201108],[75115415,75115415,5201405],[75115420,75115580,5201108],[75115581,75115589,5201405],[75115590,75115713,5201108],[75115714,75115714,5201405],[75115715,75115716,5201108],[75115718,75115718,5201405],[75115720,75120300,5201108],[75120305,75120305,5201405],[75120307,75120450,5201108],[75120455,75120455,5201405],[75120460,75120460,5201108],[75120465,75120465,5201405],[75120470,75120650,5201108],[75120652,75120652,5201405],[75120660,75120680,5201108],[75120681,75120689,5201405],[75120690,75120700,5201108],[75120705,75120705,5201405],[75120710,75123090,5201108],[75123095,75123095,5201405],[75123100,75123100,5201108],[75123105,75123105,5201405],[75123110,75123150,5201108],[75123155,75123155,5201405],[75123160,75123195,5201108],[75123198,75123198,5201405],[75123200,75123310,5201108],[75123315,75123315,5201405],[75123320,75123342,5201108],[75123345,75123345,5201405],[75123350,75123360,5201108],[75123363,75123363,5201405],[75123370,75123374,5201108],[75123377,75123379,5201405],[75123380,75123410,5201108],[75123415,75123415,5201405],[75123420,75123460,5201108],[75123462,75123462,5201405],[75123465,75123550,5201108],[75123555,75123555,5201405],[75123560,75123630,5201108],[75123635,75123636,5201405],[75123638,75123661,5201108],[75123665,75123665,5201405],[75123667,75125180,5201108],[75125185,75125185,5201405],[75125190,75125510,5201108],[75125515,75125515,5201405],[75125520,75125570,5201108],[75125575,75125575,5201405],[75125580,75125680,5201108],[75125683,75125683,5201405],[75125685,75125685,5201108],[75125687,75125687,5201405],[75125690,75125690,5201108],[75125692,75125692,5201405],[75125695,75126025,5201108],[75126199,75126199,5201405],[75126200,75126205,5201108],[75126207,75126207,5201405],[75126210,75130415,5201108],[75130416,75130416,5201405],[75130420,75130770,5201108],[75130772,75130772,5201405],[75130775,75131020,5201108],[75131025,75131025,5201405],[75131030,75131150,5201108],[75131455,75131455,5201405],[75131457,75131457,5201108],[75131460,75131497,5201405],[75131500,75132390,5201108],[75132400,75132400,5201405],[75132450,75133410,5201108],[75133415,75133415,5201405],[75133420,75133520,5201108],[75133525,75133525,5201405],[75133530,75133540,5201108],[75133545,75133545,5201405],[75133550,75133662,5201108],[75133665,75133665,5201405],[75133670,75133770,5201108],[75133771,75133828,5201405],[75133830,75133830,5201108],[75133831,75133839,5201405],[75133840,75133840,5201108],[75133843,75133864,5201405],[75133870,75134380,5201108],[75134385,75134387,5201405],[75134390,75134440,5201108],[75134445,75134445,5201405],[75134450,75134540,5201108],[75134543,75134547,5201405],[75134550,75134620,5201108],[75134623,75134623,5201405],[75134625,75134820,5201108],[75134823,75134823,5201405],[75134825,75136120,5201108],[75136121,75136145,5201405],[75136147,75136225,5201108],[75136227,75136227,5201405],[75136230,75136250,5201108],[75136251,75136405,5201405],[75136407,75136407,5201108],[75136410,75136585,5201405],[75140010,75140040,5201108],[75140045,75140047,5201405],[75140048,75140070,5201108],[75140071,75140073,5201405],[75140080,75140240,5201108],[75140245,75140247,5201405],[75140250,75140420,5201108],[75140425,75140425,5201405],[75140430,75140460,5201108],[75140465,75140469,5201405],[75140470,75140470,5201108],[75140472,75140474,5201405],[75140475,75140560,5201108],[75140561,75140565,5201405],[75140570,75140570,5201108],[75140572,75140585,5201405],[75140590,75143010,5201108],[75143012,75143012,5201405],[75143013,75143080,5201108],[75143085,75143085,5201405],[75143090,75143100,5201108],[75143105,75143105,5201405],[75143110,75143250,5201108],[75143255,75143255,5201405],[75143260,75143350,5201108],[75143355,75143355,5201405],[75143360,75143372,5201108],[75143373,75143373,5201405],[75143375,75143570,5201108],[75143575,75143575,5201405],[75143580,75143670,5201108],[75143707,75143715,5201405],[75143718,75144150,5201108],[75144155,75144155,5201405],[75144160,75144250,5201108],[75144255,75144255,5201405],[75144260,75144270,5201108],[75144275,75144275,5201405],[75144280,75144320,5201108],[75144325,75144325,5201405],[75144330,75144675,5201108],[75144677,75144677,5201405],[75144680,75144750,5201108],[75144755,75144755,5201405],[75144760,75145110,5201108],[75145115,75145115,5201405],[75145120,75145140,5201108],[75145145,75145145,5201405],[75145150,75145370,5201108],[75145371,75145379,5201405],[75145380,75145400,5201108],[75145403,75145403,5201405],[75145405,75145410,5201108],[75145415,75145415,5201405],[75145420,75159000,5201108],[75160000,75164970,5204854],[75165000,75169970,5215405],[75170000,75174970,5208400],[75175000,75179970,5221197],[75180000,75183970,5220603],[75184000,75184980,5208152],[75185000,75189970,5220264],[75190000,75194970,5212303],[75195000,75195970,5203559],[75200000,75209970,5217401],[75210000,75219970,5215801],[75220000,75229971,5219209],[75230000,75239970,5206305],[75240000,75244971,5203302],[75245000,75249970,5204557],[75250000,75259894,5220454],[75260000,75260000,5222005],[75260090,75262744,5220454],[75263000,75263000,5222005],[75263085,75263832,5220454],[75263980,75263980,5222005],[75264001,75264899,5220454],[75265000,75279971,5222005],[75280000,75283980,5215306],[75330000,75330970,5201801],[75340000,75344971,5209705],[75345000,75349980,5200050],[75350000,75354971,5209200],[75355000,75359970,5221908],[75360000,75360000,5201801],[75360001,75373899,5208806],[75375000,75379970,5219738],[75380000,75384627,5221403],[75385000,75385000,5204607],[75385002,75389890,5221403],[75390000,75390000,5219100],[75390180,75394800,5221403],[75395000,75395970,5202809],[75396000,75396970,5204607],[75398000,75398970,5219100],[75400000,75408899,5210000],[75410000,75419970,5201603],[75420000,75429970,5206800],[75430000,75439970,5205208],[75440000,75449970,5203609],[75450000,75450970,5211404],[75455000,75459970,5219506],[75460000,75469970,5214507],[75470000,75479970,5215009],[75480000,75489970,5216809],[75490000,75494970,5219902],[75495000,75499970,5212055],[75503010,75503070,5211503],[75503073,75503073,5205109],[75503075,75503290,5211503],[75503295,75503295,5205109],[75503300,75503310,5211503],[75503315,75503315,5205109],[75503320,75503500,5211503],[75503505,75503505,5205109],[75503510,75504959,5211503],[75509850,75509870,5205109],[75509872,75509873,5211503],[75509875,75509875,5205109],[75510010,75510020,5211503],[75510025,75510025,5205109],[75510030,75510205,5211503],[75510207,75510207,5205109],[75510208,75510212,5211503],[75510215,75510215,5205109],[75510220,75510220,5211503],[75510225,75510225,5205109],[75510230,75510270,5211503],[75510275,75510275,5205109],[75510290,75510330,5211503],[75510335,75510335,5205109],[75510340,75510440,5211503],[75510445,75510445,5205109],[75510450,75513020,5211503],[75513025,75513025,5205109],[75513030,75513030,5211503],[75513035,75513035,5205109],[75513040,75513070,5211503],[75513075,75513075,5205109],[75513080,75513170,5211503],[75513175,75513175,5205109],[75513180,75513180,5211503],[75513188,75513188,5205109],[75513190,75513250,5211503],[75513255,75513255,5205109],[75513260,75513265,5211503],[75513267,75513267,5205109],[75513270,75513380,5211503],[75513385,75513385,5205109],[75513390,75513400,5211503],[75513405,75513405,5205109],[75513410,75513410,5211503],[75513415,75513415,5205109],[75513420,75513422,5211503],[75513425,75513425,5205109],[75513427,75513430,5211503],[75513435,75513435,5205109],[75513440,75513440,5211503],[75513445,75513445,5205109],[75513450,75513450,5211503],[75513455,75513455,5205109],[75513456,75513464,5211503],[75513465,75513465,5205109],[75513466,75513470,5211503],[75513475,75513475,5205109],[75513476,75513477,5211503],[75513485,75513485,5205109],[75513486,75513494,5211503],[75513495,75513495,5205109],[75513496,75513500,5211503],[75513505,75513505,5205109],[75513510,75513510,5211503],[75513515,75513515,5205109],[75513520,75513523,5211503],[75513525,75513525,5205109],[75513526,75513543,5211503],[75513545,75513547,5205109],[75513550,75513560,5211503],[75513561,75513594,5205109],[75513600,75515110,5211503],[75515115,75515115,5205109],[75515120,75515270,5211503],[75515275,75515275,5205109],[75515280,75515280,5211503],[75515285,75515285,5205109],[75515290,75515290,5211503],[75515295,75515295,5205109],[75515300,75515300,5211503],[75515305,75515305,5205109],[75515310,75515310,5211503],[75515315,75515315,5205109],[75515320,75515320,5211503],[75515325,75515325,5205109],[75515330,75515330,5211503],[75515335,75515335,5205109],[75515340,75515340,5211503],[75515345,75515345,5205109],[75515350,75515350,5211503],[75515355,75515355,5205109],[75515360,75515590,5211503],[75515591,75515591,5205109],[75515593,75515593,5211503],[75515594,75515607,5205109],[75515610,75516190,5211503],[75516195,75516197,5205109],[75516200,75516460,5211503],[75516461,75516525,5205109],[75516526,75520380,5211503],[75520381,75520580,5205109],[75520582,75520584,5211503],[75520585,75520595,5205109],[75520600,75522180,5211503],[75522185,75522185,5205109],[75522190,75522190,5211503],[75522195,75522195,5205109],[75522200,75522200,5211503],[75522205,75522205,5205109],[75522210,75522210,5211503],[75522215,75522215,5205109],[75522220,75522320,5211503],[75522325,75522325,5205109],[75522330,75522330,5211503],[75522335,75522335,5205109],[75522340,75523400,5211503],[75523405,75523405,5205109],[75523410,75523420,5211503],[75523425,75523425,5205109],[75523430,75523430,5211503],[75523435,75523435,5205109],[75523440,75524240,5211503],[75524245,75524245,5205109],[75524250,75524340,5211503],[75524345,75524345,5205109],[75524350,75524680,5211503],[75524685,75524685,5205109],[75524687,75526010,5211503],[75526012,75526012,5205109],[75526015,75526015,5211503],[75526017,75526017,5205109],[75526020,75526020,5211503],[75526023,75526023,5205109],[75526025,75526025,5211503],[75526027,75526028,5205109],[75526030,75526030,5211503],[75526032,75526032,5205109],[75526035,75526040,5211503],[75526045,75526045,5205109],[75526050,75526050,5211503],[75526055,75526055,5205109],[75526060,75526080,5211503],[75526085,75526085,5205109],[75526087,75526290,5211503],[75526295,75526295,5205109],[75526300,75526370,5211503],[75526375,75526375,5205109],[75526380,75526391,5211503],[75526395,75526395,5205109],[75526400,75526420,5211503],[75526421,75526421,5205109],[75526423,75526423,5211503],[75526424,75526448,5205109],[75526450,75526488,5211503],[75528000,75528015,5205109],[75528017,75528017,5211503],[75528018,75528043,5205109],[75528045,75528045,5211503],[75528046,75528046,5205109],[75528047,75528048,5211503],[75528049,75528068,5205109],[75528069,75528070,5211503],[75528080,75528137,5205109],[75528150,75530260,5211503],[75530265,75530266,5205109],[75530270,75530270,5211503],[75530275,75530275,5205109],[75530280,75530280,5211503],[75530285,75530285,5205109],[75530290,75530350,5211503],[75530355,75530355,5205109],[75530360,75530360,5211503],[75530365,75530365,5205109],[75530370,75530470,5211503],[75530475,75530475,5205109],[75530480,75530480,5211503],[75530485,75530485,5205109],[75530490,75530495,5211503],[75530496,75530496,5205109],[75530500,75530500,5211503],[75530505,75530505,5205109],[75530510,75530510,5211503],[75530515,75530515,5205109],[75530520,75530530,5211503],[75530535,75530535,5205109],[75530540,75530540,5211503],[75530545,75530545,5205109],[75530550,75530550,5211503],[75530555,75530555,5205109],[75530560,75532140,5211503],[75532145,75532145,5205109],[75532150,75532250,5211503],[75532255,75532255,5205109],[75532260,75532600,5211503],[75532604,75532604,5205109],[75532605,75532605,5211503],[75532607,75532683,5205109],[75532684,75532684,5211503],[75532686,75532686,5205109],[75533010,75533010,5211503],[75533015,75533015,5205109],[75533020,75533180,5211503],[75533183,75533183,5205109],[75533190,75533190,5211503],[75533193,75533196,5205109],[75533200,75533200,5211503],[75533204,75533208,5205109],[75533210,75533325,5211503],[75533327,75533327,5205109],[75533330,75533500,5211503],[75533505,75533505,5205109],[75533510,75533650,5211503],[75533655,75533655,5205109],[75533660,75533710,5211503],[75533713,75533713,5205109],[75533720,75533780,5211503],[75533785,75533785,5205109],[75533790,75534012,5211503],[75534015,75534017,5205109],[75534020,75534040,5211503],[75534043,75534045,5205109],[75534050,75534050,5211503],[75534055,75534055,5205109],[75534060,75534063,5211503],[75534065,75534065,5205109],[75534067,75534080,5211503],[75534085,75534085,5205109],[75534086,75534210,5211503],[75534215,75534215,5205109],[75534220,75534320,5211503],[75534321,75534324,5205109],[75534325,75534325,5211503],[75534327,75534336,5205109],[75534337,75534338,5211503],[75534339,75534345,5205109],[75534360,75534590,5211503],[75534600,75534629,5205109],[75535010,75535030,5211503],[75535035,75535035,5205109],[75535040,75535100,5211503],[75535103,75535105,5205109],[75535110,75535480,5211503],[75535485,75535485,5205109],[75535490,75535560,5211503],[75535561,75535848,5205109],[75536000,75549000,5211503],[75550000,75554970,5209937],[75555000,75559970,5222054],[75560000,75569985,5204250],[75570000,75574000,5203500],[75580000,75599970,5216007],[75600000,75602971,5209101],[75603000,75609980,5218052],[75610000,75614970,5212105],[75615000,75619970,5200506],[75620000,75629970,5217708],[75630000,75634970,5212600],[75635000,75639970,5206503],[75640000,75644970,5217104],[75645000,75649970,5218391],[75650000,75659970,5213806],[75660000,75664970,5203906],[75665000,75665970,5200209],[75667000,75667971,5218789],[75670000,75670970,5212907],[75675000,75680000,5205901],[75680001,75694762,5204508],[75695000,75695000,5218789],[75695001,75699000,5204508],[75701010,75701010,5205109],[75701013,75701015,5201405],[75701020,75701040,5205109],[75701045,75701045,5201405],[75701050,75701360,5205109],[75701365,75701365,5201405],[75701370,75701410,5205109],[75701415,75701415,5201405],[75701420,75701482,5205109],[75701485,75701485,5201405],[75701490,75701590,5205109],[75701595,75701595,5201405],[75701600,75701640,5205109],[75701645,75701645,5201405],[75701650,75701650,5205109],[75701655,75701655,5201405],[75701660,75701660,5205109],[75701665,75701667,5201405],[75701670,75701680,5205109],[75701685,75701685,5201405],[75701690,75701770,5205109],[75701771,75701815,5201405],[75701816,75702012,5205109],[75702015,75702015,5201405],[75702020,75702100,5205109],[75702103,75702103,5201405],[75702105,75702105,5205109],[75702106,75702106,5201405],[75702107,75702110,5205109],[75702115,75702115,5201405],[75702120,75702190,5205109],[75702195,75702195,5201405],[75702200,75702280,5205109],[75702283,75702285,5201405],[75702290,75702322,5205109],[75702325,75702325,5201405],[75702330,75702340,5205109],[75702345,75702345,5201405],[75702350,75702350,5205109],[75702355,75702355,5201405],[75702360,75702370,5205109],[75702375,75702375,5201405],[75702380,75702380,5205109],[75702383,75702385,5201405],[75702390,75702420,5205109],[75702425,75702427,5201405],[75702430,75702440,5205109],[75702445,75702445,5201405],[75702450,75702480,5205109],[75702485,75702485,5201405],[75702486,75702500,5205109],[75702506,75702506,5201405],[75702510,75702520,5205109],[75702525,75702525,5201405],[75702530,75702537,5205109],[75702538,75702539,5201405],[75702540,75702540,5205109],[75702545,75702547,5201405],[75702550,75702560,5205109],[75702563,75702567,5201405],[75702570,75702570,5205109],[75702573,75702575,5201405],[75702580,75702580,5205109],[75702585,75702585,5201405],[75702590,75702600,5205109],[75702605,75702605,5201405],[75702610,75702610,5205109],[75702615,75702615,5201405],[75702620,75702620,5205109],[75702623,75702627,5201405],[75702630,75702630,5205109],[75702635,75702635,5201405],[75702640,75702640,5205109],[75702643,75702647,5201405],[75702650,75702650,5205109],[75702655,75702655,5201405],[75702660,75702660,5205109],[75702661,75702756,5201405],[75702866,75703040,5205109],[75703045,75703045,5201405],[75703050,75703490,5205109],[75703495,75703495,5201405],[75703500,75703540,5205109],[75703545,75703545,5201405],[75703550,75703630,5205109],[75703635,75703635,5201405],[75703640,75703640,5205109],[75703645,75703645,5201405],[75703650,75703710,5205109],[75703715,75703715,5201405],[75703720,75703790,5205109],[75703795,75703795,5201405],[75703800,75703810,5205109],[75703815,75703815,5201405],[75703820,75703820,5205109],[75703825,75703825,5201405],[75703830,75703830,5205109],[75703831,75703899,5201405],[75703900,75704140,5205109],[75704145,75704145,5201405],[75704150,75704240,5205109],[75704245,75704245,5201405],[75704250,75704270,5205109],[75704275,75704275,5201405],[75704280,75704320,5205109],[75704325,75704325,5201405],[75704330,75704420,5205109],[75704425,75704425,5201405],[75704440,75704440,5205109],[75704445,75704445,5201405],[75704450,75704450,5205109],[75704452,75704456,5201405],[75704457,75704457,5205109],[75704458,75704460,5201405],[75704466,75704841,5205109],[75704850,75704886,5201405],[75705010,75705020,5205109],[75705025,75705025,5201405],[75705030,75705030,5205109],[75705035,75705035,5201405],[75705040,75705060,5205109],[75705065,75705065,5201405],[75705070,75705140,5205109],[75705142,75705148,5201405],[75705150,75705240,5205109],[75705242,75705248,5201405],[75705250,75705250,5205109],[75705252,75705252,5201405],[75705260,75705290,5205109],[75705291,75705291,5201405],[75705292,75705292,5205109],[75705293,75705299,5201405],[75705300,75705300,5205109],[75705301,75705309,5201405],[75705310,75705310,5205109],[75705311,75705319,5201405],[75705320,75705320,5205109],[75705321,75705329,5201405],[75705330,75705330,5205109],[75705331,75705339,5201405],[75705340,75705350,5205109],[75705355,75705355,5201405],[75705360,75705370,5205109],[75705375,75705375,5201405],[75705380,75705420,5205109],[75705425,75705425,5201405],[75705430,75705430,5205109],[75705435,75705435,5201405],[75705440,75705540,5205109],[75705545,75705545,5201405],[75705550,75705610,5205109],[75705615,75705615,5201405],[75705620,75705700,5205109],[75705705,75705705,5201405],[75705710,75705720,5205109],[75705725,75705725,5201405],[75705730,75705730,5205109],[75705735,75705735,5201405],[75705740,75705740,5205109],[75705745,75705745,5201405],[75705750,75705800,5205109],[75705805,75705805,5201405],[75705810,75705820,5205109],[75705825,75705897,5201405],[75706010,75706010,5205109],[75706013,75706015,5201405],[75706020,75706020,5205109],[75706025,75706025,5201405],[75706030,75706030,5205109],[75706035,75706035,5201405],[75706040,75706100,5205109],[75706103,75706105,5201405],[75706110,75706120,5205109],[75706125,75706125,5201405],[75706130,75706280,5205109],[75706285,75706287,5201405],[75706290,75706432,5205109],[75706435,75706435,5201405],[75706440,75706540,5205109],[75706545,75706547,5201405],[75706550,75706590,5205109],[75706595,75706595,5201405],[75706600,75706610,5205109],[75706615,75706615,5201405],[75706620,75706700,5205109],[75706705,75706705,5201405],[75706710,75706755,5205109],[75706760,75706844,5201405],[75706845,75707010,5205109],[75707015,75707015,5201405],[75707020,75707070,5205109],[75707075,75707075,5201405],[75707080,75707080,5205109],[75707085,75707085,5201405],[75707090,75707180,5205109],[75707185,75707185,5201405],[75707190,75707260,5205109],[75707263,75707263,5201405],[75707265,75707280,5205109],[75707285,75707285,5201405],[75707290,75707360,5205109],[75707365,75707365,5201405],[75707370,75707410,5205109],[75707420,75707449,5201405],[75708010,75708610,5205109],[75708612,75708636,5201405],[75708640,75709070,5205109],[75709075,75709075,5201405],[75709080,75709150,5205109],[75709155,75709155,5201405],[75709160,75709210,5205109],[75709215,75709215,5201405],[75709220,75709276,5205109],[75709279,75709279,5201405],[75709280,75709290,5205109],[75709295,75709295,5201405],[75709300,75709320,5205109],[75709325,75709325,5201405],[75709330,75709330,5205109],[75709335,75709335,5201405],[75709337,75709340,5205109],[75709345,75709345,5201405],[75709350,75709350,5205109],[75709355,75709355,5201405],[75709360,75709370,5205109],[75709375,75709375,5201405],[75709380,75709600,5205109],[75709601,75709705,5201405],[75709707,75709707,5205109],[75709710,75709720,5201405],[75709721,75709830,5205109],[75709870,75709898,5201405],[75709900,75710170,5205109],[75710175,75710175,5201405],[75710180,75710340,5205109],[75710343,75710347,5201405],[75710350,75710350,5205109],[75710353,75710355,5201405],[75710360,75710360,5205109],[75710362,75710369,5201405],[75710370,75710460,5205109],[75710465,75710465,5201405],[75710470,75710700,5205109],[75710704,75710719,5201405],[75710720,75710730,5205109],[75710733,75710748,5201405],[75710750,75710750,5205109],[75710751,75710832,5201405],[75710848,75710848,5205109],[75710850,75710894,5201405],[75711010,75711030,5205109],[75711035,75711035,5201405],[75711040,75711100,5205109],[75711105,75711105,5201405],[75711110,75711190,5205109],[75711195,75711195,5201405],[75711200,75711300,5205109],[75711305,75711305,5201405],[75711310,75711320,5205109],[75711323,75711328,5201405],[75711330,75711330,5205109],[75711333,75711333,5201405],[75711335,75711350,5205109],[75711355,75711355,5201405],[75711360,75711360,5205109],[75711363,75711367,5201405],[75711370,75711370,5205109],[75711375,75711375,5201405],[75711380,75711380,5205109],[75711385,75711385,5201405],[75711390,75711390,5205109],[75711393,75711395,5201405],[75711400,75711400,5205109],[75711405,75711407,5201405],[75711410,75711420,5205109],[75711425,75711427,5201405],[75711430,75711430,5205109],[75711435,75711437,5201405],[75711440,75711440,5205109],[75711445,75711447,5201405],[75711450,75711450,5205109],[75711455,75711455,5201405],[75711460,75711550,5205109],[75711555,75711555,5201405],[75711560,75711560,5205109],[75711565,75711567,5201405],[75711570,75711590,5205109],[75711595,75711597,5201405],[75711600,75711600,5205109],[75711605,75711605,5201405],[75711610,75711610,5205109],[75711612,75711634,5201405],[75711640,75711640,5205109],[75711641,75711670,5201405],[75711671,75711897,5205109],[75712000,75712005,5201405],[75712010,75712010,5205109],[75712015,75712015,5201405],[75712020,75712050,5205109],[75712053,75712056,5201405],[75712060,75712140,5205109],[75712145,75712145,5201405],[75712150,75712160,5205109],[75712165,75712165,5201405],[75712170,75712220,5205109],[75712225,75712225,5201405],[75712230,75712230,5205109],[75712235,75712235,5201405],[75712240,75712240,5205109],[75712245,75712245,5201405],[75712250,75712250,5205109],[75712255,75712255,5201405],[75712260,75712280,5205109],[75712285,75712285,5201405],[75712300,75712320,5205109],[75712325,75712325,5201405],[75712330,75712360,5205109],[75712365,75712365,5201405],[75712370,75712380,5205109],[75712385,75712385,5201405],[75712390,75712600,5205109],[75712605,75712605,5201405],[75712610,75712610,5205109],[75712611,75712647,5201405],[75712649,75712649,5205109],[75712650,75712686,5201405],[75712687,75712871,5205109],[75713000,75713269,5201405],[75713270,75713288,5205109],[75713376,75713430,5201405],[75713431,75714972,5205109],[75715000,75719970,5215504],[75720000,75729970,5221304],[75730000,75739970,5206909],[75740000,75749970,5208509],[75750000,75759970,5214804],[75760000,75769970,5206602],[75770000,75779970,5201207],[75780000,75784970,5210109],[75790000,75794970,5221809],[75795000,75795970,5204805],[75800001,75800140,5211909],[75800141,75800141,5205109],[75800142,75800143,5211909],[75800144,75800144,5205109],[75800145,75800186,5211909],[75800230,75800230,5205109],[75800233,75800233,5211909],[75800235,75800255,5205109],[75800257,75800300,5211909],[75800301,75800303,5205109],[75800305,75800320,5211909],[75800350,75800359,5205109],[75800398,75800401,5211909],[75800402,75800402,5205109],[75800403,75800409,5211909],[75800412,75800415,5205109],[75800420,75800431,5211909],[75800450,75800454,5205109],[75800500,75801020,5211909],[75801023,75801023,5205109],[75801025,75801175,5211909],[75801177,75801177,5205109],[75801180,75801202,5211909],[75801205,75801205,5205109],[75801210,75801456,5211909],[75801458,75801458,5205109],[75801460,75801565,5211909],[75801567,75801567,5205109],[75801570,75801570,5211909],[75801573,75801573,5205109],[75801575,75801645,5211909],[75801646,75801646,5205109],[75801647,75801647,5211909],[75801649,75801649,5205109],[75801650,75801651,5211909],[75801652,75801661,5205109],[75801700,75802121,5211909],[75802122,75802122,5205109],[75802123,75802123,5211909],[75802124,75802128,5205109],[75802129,75802131,5211909],[75802132,75802132,5205109],[75802133,75802133,5211909],[75802134,75802134,5205109],[75802135,75802140,5211909],[75802141,75802141,5205109],[75802142,75802142,5211909],[75802143,75802144,5205109],[75802145,75802147,5211909],[75802148,75802148,5205109],[75802149,75802155,5211909],[75802157,75802157,5205109],[75802158,75802435,5211909],[75802436,75802480,5205109],[75802485,75802495,5211909],[75802497,75802500,5205109],[75802508,75802508,5211909],[75802509,75802509,5205109],[75802510,75802529,5211909],[75802530,75802635,5205109],[75802900,75803205,5211909],[75803206,75803209,5205109],[75803210,75803215,5211909],[75803216,75803218,5205109],[75803220,75803291,5211909],[75803293,75803293,5205109],[75803295,75803295,5211909],[75803297,75803297,5205109],[75803300,75803300,5211909],[75803303,75803303,5205109],[75803305,75803305,5211909],[75803307,75803307,5205109],[75803310,75803312,5211909],[75803313,75803313,5205109],[75803315,75803315,5211909],[75803317,75803317,5205109],[75803320,75803340,5211909],[75803350,75803379,5205109],[75803400,75803420,5211909],[75803421,75803689,5205109],[75803690,75804067,5211909],[75804068,75804068,5205109],[75804070,75804077,5211909],[75804078,75804079,5205109],[75804080,75804080,5211909],[75804081,75804084,5205109],[75804085,75804251,5211909],[75804252,75804253,5205109],[75804255,75804270,5211909],[75804272,75804274,5205109],[75804275,75804275,5211909],[75804278,75804278,5205109],[75804280,75804518,5211909],[75804520,75804520,5205109],[75804521,75804613,5211909],[75804620,75804660,5205109],[75804663,75804663,5211909],[75804665,75804734,5205109],[75804735,75804735,5211909],[75804736,75804741,5205109],[75804900,75805063,5211909],[75805065,75805065,5205109],[75805066,75805066,5211909],[75805067,75805068,5205109],[75805070,75805082,5211909],[75805083,75805083,5205109],[75805085,75805085,5211909],[75805087,75805087,5205109],[75805090,75805092,5211909],[75805093,75805093,5205109],[75805094,75805112,5211909],[75805113,75805114,5205109],[75805115,75805115,5211909],[75805116,75805118,5205109],[75805120,75805127,5211909],[75805129,75805129,5205109],[75805130,75805130,5211909],[75805132,75805134,5205109],[75805145,75805150,5211909],[75805153,75805153,5205109],[75805155,75805155,5211909],[75805157,75805157,5205109],[75805160,75805160,5211909],[75805163,75805163,5205109],[75805165,75805165,5211909],[75805167,75805167,5205109],[75805170,75805546,5211909],[75805550,75805897,5205109],[75805902,75806055,5211909],[75806056,75806058,5205109],[75806060,75806070,5211909],[75806072,75806073,5205109],[75806075,75806075,5211909],[75806077,75806079,5205109],[75806080,75806085,5211909],[75806087,75806087,5205109],[75806090,75806090,5211909],[75806093,75806093,5205109],[75806095,75806200,5211909],[75806203,75806203,5205109],[75806205,75806633,5211909],[75806635,75806637,5205109],[75806670,75806745,5211909],[75806750,75806777,5205109],[75806778,75807056,5211909],[75807058,75807058,5205109],[75807060,75807060,5211909],[75807062,75807064,5205109],[75807065,75807065,5211909],[75807067,75807069,5205109],[75807070,75807070,5211909],[75807073,75807073,5205109],[75807075,75807080,5211909],[75807083,75807083,5205109],[75807085,75807085,5211909],[75807087,75807087,5205109],[75807090,75807090,5211909],[75807092,75807094,5205109],[75807095,75807155,5211909],[75807157,75807157,5205109],[75807160,75807290,5211909],[75807293,75807293,5205109],[75807295,75807475,5211909],[75807477,75807477,5205109],[75807480,75807480,5211909],[75807483,75807483,5205109],[75807485,75807550,5211909],[75807553,75807553,5205109],[75807555,75807555,5211909],[75807557,75807558,5205109],[75807560,75807640,5211909],[75807641,75807678,5205109],[75807730,75807768,5211909],[75809000,75809001,5205109],[75809002,75809002,5211909],[75809003,75809014,5205109],[75809101,75809899,5211909],[75810000,75810970,5211305],[75812000,75812000,5212253],[75813000,75814970,5204300],[75815000,75818970,5210802],[75819000,75819970,5212253],[75820000,75822970,5220504],[75823000,75824970,5216452],[75825000,75826970,5201504],[75827000,75827970,5201454],[75828000,75829970,5205471],[75830000,75834595,5213103],[75835000,75835000,5218102],[75835001,75838899,5213103],[75840000,75842970,5219407],[75843000,75843970,5218102],[75845000,75849970,5215652],[75850000,75854970,5204409],[75855000,75859970,5207253],[75860000,75864970,5218508],[75865000,75869970,5209150],[75870000,75870970,5204102],[75880000,75889970,5216304],[75890000,75899970,5220405],[75900001,75900001,5208707],[75900002,75900002,5218805],[75900003,75900067,5208707],[75900068,75900068,5218805],[75900070,75900100,5208707],[75900102,75900102,5218805],[75900103,75900200,5208707],[75900202,75900202,5218805],[75900203,75900245,5208707],[75900310,75900581,5218805],[75901001,75901004,5208707],[75901005,75901005,5218805],[75901007,75901007,5208707],[75901010,75901010,5218805],[75901015,75901015,5208707],[75901020,75901020,5218805],[75901025,75901025,5208707],[75901030,75901060,5218805],[75901063,75901063,5208707],[75901065,75901070,5218805],[75901075,75901075,5208707],[75901090,75901090,5218805],[75901097,75901097,5208707],[75901100,75901130,5218805],[75901133,75901133,5208707],[75901140,75901180,5218805],[75901187,75901187,5208707],[75901190,75901250,5218805],[75901253,75901253,5208707],[75901255,75901270,5218805],[75901273,75901275,5208707],[75901280,75901360,5218805],[75901363,75901366,5208707],[75901370,75901460,5218805],[75901465,75901465,5208707],[75901470,75901470,5218805],[75901475,75901477,5208707],[75901480,75901500,5218805],[75901505,75901505,5208707],[75901507,75901507,5218805],[75901509,75901509,5208707],[75901510,75901512,5218805],[75901515,75901515,5208707],[75901520,75901551,5218805],[75901555,75901555,5208707],[75901560,75901570,5218805],[75901575,75901575,5208707],[75901580,75901590,5218805],[75901595,75901597,5208707],[75901600,75901600,5218805],[75901605,75901605,5208707],[75901610,75901610,5218805],[75901615,75901615,5208707],[75901620,75901630,5218805],[75901635,75901638,5208707],[75901640,75901670,5218805],[75901675,75901680,5208707],[75901690,75901690,5218805],[75901695,75901695,5208707],[75901700,75901722,5218805],[75901723,75901727,5208707],[75901730,75901730,5218805],[75901733,75901733,5208707],[75901735,75901735,5218805],[75901737,75901737,5208707],[75901740,75901750,5218805],[75901755,75901758,5208707],[75901760,75901760,5218805],[75901761,75901776,5208707],[75901900,75902026,5218805],[75902027,75902027,5208707],[75902030,75902110,5218805],[75902115,75902119,5208707],[75902120,75902225,5218805],[75902228,75902228,5208707],[75902231,75902231,5218805],[75902233,75902233,5208707],[75902235,75902266,5218805],[75902300,75902301,5208707],[75902302,75902306,5218805],[75902307,75902307,5208707],[75902308,75902310,5218805],[75902312,75902312,5208707],[75902316,75902490,5218805],[75902495,75902495,5208707],[75902500,75902545,5218805],[75902546,75902548,5208707],[75902550,75902630,5218805],[75902639,75902639,5208707],[75902640,75902640,5218805],[75902641,75902642,5208707],[75902643,75902712,5218805],[75902713,75902714,5208707],[75902720,75902840,5218805],[75902841,75902841,5208707],[75902843,75902847,5218805],[75902849,75902859,5208707],[75902861,75903014,5218805],[75903015,75903015,5208707],[75903016,75903066,5218805],[75903067,75903068,5208707],[75903070,75903140,5218805],[75903145,75903150,5208707],[75903160,75903176,5218805],[75903178,75903179,5208707],[75903180,75903180,5218805],[75903185,75903185,5208707],[75903190,75903450,5218805],[75903455,75903455,5208707],[75903460,75903490,5218805],[75903493,75903518,5208707],[75903520,75903540,5218805],[75903548,75903548,5208707],[75903550,75903561,5218805],[75903562,75903562,5208707],[75903563,75903563,5218805],[75903564,75903564,5208707],[75903565,75903565,5218805],[75903566,75903569,5208707],[75903570,75903574,5218805],[75903575,75903578,5208707],[75903580,75903580,5218805],[75903582,75903584,5208707],[75903590,75903600,5218805],[75903605,75903605,5208707],[75903606,75903606,5218805],[75903608,75903608,5208707],[75903610,75903640,5218805],[75903648,75903648,5208707],[75903650,75903660,5218805],[75903668,75903668,5208707],[75903670,75904005,5218805],[75904007,75904007,5208707],[75904010,75904100,5218805],[75904101,75904109,5208707],[75904110,75904110,5218805],[75904111,75904119,5208707],[75904120,75904120,5218805],[75904121,75904129,5208707],[75904130,75904150,5218805],[75904155,75904155,5208707],[75904160,75904370,5218805],[75904375,75904375,5208707],[75904380,75904560,5218805],[75904562,75904569,5208707],[75904570,75904610,5218805],[75904613,75904618,5208707],[75904620,75904630,5218805],[75904633,75904636,5208707],[75904640,75904650,5218805],[75904655,75904655,5208707],[75904660,75904660,5218805],[75904663,75904663,5208707],[75904665,75904665,5218805],[75904666,75904669,5208707],[75904670,75904670,5218805],[75904673,75904675,5208707],[75904680,75904770,5218805],[75904773,75904773,5208707],[75904780,75904790,5218805],[75904795,75904795,5208707],[75904800,75904800,5218805],[75904805,75904805,5208707],[75904810,75904810,5218805],[75904814,75904818,5208707],[75904820,75904820,5218805],[75904825,75904825,5208707],[75904830,75904830,5218805],[75904834,75904838,5208707],[75904840,75904840,5218805],[75904841,75904845,5208707],[75904846,75904850,5218805],[75904870,75904899,5208707],[75904900,75905230,5218805],[75905233,75905236,5208707],[75905240,75905240,5218805],[75905242,75905242,5208707],[75905245,75905310,5218805],[75905312,75905315,5208707],[75905320,75905370,5218805],[75905375,75905375,5208707],[75905380,75905606,5218805],[75905608,75905608,5208707],[75905610,75905620,5218805],[75905623,75905623,5208707],[75905630,75905680,5218805],[75905683,75905683,5208707],[75905690,75905690,5218805],[75905693,75905695,5208707],[75905700,75905700,5218805],[75905701,75905707,5208707],[75905710,75905710,5218805],[75905713,75905713,5208707],[75905720,75905720,5218805],[75905721,75905727,5208707],[75905730,75905732,5218805],[75905733,75905733,5208707],[75905740,75905820,5218805],[75905823,75905823,5208707],[75905825,75905825,5218805],[75905829,75905829,5208707],[75905830,75905830,5218805],[75905831,75905859,5208707],[75905860,75906120,5218805],[75906125,75906125,5208707],[75906130,75906140,5218805],[75906141,75906149,5208707],[75906150,75906150,5218805],[75906155,75906155,5208707],[75906160,75906160,5218805],[75906163,75906164,5208707],[75906165,75906165,5218805],[75906168,75906168,5208707],[75906170,75906240,5218805],[75906242,75906247,5208707],[75906250,75906254,5218805],[75906256,75906256,5208707],[75906260,75906270,5218805],[75906273,75906277,5208707],[75906280,75906280,5218805],[75906282,75906288,5208707],[75906290,75906310,5218805],[75906313,75906313,5208707],[75906316,75906316,5218805],[75906318,75906339,5208707],[75906340,75906340,5218805],[75906341,75906346,5208707],[75906350,75906370,5218805],[75906375,75906375,5208707],[75906380,75906405,5218805],[75906406,75906409,5208707],[75906410,75906420,5218805],[75906421,75906429,5208707],[75906430,75906430,5218805],[75906431,75906433,5208707],[75906434,75906441,5218805],[75906442,75906449,5208707],[75906450,75906460,5218805],[75906461,75906463,5208707],[75906465,75906480,5218805],[75906483,75906484,5208707],[75906485,75906485,5218805],[75906488,75906488,5208707],[75906490,75906543,5218805],[75906545,75906545,5208707],[75906550,75906570,5218805],[75906571,75906571,5208707],[75906575,75906590,5218805],[75906593,75906593,5208707],[75906595,75906698,5218805],[75906700,75906700,5208707],[75906705,75906712,5218805],[75906714,75906716,5208707],[75906717,75906720,5218805],[75906723,75906723,5208707],[75906725,75906730,5218805],[75906733,75906733,5208707],[75906735,75906735,5218805],[75906737,75906737,5208707],[75906740,75906815,5218805],[75906818,75906818,5208707],[75906820,75906820,5218805],[75906821,75906896,5208707],[75907005,75907005,5218805],[75907007,75907007,5208707],[75907008,75907070,5218805],[75907073,75907075,5208707],[75907080,75907080,5218805],[75907084,75907088,5208707],[75907090,75907090,5218805],[75907092,75907096,5208707],[75907100,75907100,5218805],[75907104,75907108,5208707],[75907110,75907120,5218805],[75907125,75907127,5208707],[75907130,75907130,5218805],[75907131,75907139,5208707],[75907140,75907280,5218805],[75907281,75907287,5208707],[75907290,75907670,5218805],[75907671,75907679,5208707],[75907680,75907800,5218805],[75907805,75907895,5208707],[75907959,75907970,5218805],[75908000,75908000,5208707],[75908010,75908010,5218805],[75908015,75908015,5208707],[75908020,75908020,5218805],[75908025,75908025,5208707],[75908030,75908030,5218805],[75908035,75908038,5208707],[75908040,75908040,5218805],[75908043,75908043,5208707],[75908045,75908045,5218805],[75908048,75908048,5208707],[75908050,75908050,5218805],[75908053,75908053,5208707],[75908060,75908110,5218805],[75908115,75908115,5208707],[75908120,75908220,5218805],[75908225,75908225,5208707],[75908230,75908230,5218805],[75908235,75908235,5208707],[75908237,75908240,5218805],[75908245,75908245,5208707],[75908250,75908430,5218805],[75908435,75908435,5208707],[75908440,75908440,5218805],[75908445,75908445,5208707],[75908450,75908640,5218805],[75908643,75908649,5208707],[75908650,75908690,5218805],[75908695,75908695,5208707],[75908700,75908790,5218805],[75908793,75908794,5208707],[75908795,75908795,5218805],[75908796,75908799,5208707],[75908800,75908800,5218805],[75908801,75908802,5208707],[75908805,75908810,5218805],[75908812,75908818,5208707],[75908819,75908819,5218805],[75908820,75908854,5208707],[75909010,75909110,5218805],[75909115,75909115,5208707],[75909120,75909160,5218805],[75909165,75909165,5208707],[75909170,75909185,5218805],[75909189,75909189,5208707],[75909190,75909190,5218805],[75909195,75909195,5208707],[75909200,75909200,5218805],[75909205,75909205,5208707],[75909210,75909210,5218805],[75909215,75909215,5208707],[75909220,75909220,5218805],[75909222,75909222,5208707],[75909225,75909230,5218805],[75909235,75909235,5208707],[75909240,75909390,5218805],[75909391,75909595,5208707],[75909597,75909599,5218805],[75909618,75909618,5208707],[75909620,75909665,5218805],[75909668,75909668,5208707],[75909670,75909745,5218805],[75909751,75909811,5208707],[75909812,75909899,5218805],[75910000,75910072,5208707],[75910078,75910080,5218805],[75910110,75910288,5208707],[75910289,75910289,5218805],[75910291,75910333,5208707],[75910335,75910335,5218805],[75910336,75910462,5208707],[75910500,75910585,5218805],[75910587,75910587,5208707],[75910590,75910855,5218805],[75911000,75911067,5208707],[75911068,75911890,5218805],[75912000,75912127,5208707],[75912132,75912138,5218805],[75912140,75912185,5208707],[75912186,75912190,5218805],[75912200,75912237,5208707],[75912239,75912239,5218805],[75912240,75912261,5208707],[75912264,75912264,5218805],[75912267,75912447,5208707],[75912448,75912756,5218805],[75913000,75913031,5208707],[75913200,75913899,5218805],[75914000,75914000,5208707],[75914300,75914972,5218805],[75915000,75919970,5213756],[75920000,75924970,5219308],[75925000,75929970,5205059],[75930000,75934970,5213004],[75935000,75939000,5219712],[75940000,75940970,5207402],[75945000,75945970,5207352],[75950000,75954970,5211701],[75955000,75959970,5209952],[75960000,75969971,5200134],[75970000,75979970,5221551],[75980000,75984970,5216403],[75985000,75989970,5220058],[75990000,75990000,5215900],[76050001,76059000,5220108],[76099959,76099970,5215900],[76100000,76103000,5220108],[76105000,76109970,5207808],[76110000,76119970,5221502],[76120000,76124970,5202601],[76125000,76129970,5204201],[76130000,76130000,5211602],[76133000,76133000,5213400],[76134959,76134970,5211602],[76135000,76139970,5213400],[76140000,76144970,5200902],[76145000,76149970,5205703],[76150000,76151970,5213905],[76152000,76154971,5203939],[76155000,76159970,5200159],[76160000,76164970,5219001],[76165000,76169970,5200852],[76170000,76179970,5201306],[76180000,76189984,5214408],[76190000,76194970,5215702],[76195000,76199970,5205455],[76200000,76204970,5210208],[76205000,76205000,5210307],[76205400,76206814,5210208],[76208000,76208000,5210307],[76208268,76208268,5210208],[76209959,76209970,5210307],[76210000,76210000,5212006],[76215000,76215000,5210307],[76219959,76219970,5212006],[76220000,76229970,5207600],[76230000,76234970,5217203],[76235000,76239970,5202353],[76240000,76244970,5201702],[76245000,76249970,5203401],[76250000,76254970,5203104],[76255000,76259970,5213707],[76260000,76264970,5207105],[76265000,76269970,5219258],[76270000,76279971,5212204],[76280000,76284970,5203807],[76285000,76289971,5215207],[76290000,76293970,5211008],[76300000,76303980,5205406],[76304000,76304970,5210158],[76305000,76309971,5214861],[76310000,76310000,5218607],[76313000,76313000,5218706],[76314959,76314970,5218607],[76315000,76319970,5218706],[76320000,76329970,5219357],[76330000,76334970,5211800],[76335000,76339970,5221700],[76340000,76342970,5205000],[76343000,76343980,5220280],[76345000,76349970,5214705],[76350000,76354970,5218904],[76355000,76355970,5213855],[76360000,76360000,5210901],[76363000,76363000,5220157],[76364959,76364970,5210901],[76365000,76369970,5220157],[76370000,76372970,5216908],[76374000,76374971,5209457],[76375000,76379970,5209804],[76380000,76382894,5208608],[76383000,76383000,5209457],[76383001,76384423,5208608],[76385000,76385000,5209457],[76385003,76389971,5208608],[76390000,76392970,5203203],[76393000,76394959,5222302],[76395000,76395980,5219456],[76400000,76402000,5221601],[76410000,76419970,5204706],[76420000,76439980,5214606],[76440000,76449970,5204656],[76450000,76459970,5213087],[76460000,76464970,5221452],[76465000,76469970,5213772],[76470000,76479970,5208103],[76480000,76484970,5219605],[76485000,76489970,5207501],[76490000,76492970,5212808],[76493000,76494980,5200829],[76495000,76499970,5214879],[76500000,76509970,5219704],[76510000,76514971,5206404],[76515000,76519970,5204953],[76520000,76520000,5214838],[76523000,76523000,5221577],[76524959,76524970,5214838],[76525000,76529970,5221577],[76530000,76539970,5214051],[76540000,76549970,5214101],[76550000,76554980,5218003],[76555000,76555970,5203575],[76556358,76556670,5218003],[76559980,76559980,5203575],[76560000,76560000,5200555],[76570000,76570000,5203575],[76579959,76579970,5200555],[76580000,76589970,5215256],[76590000,76598970,5220207],[76600000,76629972,5208905],[76630000,76630971,5210406],[76640000,76649970,5221007],[76650000,76659970,5210562],[76660000,76669970,5210604],[76670000,76679970,5209606],[76680000,76689970,5211206],[76690000,76699970,5209291],[76700000,76709970,5214002],[76710000,76719970,5202502],[76720000,76729970,5202155],[76730000,76739980,5212956],[76740000,76744970,5207535],[76801000,76848970,1100205],[76850000,76850970,1100106],[76857000,76859970,1100338],[76860000,76860970,1100809],[76861000,76861970,1101104],[76862000,76862970,1100403],[76863000,76863970,1100262],[76864000,76864970,1100940],[76866000,76866970,1101609],[76867000,76867970,1101757],[76868000,76869000,1100130],[76870001,76879970,1100023],[76880000,76880970,1100452],[76887000,76887970,1100700],[76888000,76888970,1101401],[76889000,76889970,1100601],[76890000,76897970,1100114],[76898000,76898971,1101005],[76900001,76915500,1100122],[76916000,76916992,1100254],[76919000,76919970,1101203],[76920000,76920990,1100155],[76923000,76923970,1101807],[76924000,76924970,1101435],[76926000,76926970,1101302],[76928000,76928970,1101559],[76929000,76929990,1101708],[76930000,76931810,1100346],[76932000,76932970,1100320],[76934000,76934991,1101500],[76935000,76936000,1101492],[76937000,76939000,1100080],[76940000,76940972,1100288],[76948000,76948970,1100908],[76950000,76950970,1100296],[76952000,76952970,1100379],[76954000,76955820,1100015],[76956000,76956971,1100502],[76958000,76958970,1100148],[76960002,76969094,1100049],[76970000,76973000,1100189],[76974000,76975820,1100098],[76976000,76976970,1101476],[76977000,76977970,1101484],[76979000,76979970,1101450],[76980002,76989970,1100304],[76990000,76992820,1100924],[76993000,76993970,1100064],[76994000,76994970,1100031],[76995000,76995990,1100072],[76997000,76997970,1100056],[76999000,76999970,1101468],[77001002,77270000,1721000],[77300000,77300970,1707009],[77303000,77303970,1718659],[77305000,77305970,1705607],[77308000,77308970,1720937],[77310000,77310970,1700400],[77315000,77315970,1717800],[77318000,77318970,1715259],[77320000,77320970,1720903],[77325000,77325970,1702703],[77328000,77328970,1712157],[77330000,77349972,1702406],[77350000,77350970,1705557],[77353000,77353970,1715150],[77360000,77360970,1716208],[77365000,77365970,1715754],[77368000,77368970,1720259],[77370000,77370970,1714203],[77373000,77375972,1718907],[77378000,77378971,1705102],[77380000,77380970,1717008],[77390000,77393000,1720499],[77395000,77395970,1718006],[77402010,77448899,1709500],[77449000,77449000,1706258],[77450000,77450971,1711506],[77453000,77453970,1703867],[77455000,77455970,1700350],[77458000,77458970,1720853],[77460000,77462970,1716604],[77463000,77463970,1706258],[77465000,77465970,1707652],[77470000,77470970,1708205],[77475000,77475970,1702000],[77478000,77478970,1718840],[77480000,77480970,1700707],[77483000,77483970,1720978],[77485000,77485970,1707306],[77490000,77490970,1706100],[77493000,77493970,1711902],[77495000,77495970,1715002],[77500000,77502970,1718204],[77553000,77553970,1709807],[77555000,77555970,1707553],[77558000,77558970,1715507],[77560000,77560970,1703701],[77565000,77565970,1718899],[77570000,77570970,1717503],[77575000,77575970,1704600],[77580000,77580970,1720655],[77585000,77585970,1713601],[77590000,77590970,1717909],[77593000,77593970,1712702],[77600000,77600971,1716109],[77603000,77603970,1718451],[77605000,77605970,1720150],[77610000,77610970,1715101],[77613000,77613970,1711951],[77615000,77615970,1719004],[77620000,77620970,1701101],[77630000,77634970,1712405],[77635000,77635970,1718758],[77640000,77640970,1721109],[77645000,77645970,1712009],[77650000,77654970,1713205],[77655000,77655970,1718709],[77660000,77660970,1713304],[77665000,77665970,1703107],[77670000,77670970,1707108],[77673000,77673970,1713700],[77675000,77675970,1712504],[77680000,77680970,1703909],[77683000,77685970,1707207],[77690000,77690970,1701903],[77693000,77693970,1700251],[77695000,77695970,1708304],[77700000,77700970,1709302],[77702000,77707980,1721257],[77708000,77708970,1708254],[77710000,77710970,1716505],[77712000,77712000,1718881],[77712980,77712980,1716505],[77714000,77715970,1703305],[77716000,77716970,1718881],[77718000,77718970,1710904],[77720000,77720970,1710508],[77723000,77723970,1704105],[77725000,77725970,1716703],[77730000,77730970,1716653],[77733000,77733970,1718501],[77735000,77735970,1703602],[77740000,77740970,1711100],[77743000,77744980,1721307],[77745000,77745970,1718402],[77748000,77748000,1721307],[77750000,77750970,1706001],[77753000,77753970,1711803],[77755000,77755970,1703206],[77760000,77764971,1705508],[77765000,77768000,1703073],[77770000,77776982,1709005],[77777000,77777970,1703842],[77780000,77780970,1702307],[77783000,77783971,1703057],[77785000,77785970,1716307],[77790000,77794970,1714880],[77795000,77795970,1707702],[77798000,77798970,1715705],[77803010,77834992,1702109],[77835200,77835600,1716604],[77836000,77839400,1703602],[77840000,77840970,1703883],[77845000,77845970,1701309],[77848000,77848970,1718865],[77850000,77850970,1713957],[77855000,77855970,1702158],[77860000,77860970,1722081],[77870000,77870970,1703008],[77880000,77880970,1722107],[77885000,77885970,1720002],[77888000,77888970,1717206],[77890000,77890970,1701002],[77893000,77893970,1718550],[77895000,77895970,1714302],[77898000,77898000,1718550],[77900000,77900970,1721208],[77903000,77903970,1712454],[77905000,77905970,1701051],[77908000,77908970,1700301],[77910000,77910970,1706506],[77913000,77913970,1713809],[77915000,77915970,1703826],[77918000,77918970,1712801],[77920000,77920970,1710706],[77925000,77925970,1720200],[77930000,77930970,1702901],[77940000,77940970,1720804],[77950000,77951980,1702208],[77953000,77953000,1720101],[77953970,77953970,1702208],[77958000,77958970,1720101],[77960000,77960970,1702554],[77970000,77970970,1718303],[77980000,77980970,1718808],[77985000,77985970,1703891],[77990000,77990970,1720309],[77993000,77993970,1707405],[77995000,77995970,1703800],[78005000,78108000,5103403],[78110000,78169000,5108402],[78170000,78173971,5106109],[78175000,78175970,5106505],[78176000,78176000,5106109],[78177970,78178972,5106505],[78180000,78188970,5107800],[78190000,78192970,5101605],[78195000,78198000,5103007],[78200000,78236970,5102504],[78237000,78237970,5103437],[78240000,78242971,5106828],[78243000,78243970,5106182],[78245000,78246000,5105507],[78248000,78248000,5106828],[78250000,78250970,5106752],[78253000,78253973,5108352],[78254000,78254971,5103361],[78255000,78258970,5105002],[78260000,78260970,5101258],[78265000,78265970,5107156],[78270000,78270970,5107750],[78272000,78272000,5105234],[78274000,78274970,5107750],[78275000,78277970,5107206],[78278000,78279970,5105234],[78280000,78284970,5105622],[78285000,78288970,5107107],[78290000,78290970,5103809],[78293000,78294970,5103957],[78295000,78295970,5104500],[78300000,78306970,5107958],[78307000,78307000,5102686],[78307003,78307899,5107958],[78307959,78307970,5102686],[78308000,78309500,5107958],[78310000,78318000,5103304],[78319000,78319000,5102686],[78320000,78322970,5105150],[78325000,78328970,5101407],[78330000,78334500,5103379],[78335000,78337820,5103254],[78338000,78338971,5107578],[78340000,78340970,5105176],[78345000,78348973,5102850],[78350000,78359810,5101902],[78360000,78364970,5102637],[78365000,78368899,5107875],[78370000,78370970,5106232],[78380000,78380970,5103452],[78390000,78396970,5101704],[78398000,78398970,5106851],[78400000,78406970,5103502],[78410000,78414970,5100508],[78415000,78415970,5108857],[78420000,78420970,5101308],[78425000,78425970,5107263],[78430000,78430970,5106000],[78435000,78437971,5107305],[78440000,78446970,5108907],[78450000,78452970,5106224],[78453000,78453000,5107768],[78453008,78453114,5106224],[78453959,78453970,5107768],[78454000,78454617,5106224],[78455000,78455972,5105259],[78456004,78457899,5106224],[78459000,78459970,5105259],[78460000,78460000,5105903],[78460001,78460686,5105259],[78460959,78460970,5105903],[78460971,78460971,5105259],[78461970,78461970,5105903],[78462001,78462667,5105259],[78463000,78463000,5107768],[78464001,78469000,5105259],[78470000,78478970,5107701],[78479000,78479500,5105903],[78480000,78489970,5100102],[78490000,78490970,5104906],[78500000,78502970,5103205],[78505000,78507971,5108055],[78508000,78508971,5108808],[78510000,78510970,5104559],[78513000,78513000,5106190],[78515000,78518970,5106216],[78520000,78524971,5104104],[78525000,78527000,5105606],[78528000,78528970,5106265],[78530000,78534970,5106422],[78535000,78538970,5105580],[78540000,78540970,5103056],[78543000,78543970,5108303],[78545000,78545970,5107248],[78548000,78548971,5106190],[78550000,78559970,5107909],[78560000,78562970,5106802],[78563000,78564970,5107941],[78565000,78569970,5106158],[78570000,78572970,5106273],[78573000,78574000,5108006],[78575000,78577970,5105101],[78578000,78578970,5104526],[78579000,78579970,5104542],[78580000,78586970,5100250],[78587000,78587970,5102793],[78590000,78590970,5106299],[78593000,78594600,5108956],[78595000,78595970,5100805],[78600000,78609970,5101803],[78610000,78610970,5106703],[78613000,78613970,5107198],[78615000,78615970,5101209],[78620000,78623000,5103908],[78625000,78625970,5106281],[78628000,78628972,5107792],[78630000,78630971,5102603],[78635000,78636970,5100201],[78638000,78638970,5106174],[78640000,78640972,5102702],[78643000,78643971,5107065],[78645000,78645970,5108600],[78648000,78648000,5102702],[78650000,78650970,5107776],[78652000,78653970,5103353],[78655000,78655970,5106778],[78658000,78659970,5102694],[78660000,78660970,5105309],[78663000,78663971,5107354],[78664000,78664971,5107743],[78665000,78665970,5100359],[78668000,78668970,5107883],[78670000,78673970,5107859],[78674000,78674971,5106315],[78675000,78677970,5107180],[78678000,78678970,5101852],[78680000,78680970,5103106],[78685000,78685970,5101001],[78690000,78690970,5106257],[78691000,78695970,5108204],[78698000,78698970,5106653],[78700002,78759000,5107602],[78760000,78768000,5104203],[78770000,78770970,5100409],[78773000,78773970,5107297],[78775000,78778000,5108105],[78780000,78782970,5100300],[78785000,78785970,5100607],[78790000,78790971,5104609],[78795000,78798970,5106372],[78800000,78808971,5107008],[78810000,78818970,5105200],[78820000,78828970,5104807],[78830000,78834000,5103601],[78835000,78835973,5107404],[78840000,78846899,5102678],[78850000,78850972,5107040],[78855000,78855970,5106455],[78860000,78868000,5106208],[78870000,78871970,5106307],[78875000,78875970,5103858],[78880000,78880970,5108501],[78885000,78885970,5103700],[78888000,78889972,5106240],[78890000,78895970,5107925],[78896000,78896000,5101837],[78896001,78897258,5107925],[78898000,78898000,5107040],[78898002,78899972,5107925],[78900005,78929000,1100205],[78930000,78936000,1100023],[78937000,78937000,1101104],[78938000,78938000,1100809],[78939000,78939000,1100338],[78940000,78940000,1100114],[78944000,78944000,1100601],[78945000,78945000,1100262],[78945800,78945800,1100940],[78946000,78946000,1101005],[78947000,78947000,1101609],[78948000,78948000,1100130],[78948800,78948800,1101757],[78949000,78949000,1101302],[78950000,78950000,1100155],[78953000,78953000,1101435],[78954000,78954000,1101559],[78955000,78955000,1101708],[78956000,78956000,1100403],[78957000,78957000,1100106],[78959000,78959000,1101807],[78961000,78964570,1100122],[78965000,78965000,1101401],[78966000,78966000,1100072],[78967000,78967000,1100700],[78967800,78967800,1100452],[78968000,78968000,1100254],[78969000,78969000,1100346],[78970000,78970000,1100320],[78971000,78971000,1100080],[78972000,78972500,1100049],[78973000,78973000,1101492],[78974000,78974000,1100148],[78975005,78980000,1100049],[78981000,78981000,1101203],[78983000,78983000,1100098],[78984000,78984000,1100189],[78985000,78986000,1101484],[78987000,78987000,1100288],[78988000,78988000,1101476],[78989000,78989000,1101450],[78990000,78990000,1101500],[78991000,78991000,1100502],[78992000,78992000,1100908],[78993000,78993000,1100296],[78994000,78994000,1100015],[78994800,78994800,1100379],[78995000,78995000,1100304],[78995800,78995800,1100924],[78996000,78996000,1100064],[78997000,78997000,1100056],[78998000,78998000,1101468],[78999000,78999000,1100031],[79002000,79127000,5002704],[79130000,79134970,5007208],[79140000,79148970,5006002],[79150000,79152971,5005400],[79170000,79174970,5007901],[79180000,79182000,5007109],[79190000,79190970,5008008],[79200000,79208971,5001102],[79210000,79210990,5000708],[79215000,79217970,5003488],[79220000,79220972,5005806],[79230000,79230970,5004106],[79240000,79242970,5005004],[79260000,79262970,5002100],[79270000,79270971,5002803],[79280000,79280970,5006903],[79290000,79292000,5002209],[79300002,79368000,5003207],[79370000,79370970,5005202],[79380000,79380970,5005608],[79390000,79392970,5002159],[79400000,79406000,5003306],[79410000,79410970,5006408],[79415000,79415970,5007935],[79420000,79420990,5002605],[79422000,79422000,5003900],[79424000,79424990,5002605],[79428000,79428971,5003900],[79430000,79432990,5001508],[79440000,79442970,5004908],[79450000,79452000,5007505],[79460000,79462970,5003108],[79470000,79472970,5007307],[79480000,79482000,5007406],[79490000,79494000,5007695],[79500000,79516000,5006309],[79530000,79530970,5000252],[79540000,79542990,5002902],[79550000,79550970,5003256],[79552000,79552000,5006275],[79554000,79554970,5003256],[79556000,79559970,5006275],[79560000,79560970,5002951],[79570000,79578000,5001003],[79580000,79586000,5004403],[79590000,79590970,5007802],[79600001,79658000,5008305],[79670000,79677970,5002308],[79680000,79682000,5000203],[79690000,79690970,5007554],[79700000,79702970,5003801],[79710000,79714970,5008404],[79720000,79722970,5005103],[79730000,79734970,5004007],[79740000,79742970,5004700],[79745000,79745970,5006259],[79750000,79758971,5006200],[79760000,79760970,5002001],[79765000,79765970,5007976],[79770000,79774970,5000807],[79780000,79782970,5001904],[79785000,79787990,5000856],[79790000,79798970,5003454],[79800002,79878990,5003702],[79880000,79886970,5003504],[79890000,79898970,5004502],[79900000,79909970,5006606],[79910000,79912971,5000906],[79920000,79920970,5005251],[79923000,79925970,5006358],[79930000,79932970,5001243],[79935000,79935970,5007703],[79940000,79944970,5002407],[79950000,79950972,5005707],[79955000,79955970,5005152],[79960000,79960971,5004304],[79965000,79965970,5004601],[79970000,79972970,5003751],[79975000,79975970,5007950],[79980000,79980970,5005681],[79985000,79988970,5004809],[79990000,79990990,5000609],[79995000,79995970,5003157],[80002900,82999899,4106902],[83005000,83149899,4125506],[83150000,83159000,4126009],[83160000,83168000,4107603],[83175000,83181000,4125506],[83183000,83183000,4104204],[83183970,83185990,4125506],[83190000,83190996,4127601],[83203000,83252990,4118204],[83255000,83256959,4119954],[83260000,83260995,4115705],[83280000,83280993,4109609],[83290000,83290000,4118204],[83290970,83290971,4109609],[83301000,83319600,4119509],[83320005,83349899,4119152],[83350000,83350970,4116208],[83360000,83360000,4119509],[83360970,83360970,4116208],[83370000,83380990,4101200],[83390000,83395991,4109500],[83401000,83419700,4105805],[83420000,83425970,4120804],[83430000,83440993,4104006],[83450000,83450970,4103107],[83480000,83485990,4127882],[83490000,83490972,4100202],[83501000,83529899,4100400],[83531000,83535998,4104253],[83540000,83550990,4122206],[83560000,83566065,4111258],[83570000,83580970,4105201],[83590000,83590970,4128633],[83600959,83643970,4104204],[83644000,83644000,4111100],[83645000,83648991,4104204],[83649000,83649000,4103057],[83649050,83649800,4111100],[83649850,83649850,4104204],[83649900,83649900,4111100],[83650000,83650990,4102307],[83660000,83660000,4104204],[83660970,83660990,4102307],[83670000,83670000,4104204],[83670970,83670990,4102307],[83700959,83728990,4101804],[83729000,83729200,4125704],[83729300,83729300,4110508],[83729400,83729800,4125704],[83729850,83729850,4101804],[83729900,83729900,4125704],[83730000,83740990,4106209],[83750000,83760995,4113205],[83770000,83770000,4101804],[83770970,83773976,4113205],[83800000,83810990,4114302],[83820000,83839990,4107652],[83840000,83848974,4121208],[83850000,83855970,4100301],[83860000,83860991,4119103],[83870000,83870970,4104105],[83880000,83888000,4122305],[83900000,83930991,4125605],[83980000,83980977,4101309],[84001959,84120990,4119905],[84125200,84125800,4103057],[84125850,84125850,4119905],[84125900,84125900,4103057],[84126000,84126100,4119905],[84126200,84126200,4105102],[84126300,84127800,4119905],[84128000,84128400,4111704],[84128600,84128600,4107603],[84128800,84128800,4111704],[84130000,84135970,4117701],[84140000,84140970,4120101],[84145000,84145970,4104659],[84150000,84155970,4125100],[84165000,84195000,4104907],[84196000,84196800,4117800],[84196850,84196870,4104907],[84196900,84196900,4117800],[84196970,84197970,4104907],[84198000,84198700,4126009],[84199000,84199800,4105003],[84200000,84210970,4112009],[84220000,84235000,4126306],[84240000,84240970,4119400],[84250000,84250970,4110078],[84261000,84275970,4127106],[84277000,84277800,4126009],[84277850,84277850,4127106],[84277900,84277900,4126009],[84279000,84279800,4110078],[84280000,84284000,4107009],[84285000,84285970,4107751],[84290000,84295970,4126207],[84300000,84305000,4127502],[84315000,84315000,4121703],[84315970,84315970,4127502],[84320000,84340970,4121703],[84345000,84345972,4128534],[84350000,84360970,4117305],[84370000,84370000,4121703],[84370970,84370970,4117305],[84380000,84380000,4121703],[84381970,84393970,4117305],[84400000,84420970,4120606],[84430000,84433970,4110102],[84435000,84435970,4108957],[84450000,84450970,4110508],[84460000,84465970,4111407],[84470000,84490970,4104402],[84500000,84518000,4110706],[84530000,84534970,4127007],[84535000,84538970,4107736],[84550000,84550974,4121505],[84560000,84560970,4122008],[84570000,84577971,4113908],[84600000,84609178,4128203],[84610000,84610000,4120309],[84612899,84614000,4128203],[84615000,84615970,4120309],[84620000,84625000,4106803],[84630000,84634970,4118600],[84635000,84638970,4118709],[84640000,84650970,4102901],[84660000,84664970,4108502],[84900000,84916970,4109708],[84920000,84920970,4112306],[84923000,84928970,4119202],[84930000,84930970,4111704],[84935000,84938970,4127809],[84940000,84943971,4126603],[84945000,84945970,4122909],[84950000,84950970,4128500],[84970000,84970970,4124004],[84980000,84980970,4125407],[84990000,84998000,4101606],[85010000,85109000,4109401],[85110000,85110000,4115705],[85110970,85110970,4109401],[85111000,85112000,4115705],[85113000,85113970,4108908],[85115000,85117000,4115705],[85118000,85118990,4109401],[85119000,85119000,4115705],[85120000,85129000,4107603],[85130000,85137600,4126009],[85137850,85137850,4109401],[85137900,85138800,4126009],[85138850,85138850,4109401],[85138900,85139700,4126009],[85139850,85139850,4109401],[85139900,85139900,4103206],[85140000,85140971,4104428],[85145000,85145972,4108452],[85148000,85148971,4103958],[85150000,85150971,4127965],[85155000,85155970,4110201],[85160000,85160971,4104451],[85162000,85167970,4108650],[85168000,85168971,4115457],[85170000,85175970,4119301],[85180000,85180000,4107603],[85180970,85180970,4119301],[85190000,85190000,4121752],[85193000,85193970,4119301],[85195000,85198000,4121752],[85200000,85216970,4119608],[85218000,85218000,4114500],[85218970,85218970,4119608],[85225000,85225971,4103040],[85230000,85235970,4123857],[85240000,85245000,4115739],[85250000,85255970,4117271],[85258000,85258000,4103057],[85260000,85267000,4114500],[85270000,85270970,4117800],[85275000,85275971,4113254],[85280000,85280970,4100459],[85301000,85320000,4113304],[85321000,85321000,4128203],[85322000,85323000,4113304],[85324000,85324000,4124806],[85325000,85330000,4113304],[85340000,85340973,4122156],[85345000,85345990,4120150],[85348000,85348000,4122156],[85350000,85350972,4117057],[85360000,85360000,4113304],[85365000,85365970,4117057],[85370000,85370000,4113304],[85370970,85385970,4117057],[85390000,85390970,4128658],[85400000,85407970,4109302],[85408000,85408990,4107124],[85410000,85413970,4116703],[85415000,85415971,4103453],[85420000,85422970,4106308],[85423000,85423990,4110052],[85425000,85425971,4101051],[85430000,85430970,4103354],[85440000,85445970,4128005],[85450000,85450970,4104055],[85460000,85460990,4120903],[85465000,85465971,4107546],[85470000,85470972,4105003],[85478000,85478970,4109757],[85485000,85496970,4127858],[85501000,85514350,4118501],[85514400,85514400,4103057],[85514450,85514970,4118501],[85515000,85515990,4103222],[85520000,85520991,4128708],[85525000,85525970,4115309],[85526000,85528000,4128708],[85530000,85538000,4105706],[85540000,85545970,4114401],[85548000,85548990,4109658],[85550000,85554971,4106506],[85555000,85555970,4117602],[85556000,85556000,4106506],[85557000,85557990,4106456],[85558000,85559000,4106506],[85560000,85560991,4105409],[85562000,85562000,4126652],[85562970,85562970,4105409],[85563000,85563000,4126652],[85563970,85563970,4105409],[85565000,85565970,4126652],[85568000,85568990,4126272],[85570000,85571970,4124806],[85572000,85572000,4125209],[85572970,85573970,4124806],[85575000,85579970,4125209],[85580000,85584970,4111209],[85585000,85585970,4128609],[85587000,85587000,4111209],[85587970,85587970,4128609],[85588000,85588000,4111209],[85588970,85588970,4128609],[85598000,85598990,4106571],[85601000,85609000,4108403],[85609100,85609400,4125704],[85609450,85609450,4111803],[85609500,85609800,4125704],[85609970,85609978,4108403],[85610000,85613000,4121604],[85615000,85615970,4115408],[85618000,85618990,4107850],[85620000,85625970,4122800],[85628000,85628990,4114351],[85630000,85634970,4107405],[85635000,85635990,4116950],[85640000,85645000,4101002],[85650000,85650970,4123808],[85652000,85653000,4126256],[85653970,85653970,4123808],[85654000,85654000,4126256],[85654970,85654970,4123808],[85655000,85655000,4126256],[85655970,85655970,4123808],[85656000,85656000,4126256],[85656970,85656970,4123808],[85660000,85668000,4107207],[85670000,85678000,4123006],[85680000,85680990,4103024],[85685000,85685970,4117255],[85690003,85693612,4117602],[85700000,85705970,4102604],[85708000,85708990,4103156],[85710000,85720000,4124400],[85720001,85720610,4115804],[85720970,85720970,4124400],[85722000,85724332,4115804],[85725000,85725000,4124400],[85725499,85725503,4115804],[85725970,85725970,4124400],[85727000,85727990,4119251],[85729000,85729000,4124400],[85730000,85735000,4120358],[85740000,85743970,4119004],[85745000,85745990,4102752],[85750000,85758970,4119806],[85760000,85767970,4104501],[85770000,85779000,4121406],[85780000,85780970,4103057],[85790000,85794970,4104600],[85795000,85795971,4123824],[85801000,85822970,4104808],[85823000,85823850,4124806],[85823880,85823880,4104808],[85823900,85823950,4124806],[85823970,85824970,4104808],[85825000,85825971,4124020],[85826000,85826970,4113452],[85830000,85830970,4108205],[85833000,85833970,4110656],[85835000,85837970,4112751],[85840000,85840970,4105300],[85845000,85845970,4128559],[85851000,85874700,4108304],[85875000,85875970,4124053],[85877000,85878970,4125704],[85879000,85879000,4108304],[85880000,85880972,4110953],[85883000,85883000,4126355],[85883970,85883970,4110953],[85884000,85884981,4115804],[85885000,85886000,4126355],[85887000,85887973,4115606],[85888000,85888970,4121257],[85890000,85890972,4116059],[85892000,85894972,4123501],[85896000,85896970,4107157],[85898000,85898990,4125456],[85900005,85925970,4127700],[85926000,85926800,4110508],[85926830,85926830,4127700],[85926850,85926850,4103057],[85926870,85926870,4127700],[85926900,85926950,4110508],[85926970,85927971,4127700],[85929000,85929971,4125753],[85930000,85931970,4117222],[85933000,85933970,4117453],[85935000,85937970,4102000],[85940000,85940970,4120853],[85945000,85945971,4127957],[85948000,85948970,4118451],[85950000,85954522,4117909],[85955000,85957000,4115358],[85958000,85958000,4118907],[85958970,85958970,4115358],[85960000,85978970,4114609],[85980000,85985970,4108809],[85988000,85988970,4107538],[85990000,85995970,4127403],[85998000,85998972,4115853],[86001959,86113000,4113700],[86114000,86114000,4108908],[86115000,86119000,4113700],[86120000,86120000,4126678],[86120970,86120970,4113700],[86122000,86122000,4126678],[86123000,86123970,4113700],[86125000,86125970,4126678],[86130000,86135970,4102802],[86140000,86143990,4120507],[86150000,86155970,4100806],[86160000,86160970,4120002],[86165000,86165970,4108007],[86170000,86170970,4126504],[86180959,86199800,4103701],[86200000,86201959,4109807],[86210000,86215000,4112702],[86220000,86220970,4101903],[86224000,86224000,4123204],[86224970,86224970,4101903],[86225000,86225970,4123204],[86230000,86230970,4116604],[86240000,86240970,4126009],[86250000,86250970,4117214],[86270000,86270970,4124707],[86273000,86273000,4124806],[86273970,86278970,4124707],[86280000,86285970,4128401],[86290000,86290970,4121307],[86300000,86305990,4106407],[86310000,86310970,4117008],[86315000,86318970,4124301],[86320000,86325990,4106001],[86330000,86335990,4113403],[86340000,86345970,4126405],[86350000,86358970,4123907],[86360000,86365970,4102406],[86370000,86370970,4123105],[86375000,86378990,4111001],[86380000,86383990,4101101],[86385000,86385970,4102703],[86390000,86390970,4103602],[86400000,86409970,4111803],[86410000,86415970,4121802],[86420000,86425970,4104709],[86430000,86440970,4124103],[86450000,86450970,4120705],[86455000,86458970,4112801],[86460000,86460970,4100103],[86465000,86465970,4109005],[86470000,86470970,4112900],[86480000,86480970,4106100],[86490000,86495970,4121901],[86600000,86609991,4122404],[86610000,86610970,4111902],[86613000,86613970,4119657],[86615000,86615970,4116000],[86618000,86618970,4120333],[86620000,86625990,4109203],[86630000,86630970,4105102],[86635000,86638990,4113809],[86640000,86640970,4103404],[86650000,86650970,4124509],[86660000,86660970,4123600],[86670000,86670970,4110904],[86680000,86685000,4116406],[86690000,86695990,4105904],[86700005,86719991,4101507],[86720000,86728000,4122701],[86730000,86746970,4102109],[86750000,86750990,4110003],[86755000,86755970,4101150],[86760000,86765000,4116307],[86770000,86770970,4123402],[86780000,86780970,4108106],[86790000,86790970,4113601],[86800005,86819971,4101408],[86820000,86820970,4103503],[86825000,86826970,4114906],[86828000,86828971,4115754],[86830000,86835970,4122107],[86840000,86842970,4107603],[86845000,86847970,4108700],[86848000,86848971,4122172],[86850000,86850970,4122651],[86855000,86859000,4106852],[86860000,86860970,4112504],[86865000,86865970,4113429],[86870000,86879970,4111506],[86880000,86880970,4101853],[86884000,86884970,4101655],[86887000,86887000,4101853],[86890000,86890971,4103800],[86895000,86895970,4117297],[86900000,86905990,4112108],[86910000,86910970,4115507],[86920000,86923000,4113106],[86925000,86925970,4103305],[86930000,86934970,4125001],[86935000,86935970,4113759],[86938000,86938970,4108551],[86940000,86940970,4103206],[86945000,86947970,4125803],[86950000,86955000,4107702],[86960000,86968990,4102505],[86970000,86970970,4106555],[86975000,86975970,4114203],[86990000,86990970,4114807],[86994000,86994000,4123402],[86995000,86998000,4114807],[87001959,87109899,4115200],[87111000,87119899,4126256],[87120000,87120970,4107900],[87130000,87130971,4111605],[87140000,87145990,4117503],[87155000,87155970,4107306],[87160000,87165000,4114104],[87170000,87170970,4117404],[87175000,87175970,4111100],[87180000,87180970,4120408],[87185000,87185970,4107801],[87188000,87188000,4120408],[87190000,87195000,4125308],[87200000,87209409,4105508],[87210000,87210000,4110409],[87210010,87214970,4105508],[87215000,87215970,4125555],[87220000,87220970,4126108],[87225000,87225990,4112405],[87230000,87230970,4113007],[87235000,87235970,4110409],[87240000,87245990,4127205],[87250000,87250970,4118808],[87260000,87263970,4101705],[87265000,87265970,4121109],[87267000,87267000,4101705],[87267970,87267970,4121109],[87270000,87276000,4107504],[87277000,87277000,4107751],[87277970,87277970,4107504],[87280000,87282970,4110805],[87290000,87290990,4113734],[87300005,87316800,4104303],[87317000,87317000,4103008],[87317300,87317600,4124806],[87318000,87318990,4104303],[87320000,87323990,4122503],[87325000,87326970,4107553],[87330000,87335970,4116802],[87340000,87340971,4114005],[87345000,87349970,4103909],[87355000,87357991,4112959],[87360000,87364990,4108601],[87365000,87365971,4120655],[87368000,87368000,4102406],[87368970,87368970,4120655],[87370000,87375970,4116109],[87380000,87380970,4112207],[87385000,87385000,4101655],[87385970,87385970,4112207],[87390000,87390991,4103008],[87395000,87395971,4121356],[87400000,87408971,4106605],[87430000,87430970,4126801],[87440000,87458970,4127908],[87470000,87475970,4115101],[87480000,87483990,4114708],[87485000,87485972,4107256],[87490000,87490970,4117206],[87501000,87518970,4128104],[87520000,87520000,4124806],[87520970,87520970,4128104],[87521000,87521000,4124806],[87521970,87521970,4128104],[87523000,87524000,4124806],[87524970,87524970,4128104],[87525000,87527990,4111555],[87528000,87528990,4128625],[87530000,87534990,4109906],[87535000,87537970,4128807],[87538000,87539000,4118857],[87540000,87540970,4118907],[87545000,87545972,4107520],[87550000,87552990,4100509],[87553000,87553970,4124806],[87553990,87553990,4100509],[87555000,87555970,4125357],[87560000,87564970,4110607],[87565000,87567970,4103479],[87569000,87569000,4110607],[87569970,87569970,4103479],[87570000,87570970,4108320],[87575000,87575000,4122156],[87575970,87575970,4108320],[87580000,87590992,4100707],[87595000,87595971,4103370],[87600000,87600970,4116901],[87610000,87610000,4118105],[87610970,87610970,4116901],[87620000,87620000,4111407],[87620970,87620970,4116901],[87630000,87630970,4102208],[87640000,87640970,4128302],[87650000,87650970,4106704],[87660000,87668000,4118105],[87670000,87670970,4110300],[87680000,87680970,4118303],[87690000,87690970,4112603],[87701000,87729970,4118402],[87730000,87730970,4124202],[87740000,87740970,4124905],[87750000,87755990,4100608],[87760000,87760970,4126702],[87770000,87775000,4124608],[87780000,87780970,4118006],[87790000,87790970,4116505],[87800000,87805000,4122602],[87810000,87810970,4109104],[87820000,87820970,4105607],[87830000,87830970,4126900],[87840000,87840970,4115903],[87850000,87855000,4100905],[87860000,87860970,4119707],[87870000,87870000,4127304],[87880000,87880970,4108908],[87890000,87895990,4127304],[87900000,87900970,4113502],[87910000,87913990,4123709],[87915000,87919000,4123956],[87920000,87925970,4123303],[87930000,87940970,4121000],[87950000,87950970,4120200],[87955000,87957990,4125902],[87960000,87960970,4115002],[87970000,87975000,4117107],[87980000,87980970,4111308],[87990000,87990970,4107108],[88010000,88099899,4205407],[88101000,88123970,4216602],[88125000,88125971,4217253],[88130005,88139993,4211900],[88140000,88140994,4215703],[88150000,88150971,4200606],[88160000,88170993,4202305],[88180000,88189899,4201208],[88190000,88190997,4206009],[88200000,88200971,4218004],[88210000,88210970,4213500],[88215000,88215991,4202453],[88220000,88220972,4208302],[88230000,88230990,4203709],[88240000,88245970,4216305],[88260000,88268970,4210209],[88270000,88280971,4211504],[88295000,88295970,4202701],[88301000,88319899,4208203],[88320000,88320991,4207106],[88330000,88339901,4202008],[88340000,88349899,4203204],[88350001,88359991,4202909],[88360000,88360970,4206306],[88370000,88370000,4202701],[88370001,88379899,4211306],[88380000,88380970,4212809],[88385000,88385970,4212502],[88390000,88390970,4202107],[88395000,88395971,4216354],[88400000,88405970,4208500],[88407000,88407970,4204194],[88410000,88410970,4201802],[88420000,88420970,4200200],[88430000,88435000,4212700],[88440000,88440970,4207403],[88443000,88443970,4219200],[88445000,88445970,4209805],[88450000,88455970,4200705],[88460000,88465990,4200903],[88470000,88474970,4214300],[88475000,88475970,4201109],[88485000,88485970,4215901],[88490000,88490971,4212304],[88495000,88495971,4205704],[88501000,88527350,4209300],[88531000,88531000,4215679],[88531899,88533970,4209300],[88535000,88535970,4204558],[88538000,88538970,4202438],[88540000,88540970,4211751],[88543000,88543971,4211892],[88545000,88545971,4212056],[88548000,88548971,4203253],[88550000,88550970,4213302],[88570000,88570970,4216800],[88580000,88580970,4203402],[88585000,88585971,4204178],[88590000,88595970,4201000],[88598000,88598970,4204152],[88600000,88600971,4216503],[88610000,88610000,4218905],[88610970,88610970,4216503],[88615000,88615000,4218905],[88615970,88615970,4216503],[88620000,88620000,4218954],[88620970,88620970,4216503],[88625000,88625970,4218954],[88640000,88640970,4202503],[88650000,88655970,4218905],[88658000,88658971,4215059],[88680000,88688970,4202602],[88701000,88709899,4218707],[88710000,88712970,4218400],[88715000,88715973,4208807],[88717000,88717971,4215455],[88720000,88725971,4212403],[88730000,88730970,4217006],[88735000,88735970,4206207],[88740000,88740970,4201505],[88745000,88745971,4203956],[88750000,88750973,4202800],[88760000,88760970,4214904],[88763000,88763970,4215604],[88765000,88765970,4217105],[88766000,88766000,4219150],[88766970,88766970,4217105],[88770000,88775970,4207205],[88780000,88782973,4207304],[88787000,88787000,4210852],[88787970,88787970,4207304],[88790000,88794970,4209409],[88798000,88798977,4212650],[88800000,88819899,4204608],[88820000,88820998,4207007],[88828000,88828970,4220000],[88830000,88835970,4211207],[88840000,88840992,4219002],[88845000,88845970,4204251],[88850000,88850970,4205456],[88860000,88860990,4217600],[88862000,88862971,4218350],[88865000,88868970,4211603],[88870000,88873970,4211702],[88880000,88882970,4209607],[88884000,88884000,4206652],[88884970,88884970,4209607],[88890000,88895970,4206108],[88900000,88913899,4201406],[88914000,88914971,4201950],[88915000,88915970,4210407],[88920000,88923970,4210803],[88925000,88925970,4211256],[88930000,88934971,4218806],[88935000,88935970,4205191],[88940000,88940970,4218103],[88950000,88950970,4208708],[88955000,88955971,4202073],[88960000,88964970,4217709],[88965000,88965971,4215653],[88970000,88975971,4216404],[88980000,88980971,4212254],[88990000,88993000,4213807],[89010000,89079899,4202404],[89080001,89089899,4207502],[89095000,89099899,4202404],[89107000,89107970,4213203],[89108000,89108993,4210605],[89110000,89114900,4205902],[89115000,89115000,4210001],[89115001,89115901,4205902],[89115970,89115970,4210001],[89116520,89119899,4205902],[89120000,89120971,4218202],[89121000,89123970,4214706],[89124000,89125970,4202206],[89126000,89126970,4205159],[89128000,89128990,4210001],[89130000,89130970,4207502],[89135000,89135992,4201257],[89136000,89136970,4215109],[89138000,89138970,4201703],[89140000,89143971,4206900],[89145000,89145970,4209151],[89148000,89149970,4219358],[89150000,89153970,4214003],[89155000,89155971,4205100],[89157000,89157970,4219408],[89160000,89169899,4214805],[89170000,89170970,4209508],[89172000,89172970,4213708],[89173000,89173000,4218608],[89173971,89173971,4213708],[89176000,89176970,4218608],[89178000,89178970,4202859],[89180000,89180970,4214607],[89182000,89182990,4209904],[89184000,89184970,4214102],[89186000,89186970,4201901],[89188000,89188970,4200309],[89190000,89192970,4217808],[89194000,89194970,4210852],[89196000,89196970,4215307],[89198000,89198970,4214508],[89199000,89199972,4215679],[89199973,89199973,4208104],[89201000,89239997,4209102],[89240000,89243970,4216206],[89245000,89245970,4201307],[89246000,89246000,4208005],[89246970,89246970,4201307],[89247000,89247990,4202057],[89248000,89248970,4205803],[89249000,89249970,4208450],[89250000,89269990,4208906],[89270000,89270991,4206504],[89275000,89275970,4217402],[89278000,89280000,4204509],[89280001,89293899,4215802],[89294000,89294972,4203303],[89295000,89297894,4215000],[89298000,89298000,4215802],[89298009,89299899,4215000],[89300000,89309899,4210100],[89310000,89310000,4208104],[89310970,89310970,4210100],[89315000,89346970,4208104],[89348000,89348000,4208005],[89348970,89348970,4208104],[89360001,89369899,4208450],[89370000,89375970,4212205],[89380000,89384970,4211108],[89400000,89415971,4213609],[89420000,89420970,4210704],[89430000,89430970,4203154],[89440000,89450970,4207908],[89460000,89476970,4203808],[89478000,89478971,4202131],[89480000,89480970,4210308],[89490000,89490970,4218301],[89495000,89495000,4216057],[89500000,89514899,4203006],[89515000,89515970,4209706],[89517000,89518971,4210050],[89520000,89529970,4204806],[89530000,89530990,4205555],[89533000,89533970,4216057],[89535000,89535970,4213351],[89540000,89540970,4215505],[89545000,89545970,4218251],[89550000,89555970,4214409],[89558000,89558970,4207577],[89560000,89569800,4219309],[89570000,89570970,4213005],[89580000,89580991,4205506],[89590000,89590970,4201604],[89595000,89595970,4215406],[89600000,89607970,4209003],[89608000,89608000,4215554],[89608970,89608970,4209003],[89609000,89609970,4210035],[89610000,89610970,4206702],[89613000,89613970,4205209],[89615000,89618970,4211058],[89620000,89626970,4203600],[89628000,89628000,4202131],[89628970,89632970,4203600],[89633000,89633971,4219853],[89634000,89635970,4202875],[89636000,89636970,4200051],[89638000,89638971,4219150],[89640000,89640970,4206801],[89642000,89648000,4217907],[89650000,89650970,4218509],[89652000,89652971,4206751],[89654000,89657970,4200408],[89660000,89660970,4209201],[89663000,89664970,4211801],[89665000,89666970,4203907],[89667000,89668971,4213104],[89669000,89669970,4207601],[89670000,89670970,4204004],[89675000,89675972,4219176],[89677000,89677970,4208609],[89680000,89680970,4207809],[89683000,89685000,4213401],[89687000,89687971,4212270],[89690000,89690970,4219101],[89694000,89696970,4205308],[89700000,89715899,4204301],[89720000,89725000,4213153],[89727000,89727000,4204301],[89728000,89728000,4213153],[89730000,89730971,4200754],[89735000,89735970,4209854],[89740000,89744970,4201273],[89745000,89745970,4213906],[89750000,89750970,4212601],[89760000,89760970,4208005],[89765000,89765970,4211876],[89770000,89775970,4217501],[89778000,89778971,4201653],[89780000,89785971,4219606],[89790000,89790970,4207700],[89801000,89816973,4204202],[89817000,89817971,4206652],[89818000,89818970,4211454],[89819000,89819970,4204350],[89820000,89822970,4219507],[89824000,89824971,4202537],[89825000,89825970,4219705],[89828000,89828970,4209458],[89830000,89830970,4200101],[89832000,89832971,4207684],[89834000,89834972,4211850],[89835000,89835970,4216107],[89836000,89837971,4204459],[89838000,89838970,4205605],[89839000,89839970,4209177],[89840000,89840970,4204400],[89843000,89843971,4200556],[89845000,89845970,4218855],[89848000,89848971,4208955],[89850000,89850970,4214201],[89854000,89854971,4215695],[89855000,89855971,4217758],[89856000,89856972,4207858],[89859000,89859971,4205431],[89860000,89860970,4210555],[89862000,89862971,4205175],[89865000,89865970,4211405],[89868000,89868990,4217303],[89870000,89870991,4212908],[89871000,89871970,4217550],[89872000,89872970,4210902],[89873000,89873971,4202578],[89874000,89874970,4210506],[89875000,89875970,4217956],[89878000,89878971,4205357],[89879000,89879970,4217154],[89880000,89880970,4204103],[89882000,89882971,4213153],[89883000,89883970,4200507],[89885000,89885970,4216008],[89886000,89886971,4204756],[89887000,89887973,4212106],[89888000,89888970,4203105],[89890000,89890970,4204707],[89891000,89891970,4207759],[89892000,89892000,4216602],[89892970,89892970,4207759],[89893000,89893970,4211009],[89895000,89895971,4215075],[89896000,89896970,4208401],[89897000,89897971,4216255],[89898000,89898970,4218756],[89899000,89899970,4207650],[89900000,89900971,4217204],[89904000,89905992,4202081],[89906000,89906971,4212239],[89907000,89907000,4202081],[89908000,89908970,4215208],[89909000,89909971,4202099],[89910000,89910970,4204905],[89913000,89913000,4208005],[89913970,89913970,4204905],[89915000,89915971,4215554],[89920000,89920970,4206405],[89923000,89923000,4211850],[89923970,89923970,4206405],[89925000,89925971,4202156],[89930000,89933970,4216701],[89935000,89935971,4214151],[89940000,89940970,4206603],[89950000,89969970,4205001],[89970000,89970970,4200804],[89980000,89980970,4203501],[89981000,89981972,4215356],[89982000,89982971,4215752],[89983000,89983970,4215687],[89985000,89985970,4212007],[89990000,89996970,4216909],[89998000,89998971,4211652],[90001959,91920970,4314902],[92010000,92455000,4304606],[92480000,92480991,4313375],[92500000,92500992,4309308],[92510010,92535993,4312401],[92700010,92739899,4309308],[92800000,92850971,4320552],[92870000,92880970,4301909],[92900000,92900971,4311981],[92990000,92997970,4306767],[93001959,93179899,4318705],[93180000,93180993,4314803],[93201971,93234500,4320008],[93260000,93295830,4307708],[93301959,93599899,4313409],[93600000,93619899,4307609],[93700000,93701959,4303905],[93800000,93830000,4319901],[93880000,93880970,4300877],[93890000,93893970,4313060],[93900000,93900991,4310801],[93940000,93940970,4311627],[93945000,93945971,4315149],[93950000,93950970,4306403],[93990000,93990991,4312476],[93995000,93995970,4316956],[94010000,94340990,4309209],[94350000,94350000,4306502],[94360000,94360992,4309209],[94370000,94370000,4310462],[94370974,94370975,4309209],[94380000,94397000,4309050],[94400990,94780990,4323002],[94800971,94890000,4300604],[94901959,94971546,4303103],[95010000,95143970,4305108],[95150000,95150991,4313201],[95160000,95160000,4314456],[95160970,95165992,4313201],[95166000,95166970,4314423],[95170000,95170000,4313201],[95170010,95170972,4307906],[95170990,95170990,4313201],[95171000,95174354,4307906],[95175000,95175000,4314423],[95175410,95175800,4307906],[95175970,95175970,4314423],[95175980,95184970,4307906],[95185000,95186970,4304804],[95187000,95187000,4307906],[95188000,95189000,4304804],[95190000,95197970,4319000],[95200000,95214730,4322509],[95215000,95215000,4312617],[95216000,95217435,4322509],[95218000,95218000,4312617],[95219899,95221000,4322509],[95223000,95223000,4305975],[95225000,95225000,4322509],[95227000,95227000,4307807],[95227970,95229000,4322509],[95230000,95235000,4312617],[95236000,95238970,4312377],[95240000,95240970,4310439],[95242000,95242000,4320263],[95242970,95242970,4310439],[95244000,95244000,4319307],[95244970,95244970,4310439],[95250000,95250972,4300802],[95255000,95255973,4303673],[95260000,95260970,4313359],[95270000,95274970,4308201],[95275000,95275971,4313086],[95280000,95283000,4318622],[95285000,95285000,4320651],[95285970,95289000,4318622],[95290000,95298000,4302303],[95300000,95304971,4311304],[95305000,95306500,4309902],[95307000,95307000,4319505],[95307970,95307970,4309902],[95308000,95309970,4304622],[95310000,95312970,4300661],[95315000,95315970,4304952],[95320000,95322990,4313300],[95325000,95325970,4323606],[95330000,95330991,4322806],[95333000,95333970,4307864],[95334000,95334970,4323309],[95335000,95335970,4305959],[95338000,95338000,4311403],[95338970,95338970,4305959],[95340000,95340970,4312906],[95345000,95345970,4315172],[95350000,95350970,4312807],[95355000,95355970,4309258],[95360000,95360970,4314001],[95365000,95365970,4318440],[95370000,95375970,4301800],[95380000,95380970,4307401],[95385000,95385000,4319505],[95388000,95388970,4307401],[95390000,95390974,4314464],[95400000,95418970,4318200],[95420000,95420970,4311122],[95425000,95425000,4305306],[95425970,95435000,4311122],[95440000,95440000,4311403],[95450000,95450000,4311122],[95480000,95485970,4303608],[95495000,95495000,4302402],[95500000,95508000,4317608],[95510000,95510000,4312302],[95512000,95514000,4317608],[95515000,95515971,4304713],[95520000,95529990,4313508],[95530000,95534970,4311775],[95535000,95537970,4321436],[95538000,95538974,4310652],[95540000,95543000,4313656],[95544000,95544000,4317202],[95545000,95551970,4313656],[95552000,95554000,4304671],[95554970,95554970,4317202],[95555000,95556000,4304630],[95558000,95558000,4304671],[95559000,95559000,4304630],[95560000,95565970,4321501],[95568000,95571000,4306551],[95572000,95572974,4311734],[95575000,95575971,4321832],[95577000,95579000,4312443],[95580000,95584990,4321667],[95585000,95585970,4301057],[95588000,95589500,4323804],[95590000,95593000,4321600],[95595000,95595970,4305454],[95597000,95598000,4321600],[95599000,95599970,4301636],[95600000,95623970,4321204],[95625000,95625993,4310330],[95630000,95647970,4314050],[95650000,95650972,4310108],[95660000,95660970,4321709],[95670000,95679899,4309100],[95680000,95689899,4304408],[95690000,95693000,4316006],[95695000,95695970,4315750],[95700000,95714991,4302105],[95715000,95715975,4317251],[95717000,95717970,4314548],[95718000,95718971,4312385],[95720000,95725974,4308607],[95726000,95726971,4305934],[95727000,95727972,4302253],[95730000,95734000,4301651],[95735000,95737000,4315800],[95740000,95740970,4314753],[95745000,95745990,4304689],[95748000,95748990,4318614],[95750000,95754970,4316501],[95755000,95755970,4318481],[95758000,95758970,4319356],[95760000,95763000,4319505],[95765000,95765994,4302352],[95768000,95768971,4311643],[95770000,95770970,4308102],[95773000,95773970,4300570],[95775000,95775970,4322251],[95778000,95779970,4322541],[95780000,95780993,4312401],[95783000,95783995,4314035],[95785000,95785970,4309555],[95790000,95792000,4302659],[95793000,95793971,4311791],[95795000,95795970,4319752],[95800000,95819970,4322608],[95820000,95823974,4308805],[95828000,95828000,4312377],[95830000,95830000,4302451],[95830974,95830974,4308805],[95833000,95833975,4322525],[95835000,95839000,4312153],[95840000,95855000,4322004],[95860000,95862000,4321303],[95863000,95863971,4320859],[95865000,95869000,4314159],[95870000,95870990,4302402],[95873000,95873000,4314456],[95873970,95873970,4302402],[95875000,95875971,4308078],[95880000,95884971,4307807],[95885000,95888970,4310363],[95890000,95892000,4321451],[95893000,95893971,4323770],[95895000,95895971,4305587],[95900000,95914970,4311403],[95915000,95915971,4316758],[95918000,95918971,4320453],[95920000,95920970,4302451],[95923000,95924980,4312054],[95925000,95929970,4315156],[95930000,95930970,4306205],[95933000,95933971,4304614],[95935000,95935971,4304697],[95937000,95937971,4308433],[95940000,95944970,4301008],[95945000,95945970,4315131],[95948000,95948971,4321626],[95950000,95950970,4313003],[95955000,95955971,4305835],[95960000,95964000,4306809],[95965000,95965970,4315453],[95967000,95967971,4306759],[95970000,95970970,4312609],[95972000,95972971,4322855],[95975000,95977970,4315206],[95980000,95980970,4300703],[95983000,95983000,4310579],[95983970,95983970,4300703],[95985000,95987970,4312757],[95990000,95990970,4310306],[95995000,95996970,4301404],[95997000,95997971,4310579],[96010000,96099974,4314407],[96105000,96105000,4305124],[96105970,96127000,4314407],[96127970,96127970,4322004],[96130000,96130000,4318804],[96140000,96140000,4304903],[96140970,96145970,4314407],[96148000,96148971,4322327],[96150000,96150970,4312450],[96155000,96155971,4301073],[96160000,96168000,4304663],[96170000,96172000,4318804],[96172970,96172971,4309555],[96173000,96174970,4318804],[96175000,96175000,4302451],[96175970,96177971,4318804],[96178000,96179970,4300851],[96180000,96189000,4303509],[96190000,96190971,4306502],[96193000,96193975,4305447],[96195000,96199000,4306056],[96200003,96224970,4315602],[96225000,96225970,4318507],[96227000,96227000,4315602],[96227971,96228970,4318507],[96230000,96254000,4317301],[96255000,96255970,4305439],[96270000,96285000,4312500],[96290000,96290970,4321352],[96293000,96293000,4302709],[96295000,96295000,4321352],[96297000,96297000,4321006],[96300000,96300970,4311007],[96310000,96320970,4307104],[96330000,96335000,4301305],[96340000,96340000,4307104],[96340970,96350970,4301305],[96360000,96360970,4314209],[96370000,96370000,4312104],[96380000,96380000,4300554],[96390000,96399000,4305124],[96400003,96439000,4301602],[96441000,96444000,4300034],[96444971,96444971,4301602],[96445000,96448970,4300034],[96450000,96455970,4306601],[96460000,96465000,4309654],[96470000,96483000,4314506],[96485000,96487970,4314175],[96490000,96490990,4314605],[96495000,96499970,4304358],[96500000,96528970,4303004],[96530000,96530971,4314027],[96535000,96535970,4305132],[96540000,96540970,4300109],[96545000,96545975,4313391],[96550000,96550000,4303004],[96570000,96583970,4302808],[96585000,96585000,4316709],[96590000,96590970,4317004],[96600000,96600990,4304507],[96610000,96629000,4306908],[96635000,96635970,4300638],[96640000,96640970,4315701],[96655000,96655000,4306908],[96660000,96665970,4315701],[96670000,96670000,4306908],[96670970,96670970,4315701],[96675000,96675000,4306908],[96675970,96680970,4315701],[96685000,96685973,4314076],[96690000,96695970,4313953],[96700000,96717000,4318408],[96720000,96720000,4312443],[96720970,96730971,4318408],[96735000,96735971,4301750],[96740000,96740970,4301107],[96745000,96745971,4305355],[96750000,96750970,4302709],[96753000,96755970,4312252],[96760000,96760970,4321105],[96765000,96765971,4320354],[96770000,96770970,4305173],[96780010,96789850,4303509],[96790000,96790970,4301909],[96792899,96796970,4303509],[96797000,96797000,4301909],[96797500,96799970,4303509],[96810000,96855000,4316808],[96855970,96855970,4319109],[96856000,96871000,4316808],[96875000,96875975,4309159],[96878000,96878971,4322533],[96880000,96880970,4322707],[96888000,96888975,4309571],[96890000,96894000,4320677],[96898000,96898000,4314456],[96900000,96900970,4320701],[96908000,96909700,4314068],[96910000,96915970,4320263],[96920000,96920971,4311239],[96925000,96925970,4309753],[96930000,96935000,4304200],[96950000,96960000,4301206],[96970000,96970000,4315156],[96970970,96980970,4301206],[96990000,96999000,4307815],[97010000,97119002,4316907],[97120000,97120000,4301305],[97120970,97175000,4316907],[97180000,97180971,4306379],[97185000,97185991,4310538],[97190000,97190971,4319125],[97195000,97195970,4320651],[97200000,97200990,4315503],[97210000,97210990,4308409],[97220000,97220970,4308003],[97230000,97235970,4318432],[97250000,97270970,4313102],[97280000,97280970,4306700],[97300000,97308320,4318309],[97310000,97310000,4319604],[97310010,97317000,4318309],[97320000,97320000,4319604],[97323000,97327000,4318309],[97330000,97330000,4316972],[97333000,97333000,4318309],[97335000,97335975,4316972],[97340000,97355970,4319604],[97370000,97370000,4305124],[97380000,97385971,4323457],[97390000,97395970,4311502],[97400000,97408000,4319406],[97410000,97415970,4312104],[97418000,97419000,4321493],[97420000,97440970,4319802],[97450000,97460970,4302907],[97500002,97530970,4322400],[97535000,97535000,4319000],[97535970,97535971,4322400],[97538000,97538971,4301875],[97541000,97559000,4300406],[97560000,97560970,4315305],[97571000,97585000,4317103],[97590000,97598000,4316402],[97610000,97630970,4318101],[97640000,97644970,4311759],[97645000,97649970,4311718],[97650000,97653000,4310603],[97660000,97660000,4306908],[97660971,97663970,4310603],[97665000,97665000,4306908],[97665970,97667970,4310603],[97670000,97671959,4318002],[97680000,97680000,4310553],[97682000,97684500,4318002],[97685000,97685970,4310553],[97690000,97690975,4308656],[97700000,97719899,4317400],[97720000,97720000,4310553],[97723000,97723000,4317400],[97725000,97725000,4310553],[97727000,97727000,4317400],[97730000,97730000,4312377],[97733000,97745000,4317400],[97750000,97750000,4322376],[97753000,97753971,4304655],[97755000,97755971,4322376],[97760000,97763000,4311106],[97765000,97765000,4321303],[97770000,97770970,4313037],[97800000,97829000,4318903],[97840000,97840000,4306353],[97843000,97843970,4315958],[97845000,97845990,4306353],[97850000,97855000,4302501],[97860000,97865000,4318903],[97870000,97875000,4317707],[97880000,97880974,4319208],[97885000,97885970,4314555],[97900000,97900970,4305207],[97913000,97915000,4316303],[97920000,97920975,4319372],[97930000,97930970,4303301],[97935000,97935970,4312179],[97940000,97945970,4316477],[97950000,97957000,4309506],[97960000,97960990,4320578],[97970000,97975990,4316303],[97980000,97980970,4319307],[97990000,97990000,4314506],[98005000,98056000,4306106],[98118000,98118971,4302220],[98120000,98120971,4302238],[98122000,98127970,4308458],[98130000,98137970,4311205],[98140000,98140971,4315321],[98150000,98157000,4314472],[98160000,98160970,4310751],[98170000,98173970,4322202],[98175000,98175971,4311130],[98180000,98180970,4311155],[98200000,98220970,4310009],[98230000,98234970,4315354],[98240000,98247000,4316709],[98250000,98250970,4316436],[98255000,98255000,4303806],[98260000,98260000,4315354],[98270000,98270970,4314308],[98280000,98281959,4313904],[98290000,98290970,4305702],[98300000,98300978,4313706],[98313000,98313000,4305116],[98315000,98315000,4313706],[98315970,98315970,4317202],[98317000,98319970,4313706],[98320000,98320970,4311429],[98323000,98323971,4319364],[98325000,98325971,4318457],[98330000,98333971,4316428],[98335000,98337000,4302154],[98338000,98338970,4313490],[98340000,98340970,4305157],[98345000,98345970,4314456],[98350000,98355970,4310850],[98360000,98360970,4315909],[98365000,98368971,4306072],[98370000,98370970,4313441],[98380000,98384970,4320206],[98385000,98385971,4306429],[98390000,98399000,4307302],[98400000,98405974,4308508],[98410000,98410970,4321329],[98415000,98415970,4323507],[98430000,98430970,4313805],[98435000,98435970,4314498],[98440000,98445970,4303400],[98450000,98455970,4323101],[98460000,98460970,4310504],[98465000,98468970,4300646],[98470000,98470970,4314704],[98472000,98472000,4318903],[98472970,98474000,4314704],[98476000,98476000,4316808],[98476971,98477000,4314704],[98478000,98478000,4306205],[98480000,98480971,4300505],[98485000,98485000,4320503],[98485971,98495970,4300505],[98500000,98527970,4321402],[98528000,98528971,4306320],[98530000,98530970,4301859],[98535000,98538970,4323705],[98540000,98545970,4312302],[98550000,98557970,4315404],[98560000,98565000,4302600],[98570000,98570970,4304002],[98573000,98575990,4302378],[98580000,98588000,4305900],[98590000,98594000,4317806],[98595000,98595990,4319737],[98598000,98598000,4317806],[98600000,98620970,4321907],[98630000,98639970,4307450],[98640000,98640975,4306007],[98645000,98645000,4314704],[98645970,98665000,4306007],[98670000,98670970,4309704],[98675000,98678000,4320230],[98680000,98683000,4321477],[98685000,98685000,4311403],[98687000,98688000,4321477],[98690000,98690970,4319109],[98700000,98701959,4310207],[98710000,98718000,4305009],[98720000,98728000,4316451],[98730000,98730000,4305871],[98733000,98733972,4302584],[98735000,98738000,4305871],[98740000,98740970,4301503],[98745000,98745000,4316402],[98750000,98750970,4300208],[98753000,98758990,4313334],[98760000,98760970,4305405],[98765000,98765970,4310413],[98770000,98777000,4305009],[98778000,98778000,4317251],[98779000,98779000,4305009],[98780001,98798000,4317202],[98798970,98798970,4320578],[98799000,98799000,4305009],[98800000,98825970,4317509],[98829000,98829000,4315503],[98830000,98844970,4317509],[98845000,98845000,4311403],[98847000,98849000,4317509],[98850000,98853000,4323754],[98855000,98855970,4306932],[98857000,98857000,4323754],[98860000,98860970,4307831],[98865000,98869970,4319158],[98870000,98890970,4309001],[98895000,98897000,4320321],[98898000,98898990,4322343],[98900000,98900976,4317202],[98903000,98903000,4320578],[98905000,98907970,4300455],[98910000,98910972,4321808],[98911000,98911971,4315156],[98912000,98912970,4321808],[98913000,98913000,4315305],[98913500,98914970,4321808],[98915000,98915970,4310405],[98916000,98916000,4321808],[98917000,98917500,4319703],[98918000,98918970,4302204],[98919000,98919971,4313011],[98920000,98920970,4309605],[98922000,98922000,4304903],[98922970,98922970,4309605],[98925000,98928970,4306734],[98930000,98936000,4322103],[98940000,98946000,4322301],[98947000,98947971,4315057],[98950000,98950970,4300307],[98955000,98957970,4313425],[98958000,98958970,4318499],[98960000,98968000,4317905],[98970000,98970970,4304309],[98975000,98975970,4303707],[98980000,98980970,4315008],[98985000,98985970,4315073],[98995000,98998000,4315107],[99001959,99135970,4314100],[99140000,99140970,4307054],[99145000,99145971,4305975],[99150000,99154970,4311809],[99155000,99155970,4323408],[99160000,99163970,4308854],[99165000,99165970,4303558],[99170000,99173970,4320503],[99175000,99175970,4312674],[99180000,99185974,4312138],[99190000,99190971,4314779],[99200000,99213000,4309407],[99215000,99218970,4322350],[99220000,99220970,4306452],[99240000,99240971,4319711],[99245000,99245000,4316709],[99245970,99247000,4319711],[99250000,99253000,4320404],[99255000,99255970,4312351],[99260000,99262970,4304903],[99265000,99265971,4317558],[99270000,99274970,4318051],[99290000,99290970,4322558],[99300000,99300975,4320800],[99307000,99307000,4314456],[99307970,99314970,4320800],[99315000,99315971,4312427],[99320000,99320971,4309951],[99330000,99339000,4322152],[99340000,99340970,4311254],[99345000,99345971,4321469],[99350000,99357000,4323200],[99360000,99360970,4302006],[99370000,99370976,4308300],[99372000,99372000,4304002],[99372974,99372974,4308300],[99375000,99375000,4309100],[99375974,99379970,4308300],[99380000,99380971,4318465],[99400000,99425970,4307500],[99430000,99434000,4300554],[99435000,99439000,4304101],[99440000,99446000,4316451],[99447000,99447000,4304622],[99447971,99449000,4316451],[99450000,99453000,4320305],[99455000,99455000,4301305],[99457000,99457970,4310876],[99460000,99460970,4305603],[99465000,99465000,4323507],[99465970,99465970,4305603],[99470000,99475000,4312658],[99480000,99480000,4307500],[99490000,99494970,4321006],[99495000,99498000,4311270],[99500000,99513000,4304705],[99513970,99513970,4300471],[99515000,99515000,4310108],[99518000,99522000,4304705],[99522970,99522970,4305850],[99523000,99524500,4300471],[99525000,99526000,4317756],[99528000,99529700,4305850],[99529970,99529970,4310108],[99529980,99529980,4305850],[99530000,99535970,4305306],[99540000,99540000,4319158],[99540970,99540970,4305306],[99545000,99545000,4319158],[99550000,99555970,4305306],[99560000,99565000,4320107],[99575000,99575000,4304705],[99575971,99575971,4320107],[99580000,99580970,4312955],[99585000,99585970,4301958],[99590000,99590974,4316204],[99600000,99600970,4312708],[99605000,99605974,4309126],[99610000,99613000,4315552],[99615000,99615970,4321956],[99640000,99640970,4319703],[99645000,99645970,4306957],[99650000,99650971,4302055],[99655000,99657000,4308052],[99660000,99660970,4303806],[99665000,99665971,4306130],[99670000,99670970,4316105],[99673000,99675970,4321857],[99678000,99678000,4315156],[99678970,99678970,4321857],[99680000,99686970,4305801],[99687000,99687970,4313466],[99690000,99690970,4311601],[99695000,99695000,4314456],[99695970,99695970,4311601],[99698000,99698974,4306924],[99700000,99717974,4307005],[99718000,99718971,4314134],[99720000,99720971,4315313],[99725000,99728970,4321634],[99730000,99730970,4310900],[99735000,99738000,4314787],[99740000,99740970,4301701],[99750000,99752000,4307203],[99754000,99754000,4314456],[99756000,99756000,4307203],[99758000,99758000,4320578],[99760000,99768970,4310702],[99770000,99778970,4300901],[99785000,99785000,4307005],[99790000,99790970,4312005],[99795000,99795970,4301925],[99800000,99807000,4311908],[99810000,99815000,4320602],[99820000,99820970,4322905],[99825000,99825970,4304853],[99830000,99830970,4308706],[99833000,99833000,4305116],[99835000,99835970,4301552],[99838000,99838971,4305116],[99840000,99845000,4316600],[99850000,99850970,4313607],[99855000,99855970,4318424],[99860000,99865971,4303202],[99870000,99877000,4318606],[99878000,99878970,4322186],[99880000,99885000,4311700],[99890000,99890970,4312203],[99895000,99895971,4317954],[99900000,99908970,4308904],[99910000,99910975,4308250],[99920000,99920970,4306973],[99925000,99925970,4310462],[99930000,99930970,4307559],[99940000,99943000,4309803],[99945000,99945000,4323754],[99945970,99945970,4309803],[99950000,99951970,4320909],[99952000,99952974,4316733],[99955000,99955971,4323358],[99960000,99960975,4305371],[99965000,99969000,4300059],[99970000,99978000,4305504],[99980000,99980974,4306304],[99990000,99990971,4312625],[99999999,99999999,4126256]]};
@@ -0,0 +1,2 @@
+// Generated by scripts/build-population-data.js - do not edit by hand.
+window.POPULATION_DATA = {"year":2025,"source":"IBGE - Estimativas da População (SIDRA 6579)","generatedAt":"2026-10-19T19:38:01.469Z","values":{"1100015":22787,"1100023":109170,"1100031":5664,"1100049":98280,"1100056":16966,"1100064":16508,"1100072":7968,"1100080":13510,"1100098":32842,"1100106":43594,"1100114":55682,"1100122":140101,"1100130":34149,"1100148":16374,"1100155":38684,"1100189":39220,"1100205":517709,"1100254":20443,"1100262":3767,"1100288":62959,"1100296":7837,"1100304":109651,"1100320":22305,"1100338":28701,"1100346":13720,"1100379":12237,"1100403":17467,"1100452":30649,"1100502":7972,"1100601":4292,"1100700":9095,"1100809":24313,"1100908":3450,"1100924":10191,"1100940":15877,"1101005":8340,"1101104":9228,"1101203":6519,"1101302":9657,"1101401":12168,"1101435":6541,"1101450":4372,"1101468":2309,"1101476":3268,"1101484":5588,"1101492":17557,"1101500":12965,"1101559":4521,"1101609":8459,"1101708":11314,"1101757":8220,"1101807":6790,"1200013":14712,"1200054":8648,"1200104":28028,"1200138":13928,"1200179":10981,"1200203":98916,"1200252":19874,"1200302":37764,"1200328":9884,"1200336":20479,"1200344":12923,"1200351":18057,"1200385":17107,"1200393":11333,"1200401":389001,"1200427":15560,"1200435":7217,"1200450":22402,"1200500":44049,"1200609":46816,"1200708":19170,"1200807":17523,"1300029":16806,"1300060":11533,"1300086":9981,"1300102":18056,"1300144":21781,"1300201":15889,"1300300":45960,"1300409":18210,"1300508":33722,"1300607":40908,"1300631":22495,"1300680":26479,"1300706":38792,"1300805":34869,"1300839":14806,"1300904":18109,"1301001":31130,"1301100":32336,"1301159":20324,"1301209":73576,"1301308":24572,"1301407":35793,"1301506":17985,"1301605":28227,"1301654":14344,"1301704":63454,"1301803":25629,"1301852":68862,"1301902":113917,"1301951":11956,"1302009":10955,"1302108":9420,"1302207":11093,"1302306":28202,"1302405":49469,"1302504":111751,"1302553":16211,"1302603":2303732,"1302702":58018,"1302801":15815,"1302900":66336,"1303007":21251,"1303106":28123,"1303205":16562,"1303304":25325,"1303403":101855,"1303502":20229,"1303536":33291,"1303569":25364,"1303601":13947,"1303700":30679,"1303809":57396,"1303908":35442,"1303957":12338,"1304005":12619,"1304062":73348,"1304104":20728,"1304203":80137,"1304237":20257,"1304260":15640,"1304302":19617,"1304401":25965,"1400027":16112,"1400050":23589,"1400100":485477,"1400159":15570,"1400175":21102,"1400209":22750,"1400233":12004,"1400282":10937,"1400308":20006,"1400407":16323,"1400456":23112,"1400472":37787,"1400506":9969,"1400605":7848,"1400704":16186,"1500107":172344,"1500131":6275,"1500206":63110,"1500305":40473,"1500347":17596,"1500404":75882,"1500503":36442,"1500602":138749,"1500701":30247,"1500800":509227,"1500859":35638,"1500909":47912,"1500958":24193,"1501006":19380,"1501105":35147,"1501204":56850,"1501253":4290,"1501303":139076,"1501402":1397315,"1501451":19075,"1501501":68962,"1501576":19129,"1501600":12961,"1501709":132489,"1501725":27130,"1501758":6966,"1501782":47066,"1501808":116058,"1501907":25065,"1501956":19223,"1502004":25467,"1502103":144859,"1502152":89524,"1502202":75309,"1502301":60318,"1502400":209126,"1502509":21501,"1502608":13625,"1502707":47144,"1502756":28270,"1502764":15150,"1502772":20975,"1502806":36814,"1502855":14954,"1502905":44880,"1502939":62823,"1502954":29287,"1503002":9167,"1503044":18595,"1503077":25558,"1503093":26703,"1503101":34137,"1503200":37925,"1503309":69446,"1503408":10784,"1503457":29264,"1503507":32740,"1503606":135369,"1503705":52201,"1503754":26579,"1503804":37726,"1503903":54255,"1504000":32088,"1504059":37473,"1504109":8439,"1504208":290975,"1504307":27129,"1504406":28159,"1504422":119437,"1504455":28677,"1504505":30080,"1504604":28903,"1504703":91760,"1504752":25818,"1504802":64002,"1504901":49648,"1504950":21304,"1504976":14400,"1505007":13175,"1505031":37054,"1505064":63796,"1505106":55527,"1505205":36734,"1505304":72889,"1505403":18783,"1505437":35252,"1505486":43741,"1505494":7063,"1505502":113498,"1505536":305771,"1505551":7354,"1505601":8686,"1505635":13366,"1505650":18510,"1505700":25736,"1505809":67580,"1505908":44121,"1506005":38733,"1506104":11379,"1506112":11838,"1506138":92694,"1506161":19190,"1506187":57031,"1506195":37198,"1506203":48663,"1506302":25687,"1506351":22530,"1506401":7626,"1506500":79195,"1506559":21295,"1506583":17065,"1506609":25815,"1506708":30455,"1506807":360871,"1506906":6355,"1507003":29234,"1507102":17258,"1507151":21555,"1507201":32554,"1507300":64651,"1507409":15429,"1507458":24929,"1507466":4470,"1507474":21477,"1507508":14293,"1507607":55970,"1507706":27651,"1507755":6212,"1507805":24989,"1507904":25315,"1507953":75290,"1507961":10837,"1507979":19792,"1508001":73058,"1508035":30494,"1508050":15550,"1508084":42883,"1508100":96119,"1508126":39360,"1508159":45962,"1508209":54062,"1508308":62189,"1508357":16552,"1508407":57768,"1600055":5003,"1600105":8440,"1600154":13888,"1600204":11461,"1600212":4723,"1600238":7184,"1600253":6097,"1600279":37872,"1600303":489676,"1600402":23773,"1600501":30786,"1600535":19048,"1600550":4048,"1600600":118803,"1600709":13816,"1600808":11899,"1700251":2682,"1700301":4502,"1700350":5196,"1700400":6483,"1700707":9128,"1701002":10700,"1701051":2903,"1701101":5110,"1701309":5330,"1701903":6022,"1702000":8242,"1702109":183024,"1702158":4300,"1702208":33286,"1702307":5488,"1702406":10511,"1702554":18237,"1702703":3418,"1702901":10732,"1703008":7636,"1703057":3555,"1703073":4667,"1703107":4890,"1703206":4307,"1703305":4201,"1703602":2013,"1703701":4774,"1703800":10696,"1703826":1982,"1703842":8990,"1703867":4166,"1703883":2242,"1703891":3344,"1703909":5028,"1704105":2111,"1704600":1574,"1705102":3176,"1705508":36209,"1705557":4906,"1705607":3942,"1706001":5540,"1706100":6392,"1706258":1494,"1706506":6093,"1707009":17966,"1707108":7343,"1707207":6352,"1707306":4304,"1707405":7385,"1707553":3503,"1707652":5334,"1707702":7784,"1708205":19473,"1708254":3741,"1708304":4832,"1709005":12851,"1709302":25831,"1709500":90209,"1709807":1626,"1710508":6959,"1710706":5160,"1710904":3685,"1711100":2464,"1711506":3396,"1711803":2308,"1711902":16629,"1711951":3613,"1712009":3559,"1712157":1676,"1712405":2950,"1712454":2811,"1712504":4793,"1712702":2922,"1712801":3171,"1713205":18679,"1713304":13073,"1713601":5667,"1713700":2521,"1713809":4850,"1713957":3501,"1714203":8956,"1714302":4672,"1714880":10600,"1715002":3382,"1715101":4118,"1715150":1817,"1715259":2251,"1715507":1220,"1715705":4905,"1715754":7104,"1716109":55704,"1716208":10877,"1716307":4057,"1716505":14895,"1716604":9384,"1716653":5035,"1716703":9155,"1717008":4599,"1717206":2229,"1717503":7408,"1717800":4280,"1717909":7874,"1718006":2960,"1718204":69551,"1718303":9552,"1718402":3016,"1718451":2223,"1718501":3454,"1718550":4029,"1718659":1827,"1718709":2845,"1718758":4718,"1718808":4397,"1718840":3900,"1718865":7533,"1718881":2716,"1718899":2299,"1718907":4799,"1719004":2907,"1720002":2461,"1720101":6004,"1720150":1897,"1720200":14116,"1720259":2356,"1720309":4182,"1720499":4554,"1720655":5259,"1720804":11446,"1720853":1591,"1720903":14199,"1720937":2092,"1720978":2505,"1721000":328499,"1721109":7802,"1721208":23225,"1721257":2024,"1721307":1886,"1722081":10734,"1722107":10636,"2100055":110611,"2100105":6303,"2100154":12461,"2100204":18721,"2100303":23776,"2100402":6549,"2100436":24528,"2100477":26321,"2100501":11392,"2100550":7380,"2100600":38335,"2100709":26250,"2100808":14113,"2100832":18033,"2100873":11297,"2100907":40231,"2100956":26089,"2101004":30555,"2101103":12091,"2101202":107755,"2101251":17459,"2101301":16591,"2101350":5375,"2101400":105974,"2101509":19493,"2101608":87757,"2101707":68234,"2101731":8751,"2101772":12104,"2101806":5599,"2101905":19968,"2101939":5989,"2101970":7781,"2102002":33936,"2102036":29606,"2102077":12371,"2102101":35354,"2102150":9363,"2102200":30866,"2102309":22938,"2102325":56733,"2102358":13125,"2102374":10032,"2102408":10336,"2102507":16680,"2102556":12536,"2102606":20440,"2102705":25059,"2102754":11681,"2102804":24619,"2102903":24906,"2103000":163546,"2103109":10446,"2103125":7220,"2103158":12693,"2103174":16477,"2103208":84395,"2103257":13141,"2103307":118283,"2103406":42841,"2103505":41788,"2103554":15278,"2103604":61337,"2103703":32602,"2103752":14828,"2103802":23594,"2103901":10443,"2104008":18734,"2104057":34321,"2104073":8237,"2104081":11219,"2104099":18150,"2104107":12963,"2104206":17347,"2104305":10424,"2104404":17580,"2104503":10476,"2104552":18963,"2104602":14264,"2104628":7216,"2104651":10993,"2104677":23526,"2104701":6160,"2104800":76837,"2104909":10439,"2105005":26550,"2105104":25332,"2105153":14383,"2105203":10461,"2105302":285806,"2105351":14142,"2105401":62264,"2105427":22896,"2105450":7593,"2105476":17529,"2105500":25311,"2105609":15227,"2105658":5282,"2105708":45865,"2105807":9687,"2105906":15069,"2105922":10806,"2105948":8962,"2105963":11731,"2105989":7232,"2106003":11559,"2106102":11884,"2106201":7366,"2106300":13933,"2106326":21730,"2106359":7153,"2106375":14092,"2106409":17581,"2106508":22540,"2106607":33327,"2106631":18021,"2106672":9065,"2106706":21536,"2106755":24373,"2106805":14298,"2106904":28563,"2107001":9306,"2107100":19015,"2107209":14589,"2107258":5148,"2107308":4409,"2107357":14379,"2107407":18288,"2107456":13921,"2107506":153158,"2107605":21657,"2107704":18589,"2107803":32232,"2107902":17591,"2108009":19266,"2108058":17578,"2108108":20798,"2108207":38252,"2108256":24955,"2108306":33496,"2108405":11229,"2108454":20903,"2108504":32542,"2108603":88091,"2108702":22374,"2108801":18132,"2108900":17394,"2109007":24571,"2109056":6092,"2109106":46606,"2109205":11616,"2109239":4717,"2109270":17925,"2109304":10791,"2109403":13920,"2109452":32156,"2109502":22740,"2109551":7601,"2109601":39761,"2109700":6234,"2109759":6833,"2109809":43200,"2109908":88249,"2110005":58839,"2110039":24890,"2110104":24495,"2110203":38542,"2110237":10759,"2110278":14287,"2110302":14628,"2110401":18810,"2110500":48166,"2110609":27910,"2110658":8236,"2110708":35247,"2110807":4491,"2110856":9202,"2110906":12360,"2111003":18889,"2111029":12360,"2111052":10091,"2111078":17253,"2111102":25910,"2111201":259164,"2111250":7094,"2111300":1089215,"2111409":18123,"2111508":40177,"2111532":14786,"2111573":5993,"2111607":19158,"2111631":5761,"2111672":4577,"2111706":19865,"2111722":8821,"2111748":10447,"2111763":15044,"2111789":10475,"2111805":17464,"2111904":10471,"2111953":5081,"2112001":9130,"2112100":27328,"2112209":182711,"2112233":23097,"2112274":5633,"2112308":37364,"2112407":38993,"2112456":33219,"2112506":55076,"2112605":34143,"2112704":44444,"2112803":53176,"2112852":10561,"2112902":31859,"2113009":31920,"2114007":41815,"2200053":6323,"2200103":5016,"2200202":18095,"2200251":6876,"2200277":4707,"2200301":13729,"2200400":50094,"2200459":5474,"2200509":17594,"2200608":6991,"2200707":9649,"2200806":3234,"2200905":5413,"2200954":2777,"2201002":4517,"2201051":7596,"2201101":11118,"2201150":13983,"2201176":4099,"2201200":49703,"2201309":3336,"2201408":6731,"2201507":27129,"2201556":4225,"2201572":3515,"2201606":10093,"2201705":5715,"2201739":6596,"2201770":7140,"2201804":4118,"2201903":30658,"2201919":5805,"2201929":6117,"2201945":6751,"2201960":8684,"2201988":3964,"2202000":20130,"2202026":7517,"2202059":10466,"2202075":3135,"2202083":8246,"2202091":5602,"2202109":4964,"2202117":4698,"2202133":6211,"2202174":7669,"2202208":47119,"2202251":3404,"2202307":19639,"2202406":11362,"2202455":4071,"2202505":10546,"2202539":5581,"2202554":5176,"2202604":19669,"2202653":5682,"2202703":29302,"2202711":5046,"2202729":6596,"2202737":4249,"2202752":6294,"2202778":7067,"2202802":5078,"2202851":4291,"2202901":28381,"2203008":7431,"2203107":10801,"2203206":11581,"2203230":4977,"2203255":4555,"2203271":5191,"2203305":17139,"2203354":7259,"2203404":6410,"2203420":4129,"2203453":9332,"2203503":13743,"2203602":4421,"2203701":42710,"2203750":5426,"2203800":4512,"2203859":2354,"2203909":64393,"2204006":4481,"2204105":4548,"2204154":2985,"2204204":8349,"2204303":10344,"2204352":5604,"2204402":11193,"2204501":10480,"2204550":4344,"2204600":3550,"2204659":9522,"2204709":15268,"2204808":9627,"2204907":7867,"2205003":10969,"2205102":10477,"2205151":5711,"2205201":17789,"2205250":4235,"2205276":4560,"2205300":4606,"2205359":3033,"2205409":14265,"2205458":5552,"2205508":44689,"2205516":5308,"2205524":5501,"2205532":4501,"2205540":3044,"2205557":8464,"2205565":5171,"2205573":6446,"2205581":5017,"2205599":4559,"2205607":5309,"2205706":31901,"2205805":26143,"2205854":8231,"2205904":5315,"2205953":8822,"2206001":4863,"2206050":5165,"2206100":10886,"2206209":33074,"2206308":1355,"2206357":6681,"2206407":10513,"2206506":7762,"2206605":10928,"2206654":4456,"2206670":6548,"2206696":10210,"2206704":6697,"2206720":10821,"2206753":5442,"2206803":8751,"2206902":6158,"2206951":2888,"2207009":39687,"2207108":2730,"2207207":6468,"2207306":4176,"2207355":3032,"2207405":5047,"2207504":13458,"2207553":3873,"2207603":10282,"2207702":170491,"2207751":4222,"2207777":5427,"2207793":3979,"2207801":21633,"2207850":3697,"2207900":39072,"2207934":2517,"2207959":4142,"2208007":86701,"2208106":11487,"2208205":17948,"2208304":29721,"2208403":67887,"2208502":12323,"2208551":2382,"2208601":3096,"2208650":8948,"2208700":8565,"2208809":17400,"2208858":4238,"2208874":4105,"2208908":6182,"2209005":5845,"2209104":5872,"2209153":3448,"2209203":6210,"2209302":5418,"2209351":4159,"2209377":4666,"2209401":5930,"2209450":2169,"2209500":3682,"2209559":4454,"2209609":2879,"2209658":5713,"2209708":5358,"2209757":3026,"2209807":4985,"2209856":4359,"2209872":5608,"2209906":6232,"2209955":4430,"2209971":8494,"2210003":22137,"2210052":5317,"2210102":3300,"2210201":6733,"2210300":6131,"2210359":4497,"2210375":2277,"2210383":2299,"2210391":2864,"2210409":17911,"2210508":14055,"2210607":41139,"2210623":3210,"2210631":4590,"2210656":9623,"2210706":14664,"2210805":14437,"2210904":4165,"2210938":6346,"2210953":3040,"2210979":2319,"2211001":905692,"2211100":47896,"2211209":26779,"2211308":23025,"2211357":5181,"2211407":4520,"2211506":3282,"2211605":2972,"2211704":4195,"2300101":10269,"2300150":14340,"2300200":69317,"2300309":45937,"2300408":14115,"2300507":11795,"2300606":6974,"2300705":14372,"2300754":44584,"2300804":7507,"2300903":13193,"2301000":85316,"2301109":79205,"2301208":26752,"2301257":11532,"2301307":20194,"2301406":11427,"2301505":7615,"2301604":22195,"2301703":24244,"2301802":5821,"2301851":17667,"2301901":81441,"2301950":23474,"2302008":19569,"2302057":14998,"2302107":37147,"2302206":55977,"2302305":34613,"2302404":52133,"2302503":54192,"2302602":65251,"2302701":26049,"2302800":77376,"2302909":17795,"2303006":16234,"2303105":18074,"2303204":27532,"2303303":17277,"2303402":17815,"2303501":76866,"2303600":9110,"2303659":10864,"2303709":378406,"2303808":22564,"2303907":12811,"2303931":12352,"2303956":20808,"2304004":21417,"2304103":80130,"2304202":139027,"2304236":18050,"2304251":32288,"2304269":9173,"2304277":6381,"2304285":82016,"2304301":18498,"2304350":25298,"2304400":2578483,"2304459":18213,"2304509":16516,"2304608":6929,"2304657":14176,"2304707":55809,"2304806":4955,"2304905":11369,"2304954":25158,"2305001":44565,"2305100":5826,"2305209":18186,"2305233":81161,"2305266":12149,"2305308":24689,"2305332":12008,"2305357":22562,"2305407":64745,"2305506":102588,"2305605":24463,"2305654":11963,"2305704":12459,"2305803":43084,"2305902":38287,"2306009":14440,"2306108":24867,"2306207":7801,"2306256":72512,"2306306":49073,"2306405":138978,"2306504":18197,"2306553":45852,"2306603":21160,"2306702":17604,"2306801":10668,"2306900":35143,"2307007":33115,"2307106":28801,"2307205":8114,"2307254":28198,"2307304":305531,"2307403":24624,"2307502":32163,"2307601":62623,"2307635":17235,"2307650":251613,"2307700":108622,"2307809":27177,"2307908":11280,"2308005":39840,"2308104":47501,"2308203":15853,"2308302":26819,"2308351":14713,"2308377":14826,"2308401":38997,"2308500":38451,"2308609":17705,"2308708":65390,"2308807":8537,"2308906":23747,"2309003":13999,"2309102":11064,"2309201":16045,"2309300":32053,"2309409":29097,"2309458":25272,"2309508":19943,"2309607":75454,"2309706":86564,"2309805":11421,"2309904":6348,"2310001":9709,"2310100":10252,"2310209":41894,"2310258":34086,"2310308":32867,"2310407":10462,"2310506":42227,"2310605":9357,"2310704":39903,"2310803":15858,"2310852":24919,"2310902":17285,"2310951":10984,"2311009":12441,"2311108":17877,"2311207":8854,"2311231":6128,"2311264":20545,"2311306":88846,"2311355":16998,"2311405":86431,"2311504":21659,"2311603":28382,"2311702":19051,"2311801":74834,"2311900":13943,"2311959":17303,"2312007":32133,"2312106":17391,"2312205":41569,"2312304":50058,"2312403":58191,"2312502":5683,"2312601":10888,"2312700":25108,"2312809":7551,"2312908":216519,"2313005":18785,"2313104":32122,"2313203":25287,"2313252":7574,"2313302":64655,"2313351":17646,"2313401":86968,"2313500":62004,"2313559":15524,"2313609":34424,"2313708":6963,"2313757":17751,"2313807":21331,"2313906":14308,"2313955":18708,"2314003":40878,"2314102":62972,"2400109":10855,"2400208":59099,"2400307":11158,"2400406":3029,"2400505":14058,"2400604":4802,"2400703":12874,"2400802":11985,"2400901":6730,"2401008":37486,"2401107":24607,"2401206":13681,"2401305":10071,"2401404":9115,"2401453":28415,"2401503":4108,"2401602":4911,"2401651":2360,"2401701":10308,"2401800":12638,"2401859":6479,"2401909":3360,"2402006":63338,"2402105":10510,"2402204":30789,"2402303":20182,"2402402":8296,"2402501":10026,"2402600":83543,"2402709":11334,"2402808":5233,"2402907":4297,"2403004":8245,"2403103":42922,"2403202":7262,"2403251":271713,"2403301":6289,"2403400":5461,"2403509":10951,"2403608":68584,"2403707":6472,"2403756":3035,"2403806":10556,"2403905":2758,"2404002":4230,"2404101":2159,"2404200":28422,"2404309":12231,"2404408":10281,"2404507":16076,"2404606":11889,"2404705":14560,"2404804":2090,"2404853":7551,"2404903":5447,"2405009":8053,"2405108":6752,"2405207":4813,"2405306":8843,"2405405":5219,"2405504":2488,"2405603":14446,"2405702":11942,"2405801":34849,"2405900":2073,"2406007":5966,"2406106":18304,"2406155":3868,"2406205":6756,"2406304":7597,"2406403":2631,"2406502":16203,"2406601":8657,"2406700":10094,"2406809":4950,"2406908":3576,"2407005":9271,"2407104":87056,"2407203":28350,"2407252":4086,"2407302":8083,"2407401":8415,"2407500":10534,"2407609":4410,"2407708":11785,"2407807":23953,"2407906":2345,"2408003":278587,"2408102":784249,"2408201":34325,"2408300":35523,"2408409":3736,"2408508":5084,"2408607":4048,"2408706":3650,"2408805":4945,"2408904":22242,"2408953":10692,"2409100":11407,"2409209":3233,"2409308":11215,"2409332":5000,"2409407":32123,"2409506":3736,"2409605":2495,"2409704":6312,"2409803":14197,"2409902":12499,"2410009":2992,"2410108":12565,"2410207":7859,"2410256":5351,"2410306":11203,"2410405":9752,"2410504":5682,"2410603":3005,"2410702":2724,"2410801":4245,"2410900":7646,"2411007":4345,"2411056":5748,"2411106":3253,"2411205":39101,"2411403":12722,"2411429":2796,"2411502":22793,"2411601":3442,"2411700":3890,"2411809":3606,"2411908":4319,"2412005":124495,"2412104":6136,"2412203":50053,"2412302":11298,"2412401":4733,"2412500":24422,"2412559":10636,"2412609":17371,"2412708":5890,"2412807":7889,"2412906":10161,"2413003":6530,"2413102":6027,"2413201":4202,"2413300":5866,"2413359":13819,"2413409":7800,"2413508":6608,"2413557":4810,"2413607":5616,"2413706":4746,"2413805":2409,"2413904":11708,"2414001":13583,"2414100":10610,"2414159":6152,"2414209":18080,"2414308":2424,"2414407":34767,"2414456":3477,"2414506":10655,"2414605":14048,"2414704":5387,"2414753":3005,"2414803":11053,"2414902":1900,"2415008":3304,"2500106":9580,"2500205":5026,"2500304":26655,"2500403":21823,"2500502":14140,"2500536":5806,"2500577":3143,"2500601":23065,"2500700":18500,"2500734":2328,"2500775":8257,"2500809":16991,"2500908":12482,"2501005":17360,"2501104":23031,"2501153":2027,"2501203":7434,"2501302":19142,"2501351":4383,"2501401":9741,"2501500":24134,"2501534":5010,"2501575":8247,"2501609":13024,"2501708":6123,"2501807":83862,"2501906":16710,"2502003":6272,"2502052":3677,"2502102":5246,"2502151":6592,"2502201":2328,"2502300":4720,"2502409":10433,"2502508":18216,"2502607":5719,"2502706":4185,"2502805":14095,"2502904":5816,"2503001":21942,"2503100":5537,"2503209":70734,"2503308":9335,"2503407":3344,"2503506":16332,"2503555":7513,"2503605":6684,"2503704":66585,"2503753":2760,"2503803":5942,"2503902":6327,"2504009":443911,"2504033":7446,"2504074":4067,"2504108":2365,"2504157":7052,"2504207":4556,"2504306":32288,"2504355":5544,"2504405":18731,"2504504":6629,"2504603":30007,"2504702":5124,"2504801":14987,"2504850":1888,"2504900":17821,"2505006":7842,"2505105":20208,"2505204":6890,"2505238":6441,"2505279":5415,"2505303":2316,"2505352":5141,"2505402":8314,"2505501":3772,"2505600":6416,"2505709":10638,"2505808":3360,"2505907":3036,"2506004":32599,"2506103":11307,"2506202":2911,"2506251":8398,"2506301":60057,"2506400":14141,"2506509":3352,"2506608":5713,"2506707":10497,"2506806":18234,"2506905":23558,"2507002":24766,"2507101":19165,"2507200":10840,"2507309":14969,"2507408":7728,"2507507":897633,"2507606":8088,"2507705":17520,"2507804":7019,"2507903":10255,"2508000":9380,"2508109":4489,"2508208":8123,"2508307":29209,"2508406":3316,"2508505":7041,"2508554":5107,"2508604":13088,"2508703":3599,"2508802":6288,"2508901":46966,"2509008":10699,"2509057":9537,"2509107":22170,"2509156":7001,"2509206":14756,"2509305":8650,"2509339":4759,"2509370":2584,"2509396":6717,"2509404":14435,"2509503":6144,"2509602":4429,"2509701":33886,"2509800":8909,"2509909":8935,"2510006":7394,"2510105":9840,"2510204":5897,"2510303":4359,"2510402":6059,"2510501":3675,"2510600":3000,"2510659":1745,"2510709":2580,"2510808":108104,"2510907":12172,"2511004":3851,"2511103":6980,"2511202":31356,"2511301":17088,"2511400":18862,"2511509":12889,"2511608":6974,"2511707":5539,"2511806":9411,"2511905":17166,"2512002":18038,"2512036":3934,"2512077":4126,"2512101":33866,"2512200":4032,"2512309":21674,"2512408":14942,"2512507":50698,"2512606":1803,"2512705":18399,"2512721":5932,"2512747":2945,"2512754":4911,"2512762":4989,"2512788":2063,"2512804":8788,"2512903":25500,"2513000":3435,"2513109":11741,"2513158":8113,"2513208":6013,"2513307":6023,"2513356":3256,"2513406":15418,"2513505":5090,"2513604":6618,"2513653":2607,"2513703":160852,"2513802":4492,"2513851":2708,"2513901":33845,"2513927":4490,"2513943":2688,"2513968":2624,"2513984":3176,"2514008":4345,"2514107":4359,"2514206":7251,"2514305":4966,"2514404":4056,"2514453":6137,"2514503":19561,"2514552":3323,"2514602":3337,"2514651":1750,"2514701":4283,"2514800":3462,"2514909":7629,"2515005":7307,"2515104":11387,"2515203":3382,"2515302":53457,"2515401":10652,"2515500":14131,"2515609":3156,"2515708":3056,"2515807":6975,"2515906":4754,"2515930":5332,"2515971":8646,"2516003":27748,"2516102":14409,"2516151":3476,"2516201":70066,"2516300":17852,"2516409":7794,"2516508":14358,"2516607":14473,"2516706":15129,"2516755":3082,"2516805":10315,"2516904":15431,"2517001":9274,"2517100":2777,"2517209":4967,"2517407":2323,"2600054":104248,"2600104":42672,"2600203":19409,"2600302":24680,"2600401":26981,"2600500":43822,"2600609":14460,"2600708":37349,"2600807":21134,"2600906":18335,"2601003":10591,"2601052":19996,"2601102":90504,"2601201":82487,"2601300":12601,"2601409":42083,"2601508":10798,"2601607":18648,"2601706":84033,"2601805":11961,"2601904":65007,"2602001":36145,"2602100":46202,"2602209":39289,"2602308":39212,"2602407":9417,"2602506":8033,"2602605":51308,"2602704":13276,"2602803":53489,"2602902":218049,"2603009":31762,"2603108":20673,"2603207":30571,"2603306":11453,"2603405":5354,"2603454":156112,"2603504":18018,"2603603":7962,"2603702":25103,"2603801":18854,"2603900":19533,"2603926":12712,"2604007":83482,"2604106":405408,"2604155":13468,"2604205":33086,"2604304":10843,"2604403":13496,"2604502":21258,"2604601":25416,"2604700":17670,"2604809":10426,"2604908":16215,"2605004":24343,"2605103":39609,"2605152":17850,"2605202":62174,"2605301":33486,"2605400":22222,"2605459":3341,"2605509":15955,"2605608":20776,"2605707":31702,"2605806":14055,"2605905":17583,"2606002":151803,"2606101":30420,"2606200":85497,"2606309":7217,"2606408":92429,"2606507":17570,"2606606":28825,"2606705":7334,"2606804":123017,"2606903":11347,"2607000":27758,"2607109":4975,"2607208":106539,"2607307":30720,"2607406":4491,"2607505":33995,"2607604":25658,"2607653":36652,"2607703":14236,"2607752":29669,"2607802":17142,"2607901":684293,"2607950":10440,"2608008":16328,"2608057":14477,"2608107":28842,"2608206":13416,"2608255":12023,"2608305":16022,"2608404":14002,"2608453":18804,"2608503":19863,"2608602":12367,"2608701":14333,"2608750":24951,"2608800":41960,"2608909":59236,"2609006":24642,"2609105":11387,"2609154":27046,"2609204":9322,"2609303":14605,"2609402":57654,"2609501":32187,"2609600":364717,"2609709":22412,"2609808":14129,"2609907":68489,"2610004":56475,"2610103":7104,"2610202":23337,"2610301":12778,"2610400":18960,"2610509":29744,"2610608":59924,"2610707":365144,"2610806":23671,"2610905":65481,"2611002":36104,"2611101":418444,"2611200":10792,"2611309":26942,"2611408":14380,"2611507":17731,"2611533":6753,"2611606":1588376,"2611705":21490,"2611804":33843,"2611903":20388,"2612000":11213,"2612109":5478,"2612208":65946,"2612307":14125,"2612406":18812,"2612455":14342,"2612471":11934,"2612505":104854,"2612554":12360,"2612604":42782,"2612703":14586,"2612802":10487,"2612901":13456,"2613008":51165,"2613107":39243,"2613206":24895,"2613305":20438,"2613404":19511,"2613503":36890,"2613602":32508,"2613701":118258,"2613800":17177,"2613909":98816,"2614006":18764,"2614105":34271,"2614204":39171,"2614303":10839,"2614402":5386,"2614501":67821,"2614600":29180,"2614709":14330,"2614808":24898,"2614857":24670,"2615003":25511,"2615102":6853,"2615201":9231,"2615300":47312,"2615409":43921,"2615508":14439,"2615607":32257,"2615706":15141,"2615805":28141,"2615904":8261,"2616001":17563,"2616100":9483,"2616183":7776,"2616209":23127,"2616308":27151,"2616407":144243,"2616506":11699,"2700102":19550,"2700201":14167,"2700300":243906,"2700409":38480,"2700508":16756,"2700607":8123,"2700706":17103,"2700805":4819,"2700904":5895,"2701001":21479,"2701100":9779,"2701209":10705,"2701308":16572,"2701357":6808,"2701407":32558,"2701506":8285,"2701605":15730,"2701704":15051,"2701803":9206,"2701902":6000,"2702009":11036,"2702108":15915,"2702207":5701,"2702306":51784,"2702355":26144,"2702405":52845,"2702504":9898,"2702553":15688,"2702603":23204,"2702702":4035,"2702801":9745,"2702900":37337,"2703007":13982,"2703106":24445,"2703205":22113,"2703304":15396,"2703403":5180,"2703502":5419,"2703601":9457,"2703700":5069,"2703759":9607,"2703809":17342,"2703908":4175,"2704005":24382,"2704104":18836,"2704203":25184,"2704302":994952,"2704401":17828,"2704500":33269,"2704609":9709,"2704708":62477,"2704807":13970,"2704906":3208,"2705002":22126,"2705101":24331,"2705200":15706,"2705309":4935,"2705408":7344,"2705507":25926,"2705606":10285,"2705705":21135,"2705804":8522,"2705903":4381,"2706000":11047,"2706109":11706,"2706208":4408,"2706307":73621,"2706406":24291,"2706422":10807,"2706448":14199,"2706505":14070,"2706604":6691,"2706703":60185,"2706802":16192,"2706901":36525,"2707008":2786,"2707107":23053,"2707206":12965,"2707305":24509,"2707404":9517,"2707503":20273,"2707602":11303,"2707701":97658,"2707800":6606,"2707909":7066,"2708006":47418,"2708105":11572,"2708204":6557,"2708303":21180,"2708402":31569,"2708501":31785,"2708600":53380,"2708709":8700,"2708808":32707,"2708907":25105,"2708956":12545,"2709004":5906,"2709103":19428,"2709152":39143,"2709202":24106,"2709301":60860,"2709400":24414,"2800100":2202,"2800209":20556,"2800308":630932,"2800407":10464,"2800506":18626,"2800605":45175,"2800670":25007,"2800704":8025,"2801009":18719,"2801108":3850,"2801207":33641,"2801306":32783,"2801405":20314,"2801504":14203,"2801603":5474,"2801702":17594,"2801900":3872,"2802007":4436,"2802106":67060,"2802205":6358,"2802304":14921,"2802403":11294,"2802502":3118,"2802601":5910,"2802700":8499,"2802809":16991,"2802908":109250,"2803005":42230,"2803104":4816,"2803203":36074,"2803302":16451,"2803401":13723,"2803500":105957,"2803609":24047,"2803708":7048,"2803807":3674,"2803906":11712,"2804003":15956,"2804102":11297,"2804201":14781,"2804300":8059,"2804409":16473,"2804458":9534,"2804508":43686,"2804607":25569,"2804706":6409,"2804805":204081,"2804904":12690,"2805000":2811,"2805109":7355,"2805208":5759,"2805307":8021,"2805406":29238,"2805505":22217,"2805604":27348,"2805703":27213,"2805802":18541,"2805901":8853,"2806008":17365,"2806107":9507,"2806206":20825,"2806305":14003,"2806404":7549,"2806503":4049,"2806602":11289,"2806701":101213,"2806800":10559,"2806909":3330,"2807006":3471,"2807105":44503,"2807204":7981,"2807303":3389,"2807402":52783,"2807501":12094,"2807600":24618,"2900108":7407,"2900207":18269,"2900306":14200,"2900355":14510,"2900405":14833,"2900504":10947,"2900603":4583,"2900702":161196,"2900801":25601,"2900900":5296,"2901007":38585,"2901106":24830,"2901155":15572,"2901205":26745,"2901304":13545,"2901353":15491,"2901403":14178,"2901502":11490,"2901601":14984,"2901700":11498,"2901809":11248,"2901908":16361,"2901957":7101,"2902005":14440,"2902054":11953,"2902104":50308,"2902203":10106,"2902252":10433,"2902302":8993,"2902401":11339,"2902500":14138,"2902609":18628,"2902658":12288,"2902708":53642,"2902807":27743,"2902906":38581,"2903003":14376,"2903102":5898,"2903201":171634,"2903235":13922,"2903276":15780,"2903300":5936,"2903409":20527,"2903508":19074,"2903607":15603,"2903706":14008,"2903805":17262,"2903904":68866,"2903953":10018,"2904001":14125,"2904050":16425,"2904100":19782,"2904209":11427,"2904308":13224,"2904407":9363,"2904506":12180,"2904605":74368,"2904704":14950,"2904753":20221,"2904803":6128,"2904852":17024,"2904902":30498,"2905008":23293,"2905107":10733,"2905156":11432,"2905206":54730,"2905305":18057,"2905404":18578,"2905503":13597,"2905602":22485,"2905701":321636,"2905800":31694,"2905909":32500,"2906006":75112,"2906105":10641,"2906204":25007,"2906303":34392,"2906402":7940,"2906501":74854,"2906600":13417,"2906709":26469,"2906808":39725,"2906824":16693,"2906857":11035,"2906873":35437,"2906899":10259,"2906907":21384,"2907004":8633,"2907103":30439,"2907202":76131,"2907301":25470,"2907400":3567,"2907509":50109,"2907558":9108,"2907608":16847,"2907707":10933,"2907806":32292,"2907905":17875,"2908002":17557,"2908101":19865,"2908200":21529,"2908309":16134,"2908408":71601,"2908507":37622,"2908606":24460,"2908705":17567,"2908804":4499,"2908903":28408,"2909000":7748,"2909109":14463,"2909208":17598,"2909307":34266,"2909406":13463,"2909505":4491,"2909604":20346,"2909703":14549,"2909802":63326,"2909901":36127,"2910008":11054,"2910057":75296,"2910107":12329,"2910206":4608,"2910305":8069,"2910404":19450,"2910503":39890,"2910602":34163,"2910701":64768,"2910727":121067,"2910750":18480,"2910776":5831,"2910800":660806,"2910859":18637,"2910909":4993,"2911006":11455,"2911105":27567,"2911204":34051,"2911253":4489,"2911303":11276,"2911402":16107,"2911501":5479,"2911600":21353,"2911659":8177,"2911709":93488,"2911808":19413,"2911857":13055,"2911907":25315,"2912004":10746,"2912103":22131,"2912202":21827,"2912301":14264,"2912400":17134,"2912509":14317,"2912608":3833,"2912707":26917,"2912806":9297,"2912905":19377,"2913002":15049,"2913101":17517,"2913200":27723,"2913309":6428,"2913408":16069,"2913457":13501,"2913507":21763,"2913606":189149,"2913705":35390,"2913804":14016,"2913903":42429,"2914000":59222,"2914109":10349,"2914208":6232,"2914307":11038,"2914406":24833,"2914505":29572,"2914604":78781,"2914653":29588,"2914703":68425,"2914802":196344,"2914901":29496,"2915007":13775,"2915106":14347,"2915205":15796,"2915304":6490,"2915353":12669,"2915403":6118,"2915502":19191,"2915601":61999,"2915700":7187,"2915809":25088,"2915908":6078,"2916005":18203,"2916104":20353,"2916203":10649,"2916302":9464,"2916401":68724,"2916500":33284,"2916609":10640,"2916708":8464,"2916807":17485,"2916856":16454,"2916906":11211,"2917003":35490,"2917102":16849,"2917201":18506,"2917300":22154,"2917334":11559,"2917359":9600,"2917409":14910,"2917508":86896,"2917607":47624,"2917706":34528,"2917805":18349,"2917904":9508,"2918001":169201,"2918100":39539,"2918209":14063,"2918308":14824,"2918357":25892,"2918407":256122,"2918456":9930,"2918506":17007,"2918555":6048,"2918605":7567,"2918704":4228,"2918753":14550,"2918803":21705,"2918902":3994,"2919009":3610,"2919058":7683,"2919108":9303,"2919157":27014,"2919207":219564,"2919306":11194,"2919405":12202,"2919504":46376,"2919553":118382,"2919603":10740,"2919702":22768,"2919801":43653,"2919900":7435,"2919926":19224,"2919959":7218,"2920007":9009,"2920106":18130,"2920205":15814,"2920304":8982,"2920403":14287,"2920452":14542,"2920502":29330,"2920601":37041,"2920700":25804,"2920809":9475,"2920908":13918,"2921005":44962,"2921054":10611,"2921104":22801,"2921203":25263,"2921302":11436,"2921401":16167,"2921450":10526,"2921500":49807,"2921609":8220,"2921708":35235,"2921807":11477,"2921906":12712,"2922003":40114,"2922052":13648,"2922102":17197,"2922201":7453,"2922250":10803,"2922300":30180,"2922409":20590,"2922508":28427,"2922607":12399,"2922656":19711,"2922706":13970,"2922730":8283,"2922755":6696,"2922805":8073,"2922854":7670,"2922904":24865,"2923001":41629,"2923035":11586,"2923050":11060,"2923100":22956,"2923209":21323,"2923308":7925,"2923357":20141,"2923407":20666,"2923506":10894,"2923605":21025,"2923704":30680,"2923803":27860,"2923902":9537,"2924009":119418,"2924058":13677,"2924108":6403,"2924207":14226,"2924306":20938,"2924405":37388,"2924504":15125,"2924603":19601,"2924652":10654,"2924678":11481,"2924702":9143,"2924801":17697,"2924900":8239,"2925006":24026,"2925105":50773,"2925204":33573,"2925253":18763,"2925303":182630,"2925402":10651,"2925501":37533,"2925600":15677,"2925709":12963,"2925758":29489,"2925808":27429,"2925907":26443,"2925931":9839,"2925956":20081,"2926004":42855,"2926103":14174,"2926202":22329,"2926301":35188,"2926400":32060,"2926509":14528,"2926608":56316,"2926657":10029,"2926707":13634,"2926806":13495,"2926905":10781,"2927002":36966,"2927101":10884,"2927200":29590,"2927309":15629,"2927408":2564204,"2927507":21787,"2927606":15417,"2927705":31007,"2927804":4663,"2927903":10625,"2928000":40066,"2928059":14392,"2928109":40474,"2928208":25521,"2928307":9035,"2928406":28890,"2928505":10882,"2928604":58398,"2928703":109791,"2928802":55146,"2928901":34982,"2928950":8690,"2929008":11102,"2929057":15780,"2929107":20923,"2929206":41110,"2929255":19229,"2929305":42171,"2929354":5432,"2929370":10576,"2929404":10615,"2929503":42944,"2929602":18656,"2929701":16476,"2929750":11859,"2929800":10661,"2929909":48721,"2930006":9581,"2930105":78090,"2930154":36252,"2930204":40232,"2930303":17574,"2930402":18754,"2930501":84690,"2930600":13863,"2930709":120419,"2930758":13982,"2930766":14435,"2930774":27097,"2930808":17724,"2930907":12368,"2931004":21787,"2931053":17812,"2931103":7991,"2931202":18556,"2931301":16226,"2931350":153738,"2931400":7280,"2931509":21825,"2931608":15978,"2931707":10976,"2931806":16646,"2931905":51016,"2932002":25449,"2932101":19142,"2932200":17878,"2932309":15839,"2932408":13886,"2932457":13785,"2932507":18254,"2932606":15776,"2932705":22155,"2932804":16645,"2932903":90053,"2933000":25132,"2933059":14294,"2933109":8334,"2933158":13866,"2933174":10328,"2933208":45191,"2933257":6157,"2933307":396613,"2933406":9866,"2933455":13460,"2933505":25535,"2933604":47019,"3100104":6345,"3100203":23173,"3100302":14354,"3100401":3998,"3100500":8926,"3100609":12391,"3100708":2171,"3100807":4509,"3100906":18850,"3101003":14567,"3101102":26212,"3101201":6389,"3101300":2820,"3101409":3027,"3101508":31159,"3101607":82303,"3101631":7236,"3101706":42019,"3101805":7019,"3101904":18673,"3102001":14272,"3102050":6014,"3102100":10931,"3102209":3983,"3102308":15358,"3102407":4359,"3102506":4574,"3102605":42501,"3102704":9347,"3102803":12163,"3102852":7849,"3102902":11350,"3103009":9375,"3103108":1552,"3103207":2222,"3103306":2095,"3103405":35185,"3103504":123432,"3103603":2998,"3103702":8218,"3103751":9069,"3103801":2668,"3103900":9634,"3104007":118786,"3104106":9335,"3104205":43653,"3104304":14229,"3104403":2715,"3104452":4820,"3104502":17586,"3104601":14633,"3104700":13936,"3104809":4572,"3104908":18782,"3105004":7595,"3105103":24203,"3105202":4811,"3105301":6183,"3105400":32264,"3105509":4952,"3105608":129695,"3105707":5717,"3105905":20604,"3106002":10427,"3106101":3292,"3106200":2415872,"3106309":24546,"3106408":9012,"3106507":9638,"3106606":4546,"3106655":4270,"3106705":431433,"3106804":3367,"3106903":14358,"3107000":2397,"3107109":41443,"3107208":5530,"3107307":49797,"3107406":54377,"3107505":6988,"3107604":4677,"3107703":5786,"3107802":14719,"3107901":13312,"3108008":17515,"3108107":7710,"3108206":5600,"3108255":10525,"3108305":17837,"3108404":15141,"3108503":5806,"3108552":15485,"3108602":33262,"3108701":4296,"3108800":4445,"3108909":14491,"3109006":41090,"3109105":11168,"3109204":9171,"3109253":4159,"3109303":24779,"3109402":23908,"3109451":6811,"3109501":11269,"3109600":3785,"3109709":12302,"3109808":2337,"3109907":11906,"3110004":39775,"3110103":5484,"3110202":4191,"3110301":14628,"3110400":2851,"3110509":27860,"3110608":31066,"3110707":12551,"3110806":2884,"3110905":16372,"3111002":21155,"3111101":18188,"3111150":3806,"3111200":54027,"3111309":11625,"3111408":8931,"3111507":13076,"3111606":26749,"3111705":4839,"3111804":10716,"3111903":5342,"3112000":14211,"3112059":4029,"3112109":5138,"3112208":4397,"3112307":41858,"3112406":6627,"3112505":11210,"3112604":14872,"3112653":4634,"3112703":14403,"3112802":10991,"3112901":9128,"3113008":19511,"3113107":2942,"3113206":24403,"3113305":32134,"3113404":90890,"3113503":8603,"3113602":7062,"3113701":18783,"3113800":2693,"3113909":11767,"3114006":11291,"3114105":14125,"3114204":24581,"3114303":29885,"3114402":21506,"3114501":18561,"3114550":9633,"3114600":4161,"3114709":3419,"3114808":4503,"3114907":2260,"3115003":2751,"3115102":17491,"3115201":3576,"3115300":67732,"3115359":5706,"3115409":3124,"3115458":7248,"3115474":4788,"3115508":21412,"3115607":1084,"3115706":6213,"3115805":10447,"3115904":3194,"3116001":6289,"3116100":9763,"3116159":12904,"3116209":2868,"3116308":5549,"3116407":4786,"3116506":7230,"3116605":31936,"3116704":7293,"3116803":8206,"3116902":2804,"3117009":6540,"3117108":10705,"3117207":2840,"3117306":30278,"3117405":4503,"3117504":24559,"3117603":5584,"3117702":12765,"3117801":11218,"3117836":7433,"3117876":7758,"3117900":11444,"3118007":55272,"3118106":4924,"3118205":6878,"3118304":138946,"3118403":21052,"3118502":1569,"3118601":651718,"3118700":9188,"3118809":26138,"3118908":7535,"3119005":3236,"3119104":23988,"3119203":11240,"3119302":30114,"3119401":108708,"3119500":8237,"3119609":2789,"3119708":3599,"3119807":2956,"3119906":4462,"3119955":6333,"3120003":2900,"3120102":4351,"3120151":5256,"3120201":12634,"3120300":5133,"3120409":4719,"3120508":10643,"3120607":5674,"3120706":3616,"3120805":15831,"3120839":3958,"3120870":7662,"3120904":84297,"3121001":5635,"3121100":8133,"3121209":8851,"3121258":11143,"3121308":5070,"3121407":7941,"3121506":3060,"3121605":49493,"3121704":3581,"3121803":6689,"3121902":4481,"3122009":21428,"3122108":4147,"3122207":6583,"3122306":243583,"3122355":6541,"3122405":6002,"3122454":10659,"3122470":3763,"3122504":4967,"3122603":5074,"3122702":5355,"3122801":3184,"3122900":6250,"3123007":10359,"3123106":5114,"3123205":12730,"3123304":5192,"3123403":1498,"3123502":1869,"3123528":8065,"3123601":27429,"3123700":14501,"3123809":6373,"3123858":5295,"3123908":15157,"3124005":21091,"3124104":93103,"3124203":24844,"3124302":31375,"3124401":7132,"3124500":11880,"3124609":2189,"3124708":2711,"3124807":6897,"3124906":11096,"3125002":3986,"3125101":59336,"3125200":2676,"3125309":3230,"3125408":5251,"3125507":3099,"3125606":6575,"3125705":14280,"3125804":2814,"3125903":9603,"3125952":10705,"3126000":8469,"3126109":70897,"3126208":8095,"3126307":3453,"3126406":3230,"3126505":7053,"3126604":4547,"3126703":23753,"3126752":5023,"3126802":5731,"3126901":8301,"3126950":3481,"3127008":14946,"3127057":4389,"3127073":4538,"3127107":61275,"3127206":4934,"3127305":6244,"3127339":4847,"3127354":2991,"3127370":2859,"3127388":4214,"3127404":4922,"3127503":5235,"3127602":11536,"3127701":266561,"3127800":14037,"3127909":1428,"3128006":33517,"3128105":14076,"3128204":9901,"3128253":5224,"3128303":19646,"3128402":7731,"3128501":3091,"3128600":6687,"3128709":52744,"3128808":7285,"3128907":8880,"3129004":7803,"3129103":5154,"3129202":6278,"3129301":12583,"3129400":5346,"3129509":22554,"3129608":6172,"3129657":5113,"3129707":10996,"3129806":179582,"3129905":3440,"3130002":2733,"3130051":10914,"3130101":49120,"3130200":11345,"3130309":6782,"3130408":7358,"3130507":13248,"3130556":7244,"3130606":7537,"3130655":6328,"3130705":6311,"3130804":2632,"3130903":22925,"3131000":6465,"3131109":7615,"3131158":17587,"3131208":20181,"3131307":235311,"3131406":3807,"3131505":9283,"3131604":7467,"3131703":118053,"3131802":10548,"3131901":56369,"3132008":4227,"3132107":17502,"3132206":14415,"3132305":10482,"3132404":96855,"3132503":34210,"3132602":3710,"3132701":21210,"3132800":2168,"3132909":11092,"3133006":15245,"3133105":15751,"3133204":11264,"3133303":19263,"3133402":14014,"3133501":21456,"3133600":13561,"3133709":13779,"3133758":14634,"3133808":103272,"3133907":5747,"3134004":13954,"3134103":6234,"3134202":106775,"3134301":6876,"3134400":40259,"3134509":4366,"3134608":21407,"3134707":11115,"3134806":7668,"3134905":26888,"3135001":3181,"3135050":39639,"3135076":4266,"3135100":73555,"3135209":67123,"3135308":4706,"3135357":8385,"3135407":6476,"3135456":6072,"3135506":12636,"3135605":6379,"3135704":6142,"3135803":24516,"3135902":5320,"3136009":14035,"3136108":4246,"3136207":83791,"3136306":48725,"3136405":3868,"3136504":10541,"3136520":3963,"3136553":4349,"3136579":3557,"3136603":6107,"3136652":33249,"3136702":567730,"3136801":3798,"3136900":11652,"3136959":5937,"3137007":14263,"3137106":6622,"3137205":53927,"3137304":3237,"3137403":13152,"3137502":19614,"3137536":9235,"3137601":81299,"3137700":21502,"3137809":21010,"3137908":3213,"3138005":6018,"3138104":7398,"3138203":110682,"3138302":3272,"3138351":4364,"3138401":52739,"3138500":4744,"3138609":17782,"3138625":9191,"3138658":8963,"3138674":7239,"3138682":6323,"3138708":5744,"3138807":18336,"3138906":6556,"3139003":38809,"3139102":5360,"3139201":17691,"3139250":6082,"3139300":19148,"3139409":97328,"3139508":20939,"3139607":27350,"3139706":7532,"3139805":13180,"3139904":14567,"3140001":64506,"3140100":4323,"3140159":16705,"3140209":3567,"3140308":4796,"3140407":3314,"3140506":14546,"3140530":8797,"3140555":9532,"3140605":3949,"3140704":40814,"3140803":14547,"3140852":8922,"3140902":19115,"3141009":12210,"3141108":39529,"3141207":3912,"3141306":4068,"3141405":20455,"3141504":5614,"3141603":10615,"3141702":4984,"3141801":23843,"3141900":3811,"3142007":14071,"3142106":8961,"3142205":13921,"3142254":3982,"3142304":5314,"3142403":7812,"3142502":2187,"3142601":8565,"3142700":14068,"3142809":20708,"3142908":20497,"3143005":13347,"3143104":49500,"3143153":4437,"3143203":21294,"3143302":437601,"3143401":25107,"3143450":6951,"3143500":9414,"3143609":2426,"3143708":3161,"3143807":7930,"3143906":108447,"3144003":28749,"3144102":22620,"3144201":2400,"3144300":35263,"3144359":6443,"3144375":3642,"3144409":4805,"3144508":8407,"3144607":25757,"3144656":10965,"3144672":3126,"3144706":17813,"3144805":120959,"3144904":3726,"3145000":15220,"3145059":6746,"3145109":16919,"3145208":114791,"3145307":27268,"3145356":10503,"3145372":4612,"3145406":1986,"3145455":5530,"3145505":2618,"3145604":40576,"3145703":2058,"3145802":3024,"3145851":5102,"3145877":8828,"3145901":40638,"3146008":33285,"3146107":77914,"3146206":5847,"3146255":5045,"3146305":17463,"3146404":4253,"3146503":8353,"3146552":5616,"3146602":1495,"3146701":5699,"3146750":6342,"3146909":14202,"3147006":99005,"3147105":102844,"3147204":22452,"3147303":21076,"3147402":24899,"3147501":1609,"3147600":15847,"3147709":8716,"3147808":2311,"3147907":116951,"3147956":4825,"3148004":169173,"3148103":94357,"3148202":5754,"3148301":8757,"3148400":4402,"3148509":8143,"3148608":17863,"3148707":25045,"3148756":7599,"3148806":3366,"3148905":4247,"3149002":2916,"3149101":10891,"3149150":10601,"3149200":3398,"3149309":65174,"3149408":1857,"3149507":3461,"3149606":4265,"3149705":13118,"3149804":17992,"3149903":22075,"3149952":6624,"3150000":3559,"3150109":2854,"3150158":8966,"3150208":4054,"3150307":4694,"3150406":5199,"3150505":8817,"3150539":4864,"3150570":7228,"3150604":6905,"3150703":5814,"3150802":17358,"3150901":6320,"3151008":9518,"3151107":11454,"3151206":57713,"3151305":12006,"3151404":27834,"3151503":38007,"3151602":11533,"3151701":16824,"3151800":172339,"3151909":8438,"3152006":32441,"3152105":59638,"3152131":3797,"3152170":11059,"3152204":38692,"3152303":10840,"3152402":13649,"3152501":162133,"3152600":6779,"3152709":9369,"3152808":29745,"3152907":8534,"3153004":3691,"3153103":4847,"3153202":3471,"3153301":3162,"3153400":19192,"3153509":8606,"3153608":12052,"3153707":3232,"3153806":1796,"3153905":16796,"3154002":23874,"3154101":11383,"3154150":8246,"3154200":11544,"3154309":17629,"3154408":4640,"3154457":6830,"3154507":8858,"3154606":346971,"3154705":4217,"3154804":10698,"3154903":12851,"3155009":2545,"3155108":4649,"3155207":5447,"3155306":5746,"3155405":8683,"3155504":15297,"3155603":29103,"3155702":15036,"3155801":17885,"3155900":5235,"3156007":12770,"3156106":5122,"3156205":2374,"3156304":9168,"3156403":3430,"3156452":4926,"3156502":5460,"3156601":10602,"3156700":134576,"3156809":14309,"3156908":28076,"3157005":41736,"3157104":6126,"3157203":31916,"3157252":8785,"3157278":3218,"3157302":4245,"3157336":8339,"3157377":3919,"3157401":4728,"3157500":4038,"3157609":3528,"3157658":6056,"3157708":16820,"3157807":230382,"3157906":16989,"3158003":10718,"3158102":4777,"3158201":12817,"3158300":6756,"3158409":3548,"3158508":7030,"3158607":3815,"3158706":2171,"3158805":4246,"3158904":9264,"3158953":49025,"3159001":5654,"3159100":3490,"3159209":8561,"3159308":4826,"3159357":6969,"3159407":3331,"3159506":5984,"3159605":42517,"3159704":3487,"3159803":21914,"3159902":17657,"3160009":3896,"3160108":4352,"3160207":3969,"3160306":10324,"3160405":28456,"3160454":6729,"3160504":1856,"3160603":2692,"3160702":43218,"3160801":4846,"3160900":4161,"3160959":5793,"3161007":17783,"3161056":3244,"3161106":54223,"3161205":6281,"3161304":5858,"3161403":4848,"3161502":10524,"3161601":3200,"3161650":3158,"3161700":7515,"3161809":12275,"3161908":12475,"3162005":24497,"3162104":43851,"3162203":7959,"3162252":4962,"3162302":3012,"3162401":24197,"3162450":13547,"3162500":94468,"3162559":11676,"3162575":5479,"3162609":7099,"3162658":4050,"3162708":24706,"3162807":15613,"3162906":26529,"3162922":37017,"3162948":8145,"3162955":28087,"3163003":3849,"3163102":4698,"3163201":4252,"3163300":3482,"3163409":5482,"3163508":6282,"3163607":2844,"3163706":46868,"3163805":6410,"3163904":4973,"3164001":7132,"3164100":5143,"3164209":10562,"3164308":7370,"3164407":6778,"3164431":3239,"3164472":6415,"3164506":10218,"3164605":9527,"3164704":75179,"3164803":1229,"3164902":2385,"3165008":11559,"3165107":6837,"3165206":7107,"3165305":6928,"3165404":6469,"3165503":5140,"3165537":39974,"3165552":9985,"3165560":2420,"3165578":6517,"3165602":2335,"3165701":7977,"3165800":2149,"3165909":4006,"3166006":5577,"3166105":3066,"3166204":10657,"3166303":7552,"3166402":1866,"3166501":3808,"3166600":856,"3166709":6859,"3166808":12286,"3166907":7811,"3166956":4497,"3167004":2036,"3167103":22624,"3167202":238909,"3167301":2399,"3167400":6348,"3167509":3084,"3167608":20431,"3167707":5140,"3167806":5733,"3167905":4097,"3168002":34537,"3168051":3508,"3168101":4215,"3168200":1698,"3168309":4394,"3168408":15104,"3168507":12691,"3168606":142851,"3168705":84172,"3168804":8056,"3168903":8231,"3169000":16603,"3169059":3894,"3169109":7625,"3169208":8653,"3169307":78291,"3169356":29985,"3169406":57209,"3169505":5955,"3169604":26583,"3169703":20769,"3169802":5097,"3169901":107423,"3170008":11985,"3170057":13485,"3170107":356781,"3170206":761835,"3170305":2742,"3170404":91320,"3170438":3818,"3170479":3365,"3170503":10899,"3170529":18515,"3170578":5800,"3170602":2207,"3170651":4724,"3170701":143676,"3170750":7305,"3170800":34555,"3170909":19210,"3171006":20459,"3171030":7737,"3171071":5240,"3171105":3478,"3171154":5048,"3171204":138583,"3171303":79517,"3171402":3781,"3171501":3053,"3171600":11774,"3171709":9164,"3171808":10511,"3171907":4471,"3172004":40711,"3172103":4441,"3172202":2377,"3200102":32456,"3200136":10143,"3200169":12585,"3200201":30702,"3200300":14376,"3200359":7760,"3200409":33017,"3200508":7462,"3200607":103363,"3200706":11046,"3200805":32829,"3200904":45415,"3201001":14054,"3201100":10820,"3201159":13718,"3201209":198342,"3201308":376200,"3201407":39575,"3201506":129301,"3201605":28923,"3201704":12472,"3201803":5397,"3201902":38236,"3202009":6902,"3202108":22611,"3202207":18898,"3202256":11484,"3202306":31418,"3202405":136311,"3202454":27543,"3202504":12304,"3202553":10015,"3202603":12790,"3202652":14647,"3202702":14042,"3202801":44020,"3202900":10975,"3203007":30556,"3203056":31551,"3203106":12108,"3203130":14295,"3203163":11597,"3203205":183797,"3203304":13131,"3203320":45953,"3203346":18964,"3203353":13087,"3203403":25088,"3203502":19830,"3203601":5653,"3203700":18809,"3203809":14185,"3203908":52324,"3204005":19120,"3204054":21923,"3204104":24843,"3204203":23912,"3204252":6671,"3204302":14852,"3204351":20350,"3204401":11471,"3204500":13813,"3204559":45575,"3204609":23872,"3204658":9051,"3204708":34272,"3204807":11411,"3204906":134423,"3204955":11256,"3205002":579720,"3205010":28668,"3205036":20390,"3205069":25395,"3205101":79043,"3205150":9319,"3205176":14267,"3205200":506779,"3205309":343378,"3300100":179142,"3300159":11426,"3300209":137906,"3300225":12239,"3300233":42527,"3300258":32822,"3300308":98506,"3300407":181679,"3300456":518384,"3300506":29758,"3300605":37176,"3300704":238438,"3300803":59861,"3300902":15069,"3300936":14329,"3300951":9048,"3301009":519259,"3301108":19995,"3301157":13407,"3301207":17741,"3301306":48636,"3301405":21770,"3301504":21448,"3301603":11355,"3301702":866225,"3301801":12644,"3301850":54311,"3301876":29616,"3301900":240127,"3302007":124021,"3302056":14518,"3302106":23645,"3302205":107297,"3302254":32713,"3302270":102171,"3302304":7584,"3302403":264439,"3302452":5602,"3302502":244142,"3302601":43660,"3302700":212470,"3302809":18048,"3302858":178830,"3302908":28142,"3303005":28416,"3303104":15551,"3303203":155500,"3303302":516787,"3303401":203417,"3303500":843220,"3303609":43627,"3303708":44479,"3303807":47668,"3303856":31370,"3303906":294926,"3303955":25096,"3304003":29066,"3304102":17832,"3304110":21089,"3304128":14165,"3304144":149135,"3304151":23142,"3304201":137697,"3304300":59126,"3304409":17951,"3304508":9267,"3304524":168455,"3304557":6730729,"3304607":10580,"3304706":43697,"3304755":47397,"3304805":41212,"3304904":960196,"3305000":38740,"3305109":466503,"3305133":7318,"3305158":22813,"3305208":110677,"3305307":7993,"3305406":18291,"3305505":95315,"3305554":84794,"3305604":22028,"3305703":15693,"3305752":32865,"3305802":176735,"3305901":10654,"3306008":82319,"3306107":71449,"3306156":10563,"3306206":35907,"3306305":279971,"3500105":35673,"3500204":4505,"3500303":32886,"3500402":7463,"3500501":18257,"3500550":7460,"3500600":2928,"3500709":38988,"3500758":6373,"3500808":4574,"3500907":3467,"3501004":17197,"3501103":3874,"3501152":17607,"3501202":3979,"3501301":28386,"3501400":4901,"3501509":2919,"3501608":247571,"3501707":33708,"3501806":5981,"3501905":69792,"3502002":4694,"3502101":61625,"3502200":24573,"3502309":5766,"3502408":4118,"3502507":33141,"3502606":4112,"3502705":24857,"3502754":22314,"3502804":208415,"3502903":33832,"3503000":5535,"3503109":7076,"3503158":2355,"3503208":253474,"3503307":135744,"3503356":2089,"3503406":8290,"3503505":3617,"3503604":10242,"3503703":7621,"3503802":53467,"3503901":90273,"3503950":1875,"3504008":104858,"3504107":167161,"3504206":13856,"3504305":4503,"3504404":11436,"3504503":96450,"3504602":29346,"3504701":3969,"3504800":9902,"3504909":10097,"3505005":3632,"3505104":5627,"3505203":32406,"3505302":35129,"3505351":5254,"3505401":6894,"3505500":126957,"3505609":33304,"3505708":333737,"3505807":21936,"3505906":59939,"3506003":392947,"3506102":78257,"3506201":2640,"3506300":11881,"3506359":67436,"3506409":7464,"3506508":123340,"3506607":30564,"3506706":13113,"3506805":11480,"3506904":10710,"3507001":63850,"3507100":22579,"3507159":3609,"3507209":932,"3507308":4838,"3507407":14405,"3507456":2801,"3507506":151053,"3507605":185688,"3507704":5477,"3507753":2605,"3507803":26314,"3507902":24501,"3508009":20731,"3508108":17658,"3508207":4458,"3508306":4360,"3508405":48654,"3508504":100071,"3508603":32534,"3508702":17228,"3508801":16907,"3508900":3726,"3509007":98549,"3509106":5599,"3509205":98365,"3509254":29262,"3509304":9210,"3509403":24233,"3509452":6090,"3509502":1187974,"3509601":79781,"3509700":47956,"3509809":5003,"3509908":12491,"3509957":5068,"3510005":30157,"3510104":2959,"3510153":6589,"3510203":47409,"3510302":23777,"3510401":51369,"3510500":142248,"3510609":398236,"3510708":11476,"3510807":28779,"3510906":2861,"3511003":20485,"3511102":119275,"3511201":7101,"3511300":13314,"3511409":22210,"3511508":46391,"3511607":19707,"3511706":15814,"3511904":7084,"3512001":18880,"3512100":6802,"3512209":29132,"3512308":15345,"3512407":25286,"3512506":5504,"3512605":4271,"3512704":4296,"3512803":61167,"3512902":9019,"3513009":289493,"3513108":34307,"3513207":9600,"3513306":2123,"3513405":76444,"3513504":114870,"3513603":22460,"3513702":32663,"3513801":403579,"3513850":1639,"3513900":11305,"3514007":8986,"3514106":24847,"3514205":2254,"3514304":8169,"3514403":46735,"3514502":12532,"3514601":9764,"3514700":6291,"3514809":13109,"3514908":18168,"3514924":3190,"3514957":2349,"3515004":259788,"3515103":68913,"3515129":3061,"3515152":20261,"3515186":40610,"3515194":4214,"3515202":9696,"3515301":2751,"3515350":7883,"3515400":17029,"3515509":73508,"3515608":6080,"3515657":1692,"3515707":186479,"3515806":1483,"3515905":2747,"3516002":13175,"3516101":4022,"3516200":365494,"3516309":171476,"3516408":150241,"3516507":2813,"3516606":6413,"3516705":43081,"3516804":3203,"3516853":4806,"3516903":10437,"3517000":10337,"3517109":4158,"3517208":11478,"3517307":5609,"3517406":40489,"3517505":22445,"3517604":17225,"3517703":18748,"3517802":7453,"3517901":10554,"3518008":1999,"3518107":6532,"3518206":31888,"3518305":32620,"3518404":121916,"3518503":15285,"3518602":38678,"3518701":294871,"3518800":1349100,"3518859":7474,"3518909":4259,"3519006":9316,"3519055":15718,"3519071":248842,"3519105":10648,"3519204":6197,"3519253":8313,"3519303":33160,"3519402":11952,"3519501":6450,"3519600":62143,"3519709":77801,"3519808":7982,"3519907":7739,"3520004":23421,"3520103":26696,"3520202":10984,"3520301":29891,"3520400":36559,"3520426":14104,"3520442":26257,"3520509":269657,"3520608":5200,"3520707":4113,"3520806":3671,"3520905":13935,"3521002":38277,"3521101":7027,"3521150":7115,"3521200":4083,"3521309":14701,"3521408":22500,"3521507":6932,"3521606":7120,"3521705":18263,"3521804":25979,"3521903":17502,"3522000":3715,"3522109":118495,"3522158":3497,"3522208":163003,"3522307":164256,"3522406":92393,"3522505":242995,"3522604":74038,"3522653":4420,"3522703":40445,"3522802":14245,"3522901":14035,"3523008":4002,"3523107":382983,"3523206":45213,"3523305":15916,"3523404":127112,"3523503":19462,"3523602":16454,"3523701":5857,"3523800":8227,"3523909":175047,"3524006":74994,"3524105":38413,"3524204":6280,"3524303":73473,"3524402":250952,"3524501":7944,"3524600":16216,"3524709":62309,"3524808":50078,"3524907":6611,"3525003":121550,"3525102":47125,"3525201":40007,"3525300":137409,"3525409":4000,"3525508":13131,"3525607":4464,"3525706":37992,"3525805":4302,"3525854":3132,"3525904":463039,"3526001":20939,"3526100":17184,"3526209":27969,"3526308":5183,"3526407":27044,"3526506":9940,"3526605":7348,"3526704":101537,"3526803":68568,"3526902":301292,"3527009":7158,"3527108":76844,"3527207":87468,"3527256":1962,"3527306":54865,"3527405":20378,"3527504":2423,"3527603":12564,"3527702":4740,"3527801":4004,"3527900":2697,"3528007":17140,"3528106":7581,"3528205":4058,"3528304":3211,"3528403":51888,"3528502":97835,"3528601":10122,"3528700":4619,"3528809":12804,"3528858":3415,"3528908":3526,"3529005":247348,"3529104":1862,"3529203":25240,"3529302":81075,"3529401":429014,"3529500":6420,"3529609":4721,"3529658":1990,"3529708":19621,"3529807":11322,"3529906":18610,"3530003":3209,"3530102":28754,"3530201":16031,"3530300":65811,"3530409":4783,"3530508":69372,"3530607":470302,"3530706":160318,"3530805":95742,"3530904":3830,"3531001":1947,"3531100":64845,"3531209":8923,"3531308":48758,"3531407":22668,"3531506":18337,"3531605":4306,"3531704":4205,"3531803":67832,"3531902":28521,"3532009":14147,"3532058":4071,"3532108":3748,"3532157":2697,"3532207":5956,"3532306":7155,"3532405":18675,"3532504":9953,"3532603":9915,"3532702":4876,"3532801":6885,"3532827":8630,"3532843":2055,"3532868":1072,"3532900":9459,"3533007":19733,"3533106":2188,"3533205":4847,"3533254":4463,"3533304":2817,"3533403":64596,"3533502":39494,"3533601":7570,"3533700":4418,"3533809":2535,"3533908":56874,"3534005":4942,"3534104":6180,"3534203":6157,"3534302":39144,"3534401":759524,"3534500":2502,"3534609":32112,"3534708":106911,"3534757":10660,"3534807":7900,"3534906":15273,"3535002":11704,"3535101":9666,"3535200":8971,"3535309":19714,"3535408":15227,"3535507":42049,"3535606":17959,"3535705":6218,"3535804":19853,"3535903":4118,"3536000":10720,"3536109":7435,"3536208":19603,"3536257":3030,"3536307":14888,"3536406":8255,"3536505":116674,"3536570":2156,"3536604":7390,"3536703":46337,"3536802":6745,"3536901":2856,"3537008":15737,"3537107":44385,"3537156":2833,"3537206":11617,"3537305":63426,"3537404":24360,"3537503":9013,"3537602":70629,"3537701":5631,"3537800":54266,"3537909":28459,"3538006":172681,"3538105":14704,"3538204":15676,"3538303":3287,"3538501":12516,"3538600":26795,"3538709":440835,"3538808":30294,"3538907":22734,"3539004":11085,"3539103":18925,"3539202":26097,"3539301":75594,"3539400":15657,"3539509":34361,"3539608":4451,"3539707":3055,"3539806":106355,"3539905":5702,"3540002":20520,"3540101":3440,"3540200":38286,"3540259":4198,"3540309":2411,"3540408":4182,"3540507":10850,"3540606":58605,"3540705":53966,"3540754":20801,"3540804":19097,"3540853":2589,"3540903":17299,"3541000":368539,"3541059":5264,"3541109":3830,"3541208":14803,"3541307":40322,"3541406":234706,"3541505":35810,"3541604":35973,"3541653":3477,"3541703":13412,"3541802":3366,"3541901":9074,"3542008":7260,"3542107":9145,"3542206":29387,"3542305":4637,"3542404":20620,"3542503":7820,"3542602":61927,"3542701":6486,"3542800":3158,"3542909":11040,"3543006":18942,"3543105":4717,"3543204":4776,"3543238":2040,"3543253":7571,"3543303":118954,"3543402":731639,"3543501":5628,"3543600":4179,"3543709":9101,"3543808":9334,"3543907":210323,"3544004":32329,"3544103":45324,"3544202":10444,"3544251":17434,"3544301":11137,"3544400":2740,"3544509":3998,"3544608":5182,"3544707":2522,"3544806":6645,"3544905":11683,"3545001":15381,"3545100":4883,"3545159":8407,"3545209":141111,"3545308":45262,"3545407":9221,"3545506":3697,"3545605":14193,"3545704":6566,"3545803":189456,"3546009":14219,"3546108":2694,"3546207":4375,"3546256":2168,"3546306":29489,"3546405":47759,"3546504":6274,"3546603":36288,"3546702":23192,"3546801":54691,"3546900":7144,"3547007":5308,"3547106":3017,"3547205":1699,"3547304":163787,"3547403":2796,"3547502":24996,"3547601":23710,"3547650":1692,"3547700":17960,"3547809":782048,"3547908":6933,"3548005":23867,"3548054":8593,"3548104":6243,"3548203":7314,"3548302":3069,"3548401":3921,"3548500":429547,"3548609":11989,"3548708":841154,"3548807":172693,"3548906":266427,"3549003":2623,"3549102":96080,"3549201":2623,"3549250":1882,"3549300":2293,"3549409":49885,"3549508":7664,"3549607":3888,"3549706":53427,"3549805":504166,"3549904":727078,"3549953":16479,"3550001":10487,"3550100":38131,"3550209":32924,"3550308":11904961,"3550407":39855,"3550506":7333,"3550605":81366,"3550704":84280,"3550803":10428,"3550902":13560,"3551009":338326,"3551108":10677,"3551207":3772,"3551306":3191,"3551405":13108,"3551504":45580,"3551603":31047,"3551702":132176,"3551801":12903,"3551900":14693,"3552007":6329,"3552106":41527,"3552205":762172,"3552304":7464,"3552403":291116,"3552502":320261,"3552551":3465,"3552601":11498,"3552700":14997,"3552809":285307,"3552908":6418,"3553005":13068,"3553104":5744,"3553203":6770,"3553302":21650,"3553401":26071,"3553500":8122,"3553609":11903,"3553658":2649,"3553708":53264,"3553807":24932,"3553856":7170,"3553906":6633,"3553955":15315,"3554003":129130,"3554102":322397,"3554201":4119,"3554300":22598,"3554409":7965,"3554508":38723,"3554607":2484,"3554656":2056,"3554706":9484,"3554755":1724,"3554805":53426,"3554904":7060,"3554953":6976,"3555000":65433,"3555109":16259,"3555208":1835,"3555307":1662,"3555356":5458,"3555406":97096,"3555505":5289,"3555604":10670,"3555703":1628,"3555802":8973,"3555901":1424,"3556008":14073,"3556107":14634,"3556206":132258,"3556305":24779,"3556354":10863,"3556404":41256,"3556453":52352,"3556503":119655,"3556602":10274,"3556701":79089,"3556800":17685,"3556909":8368,"3556958":1828,"3557006":133510,"3557105":100568,"3557154":2773,"3557204":12415,"3557303":11609,"4100103":7233,"4100202":6319,"4100301":10770,"4100400":125861,"4100459":3496,"4100509":18634,"4100608":14183,"4100707":9771,"4100806":10481,"4100905":4688,"4101002":20337,"4101051":2971,"4101101":19989,"4101150":3357,"4101200":18140,"4101309":7048,"4101408":134910,"4101507":124838,"4101606":26325,"4101655":3573,"4101705":14894,"4101804":162247,"4101853":2351,"4101903":13477,"4102000":38357,"4102109":26203,"4102208":4046,"4102307":13867,"4102406":31747,"4102505":10580,"4102604":9903,"4102703":2872,"4102752":4122,"4102802":14982,"4102901":15650,"4103008":4595,"4103024":2421,"4103040":6241,"4103057":8023,"4103107":13405,"4103156":4072,"4103206":6674,"4103222":3244,"4103305":7818,"4103354":4745,"4103370":3861,"4103404":2648,"4103453":20145,"4103479":4580,"4103503":8963,"4103602":23393,"4103701":110923,"4103800":10045,"4103909":16014,"4103958":3954,"4104006":50600,"4104055":3997,"4104105":7693,"4104204":144504,"4104253":31888,"4104303":104122,"4104402":15081,"4104428":15174,"4104451":10672,"4104501":21088,"4104600":14776,"4104659":24469,"4104709":17788,"4104808":368195,"4104907":75644,"4105003":10621,"4105102":10903,"4105201":16287,"4105300":11255,"4105409":21604,"4105508":82988,"4105607":11705,"4105706":14833,"4105805":241672,"4105904":23313,"4106001":8445,"4106100":3474,"4106209":20006,"4106308":17933,"4106407":45720,"4106456":5427,"4106506":24010,"4106555":3770,"4106571":4129,"4106605":24859,"4106704":4543,"4106803":15759,"4106852":2870,"4106902":1830795,"4107009":13784,"4107108":5139,"4107124":3147,"4107157":4513,"4107207":47589,"4107256":9631,"4107306":6517,"4107405":6146,"4107504":12347,"4107520":1852,"4107538":4770,"4107546":4880,"4107553":2994,"4107603":16596,"4107652":165943,"4107702":4488,"4107736":6400,"4107751":8129,"4107801":4805,"4107850":4342,"4107900":11522,"4108007":11653,"4108106":2711,"4108205":7763,"4108304":297352,"4108320":8573,"4108403":102312,"4108452":4893,"4108502":10691,"4108551":2911,"4108601":28931,"4108650":6469,"4108700":5527,"4108809":33058,"4108908":6762,"4108957":7916,"4109005":4857,"4109104":2210,"4109203":4743,"4109302":13770,"4109401":189630,"4109500":7446,"4109609":44913,"4109658":4803,"4109708":29464,"4109757":6343,"4109807":53276,"4109906":9149,"4110003":5693,"4110052":2156,"4110078":15068,"4110102":30849,"4110201":9555,"4110300":2481,"4110409":4544,"4110508":14317,"4110607":16102,"4110656":2328,"4110706":61004,"4110805":10832,"4110904":4530,"4110953":12116,"4111001":5819,"4111100":6228,"4111209":12869,"4111258":33310,"4111308":3607,"4111407":13476,"4111506":33566,"4111555":6788,"4111605":2685,"4111704":5655,"4111803":41493,"4111902":15908,"4112009":36384,"4112108":21930,"4112207":5807,"4112306":5054,"4112405":9393,"4112504":12138,"4112603":1349,"4112702":11996,"4112751":10954,"4112801":12341,"4112900":3372,"4112959":7899,"4113007":6786,"4113106":4666,"4113205":45878,"4113254":5525,"4113304":33179,"4113403":3725,"4113429":3987,"4113452":5217,"4113502":23966,"4113601":4707,"4113700":581382,"4113734":6659,"4113759":4864,"4113809":4929,"4113908":13681,"4114005":13551,"4114104":34521,"4114203":38313,"4114302":29104,"4114351":2790,"4114401":16737,"4114500":14675,"4114609":58734,"4114708":5926,"4114807":44749,"4114906":8761,"4115002":7450,"4115101":9910,"4115200":429660,"4115309":6506,"4115358":6824,"4115408":16605,"4115457":4491,"4115507":4780,"4115606":19223,"4115705":42063,"4115739":3249,"4115754":9689,"4115804":57910,"4115853":6194,"4115903":2248,"4116000":2017,"4116059":11423,"4116109":11043,"4116208":19089,"4116307":4057,"4116406":3669,"4116505":1322,"4116604":3286,"4116703":14331,"4116802":6739,"4116901":27142,"4116950":5783,"4117008":7140,"4117057":12298,"4117107":13074,"4117206":5982,"4117214":4308,"4117222":8581,"4117255":13340,"4117271":6852,"4117297":3227,"4117305":24706,"4117404":3193,"4117453":7102,"4117503":48695,"4117602":50238,"4117701":34948,"4117800":12879,"4117909":37039,"4118006":13728,"4118105":9549,"4118204":150104,"4118303":2352,"4118402":96209,"4118451":6004,"4118501":97821,"4118600":5706,"4118709":6414,"4118808":13494,"4118857":7599,"4118907":12389,"4119004":6218,"4119103":14409,"4119152":131255,"4119202":6676,"4119251":2805,"4119301":30451,"4119400":23977,"4119509":127433,"4119608":34527,"4119657":3141,"4119707":4125,"4119806":14722,"4119905":375632,"4119954":33131,"4120002":11271,"4120101":4072,"4120150":3057,"4120200":3370,"4120309":3515,"4120333":3816,"4120358":5831,"4120408":4304,"4120507":10064,"4120606":50946,"4120655":4127,"4120705":8426,"4120804":25397,"4120853":4672,"4120903":31423,"4121000":10625,"4121109":5052,"4121208":18882,"4121257":4279,"4121307":3472,"4121356":2623,"4121406":20097,"4121505":14825,"4121604":6945,"4121703":24878,"4121752":6493,"4121802":12856,"4121901":13158,"4122008":14174,"4122107":3214,"4122156":14297,"4122172":3841,"4122206":40308,"4122305":31951,"4122404":75818,"4122503":11339,"4122602":9255,"4122651":5484,"4122701":9511,"4122800":4090,"4122909":5214,"4123006":15706,"4123105":3358,"4123204":3357,"4123303":8840,"4123402":11730,"4123501":26461,"4123600":1745,"4123709":9043,"4123808":14462,"4123824":3638,"4123857":9869,"4123907":10941,"4123956":3361,"4124004":5646,"4124020":13938,"4124053":25300,"4124103":45628,"4124202":2474,"4124301":2088,"4124400":24980,"4124509":6463,"4124608":6727,"4124707":10884,"4124806":12297,"4124905":5607,"4125001":10639,"4125100":13899,"4125209":9587,"4125308":5170,"4125357":6690,"4125407":6023,"4125456":4031,"4125506":349880,"4125555":2176,"4125605":43490,"4125704":30416,"4125753":5730,"4125803":8514,"4125902":2726,"4126009":8063,"4126108":5282,"4126207":6778,"4126256":128106,"4126272":6413,"4126306":17256,"4126355":5161,"4126405":5654,"4126504":16210,"4126603":24031,"4126652":3498,"4126678":10540,"4126702":4986,"4126801":16326,"4126900":5807,"4127007":9540,"4127106":77479,"4127205":18168,"4127304":14961,"4127403":18636,"4127502":20374,"4127601":18458,"4127700":160701,"4127809":8523,"4127858":11157,"4127882":6304,"4127908":8067,"4127957":8208,"4127965":14101,"4128005":25732,"4128104":123059,"4128203":56560,"4128302":2106,"4128401":10308,"4128500":19398,"4128534":9760,"4128559":8178,"4128609":8077,"4128625":3067,"4128633":5744,"4128658":3828,"4128708":10549,"4128807":5835,"4200051":2629,"4200101":17767,"4200200":11646,"4200309":6511,"4200408":6587,"4200507":6123,"4200556":3000,"4200606":7193,"4200705":10963,"4200754":1847,"4200804":5955,"4200903":5484,"4201000":8339,"4201109":3761,"4201208":12464,"4201257":10041,"4201273":4505,"4201307":52079,"4201406":76611,"4201505":9289,"4201604":3634,"4201653":2623,"4201703":8720,"4201802":3265,"4201901":7241,"4201950":17786,"4202008":151674,"4202057":16953,"4202073":17986,"4202081":3265,"4202099":1642,"4202107":52860,"4202131":5939,"4202156":2712,"4202206":10757,"4202305":83756,"4202404":385558,"4202438":3639,"4202453":28738,"4202503":3995,"4202537":2896,"4202578":2240,"4202602":8422,"4202701":5705,"4202800":35985,"4202859":4256,"4202875":2433,"4202909":155307,"4203006":76298,"4203105":6441,"4203154":3519,"4203204":117324,"4203253":2636,"4203303":12886,"4203402":7324,"4203501":9864,"4203600":39049,"4203709":13618,"4203808":56948,"4203907":24414,"4203956":25015,"4204004":11033,"4204103":4752,"4204152":2864,"4204178":3303,"4204194":3053,"4204202":282648,"4204251":18106,"4204301":87206,"4204350":5192,"4204400":10604,"4204459":1993,"4204509":15912,"4204558":16253,"4204608":227438,"4204707":11242,"4204756":2026,"4204806":41741,"4204905":8652,"4205001":15316,"4205100":4435,"4205159":3729,"4205175":3561,"4205191":2354,"4205209":5137,"4205308":11537,"4205357":1868,"4205407":587486,"4205431":2752,"4205456":34771,"4205506":34065,"4205555":2437,"4205605":3168,"4205704":34070,"4205803":19970,"4205902":78344,"4206009":18280,"4206108":6403,"4206207":13158,"4206306":26645,"4206405":11071,"4206504":51009,"4206603":4893,"4206652":9611,"4206702":22222,"4206751":2061,"4206801":3295,"4206900":20900,"4207007":63489,"4207106":18627,"4207205":12150,"4207304":57256,"4207403":6166,"4207502":77888,"4207577":2967,"4207601":4622,"4207650":9759,"4207684":8133,"4207700":8121,"4207759":3981,"4207809":10560,"4207858":2098,"4207908":10427,"4208005":7370,"4208104":22906,"4208203":294850,"4208302":86116,"4208401":17268,"4208450":36033,"4208500":28461,"4208609":4461,"4208708":10818,"4208807":21570,"4208906":199519,"4208955":1810,"4209003":31809,"4209102":664541,"4209151":6415,"4209177":2713,"4209201":2302,"4209300":172458,"4209409":44060,"4209458":1791,"4209508":8605,"4209607":14628,"4209706":11575,"4209805":3379,"4209854":4604,"4209904":13829,"4210001":12246,"4210035":5951,"4210050":1796,"4210100":57262,"4210209":3253,"4210308":7543,"4210407":8344,"4210506":30743,"4210555":2218,"4210605":18122,"4210704":2789,"4210803":7128,"4210852":2554,"4210902":4159,"4211009":10206,"4211058":9218,"4211108":7747,"4211207":19490,"4211256":3097,"4211306":96046,"4211405":5490,"4211454":4672,"4211504":14395,"4211603":14004,"4211652":2661,"4211702":24686,"4211751":17873,"4211801":7062,"4211850":2195,"4211876":2007,"4211892":2216,"4211900":253469,"4212007":7696,"4212056":2658,"4212106":15781,"4212205":19769,"4212239":4394,"4212254":14859,"4212270":3997,"4212304":9879,"4212403":4355,"4212502":36995,"4212601":3040,"4212650":10615,"4212700":6996,"4212809":30593,"4212908":23897,"4213005":3631,"4213104":6144,"4213153":3081,"4213203":37003,"4213302":4390,"4213351":3241,"4213401":10732,"4213500":31557,"4213609":33694,"4213708":18051,"4213807":8696,"4213906":1707,"4214003":21764,"4214102":2347,"4214151":3073,"4214201":11433,"4214300":3484,"4214409":6399,"4214508":6638,"4214607":8071,"4214706":11218,"4214805":77451,"4214904":5044,"4215000":40132,"4215059":2429,"4215075":4828,"4215109":13491,"4215208":4684,"4215307":7656,"4215356":3604,"4215406":4495,"4215455":13797,"4215505":15749,"4215554":2476,"4215604":2131,"4215653":10450,"4215679":8015,"4215687":2534,"4215695":1732,"4215703":30099,"4215752":2715,"4215802":87661,"4215901":2982,"4216008":10462,"4216057":6489,"4216107":9343,"4216206":56726,"4216255":6467,"4216305":35336,"4216354":4827,"4216404":9278,"4216503":26982,"4216602":295658,"4216701":14538,"4216800":8706,"4216909":26056,"4217006":14444,"4217105":3520,"4217154":1777,"4217204":47724,"4217253":6175,"4217303":10799,"4217402":21710,"4217501":19399,"4217550":3370,"4217600":14156,"4217709":31722,"4217758":2900,"4217808":18909,"4217907":8144,"4217956":2535,"4218004":58695,"4218103":5503,"4218202":49768,"4218251":7521,"4218301":20525,"4218350":3920,"4218400":7633,"4218509":9531,"4218608":7599,"4218707":116725,"4218756":5081,"4218806":13604,"4218855":2791,"4218905":11064,"4218954":2751,"4219002":21464,"4219101":3726,"4219150":2613,"4219176":4597,"4219200":6266,"4219309":59074,"4219358":5507,"4219408":4513,"4219507":54891,"4219606":3583,"4219705":34485,"4219853":4257,"4220000":17697,"4300034":4251,"4300059":4003,"4300109":16341,"4300208":6843,"4300307":6219,"4300406":74285,"4300455":3705,"4300471":2007,"4300505":7235,"4300554":1837,"4300570":3145,"4300604":194062,"4300638":5384,"4300646":7826,"4300661":1156,"4300703":6080,"4300802":13332,"4300851":4215,"4300877":8831,"4300901":6618,"4301008":22523,"4301057":11418,"4301073":2650,"4301107":14934,"4301206":12291,"4301305":17879,"4301404":10547,"4301503":7303,"4301552":3458,"4301602":121928,"4301636":15413,"4301651":6496,"4301701":7320,"4301750":5972,"4301800":4915,"4301859":3231,"4301875":4340,"4301909":12473,"4301925":1721,"4301958":2557,"4302006":9425,"4302055":2118,"4302105":127977,"4302154":1968,"4302204":7129,"4302220":2269,"4302238":2314,"4302253":2815,"4302303":11429,"4302352":13665,"4302378":2132,"4302402":12587,"4302451":6202,"4302501":5978,"4302584":2195,"4302600":3322,"4302659":5083,"4302709":19421,"4302808":33501,"4302907":11300,"4303004":82222,"4303103":141503,"4303202":4692,"4303301":4795,"4303400":4931,"4303509":63961,"4303558":3060,"4303608":6490,"4303673":3311,"4303707":5999,"4303806":5388,"4303905":64719,"4304002":5063,"4304101":3695,"4304200":29775,"4304309":6419,"4304358":11012,"4304408":50715,"4304507":50968,"4304606":359840,"4304614":1686,"4304622":1769,"4304630":66234,"4304655":3187,"4304663":27416,"4304671":4080,"4304689":11424,"4304697":2994,"4304705":63670,"4304713":7555,"4304804":31585,"4304853":1384,"4304903":9698,"4304952":3064,"4305009":8834,"4305108":479599,"4305116":2777,"4305124":5910,"4305132":3859,"4305157":2428,"4305173":9333,"4305207":14014,"4305306":9751,"4305355":36110,"4305371":2800,"4305405":3991,"4305439":6409,"4305447":4682,"4305454":17583,"4305504":4208,"4305587":2474,"4305603":3316,"4305702":6538,"4305801":10631,"4305835":1308,"4305850":2248,"4305871":2896,"4305900":6214,"4305934":1637,"4305959":3926,"4305975":2718,"4306007":13116,"4306056":7455,"4306072":2745,"4306106":60454,"4306130":1650,"4306205":12574,"4306304":4400,"4306320":2793,"4306353":2540,"4306379":2856,"4306403":31804,"4306429":2132,"4306452":3156,"4306502":13280,"4306551":2617,"4306601":38080,"4306700":3133,"4306734":4534,"4306759":1924,"4306767":41012,"4306809":23520,"4306908":24275,"4306924":1315,"4306932":9367,"4306957":2727,"4306973":3122,"4307005":109609,"4307054":3097,"4307104":6302,"4307203":5027,"4307302":6892,"4307401":3264,"4307450":3293,"4307500":15478,"4307559":5685,"4307609":49499,"4307708":78144,"4307807":33263,"4307815":3115,"4307831":2683,"4307864":2620,"4307906":72552,"4308003":6846,"4308052":2572,"4308078":4405,"4308102":13994,"4308201":32015,"4308250":1690,"4308300":9710,"4308409":6527,"4308433":2441,"4308458":4569,"4308508":33726,"4308607":35563,"4308656":2724,"4308706":5779,"4308805":7743,"4308854":1784,"4308904":16955,"4309001":16273,"4309050":7851,"4309100":41705,"4309126":2047,"4309159":3350,"4309209":275430,"4309258":1441,"4309308":95946,"4309407":26168,"4309506":7547,"4309555":5535,"4309571":2604,"4309605":19252,"4309654":6102,"4309704":4772,"4309753":3787,"4309803":4617,"4309902":6827,"4309951":3789,"4310009":22106,"4310108":34776,"4310207":87848,"4310306":4245,"4310330":28027,"4310363":3149,"4310405":6557,"4310413":2047,"4310439":5490,"4310462":1748,"4310504":7619,"4310538":5712,"4310553":3038,"4310579":1963,"4310603":36811,"4310652":2696,"4310702":3240,"4310751":1962,"4310801":23566,"4310850":3847,"4310876":2066,"4310900":3398,"4311007":27396,"4311106":10771,"4311122":3751,"4311130":3412,"4311155":7294,"4311205":18545,"4311239":2283,"4311254":5421,"4311270":1781,"4311304":28622,"4311403":96879,"4311429":2661,"4311502":7290,"4311601":4845,"4311627":6420,"4311643":1721,"4311700":5867,"4311718":4485,"4311734":3203,"4311759":6915,"4311775":7593,"4311791":2521,"4311809":46748,"4311908":4382,"4311981":4005,"4312005":1884,"4312054":4050,"4312104":4782,"4312138":2611,"4312153":5001,"4312179":1833,"4312203":4251,"4312252":7661,"4312302":4501,"4312351":1530,"4312377":3251,"4312385":2608,"4312401":66352,"4312427":2815,"4312443":3133,"4312450":6168,"4312476":6167,"4312500":12347,"4312609":4692,"4312617":2937,"4312625":1754,"4312658":18335,"4312674":1982,"4312708":14074,"4312757":3229,"4312807":5098,"4312906":9867,"4312955":2089,"4313003":3104,"4313011":3138,"4313037":4976,"4313060":20558,"4313086":2389,"4313102":5676,"4313201":23934,"4313300":26637,"4313334":2198,"4313359":3545,"4313375":30189,"4313391":3633,"4313409":235802,"4313425":3239,"4313441":2187,"4313466":1677,"4313490":4375,"4313508":48999,"4313607":3685,"4313656":13189,"4313706":34227,"4313805":8042,"4313904":45102,"4313953":10443,"4314001":7362,"4314027":6627,"4314035":4441,"4314050":53569,"4314068":4024,"4314076":6155,"4314100":214811,"4314134":2188,"4314159":8146,"4314175":2099,"4314209":7631,"4314308":3817,"4314407":336150,"4314423":5473,"4314456":3039,"4314464":2300,"4314472":3861,"4314498":4638,"4314506":11395,"4314548":2785,"4314555":2255,"4314605":17770,"4314704":10624,"4314753":2224,"4314779":3345,"4314787":1602,"4314803":35273,"4314902":1388794,"4315008":4414,"4315057":2173,"4315073":1582,"4315107":10127,"4315131":1771,"4315149":3166,"4315156":5423,"4315172":2070,"4315206":3809,"4315305":23995,"4315313":1577,"4315321":2553,"4315354":4003,"4315404":9931,"4315453":1826,"4315503":15205,"4315552":2866,"4315602":198935,"4315701":35641,"4315750":4574,"4315800":10646,"4315909":6831,"4315958":2330,"4316006":21752,"4316105":9969,"4316204":5078,"4316303":6693,"4316402":37674,"4316428":2528,"4316436":2619,"4316451":10357,"4316477":2955,"4316501":7184,"4316600":16770,"4316709":8269,"4316733":1710,"4316758":7079,"4316808":138270,"4316907":282395,"4316956":6486,"4316972":2661,"4317004":7128,"4317103":87329,"4317202":79488,"4317251":1529,"4317301":31965,"4317400":50336,"4317509":79146,"4317558":2134,"4317608":44431,"4317707":10485,"4317756":2138,"4317806":14196,"4317905":15667,"4317954":2395,"4318002":61311,"4318051":2806,"4318101":17934,"4318200":22388,"4318309":60090,"4318408":21412,"4318424":4547,"4318432":2708,"4318440":2976,"4318457":2399,"4318465":1931,"4318481":4555,"4318499":2466,"4318507":26248,"4318606":6978,"4318614":2443,"4318622":4295,"4318705":225737,"4318804":43278,"4318903":35865,"4319000":21549,"4319109":5587,"4319125":2908,"4319158":7193,"4319208":5243,"4319307":5943,"4319356":3618,"4319364":1790,"4319372":3142,"4319406":15863,"4319505":24898,"4319604":21551,"4319703":3320,"4319711":2255,"4319737":2593,"4319752":2309,"4319802":8257,"4319901":77935,"4320008":136572,"4320107":23374,"4320206":12325,"4320230":2750,"4320263":6098,"4320305":5222,"4320321":2725,"4320354":5424,"4320404":17407,"4320453":2089,"4320503":5630,"4320552":5989,"4320578":1881,"4320602":3463,"4320651":2056,"4320677":8685,"4320701":14512,"4320800":30939,"4320859":4569,"4320909":25256,"4321006":10824,"4321105":14920,"4321204":54353,"4321303":25963,"4321329":3192,"4321352":5319,"4321402":14820,"4321436":10575,"4321451":34023,"4321469":3358,"4321477":5188,"4321493":2594,"4321501":43344,"4321600":56430,"4321626":2192,"4321634":2636,"4321667":11224,"4321709":24428,"4321808":25466,"4321832":2813,"4321857":4829,"4321907":26304,"4321956":7785,"4322004":28435,"4322103":5646,"4322152":3732,"4322186":1396,"4322202":20324,"4322251":5172,"4322301":8535,"4322327":3488,"4322343":2025,"4322350":1183,"4322376":2047,"4322400":120819,"4322509":66146,"4322525":3213,"4322533":10069,"4322541":6223,"4322558":2047,"4322608":70842,"4322707":27670,"4322806":24554,"4322855":1851,"4322905":4847,"4323002":231996,"4323101":4741,"4323200":2829,"4323309":3741,"4323358":2121,"4323408":4515,"4323457":3932,"4323507":2710,"4323606":1624,"4323705":2843,"4323754":3316,"4323770":3223,"4323804":16949,"5000203":17901,"5000252":4649,"5000609":41751,"5000708":24781,"5000807":7688,"5000856":11308,"5000906":9717,"5001003":29826,"5001102":48689,"5001243":11125,"5001508":8342,"5001904":24222,"5002001":10947,"5002100":21881,"5002159":8887,"5002209":25034,"5002308":11833,"5002407":32748,"5002605":13928,"5002704":962883,"5002803":5096,"5002902":21565,"5002951":34606,"5003108":4892,"5003157":14685,"5003207":98751,"5003256":28740,"5003306":33440,"5003454":14317,"5003488":11521,"5003504":5768,"5003702":264017,"5003751":11622,"5003801":21504,"5003900":3751,"5004007":10817,"5004106":10116,"5004304":13960,"5004403":8764,"5004502":25263,"5004601":20060,"5004700":30001,"5004809":8441,"5004908":7480,"5005004":24504,"5005103":3596,"5005152":7067,"5005202":22425,"5005251":7037,"5005400":48073,"5005608":26512,"5005681":20087,"5005707":53014,"5005806":13354,"5006002":23409,"5006200":50848,"5006259":4801,"5006275":5842,"5006309":42638,"5006358":13368,"5006408":6910,"5006606":98598,"5006903":12721,"5007109":24152,"5007208":40419,"5007307":4921,"5007406":20454,"5007505":5451,"5007554":7165,"5007695":32207,"5007703":11322,"5007802":8716,"5007901":49735,"5007935":14813,"5007950":11205,"5007976":3740,"5008008":18182,"5008305":143523,"5008404":6505,"5100102":4948,"5100201":32099,"5100250":62158,"5100300":17751,"5100359":5920,"5100409":13956,"5100508":7525,"5100607":11877,"5100805":8693,"5101001":4005,"5101209":997,"5101258":14805,"5101308":10769,"5101407":26558,"5101605":7137,"5101704":29406,"5101803":73878,"5101837":5877,"5101852":7912,"5101902":17645,"5102504":91767,"5102603":15808,"5102637":51722,"5102678":49053,"5102686":9946,"5102694":4451,"5102702":28324,"5102793":10260,"5102850":7392,"5103007":19458,"5103056":9301,"5103106":6495,"5103205":32054,"5103254":26026,"5103304":18469,"5103353":38460,"5103361":3908,"5103379":10030,"5103403":691875,"5103437":4970,"5103452":6675,"5103502":22623,"5103601":7890,"5103700":10523,"5103809":3056,"5103858":9397,"5103908":6319,"5103957":2878,"5104104":31209,"5104203":10252,"5104500":2172,"5104526":8658,"5104542":8257,"5104559":5201,"5104609":12587,"5104807":29803,"5104906":7413,"5105002":7881,"5105101":36089,"5105150":48396,"5105176":10057,"5105200":11622,"5105234":4662,"5105259":95792,"5105309":2616,"5105507":17592,"5105580":11355,"5105606":21959,"5105622":27637,"5105903":15796,"5106000":5890,"5106109":11658,"5106158":14340,"5106174":4575,"5106182":7072,"5106190":4502,"5106208":3791,"5106216":11734,"5106224":63455,"5106232":16204,"5106240":9760,"5106257":25915,"5106265":6368,"5106273":3267,"5106281":7239,"5106299":12079,"5106307":28870,"5106315":2041,"5106372":18946,"5106422":33754,"5106455":3328,"5106505":31203,"5106653":7441,"5106703":2098,"5106752":55762,"5106778":12649,"5106802":5705,"5106828":10088,"5106851":3141,"5107008":25103,"5107040":96006,"5107065":31100,"5107107":17721,"5107156":2020,"5107180":10541,"5107198":2733,"5107206":4440,"5107248":5795,"5107263":2416,"5107297":2716,"5107305":14455,"5107354":6234,"5107404":4250,"5107578":3518,"5107602":263708,"5107701":15041,"5107743":2904,"5107750":3657,"5107768":3536,"5107776":7737,"5107792":4244,"5107800":16839,"5107859":14604,"5107875":32514,"5107883":1941,"5107909":223780,"5107925":124665,"5107941":9895,"5107958":114603,"5108006":15638,"5108055":10591,"5108105":2935,"5108204":4238,"5108303":3904,"5108352":2892,"5108402":318922,"5108501":10758,"5108600":19686,"5108808":4546,"5108857":3731,"5108907":5705,"5108956":8470,"5200050":22052,"5200100":17738,"5200134":22079,"5200159":2282,"5200175":4979,"5200209":1843,"5200258":245352,"5200308":28244,"5200506":1977,"5200555":6487,"5200605":11182,"5200803":8619,"5200829":3267,"5200852":5260,"5200902":2906,"5201108":420300,"5201207":913,"5201306":18306,"5201405":556021,"5201454":3045,"5201504":4488,"5201603":3840,"5201702":18601,"5201801":12806,"5202155":7152,"5202353":2904,"5202502":8570,"5202601":3237,"5202809":2993,"5203104":3306,"5203203":10853,"5203302":37305,"5203401":7775,"5203500":24925,"5203559":11025,"5203575":3289,"5203609":4201,"5203807":5798,"5203906":10930,"5203939":2800,"5203962":3140,"5204003":7689,"5204102":11854,"5204201":1417,"5204250":7762,"5204300":14034,"5204409":16628,"5204508":106820,"5204557":4819,"5204607":3879,"5204656":3760,"5204706":12983,"5204805":7807,"5204854":8579,"5204904":18227,"5204953":3822,"5205000":9988,"5205059":2871,"5205109":122760,"5205208":5352,"5205307":9730,"5205406":22570,"5205455":8301,"5205471":14321,"5205497":101570,"5205513":27196,"5205521":4188,"5205703":2441,"5205802":10724,"5205901":9484,"5206206":66827,"5206305":3670,"5206404":17532,"5206503":3999,"5206602":2951,"5206701":3917,"5206800":2753,"5206909":1889,"5207105":1991,"5207253":6823,"5207352":4104,"5207402":11982,"5207501":3214,"5207535":7167,"5207600":5842,"5207808":10274,"5207907":14273,"5208004":121559,"5208103":4662,"5208152":3563,"5208301":4405,"5208400":14758,"5208509":4962,"5208608":78009,"5208707":1503256,"5208806":81495,"5208905":24172,"5209101":36984,"5209150":4313,"5209200":20985,"5209291":2170,"5209408":4091,"5209457":2154,"5209606":3342,"5209705":30587,"5209804":3477,"5209903":10289,"5209937":6076,"5209952":17985,"5210000":53884,"5210109":26223,"5210158":2968,"5210208":37283,"5210307":2515,"5210406":47603,"5210562":5120,"5210604":4837,"5210802":4276,"5210901":21891,"5211008":8133,"5211206":26553,"5211305":6124,"5211404":7636,"5211503":113322,"5211602":2731,"5211701":6365,"5211800":46633,"5211909":111634,"5212006":2939,"5212055":2112,"5212105":7247,"5212204":19926,"5212253":1435,"5212303":9123,"5212501":221262,"5212600":2631,"5212709":8493,"5212808":10806,"5212907":2942,"5212956":4004,"5213004":10145,"5213053":2626,"5213087":26616,"5213103":74999,"5213400":1687,"5213509":6534,"5213707":9024,"5213756":13094,"5213772":3743,"5213806":54326,"5213855":2505,"5213905":4626,"5214002":15199,"5214051":6202,"5214101":3540,"5214408":8349,"5214507":34273,"5214606":33890,"5214705":2380,"5214804":2132,"5214838":13153,"5214861":8356,"5214879":3084,"5214903":3022,"5215009":9883,"5215207":3567,"5215231":107663,"5215256":3703,"5215306":17035,"5215405":4109,"5215504":7665,"5215603":37207,"5215652":3113,"5215702":34375,"5215801":2266,"5215900":3959,"5216007":2432,"5216304":7356,"5216403":10727,"5216452":2999,"5216809":9519,"5216908":2254,"5217104":25373,"5217203":11940,"5217302":28028,"5217401":33736,"5217609":112304,"5217708":18763,"5218003":45512,"5218052":4276,"5218102":3191,"5218300":36291,"5218391":3750,"5218508":50329,"5218607":12665,"5218706":3893,"5218789":4033,"5218805":241494,"5218904":20186,"5219001":8085,"5219100":6306,"5219209":3004,"5219258":5047,"5219308":39601,"5219357":3543,"5219407":5765,"5219456":2611,"5219506":2828,"5219605":3172,"5219704":10837,"5219712":4279,"5219738":8066,"5219753":75221,"5219803":9457,"5219902":6507,"5220009":15026,"5220058":1812,"5220108":35288,"5220157":4939,"5220207":22040,"5220264":4671,"5220280":2200,"5220405":17181,"5220454":175042,"5220504":8237,"5220603":23150,"5220686":5634,"5220702":2978,"5221007":4180,"5221080":2660,"5221197":8340,"5221304":2976,"5221403":153560,"5221452":3080,"5221502":4449,"5221551":5171,"5221577":2798,"5221601":44533,"5221700":13857,"5221809":3700,"5221858":218416,"5221908":3770,"5222005":15644,"5222054":9175,"5222203":4145,"5222302":6028,"5300108":2996899}};
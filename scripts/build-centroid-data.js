@@ -0,0 +1,52 @@
+// Builds centroid-data.js (IBGE id -> [lat, lon] of the municipal seat) from
+// the public municipios-brasileiros dataset, which is derived from IBGE data.
+// Usage: node scripts/build-centroid-data.js [municipios.csv]
+// Without a file argument the CSV is downloaded (Node 18+, network access to github).
+const fs = require('fs');
+const path = require('path');
+
+const CSV_URL = 'https://raw.githubusercontent.com/kelvins/municipios-brasileiros/main/csv/municipios.csv';
+const OUTPUT = path.join(__dirname, '..', 'centroid-data.js');
+const SOURCE = 'IBGE - sedes municipais (via kelvins/municipios-brasileiros)';
+
+async function readCsv(file) {
+    if (file) return fs.readFileSync(file, 'utf8');
+
+    console.log('Baixando municipios.csv...');
+    const response = await fetch(CSV_URL);
+    if (!response.ok) throw new Error(`Download respondeu ${response.status}`);
+    return response.text();
+}
+
+async function main() {
+    const [header, ...lines] = (await readCsv(process.argv[2])).trim().split(/\r?\n/);
+    const columns = header.split(',');
+    const idCol = columns.indexOf('codigo_ibge');
+    const latCol = columns.indexOf('latitude');
+    const lonCol = columns.indexOf('longitude');
+    if ([idCol, latCol, lonCol].includes(-1)) throw new Error('Colunas codigo_ibge, latitude e longitude não encontradas');
+
+    // Names may contain commas inside quotes; the numeric columns never do
+    const splitRow = line => line.match(/("([^"]|"")*"|[^,]*)(,|$)/g).map(cell => cell.replace(/,$/, ''));
+
+    const values = {};
+    lines.forEach(line => {
+        const cells = splitRow(line);
+        const lat = parseFloat(cells[latCol]);
+        const lon = parseFloat(cells[lonCol]);
+        if (isNaN(lat) || isNaN(lon)) return;
+        values[parseInt(cells[idCol])] = [Number(lat.toFixed(4)), Number(lon.toFixed(4))];
+    });
+
+    const count = Object.keys(values).length;
+    if (count === 0) throw new Error('Nenhum município com coordenadas');
+
+    const table = { source: SOURCE, generatedAt: new Date().toISOString(), values };
+    fs.writeFileSync(OUTPUT, `// Generated by scripts/build-centroid-data.js - do not edit by hand.\nwindow.CENTROID_DATA = ${JSON.stringify(table)};\n`);
+    console.log(`centroid-data.js gerado: ${count} municípios.`);
+}
+
+main().catch(err => {
+    console.error('Erro ao gerar centroid-data.js:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,115 @@
+// Builds cep-data.js (CEP range -> IBGE municipality) from the Correios DNE
+// "eDNE Básico" text files, which are '@'-separated and Latin-1 encoded, or
+// from a list of individual CEPs with the municipality of each.
+// Usage: node scripts/build-cep-data.js <LOG_LOCALIDADE.TXT> <LOG_FAIXA_LOCALIDADE.TXT>
+//        node scripts/build-cep-data.js --ceps <ceps.csv> ["Fonte"]
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT = path.join(__dirname, '..', 'cep-data.js');
+const SOURCE = 'Correios - DNE (faixas de CEP por localidade)';
+
+function readDneFile(file) {
+    return fs.readFileSync(file, 'latin1')
+        .split(/\r?\n/)
+        .filter(Boolean)
+        .map(line => line.split('@'));
+}
+
+// LOG_LOCALIDADE: LOC_NU, UFE_SG, LOC_NO, CEP, LOC_IN_SIT, LOC_IN_TIPO_LOC, LOC_NU_SUB, LOC_NO_ABREV, MUN_NU.
+// Districts and villages ('D'/'P') have no MUN_NU of their own and take the
+// one of the municipality they belong to (LOC_NU_SUB).
+function readLocalities(file) {
+    const rows = new Map();
+    readDneFile(file).forEach(([id, uf, name, cep, , , parentId, , ibgeId]) => {
+        rows.set(id, { uf, name, cep, parentId, ibgeId: parseInt(ibgeId) || null });
+    });
+
+    const resolveIbgeId = (locality, depth = 0) => {
+        if (locality.ibgeId || depth > 5) return locality.ibgeId;
+        const parent = rows.get(locality.parentId);
+        return parent ? resolveIbgeId(parent, depth + 1) : null;
+    };
+
+    rows.forEach(locality => { locality.ibgeId = resolveIbgeId(locality); });
+    return rows;
+}
+
+function readDneRanges(localityFile, rangeFile) {
+    const localities = readLocalities(localityFile);
+    const ranges = [];
+    const covered = new Set();
+
+    // LOG_FAIXA_LOCALIDADE: LOC_NU, LOC_CEP_INI, LOC_CEP_FIM, LOC_TIPO_FAIXA
+    readDneFile(rangeFile).forEach(([id, start, end]) => {
+        const locality = localities.get(id);
+        if (!locality || !locality.ibgeId) return;
+        ranges.push([parseInt(start), parseInt(end), locality.ibgeId]);
+        covered.add(id);
+    });
+
+    // Localities served by a single CEP have no range, only the CEP field
+    localities.forEach((locality, id) => {
+        if (covered.has(id) || !locality.ibgeId || !locality.cep) return;
+        const cep = parseInt(locality.cep);
+        ranges.push([cep, cep, locality.ibgeId]);
+    });
+    return ranges;
+}
+
+// CSV with cep and codigo_ibge columns, one row per CEP. Consecutive CEPs of
+// the same municipality become one range; CEPs between two municipalities'
+// ranges stay out of the table and are left to ViaCEP.
+function readCepListRanges(file) {
+    const [header, ...lines] = fs.readFileSync(file, 'utf8').trim().split(/\r?\n/);
+    const columns = header.split(',');
+    const cepCol = columns.indexOf('cep');
+    const idCol = columns.indexOf('codigo_ibge');
+    if (cepCol === -1 || idCol === -1) throw new Error('Colunas cep e codigo_ibge não encontradas');
+
+    const rows = lines
+        .map(line => line.split(','))
+        .map(cells => [parseInt(cells[cepCol].replace(/\D/g, '')), parseInt(cells[idCol])])
+        .filter(([cep, ibgeId]) => cep > 0 && ibgeId > 0)
+        .sort((a, b) => a[0] - b[0]);
+
+    const ranges = [];
+    rows.forEach(([cep, ibgeId]) => {
+        const last = ranges[ranges.length - 1];
+        if (last && last[2] === ibgeId) last[1] = cep;
+        else ranges.push([cep, cep, ibgeId]);
+    });
+    return ranges;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    let source = SOURCE;
+    let ranges;
+    if (args[0] === '--ceps' && args[1]) {
+        source = args[2] || 'Lista de CEPs por município';
+        ranges = readCepListRanges(args[1]);
+    } else if (args.length === 2) {
+        ranges = readDneRanges(args[0], args[1]);
+    } else {
+        console.error('Uso: node scripts/build-cep-data.js <LOG_LOCALIDADE.TXT> <LOG_FAIXA_LOCALIDADE.TXT>');
+        console.error('     node scripts/build-cep-data.js --ceps <ceps.csv> ["Fonte"]');
+        process.exit(1);
+    }
+
+    const unique = [...new Map(ranges.map(r => [r.join(':'), r])).values()]
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    if (unique.length === 0) throw new Error('Nenhuma faixa de CEP encontrada');
+
+    const table = { source, generatedAt: new Date().toISOString(), ranges: unique };
+    fs.writeFileSync(OUTPUT, `// Generated by scripts/build-cep-data.js - do not edit by hand.\nwindow.CEP_DATA = ${JSON.stringify(table)};\n`);
+    const cities = new Set(unique.map(r => r[2])).size;
+    console.log(`cep-data.js gerado: ${unique.length} faixas, ${cities} municípios.`);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('Erro ao gerar cep-data.js:', err.message);
+    process.exit(1);
+}
@@ -0,0 +1,67 @@
+// Builds population-data.js from the IBGE population estimates (SIDRA table 6579).
+// Usage: node scripts/build-population-data.js [populacao.csv ano]
+// Without arguments the estimates are downloaded (Node 18+, network access to
+// servicodados.ibge.gov.br). Offline, a CSV with codigo_ibge and populacao
+// columns holding the same estimates can be given instead, with their year.
+const fs = require('fs');
+const path = require('path');
+
+const API = 'https://servicodados.ibge.gov.br/api/v3/agregados/6579/periodos/-1/variaveis/9324?localidades=N6[all]';
+const OUTPUT = path.join(__dirname, '..', 'population-data.js');
+const SOURCE = 'IBGE - Estimativas da População (SIDRA 6579)';
+
+async function fetchEstimates() {
+    console.log('Consultando IBGE...');
+    const response = await fetch(API);
+    if (!response.ok) throw new Error(`IBGE respondeu ${response.status}`);
+
+    const data = await response.json();
+    const series = data[0]?.resultados[0]?.series || [];
+    const values = {};
+    let year = 0;
+
+    series.forEach(item => {
+        const [period, raw] = Object.entries(item.serie)[0];
+        const value = parseInt(raw);
+        if (isNaN(value)) return;
+        values[item.localidade.id] = value;
+        year = Math.max(year, parseInt(period));
+    });
+    return { year, values };
+}
+
+function readEstimates(file, year) {
+    if (!(parseInt(year) > 0)) throw new Error('Informe o ano das estimativas depois do arquivo');
+
+    const [header, ...lines] = fs.readFileSync(file, 'utf8').trim().split(/\r?\n/);
+    const columns = header.split(',');
+    const idCol = columns.indexOf('codigo_ibge');
+    const valueCol = columns.indexOf('populacao');
+    if (idCol === -1 || valueCol === -1) throw new Error('Colunas codigo_ibge e populacao não encontradas');
+
+    const values = {};
+    lines.forEach(line => {
+        const cells = line.split(',');
+        const value = parseInt(cells[valueCol]);
+        if (isNaN(value)) return;
+        values[parseInt(cells[idCol])] = value;
+    });
+    return { year: parseInt(year), values };
+}
+
+async function main() {
+    const [file, fileYear] = process.argv.slice(2);
+    const { year, values } = file ? readEstimates(file, fileYear) : await fetchEstimates();
+
+    const count = Object.keys(values).length;
+    if (count === 0) throw new Error('Nenhum município retornado pelo IBGE');
+
+    const table = { year, source: SOURCE, generatedAt: new Date().toISOString(), values };
+    fs.writeFileSync(OUTPUT, `// Generated by scripts/build-population-data.js - do not edit by hand.\nwindow.POPULATION_DATA = ${JSON.stringify(table)};\n`);
+    console.log(`population-data.js gerado: ${count} municípios, ano ${year}.`);
+}
+
+main().catch(err => {
+    console.error('Erro ao gerar population-data.js:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,47 @@
+// Local endpoint for trying out webhooks: checks each delivery's signature and
+// prints the events it receives. Register http://localhost:<port>/ as the
+// webhook URL and pass the secret shown when it was created.
+// Usage: node scripts/webhook-receiver.js <secret> [port]
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_CLOCK_SKEW_S = 5 * 60; // older timestamps are rejected, as a replay guard
+
+const [secret, port = '4000'] = process.argv.slice(2);
+if (!secret) {
+    console.error('Uso: node scripts/webhook-receiver.js <secret> [porta]');
+    process.exit(1);
+}
+
+function isValidSignature(timestamp, body, signature) {
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    return typeof signature === 'string'
+        && signature.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const timestamp = parseInt(req.headers['x-dealercheck-timestamp']);
+        const fresh = Math.abs(Date.now() / 1000 - timestamp) <= MAX_CLOCK_SKEW_S;
+
+        if (!fresh || !isValidSignature(timestamp, body, req.headers['x-dealercheck-signature'])) {
+            console.warn(`${new Date().toISOString()} assinatura inválida (${req.headers['x-dealercheck-delivery'] || 'sem id'})`);
+            res.writeHead(401);
+            res.end();
+            return;
+        }
+
+        const payload = JSON.parse(body);
+        console.log(`${new Date().toISOString()} ${payload.event} ${payload.id}`);
+        console.log(JSON.stringify(payload.data, null, 2));
+        res.writeHead(200);
+        res.end();
+    });
+});
+
+server.listen(parseInt(port), () => {
+    console.log(`Aguardando webhooks em http://localhost:${port}/`);
+});
@@ -0,0 +1,43 @@
+// Keys for external clients of the availability API (CRM, partner sites).
+// Only a hash is stored; the key itself is shown once, when it is created.
+// A key is { id, name, prefix, keyHash, rateLimit, createdAt, createdBy }.
+const crypto = require('crypto');
+const { httpError } = require('./router');
+const { hashToken } = require('./auth');
+
+const DEFAULT_RATE_LIMIT = 600; // requests per minute
+// Key names are shown in the admin panel
+const MARKUP_PATTERN = /[<>]/;
+
+// Returns the new key and the record to store
+function createApiKey(body, user) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const rateLimit = body.rateLimit ? parseInt(body.rateLimit) : DEFAULT_RATE_LIMIT;
+
+    if (!name) throw httpError(400, 'Nome da chave obrigatório');
+    if (MARKUP_PATTERN.test(name)) throw httpError(400, 'Nome da chave inválido');
+    if (!(rateLimit > 0)) throw httpError(400, 'Limite de requisições inválido');
+
+    const key = `dck_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+        id: crypto.randomUUID(),
+        name,
+        prefix: key.slice(0, 12),
+        keyHash: hashToken(key),
+        rateLimit,
+        createdAt: new Date().toISOString(),
+        createdBy: user.username
+    };
+    return { key, record };
+}
+
+function findApiKey(data, key) {
+    const keyHash = hashToken(String(key));
+    return data.apiKeys.find(k => k.keyHash === keyHash) || null;
+}
+
+function publicApiKey({ keyHash, ...key }) {
+    return key;
+}
+
+module.exports = { DEFAULT_RATE_LIMIT, createApiKey, findApiKey, publicApiKey };
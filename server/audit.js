@@ -0,0 +1,72 @@
+// Append-only change log. Each entry is one JSON line in DATA_DIR/audit.log;
+// entries are never rewritten, a revert is recorded as a new entry.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createAuditLog(file) {
+    const entries = load(file);
+    const listeners = [];
+
+    // entry: { user, action, city, uf, before, after, revertOf }
+    function record(entry) {
+        const saved = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            user: null,
+            city: null,
+            uf: null,
+            before: null,
+            after: null,
+            ...entry
+        };
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(saved)}\n`);
+        entries.push(saved);
+        listeners.forEach(listener => {
+            try {
+                listener(saved);
+            } catch (error) {
+                console.error('Erro ao processar registro do histórico:', error);
+            }
+        });
+        return saved;
+    }
+
+    // Called with every new entry, after it is written
+    function subscribe(listener) {
+        listeners.push(listener);
+    }
+
+    function find(id) {
+        return entries.find(e => e.id === id) || null;
+    }
+
+    // Newest first. City matches accent- and case-insensitively as a substring.
+    function list({ city, uf, user, action, limit = 200 } = {}) {
+        const cityQuery = city ? normalize(city) : null;
+        return entries
+            .filter(e => !uf || e.uf === uf)
+            .filter(e => !user || e.user === user)
+            .filter(e => !action || e.action === action)
+            .filter(e => !cityQuery || (e.city && normalize(e.city).includes(cityQuery)))
+            .slice(-limit)
+            .reverse();
+    }
+
+    return { record, find, list, subscribe };
+}
+
+function load(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+}
+
+function normalize(text) {
+    return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,134 @@
+// Password hashing, session tokens and role checks.
+// Roles: 'viewer' (read-only admin access), 'regional' (edits occupied
+// cities in its own UFs) and 'superadmin' (everything, incl. density rules).
+const crypto = require('crypto');
+const { httpError } = require('./router');
+
+const ROLES = ['viewer', 'regional', 'superadmin'];
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const SCRYPT_KEYLEN = 64;
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Only a hash of the token is stored, so a leaked database can't be used to log in
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function publicUser(user) {
+    return { id: user.id, username: user.username, role: user.role, ufs: user.ufs || [] };
+}
+
+function createAuth(store) {
+    // Seeds the first super-admin so a fresh install can be administered.
+    function ensureBootstrapUser() {
+        if ((store.data.users || []).length > 0) return;
+
+        const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+        store.update(data => {
+            data.users = [{
+                id: crypto.randomUUID(),
+                username: 'admin',
+                passwordHash: hashPassword(password),
+                role: 'superadmin',
+                ufs: []
+            }];
+        });
+        if (!process.env.ADMIN_PASSWORD) {
+            console.log(`Usuário inicial criado: admin / ${password} (altere a senha após o primeiro acesso)`);
+        }
+    }
+
+    function login(username, password) {
+        const user = (store.data.users || []).find(u => u.username === username);
+        if (!user || !verifyPassword(password || '', user.passwordHash)) {
+            throw httpError(401, 'Usuário ou senha inválidos');
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = Date.now();
+        store.update(data => {
+            data.sessions = (data.sessions || []).filter(s => s.expiresAt > now);
+            data.sessions.push({ tokenHash: hashToken(token), userId: user.id, expiresAt: now + SESSION_TTL_MS });
+        });
+        return { token, user: publicUser(user) };
+    }
+
+    function logout(token) {
+        if (!token) return;
+        const tokenHash = hashToken(token);
+        store.update(data => {
+            data.sessions = (data.sessions || []).filter(s => s.tokenHash !== tokenHash);
+        });
+    }
+
+    // Resolves the user behind the request's bearer token, or null
+    function authenticate(req) {
+        const token = getToken(req);
+        if (!token) return null;
+
+        const tokenHash = hashToken(token);
+        const session = (store.data.sessions || []).find(s => s.tokenHash === tokenHash);
+        if (!session || session.expiresAt <= Date.now()) return null;
+
+        const user = (store.data.users || []).find(u => u.id === session.userId);
+        return user ? publicUser(user) : null;
+    }
+
+    return { ensureBootstrapUser, login, logout, authenticate };
+}
+
+function getToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+function requireUser(req) {
+    if (!req.user) throw httpError(401, 'Autenticação necessária');
+    return req.user;
+}
+
+function requireRole(req, ...roles) {
+    const user = requireUser(req);
+    if (!roles.includes(user.role)) throw httpError(403, 'Permissão insuficiente');
+    return user;
+}
+
+// Super-admins edit any UF; regional managers only the UFs assigned to them
+function canEditUf(user, uf) {
+    if (!user) return false;
+    if (user.role === 'superadmin') return true;
+    return user.role === 'regional' && user.ufs.includes(uf);
+}
+
+function requireUf(req, uf) {
+    const user = requireUser(req);
+    if (!canEditUf(user, uf)) throw httpError(403, `Sem permissão para alterar praças de ${uf}`);
+    return user;
+}
+
+module.exports = {
+    ROLES,
+    createAuth,
+    hashPassword,
+    verifyPassword,
+    hashToken,
+    publicUser,
+    getToken,
+    requireUser,
+    requireRole,
+    requireUf,
+    canEditUf
+};
@@ -0,0 +1,171 @@
+// Availability answers for the public API. The rules are the ones the web app
+// runs (shared/availability.js); this module resolves the city a query refers
+// to and gathers the populations those rules need.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Availability = require('../shared/availability');
+const { httpError } = require('./router');
+const { findCity, findCitiesByName } = require('./cities');
+
+const ROOT = path.join(__dirname, '..');
+const POPULATION_API = 'https://servicodados.ibge.gov.br/api/v3/agregados/6579/periodos/-1/variaveis/9324';
+const POPULATION_LIVE_SOURCE = 'IBGE - Estimativas da População (SIDRA 6579)';
+const POPULATION_LIVE_MAX_IDS = 300; // Longer id lists are fetched as the whole country to keep the URL short
+const POPULATION_LIVE_TTL_MS = 24 * 60 * 60 * 1000;
+const REMOTE_TIMEOUT_MS = 8000;
+
+let cityRecords = null;
+let populationTable = null;
+let cepRanges = null;
+let centroids = null;
+const livePopulations = new Map(); // ibgeId -> { population, fetchedAt }
+
+// The generated data files are browser scripts assigning to `window`
+function loadBrowserData(file, name) {
+    const sandbox = { window: {} };
+    vm.runInNewContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox);
+    return sandbox.window[name] || null;
+}
+
+function loadCityRecords() {
+    if (!cityRecords) cityRecords = require(path.join(ROOT, 'cities.json')).map(Availability.toCityRecord);
+    return cityRecords;
+}
+
+function loadPopulationTable() {
+    if (!populationTable) {
+        const table = loadBrowserData('population-data.js', 'POPULATION_DATA');
+        populationTable = table && table.values ? table : { values: {} };
+    }
+    return populationTable;
+}
+
+function loadCepRanges() {
+    if (!cepRanges) {
+        const table = loadBrowserData('cep-data.js', 'CEP_DATA');
+        cepRanges = (table && table.ranges) || [];
+    }
+    return cepRanges;
+}
+
+function loadCentroids() {
+    if (!centroids) {
+        const table = loadBrowserData('centroid-data.js', 'CENTROID_DATA');
+        centroids = (table && table.values) || {};
+    }
+    return centroids;
+}
+
+// Same contract as the web app: { [ibgeId]: { value, year, source, origin } },
+// with municipalities missing from the bundled table looked up on the IBGE
+// API and kept for a day. Ids that cannot be resolved are left out.
+async function getPopulations(ibgeIds) {
+    const table = loadPopulationTable();
+    const now = Date.now();
+    const result = {};
+    const missing = [];
+
+    ibgeIds.forEach(id => {
+        const live = livePopulations.get(String(id));
+        if (table.values[id]) {
+            result[id] = { value: table.values[id], year: table.year, source: table.source, origin: 'base local' };
+        } else if (live && now - live.fetchedAt < POPULATION_LIVE_TTL_MS) {
+            result[id] = live.population;
+        } else {
+            missing.push(id);
+        }
+    });
+
+    if (missing.length > 0) {
+        const live = await fetchLivePopulations(missing.length > POPULATION_LIVE_MAX_IDS ? null : missing);
+        Object.entries(live).forEach(([id, population]) => livePopulations.set(id, { population, fetchedAt: now }));
+        missing.forEach(id => {
+            if (live[id]) result[id] = live[id];
+        });
+    }
+    return result;
+}
+
+async function fetchLivePopulations(ibgeIds) {
+    const result = {};
+    const scope = ibgeIds ? ibgeIds.join(',') : 'all';
+
+    try {
+        const response = await fetch(`${POPULATION_API}?localidades=N6[${scope}]`, { signal: AbortSignal.timeout(REMOTE_TIMEOUT_MS) });
+        const data = await response.json();
+        const series = data[0]?.resultados[0]?.series || [];
+        series.forEach(item => {
+            const [year, raw] = Object.entries(item.serie)[0];
+            const value = parseInt(raw);
+            if (!isNaN(value)) {
+                result[item.localidade.id] = { value, year: parseInt(year), source: POPULATION_LIVE_SOURCE, origin: 'consulta IBGE online' };
+            }
+        });
+    } catch (error) {
+        console.error('Erro ao consultar população no IBGE:', error.message);
+    }
+    return result;
+}
+
+async function fetchViaCepCity(cep) {
+    try {
+        const response = await fetch(`https://viacep.com.br/ws/${cep}/json/`, { signal: AbortSignal.timeout(REMOTE_TIMEOUT_MS) });
+        const data = await response.json();
+        return data.erro ? null : data.ibge;
+    } catch (error) {
+        return null;
+    }
+}
+
+// A query names the city by IBGE code, by CEP or by name and UF.
+// Returns { ibgeId, city, uf }.
+async function resolveQuery({ ibge, cep, name, uf }) {
+    if (ibge) {
+        const city = findCity(ibge);
+        if (!city) throw httpError(404, 'Município não encontrado');
+        return city;
+    }
+
+    if (cep) {
+        const digits = String(cep).replace(/\D/g, '');
+        if (digits.length !== 8) throw httpError(400, 'CEP inválido');
+        const ibgeId = Availability.findCepCity(loadCepRanges(), digits) || await fetchViaCepCity(digits);
+        const city = ibgeId && findCity(ibgeId);
+        if (!city) throw httpError(404, 'CEP não encontrado');
+        return city;
+    }
+
+    if (name) {
+        if (!uf) throw httpError(400, 'Informe a UF junto com o nome');
+        const matches = findCitiesByName(name, String(uf).toUpperCase());
+        if (matches.length === 0) throw httpError(404, 'Município não encontrado');
+        if (matches.length > 1) throw httpError(409, 'Mais de um município com este nome; use o código IBGE');
+        return matches[0];
+    }
+
+    throw httpError(400, 'Informe ibge, cep ou name e uf');
+}
+
+// Cities of the same territory share one verdict
+function territoryKey(config, ibgeId) {
+    const region = Availability.getCityRegion(config, loadCityRecords(), ibgeId);
+    return region ? `${region.level}:${region.id}` : `city:${ibgeId}`;
+}
+
+// `config` is the public config (routes/config.js), holds included. The
+// answer is for the product line in `query.line`, the main line by default.
+async function checkAvailability(config, query) {
+    const line = Availability.getProductLine(config, query.line || Availability.DEFAULT_LINE_ID);
+    if (!line) throw httpError(404, 'Linha de produto não encontrada');
+
+    const { ibgeId, city, uf } = await resolveQuery(query);
+    const lineConfig = Availability.getLineConfig(config, line.id);
+    const cities = loadCityRecords();
+    const members = Availability.getTerritoryMembers(lineConfig, cities, ibgeId, city, uf);
+    const populations = await getPopulations(members.map(m => m.id));
+    const result = Availability.checkCity(lineConfig, cities, { id: ibgeId, name: city, uf }, populations, loadCentroids());
+    return { ...result, line: { id: line.id, name: line.name } };
+}
+
+module.exports = { checkAvailability, territoryKey };
@@ -0,0 +1,59 @@
+// IBGE municipality list (cities.json at the repo root). Occupied entries are
+// keyed by the IBGE id; the name and UF stored with them come from here.
+const path = require('path');
+const { httpError } = require('./router');
+
+const CITIES_FILE = path.join(__dirname, '..', 'cities.json');
+
+let citiesById = null;
+
+function loadCities() {
+    if (!citiesById) {
+        citiesById = new Map();
+        require(CITIES_FILE).forEach(city => {
+            // A few recent municipalities have no microrregiao
+            const micro = city.microrregiao;
+            const uf = micro ? micro.mesorregiao.UF.sigla : city['regiao-imediata']['regiao-intermediaria'].UF.sigla;
+            citiesById.set(city.id, { ibgeId: city.id, city: city.nome, uf });
+        });
+    }
+    return citiesById;
+}
+
+// Lower-case and strip accents, as the front end does for its search
+function normalizeName(name) {
+    return String(name).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+function findCity(ibgeId) {
+    return loadCities().get(Number(ibgeId)) || null;
+}
+
+// Returns { ibgeId, city, uf } for the IBGE id in the body, rejecting unknown
+// ids and ids that do not belong to the UF sent along with them.
+function validateCity(body) {
+    const found = findCity(body.ibgeId);
+    if (!found) throw httpError(400, 'Cidade inválida: selecione um município da lista do IBGE');
+    if (body.uf && body.uf !== found.uf) throw httpError(400, `${found.city} não pertence a ${body.uf}`);
+    return found;
+}
+
+function findCitiesByName(name, uf) {
+    const key = normalizeName(name);
+    return [...loadCities().values()].filter(c => c.uf === uf && normalizeName(c.city) === key);
+}
+
+// Attaches the IBGE id to an entry saved with a free-text city name. Entries
+// whose name does not match exactly one municipality of their UF keep their
+// text, get a null id and are flagged 'unresolved' for an admin to fix.
+function resolveOccupiedCity(item) {
+    if (item.ibgeId) return item;
+
+    const matches = findCitiesByName(item.city, item.uf);
+    if (matches.length !== 1) return { ...item, ibgeId: null, unresolved: true };
+
+    const { unresolved, ...rest } = item;
+    return { ...rest, ...matches[0] };
+}
+
+module.exports = { normalizeName, findCity, validateCity, findCitiesByName, resolveOccupiedCity };
@@ -0,0 +1,5 @@
+const UFS = ['AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA', 'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'];
+const REGIOES = ['N', 'NE', 'SE', 'S', 'CO'];
+const TERRITORY_LEVELS = ['city', 'imediata', 'micro', 'meso'];
+
+module.exports = { UFS, REGIOES, TERRITORY_LEVELS };
@@ -0,0 +1,88 @@
+// Dealer records and the occupied-city entries that group them.
+// An occupied entry is { id, city, uf, dealers: [dealer] } and a dealer is
+// { id, name, cnpj, contact, startDate, endDate, status, address, lat, lng, lineId }.
+// `lineId` is the product line the dealer sells (see lines.js).
+// `lat`/`lng` locate the dealer for the exclusivity radius; without them the
+// municipality's seat is used.
+const crypto = require('crypto');
+const CNPJ = require('../shared/cnpj');
+const { httpError } = require('./router');
+
+const DEALER_STATUSES = ['active', 'suspended', 'churned'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Dealer fields are rendered in the admin panel, like lead names
+const MARKUP_PATTERN = /[<>]/;
+
+function validateDealer(body) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const cnpj = CNPJ.clean(body.cnpj);
+    const status = body.status || 'active';
+    const startDate = body.startDate || null;
+    const endDate = body.endDate || null;
+    const contact = typeof body.contact === 'string' ? body.contact.trim() : '';
+    const address = typeof body.address === 'string' ? body.address.trim() : '';
+
+    if (!name) throw httpError(400, 'Nome do revendedor obrigatório');
+    if (MARKUP_PATTERN.test(name)) throw httpError(400, 'Nome do revendedor inválido');
+    if (MARKUP_PATTERN.test(contact)) throw httpError(400, 'Contato inválido');
+    if (MARKUP_PATTERN.test(address)) throw httpError(400, 'Endereço inválido');
+    if (!CNPJ.isValid(cnpj)) throw httpError(400, 'CNPJ inválido');
+    if (!DEALER_STATUSES.includes(status)) throw httpError(400, 'Status inválido');
+    if (startDate && !DATE_PATTERN.test(startDate)) throw httpError(400, 'Data de início inválida');
+    if (endDate && !DATE_PATTERN.test(endDate)) throw httpError(400, 'Data de término inválida');
+    if (startDate && endDate && endDate < startDate) throw httpError(400, 'Término anterior ao início do contrato');
+    const { lat, lng } = validateCoordinates(body);
+
+    return {
+        name,
+        cnpj,
+        contact,
+        startDate,
+        endDate,
+        status,
+        address,
+        lat,
+        lng
+    };
+}
+
+// Both coordinates or neither
+function validateCoordinates(body) {
+    const isEmpty = value => value === null || value === undefined || value === '';
+    if (isEmpty(body.lat) && isEmpty(body.lng)) return { lat: null, lng: null };
+
+    const lat = Number(body.lat);
+    const lng = Number(body.lng);
+    if (isEmpty(body.lat) || isEmpty(body.lng) || !(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) {
+        throw httpError(400, 'Coordenadas inválidas');
+    }
+    return { lat, lng };
+}
+
+// Entries saved before per-dealer records stored a bare `dealers` count;
+// each counted dealer becomes an active placeholder record without CNPJ.
+function migrateOccupied(item) {
+    if (Array.isArray(item.dealers)) return item;
+
+    const count = parseInt(item.dealers) || 0;
+    const dealers = Array.from({ length: count }, (_, i) => ({
+        id: crypto.randomUUID(),
+        name: `Revendedor ${i + 1} (migrado)`,
+        cnpj: null,
+        contact: '',
+        startDate: null,
+        endDate: null,
+        status: 'active'
+    }));
+    return { ...item, id: item.id || crypto.randomUUID(), dealers };
+}
+
+function findDealer(data, dealerId) {
+    for (const entry of data.occupiedCities) {
+        const dealer = entry.dealers.find(d => d.id === dealerId);
+        if (dealer) return { entry, dealer };
+    }
+    throw httpError(404, 'Revendedor não encontrado');
+}
+
+module.exports = { DEALER_STATUSES, MARKUP_PATTERN, validateDealer, migrateOccupied, findDealer };
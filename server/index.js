@@ -0,0 +1,122 @@
+// Dealer Check backend: serves the static app and the REST API.
+// Usage: node server/index.js  (PORT, DATA_DIR and ADMIN_PASSWORD may be set in the environment;
+// without ADMIN_PASSWORD the first run prints a generated password for the 'admin' user)
+// Depends only on Node built-ins; data lives in a JSON file under DATA_DIR.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createRouter, sendJson } = require('./router');
+const { createStore } = require('./store');
+const { createAuth } = require('./auth');
+const { createAuditLog } = require('./audit');
+const { createWebhooks } = require('./webhooks');
+const { startNotifications } = require('./notifications');
+const { registerConfigRoutes } = require('./routes/config');
+const { registerAuthRoutes } = require('./routes/auth');
+const { registerAuditRoutes } = require('./routes/audit');
+const { registerDealerRoutes } = require('./routes/dealers');
+const { registerLeadRoutes } = require('./routes/leads');
+const { registerWaitlistRoutes } = require('./routes/waitlist');
+const { registerAvailabilityRoutes } = require('./routes/availability');
+const { registerWebhookRoutes } = require('./routes/webhooks');
+const { migrate } = require('./migrations');
+
+const PORT = parseInt(process.env.PORT) || 3000;
+const ROOT = path.join(__dirname, '..');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Only the app's own files are exposed; server code, scripts, tests and data are not
+const PRIVATE_DIRS = ['server', 'scripts', 'test', '.git', 'node_modules'];
+
+const store = createStore(path.join(DATA_DIR, 'db.json'));
+migrate(store);
+const audit = createAuditLog(path.join(DATA_DIR, 'audit.log'));
+const auth = createAuth(store);
+auth.ensureBootstrapUser();
+const webhooks = createWebhooks({ store, file: path.join(DATA_DIR, 'webhooks.log') });
+
+const router = createRouter();
+registerAuthRoutes(router, { store, auth });
+registerConfigRoutes(router, { store, audit });
+registerDealerRoutes(router, { store, audit });
+registerLeadRoutes(router, { store, audit });
+registerWaitlistRoutes(router, { store, audit });
+registerAvailabilityRoutes(router, { store });
+registerAuditRoutes(router, { store, audit });
+registerWebhookRoutes(router, { store, webhooks });
+startNotifications({ store, audit, webhooks });
+
+function serveStatic(req, res, url) {
+    let relative;
+    try {
+        relative = path.normalize(decodeURIComponent(url.pathname)).replace(/^([/\\])+/, '');
+    } catch (error) {
+        if (!(error instanceof URIError)) throw error;
+        sendJson(res, 400, { error: 'Endereço inválido' });
+        return;
+    }
+    const file = path.join(ROOT, relative || 'index.html');
+    const topDir = relative.split(/[/\\]/)[0];
+
+    if (!file.startsWith(ROOT) || PRIVATE_DIRS.includes(topDir) || !MIME_TYPES[path.extname(file)]) {
+        sendJson(res, 404, { error: 'Não encontrado' });
+        return;
+    }
+
+    fs.readFile(file, (err, content) => {
+        if (err) {
+            sendJson(res, 404, { error: 'Não encontrado' });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] });
+        res.end(content);
+    });
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (url.pathname.startsWith('/api/')) {
+        req.user = auth.authenticate(req);
+        const handled = await router.handle(req, res, url);
+        if (!handled) sendJson(res, 404, { error: 'Rota não encontrada' });
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendJson(res, 405, { error: 'Método não permitido' });
+        return;
+    }
+    serveStatic(req, res, url);
+}
+
+// Route errors are answered by the router; whatever escapes it (a Host header
+// `new URL` cannot parse, for instance) must not take the process down
+const server = http.createServer(async (req, res) => {
+    try {
+        await handleRequest(req, res);
+    } catch (error) {
+        const invalid = error instanceof URIError || error.code === 'ERR_INVALID_URL';
+        if (!invalid) console.error(`Erro em ${req.method} ${req.url}:`, error);
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        sendJson(res, invalid ? 400 : 500, { error: invalid ? 'Requisição inválida' : 'Erro interno' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Dealer Check rodando em http://localhost:${PORT}`);
+});
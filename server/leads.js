@@ -0,0 +1,53 @@
+// Prospects who asked for a slot from the public result card. A pending lead
+// holds one slot in its city until `holdUntil`; after that it is reported as
+// expired and stops counting toward capacity.
+// A lead is { id, ibgeId, city, uf, lineId, name, phone, email, cnpj, status,
+// createdAt, holdUntil, decidedAt, decidedBy, dealerId }.
+const CNPJ = require('../shared/cnpj');
+const { lineOf } = require('../shared/availability');
+const { httpError } = require('./router');
+
+const LEAD_STATUSES = ['pending', 'approved', 'rejected'];
+const HOLD_DAYS = 7;
+const EMAIL_PATTERN = /^[^\s@<>"']+@[^\s@<>"']+\.[^\s@<>"']+$/;
+// Leads come from anonymous visitors and are shown in the admin panel
+const MARKUP_PATTERN = /[<>]/;
+
+function validateLead(body) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const phone = String(body.phone || '').replace(/\D/g, '');
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+    const cnpj = CNPJ.clean(body.cnpj);
+
+    if (!name) throw httpError(400, 'Nome obrigatório');
+    if (MARKUP_PATTERN.test(name)) throw httpError(400, 'Nome inválido');
+    if (phone.length < 10 || phone.length > 13) throw httpError(400, 'Telefone/WhatsApp inválido');
+    if (!EMAIL_PATTERN.test(email)) throw httpError(400, 'E-mail inválido');
+    if (!CNPJ.isValid(cnpj)) throw httpError(400, 'CNPJ inválido');
+
+    return { name, phone, email, cnpj };
+}
+
+function holdUntil(from = new Date()) {
+    return new Date(from.getTime() + HOLD_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// 'expired' is never stored: a pending lead simply outlives its hold
+function leadStatus(lead, now = new Date()) {
+    return lead.status === 'pending' && lead.holdUntil <= now.toISOString() ? 'expired' : lead.status;
+}
+
+// Slots currently held, without any personal data. Published with the config.
+function activeHolds(data, now = new Date()) {
+    return data.leads
+        .filter(lead => leadStatus(lead, now) === 'pending')
+        .map(lead => ({ ibgeId: lead.ibgeId, lineId: lineOf(lead), until: lead.holdUntil }));
+}
+
+function findLead(data, id) {
+    const lead = data.leads.find(l => l.id === id);
+    if (!lead) throw httpError(404, 'Interessado não encontrado');
+    return lead;
+}
+
+module.exports = { LEAD_STATUSES, HOLD_DAYS, validateLead, holdUntil, leadStatus, activeHolds, findLead };
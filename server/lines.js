@@ -0,0 +1,63 @@
+// Product lines, kept in the config as `productLines`. A line is
+// { id, name } for the main line, whose density settings are the top-level
+// ones, and { id, name, densityRule, densityRules } for the others.
+// Dealers, leads and waitlist entries belong to one line through `lineId`.
+const { DEFAULT_LINE_ID, lineOf } = require('../shared/availability');
+const { httpError } = require('./router');
+
+// Settings each line has its own copy of; the rest of the config is shared
+const LINE_SETTINGS = ['densityRule', 'densityRules'];
+
+function findLine(config, id) {
+    const line = config.productLines.find(l => l.id === id);
+    if (!line) throw httpError(404, 'Linha de produto não encontrada');
+    return line;
+}
+
+// Requests without a line refer to the main line
+function resolveLineId(config, value) {
+    return findLine(config, value || DEFAULT_LINE_ID).id;
+}
+
+function validateLineName(body, config, id = null) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || /[<>]/.test(name)) throw httpError(400, 'Nome da linha inválido');
+    if (config.productLines.some(l => l.id !== id && l.name.toLowerCase() === name.toLowerCase())) {
+        throw httpError(400, 'Já existe uma linha com este nome');
+    }
+    return name;
+}
+
+// The record holding a line's own copy of `key`: the config itself for the
+// main line and for the shared settings
+function settingsOwner(config, lineId, key) {
+    return LINE_SETTINGS.includes(key) && lineId !== DEFAULT_LINE_ID ? findLine(config, lineId) : config;
+}
+
+// The part of `changes` that differs from the line's current settings, next
+// to the values it replaces. Unchanged keys are left out of both sides.
+function diffLineSettings(config, lineId, changes) {
+    const before = {};
+    const after = {};
+    Object.entries(changes).forEach(([key, value]) => {
+        const current = settingsOwner(config, lineId, key)[key];
+        if (JSON.stringify(current) === JSON.stringify(value)) return;
+        before[key] = current;
+        after[key] = value;
+    });
+    return { before, after };
+}
+
+// Mutator helper
+function writeLineSettings(config, lineId, changes) {
+    Object.entries(changes).forEach(([key, value]) => { settingsOwner(config, lineId, key)[key] = value; });
+}
+
+// A line can only be removed once nothing refers to it
+function isLineInUse(data, lineId) {
+    return data.occupiedCities.some(item => item.dealers.some(dealer => lineOf(dealer) === lineId))
+        || data.leads.some(lead => lineOf(lead) === lineId && lead.status === 'pending')
+        || data.waitlist.some(entry => lineOf(entry) === lineId && entry.status === 'waiting');
+}
+
+module.exports = { LINE_SETTINGS, findLine, resolveLineId, validateLineName, diffLineSettings, writeLineSettings, isLineInUse };
@@ -0,0 +1,42 @@
+// Upgrades data saved by older versions of the server. Runs once at startup
+// and only writes when something actually changed.
+const { migrateOccupied } = require('./dealers');
+const { resolveOccupiedCity } = require('./cities');
+
+function migrate(store) {
+    const needsDealerRecords = store.data.occupiedCities.some(item => !Array.isArray(item.dealers));
+
+    if (needsDealerRecords) {
+        store.update(data => {
+            data.occupiedCities = data.occupiedCities.map(migrateOccupied);
+        });
+        console.log('Migração: contagens de revendedores convertidas em registros individuais.');
+    }
+
+    const needsCityIds = store.data.occupiedCities.some(item => item.ibgeId === undefined);
+
+    if (needsCityIds) {
+        store.update(data => {
+            data.occupiedCities = mergeSameCity(data.occupiedCities.map(resolveOccupiedCity));
+        });
+        const unresolved = store.data.occupiedCities.filter(item => item.unresolved).length;
+        console.log(`Migração: praças vinculadas ao código IBGE (${unresolved} sem correspondência, marcadas para revisão).`);
+    }
+}
+
+// Spellings like "Sao Paulo" and "São Paulo" used to create separate entries;
+// once both resolve to the same IBGE id their dealers are combined.
+function mergeSameCity(items) {
+    const merged = [];
+    items.forEach(item => {
+        const same = item.ibgeId && merged.find(i => i.ibgeId === item.ibgeId);
+        if (same) {
+            same.dealers.push(...item.dealers);
+        } else {
+            merged.push(item);
+        }
+    });
+    return merged;
+}
+
+module.exports = { migrate };
@@ -0,0 +1,198 @@
+// Turns changes into webhook events. Dealer and rule changes come straight
+// from the audit log. 'city.available' and 'city.full' are found by checking
+// again what a change touched: the territory of its city, or every territory
+// with dealers or holds in its product line.
+// Expiring contracts are looked for on every change too; both checks also run
+// hourly over everything, which catches contracts entering the warning window
+// and holds lapsing.
+const Availability = require('../shared/availability');
+const { checkAvailability, territoryKey } = require('./availability');
+const { LINE_SETTINGS } = require('./lines');
+const { rulesConfig } = require('./routes/config');
+
+const PERIODIC_CHECK_MS = 60 * 60 * 1000;
+
+function startNotifications({ store, audit, webhooks }) {
+    let statuses = new Map(); // '<line id>|<territory key>' -> { status, ibgeId, lineId } of the last check
+    let checking = null;
+    let queued = []; // scopes of the changes made while a check runs
+
+    audit.subscribe(entry => {
+        emitChangeEvents(webhooks, entry);
+        checkExpiringContracts();
+        scheduleStatusCheck({ scope: changeScope(entry) });
+    });
+
+    // Checks run one at a time; changes made meanwhile are folded into one more run
+    function scheduleStatusCheck({ scope = null, notify = true } = {}) {
+        queued.push(scope);
+        if (!checking) runStatusCheck(notify);
+    }
+
+    function runStatusCheck(notify = true) {
+        const scopes = queued;
+        queued = [];
+        checking = checkStatuses(scopes, notify)
+            .catch(error => console.error('Erro ao verificar praças para webhooks:', error))
+            .finally(() => {
+                checking = null;
+                if (queued.length > 0) runStatusCheck();
+            });
+    }
+
+    // Lines named by a scope are checked whole; elsewhere only the cities
+    // named are, and the other tracked territories keep their last status.
+    // A territory seen for the first time had no dealers before, so it was
+    // available unless its capacity is zero.
+    async function checkStatuses(scopes, notify) {
+        const config = rulesConfig(store.data);
+        const everything = scopes.includes(null);
+        const lineIds = new Set(scopes.filter(scope => scope && scope.lineId).map(scope => scope.lineId));
+        const cityIds = scopes.filter(scope => scope && scope.ibgeId).map(scope => scope.ibgeId);
+        const isWhole = lineId => everything || lineIds.has(lineId);
+        const next = new Map([...statuses].filter(([, tracked]) => !isWhole(tracked.lineId)
+            && config.productLines.some(line => line.id === tracked.lineId)));
+        const checked = new Set();
+
+        for (const line of config.productLines) {
+            const ids = isWhole(line.id) ? trackedCities(config, line.id) : cityIds;
+            for (const ibgeId of ids) {
+                await checkTerritory(config, line.id, ibgeId, next, checked, notify);
+            }
+        }
+        statuses = next;
+    }
+
+    function trackedCities(config, lineId) {
+        const lineConfig = Availability.getLineConfig(config, lineId);
+        return [
+            ...lineConfig.occupiedCities.map(item => item.ibgeId),
+            ...lineConfig.holds.map(hold => hold.ibgeId),
+            ...[...statuses.values()].filter(tracked => tracked.lineId === lineId).map(tracked => tracked.ibgeId)
+        ].filter(Boolean);
+    }
+
+    async function checkTerritory(config, lineId, ibgeId, next, checked, notify) {
+        const key = `${lineId}|${territoryKey(config, ibgeId)}`;
+        if (checked.has(key)) return;
+        checked.add(key);
+
+        let result;
+        try {
+            result = await checkAvailability(config, { ibge: ibgeId, line: lineId });
+        } catch (error) {
+            if (!error.status) throw error;
+            return; // entries with an outdated IBGE code
+        }
+        next.set(key, { status: result.status, ibgeId, lineId });
+        if (result.status === 'nodata') return;
+
+        const previous = statuses.has(key)
+            ? statuses.get(key).status
+            : (result.capacity > 0 ? 'available' : 'unavailable');
+        if (notify && previous !== 'nodata' && previous !== result.status) {
+            webhooks.emit(result.status === 'available' ? 'city.available' : 'city.full', describeResult(result));
+        }
+        // Territories left without dealers are checked once more, then dropped
+        if (result.currentDealers === 0) next.delete(key);
+    }
+
+    function checkExpiringContracts() {
+        const subscribed = store.data.webhooks.some(w => w.active && w.events.includes('contract.expiring'));
+        if (!subscribed) return;
+
+        const config = rulesConfig(store.data);
+        const due = config.occupiedCities.flatMap(entry => Availability.getExpiringDealers(config, entry)
+            .filter(dealer => store.data.expiryNotices[dealer.id] !== dealer.endDate)
+            .map(dealer => ({ entry, dealer })));
+        if (due.length === 0) return;
+
+        due.forEach(({ entry, dealer }) => {
+            webhooks.emit('contract.expiring', {
+                ibgeId: entry.ibgeId,
+                city: entry.city,
+                uf: entry.uf,
+                line: Availability.lineOf(dealer),
+                dealer,
+                daysLeft: Availability.daysUntil(dealer.endDate)
+            });
+        });
+        store.update(data => {
+            due.forEach(({ dealer }) => { data.expiryNotices[dealer.id] = dealer.endDate; });
+        });
+    }
+
+    function checkAll() {
+        checkExpiringContracts();
+        scheduleStatusCheck();
+    }
+
+    // The first pass only records where things stand
+    scheduleStatusCheck({ notify: false });
+    checkExpiringContracts();
+    setInterval(checkAll, PERIODIC_CHECK_MS).unref();
+}
+
+function emitChangeEvents(webhooks, entry) {
+    const where = { ibgeId: entry.ibgeId || (entry.after || entry.before || {}).ibgeId || null, city: entry.city, uf: entry.uf, user: entry.user };
+    // Entries logged before per-dealer records hold a bare count
+    const dealersOf = item => (item && Array.isArray(item.dealers) ? item.dealers : []);
+
+    switch (entry.action) {
+        case 'dealer.create':
+            webhooks.emit('dealer.added', { ...where, dealer: entry.after });
+            break;
+        case 'dealer.delete':
+            webhooks.emit('dealer.removed', { ...where, dealer: entry.before });
+            break;
+        case 'occupied.create':
+            dealersOf(entry.after).forEach(dealer => webhooks.emit('dealer.added', { ...where, dealer }));
+            break;
+        case 'occupied.delete':
+            dealersOf(entry.before).forEach(dealer => webhooks.emit('dealer.removed', { ...where, dealer }));
+            break;
+        case 'config.density': {
+            // Shared settings saved alongside the rules are not density changes
+            const changed = LINE_SETTINGS.filter(key => key in entry.after
+                && JSON.stringify(entry.after[key]) !== JSON.stringify(entry.before[key]));
+            if (changed.length === 0) break;
+            const pick = side => Object.fromEntries(changed.map(key => [key, side[key]]));
+            webhooks.emit('density.changed', { line: entry.lineId || Availability.DEFAULT_LINE_ID, before: pick(entry.before), after: pick(entry.after), user: entry.user });
+            break;
+        }
+    }
+}
+
+// What an audit entry may have changed the availability of: one line's rules
+// ({ lineId }), one city in every line ({ ibgeId }), or everything (null)
+// when shared settings change.
+function changeScope(entry) {
+    if (entry.action === 'config.density') {
+        const shared = Object.keys(entry.after).some(key => !LINE_SETTINGS.includes(key));
+        return shared ? null : { lineId: entry.lineId || Availability.DEFAULT_LINE_ID };
+    }
+    if (entry.action.startsWith('line.')) return { lineId: entry.lineId };
+    const ibgeId = entry.ibgeId || (entry.after || entry.before || {}).ibgeId;
+    return ibgeId ? { ibgeId } : null;
+}
+
+function describeResult(result) {
+    return {
+        ibgeId: result.ibgeId,
+        city: result.city,
+        uf: result.uf,
+        line: result.line.id,
+        status: result.status,
+        capacity: result.capacity,
+        currentDealers: result.currentDealers,
+        freeSlots: result.freeSlots,
+        territory: {
+            level: result.territory.level,
+            label: result.territory.label,
+            name: result.territory.name,
+            members: result.territory.members.map(m => ({ ibgeId: m.ibgeId, name: m.name, uf: m.uf }))
+        }
+    };
+}
+
+module.exports = { startNotifications };
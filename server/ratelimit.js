@@ -0,0 +1,43 @@
+// Sliding-window request counters for the rate limits on public routes.
+// A limiter keeps the recent timestamps of each caller (an IP address or an
+// API key) and forgets callers idle for a whole window, so it does not grow
+// with every address that ever called.
+function createRateLimiter(windowMs) {
+    const hits = new Map(); // caller id -> timestamps inside the window, oldest first
+    let lastSweep = Date.now();
+
+    // At most once per window
+    function sweep(now) {
+        if (now - lastSweep < windowMs) return;
+        hits.forEach((timestamps, id) => {
+            const last = timestamps[timestamps.length - 1];
+            if (!last || now - last >= windowMs) hits.delete(id);
+        });
+        lastSweep = now;
+    }
+
+    // Timestamps of the caller's requests still inside the window
+    function recent(id, now = Date.now()) {
+        sweep(now);
+        return (hits.get(id) || []).filter(t => now - t < windowMs);
+    }
+
+    function record(id, count = 1, now = Date.now()) {
+        hits.set(id, [...recent(id, now), ...Array(count).fill(now)]);
+    }
+
+    function reset(id) {
+        hits.delete(id);
+    }
+
+    return {
+        recent,
+        record,
+        reset,
+        get size() {
+            return hits.size;
+        }
+    };
+}
+
+module.exports = { createRateLimiter };
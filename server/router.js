@@ -0,0 +1,96 @@
+// Minimal router and JSON helpers on top of node:http.
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Paths may contain ':name' segments, exposed to handlers as req.params.name
+function createRouter() {
+    const routes = [];
+
+    function add(method, path, handler) {
+        const keys = [];
+        const pattern = path.replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+        routes.push({ method, regex: new RegExp(`^${pattern}$`), keys, handler });
+    }
+
+    // Resolves with true when a route handled the request
+    async function handle(req, res, url) {
+        const candidates = routes.filter(route => route.regex.test(url.pathname));
+        if (candidates.length === 0) return false;
+
+        const route = candidates.find(r => r.method === req.method);
+        if (!route) {
+            sendJson(res, 405, { error: 'Método não permitido' });
+            return true;
+        }
+
+        const match = url.pathname.match(route.regex);
+        req.query = Object.fromEntries(url.searchParams);
+
+        try {
+            req.params = {};
+            route.keys.forEach((key, i) => { req.params[key] = decodeParam(match[i + 1]); });
+            if (req.method !== 'GET' && req.method !== 'DELETE') {
+                req.body = await readJson(req);
+            }
+            const result = await route.handler(req, res);
+            if (!res.writableEnded) sendJson(res, 200, result === undefined ? { ok: true } : result);
+        } catch (error) {
+            if (!error.status) console.error(`Erro em ${req.method} ${url.pathname}:`, error);
+            sendJson(res, error.status || 500, { error: error.status ? error.message : 'Erro interno' });
+        }
+        return true;
+    }
+
+    return { add, handle };
+}
+
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw httpError(400, 'Endereço inválido');
+    }
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(httpError(413, 'Requisição muito grande'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks.length === 0) return resolve({});
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (e) {
+                reject(httpError(400, 'JSON inválido'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = { createRouter, httpError, sendJson };
@@ -0,0 +1,119 @@
+// Change history and single-entry revert.
+const crypto = require('crypto');
+const { DEFAULT_LINE_ID } = require('../../shared/availability');
+const { httpError } = require('../router');
+const { requireUser, requireRole, requireUf } = require('../auth');
+const { recordOccupied, recordDealer } = require('./dealers');
+const { migrateOccupied } = require('../dealers');
+const { resolveOccupiedCity } = require('../cities');
+const { diffLineSettings, writeLineSettings } = require('../lines');
+
+function registerAuditRoutes(router, { store, audit }) {
+    router.add('GET', '/api/audit', req => {
+        requireUser(req);
+        const { city, uf, user, action } = req.query;
+        return audit.list({ city, uf, user, action, limit: parseInt(req.query.limit) || 200 });
+    });
+
+    // Restores the 'before' side of an entry. The revert itself is logged as a
+    // regular change pointing back to the original entry.
+    router.add('POST', '/api/audit/:id/revert', req => {
+        const entry = audit.find(req.params.id);
+        if (!entry) throw httpError(404, 'Registro não encontrado');
+
+        if (entry.action === 'config.density') {
+            return revertDensity(req, entry, { store, audit });
+        }
+        if (entry.action.startsWith('occupied.')) {
+            return revertOccupied(req, entry, { store, audit });
+        }
+        if (entry.action.startsWith('dealer.')) {
+            return revertDealer(req, entry, { store, audit });
+        }
+        throw httpError(400, 'Este registro não pode ser revertido');
+    });
+}
+
+// Entries logged before product lines existed changed the main line
+function revertDensity(req, entry, { store, audit }) {
+    const user = requireRole(req, 'superadmin');
+    const lineId = entry.lineId || DEFAULT_LINE_ID;
+    const { before, after } = diffLineSettings(store.data.config, lineId, entry.before);
+    if (Object.keys(after).length === 0) throw httpError(409, 'As configurações já estão como antes desta alteração');
+
+    store.update(data => writeLineSettings(data.config, lineId, after));
+    return audit.record({ user: user.username, action: 'config.density', lineId, before, after, revertOf: entry.id });
+}
+
+// Finds the city an entry refers to. Match by id first; a deleted city may
+// have been re-added under a new id since. Entries logged before IBGE ids
+// were stored are resolved from their name.
+function findCurrentEntry(data, id, ref) {
+    const { ibgeId } = resolveOccupiedCity(ref);
+    return data.occupiedCities.find(i => i.id === id)
+        || (ibgeId && data.occupiedCities.find(i => i.ibgeId === ibgeId))
+        || data.occupiedCities.find(i => !i.ibgeId && i.city === ref.city && i.uf === ref.uf)
+        || null;
+}
+
+function revertOccupied(req, entry, { store, audit }) {
+    // Entries logged before per-dealer records hold a bare count
+    const target = entry.before ? resolveOccupiedCity(migrateOccupied(entry.before)) : null;
+    const ref = entry.after || entry.before;
+    const user = requireUf(req, ref.uf);
+    const current = findCurrentEntry(store.data, ref.id, ref);
+    const extra = { revertOf: entry.id };
+
+    if (!target) {
+        if (!current) throw httpError(409, 'A praça já não existe');
+        store.update(data => {
+            data.occupiedCities = data.occupiedCities.filter(i => i.id !== current.id);
+        });
+        return recordOccupied(audit, user, 'occupied.delete', current, null, extra);
+    }
+
+    if (current) {
+        const restored = { ...target, id: current.id };
+        store.update(data => {
+            data.occupiedCities = data.occupiedCities.map(i => (i.id === current.id ? restored : i));
+        });
+        return recordOccupied(audit, user, 'occupied.update', current, restored, extra);
+    }
+
+    store.update(data => { data.occupiedCities.push(target); });
+    return recordOccupied(audit, user, 'occupied.create', null, target, extra);
+}
+
+function revertDealer(req, entry, { store, audit }) {
+    const target = entry.before; // null when the entry created the dealer
+    const dealerId = (entry.after || entry.before).id;
+    const user = requireUf(req, entry.uf);
+    const current = findCurrentEntry(store.data, entry.occupiedId, entry);
+    const currentDealer = current ? current.dealers.find(d => d.id === dealerId) : null;
+    const extra = { revertOf: entry.id };
+
+    if (!target) {
+        if (!currentDealer) throw httpError(409, 'O revendedor já não existe');
+        store.update(data => {
+            const item = data.occupiedCities.find(i => i.id === current.id);
+            item.dealers = item.dealers.filter(d => d.id !== dealerId);
+            if (item.dealers.length === 0) {
+                data.occupiedCities = data.occupiedCities.filter(i => i.id !== item.id);
+            }
+        });
+        return recordDealer(audit, user, 'dealer.delete', current, currentDealer, null, extra);
+    }
+
+    const saved = store.update(data => {
+        let item = current && data.occupiedCities.find(i => i.id === current.id);
+        if (!item) {
+            item = resolveOccupiedCity({ id: crypto.randomUUID(), ibgeId: entry.ibgeId, city: entry.city, uf: entry.uf, dealers: [] });
+            data.occupiedCities.push(item);
+        }
+        item.dealers = [...item.dealers.filter(d => d.id !== dealerId), { ...target }];
+        return item;
+    });
+    return recordDealer(audit, user, currentDealer ? 'dealer.update' : 'dealer.create', saved, currentDealer || null, target, extra);
+}
+
+module.exports = { registerAuditRoutes };
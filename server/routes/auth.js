@@ -0,0 +1,100 @@
+// Login, session and user management.
+const crypto = require('crypto');
+const { httpError } = require('../router');
+const { UFS } = require('../constants');
+const { ROLES, hashPassword, verifyPassword, publicUser, getToken, requireUser, requireRole } = require('../auth');
+const { createRateLimiter } = require('../ratelimit');
+
+const MIN_PASSWORD_LENGTH = 8;
+// Usernames are shown in the admin panel and the change history
+const MARKUP_PATTERN = /[<>]/;
+const LOGIN_WINDOW_MS = 60 * 1000;
+const MAX_LOGIN_FAILURES = 5;
+
+function registerAuthRoutes(router, { store, auth }) {
+    const failures = createRateLimiter(LOGIN_WINDOW_MS); // failed logins by IP address
+
+    router.add('POST', '/api/auth/login', req => {
+        const ip = req.socket.remoteAddress;
+        if (failures.recent(ip).length >= MAX_LOGIN_FAILURES) {
+            throw httpError(429, 'Muitas tentativas. Aguarde um minuto.');
+        }
+
+        try {
+            const session = auth.login(String(req.body.username || ''), String(req.body.password || ''));
+            failures.reset(ip);
+            return session;
+        } catch (error) {
+            failures.record(ip);
+            throw error;
+        }
+    });
+
+    router.add('POST', '/api/auth/logout', req => {
+        auth.logout(getToken(req));
+    });
+
+    router.add('GET', '/api/auth/me', req => requireUser(req));
+
+    router.add('POST', '/api/auth/password', req => {
+        const current = requireUser(req);
+        const user = store.data.users.find(u => u.id === current.id);
+        if (!verifyPassword(String(req.body.currentPassword || ''), user.passwordHash)) {
+            throw httpError(400, 'Senha atual incorreta');
+        }
+        const passwordHash = hashPassword(validatePassword(req.body.newPassword));
+        store.update(data => {
+            data.users.find(u => u.id === current.id).passwordHash = passwordHash;
+        });
+    });
+
+    router.add('GET', '/api/users', req => {
+        requireRole(req, 'superadmin');
+        return store.data.users.map(publicUser);
+    });
+
+    router.add('POST', '/api/users', req => {
+        requireRole(req, 'superadmin');
+        const username = String(req.body.username || '').trim();
+        if (!username) throw httpError(400, 'Usuário obrigatório');
+        if (MARKUP_PATTERN.test(username)) throw httpError(400, 'Usuário inválido');
+        if (store.data.users.some(u => u.username === username)) throw httpError(400, 'Usuário já existe');
+
+        const user = {
+            id: crypto.randomUUID(),
+            username,
+            passwordHash: hashPassword(validatePassword(req.body.password)),
+            ...validateRole(req.body)
+        };
+        store.update(data => { data.users.push(user); });
+        return publicUser(user);
+    });
+
+    router.add('DELETE', '/api/users/:id', req => {
+        const current = requireRole(req, 'superadmin');
+        if (req.params.id === current.id) throw httpError(400, 'Não é possível remover o próprio usuário');
+        if (!store.data.users.some(u => u.id === req.params.id)) throw httpError(404, 'Usuário não encontrado');
+
+        store.update(data => {
+            data.users = data.users.filter(u => u.id !== req.params.id);
+            data.sessions = (data.sessions || []).filter(s => s.userId !== req.params.id);
+        });
+    });
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw httpError(400, `A senha deve ter ao menos ${MIN_PASSWORD_LENGTH} caracteres`);
+    }
+    return password;
+}
+
+function validateRole(body) {
+    if (!ROLES.includes(body.role)) throw httpError(400, 'Perfil inválido');
+    const ufs = Array.isArray(body.ufs) ? body.ufs : [];
+    if (ufs.some(uf => !UFS.includes(uf))) throw httpError(400, 'UF inválida');
+    if (body.role === 'regional' && ufs.length === 0) throw httpError(400, 'Gerente regional precisa de ao menos uma UF');
+    return { role: body.role, ufs: body.role === 'regional' ? ufs : [] };
+}
+
+module.exports = { registerAuthRoutes };
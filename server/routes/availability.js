@@ -0,0 +1,113 @@
+// Read-only availability API, used by the web app, the CRM and partner sites.
+// Callers may send an API key in the X-API-Key header; without one they are
+// limited per IP address, which is plenty for the web app. Batches need a key.
+const { httpError } = require('../router');
+const { requireRole } = require('../auth');
+const { checkAvailability } = require('../availability');
+const { createApiKey, findApiKey, publicApiKey } = require('../apikeys');
+const { createRateLimiter } = require('../ratelimit');
+const { rulesConfig } = require('./config');
+
+const RATE_WINDOW_MS = 60 * 1000;
+const ANONYMOUS_RATE_LIMIT = 60; // requests per minute per IP address
+const MAX_BATCH_SIZE = 100;
+
+function registerAvailabilityRoutes(router, { store }) {
+    const hits = createRateLimiter(RATE_WINDOW_MS); // by 'key:<id>' or 'ip:<address>'
+
+    // Identifies the caller and counts `cost` requests against its limit
+    function throttle(req, res, cost = 1) {
+        const key = req.headers['x-api-key'];
+        const client = key ? findApiKey(store.data, key) : null;
+        if (key && !client) throw httpError(401, 'Chave de API inválida');
+
+        const id = client ? `key:${client.id}` : `ip:${req.socket.remoteAddress}`;
+        const limit = client ? client.rateLimit : ANONYMOUS_RATE_LIMIT;
+        const now = Date.now();
+        const recent = hits.recent(id, now);
+
+        res.setHeader('X-RateLimit-Limit', limit);
+        if (recent.length + cost > limit) {
+            const retryAfter = recent.length > 0 ? recent[0] + RATE_WINDOW_MS - now : RATE_WINDOW_MS;
+            res.setHeader('X-RateLimit-Remaining', Math.max(limit - recent.length, 0));
+            res.setHeader('Retry-After', Math.ceil(retryAfter / 1000));
+            throw httpError(429, 'Limite de requisições excedido. Tente novamente em instantes.');
+        }
+        hits.record(id, cost, now);
+        res.setHeader('X-RateLimit-Remaining', limit - recent.length - cost);
+        return client;
+    }
+
+    router.add('OPTIONS', '/api/availability', (req, res) => preflight(res));
+    router.add('OPTIONS', '/api/availability/batch', (req, res) => preflight(res));
+
+    // ?ibge=<code> | ?cep=<cep> | ?name=<name>&uf=<UF>, plus &line=<id> for a
+    // product line other than the main one
+    router.add('GET', '/api/availability', (req, res) => {
+        allowCors(res);
+        throttle(req, res);
+        return checkAvailability(rulesConfig(store.data), req.query);
+    });
+
+    // { queries: [{ ibge } | { cep } | { name, uf }] } -> { results } in the same
+    // order; a query that cannot be answered comes back as { query, error }.
+    // Each query may name its `line` too.
+    router.add('POST', '/api/availability/batch', async (req, res) => {
+        allowCors(res);
+        if (!req.headers['x-api-key']) throw httpError(401, 'Consultas em lote exigem uma chave de API');
+        const queries = Array.isArray(req.body.queries) ? req.body.queries : [];
+        if (queries.length === 0) throw httpError(400, 'Nenhuma consulta enviada');
+        if (queries.length > MAX_BATCH_SIZE) throw httpError(400, `Máximo de ${MAX_BATCH_SIZE} consultas por lote`);
+        throttle(req, res, queries.length);
+
+        const config = rulesConfig(store.data);
+        const results = [];
+        for (const query of queries) {
+            try {
+                results.push({ query, ...await checkAvailability(config, query || {}) });
+            } catch (error) {
+                if (!error.status) throw error;
+                results.push({ query, error: error.message });
+            }
+        }
+        return { results };
+    });
+
+    router.add('GET', '/api/api-keys', req => {
+        requireRole(req, 'superadmin');
+        return store.data.apiKeys.map(publicApiKey);
+    });
+
+    // The key is only ever returned here
+    router.add('POST', '/api/api-keys', req => {
+        const user = requireRole(req, 'superadmin');
+        const { key, record } = createApiKey(req.body, user);
+        store.update(data => { data.apiKeys.push(record); });
+        return { ...publicApiKey(record), key };
+    });
+
+    router.add('DELETE', '/api/api-keys/:id', req => {
+        requireRole(req, 'superadmin');
+        if (!store.data.apiKeys.some(k => k.id === req.params.id)) throw httpError(404, 'Chave não encontrada');
+        store.update(data => {
+            data.apiKeys = data.apiKeys.filter(k => k.id !== req.params.id);
+        });
+    });
+}
+
+function allowCors(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, Retry-After');
+}
+
+function preflight(res) {
+    allowCors(res);
+    res.writeHead(204, {
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, X-API-Key',
+        'Access-Control-Max-Age': '86400'
+    });
+    res.end();
+}
+
+module.exports = { registerAvailabilityRoutes };
@@ -0,0 +1,139 @@
+// Density configuration and product lines.
+const crypto = require('crypto');
+const { DEFAULT_LINE_ID, toPublicConfig } = require('../../shared/availability');
+const { httpError } = require('../router');
+const { UFS, REGIOES, TERRITORY_LEVELS } = require('../constants');
+const { requireRole } = require('../auth');
+const { activeHolds } = require('../leads');
+const { findLine, resolveLineId, validateLineName, diffLineSettings, writeLineSettings, isLineInUse } = require('../lines');
+
+const MAX_EXCLUSIVITY_RADIUS_KM = 500;
+
+function registerConfigRoutes(router, { store, audit }) {
+    // Dealer records are only sent to signed-in users
+    router.add('GET', '/api/config', req => (req.user ? rulesConfig(store.data) : publicConfig(store.data)));
+
+    // `lineId` picks the line whose density rules are changed (main line by
+    // default); the other settings are shared by every line. Only the settings
+    // that actually change are written and logged, so reverting the entry
+    // later leaves the others alone.
+    router.add('PUT', '/api/config/density', req => {
+        const user = requireRole(req, 'superadmin');
+        const lineId = resolveLineId(store.data.config, req.body.lineId);
+        const { before, after } = diffLineSettings(store.data.config, lineId, validateDensityConfig(req.body));
+        if (Object.keys(after).length > 0) {
+            store.update(data => writeLineSettings(data.config, lineId, after));
+            audit.record({ user: user.username, action: 'config.density', lineId, before, after });
+        }
+        return rulesConfig(store.data);
+    });
+
+    // A new line starts from the main line's default ratio, without rules of its own
+    router.add('POST', '/api/config/lines', req => {
+        const user = requireRole(req, 'superadmin');
+        const line = {
+            id: `line-${crypto.randomUUID()}`,
+            name: validateLineName(req.body, store.data.config),
+            densityRule: store.data.config.densityRule,
+            densityRules: []
+        };
+        store.update(data => { data.config.productLines.push(line); });
+        audit.record({ user: user.username, action: 'line.create', lineId: line.id, before: null, after: line });
+        return rulesConfig(store.data);
+    });
+
+    router.add('PUT', '/api/config/lines/:id', req => {
+        const user = requireRole(req, 'superadmin');
+        const before = findLine(store.data.config, req.params.id);
+        const name = validateLineName(req.body, store.data.config, before.id);
+        const after = store.update(data => Object.assign(findLine(data.config, before.id), { name }));
+        audit.record({ user: user.username, action: 'line.update', lineId: before.id, before, after });
+        return rulesConfig(store.data);
+    });
+
+    router.add('DELETE', '/api/config/lines/:id', req => {
+        const user = requireRole(req, 'superadmin');
+        const before = findLine(store.data.config, req.params.id);
+        if (before.id === DEFAULT_LINE_ID) throw httpError(400, 'A linha principal não pode ser removida');
+        if (isLineInUse(store.data, before.id)) throw httpError(409, 'Esta linha ainda tem revendedores, reservas ou fila de espera');
+
+        store.update(data => {
+            data.config.productLines = data.config.productLines.filter(l => l.id !== before.id);
+        });
+        audit.record({ user: user.username, action: 'line.delete', lineId: before.id, before, after: null });
+        return rulesConfig(store.data);
+    });
+}
+
+// The config the availability rules work on (see shared/availability.js),
+// with the full dealer records
+function rulesConfig(data) {
+    return { ...data.config, occupiedCities: data.occupiedCities, holds: activeHolds(data), updatedAt: data.updatedAt };
+}
+
+// What anonymous visitors get: dealer counts, statuses and end dates only
+function publicConfig(data) {
+    return toPublicConfig(rulesConfig(data));
+}
+
+function validateDensityConfig(body) {
+    const changes = {};
+
+    if (body.densityRule !== undefined) {
+        const value = parseInt(body.densityRule);
+        if (!(value > 0)) throw httpError(400, 'Regra de densidade inválida');
+        changes.densityRule = value;
+    }
+    if (body.territoryLevel !== undefined) {
+        if (!TERRITORY_LEVELS.includes(body.territoryLevel)) throw httpError(400, 'Nível territorial inválido');
+        changes.territoryLevel = body.territoryLevel;
+    }
+    if (body.warningDays !== undefined) {
+        const value = parseInt(body.warningDays);
+        if (!(value >= 0)) throw httpError(400, 'Prazo de aviso inválido');
+        changes.warningDays = value;
+    }
+    if (body.exclusivityRadiusKm !== undefined) {
+        if (body.exclusivityRadiusKm === null || body.exclusivityRadiusKm === '') {
+            changes.exclusivityRadiusKm = null;
+        } else {
+            const value = Number(body.exclusivityRadiusKm);
+            if (!(value > 0 && value <= MAX_EXCLUSIVITY_RADIUS_KM)) throw httpError(400, 'Raio de exclusividade inválido');
+            changes.exclusivityRadiusKm = value;
+        }
+    }
+    if (body.densityRules !== undefined) {
+        if (!Array.isArray(body.densityRules)) throw httpError(400, 'Regras de densidade inválidas');
+        changes.densityRules = body.densityRules.map(validateDensityRule);
+    }
+    return changes;
+}
+
+function validateDensityRule(rule) {
+    const optionalInt = value => (value === null || value === undefined || value === '' ? null : parseInt(value));
+    const match = rule.match || {};
+    const ratio = parseInt(rule.ratio);
+
+    if (!rule.name || typeof rule.name !== 'string') throw httpError(400, 'Regra sem nome');
+    if (/[<>]/.test(rule.name)) throw httpError(400, 'Nome da regra inválido');
+    if (!(ratio > 0)) throw httpError(400, `Regra "${rule.name}": habitantes por revendedor inválido`);
+    if (match.uf && !UFS.includes(match.uf)) throw httpError(400, `Regra "${rule.name}": UF inválida`);
+    if (match.regiao && !REGIOES.includes(match.regiao)) throw httpError(400, `Regra "${rule.name}": região inválida`);
+
+    return {
+        id: rule.id || `rule-${crypto.randomUUID()}`,
+        name: rule.name.trim(),
+        match: {
+            uf: match.uf || null,
+            regiao: match.regiao || null,
+            popMin: optionalInt(match.popMin),
+            popMax: optionalInt(match.popMax),
+            ibgeIds: Array.isArray(match.ibgeIds) ? match.ibgeIds.map(Number).filter(Boolean) : []
+        },
+        ratio,
+        minSlots: optionalInt(rule.minSlots) || 0,
+        maxSlots: optionalInt(rule.maxSlots)
+    };
+}
+
+module.exports = { registerConfigRoutes, rulesConfig, publicConfig };
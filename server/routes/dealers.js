@@ -0,0 +1,238 @@
+// Occupied cities and the dealer records inside them.
+const crypto = require('crypto');
+const { lineOf } = require('../../shared/availability');
+const { httpError } = require('../router');
+const { UFS } = require('../constants');
+const { requireUser, requireRole, requireUf } = require('../auth');
+const { MARKUP_PATTERN, validateDealer, migrateOccupied, findDealer } = require('../dealers');
+const { validateCity, resolveOccupiedCity } = require('../cities');
+const { resolveLineId } = require('../lines');
+
+function registerDealerRoutes(router, { store, audit }) {
+    router.add('GET', '/api/occupied', req => {
+        requireUser(req);
+        return store.data.occupiedCities;
+    });
+
+    // Removes the city together with all of its dealers. With ?line=<id> only
+    // that line's dealers go, each logged like a single removal, and the city
+    // stays while other lines still have dealers in it.
+    router.add('DELETE', '/api/occupied/:id', req => {
+        const before = findOccupied(store.data, req.params.id);
+        const user = requireUf(req, before.uf);
+
+        if (req.query.line) {
+            const lineId = resolveLineId(store.data.config, req.query.line);
+            const removed = before.dealers.filter(dealer => lineOf(dealer) === lineId);
+            store.update(data => {
+                const item = data.occupiedCities.find(i => i.id === before.id);
+                item.dealers = item.dealers.filter(dealer => lineOf(dealer) !== lineId);
+                if (item.dealers.length === 0) {
+                    data.occupiedCities = data.occupiedCities.filter(i => i.id !== before.id);
+                }
+            });
+            removed.forEach(dealer => recordDealer(audit, user, 'dealer.delete', before, dealer, null));
+            return;
+        }
+
+        store.update(data => {
+            data.occupiedCities = data.occupiedCities.filter(i => i.id !== req.params.id);
+        });
+        recordOccupied(audit, user, 'occupied.delete', before, null);
+    });
+
+    // Points an entry at an IBGE municipality: { ibgeId }. Used to fix entries
+    // the migration could not resolve. When the city already has an entry the
+    // dealers are moved into it and this one is removed.
+    router.add('PUT', '/api/occupied/:id', req => {
+        const before = findOccupied(store.data, req.params.id);
+        const location = validateCity(req.body);
+        requireUf(req, before.uf);
+        const user = requireUf(req, location.uf);
+        const target = store.data.occupiedCities.find(i => i.id !== before.id && i.ibgeId === location.ibgeId);
+
+        if (!target) {
+            const after = store.update(data => {
+                const item = data.occupiedCities.find(i => i.id === before.id);
+                delete item.unresolved;
+                return Object.assign(item, location);
+            });
+            recordOccupied(audit, user, 'occupied.update', before, after);
+            return after;
+        }
+
+        before.dealers.forEach(dealer => assertUniqueCnpj(target, dealer));
+        const after = store.update(data => {
+            const item = data.occupiedCities.find(i => i.id === target.id);
+            item.dealers.push(...before.dealers);
+            data.occupiedCities = data.occupiedCities.filter(i => i.id !== before.id);
+            return item;
+        });
+        recordOccupied(audit, user, 'occupied.delete', before, null);
+        recordOccupied(audit, user, 'occupied.update', target, after);
+        return after;
+    });
+
+    // Adds a dealer to a city, creating the city entry on first use. The
+    // dealer joins the line in `lineId`, the main line by default.
+    router.add('POST', '/api/dealers', req => {
+        const location = validateCity(req.body);
+        const user = requireUf(req, location.uf);
+        const dealer = { id: crypto.randomUUID(), ...validateDealer(req.body), lineId: resolveLineId(store.data.config, req.body.lineId) };
+        const existing = store.data.occupiedCities.find(i => i.ibgeId === location.ibgeId);
+        assertUniqueCnpj(existing, dealer);
+
+        const entry = store.update(data => pushDealer(data, location, dealer));
+        recordDealer(audit, user, 'dealer.create', entry, null, dealer);
+        return entry;
+    });
+
+    router.add('PUT', '/api/dealers/:id', req => {
+        const { entry, dealer } = findDealer(store.data, req.params.id);
+        const user = requireUf(req, entry.uf);
+        const updated = { id: dealer.id, ...validateDealer(req.body), lineId: resolveLineId(store.data.config, req.body.lineId || lineOf(dealer)) };
+        assertUniqueCnpj(entry, updated);
+
+        const saved = store.update(data => {
+            const found = findDealer(data, dealer.id);
+            Object.assign(found.dealer, updated);
+            return found.entry;
+        });
+        recordDealer(audit, user, 'dealer.update', saved, dealer, updated);
+        return saved;
+    });
+
+    // Cities left without dealers are removed from the occupied list
+    router.add('DELETE', '/api/dealers/:id', req => {
+        const { entry, dealer } = findDealer(store.data, req.params.id);
+        const user = requireUf(req, entry.uf);
+
+        store.update(data => {
+            const found = findDealer(data, dealer.id);
+            found.entry.dealers = found.entry.dealers.filter(d => d.id !== dealer.id);
+            if (found.entry.dealers.length === 0) {
+                data.occupiedCities = data.occupiedCities.filter(i => i.id !== found.entry.id);
+            }
+        });
+        recordDealer(audit, user, 'dealer.delete', entry, dealer, null);
+    });
+
+    // Bulk upload from a spreadsheet: { rows: [{ ibgeId, uf, lineId, name, cnpj, contact, status, startDate, endDate }] }.
+    // Rows are checked one by one; the valid ones are saved in a single write
+    // and the rest come back as { row, error } with their index in `rows`.
+    router.add('POST', '/api/dealers/import', req => {
+        const user = requireRole(req, 'regional', 'superadmin');
+        const rows = Array.isArray(req.body.rows) ? req.body.rows : [];
+        const accepted = [];
+        const errors = [];
+
+        rows.forEach((raw, row) => {
+            try {
+                const location = validateCity(raw);
+                requireUf(req, location.uf);
+                const dealer = { id: crypto.randomUUID(), ...validateDealer(raw), lineId: resolveLineId(store.data.config, raw.lineId) };
+                const existing = store.data.occupiedCities.find(i => i.ibgeId === location.ibgeId);
+                assertUniqueCnpj(existing, dealer);
+                if (accepted.some(a => a.location.ibgeId === location.ibgeId && a.dealer.cnpj === dealer.cnpj && a.dealer.lineId === dealer.lineId)) {
+                    throw httpError(400, 'CNPJ repetido na planilha');
+                }
+                accepted.push({ location, dealer });
+            } catch (error) {
+                if (!error.status) throw error;
+                errors.push({ row, error: error.message });
+            }
+        });
+
+        const saved = store.update(data => accepted.map(({ location, dealer }) => {
+            const item = pushDealer(data, location, dealer);
+            return { entry: { id: item.id, ...location }, dealer };
+        }));
+        saved.forEach(({ entry, dealer }) => {
+            recordDealer(audit, user, 'dealer.create', entry, null, dealer, { source: 'import' });
+        });
+        return { imported: saved.length, errors, occupiedCities: store.data.occupiedCities };
+    });
+
+    // One-off upload of a pre-backend list kept in a browser: { occupiedCities: [{ city, uf, dealers: n }] }.
+    // Names are resolved to IBGE ids like the startup migration does; cities
+    // already on the server are left untouched.
+    router.add('POST', '/api/occupied/import-legacy', req => {
+        const user = requireRole(req, 'superadmin');
+        const items = Array.isArray(req.body.occupiedCities) ? req.body.occupiedCities : [];
+        let imported = 0;
+        let skipped = 0;
+
+        items.forEach(raw => {
+            const { city, uf } = validateLocation(raw);
+            const entry = resolveOccupiedCity(migrateOccupied({ city, uf, dealers: parseInt(raw.dealers) || 0 }));
+            const exists = entry.ibgeId
+                ? store.data.occupiedCities.some(i => i.ibgeId === entry.ibgeId)
+                : store.data.occupiedCities.some(i => i.city === city && i.uf === uf);
+            if (exists) {
+                skipped++;
+                return;
+            }
+            store.update(data => { data.occupiedCities.push(entry); });
+            recordOccupied(audit, user, 'occupied.create', null, entry);
+            imported++;
+        });
+        return { imported, skipped };
+    });
+}
+
+function findOccupied(data, id) {
+    const item = data.occupiedCities.find(i => i.id === id);
+    if (!item) throw httpError(404, 'Praça não encontrada');
+    return item;
+}
+
+// Free-text location, only used for legacy uploads. Names that match no
+// municipality are kept as typed and shown in the admin panel.
+function validateLocation(body) {
+    const city = typeof body.city === 'string' ? body.city.trim() : '';
+    if (!city) throw httpError(400, 'Cidade obrigatória');
+    if (MARKUP_PATTERN.test(city)) throw httpError(400, 'Cidade inválida');
+    if (!UFS.includes(body.uf)) throw httpError(400, 'UF inválida');
+    return { city, uf: body.uf };
+}
+
+// Mutator helper: adds the dealer to the city's entry, creating the entry on
+// first use. Returns the entry.
+function pushDealer(data, location, dealer) {
+    let item = data.occupiedCities.find(i => i.ibgeId === location.ibgeId);
+    if (!item) {
+        item = { id: crypto.randomUUID(), ...location, dealers: [] };
+        data.occupiedCities.push(item);
+    }
+    item.dealers.push(dealer);
+    return item;
+}
+
+// A company may sell several lines in the same city, each once
+function assertUniqueCnpj(entry, dealer) {
+    // Migrated placeholder records have no CNPJ and never clash
+    if (dealer.cnpj && entry && entry.dealers.some(d => d.id !== dealer.id && d.cnpj === dealer.cnpj && lineOf(d) === lineOf(dealer))) {
+        throw httpError(400, 'CNPJ já cadastrado nesta cidade para esta linha');
+    }
+}
+
+function recordOccupied(audit, user, action, before, after, extra = {}) {
+    const ref = after || before;
+    return audit.record({ user: user.username, action, city: ref.city, uf: ref.uf, before, after, ...extra });
+}
+
+function recordDealer(audit, user, action, entry, before, after, extra = {}) {
+    return audit.record({
+        user: user.username,
+        action,
+        city: entry.city,
+        uf: entry.uf,
+        ibgeId: entry.ibgeId,
+        occupiedId: entry.id,
+        before,
+        after,
+        ...extra
+    });
+}
+
+module.exports = { registerDealerRoutes, pushDealer, assertUniqueCnpj, recordOccupied, recordDealer };
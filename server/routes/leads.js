@@ -0,0 +1,137 @@
+// "Tenho interesse" requests from the public result card and the admin
+// pipeline that turns them into dealers.
+const crypto = require('crypto');
+const { lineOf } = require('../../shared/availability');
+const { httpError } = require('../router');
+const { requireUser, requireUf } = require('../auth');
+const { validateDealer } = require('../dealers');
+const { validateCity } = require('../cities');
+const { validateLead, holdUntil, leadStatus, activeHolds, findLead } = require('../leads');
+const { resolveLineId } = require('../lines');
+const { checkAvailability } = require('../availability');
+const { createRateLimiter } = require('../ratelimit');
+const { pushDealer, assertUniqueCnpj, recordDealer } = require('./dealers');
+const { rulesConfig } = require('./config');
+
+const LEAD_WINDOW_MS = 60 * 60 * 1000;
+const MAX_LEADS_PER_WINDOW = 5;
+
+function registerLeadRoutes(router, { store, audit }) {
+    const submissions = createRateLimiter(LEAD_WINDOW_MS); // leads by IP address
+
+    // Public: { ibgeId, uf, lineId, name, phone, email, cnpj }. Holds one slot
+    // of the line in the city for HOLD_DAYS and returns { id, until }. Full
+    // cities are refused; their visitors join the waitlist instead.
+    router.add('POST', '/api/leads', async req => {
+        const ip = req.socket.remoteAddress;
+        const now = Date.now();
+        if (submissions.recent(ip, now).length >= MAX_LEADS_PER_WINDOW) {
+            throw httpError(429, 'Muitas solicitações. Tente novamente mais tarde.');
+        }
+
+        const location = validateCity(req.body);
+        const lineId = resolveLineId(store.data.config, req.body.lineId);
+        const contact = validateLead(req.body);
+        const entry = store.data.occupiedCities.find(i => i.ibgeId === location.ibgeId);
+        if (entry && entry.dealers.some(d => d.cnpj === contact.cnpj && lineOf(d) === lineId)) {
+            throw httpError(400, 'Este CNPJ já é revendedor desta linha nesta cidade');
+        }
+        if (store.data.leads.some(l => l.ibgeId === location.ibgeId && lineOf(l) === lineId && l.cnpj === contact.cnpj && leadStatus(l) === 'pending')) {
+            throw httpError(400, 'Já existe uma reserva ativa para este CNPJ nesta cidade');
+        }
+        const availability = await checkAvailability(rulesConfig(store.data), { ibge: location.ibgeId, line: lineId });
+        if (availability.status !== 'available') {
+            throw httpError(409, 'Esta praça não tem vaga disponível: entre na fila de espera');
+        }
+
+        const lead = {
+            id: crypto.randomUUID(),
+            ...location,
+            lineId,
+            ...contact,
+            status: 'pending',
+            createdAt: new Date(now).toISOString(),
+            holdUntil: holdUntil(new Date(now)),
+            decidedAt: null,
+            decidedBy: null,
+            dealerId: null
+        };
+        store.update(data => { data.leads.push(lead); });
+        submissions.record(ip);
+        audit.record({ action: 'lead.create', city: lead.city, uf: lead.uf, ibgeId: lead.ibgeId, after: { id: lead.id, name: lead.name, holdUntil: lead.holdUntil } });
+        return { id: lead.id, until: lead.holdUntil };
+    });
+
+    // The leads of one product line (?line=<id>, main line by default),
+    // newest first, with expired holds reported as such
+    router.add('GET', '/api/leads', req => {
+        requireUser(req);
+        const lineId = resolveLineId(store.data.config, req.query.line);
+        return store.data.leads
+            .filter(lead => lineOf(lead) === lineId)
+            .map(lead => ({ ...lead, status: leadStatus(lead) }))
+            .reverse();
+    });
+
+    // Converts the lead into an active dealer starting today. Expired holds
+    // can still be approved; the slot is then taken only if one is free. The
+    // status is checked again inside the update, since the slot check awaits
+    // and a second approval of the same lead may have landed meanwhile.
+    router.add('POST', '/api/leads/:id/approve', async req => {
+        const lead = findLead(store.data, req.params.id);
+        const user = requireUf(req, lead.uf);
+        assertUndecided(lead);
+        if (leadStatus(lead) === 'expired') await assertFreeSlot(store.data, lead);
+
+        const location = { ibgeId: lead.ibgeId, city: lead.city, uf: lead.uf };
+        const dealer = {
+            id: crypto.randomUUID(),
+            ...validateDealer({
+                name: lead.name,
+                cnpj: lead.cnpj,
+                contact: `${lead.phone} · ${lead.email}`,
+                status: 'active',
+                startDate: new Date().toISOString().slice(0, 10)
+            }),
+            lineId: lineOf(lead)
+        };
+        assertUniqueCnpj(store.data.occupiedCities.find(i => i.ibgeId === lead.ibgeId), dealer);
+
+        const { entry, saved } = store.update(data => {
+            const item = data.leads.find(l => l.id === lead.id);
+            assertUndecided(item);
+            Object.assign(item, { status: 'approved', decidedAt: new Date().toISOString(), decidedBy: user.username, dealerId: dealer.id });
+            return { entry: pushDealer(data, location, dealer), saved: item };
+        });
+        recordDealer(audit, user, 'dealer.create', entry, null, dealer, { source: 'lead', leadId: lead.id });
+        return { lead: saved, entry };
+    });
+
+    router.add('POST', '/api/leads/:id/reject', req => {
+        const lead = findLead(store.data, req.params.id);
+        const user = requireUf(req, lead.uf);
+        assertUndecided(lead);
+
+        const saved = store.update(data => {
+            const item = data.leads.find(l => l.id === lead.id);
+            return Object.assign(item, { status: 'rejected', decidedAt: new Date().toISOString(), decidedBy: user.username });
+        });
+        audit.record({ user: user.username, action: 'lead.reject', city: lead.city, uf: lead.uf, ibgeId: lead.ibgeId, before: { id: lead.id, name: lead.name }, after: null });
+        return saved;
+    });
+}
+
+function assertUndecided(lead) {
+    if (lead.status !== 'pending') throw httpError(409, 'Este interessado já foi analisado');
+}
+
+// Counts every other hold in the city but never the lead's own
+async function assertFreeSlot(data, lead) {
+    const holds = activeHolds({ leads: data.leads.filter(l => l.id !== lead.id) });
+    const availability = await checkAvailability({ ...rulesConfig(data), holds }, { ibge: lead.ibgeId, line: lineOf(lead) });
+    if (availability.status !== 'available') {
+        throw httpError(409, 'A reserva expirou e a praça não tem mais vaga nesta linha');
+    }
+}
+
+module.exports = { registerLeadRoutes };
@@ -0,0 +1,179 @@
+// Waitlist for full cities: prospects join from the public result card and
+// admins work the line from the queue screen.
+const crypto = require('crypto');
+const { lineOf } = require('../../shared/availability');
+const { httpError } = require('../router');
+const { requireUser, requireUf } = require('../auth');
+const { validateCity } = require('../cities');
+const { validateLead, holdUntil, leadStatus } = require('../leads');
+const { cityQueue, queuePosition, findWaitlistEntry } = require('../waitlist');
+const { resolveLineId } = require('../lines');
+const { checkAvailability } = require('../availability');
+const { createRateLimiter } = require('../ratelimit');
+const { rulesConfig } = require('./config');
+
+const JOIN_WINDOW_MS = 60 * 60 * 1000;
+const MAX_JOINS_PER_WINDOW = 5;
+
+function registerWaitlistRoutes(router, { store, audit }) {
+    const submissions = createRateLimiter(JOIN_WINDOW_MS); // joins by IP address
+
+    // Public: { ibgeId, uf, lineId, name, phone, email, cnpj }. Only full
+    // cities have a line; open ones take a "Tenho interesse" lead instead.
+    router.add('POST', '/api/waitlist', async req => {
+        const ip = req.socket.remoteAddress;
+        const now = Date.now();
+        if (submissions.recent(ip, now).length >= MAX_JOINS_PER_WINDOW) {
+            throw httpError(429, 'Muitas solicitações. Tente novamente mais tarde.');
+        }
+
+        const location = validateCity(req.body);
+        const lineId = resolveLineId(store.data.config, req.body.lineId);
+        const contact = validateLead(req.body);
+        const occupied = store.data.occupiedCities.find(i => i.ibgeId === location.ibgeId);
+        if (occupied && occupied.dealers.some(d => d.cnpj === contact.cnpj && lineOf(d) === lineId)) {
+            throw httpError(400, 'Este CNPJ já é revendedor desta linha nesta cidade');
+        }
+        if (cityQueue(store.data, location.ibgeId, lineId).some(e => e.cnpj === contact.cnpj)) {
+            throw httpError(400, 'Este CNPJ já está na fila desta cidade');
+        }
+        const availability = await checkAvailability(rulesConfig(store.data), { ibge: location.ibgeId, line: lineId });
+        if (availability.status === 'available') {
+            throw httpError(409, 'Esta praça tem vaga disponível: use "Tenho interesse"');
+        }
+
+        const timestamp = new Date(now).toISOString();
+        const entry = {
+            id: crypto.randomUUID(),
+            ...location,
+            lineId,
+            ...contact,
+            status: 'waiting',
+            createdAt: timestamp,
+            queuedAt: timestamp,
+            skips: 0,
+            decidedAt: null,
+            decidedBy: null,
+            leadId: null
+        };
+        store.update(data => { data.waitlist.push(entry); });
+        submissions.record(ip);
+        audit.record({ action: 'waitlist.create', city: entry.city, uf: entry.uf, ibgeId: entry.ibgeId, after: { id: entry.id, name: entry.name } });
+        return describePlace(store.data, entry);
+    });
+
+    // Public: where a prospect stands, looked up by the id they got on joining
+    router.add('GET', '/api/waitlist/:id', req => {
+        return describePlace(store.data, findWaitlistEntry(store.data, req.params.id));
+    });
+
+    // The entries of one product line (?line=<id>, main line by default),
+    // newest first, with their position while waiting. `slots` tells, for
+    // each city with a line, whether a slot has opened since.
+    router.add('GET', '/api/waitlist', async req => {
+        requireUser(req);
+        const lineId = resolveLineId(store.data.config, req.query.line);
+        const config = rulesConfig(store.data);
+        const lineEntries = store.data.waitlist.filter(e => lineOf(e) === lineId);
+        const cityIds = [...new Set(lineEntries.filter(e => e.status === 'waiting').map(e => e.ibgeId))];
+        const slots = {};
+        for (const ibgeId of cityIds) {
+            const result = await checkAvailability(config, { ibge: ibgeId, line: lineId });
+            slots[ibgeId] = { status: result.status, freeSlots: result.freeSlots };
+        }
+
+        const entries = lineEntries
+            .map(entry => ({ ...entry, position: queuePosition(store.data, entry), leadStatus: leadStatusOf(store.data, entry) }))
+            .reverse();
+        return { entries, slots };
+    });
+
+    // Turns the entry into a lead holding the open slot, so the offer goes
+    // through the usual lead review. Anyone in line can be offered the slot.
+    router.add('POST', '/api/waitlist/:id/offer', async req => {
+        const entry = findWaitlistEntry(store.data, req.params.id);
+        const user = requireUf(req, entry.uf);
+        assertWaiting(entry);
+        const availability = await checkAvailability(rulesConfig(store.data), { ibge: entry.ibgeId, line: lineOf(entry) });
+        if (availability.status !== 'available') throw httpError(409, 'Não há vaga aberta nesta praça');
+
+        const now = new Date();
+        const lead = {
+            id: crypto.randomUUID(),
+            ibgeId: entry.ibgeId,
+            city: entry.city,
+            uf: entry.uf,
+            lineId: lineOf(entry),
+            name: entry.name,
+            phone: entry.phone,
+            email: entry.email,
+            cnpj: entry.cnpj,
+            status: 'pending',
+            createdAt: now.toISOString(),
+            holdUntil: holdUntil(now),
+            decidedAt: null,
+            decidedBy: null,
+            dealerId: null,
+            waitlistId: entry.id
+        };
+        const saved = store.update(data => {
+            data.leads.push(lead);
+            const item = data.waitlist.find(e => e.id === entry.id);
+            return Object.assign(item, { status: 'offered', decidedAt: lead.createdAt, decidedBy: user.username, leadId: lead.id });
+        });
+        audit.record({ user: user.username, action: 'waitlist.offer', city: entry.city, uf: entry.uf, ibgeId: entry.ibgeId, before: { id: entry.id, name: entry.name }, after: { id: lead.id, name: lead.name, holdUntil: lead.holdUntil } });
+        return { entry: saved, lead };
+    });
+
+    // Sends the entry to the back of its city's line (e.g. could not be reached)
+    router.add('POST', '/api/waitlist/:id/skip', req => {
+        const entry = findWaitlistEntry(store.data, req.params.id);
+        const user = requireUf(req, entry.uf);
+        assertWaiting(entry);
+
+        const saved = store.update(data => {
+            const item = data.waitlist.find(e => e.id === entry.id);
+            return Object.assign(item, { queuedAt: new Date().toISOString(), skips: item.skips + 1 });
+        });
+        audit.record({ user: user.username, action: 'waitlist.skip', city: entry.city, uf: entry.uf, ibgeId: entry.ibgeId, before: { id: entry.id, name: entry.name }, after: { id: entry.id, name: entry.name } });
+        return { ...saved, position: queuePosition(store.data, saved) };
+    });
+
+    router.add('POST', '/api/waitlist/:id/remove', req => {
+        const entry = findWaitlistEntry(store.data, req.params.id);
+        const user = requireUf(req, entry.uf);
+        assertWaiting(entry);
+
+        const saved = store.update(data => {
+            const item = data.waitlist.find(e => e.id === entry.id);
+            return Object.assign(item, { status: 'removed', decidedAt: new Date().toISOString(), decidedBy: user.username });
+        });
+        audit.record({ user: user.username, action: 'waitlist.remove', city: entry.city, uf: entry.uf, ibgeId: entry.ibgeId, before: { id: entry.id, name: entry.name }, after: null });
+        return saved;
+    });
+}
+
+// What the prospect may see: no contact data
+function describePlace(data, entry) {
+    return {
+        id: entry.id,
+        ibgeId: entry.ibgeId,
+        city: entry.city,
+        uf: entry.uf,
+        status: entry.status,
+        position: queuePosition(data, entry),
+        total: cityQueue(data, entry.ibgeId, lineOf(entry)).length
+    };
+}
+
+// Offered entries follow the lead created for them
+function leadStatusOf(data, entry) {
+    const lead = entry.leadId && data.leads.find(l => l.id === entry.leadId);
+    return lead ? leadStatus(lead) : null;
+}
+
+function assertWaiting(entry) {
+    if (entry.status !== 'waiting') throw httpError(409, 'Este registro já saiu da fila');
+}
+
+module.exports = { registerWaitlistRoutes };
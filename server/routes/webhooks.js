@@ -0,0 +1,65 @@
+// Webhook registrations and their delivery log (superadmins only).
+const crypto = require('crypto');
+const { httpError } = require('../router');
+const { requireRole } = require('../auth');
+const { validateWebhook, createSecret, publicWebhook } = require('../webhooks');
+
+function registerWebhookRoutes(router, { store, webhooks }) {
+    function findWebhook(id) {
+        const webhook = store.data.webhooks.find(w => w.id === id);
+        if (!webhook) throw httpError(404, 'Webhook não encontrado');
+        return webhook;
+    }
+
+    router.add('GET', '/api/webhooks', req => {
+        requireRole(req, 'superadmin');
+        return store.data.webhooks.map(publicWebhook);
+    });
+
+    // The secret is only ever returned here
+    router.add('POST', '/api/webhooks', req => {
+        const user = requireRole(req, 'superadmin');
+        const record = {
+            id: crypto.randomUUID(),
+            ...validateWebhook(req.body),
+            secret: createSecret(),
+            createdAt: new Date().toISOString(),
+            createdBy: user.username
+        };
+        store.update(data => { data.webhooks.push(record); });
+        return record;
+    });
+
+    router.add('PUT', '/api/webhooks/:id', req => {
+        requireRole(req, 'superadmin');
+        const current = findWebhook(req.params.id);
+        const changes = validateWebhook({ ...current, ...req.body });
+        return store.update(data => {
+            const webhook = data.webhooks.find(w => w.id === current.id);
+            Object.assign(webhook, changes);
+            return publicWebhook(webhook);
+        });
+    });
+
+    router.add('DELETE', '/api/webhooks/:id', req => {
+        requireRole(req, 'superadmin');
+        findWebhook(req.params.id);
+        store.update(data => {
+            data.webhooks = data.webhooks.filter(w => w.id !== req.params.id);
+        });
+    });
+
+    // Sends a 'ping' event right away and returns the logged attempt
+    router.add('POST', '/api/webhooks/:id/test', req => {
+        requireRole(req, 'superadmin');
+        return webhooks.ping(findWebhook(req.params.id));
+    });
+
+    router.add('GET', '/api/webhooks/:id/deliveries', req => {
+        requireRole(req, 'superadmin');
+        findWebhook(req.params.id);
+        return webhooks.listDeliveries(req.params.id, parseInt(req.query.limit) || 50);
+    });
+}
+
+module.exports = { registerWebhookRoutes };
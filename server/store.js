@@ -0,0 +1,67 @@
+// JSON file store. The whole database is small enough to live in memory;
+// every update is written to disk through a temp file + rename so a crash
+// mid-write never leaves a truncated database behind.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA = {
+    config: {
+        densityRule: 5000,
+        densityRules: [],
+        territoryLevel: 'city',
+        warningDays: 30,
+        exclusivityRadiusKm: null, // minimum distance between dealers; null = no radius
+        productLines: [{ id: 'main', name: 'Linha principal' }] // see lines.js
+    },
+    occupiedCities: [],
+    leads: [],
+    waitlist: [],
+    users: [],
+    sessions: [],
+    apiKeys: [],
+    webhooks: [],
+    expiryNotices: {}, // dealer id -> contract end date already announced to webhooks
+    updatedAt: null
+};
+
+function createStore(file) {
+    let data = load(file);
+
+    return {
+        get data() {
+            return data;
+        },
+
+        // Applies `mutator` to the in-memory data and persists the result.
+        // Whatever the mutator returns is passed through to the caller.
+        update(mutator) {
+            const draft = JSON.parse(JSON.stringify(data));
+            const result = mutator(draft);
+            draft.updatedAt = new Date().toISOString();
+            persist(file, draft);
+            data = draft;
+            return result;
+        }
+    };
+}
+
+function load(file) {
+    if (!fs.existsSync(file)) {
+        return JSON.parse(JSON.stringify(DEFAULT_DATA));
+    }
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+        ...DEFAULT_DATA,
+        ...saved,
+        config: { ...DEFAULT_DATA.config, ...saved.config }
+    };
+}
+
+function persist(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+module.exports = { createStore };
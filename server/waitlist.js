@@ -0,0 +1,32 @@
+// Prospects queuing for a city that is full. Each city has its own FIFO line
+// per product line, ordered by `queuedAt`; skipping an entry sends it to the
+// back of the line.
+// Offering turns the entry into a lead, which holds the freed slot while an
+// admin reviews it (see leads.js).
+// An entry is { id, ibgeId, city, uf, lineId, name, phone, email, cnpj, status,
+// createdAt, queuedAt, skips, decidedAt, decidedBy, leadId }.
+const { lineOf } = require('../shared/availability');
+const { httpError } = require('./router');
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'removed'];
+
+// Entries still waiting for the city in a product line, first in line first
+function cityQueue(data, ibgeId, lineId) {
+    return data.waitlist
+        .filter(entry => entry.ibgeId === ibgeId && lineOf(entry) === lineId && entry.status === 'waiting')
+        .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+// 1-based position in line, or null once the entry has left it
+function queuePosition(data, entry) {
+    if (entry.status !== 'waiting') return null;
+    return cityQueue(data, entry.ibgeId, lineOf(entry)).findIndex(e => e.id === entry.id) + 1;
+}
+
+function findWaitlistEntry(data, id) {
+    const entry = data.waitlist.find(e => e.id === id);
+    if (!entry) throw httpError(404, 'Registro da fila não encontrado');
+    return entry;
+}
+
+module.exports = { WAITLIST_STATUSES, cityQueue, queuePosition, findWaitlistEntry };
@@ -0,0 +1,156 @@
+// Outbound webhooks. Admins register a URL and the events it wants; each
+// event is POSTed as JSON, signed with the webhook's secret, retried with
+// backoff when the receiver fails and every attempt is logged as one JSON line
+// in DATA_DIR/webhooks.log.
+// A webhook is { id, url, events, secret, active, createdAt, createdBy }.
+//
+// Receivers verify X-DealerCheck-Signature, which is
+// 'sha256=' + HMAC-SHA256(secret, `${X-DealerCheck-Timestamp}.${body}`) in hex
+// (see scripts/webhook-receiver.js). Retries still pending when the server
+// stops are lost.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { httpError } = require('./router');
+
+const WEBHOOK_EVENTS = {
+    'city.available': 'Praça ficou disponível',
+    'city.full': 'Praça atingiu o limite',
+    'dealer.added': 'Revendedor adicionado',
+    'dealer.removed': 'Revendedor removido',
+    'density.changed': 'Regra de densidade alterada',
+    'contract.expiring': 'Contrato a vencer'
+};
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000]; // after attempts 1..4
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_LOGGED_DELIVERIES = 1000; // kept in memory for the admin panel; the file keeps everything
+
+function validateWebhook(body) {
+    const url = typeof body.url === 'string' ? body.url.trim() : '';
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+
+    let parsed = null;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        // reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) throw httpError(400, 'URL inválida');
+    if (events.length === 0) throw httpError(400, 'Selecione ao menos um evento');
+    const unknown = events.find(event => !WEBHOOK_EVENTS[event]);
+    if (unknown) throw httpError(400, `Evento desconhecido: ${unknown}`);
+
+    // The normalized form percent-encodes quotes and angle brackets
+    return { url: parsed.href, events, active: body.active !== false };
+}
+
+function createSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function publicWebhook({ secret, ...webhook }) {
+    return webhook;
+}
+
+function createWebhooks({ store, file }) {
+    const deliveries = load(file);
+
+    function log(entry) {
+        const saved = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...entry };
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(saved)}\n`);
+        deliveries.push(saved);
+        if (deliveries.length > MAX_LOGGED_DELIVERIES) deliveries.shift();
+    }
+
+    // Sends `event` to every active webhook subscribed to it
+    function emit(event, data) {
+        const subscribers = store.data.webhooks.filter(w => w.active && w.events.includes(event));
+        if (subscribers.length === 0) return;
+
+        const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data };
+        subscribers.forEach(webhook => deliver(webhook.id, payload, 1));
+    }
+
+    // Test delivery to a single webhook, whatever its event filter
+    function ping(webhook) {
+        const payload = { id: crypto.randomUUID(), event: 'ping', createdAt: new Date().toISOString(), data: { webhookId: webhook.id } };
+        return deliver(webhook.id, payload, 1);
+    }
+
+    // The webhook is looked up again on every attempt, so deleting or
+    // deactivating it also cancels its pending retries.
+    async function deliver(webhookId, payload, attempt) {
+        const webhook = store.data.webhooks.find(w => w.id === webhookId);
+        if (!webhook || (!webhook.active && payload.event !== 'ping')) return null;
+
+        const body = JSON.stringify(payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+        let status = null;
+        let error = null;
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'DealerCheck-Webhooks',
+                    'X-DealerCheck-Event': payload.event,
+                    'X-DealerCheck-Delivery': payload.id,
+                    'X-DealerCheck-Timestamp': String(timestamp),
+                    'X-DealerCheck-Signature': sign(webhook.secret, timestamp, body)
+                },
+                body,
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+            });
+            status = response.status;
+            if (!response.ok) error = `HTTP ${response.status}`;
+        } catch (e) {
+            error = e.name === 'TimeoutError' ? 'Tempo esgotado' : e.message;
+        }
+
+        const ok = !error;
+        const delay = ok || payload.event === 'ping' ? null : RETRY_DELAYS_MS[attempt - 1];
+        const entry = {
+            webhookId,
+            deliveryId: payload.id,
+            event: payload.event,
+            url: webhook.url,
+            attempt,
+            ok,
+            status,
+            error,
+            durationMs: Date.now() - started,
+            nextAttemptAt: delay ? new Date(Date.now() + delay).toISOString() : null
+        };
+        log(entry);
+
+        if (delay) {
+            setTimeout(() => deliver(webhookId, payload, attempt + 1), delay).unref();
+        }
+        return entry;
+    }
+
+    // Newest first
+    function listDeliveries(webhookId, limit = 50) {
+        return deliveries.filter(d => d.webhookId === webhookId).slice(-limit).reverse();
+    }
+
+    return { emit, ping, listDeliveries };
+}
+
+function load(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .slice(-MAX_LOGGED_DELIVERIES)
+        .map(line => JSON.parse(line));
+}
+
+module.exports = { WEBHOOK_EVENTS, validateWebhook, createSecret, sign, publicWebhook, createWebhooks };
@@ -0,0 +1,405 @@
+// Availability rules shared by the browser app and the server: density rules,
+// territory grouping, dealer and hold counting and the verdict for a city.
+// Functions take the config explicitly, in the shape served by /api/config:
+// { densityRule, densityRules, territoryLevel, warningDays, exclusivityRadiusKm,
+// productLines, occupiedCities, holds }. The rules work on one product line
+// at a time: give them getLineConfig(config, lineId). Anonymous visitors get
+// toPublicConfig(config), which the rules accept as well.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Availability = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // IBGE macro-regions and their UFs, used by density rules matching on 'regiao'
+    const REGIOES = {
+        N: { label: 'Norte', ufs: ['AC', 'AP', 'AM', 'PA', 'RO', 'RR', 'TO'] },
+        NE: { label: 'Nordeste', ufs: ['AL', 'BA', 'CE', 'MA', 'PB', 'PE', 'PI', 'RN', 'SE'] },
+        SE: { label: 'Sudeste', ufs: ['ES', 'MG', 'RJ', 'SP'] },
+        S: { label: 'Sul', ufs: ['PR', 'RS', 'SC'] },
+        CO: { label: 'Centro-Oeste', ufs: ['DF', 'GO', 'MT', 'MS'] }
+    };
+
+    // Territory levels availability can be evaluated at.
+    // 'key' is the field of the city's `regions` object holding the grouping.
+    const TERRITORY_LEVELS = {
+        city: { label: 'Município', key: null },
+        imediata: { label: 'Região Imediata', key: 'imediata' },
+        micro: { label: 'Microrregião', key: 'micro' },
+        meso: { label: 'Mesorregião', key: 'meso' }
+    };
+
+    // Flattens an entry of the IBGE municipality list (cities.json)
+    function toCityRecord(city) {
+        const micro = city.microrregiao;
+        const imediata = city['regiao-imediata'];
+        // A few recently created municipalities have no microrregiao; the UF is
+        // then only reachable through the immediate/intermediate regions.
+        const ufData = micro ? micro.mesorregiao.UF : imediata['regiao-intermediaria'].UF;
+
+        return {
+            name: city.nome,
+            uf: ufData.sigla,
+            id: city.id,
+            regions: {
+                imediata: imediata ? { id: imediata.id, name: imediata.nome } : null,
+                micro: micro ? { id: micro.id, name: micro.nome } : null,
+                meso: micro ? { id: micro.mesorregiao.id, name: micro.mesorregiao.nome } : null
+            }
+        };
+    }
+
+    function todayISO() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    function daysUntil(date, today = todayISO()) {
+        return Math.round((new Date(`${date}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / 86400000);
+    }
+
+    // Ranges are [start, end, ibgeId]. District ranges can sit inside their
+    // municipality's range, so the narrowest range containing the CEP wins.
+    function findCepCity(ranges, cep) {
+        const value = parseInt(cep);
+        let best = null;
+
+        ranges.forEach(([start, end, ibgeId]) => {
+            if (value < start || value > end) return;
+            if (!best || end - start < best[1] - best[0]) best = [start, end, ibgeId];
+        });
+        return best ? best[2] : null;
+    }
+
+    // Great-circle distance in km between two [lat, lon] points
+    function distanceKm([lat1, lon1], [lat2, lon2]) {
+        const toRad = deg => deg * Math.PI / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    // Cities whose municipal seat lies within `radiusKm` of the [lat, lon]
+    // `origin`. `centroids` maps IBGE ids to [lat, lon]; cities missing from
+    // it cannot be placed and are left out.
+    function findCitiesWithinRadius(cities, centroids, origin, radiusKm) {
+        return cities.filter(city => {
+            const position = centroids[city.id];
+            return Boolean(position) && distanceKm(origin, position) <= radiusKm;
+        });
+    }
+
+    // --- Density Rules ---
+    function getDefaultDensityRule(config) {
+        return { id: 'default', name: 'Regra padrão', ratio: config.densityRule, minSlots: 0, maxSlots: null };
+    }
+
+    // Every criterion set on the rule must match; a rule without criteria matches all cities.
+    function ruleMatches(rule, city, population) {
+        const match = rule.match || {};
+        if (match.uf && match.uf !== city.uf) return false;
+        if (match.regiao && !(REGIOES[match.regiao] && REGIOES[match.regiao].ufs.includes(city.uf))) return false;
+        if (match.popMin != null && population < match.popMin) return false;
+        if (match.popMax != null && population >= match.popMax) return false;
+        if (match.ibgeIds && match.ibgeIds.length > 0 && !match.ibgeIds.includes(Number(city.id))) return false;
+        return true;
+    }
+
+    function resolveDensityRule(config, city, population) {
+        const rules = config.densityRules || [];
+        return rules.find(rule => ruleMatches(rule, city, population)) || getDefaultDensityRule(config);
+    }
+
+    // Capacity is kept fractional so regional territories can sum it before flooring.
+    function computeCapacity(config, city, population) {
+        const rule = resolveDensityRule(config, city, population);
+        let capacity = population / rule.ratio;
+        if (rule.minSlots) capacity = Math.max(capacity, rule.minSlots);
+        if (rule.maxSlots != null) capacity = Math.min(capacity, rule.maxSlots);
+        return { capacity, rule };
+    }
+
+    // --- Dealers & Holds ---
+    // Only active dealers whose contract has not ended take up a slot
+    function isActiveDealer(dealer, today = todayISO()) {
+        return dealer.status === 'active' && (!dealer.endDate || dealer.endDate >= today);
+    }
+
+    function countActiveDealers(item, today = todayISO()) {
+        // Configs cached before per-dealer records hold a bare count
+        if (!Array.isArray(item.dealers)) return parseInt(item.dealers) || 0;
+        return item.dealers.filter(dealer => isActiveDealer(dealer, today)).length;
+    }
+
+    // Strips what identifies a dealer (name, CNPJ, contact, address and
+    // coordinates), keeping what the rules count: status, end date and line.
+    // Without dealer coordinates the radius is measured from city seats.
+    function toPublicConfig(config) {
+        return {
+            ...config,
+            occupiedCities: config.occupiedCities.map(item => ({
+                id: item.id,
+                ibgeId: item.ibgeId,
+                city: item.city,
+                uf: item.uf,
+                ...(item.unresolved ? { unresolved: true } : {}),
+                dealers: Array.isArray(item.dealers)
+                    ? item.dealers.map(dealer => ({ status: dealer.status, endDate: dealer.endDate || null, lineId: lineOf(dealer) }))
+                    : item.dealers
+            }))
+        };
+    }
+
+    function getOccupiedEntry(config, ibgeId) {
+        return config.occupiedCities.find(item => item.ibgeId == ibgeId);
+    }
+
+    function getCityDealers(config, ibgeId) {
+        const entry = getOccupiedEntry(config, ibgeId);
+        return entry ? countActiveDealers(entry) : 0;
+    }
+
+    // Holds placed by "Tenho interesse" leads lapse on their own
+    function getCityHolds(config, ibgeId, now = new Date().toISOString()) {
+        return (config.holds || []).filter(hold => hold.ibgeId == ibgeId && hold.until > now).length;
+    }
+
+    // Active dealers whose contract ends within the configured warning window
+    function getExpiringDealers(config, item, today = todayISO()) {
+        if (!Array.isArray(item.dealers)) return [];
+        return item.dealers.filter(dealer =>
+            isActiveDealer(dealer, today) && dealer.endDate && daysUntil(dealer.endDate, today) <= config.warningDays
+        );
+    }
+
+    // Days until a full territory gets a free slot from contracts ending inside
+    // the warning window, or null when none is expected. A contract is active
+    // through its end date, so the slot opens on the following day.
+    function getSlotForecast(currentDealers, maxDealers, endDates, today = todayISO()) {
+        const needed = currentDealers - maxDealers + 1;
+        const sorted = [...endDates].sort();
+        if (needed <= 0 || sorted.length < needed) return null;
+        return daysUntil(sorted[needed - 1], today) + 1;
+    }
+
+    // --- Exclusivity Radius ---
+    // Where a dealer sits: its address coordinates when registered, otherwise
+    // the seat of its municipality. `centroids` maps IBGE ids to [lat, lon].
+    function getDealerPosition(dealer, item, centroids) {
+        if (typeof dealer.lat === 'number' && typeof dealer.lng === 'number') {
+            return { position: [dealer.lat, dealer.lng], basis: 'address' };
+        }
+        const centroid = item.ibgeId && centroids[item.ibgeId];
+        return centroid ? { position: centroid, basis: 'centroid' } : null;
+    }
+
+    // The nearest active dealer of another municipality inside the configured
+    // radius around the city's seat, or null. Dealers of the city itself are
+    // left to its density rule; entries not linked to an IBGE city never count.
+    // When the city, or a dealer it is measured against, has no coordinates
+    // the radius cannot be checked: the answer is then
+    // { unchecked: true, radiusKm, missing: [{ ibgeId, city, uf }] }, which
+    // keeps the city from being offered just like a conflict does.
+    function findRadiusConflict(config, centroids, ibgeId) {
+        const radiusKm = config.exclusivityRadiusKm;
+        if (!radiusKm) return null;
+
+        const origin = centroids[ibgeId];
+        const missing = origin ? [] : [{ ibgeId, city: null, uf: null }];
+        let nearest = null;
+        config.occupiedCities.forEach(item => {
+            if (!item.ibgeId || item.ibgeId == ibgeId || !Array.isArray(item.dealers)) return;
+            item.dealers.filter(dealer => isActiveDealer(dealer)).forEach(dealer => {
+                const located = getDealerPosition(dealer, item, centroids);
+                if (!located) {
+                    if (!missing.some(m => m.ibgeId == item.ibgeId)) missing.push({ ibgeId: item.ibgeId, city: item.city, uf: item.uf });
+                    return;
+                }
+                if (!origin) return;
+                const distance = distanceKm(origin, located.position);
+                if (distance <= radiusKm && (!nearest || distance < nearest.distanceKm)) {
+                    nearest = { ibgeId: item.ibgeId, city: item.city, uf: item.uf, distanceKm: distance, basis: located.basis, radiusKm };
+                }
+            });
+        });
+        if (nearest) return { ...nearest, distanceKm: Math.round(nearest.distanceKm * 10) / 10 };
+        return missing.length > 0 ? { unchecked: true, radiusKm, missing } : null;
+    }
+
+    // --- Product Lines ---
+    // Each line has its own dealer network and density rules. Dealers, holds,
+    // leads and waitlist entries name their line in `lineId`; records saved
+    // before lines existed belong to the main line. The main line uses the
+    // top-level densityRule and densityRules; the others carry their own.
+    const DEFAULT_LINE_ID = 'main';
+
+    function lineOf(record) {
+        return record.lineId || DEFAULT_LINE_ID;
+    }
+
+    function getProductLine(config, lineId) {
+        return (config.productLines || []).find(line => line.id === lineId) || null;
+    }
+
+    // The config as one line sees it: the line's density rules and only its
+    // dealers and holds. Cities without dealers of the line are left out.
+    function getLineConfig(config, lineId = DEFAULT_LINE_ID) {
+        const line = lineId === DEFAULT_LINE_ID ? null : getProductLine(config, lineId);
+        const rules = line || config;
+        return {
+            ...config,
+            lineId,
+            densityRule: rules.densityRule,
+            densityRules: rules.densityRules,
+            occupiedCities: config.occupiedCities
+                .map(item => (Array.isArray(item.dealers) ? { ...item, dealers: item.dealers.filter(dealer => lineOf(dealer) === lineId) } : item))
+                .filter(item => !Array.isArray(item.dealers) || item.dealers.length > 0),
+            holds: (config.holds || []).filter(hold => lineOf(hold) === lineId)
+        };
+    }
+
+    // --- Territories ---
+    // Resolves the region the city belongs to at the configured territory level.
+    // Returns null at city level, or when the city has no region at that level
+    // (e.g. municipalities without microrregiao in the IBGE data).
+    function getCityRegion(config, cities, ibgeId) {
+        const level = config.territoryLevel || 'city';
+        const key = TERRITORY_LEVELS[level] && TERRITORY_LEVELS[level].key;
+        if (!key) return null;
+
+        const cityData = cities.find(c => c.id == ibgeId);
+        const region = cityData && cityData.regions ? cityData.regions[key] : null;
+        return region ? { level, key, id: region.id, name: region.name } : null;
+    }
+
+    function getTerritoryInfo(config, cities, ibgeId, city) {
+        const region = getCityRegion(config, cities, ibgeId);
+        if (!region) {
+            return { level: 'city', label: TERRITORY_LEVELS.city.label, name: city };
+        }
+        return { level: region.level, label: TERRITORY_LEVELS[region.level].label, name: region.name };
+    }
+
+    function getTerritoryMembers(config, cities, ibgeId, city, uf) {
+        const region = getCityRegion(config, cities, ibgeId);
+        if (!region) {
+            return [{ id: ibgeId, name: city, uf }];
+        }
+
+        return cities
+            .filter(c => c.regions && c.regions[region.key] && c.regions[region.key].id === region.id)
+            .map(c => ({ id: c.id, name: c.name, uf: c.uf }));
+    }
+
+    // Capacity and dealers are summed across every member of the territory;
+    // at city level the territory is just the selected city. Members carry
+    // their population. Lead holds take a slot just like an active dealer.
+    function evaluateTerritory(config, territoryMembers) {
+        const members = territoryMembers.map(member => ({
+            ...member,
+            ...computeCapacity(config, member, member.population),
+            dealers: getCityDealers(config, member.id),
+            holds: getCityHolds(config, member.id)
+        }));
+
+        const currentDealers = members.reduce((sum, m) => sum + m.dealers + m.holds, 0);
+        const maxDealers = Math.floor(members.reduce((sum, m) => sum + m.capacity, 0));
+        return { members, currentDealers, maxDealers, isAvailable: currentDealers < maxDealers };
+    }
+
+    // --- Verdict ---
+    // The answer for one city, as returned by GET /api/availability.
+    // `populations` maps the ids of the territory members to
+    // { value, year, source, origin }. Without a population for every member
+    // the status is 'nodata': a population is never guessed. A dealer inside
+    // the exclusivity radius makes the city unavailable whatever its capacity;
+    // the capacity forecast then no longer applies.
+    function checkCity(config, cities, { id, name, uf }, populations, centroids = {}) {
+        const territoryMembers = getTerritoryMembers(config, cities, id, name, uf);
+        const missing = territoryMembers.filter(m => !populations[m.id]);
+        const result = {
+            ibgeId: id,
+            city: name,
+            uf,
+            status: 'nodata',
+            population: populations[id] || null,
+            rule: null,
+            capacity: null,
+            currentDealers: null,
+            freeSlots: null,
+            forecastDays: null,
+            radiusConflict: null,
+            territory: null,
+            missing: missing.map(m => ({ ibgeId: m.id, name: m.name, uf: m.uf })),
+            checkedAt: new Date().toISOString()
+        };
+        if (missing.length > 0) return result;
+
+        const { members, currentDealers, maxDealers, isAvailable } = evaluateTerritory(
+            config,
+            territoryMembers.map(m => ({ ...m, population: populations[m.id].value }))
+        );
+        const expiringEndDates = members.flatMap(member => {
+            const entry = getOccupiedEntry(config, member.id);
+            return entry ? getExpiringDealers(config, entry).map(dealer => dealer.endDate) : [];
+        });
+        const radiusConflict = findRadiusConflict(config, centroids, id);
+
+        return {
+            ...result,
+            status: isAvailable && !radiusConflict ? 'available' : 'unavailable',
+            // The selected city is always a member of its own territory
+            rule: members.find(m => m.id == id).rule,
+            capacity: maxDealers,
+            currentDealers,
+            freeSlots: radiusConflict ? 0 : Math.max(maxDealers - currentDealers, 0),
+            forecastDays: isAvailable || radiusConflict ? null : getSlotForecast(currentDealers, maxDealers, expiringEndDates),
+            radiusConflict,
+            territory: {
+                ...getTerritoryInfo(config, cities, id, name),
+                members: members.map(m => ({
+                    ibgeId: m.id,
+                    name: m.name,
+                    uf: m.uf,
+                    population: m.population,
+                    capacity: m.capacity,
+                    dealers: m.dealers,
+                    holds: m.holds,
+                    rule: m.rule
+                }))
+            }
+        };
+    }
+
+    return {
+        REGIOES,
+        TERRITORY_LEVELS,
+        toCityRecord,
+        todayISO,
+        daysUntil,
+        findCepCity,
+        distanceKm,
+        findCitiesWithinRadius,
+        DEFAULT_LINE_ID,
+        lineOf,
+        getProductLine,
+        getLineConfig,
+        computeCapacity,
+        isActiveDealer,
+        countActiveDealers,
+        toPublicConfig,
+        getOccupiedEntry,
+        getCityDealers,
+        getCityHolds,
+        getExpiringDealers,
+        getSlotForecast,
+        getDealerPosition,
+        findRadiusConflict,
+        getCityRegion,
+        getTerritoryInfo,
+        getTerritoryMembers,
+        evaluateTerritory,
+        checkCity
+    };
+});
@@ -0,0 +1,43 @@
+// CNPJ validation shared by the browser app and the server.
+// Accepts the numeric format and the alphanumeric one introduced by the
+// Receita Federal in 2026 (12 alphanumeric characters + 2 numeric check digits).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CNPJ = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const WEIGHTS = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+
+    // Strips punctuation and upper-cases letters
+    function clean(value) {
+        return String(value || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+    }
+
+    // Each character is worth its ASCII code minus 48, so digits keep their value
+    function checkDigit(base) {
+        const weights = WEIGHTS.slice(WEIGHTS.length - base.length);
+        const sum = base.split('').reduce((acc, char, i) => acc + (char.charCodeAt(0) - 48) * weights[i], 0);
+        const rest = sum % 11;
+        return rest < 2 ? 0 : 11 - rest;
+    }
+
+    function isValid(value) {
+        const cnpj = clean(value);
+        if (!/^[0-9A-Z]{12}[0-9]{2}$/.test(cnpj)) return false;
+        if (/^(\d)\1{13}$/.test(cnpj)) return false; // 00.000.000/0000-00 and friends
+
+        const first = checkDigit(cnpj.slice(0, 12));
+        const second = checkDigit(cnpj.slice(0, 12) + first);
+        return cnpj.slice(12) === `${first}${second}`;
+    }
+
+    function format(value) {
+        const cnpj = clean(value);
+        if (cnpj.length !== 14) return cnpj;
+        return `${cnpj.slice(0, 2)}.${cnpj.slice(2, 5)}.${cnpj.slice(5, 8)}/${cnpj.slice(8, 12)}-${cnpj.slice(12)}`;
+    }
+
+    return { clean, isValid, format };
+});
@@ -0,0 +1,110 @@
+// Service worker for the installable, offline-capable app.
+// The app's own files are fetched network-first, so a deploy shows up on the
+// next online visit, and fall back to the cached copy offline (version query
+// strings are ignored when matching). Libraries, fonts and map meshes are
+// served from the cache first. IBGE population lookups for cities missing from
+// population-data.js are network-first too, so a city checked once online can
+// still be checked offline. The app's API is never cached here: the last
+// synced config is kept by app.js in localStorage and availability is then
+// checked locally with the shared rules.
+const CACHE_NAME = 'dealer-check-v1';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'app.js',
+    'manifest.webmanifest',
+    'assets/logo.png',
+    'cities-data.js',
+    'population-data.js',
+    'cep-data.js',
+    'centroid-data.js',
+    'shared/cnpj.js',
+    'shared/availability.js'
+];
+
+// Same list as the <head> of index.html
+const LIBRARIES = [
+    'https://fonts.googleapis.com/css2?family=Montserrat:wght@300;400;600;800&display=swap',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://code.highcharts.com/highcharts.js',
+    'https://code.highcharts.com/highcharts-more.js',
+    'https://code.highcharts.com/modules/solid-gauge.js',
+    'https://code.highcharts.com/maps/modules/map.js',
+    'https://code.highcharts.com/maps/modules/drilldown.js',
+    'https://code.highcharts.com/maps/modules/exporting.js',
+    'https://code.highcharts.com/mapdata/countries/br/br-all.js',
+    'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js'
+];
+
+// Fetched on demand and kept once seen: font files, icon fonts and the
+// municipality meshes of the UFs opened on the map
+const RUNTIME_HOSTS = ['fonts.gstatic.com', 'cdnjs.cloudflare.com', 'code.highcharts.com', 'servicodados.ibge.gov.br'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(async cache => {
+        await cache.addAll(APP_SHELL);
+        // A CDN that is down must not block the install; the library is then
+        // cached on first use instead
+        await Promise.all(LIBRARIES.map(url => cache.add(url).catch(error => {
+            console.warn(`Não foi possível guardar ${url}`, error);
+        })));
+    }));
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET') return;
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname.includes('/api/')) return;
+        event.respondWith(networkFirst(request));
+    } else if (url.hostname === 'servicodados.ibge.gov.br' && !url.pathname.includes('/malhas/')) {
+        // Estimates change yearly; the query names the cities asked for
+        event.respondWith(networkFirst(request, { exact: true }));
+    } else if (LIBRARIES.includes(request.url) || RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// `exact` keeps the query string as part of the cache key
+async function networkFirst(request, { exact = false } = {}) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(exact ? request : stripSearch(request), response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: !exact })
+            // Deep links (?ibge=) open the cached page
+            || (request.mode === 'navigate' && await cache.match('./'));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
+
+// One cached copy per file, whatever version query string loaded it
+function stripSearch(request) {
+    const url = new URL(request.url);
+    url.search = '';
+    return url.href;
+}
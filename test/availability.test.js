@@ -0,0 +1,267 @@
+// Density rules, territory aggregation, holds and the exclusivity radius in
+// shared/availability.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Availability = require('../shared/availability');
+
+const TODAY = Availability.todayISO();
+const IN_A_WEEK = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+// Three municipalities of one microregion and a fourth one elsewhere
+const CITIES = [
+    { id: 1, name: 'Sede', uf: 'SP', regions: { micro: { id: 10, name: 'Micro A' } } },
+    { id: 2, name: 'Vizinha', uf: 'SP', regions: { micro: { id: 10, name: 'Micro A' } } },
+    { id: 3, name: 'Pequena', uf: 'SP', regions: { micro: { id: 10, name: 'Micro A' } } },
+    { id: 4, name: 'Distante', uf: 'RS', regions: { micro: { id: 20, name: 'Micro B' } } }
+];
+const CENTROIDS = {
+    1: [-23.0, -47.0],
+    2: [-23.1, -47.0], // about 11 km from Sede
+    3: [-23.5, -47.0], // about 56 km from Sede
+    4: [-30.0, -51.0]
+};
+
+function makeConfig(overrides = {}) {
+    return {
+        densityRule: 10000,
+        densityRules: [],
+        territoryLevel: 'city',
+        warningDays: 30,
+        exclusivityRadiusKm: null,
+        productLines: [{ id: 'main', name: 'Linha principal' }],
+        occupiedCities: [],
+        holds: [],
+        ...overrides
+    };
+}
+
+function dealer(overrides = {}) {
+    return { id: `d-${Math.random()}`, name: 'Revenda', status: 'active', startDate: null, endDate: null, ...overrides };
+}
+
+function occupied(ibgeId, dealers) {
+    const city = CITIES.find(c => c.id === ibgeId);
+    return { id: `o-${ibgeId}`, ibgeId, city: city.name, uf: city.uf, dealers };
+}
+
+function populations(values) {
+    return Object.fromEntries(Object.entries(values).map(([id, value]) => [id, { value, year: 2025, source: 'teste', origin: 'base local' }]));
+}
+
+function check(config, ibgeId, values) {
+    const city = CITIES.find(c => c.id === ibgeId);
+    return Availability.checkCity(config, CITIES, city, populations(values), CENTROIDS);
+}
+
+test('density rules', async t => {
+    await t.test('fall back to the default ratio', () => {
+        const { capacity, rule } = Availability.computeCapacity(makeConfig(), CITIES[0], 25000);
+        assert.equal(capacity, 2.5);
+        assert.equal(rule.id, 'default');
+    });
+
+    await t.test('use the first matching rule', () => {
+        const config = makeConfig({
+            densityRules: [
+                { id: 'rs', name: 'RS', match: { uf: 'RS' }, ratio: 1000 },
+                { id: 'big', name: 'Grandes', match: { popMin: 20000 }, ratio: 5000 },
+                { id: 'all', name: 'Todas', match: {}, ratio: 2000 }
+            ]
+        });
+        assert.equal(Availability.computeCapacity(config, CITIES[3], 30000).rule.id, 'rs');
+        assert.equal(Availability.computeCapacity(config, CITIES[0], 30000).rule.id, 'big');
+        assert.equal(Availability.computeCapacity(config, CITIES[0], 19999).rule.id, 'all');
+    });
+
+    await t.test('match macro-regions and IBGE ids', () => {
+        const config = makeConfig({
+            densityRules: [
+                { id: 'ids', name: 'Lista', match: { ibgeIds: [2] }, ratio: 100 },
+                { id: 'sul', name: 'Sul', match: { regiao: 'S' }, ratio: 200 }
+            ]
+        });
+        assert.equal(Availability.computeCapacity(config, CITIES[1], 1000).rule.id, 'ids');
+        assert.equal(Availability.computeCapacity(config, CITIES[3], 1000).rule.id, 'sul');
+        assert.equal(Availability.computeCapacity(config, CITIES[0], 1000).rule.id, 'default');
+    });
+
+    await t.test('clamp capacity to the minimum and maximum slots', () => {
+        const config = makeConfig({
+            densityRules: [
+                { id: 'small', name: 'Pequenas', match: { popMax: 5000 }, ratio: 10000, minSlots: 1 },
+                { id: 'capped', name: 'Teto', match: {}, ratio: 1000, maxSlots: 3 }
+            ]
+        });
+        assert.equal(Availability.computeCapacity(config, CITIES[2], 3000).capacity, 1);
+        assert.equal(Availability.computeCapacity(config, CITIES[0], 50000).capacity, 3);
+    });
+});
+
+test('dealers', async t => {
+    await t.test('only active contracts take a slot', () => {
+        const item = occupied(1, [
+            dealer(),
+            dealer({ status: 'suspended' }),
+            dealer({ status: 'churned' }),
+            dealer({ endDate: '2000-01-01' }),
+            dealer({ endDate: TODAY })
+        ]);
+        assert.equal(Availability.countActiveDealers(item), 2);
+    });
+
+    await t.test('bare counts from old configs still count', () => {
+        assert.equal(Availability.countActiveDealers({ dealers: '3' }), 3);
+    });
+
+    await t.test('a full city forecasts the slot freed by an expiring contract', () => {
+        const endDate = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const config = makeConfig({ occupiedCities: [occupied(1, [dealer({ endDate })])] });
+        const result = check(config, 1, { 1: 10000 });
+        assert.equal(result.status, 'unavailable');
+        assert.equal(result.forecastDays, 11);
+    });
+});
+
+test('territories', async t => {
+    await t.test('without population the verdict is nodata', () => {
+        const result = check(makeConfig(), 1, {});
+        assert.equal(result.status, 'nodata');
+        assert.deepEqual(result.missing.map(m => m.ibgeId), [1]);
+    });
+
+    await t.test('a small city is full on its own', () => {
+        const result = check(makeConfig(), 3, { 3: 4000 });
+        assert.equal(result.status, 'unavailable');
+        assert.equal(result.capacity, 0);
+    });
+
+    await t.test('capacity and dealers are summed across the microregion', () => {
+        const config = makeConfig({
+            territoryLevel: 'micro',
+            occupiedCities: [occupied(1, [dealer()])]
+        });
+        const result = check(config, 3, { 1: 15000, 2: 8000, 3: 4000 });
+        assert.equal(result.status, 'available');
+        assert.equal(result.capacity, 2);
+        assert.equal(result.currentDealers, 1);
+        assert.equal(result.freeSlots, 1);
+        assert.equal(result.territory.name, 'Micro A');
+        assert.deepEqual(result.territory.members.map(m => m.ibgeId).sort(), [1, 2, 3]);
+    });
+
+    await t.test('members from another microregion are left out', () => {
+        const members = Availability.getTerritoryMembers(makeConfig({ territoryLevel: 'micro' }), CITIES, 4, 'Distante', 'RS');
+        assert.deepEqual(members.map(m => m.id), [4]);
+    });
+
+    await t.test('a missing member population leaves the territory without a verdict', () => {
+        const result = check(makeConfig({ territoryLevel: 'micro' }), 1, { 1: 15000, 2: 8000 });
+        assert.equal(result.status, 'nodata');
+        assert.deepEqual(result.missing.map(m => m.ibgeId), [3]);
+    });
+});
+
+test('holds', async t => {
+    await t.test('a pending hold takes a slot', () => {
+        const config = makeConfig({ holds: [{ ibgeId: 1, lineId: 'main', until: IN_A_WEEK }] });
+        const result = check(config, 1, { 1: 10000 });
+        assert.equal(result.status, 'unavailable');
+        assert.equal(result.currentDealers, 1);
+    });
+
+    await t.test('a lapsed hold does not', () => {
+        const config = makeConfig({ holds: [{ ibgeId: 1, lineId: 'main', until: '2000-01-01T00:00:00.000Z' }] });
+        assert.equal(check(config, 1, { 1: 10000 }).status, 'available');
+    });
+
+    await t.test('holds count only in their own product line', () => {
+        const config = makeConfig({
+            productLines: [{ id: 'main', name: 'Linha principal' }, { id: 'b', name: 'B', densityRule: 10000, densityRules: [] }],
+            holds: [{ ibgeId: 1, lineId: 'b', until: IN_A_WEEK }]
+        });
+        assert.equal(check(Availability.getLineConfig(config, 'main'), 1, { 1: 10000 }).status, 'available');
+        assert.equal(check(Availability.getLineConfig(config, 'b'), 1, { 1: 10000 }).status, 'unavailable');
+    });
+});
+
+test('exclusivity radius', async t => {
+    const withRadius = occupiedCities => makeConfig({ exclusivityRadiusKm: 20, occupiedCities });
+
+    await t.test('no radius, no conflict', () => {
+        const config = makeConfig({ occupiedCities: [occupied(2, [dealer()])] });
+        assert.equal(Availability.findRadiusConflict(config, CENTROIDS, 1), null);
+    });
+
+    await t.test('a dealer of a nearby city closes the city', () => {
+        const config = withRadius([occupied(2, [dealer()])]);
+        const conflict = Availability.findRadiusConflict(config, CENTROIDS, 1);
+        assert.equal(conflict.ibgeId, 2);
+        assert.equal(conflict.basis, 'centroid');
+        assert.ok(conflict.distanceKm > 10 && conflict.distanceKm < 12);
+
+        const result = check(config, 1, { 1: 100000 });
+        assert.equal(result.status, 'unavailable');
+        assert.equal(result.freeSlots, 0);
+    });
+
+    await t.test('dealers farther away, inactive or in the city itself do not', () => {
+        const config = withRadius([
+            occupied(1, [dealer()]),
+            occupied(2, [dealer({ status: 'churned' })]),
+            occupied(3, [dealer()])
+        ]);
+        assert.equal(Availability.findRadiusConflict(config, CENTROIDS, 1), null);
+    });
+
+    await t.test('dealer coordinates take precedence over the city seat', () => {
+        const config = withRadius([occupied(3, [dealer({ lat: -23.05, lng: -47.0 })])]);
+        const conflict = Availability.findRadiusConflict(config, CENTROIDS, 1);
+        assert.equal(conflict.ibgeId, 3);
+        assert.equal(conflict.basis, 'address');
+    });
+
+    await t.test('missing coordinates leave the radius unchecked', () => {
+        const config = withRadius([occupied(2, [dealer()])]);
+        const conflict = Availability.findRadiusConflict(config, { 2: CENTROIDS[2] }, 1);
+        assert.equal(conflict.unchecked, true);
+        assert.deepEqual(conflict.missing.map(m => m.ibgeId), [1]);
+
+        const result = Availability.checkCity(config, CITIES, CITIES[0], populations({ 1: 100000 }), { 1: CENTROIDS[1] });
+        assert.equal(result.status, 'unavailable');
+        assert.deepEqual(result.radiusConflict.missing.map(m => m.ibgeId), [2]);
+    });
+});
+
+test('product lines', async t => {
+    const config = makeConfig({
+        productLines: [{ id: 'main', name: 'Linha principal' }, { id: 'b', name: 'B', densityRule: 5000, densityRules: [] }],
+        occupiedCities: [occupied(1, [dealer(), dealer({ lineId: 'b' })])]
+    });
+
+    await t.test('each line has its own ratio', () => {
+        assert.equal(Availability.getLineConfig(config, 'main').densityRule, 10000);
+        assert.equal(Availability.getLineConfig(config, 'b').densityRule, 5000);
+    });
+
+    await t.test('dealers without a line belong to the main line', () => {
+        const main = Availability.getLineConfig(config, 'main');
+        assert.equal(main.occupiedCities[0].dealers.length, 1);
+        assert.equal(Availability.lineOf(main.occupiedCities[0].dealers[0]), 'main');
+    });
+});
+
+test('the public config keeps what the rules count and nothing else', () => {
+    const config = makeConfig({
+        occupiedCities: [occupied(1, [dealer({ name: 'Segredo', cnpj: '11222333000181', contact: 'x', lat: -23, lng: -47, endDate: '2999-01-01' })])]
+    });
+    const publicConfig = Availability.toPublicConfig(config);
+    assert.deepEqual(publicConfig.occupiedCities[0].dealers, [{ status: 'active', endDate: '2999-01-01', lineId: 'main' }]);
+    assert.equal(check(publicConfig, 1, { 1: 10000 }).status, check(config, 1, { 1: 10000 }).status);
+});
+
+test('CEP ranges prefer the narrowest match', () => {
+    const ranges = [[1000000, 1999999, 1], [1500000, 1500999, 2]];
+    assert.equal(Availability.findCepCity(ranges, '01500500'), 2);
+    assert.equal(Availability.findCepCity(ranges, '01000001'), 1);
+    assert.equal(Availability.findCepCity(ranges, '99999999'), null);
+});
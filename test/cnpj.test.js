@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CNPJ = require('../shared/cnpj');
+
+test('accepts numeric CNPJs with or without punctuation', () => {
+    assert.ok(CNPJ.isValid('11.222.333/0001-81'));
+    assert.ok(CNPJ.isValid('11222333000181'));
+});
+
+test('accepts the alphanumeric format', () => {
+    assert.ok(CNPJ.isValid('12.ABC.345/01DE-35'));
+    assert.ok(CNPJ.isValid('12abc34501de35'));
+});
+
+test('rejects wrong check digits, lengths and repeated digits', () => {
+    assert.ok(!CNPJ.isValid('11222333000182'));
+    assert.ok(!CNPJ.isValid('1122233300018'));
+    assert.ok(!CNPJ.isValid('00000000000000'));
+    assert.ok(!CNPJ.isValid('12ABC34501DEAB'));
+    assert.ok(!CNPJ.isValid(null));
+});
+
+test('cleans and formats', () => {
+    assert.equal(CNPJ.clean(' 12.abc.345/01de-35 '), '12ABC34501DE35');
+    assert.equal(CNPJ.format('11222333000181'), '11.222.333/0001-81');
+    assert.equal(CNPJ.format('123'), '123');
+});
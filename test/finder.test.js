@@ -0,0 +1,45 @@
+// The finder's radius scope, run against the shipped municipality and centroid tables
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Availability = require('../shared/availability');
+
+const ROOT = path.join(__dirname, '..');
+
+function loadBrowserData(file, name) {
+    const sandbox = { window: {} };
+    vm.runInNewContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox);
+    return sandbox.window[name];
+}
+
+const cities = require('../cities.json').map(Availability.toCityRecord);
+const centroids = loadBrowserData('centroid-data.js', 'CENTROID_DATA').values;
+const SAO_PAULO = 3550308;
+
+test('every municipality has a centroid', () => {
+    const missing = cities.filter(city => !centroids[city.id]).map(city => city.id);
+    assert.deepEqual(missing, []);
+});
+
+test('finds the neighbours of São Paulo within 30 km', () => {
+    const found = Availability.findCitiesWithinRadius(cities, centroids, centroids[SAO_PAULO], 30).map(city => city.id);
+    assert.ok(found.includes(SAO_PAULO));
+    assert.ok(found.includes(3518800)); // Guarulhos
+    assert.ok(found.includes(3534401)); // Osasco
+    assert.ok(!found.includes(3509502)); // Campinas, about 85 km away
+    assert.ok(!found.includes(3304557)); // Rio de Janeiro
+});
+
+test('grows with the radius', () => {
+    const near = Availability.findCitiesWithinRadius(cities, centroids, centroids[SAO_PAULO], 30);
+    const far = Availability.findCitiesWithinRadius(cities, centroids, centroids[SAO_PAULO], 100);
+    assert.ok(far.length > near.length);
+    assert.ok(far.some(city => city.id === 3509502));
+});
+
+test('leaves out cities without a centroid', () => {
+    const found = Availability.findCitiesWithinRadius(cities, {}, centroids[SAO_PAULO], 30);
+    assert.deepEqual(found, []);
+});
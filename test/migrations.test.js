@@ -0,0 +1,55 @@
+// Upgrades of databases saved by older versions of the server
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../server/store');
+const { migrate } = require('../server/migrations');
+
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function storeWith(data) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dealer-check-'));
+    dirs.push(dir);
+    const file = path.join(dir, 'db.json');
+    fs.writeFileSync(file, JSON.stringify(data));
+    return createStore(file);
+}
+
+test('dealer counts become placeholder records', t => {
+    t.mock.method(console, 'log', () => {});
+    const store = storeWith({ occupiedCities: [{ id: 'a', ibgeId: 3550308, city: 'São Paulo', uf: 'SP', dealers: 2 }] });
+    migrate(store);
+
+    const [item] = store.data.occupiedCities;
+    assert.equal(item.dealers.length, 2);
+    assert.ok(item.dealers.every(dealer => dealer.status === 'active' && dealer.cnpj === null));
+});
+
+test('free-text cities are linked to their IBGE code and merged', t => {
+    t.mock.method(console, 'log', () => {});
+    const store = storeWith({
+        occupiedCities: [
+            { id: 'a', city: 'Sao Paulo', uf: 'SP', dealers: 1 },
+            { id: 'b', city: 'São Paulo', uf: 'SP', dealers: 2 },
+            { id: 'c', city: 'Cidade Inexistente', uf: 'SP', dealers: 1 }
+        ]
+    });
+    migrate(store);
+
+    const [saoPaulo, unknown] = store.data.occupiedCities;
+    assert.equal(store.data.occupiedCities.length, 2);
+    assert.equal(saoPaulo.ibgeId, 3550308);
+    assert.equal(saoPaulo.dealers.length, 3);
+    assert.equal(unknown.ibgeId, null);
+    assert.equal(unknown.unresolved, true);
+});
+
+test('an up-to-date database is left untouched', () => {
+    const store = storeWith({ occupiedCities: [{ id: 'a', ibgeId: 3550308, city: 'São Paulo', uf: 'SP', dealers: [] }] });
+    const before = store.data;
+    migrate(store);
+    assert.equal(store.data, before);
+});
@@ -0,0 +1,38 @@
+// Sliding-window counters shared by the public routes' rate limits
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../server/ratelimit');
+
+const WINDOW_MS = 60 * 1000;
+
+test('counts requests inside the window only', () => {
+    const limiter = createRateLimiter(WINDOW_MS);
+    const start = Date.now();
+    limiter.record('ip:1', 1, start);
+    limiter.record('ip:1', 2, start + 1000);
+
+    assert.equal(limiter.recent('ip:1', start + 1000).length, 3);
+    assert.equal(limiter.recent('ip:1', start + WINDOW_MS).length, 2);
+    assert.equal(limiter.recent('ip:2', start + 1000).length, 0);
+});
+
+test('reset forgets a caller', () => {
+    const limiter = createRateLimiter(WINDOW_MS);
+    limiter.record('ip:1');
+    limiter.reset('ip:1');
+    assert.equal(limiter.recent('ip:1').length, 0);
+    assert.equal(limiter.size, 0);
+});
+
+test('callers idle for a whole window are dropped', () => {
+    const limiter = createRateLimiter(WINDOW_MS);
+    const start = Date.now();
+    limiter.record('ip:1', 1, start);
+    limiter.record('ip:2', 1, start + WINDOW_MS / 2);
+    assert.equal(limiter.size, 2);
+
+    limiter.recent('ip:3', start + WINDOW_MS);
+    assert.equal(limiter.size, 1);
+    limiter.recent('ip:3', start + 2 * WINDOW_MS);
+    assert.equal(limiter.size, 0);
+});
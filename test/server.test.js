@@ -0,0 +1,395 @@
+// Authentication, roles and the main routes, against a server started on a
+// scratch data directory
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ADMIN_PASSWORD = 'senha-de-teste';
+const SAO_PAULO = { ibgeId: 3550308, uf: 'SP' };
+const RIO = { ibgeId: 3304557, uf: 'RJ' };
+// Lapsed holds seeded before the server starts: one in a town too small for
+// any dealer, one in a city with room to spare
+const EXPIRED_LEAD = {
+    id: 'lead-expirado',
+    ibgeId: 3507209,
+    city: 'Borá',
+    uf: 'SP',
+    name: 'Antigo interessado',
+    phone: '18999998888',
+    email: 'antigo@example.com',
+    cnpj: '11222333000181',
+    status: 'pending',
+    createdAt: '2020-01-01T00:00:00.000Z',
+    holdUntil: '2020-01-08T00:00:00.000Z'
+};
+const EXPIRED_LEAD_WITH_ROOM = {
+    ...EXPIRED_LEAD,
+    id: 'lead-expirado-com-vaga',
+    ibgeId: 3509502,
+    city: 'Campinas',
+    cnpj: '11444777000161'
+};
+
+let server;
+let baseUrl;
+let dataDir;
+const tokens = {};
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on('error', reject);
+    });
+}
+
+async function api(method, url, { token, body } = {}) {
+    const headers = body ? { 'Content-Type': 'application/json' } : {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${baseUrl}/api${url}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+async function login(username, password) {
+    const { status, body } = await api('POST', '/auth/login', { body: { username, password } });
+    assert.equal(status, 200);
+    return body.token;
+}
+
+async function createUser(username, role, ufs = []) {
+    const { status } = await api('POST', '/users', { token: tokens.admin, body: { username, password: `${username}-senha`, role, ufs } });
+    assert.equal(status, 200);
+    tokens[username] = await login(username, `${username}-senha`);
+}
+
+function dealerBody(overrides = {}) {
+    return { ...SAO_PAULO, name: 'Revenda Centro', cnpj: '11.222.333/0001-81', status: 'active', ...overrides };
+}
+
+test.before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dealer-check-'));
+    fs.writeFileSync(path.join(dataDir, 'db.json'), JSON.stringify({ leads: [EXPIRED_LEAD, EXPIRED_LEAD_WITH_ROOM] }));
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server', 'index.js')], {
+        env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, ADMIN_PASSWORD },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    await new Promise((resolve, reject) => {
+        server.stdout.on('data', chunk => {
+            if (chunk.toString().includes(`:${port}`)) resolve();
+        });
+        server.on('exit', code => reject(new Error(`Servidor encerrou (${code})`)));
+    });
+
+    tokens.admin = await login('admin', ADMIN_PASSWORD);
+    await createUser('leitor', 'viewer');
+    await createUser('gerente', 'regional', ['SP']);
+});
+
+test.after(() => {
+    if (server) server.kill();
+    if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('static files', async t => {
+    await t.test('the app is served', async () => {
+        const response = await fetch(`${baseUrl}/`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/html/);
+    });
+
+    await t.test('server code and tests are not', async () => {
+        for (const file of ['/server/index.js', '/test/server.test.js']) {
+            assert.equal((await fetch(`${baseUrl}${file}`)).status, 404, file);
+        }
+    });
+});
+
+test('malformed requests are refused without stopping the server', async t => {
+    await t.test('bad escapes in the path', async () => {
+        assert.equal((await fetch(`${baseUrl}/%E0%A4%A`)).status, 400);
+        assert.equal((await api('GET', '/waitlist/%E0%A4%A')).status, 400);
+        assert.equal((await api('DELETE', '/dealers/%E0%A4%A', { token: tokens.admin })).status, 400);
+    });
+
+    await t.test('a Host header that is not a host', async () => {
+        const status = await new Promise((resolve, reject) => {
+            http.get(`${baseUrl}/`, { headers: { Host: 'nao é um host' } }, response => {
+                response.resume();
+                resolve(response.statusCode);
+            }).on('error', reject);
+        });
+        assert.equal(status, 400);
+    });
+
+    await t.test('the server keeps answering', async () => {
+        assert.equal((await fetch(`${baseUrl}/`)).status, 200);
+    });
+});
+
+test('authentication', async t => {
+    await t.test('wrong passwords are refused', async () => {
+        const { status } = await api('POST', '/auth/login', { body: { username: 'admin', password: 'errada' } });
+        assert.equal(status, 401);
+    });
+
+    await t.test('the session identifies the user', async () => {
+        const { body } = await api('GET', '/auth/me', { token: tokens.gerente });
+        assert.deepEqual({ username: body.username, role: body.role, ufs: body.ufs }, { username: 'gerente', role: 'regional', ufs: ['SP'] });
+    });
+
+    await t.test('logging out ends the session', async () => {
+        const token = await login('leitor', 'leitor-senha');
+        await api('POST', '/auth/logout', { token });
+        assert.equal((await api('GET', '/auth/me', { token })).status, 401);
+    });
+
+    await t.test('only super-admins manage users', async () => {
+        assert.equal((await api('GET', '/users', { token: tokens.gerente })).status, 403);
+        assert.equal((await api('GET', '/users', { token: tokens.admin })).status, 200);
+    });
+
+    await t.test('regional managers need at least one UF', async () => {
+        const body = { username: 'semuf', password: 'semuf-senha', role: 'regional', ufs: [] };
+        assert.equal((await api('POST', '/users', { token: tokens.admin, body })).status, 400);
+    });
+
+    await t.test('usernames with markup are refused', async () => {
+        const body = { username: '<b>chefe</b>', password: 'chefe-senha', role: 'viewer' };
+        assert.equal((await api('POST', '/users', { token: tokens.admin, body })).status, 400);
+    });
+});
+
+test('legacy uploads', async t => {
+    await t.test('city names with markup are refused', async () => {
+        const body = { occupiedCities: [{ city: '<img src=x onerror=alert(1)>', uf: 'SP', dealers: 1 }] };
+        assert.equal((await api('POST', '/occupied/import-legacy', { token: tokens.admin, body })).status, 400);
+    });
+});
+
+test('density settings', async t => {
+    await t.test('only super-admins change them', async () => {
+        const { status } = await api('PUT', '/config/density', { token: tokens.gerente, body: { densityRule: 1000 } });
+        assert.equal(status, 403);
+    });
+
+    await t.test('a partial update keeps the other settings', async () => {
+        const before = await api('GET', '/config');
+        const { status, body } = await api('PUT', '/config/density', { token: tokens.admin, body: { warningDays: 45 } });
+        assert.equal(status, 200);
+        assert.equal(body.warningDays, 45);
+        assert.equal(body.territoryLevel, before.body.territoryLevel);
+    });
+
+    await t.test('invalid values are refused', async () => {
+        const cases = [
+            { territoryLevel: 'bairro' },
+            { densityRules: [{ name: 'Sem razão' }] },
+            { densityRules: [{ name: '<b>Regra</b>', ratio: 1000 }] }
+        ];
+        for (const body of cases) {
+            assert.equal((await api('PUT', '/config/density', { token: tokens.admin, body })).status, 400);
+        }
+    });
+
+    await t.test('a revert restores only what the change touched', async () => {
+        await api('PUT', '/config/density', { token: tokens.admin, body: { densityRule: 8000, warningDays: 45 } });
+        await api('PUT', '/config/density', { token: tokens.admin, body: { densityRule: 8000, warningDays: 60 } });
+
+        const { body: log } = await api('GET', '/audit?action=config.density', { token: tokens.admin });
+        const ratioChange = log.find(entry => 'densityRule' in entry.after);
+        assert.deepEqual(Object.keys(ratioChange.after), ['densityRule']);
+
+        assert.equal((await api('POST', `/audit/${ratioChange.id}/revert`, { token: tokens.admin })).status, 200);
+        const { body: config } = await api('GET', '/config');
+        assert.equal(config.densityRule, 5000);
+        assert.equal(config.warningDays, 60);
+
+        assert.equal((await api('POST', `/audit/${ratioChange.id}/revert`, { token: tokens.admin })).status, 409);
+    });
+});
+
+test('dealers', async t => {
+    let entryId;
+
+    await t.test('need a session', async () => {
+        assert.equal((await api('POST', '/dealers', { body: dealerBody() })).status, 401);
+    });
+
+    await t.test('viewers cannot edit', async () => {
+        assert.equal((await api('POST', '/dealers', { token: tokens.leitor, body: dealerBody() })).status, 403);
+    });
+
+    await t.test('regional managers edit only their UFs', async () => {
+        const outside = await api('POST', '/dealers', { token: tokens.gerente, body: dealerBody({ ...RIO }) });
+        assert.equal(outside.status, 403);
+
+        const inside = await api('POST', '/dealers', { token: tokens.gerente, body: dealerBody() });
+        assert.equal(inside.status, 200);
+        assert.equal(inside.body.ibgeId, SAO_PAULO.ibgeId);
+        assert.equal(inside.body.city, 'São Paulo');
+        assert.equal(inside.body.dealers[0].name, 'Revenda Centro');
+        entryId = inside.body.id;
+    });
+
+    await t.test('invalid records are refused', async () => {
+        const cases = [
+            dealerBody({ cnpj: '11.222.333/0001-82' }),
+            dealerBody({ name: '' }),
+            dealerBody({ name: '<img src=x>' }),
+            dealerBody({ contact: '<script>alert(1)</script>' }),
+            dealerBody({ endDate: '2020-01-01', startDate: '2021-01-01' }),
+            dealerBody({ ibgeId: 1 }),
+            dealerBody({ ibgeId: 3550308, uf: 'RJ' })
+        ];
+        for (const body of cases) {
+            assert.equal((await api('POST', '/dealers', { token: tokens.admin, body })).status, 400);
+        }
+    });
+
+    await t.test('a CNPJ is registered once per city and line', async () => {
+        const { status } = await api('POST', '/dealers', { token: tokens.admin, body: dealerBody({ name: 'Outra' }) });
+        assert.equal(status, 400);
+
+        const { body: config } = await api('POST', '/config/lines', { token: tokens.admin, body: { name: 'Linha B' } });
+        const lineId = config.productLines.find(line => line.name === 'Linha B').id;
+        const other = await api('POST', '/dealers', { token: tokens.admin, body: dealerBody({ name: 'Outra', lineId }) });
+        assert.equal(other.status, 200);
+        assert.equal(other.body.dealers.length, 2);
+    });
+
+    await t.test('the last dealer removed takes the city with it', async () => {
+        const second = await api('POST', '/dealers', { token: tokens.admin, body: dealerBody({ name: 'Outra', cnpj: '12.ABC.345/01DE-35' }) });
+        assert.equal(second.body.id, entryId);
+
+        for (const dealer of second.body.dealers) {
+            assert.equal((await api('DELETE', `/dealers/${dealer.id}`, { token: tokens.admin })).status, 200);
+        }
+        assert.ok(!(await api('GET', '/occupied', { token: tokens.admin })).body.some(item => item.id === entryId));
+    });
+});
+
+test('leads', async t => {
+    const lead = { ...RIO, name: 'Interessado', phone: '21999998888', email: 'contato@example.com', cnpj: '12.ABC.345/01DE-35' };
+
+    await t.test('a lead holds a slot in its city', async () => {
+        const { status, body } = await api('POST', '/leads', { body: lead });
+        assert.equal(status, 200);
+        assert.ok(body.until > new Date().toISOString());
+
+        const { body: config } = await api('GET', '/config');
+        assert.ok(config.holds.some(hold => hold.ibgeId === RIO.ibgeId));
+    });
+
+    await t.test('the same CNPJ cannot hold twice', async () => {
+        assert.equal((await api('POST', '/leads', { body: lead })).status, 400);
+    });
+
+    await t.test('a full city is refused', async () => {
+        const body = { ...lead, ibgeId: EXPIRED_LEAD.ibgeId, uf: 'SP', cnpj: '11.444.777/0001-61' };
+        assert.equal((await api('POST', '/leads', { body })).status, 409);
+    });
+
+    await t.test('names with markup are refused', async () => {
+        const body = { ...lead, name: '<b>Interessado</b>', cnpj: '11.222.333/0001-81' };
+        assert.equal((await api('POST', '/leads', { body })).status, 400);
+    });
+
+    await t.test('approving turns the lead into a dealer, once', async () => {
+        const { body: leads } = await api('GET', '/leads', { token: tokens.admin });
+        const { status, body } = await api('POST', `/leads/${leads[0].id}/approve`, { token: tokens.admin });
+        assert.equal(status, 200);
+        assert.equal(body.lead.status, 'approved');
+        assert.equal(body.entry.dealers[0].cnpj, '12ABC34501DE35');
+
+        assert.equal((await api('POST', `/leads/${leads[0].id}/approve`, { token: tokens.admin })).status, 409);
+    });
+
+    await t.test('an expired lead is approved only into a free slot', async () => {
+        const { status } = await api('POST', `/leads/${EXPIRED_LEAD.id}/approve`, { token: tokens.admin });
+        assert.equal(status, 409);
+    });
+
+    await t.test('simultaneous approvals create a single dealer', async () => {
+        const approve = () => api('POST', `/leads/${EXPIRED_LEAD_WITH_ROOM.id}/approve`, { token: tokens.admin });
+        const statuses = (await Promise.all([approve(), approve()])).map(response => response.status);
+        assert.deepEqual(statuses.sort(), [200, 409]);
+
+        const { body } = await api('GET', `/availability?ibge=${EXPIRED_LEAD_WITH_ROOM.ibgeId}`);
+        assert.equal(body.currentDealers, 1);
+    });
+});
+
+test('availability API', async t => {
+    await t.test('answers by IBGE code and by CEP', async () => {
+        const byCode = await api('GET', `/availability?ibge=${RIO.ibgeId}`);
+        assert.equal(byCode.status, 200);
+        assert.equal(byCode.body.city, 'Rio de Janeiro');
+        assert.equal(byCode.body.currentDealers, 1);
+        assert.equal(byCode.body.population.origin, 'base local');
+
+        const byCep = await api('GET', '/availability?cep=01001-000');
+        assert.equal(byCep.body.ibgeId, SAO_PAULO.ibgeId);
+    });
+
+    await t.test('rejects unknown cities and bad queries', async () => {
+        assert.equal((await api('GET', '/availability?ibge=1')).status, 404);
+        assert.equal((await api('GET', '/availability?cep=123')).status, 400);
+        assert.equal((await api('GET', '/availability')).status, 400);
+    });
+
+    await t.test('batches need an API key', async () => {
+        const { status } = await api('POST', '/availability/batch', { body: { queries: [{ ibge: SAO_PAULO.ibgeId }] } });
+        assert.equal(status, 401);
+    });
+
+    await t.test('key names with markup are refused', async () => {
+        const body = { name: '<img src=x>' };
+        assert.equal((await api('POST', '/api-keys', { token: tokens.admin, body })).status, 400);
+    });
+
+    await t.test('a key is limited to its own rate', async () => {
+        const { body: created } = await api('POST', '/api-keys', { token: tokens.admin, body: { name: 'CRM', rateLimit: 2 } });
+        const batch = queries => fetch(`${baseUrl}/api/availability/batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-API-Key': created.key },
+            body: JSON.stringify({ queries })
+        });
+
+        const allowed = await batch([{ ibge: SAO_PAULO.ibgeId }, { ibge: 1 }]);
+        assert.equal(allowed.status, 200);
+        const { results } = await allowed.json();
+        assert.equal(results[0].ibgeId, SAO_PAULO.ibgeId);
+        assert.ok(results[1].error);
+
+        const refused = await batch([{ ibge: RIO.ibgeId }]);
+        assert.equal(refused.status, 429);
+        assert.ok(Number(refused.headers.get('retry-after')) > 0);
+    });
+});
+
+test('dealer records are private', async t => {
+    await t.test('visitors get counts only', async () => {
+        const { body } = await api('GET', '/config');
+        const entry = body.occupiedCities.find(item => item.ibgeId === RIO.ibgeId);
+        assert.deepEqual(entry.dealers, [{ status: 'active', endDate: null, lineId: 'main' }]);
+        assert.equal((await api('GET', '/occupied')).status, 401);
+    });
+
+    await t.test('signed-in users get the records', async () => {
+        const { body } = await api('GET', '/config', { token: tokens.leitor });
+        const entry = body.occupiedCities.find(item => item.ibgeId === RIO.ibgeId);
+        assert.equal(entry.dealers[0].name, 'Interessado');
+        assert.equal((await api('GET', '/occupied', { token: tokens.leitor })).status, 200);
+    });
+});